@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Create or update an operator account for the admin API
+ *
+ * Usage:
+ *   ADMIN_PASSWORD=... node scripts/create-admin-user.js <email> [viewer|support|admin]
+ *   node scripts/create-admin-user.js <email> --deactivate
+ *
+ * Running it again for an existing email resets the password and role and
+ * reactivates the account. Without ADMIN_PASSWORD the password is asked for.
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { connectDB, closeDB } = require('../src/config/database');
+const AdminUser = require('../src/models/AdminUser');
+const { AdminAuth, ROLES } = require('../src/services/admin/AdminAuth');
+
+const MIN_PASSWORD_LENGTH = 12;
+
+const askPassword = () =>
+  new Promise(resolve => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    rl.question('Password: ', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+
+const main = async() => {
+  const [email, option = 'viewer'] = process.argv.slice(2);
+  if (!email || (option !== '--deactivate' && !ROLES.includes(option))) {
+    console.error(
+      `Usage: node scripts/create-admin-user.js <email> [${ROLES.join('|')}|--deactivate]`
+    );
+    process.exit(1);
+  }
+
+  await connectDB();
+  try {
+    if (option === '--deactivate') {
+      const result = await AdminUser.updateOne(
+        { email: email.toLowerCase() },
+        { $set: { active: false } }
+      );
+      console.log(
+        result.matchedCount ?
+          `🔒 Deactivated ${email}` :
+          `❌ No operator with email ${email}`
+      );
+      return;
+    }
+
+    const password = process.env.ADMIN_PASSWORD || (await askPassword());
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      console.error(
+        `❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    await AdminUser.updateOne(
+      { email: email.toLowerCase() },
+      {
+        $set: {
+          passwordHash: await AdminAuth.hashPassword(password),
+          role: option,
+          active: true
+        }
+      },
+      { upsert: true }
+    );
+    console.log(`✅ ${email} can now use the admin API as ${option}`);
+  } finally {
+    await closeDB();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Failed to save operator:', error.message);
+  process.exit(1);
+});
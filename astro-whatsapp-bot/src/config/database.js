@@ -124,12 +124,8 @@ const connectDB = async() => {
       logger.warn('⚠️ Mongoose disconnected from MongoDB');
     });
 
-    // Graceful shutdown
-    process.on('SIGINT', async() => {
-      await mongoose.connection.close();
-      logger.info('📴 MongoDB connection closed due to app termination');
-      process.exit(0);
-    });
+    // Closed by the server's graceful shutdown (closeDB), once the inbound
+    // workers and schedulers no longer need it
   } catch (error) {
     logger.error('❌ MongoDB connection failed:', error);
     // Don't exit process in production or test, let Railway handle restarts
@@ -0,0 +1,299 @@
+const express = require('express');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { validate } = require('../core/validation/middleware');
+const { patterns } = require('../core/validation/schemas');
+const { AuthenticationError } = require('../utils/errorHandler');
+const User = require('../models/User');
+const {
+  getAdminAuth,
+  getAdminService
+} = require('../services/admin');
+
+/**
+ * Joi rule accepting the values a User field's enum allows
+ * @private
+ * @param {string} path - Schema path
+ * @param {Array<string>} except - Values not accepted here
+ * @returns {Object} Joi schema
+ */
+const userEnum = (path, except = []) =>
+  Joi.valid(
+    ...User.schema
+      .path(path)
+      .enumValues.filter(value => value && !except.includes(value))
+  );
+
+const phoneParams = Joi.object({
+  phone: Joi.string().pattern(patterns.phoneNumber).required()
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: Joi.string().min(1).max(200).required()
+});
+
+const searchSchema = Joi.object({
+  q: Joi.string().trim().max(100).allow(''),
+  tier: userEnum('subscriptionTier'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// What operators may correct; everything else is owned by the bot
+const userUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  gender: userEnum('gender').allow(null),
+  preferredLanguage: Joi.string().trim().min(2).max(10),
+  timezone: Joi.string().trim().max(64),
+  birthDate: Joi.string().pattern(patterns.date),
+  birthTime: Joi.string().pattern(patterns.time).allow(null),
+  birthPlace: Joi.string().trim().min(2).max(200),
+  birthLatitude: Joi.number().min(-90).max(90),
+  birthLongitude: Joi.number().min(-180).max(180),
+  birthTimezone: Joi.string().trim().max(64),
+  profileComplete: Joi.boolean(),
+  preferences: Joi.object({
+    dailyNotifications: Joi.boolean(),
+    weeklyNotifications: Joi.boolean(),
+    compatibilityNotifications: Joi.boolean(),
+    morningHoroscopeTime: Joi.string().pattern(patterns.time),
+    eveningReflectionTime: Joi.string().pattern(patterns.time),
+    ayanamsa: userEnum('preferences.ayanamsa'),
+    houseSystem: userEnum('preferences.houseSystem').allow(null),
+    chartStyle: userEnum('preferences.chartStyle')
+  }).min(1)
+})
+  // A new birthplace needs the coordinates and zone charts are cast for
+  .with('birthPlace', ['birthLatitude', 'birthLongitude', 'birthTimezone'])
+  .min(1);
+
+const grantSchema = Joi.object({
+  planId: userEnum('subscriptionTier', ['free']).required(),
+  days: Joi.number().integer().min(1).max(366).required(),
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+const revokeSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+const messagesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const auditSchema = Joi.object({
+  target: Joi.string().pattern(patterns.phoneNumber),
+  actor: Joi.string().email(),
+  action: Joi.string().max(50),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * Wrap an async handler so rejections reach the error middleware
+ * @private
+ * @param {Function} handler - async (req, res) handler
+ * @returns {Function} Express middleware
+ */
+const route = handler => (req, res, next) =>
+  Promise.resolve(handler(req, res)).catch(next);
+
+/**
+ * Create the admin API router (mounted at /admin). Every route but login
+ * needs a bearer token from POST /auth/login; roles are viewer (read),
+ * support (edit users, reset sessions) and admin (subscriptions, audit log,
+ * diagnostics). Login answers 429 with Retry-After while repeated failures
+ * have the client address or the email locked out.
+ * @param {Object} options - Router dependencies
+ * @param {Function} options.getAuth - () => AdminAuth or null (tests)
+ * @param {Function} options.getService - () => AdminService (tests)
+ * @returns {express.Router} Router
+ */
+const createAdminRouter = ({
+  getAuth = getAdminAuth,
+  getService = getAdminService
+} = {}) => {
+  const router = express.Router();
+
+  // Without a signing secret no token could be trusted
+  router.use((req, res, next) => {
+    if (!getAuth()) {
+      return res.status(503).json({
+        error: 'Admin API disabled',
+        message: 'Set JWT_SECRET to enable the admin API'
+      });
+    }
+    next();
+  });
+
+  router.post(
+    '/auth/login',
+    validate(loginSchema),
+    route(async(req, res) => {
+      res.json(
+        await getAuth().login(req.body.email, req.body.password, {
+          ip: req.ip
+        })
+      );
+    })
+  );
+
+  /**
+   * Require a valid token and at least the given role
+   * @param {string} role - Least role needed
+   * @returns {Function} Express middleware setting req.operator
+   */
+  const requireRole = role => async(req, res, next) => {
+    try {
+      const [scheme, token] = (req.get('Authorization') || '').split(' ');
+      if (scheme !== 'Bearer' || !token) {
+        throw new AuthenticationError('Bearer token required');
+      }
+      const operator = await getAuth().verify(token);
+      getAuth().authorize(operator, role);
+      req.operator = operator;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  router.get(
+    '/users',
+    requireRole('viewer'),
+    validate(searchSchema, 'query'),
+    route(async(req, res) => {
+      const { q, tier, limit, offset } = req.query;
+      res.json(
+        await getService().searchUsers({ query: q, tier, limit, offset })
+      );
+    })
+  );
+
+  router.get(
+    '/users/:phone',
+    requireRole('viewer'),
+    validate(phoneParams, 'params'),
+    route(async(req, res) => {
+      res.json(await getService().getUser(req.params.phone));
+    })
+  );
+
+  router.patch(
+    '/users/:phone',
+    requireRole('support'),
+    validate(phoneParams, 'params'),
+    validate(userUpdateSchema),
+    route(async(req, res) => {
+      res.json(
+        await getService().updateUser(req.operator, req.params.phone, req.body)
+      );
+    })
+  );
+
+  router.post(
+    '/users/:phone/subscription/grant',
+    requireRole('admin'),
+    validate(phoneParams, 'params'),
+    validate(grantSchema),
+    route(async(req, res) => {
+      res.json(
+        await getService().grantSubscription(
+          req.operator,
+          req.params.phone,
+          req.body
+        )
+      );
+    })
+  );
+
+  router.post(
+    '/users/:phone/subscription/revoke',
+    requireRole('admin'),
+    validate(phoneParams, 'params'),
+    validate(revokeSchema),
+    route(async(req, res) => {
+      res.json(
+        await getService().revokeSubscription(
+          req.operator,
+          req.params.phone,
+          req.body
+        )
+      );
+    })
+  );
+
+  router.get(
+    '/users/:phone/session',
+    requireRole('viewer'),
+    validate(phoneParams, 'params'),
+    route(async(req, res) => {
+      res.json(await getService().getSession(req.params.phone));
+    })
+  );
+
+  router.delete(
+    '/users/:phone/session',
+    requireRole('support'),
+    validate(phoneParams, 'params'),
+    route(async(req, res) => {
+      res.json({
+        cleared: await getService().resetSession(
+          req.operator,
+          req.params.phone
+        )
+      });
+    })
+  );
+
+  router.get(
+    '/users/:phone/messages',
+    requireRole('viewer'),
+    validate(phoneParams, 'params'),
+    validate(messagesSchema, 'query'),
+    route(async(req, res) => {
+      res.json({
+        messages: await getService().getMessages(req.params.phone, {
+          limit: req.query.limit
+        })
+      });
+    })
+  );
+
+  router.get(
+    '/audit',
+    requireRole('admin'),
+    validate(auditSchema, 'query'),
+    route(async(req, res) => {
+      res.json(await getService().listAudit(req.query));
+    })
+  );
+
+  router.get(
+    '/diagnostics',
+    requireRole('admin'),
+    route(async(req, res) => {
+      res.json(await getService().getDiagnostics());
+    })
+  );
+
+  // Operators need the reason a request was refused; unexpected errors
+  // stay hidden like everywhere else
+  router.use((err, req, res, next) => {
+    if (!err.statusCode || err.statusCode >= 500) {
+      return next(err);
+    }
+    if (err.statusCode === 401 || err.statusCode === 403) {
+      logger.warn(`🔒 Admin API ${req.method} ${req.originalUrl}: ${err.message}`);
+    }
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
+    res.status(err.statusCode).json({ error: err.name, message: err.message });
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
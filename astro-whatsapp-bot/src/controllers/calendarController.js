@@ -0,0 +1,57 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { getCalendarService, REFRESH_HOURS } = require('../services/calendar');
+
+/**
+ * Wrap an async handler so rejections reach the error middleware
+ * @private
+ * @param {Function} handler - async (req, res) handler
+ * @returns {Function} Express middleware
+ */
+const route = handler => (req, res, next) =>
+  Promise.resolve(handler(req, res)).catch(next);
+
+/**
+ * Create the calendar feed router (mounted at /calendar). The token in the
+ * link is the only credential, so malformed, unknown and revoked tokens
+ * all get the same 404.
+ * @param {Object} options - Router dependencies
+ * @param {Function} options.getService - () => CalendarService (tests)
+ * @returns {express.Router} Router
+ */
+const createCalendarRouter = ({ getService = getCalendarService } = {}) => {
+  const router = express.Router();
+
+  router.get(
+    '/:token.ics',
+    route(async(req, res) => {
+      const ics = await getService().feed(req.params.token);
+      if (!ics) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Calendar not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="astro-calendar.ics"',
+        // Private: the feed is personal even though the link is its key
+        'Cache-Control': `private, max-age=${REFRESH_HOURS * 60 * 60}`
+      });
+      res.send(ics);
+    })
+  );
+
+  router.use((err, req, res, next) => {
+    logger.error('❌ Calendar feed failed:', err);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Calendar unavailable'
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createCalendarRouter };
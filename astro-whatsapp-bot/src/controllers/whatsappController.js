@@ -1,61 +1,45 @@
 const logger = require('../utils/logger');
-const {
-  getMessageCoordinator
-} = require('../services/whatsapp/MessageCoordinator');
 const {
   validateWebhookSignature,
   verifyWebhookChallenge,
   validateMessageFormat
 } = require('../services/whatsapp/webhookValidator');
 const { validateWebhookPayload } = require('../services/whatsapp/utils/ValidationService');
-
-// Cache the initialized coordinator
-let coordinatorInstance = null;
-
-/**
- * Get the initialized MessageCoordinator instance
- * @returns {Promise<Object>} Initialized MessageCoordinator
- */
-const getCoordinatorInstance = async() => {
-  if (!coordinatorInstance) {
-    coordinatorInstance = await getMessageCoordinator();
-  }
-  return coordinatorInstance;
-};
+const { getInboundPipeline } = require('../services/whatsapp/inbound');
+const { getOutboundDispatcher } = require('../services/whatsapp/outbound');
 
 /**
- * Process a message with retry logic
- * @param {Object} message - WhatsApp message object
+ * Persist inbound messages to the durable inbox and wake the worker pool.
+ * Processing happens asynchronously so Meta gets its 200 immediately and
+ * does not redeliver while slow astrology calculations run.
+ * @param {Array} messages - WhatsApp messages from one webhook change
  * @param {Object} value - WhatsApp webhook value object
- * @param {number} maxRetries - Maximum number of retries
+ * @returns {Promise<Object>} Counts of enqueued and duplicate messages
  */
-const processMessageWithRetry = async(message, value, maxRetries = 3) => {
-  let lastError;
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const coordinator = await getCoordinatorInstance();
-      await coordinator.processIncomingMessage(message, value);
-      return; // Success, exit retry loop
-    } catch (error) {
-      lastError = error;
-      logger.warn(
-        `⚠️ Message processing failed (attempt ${attempt}/${maxRetries}):`,
-        error.message
-      );
+const enqueueMessages = async(messages, value) => {
+  const { queue, worker } = getInboundPipeline();
+  const counts = { enqueued: 0, duplicates: 0 };
+
+  for (const message of messages) {
+    // Validate message format before queueing
+    const isMessageValid = validateMessageFormat(message);
+    if (!isMessageValid) {
+      logger.warn('⚠️ Skipping invalid message format:', message.id);
+      continue;
+    }
 
-      if (attempt < maxRetries) {
-        // Wait before retry (exponential backoff)
-        const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
+    const result = await queue.enqueue(message, value);
+    if (result.duplicate) {
+      counts.duplicates++;
+    } else {
+      counts.enqueued++;
     }
   }
 
-  // All retries failed
-  logger.error('❌ Message processing failed after all retries:', lastError);
-  // Could send error notification to admin here
-  throw lastError; // Re-throw the error to be handled by the controller
+  if (counts.enqueued > 0) {
+    worker.notify();
+  }
+  return counts;
 };
 
 /**
@@ -161,21 +145,15 @@ const handleWhatsAppWebhook = async(req, res) => {
       const change = entry.changes[0];
       const { value } = change;
 
-      // Process messages with retry logic
+      // Queue messages; the worker pool processes them in order per sender
       if (value.messages) {
-        const {
-          processIncomingMessage
-        } = require('../services/whatsapp/messageProcessor');
-        for (const message of value.messages) {
-          // Validate message format before processing
-          const isMessageValid = validateMessageFormat(message);
-          if (!isMessageValid) {
-            logger.warn('⚠️ Skipping invalid message format:', message.id);
-            continue;
-          }
-
-          await processMessageWithRetry(message, value);
-        }
+        const { enqueued, duplicates } = await enqueueMessages(
+          value.messages,
+          value
+        );
+        logger.info(
+          `📥 Queued ${enqueued} message(s), ignored ${duplicates} duplicate(s)`
+        );
       }
 
       // Process contacts
@@ -187,13 +165,13 @@ const handleWhatsAppWebhook = async(req, res) => {
         }
       }
 
-      // Process statuses
+      // Update delivery records from sent/delivered/read/failed statuses
       if (value.statuses) {
-        for (const status of value.statuses) {
-          logger.info(
-            `📊 Message status: ${status.status} for message ${status.id}`
-          );
-        }
+        const { updated, untracked } =
+          await getOutboundDispatcher().handleStatuses(value.statuses);
+        logger.info(
+          `📊 Recorded ${updated} message status(es), ${untracked} untracked`
+        );
       }
     }
 
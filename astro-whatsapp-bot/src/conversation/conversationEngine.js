@@ -6,8 +6,24 @@ const {
   updateUserProfile
 } = require('../models/userModel');
 const { sendMessage } = require('../services/whatsapp/messageSender');
+const GeocodingService = require('../services/astrology/geocoding/GeocodingService');
+const {
+  getReferralService,
+  ReferralService
+} = require('../services/referrals');
+const {
+  getPeopleBook,
+  normalizeRelationship,
+  RELATIONSHIPS,
+  MAX_NAME_LENGTH
+} = require('../services/people');
 const logger = require('../utils/logger');
 
+const geocodingService = new GeocodingService();
+
+// WhatsApp list rows allow 24-character titles and 72-character descriptions
+const MAX_PLACE_OPTIONS = 5;
+
 /**
  * Validates user input for a conversation step
  * @param {string} input - User input
@@ -150,11 +166,71 @@ const validateStepInput = async(input, step) => {
           'Please provide time in HHMM (1430) format only, or \'skip\''
     };
 
+  case 'place':
+    return validatePlaceInput(input, step);
+
+  case 'person_name': {
+    const name = input.trim().replace(/\s+/g, ' ');
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return {
+        isValid: false,
+        errorMessage: `Please send a name of up to ${MAX_NAME_LENGTH} characters.`
+      };
+    }
+    return { isValid: true, cleanedValue: name };
+  }
+
+  case 'relationship': {
+    const relationship = normalizeRelationship(input);
+    if (!relationship) {
+      return {
+        isValid: false,
+        errorMessage:
+          'Please pick a relationship from the list, e.g. partner, child, parent or client.'
+      };
+    }
+    return {
+      isValid: true,
+      cleanedValue: relationship,
+      extraData: { relationshipLabel: RELATIONSHIPS[relationship].label }
+    };
+  }
+
+  case 'gender_or_skip': {
+    const genders = { male: 'male', female: 'female', other: 'other' };
+    if (trimmedInput === 'skip' || genders[trimmedInput]) {
+      return { isValid: true, cleanedValue: trimmedInput };
+    }
+    return {
+      isValid: false,
+      errorMessage: 'Please reply \'male\', \'female\', \'other\' or \'skip\'.'
+    };
+  }
+
+  case 'referral_code_or_skip': {
+    if (trimmedInput === 'skip') {
+      return { isValid: true, cleanedValue: 'skip' };
+    }
+    const code = ReferralService.parseCode(input);
+    if (code) {
+      return { isValid: true, cleanedValue: code };
+    }
+    return {
+      isValid: false,
+      errorMessage:
+          'Please send a referral code like REF1A2B3C4D, or \'skip\''
+    };
+  }
+
   case 'language_choice':
     const supportedLanguages = ['en', 'hi']; // Extend as needed
+    const languageNames = { english: 'en', hindi: 'hi' };
     if (supportedLanguages.includes(trimmedInput)) {
       return { isValid: true, cleanedValue: trimmedInput };
     }
+    if (languageNames[trimmedInput]) {
+      return { isValid: true, cleanedValue: languageNames[trimmedInput] };
+    }
     return {
       isValid: false,
       errorMessage:
@@ -221,20 +297,441 @@ const validateStepInput = async(input, step) => {
   }
 };
 
+/**
+ * Profile fields stored for a confirmed birthplace
+ * @param {Object} place - Resolved place with latitude, longitude, timezone
+ * @returns {Object} birthPlace, birthLatitude, birthLongitude, birthTimezone
+ */
+const toBirthPlaceData = place => ({
+  birthPlace: place.displayName,
+  birthLatitude: place.latitude,
+  birthLongitude: place.longitude,
+  birthTimezone: place.timezone
+});
+
+/**
+ * Format a coordinate pair for display, e.g. "17.39°N, 78.49°E"
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {string} Formatted coordinates
+ */
+const formatCoordinates = (latitude, longitude) =>
+  `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+
+/**
+ * Validates a birthplace, asking the user to pick when the match is not certain
+ * @param {string} input - Place text as typed by the user
+ * @param {Object} step - Step configuration
+ * @returns {Promise<Object>} Validation result
+ */
+const validatePlaceInput = async(input, step) => {
+  if (!input || input.trim().length === 0) {
+    return { isValid: false, errorMessage: step.error_message };
+  }
+
+  const location = await geocodingService.resolvePlace(input);
+  if (location.source === 'default') {
+    return {
+      isValid: false,
+      errorMessage: `🌍 I couldn't find "${input.trim()}". Please check the spelling and include the state and country (e.g. Hyderabad, Telangana, India).`
+    };
+  }
+
+  // Offline match that is exact and unique: accept it directly
+  if (location.source === 'gazetteer') {
+    const options = location.candidates.map(candidate => ({
+      displayName: candidate.displayName,
+      name: candidate.name,
+      admin: candidate.admin,
+      country: candidate.country,
+      latitude: candidate.latitude,
+      longitude: candidate.longitude,
+      timezone: candidate.timezone
+    }));
+
+    if (!location.ambiguous && location.candidates[0].score >= 1) {
+      return {
+        isValid: true,
+        cleanedValue: options[0].displayName,
+        extraData: toBirthPlaceData(options[0])
+      };
+    }
+
+    return {
+      isValid: true,
+      needsClarification: true,
+      clarificationType: 'place_ambiguity',
+      data: { options },
+      clarificationMessage: `📍 *Which ${input.trim()} were you born in?*\n\nA few places match. Please pick yours from the list, or type it again with the state and country (e.g. Hyderabad, Telangana, India).`,
+      clarificationList: {
+        button: 'Choose place',
+        sections: [
+          {
+            title: 'Matching places',
+            rows: options.map((option, index) => ({
+              id: `place_${index + 1}`,
+              title: option.name.substring(0, 24),
+              description: `${[option.admin, option.country].filter(Boolean).join(', ')} · ${formatCoordinates(option.latitude, option.longitude)}`.substring(0, 72)
+            }))
+          }
+        ]
+      }
+    };
+  }
+
+  // Found by an online provider: look up the zone for its coordinates
+  const { timezoneId } = await geocodingService.resolveTimezone(
+    location.latitude,
+    location.longitude
+  );
+  return {
+    isValid: true,
+    cleanedValue: location.displayName,
+    extraData: toBirthPlaceData({ ...location, timezone: timezoneId })
+  };
+};
+
+/**
+ * Resolves a reply to a pending clarification (year or place choice)
+ * @param {string} input - User input (button/list reply ID or typed text)
+ * @param {Object} pending - Pending clarification stored in the session
+ * @returns {Object|null} Validation result, or null if the input is not a choice
+ */
+const resolveClarification = (input, pending) => {
+  const choice = input.trim().toLowerCase();
+
+  switch (pending.type) {
+  case 'year_ambiguity': {
+    const match = choice.match(/^(?:year_)?((?:19|20)\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    const { day, month } = pending.data;
+    return {
+      isValid: true,
+      cleanedValue: `${match[1]}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`
+    };
+  }
+
+  case 'place_ambiguity': {
+    const match = choice.match(/^(?:place_)?(\d+)$/);
+    const option = match && pending.data.options[parseInt(match[1], 10) - 1];
+    if (!option) {
+      return null; // Treat as a newly typed place
+    }
+    return {
+      isValid: true,
+      cleanedValue: option.displayName,
+      extraData: toBirthPlaceData(option)
+    };
+  }
+
+  default:
+    return null;
+  }
+};
+
+/**
+ * Keeps the current value of a step while a flow edits saved data
+ * (flowData.editing), with the values listed in the step's `keep_with`
+ * @param {Object} step - Step configuration
+ * @param {Object} flowData - Data collected so far
+ * @returns {Object|null} Validation result, or null if there is nothing to keep
+ */
+const keepValue = (step, flowData) => {
+  const { editing } = flowData;
+  if (!editing || !step.data_key || !(step.data_key in editing)) {
+    return null;
+  }
+  return {
+    isValid: true,
+    cleanedValue: editing[step.data_key] ?? 'skip',
+    extraData: Object.fromEntries(
+      (step.keep_with || []).map(key => [key, editing[key] ?? null])
+    )
+  };
+};
+
+/**
+ * Extracts the user's answer from a text or interactive message
+ * @param {Object} message - WhatsApp message object
+ * @param {Object} step - Current step configuration
+ * @returns {string|null} Input text, mapped through the step's button mappings
+ */
+const getMessageInput = (message, step) => {
+  const mappings = step?.interactive?.button_mappings || {};
+  if (message.type === 'interactive') {
+    const reply =
+      message.interactive?.button_reply || message.interactive?.list_reply;
+    if (!reply) {
+      return null;
+    }
+    return mappings[reply.id] || reply.id;
+  }
+  if (message.type === 'button') {
+    return message.button?.payload || message.button?.text || null;
+  }
+  // Buttons pressed during a flow arrive as text holding their ID
+  const text = message.text?.body ?? null;
+  return (text !== null && mappings[text]) || text;
+};
+
+/**
+ * Sends a step's prompt, filling {placeholders} from collected flow data
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} step - Step configuration
+ * @param {Object} flowData - Data collected so far
+ */
+const sendStepPrompt = async(phoneNumber, step, flowData) => {
+  const kept = keepValue(step, flowData);
+  const keepHint = kept ?
+    `\n\n↩️ Reply *keep* to leave it as ${String(kept.cleanedValue).replace(/_/g, ' ')}.` :
+    '';
+  const render = text =>
+    text.replace(/\{(\w+)\}/g, (placeholder, key) =>
+      flowData[key] !== undefined && flowData[key] !== null ?
+        flowData[key] :
+        placeholder
+    ) + keepHint;
+
+  if (step.interactive && step.interactive.type === 'list_reply') {
+    await sendMessage(
+      phoneNumber,
+      {
+        type: 'list',
+        body: render(step.interactive.body),
+        button: step.interactive.button,
+        sections: step.interactive.sections
+      },
+      'interactive'
+    );
+  } else if (step.interactive) {
+    await sendMessage(
+      phoneNumber,
+      {
+        type: 'button',
+        body: render(step.interactive.body),
+        buttons: step.interactive.buttons
+      },
+      'interactive'
+    );
+  } else if (step.prompt) {
+    await sendMessage(phoneNumber, render(step.prompt));
+  }
+};
+
+/**
+ * Starts a flow for a user outside of onboarding (e.g. from an action) and
+ * asks its first question
+ * @param {Object} user - User object
+ * @param {string} flowId - Flow identifier
+ * @param {Object} flowData - Data the flow starts with, e.g. `editing`
+ *   (values being changed) or `returnTo` (action to run when done)
+ * @returns {Promise<boolean>} False if the flow does not exist
+ */
+const startFlow = async(user, flowId, flowData = {}) => {
+  const flow = getFlow(flowId);
+  if (!flow) {
+    logger.warn(`⚠️ Cannot start unknown flow ${flowId}`);
+    return false;
+  }
+  await setUserSession(user.phoneNumber, {
+    currentFlow: flowId,
+    currentStep: flow.start_step,
+    flowData
+  });
+  await sendStepPrompt(user.phoneNumber, flow.steps[flow.start_step], flowData);
+  return true;
+};
+
+/**
+ * Ends the current flow but keeps the rest of the session, such as the
+ * people already picked for a reading
+ * @param {string} phoneNumber - User's phone number
+ */
+const leaveFlow = async phoneNumber => {
+  await setUserSession(phoneNumber, {
+    currentFlow: null,
+    currentStep: null,
+    flowData: {}
+  });
+};
+
+/**
+ * Sends the follow-up question for an input that needs clarification
+ * @param {string} phoneNumber - User's phone number
+ * @param {Object} result - Validation result with clarification details
+ */
+const sendClarification = async(phoneNumber, result) => {
+  if (result.clarificationList) {
+    await sendMessage(
+      phoneNumber,
+      {
+        type: 'list',
+        body: result.clarificationMessage,
+        ...result.clarificationList
+      },
+      'interactive'
+    );
+  } else if (result.clarificationButtons) {
+    await sendMessage(
+      phoneNumber,
+      {
+        type: 'button',
+        body: result.clarificationMessage,
+        buttons: result.clarificationButtons
+      },
+      'interactive'
+    );
+  } else {
+    await sendMessage(phoneNumber, result.clarificationMessage);
+  }
+};
+
+/**
+ * Saves the onboarding answers on the user profile
+ * @param {Object} user - User object
+ * @param {Object} flowData - Data collected by the onboarding flow
+ * @returns {Promise<Object>} Updated user
+ */
+const completeProfile = async(user, flowData) => {
+  const profile = {
+    birthDate: flowData.birthDate,
+    birthTime: flowData.birthTime === 'skip' ? null : flowData.birthTime,
+    birthPlace: flowData.birthPlace,
+    birthLatitude: flowData.birthLatitude ?? null,
+    birthLongitude: flowData.birthLongitude ?? null,
+    birthTimezone: flowData.birthTimezone ?? null,
+    profileComplete: true
+  };
+  if (flowData.preferredLanguage) {
+    profile.preferredLanguage = flowData.preferredLanguage;
+  }
+
+  const updatedUser = await updateUserProfile(user.phoneNumber, profile);
+  logger.info(
+    `✅ Onboarding complete for ${user.phoneNumber} (${profile.birthPlace}, ${profile.birthTimezone})`
+  );
+  return updatedUser || { ...user, ...profile };
+};
+
+// Replies when the people book cannot save a person
+const SAVE_PERSON_ERRORS = {
+  limit_reached: limit =>
+    `📒 Your people book is full (${limit} people). Delete someone to add another.`,
+  not_found: () => 'That person is no longer in your people book.'
+};
+
+/**
+ * Saves the person collected by the people book flow, then runs the
+ * action that asked for them (`flowData.returnTo`, given the new person's
+ * ID) or shows the saved person
+ * @param {Object} user - User object
+ * @param {Object} session - Session holding the flow
+ * @param {Object} flow - Flow configuration
+ * @param {Object} flowData - Data collected by the flow
+ * @returns {Promise<boolean>} Success status
+ */
+const savePerson = async(user, session, flow, flowData) => {
+  const { phoneNumber } = user;
+  const details = {
+    name: flowData.name,
+    relationship: flowData.relationship,
+    gender: flowData.gender === 'skip' ? null : flowData.gender ?? null,
+    birthDate: flowData.birthDate,
+    birthTime: flowData.birthTime === 'skip' ? null : flowData.birthTime,
+    birthPlace: flowData.birthPlace,
+    birthLatitude: flowData.birthLatitude ?? null,
+    birthLongitude: flowData.birthLongitude ?? null,
+    birthTimezone: flowData.birthTimezone ?? null
+  };
+  const book = getPeopleBook();
+  const result = flowData.personId ?
+    await book.update(phoneNumber, flowData.personId, details) :
+    await book.add(phoneNumber, details);
+
+  if (result.reason === 'duplicate_name') {
+    // Ask for another name, then come straight back to the confirmation
+    const retry = { ...flowData, resumeStep: session.currentStep };
+    await setUserSession(phoneNumber, {
+      currentFlow: session.currentFlow,
+      currentStep: flow.start_step,
+      flowData: retry
+    });
+    await sendMessage(
+      phoneNumber,
+      `You already have someone called *${details.name}*. Please choose another name.`
+    );
+    await sendStepPrompt(phoneNumber, flow.steps[flow.start_step], retry);
+    return true;
+  }
+
+  await leaveFlow(phoneNumber);
+  if (!result.saved) {
+    const error = SAVE_PERSON_ERRORS[result.reason];
+    await sendMessage(
+      phoneNumber,
+      error ?
+        error(book.limit) :
+        '❌ I couldn\'t save that person. Please try again later.'
+    );
+    return false;
+  }
+
+  const personId = String(result.person._id);
+  await sendMessage(
+    phoneNumber,
+    `✅ *${result.person.name}* is saved in your people.`
+  );
+  if (flowData.returnTo) {
+    await executeMenuAction(phoneNumber, user, flowData.returnTo, {
+      personId
+    });
+  } else {
+    await executeMenuAction(phoneNumber, user, 'people_book', {
+      command: 'view',
+      personId
+    });
+  }
+  return true;
+};
+
+/**
+ * Apply the referral code given during onboarding, if any. A failed
+ * referral never blocks onboarding.
+ * @param {string} phoneNumber - User's phone number
+ * @param {string} code - Referral code or 'skip'
+ */
+const applyOnboardingReferral = async(phoneNumber, code) => {
+  if (!code || code === 'skip') {
+    return;
+  }
+  try {
+    const referrals = getReferralService();
+    const result = await referrals.redeem(phoneNumber, code);
+    await sendMessage(phoneNumber, referrals.describeRedemption(result));
+  } catch (error) {
+    logger.error(`Error applying referral code for ${phoneNumber}:`, error);
+  }
+};
+
 /**
  * Validates and executes a menu action
  * @param {string} phoneNumber - User's phone number
  * @param {Object} user - User object
  * @param {string} action - Menu action to execute
+ * @param {Object} data - Action data
  * @returns {boolean} Success status
  */
-const executeMenuAction = async(phoneNumber, user, action) => {
+const executeMenuAction = async(phoneNumber, user, action, data = {}) => {
   try {
-    // Route to messageProcessor for execution
+    // Route through the coordinator's action registry
     const {
-      executeMenuAction: executeAction
-    } = require('../services/whatsapp/messageProcessor');
-    return await executeAction(phoneNumber, user, action);
+      getMessageCoordinator
+    } = require('../services/whatsapp/MessageCoordinator');
+    const coordinator = await getMessageCoordinator();
+    await coordinator.registry.executeAction(action, user, phoneNumber, data);
+    return true;
   } catch (error) {
     logger.error('Error executing menu action:', error);
     return false;
@@ -256,17 +753,11 @@ const processFlowMessage = async(message, user, flowId) => {
       return false;
     }
 
-    // Handle interactive messages (buttons, lists) - no validation needed
-    if (message.type === 'interactive') {
-      return true;
-    }
-
     // Get existing session
     const existingSession = await getUserSession(user.phoneNumber);
 
-    let session;
     if (!existingSession) {
-      // Initialize new session
+      // Initialize new session and ask the first question
       const flow = getFlow(flowId);
       if (!flow) {
         await sendMessage(
@@ -277,18 +768,136 @@ const processFlowMessage = async(message, user, flowId) => {
         return false;
       }
 
-      session = {
+      const session = {
         currentFlow: flowId,
         currentStep: flow.start_step || 'start', // Provide fallback for start_step
         flowData: {}
       };
       await setUserSession(user.phoneNumber, session);
-    } else {
-      session = existingSession;
+
+      const firstStep = flow.steps?.[session.currentStep];
+      if (firstStep) {
+        await sendStepPrompt(user.phoneNumber, firstStep, session.flowData);
+      }
+      return true;
+    }
+
+    const session = existingSession;
+    const flow = getFlow(session.currentFlow || flowId);
+    const step = flow?.steps?.[session.currentStep];
+    if (!step) {
+      logger.warn(
+        `⚠️ Unknown step ${session.currentStep} in flow ${session.currentFlow}`
+      );
+      await deleteUserSession(user.phoneNumber);
+      return false;
+    }
+
+    const input = getMessageInput(message, step);
+    if (input === null) {
+      return true; // Nothing to process (e.g. interactive message without a reply)
+    }
+
+    const flowData = { ...(session.flowData || {}) };
+    const answer = input.trim().toLowerCase();
+    if (flow.cancellable && answer === 'cancel') {
+      await leaveFlow(user.phoneNumber);
+      await sendMessage(user.phoneNumber, '👌 Cancelled. Nothing was saved.');
+      return true;
+    }
+
+    const pending = flowData.pendingClarification;
+    const result =
+      (answer === 'keep' && keepValue(step, flowData)) ||
+      (pending && resolveClarification(input, pending)) ||
+      (await validateStepInput(input, step));
+
+    if (!result.isValid) {
+      await sendMessage(
+        user.phoneNumber,
+        result.errorMessage || step.error_message
+      );
+      return true;
+    }
+
+    if (result.needsClarification) {
+      flowData.pendingClarification = {
+        type: result.clarificationType,
+        data: result.data
+      };
+      await setUserSession(user.phoneNumber, {
+        currentFlow: session.currentFlow,
+        currentStep: session.currentStep,
+        flowData
+      });
+      await sendClarification(user.phoneNumber, result);
+      return true;
+    }
+
+    delete flowData.pendingClarification;
+    if (step.data_key) {
+      flowData[step.data_key] = result.cleanedValue;
+    }
+    Object.assign(flowData, result.extraData || {});
+
+    if (
+      step.action === 'complete_profile' ||
+      step.action === 'save_person'
+    ) {
+      if (result.cleanedValue.toLowerCase() === 'no') {
+        // Start over so every answer can be corrected; what the flow was
+        // started with stays
+        const { editing, personId, returnTo } = flowData;
+        const restart = {
+          currentFlow: session.currentFlow,
+          currentStep: flow.start_step,
+          flowData:
+            step.action === 'save_person' ?
+              { editing, personId, returnTo } :
+              {}
+        };
+        await setUserSession(user.phoneNumber, restart);
+        await sendStepPrompt(
+          user.phoneNumber,
+          flow.steps[flow.start_step],
+          restart.flowData
+        );
+        return true;
+      }
+      if (step.action === 'save_person') {
+        return await savePerson(user, session, flow, flowData);
+      }
+
+      const updatedUser = await completeProfile(user, flowData);
+      await deleteUserSession(user.phoneNumber);
+      await sendMessage(
+        user.phoneNumber,
+        `🎉 *Your cosmic profile is complete!*\n\n🌍 Birth place: ${flowData.birthPlace}\n\nYour readings will now use your exact birth location and local time.`
+      );
+      await applyOnboardingReferral(user.phoneNumber, flowData.referralCode);
+      await executeMenuAction(user.phoneNumber, updatedUser, 'show_main_menu');
+      return true;
+    }
+
+    if (step.action) {
+      await executeMenuAction(user.phoneNumber, user, step.action);
+    }
+
+    // A corrected answer goes straight back to where it was asked from
+    const nextStepId = flowData.resumeStep || step.next_step;
+    delete flowData.resumeStep;
+    const nextStep = nextStepId && flow.steps[nextStepId];
+    if (!nextStep) {
+      await deleteUserSession(user.phoneNumber);
+      return true;
     }
 
-    // Process the message based on current step
-    // TODO: Implement step processing logic
+    await setUserSession(user.phoneNumber, {
+      currentFlow: session.currentFlow,
+      currentStep: nextStepId,
+      flowData
+    });
+    await sendStepPrompt(user.phoneNumber, nextStep, flowData);
 
     return true;
   } catch (error) {
@@ -303,5 +912,7 @@ const processFlowMessage = async(message, user, flowId) => {
 };
 
 module.exports = {
-  processFlowMessage
+  processFlowMessage,
+  startFlow,
+  validateStepInput
 };
@@ -2,10 +2,15 @@ const fs = require('fs');
 const path = require('path');
 const TranslationService = require('../services/i18n/TranslationService');
 const logger = require('../utils/logger');
+const { getStateNamespace } = require('../services/state');
 
 const MENU_CONFIG_PATH = path.join(__dirname, 'menuConfig.json');
 let menuConfigurations = {};
-const userLanguageCache = new Map(); // Cache for translated menus
+// Cache for translated menus, built from this instance's own config files
+const userLanguageCache = getStateNamespace('translated_menus', {
+  ttlMs: 30 * 60 * 1000,
+  local: true
+});
 
 /**
  * Loads base menu configurations from menuConfig.json.
@@ -39,8 +44,9 @@ const getTranslatedMenu = async(menuId, languageCode = 'en') => {
     const cacheKey = `${menuId}_${languageCode}`;
 
     // Check cache first
-    if (userLanguageCache.has(cacheKey)) {
-      return userLanguageCache.get(cacheKey);
+    const cached = await userLanguageCache.get(cacheKey);
+    if (cached) {
+      return cached;
     }
 
     // Get base menu configuration
@@ -57,13 +63,7 @@ const getTranslatedMenu = async(menuId, languageCode = 'en') => {
     await translateMenuFields(translatedMenu, languageCode);
 
     // Cache the translated menu
-    userLanguageCache.set(cacheKey, translatedMenu);
-
-    // Limit cache size
-    if (userLanguageCache.size > 50) {
-      const firstKey = userLanguageCache.keys().next().value;
-      userLanguageCache.delete(firstKey);
-    }
+    await userLanguageCache.set(cacheKey, translatedMenu);
 
     return translatedMenu;
   } catch (error) {
@@ -114,8 +114,8 @@ const translateMenuFields = async(menu, languageCode) => {
 /**
  * Clears the translation cache (useful for development/testing).
  */
-const clearTranslationCache = () => {
-  userLanguageCache.clear();
+const clearTranslationCache = async() => {
+  await userLanguageCache.clear();
   logger.info('Menu translation cache cleared');
 };
 
@@ -128,11 +128,11 @@ const getMenu = menuId => menuConfigurations[menuId];
 
 /**
  * Gets cache statistics for monitoring.
- * @returns {Object} Cache statistics.
+ * @returns {Promise<Object>} Cache statistics.
  */
-const getCacheStats = () => ({
+const getCacheStats = async() => ({
   baseMenusLoaded: Object.keys(menuConfigurations).length,
-  cachedMenus: userLanguageCache.size,
+  cachedMenus: await userLanguageCache.count(),
   supportedLanguages: TranslationService.getSupportedLanguages().length
 });
 
@@ -25,14 +25,8 @@ class BasicBirthChartService extends ServiceTemplate {
    */
   async processCalculation(birthData, options = {}) {
     try {
-      // Input validation
-      this._validateInput(birthData);
-
-      // Generate basic birth chart
-      const result = await this.generateBasicBirthChart(birthData, options);
-
-      // Format and return result
-      return this._formatResult(result);
+      // Input is validated and the result formatted by ServiceTemplate.execute
+      return await this.generateBasicBirthChart(birthData, options);
     } catch (error) {
       logger.error('BasicBirthChartService error:', error);
       throw new Error(`Basic birth chart generation failed: ${error.message}`);
@@ -98,8 +92,8 @@ class BasicBirthChartService extends ServiceTemplate {
       const basicChart = {
         birthDetails: fullKundli.birthDetails,
         ascendant: {
-          sign: fullKundli.ascendant.sign,
-          degree: fullKundli.ascendant.degree
+          sign: fullKundli.lagna.sign,
+          degree: fullKundli.lagna.longitude % 30
         },
         planets: this._extractBasicPlanets(fullKundli.planetaryPositions),
         houses: this._extractBasicHouses(fullKundli.houses),
@@ -131,8 +125,10 @@ class BasicBirthChartService extends ServiceTemplate {
     ];
 
     for (const planet of keyPlanets) {
-      if (planetaryPositions[planet]) {
-        const data = planetaryPositions[planet];
+      // Kundli positions are keyed in lower case ('sun')
+      const data =
+        planetaryPositions[planet] || planetaryPositions[planet.toLowerCase()];
+      if (data) {
         basicPlanets[planet] = {
           sign: data.sign,
           house: data.house,
@@ -664,6 +660,8 @@ class BasicBirthChartService extends ServiceTemplate {
     if (!timeRegex.test(birthTime)) {
       throw new Error('Birth time must be in HH:MM format');
     }
+
+    return input;
   }
 
   /**
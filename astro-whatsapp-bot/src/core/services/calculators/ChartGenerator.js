@@ -3,6 +3,14 @@ const sweph = require('sweph');
 const fs = require('fs'); // Keep fs for fs.constants
 const fsp = require('fs').promises; // Import fs.promises separately
 const path = require('path');
+const GeocodingService = require('../../../services/astrology/geocoding/GeocodingService');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
+
+const { SEFLG_SIDEREAL, SEFLG_SPEED } = sweph.constants;
 
 /**
  * Chart Generator Calculator
@@ -12,7 +20,7 @@ const path = require('path');
 class ChartGenerator {
   constructor(vedicCore, geocodingService) {
     this.vedicCore = vedicCore;
-    this.geocodingService = geocodingService;
+    this.geocodingService = geocodingService || new GeocodingService();
 
     // Initialize Swiss Ephemeris
     this._initializeSwissEphemeris();
@@ -54,13 +62,7 @@ class ChartGenerator {
         logger.warn('⚠️ No ephemeris path found for ChartGenerator');
       }
 
-      // Set ayanamsa for Vedic calculations
-      try {
-        sweph.set_sid_mode(1, 0, 0); // Lahiri ayanamsa
-        logger.info('Lahiri ayanamsa set for Vedic calculations');
-      } catch (ayanamsaError) {
-        logger.warn('Could not set ayanamsa:', ayanamsaError.message);
-      }
+      // The ayanamsa is selected per chart from the user's chart settings
     } catch (error) {
       logger.error(
         '❌ Critical error initializing Swiss Ephemeris in ChartGenerator:',
@@ -94,25 +96,28 @@ class ChartGenerator {
       const parsedDate = this._parseBirthDate(birthDate);
       const parsedTime = this._parseBirthTime(birthTime);
 
-      // Get coordinates and timezone
-      const coordinates =
-        await this.geocodingService.getCoordinates(birthPlace);
+      // Ayanamsa and house system chosen by the user (equal houses by default)
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'equal'
+      });
+      const chartData = { ...birthData, chartSettings };
 
-      // Generate basic chart first to get lagna
-      const basicChart = await this.generateWesternBirthChart(birthData);
+      // Generate basic chart first to get lagna and cusps
+      const basicChart = await this.generateWesternBirthChart(chartData);
 
       // Store lagna for Vedic calculations
       this.lagnaLongitude = basicChart.ascendant.longitude;
 
-      // Calculate Vedic houses using traditional equal house system
+      // Calculate Vedic houses in the chosen house system
       const vedicHouses = this._calculateVedicHouses(
         this.lagnaLongitude,
-        coordinates.latitude
+        basicChart.houseCusps,
+        chartSettings
       );
 
       // Calculate all planetary positions with Vedic adjustments
-      const vedicPlanets = await this._calculateVedicPlanetaryPositions(
-        birthData,
+      const vedicPlanets = this._calculateVedicPlanetaryPositions(
+        basicChart,
         vedicHouses
       );
 
@@ -126,12 +131,12 @@ class ChartGenerator {
       try {
         if (this.services && this.services.calculateVargaChart) {
           navamsaChart = await this.services.calculateVargaChart(
-            birthData,
+            chartData,
             'D9'
           );
         }
         if (this.services && this.services.calculateVimshottariDasha) {
-          dashas = await this.services.calculateVimshottariDasha(birthData);
+          dashas = await this.services.calculateVimshottariDasha(chartData);
         }
       } catch (serviceError) {
         logger.warn(
@@ -142,17 +147,16 @@ class ChartGenerator {
 
       return {
         system: 'Vedic',
-        ayanamsa: 'Lahiri',
+        ayanamsa: chartSettings.ayanamsaName,
+        houseSystem: chartSettings.houseSystemName,
+        chartSettings,
         name,
         birthDetails: {
           date: birthDate,
           time: birthTime,
           place: birthPlace,
-          coordinates,
-          timezone: this._getTimezoneFromCoordinates(
-            coordinates.latitude,
-            coordinates.longitude
-          )
+          coordinates: basicChart.coordinates,
+          timezone: basicChart.timezone
         },
         lagna: {
           sign: basicChart.ascendant.sign,
@@ -233,13 +237,14 @@ class ChartGenerator {
   }
 
   /**
-   * Calculate Vedic houses using traditional equal house system
+   * Calculate Vedic houses in the chosen house system
    * @private
    * @param {number} lagnaLongitude - Lagna longitude
-   * @param {number} latitude - Birth latitude
+   * @param {Array<number>} houseCusps - Sidereal cusps from Swiss Ephemeris
+   * @param {Object} chartSettings - Resolved chart settings
    * @returns {Object} Vedic houses
    */
-  _calculateVedicHouses(lagnaLongitude, latitude) {
+  _calculateVedicHouses(lagnaLongitude, houseCusps, chartSettings) {
     const houses = {};
     const signs = [
       'Aries',
@@ -255,9 +260,15 @@ class ChartGenerator {
       'Aquarius',
       'Pisces'
     ];
+    const useCusps =
+      chartSettings.houseSystem !== 'equal' &&
+      Array.isArray(houseCusps) &&
+      houseCusps.length === 12;
 
     for (let i = 1; i <= 12; i++) {
-      const houseLongitude = (lagnaLongitude + (i - 1) * 30) % 360;
+      const houseLongitude = useCusps ?
+        houseCusps[i - 1] :
+        (lagnaLongitude + (i - 1) * 30) % 360;
       const signIndex = Math.floor(houseLongitude / 30);
 
       houses[i] = {
@@ -298,19 +309,16 @@ class ChartGenerator {
   /**
    * Calculate Vedic planetary positions with all dignities
    * @private
-   * @param {Object} birthData - Birth data
+   * @param {Object} siderealChart - Chart from generateWesternBirthChart
    * @param {Object} houses - Houses object
    * @returns {Object} Vedic planetary positions
    */
-  async _calculateVedicPlanetaryPositions(birthData, houses) {
-    const westernChart = await this.generateWesternBirthChart(birthData);
+  _calculateVedicPlanetaryPositions(siderealChart, houses) {
     const vedicPositions = {};
+    const cusps = Object.values(houses).map(house => house.longitude);
 
-    Object.entries(westernChart.planets).forEach(([planet, data]) => {
-      const house = this._getHouseFromLongitude(
-        data.longitude,
-        this._calculateHouseCusps(this.lagnaLongitude, westernChart.birthPlace)
-      );
+    Object.entries(siderealChart.planets).forEach(([planet, data]) => {
+      const house = this._getHouseFromLongitude(data.longitude, cusps);
       const dignity = this._calculatePlanetaryDignity(planet, data.sign);
 
       vedicPositions[planet] = {
@@ -331,21 +339,6 @@ class ChartGenerator {
     return vedicPositions;
   }
 
-  /**
-   * Calculate house cusps from lagna
-   * @private
-   * @param {number} lagnaLongitude - Lagna longitude
-   * @param {string} birthPlace - Birth place for latitude
-   * @returns {Array} House cusps
-   */
-  _calculateHouseCusps(lagnaLongitude, birthPlace) {
-    const cusps = [];
-    for (let i = 0; i < 12; i++) {
-      cusps.push((lagnaLongitude + i * 30) % 360);
-    }
-    return cusps;
-  }
-
   /**
    * Get house from longitude
    * @private
@@ -570,13 +563,14 @@ class ChartGenerator {
 
   /**
    * Generate Western birth chart
-   * @param {Object} birthData - Birth data object
-   * @param {string} houseSystem - House system to use
+   * @param {Object} birthData - Birth data object (may carry chartSettings or preferences)
+   * @param {string} houseSystem - House system when the user has not chosen one
    * @returns {Object} Western birth chart
    */
   async generateWesternBirthChart(birthData, houseSystem = 'P') {
     try {
       const { birthDate, birthTime, birthPlace, name } = birthData;
+      const chartSettings = resolveChartSettings(birthData, { houseSystem });
 
       // Parse birth date and time
       const parsedDate = this._parseBirthDate(birthDate);
@@ -585,14 +579,14 @@ class ChartGenerator {
       const { hour, minute } = parsedTime;
 
       // Get coordinates and timezone
-      const coordinates =
-        await this.geocodingService.getCoordinates(birthPlace);
-      const birthDateTime = new Date(year, month - 1, day, hour, minute);
-      const timestamp = birthDateTime.getTime();
-      const timezone = await this._getTimezoneFromCoordinates(
-        coordinates.latitude,
-        coordinates.longitude
-      );
+      const coordinates = await this._getBirthLocation(birthData);
+      const timezone = await this._getTimezoneFromCoordinates(coordinates, {
+        year,
+        month,
+        day,
+        hour,
+        minute
+      });
 
       // Calculate Julian Day with timezone correction
       const jd = this._dateToJulianDay(
@@ -602,32 +596,37 @@ class ChartGenerator {
         hour + minute / 60 - timezone
       );
 
-      // Calculate houses using Placidus system
+      // Calculate houses in the user's house system
       const houses = this._calculateHouses(
         jd,
         coordinates.latitude,
         coordinates.longitude,
-        houseSystem
+        chartSettings
       );
 
       // Calculate planetary positions
       const planets = {};
       const planetIds = {
-        sun: sweph.SE_SUN,
-        moon: sweph.SE_MOON,
-        mercury: sweph.SE_MERCURY,
-        venus: sweph.SE_VENUS,
-        mars: sweph.SE_MARS,
-        jupiter: sweph.SE_JUPITER,
-        saturn: sweph.SE_SATURN
+        sun: sweph.constants.SE_SUN,
+        moon: sweph.constants.SE_MOON,
+        mercury: sweph.constants.SE_MERCURY,
+        venus: sweph.constants.SE_VENUS,
+        mars: sweph.constants.SE_MARS,
+        jupiter: sweph.constants.SE_JUPITER,
+        saturn: sweph.constants.SE_SATURN
       };
 
+      // No await below: the sidereal mode must not change mid-chart
+      applySiderealMode(chartSettings);
       for (const [planetName, planetId] of Object.entries(planetIds)) {
         try {
-          const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
-          if (position && position.longitude !== undefined) {
-            const longitude = position.longitude[0] || position.longitude;
-            const speed = position.longitude[1] || position.speed || 0;
+          const position = sweph.calc(
+            jd,
+            planetId,
+            SEFLG_SIDEREAL | SEFLG_SPEED
+          );
+          if (position && position.flag >= 0) {
+            const [longitude, , , speed] = position.data;
 
             const signIndex = Math.floor(longitude / 30);
             const signs = [
@@ -684,6 +683,8 @@ class ChartGenerator {
         birthPlace,
         coordinates,
         timezone,
+        ayanamsa: chartSettings.ayanamsaName,
+        chartSettings,
         houseSystem: houses.system,
         ascendant: {
           sign: this._getSignFromLongitude(houses.ascendant),
@@ -712,27 +713,17 @@ class ChartGenerator {
    * @param {number} jd - Julian day
    * @param {number} latitude - Latitude
    * @param {number} longitude - Longitude
-   * @param {string} system - House system
+   * @param {Object} chartSettings - Resolved chart settings
    * @returns {Object} House data
    */
-  _calculateHouses(jd, latitude, longitude, system = 'P') {
+  _calculateHouses(jd, latitude, longitude, chartSettings) {
     try {
-      const houses = sweph.houses(jd, latitude, longitude, system);
-      return {
-        system,
-        ascendant: houses.ascendant || 0,
-        mc: houses.mc || 0,
-        houseCusps:
-          houses.house ||
-          new Array(12)
-            .fill(0)
-            .map((_, i) => (houses.ascendant + i * 30) % 360)
-      };
+      return calculateHouses(jd, latitude, longitude, chartSettings);
     } catch (error) {
       logger.warn('Error calculating houses, using default:', error.message);
       const ascendant = 0; // Default
       return {
-        system,
+        system: chartSettings.houseSystemName,
         ascendant,
         mc: (ascendant + 90) % 360,
         houseCusps: new Array(12)
@@ -890,14 +881,37 @@ class ChartGenerator {
   }
 
   /**
-   * Get timezone from coordinates
+   * Birthplace coordinates confirmed at onboarding, else geocoded from the
+   * place name
    * @private
-   * @param {number} latitude - Latitude
-   * @param {number} longitude - Longitude
-   * @returns {number} Timezone offset
+   * @param {Object} birthData - Birth data (birthPlace and optional
+   *   birthLatitude/birthLongitude/birthTimezone)
+   * @returns {Promise<Object>} { latitude, longitude, timezoneId }
+   */
+  async _getBirthLocation(birthData) {
+    if (birthData.birthLatitude != null && birthData.birthLongitude != null) {
+      return {
+        latitude: birthData.birthLatitude,
+        longitude: birthData.birthLongitude,
+        timezoneId: birthData.birthTimezone
+      };
+    }
+    return this.geocodingService.getCoordinates(birthData.birthPlace);
+  }
+
+  /**
+   * Get the historical UTC offset for the birth time at the birthplace
+   * @private
+   * @param {Object} coordinates - { latitude, longitude, timezoneId }
+   * @param {Object} localTime - { year, month, day, hour, minute }
+   * @returns {Promise<number>} Timezone offset in hours
    */
-  async _getTimezoneFromCoordinates(latitude, longitude) {
-    return 5.5; // Default IST - in production, use proper timezone API
+  async _getTimezoneFromCoordinates(coordinates, localTime) {
+    const { offset } = await this.geocodingService.getBirthTimezone(
+      coordinates,
+      localTime
+    );
+    return offset;
   }
 
   // ============================================================================
@@ -1,27 +1,115 @@
 const logger = require('../../../utils/logger');
-const sweph = require('sweph');
+const {
+  DashaService,
+  DASHA_SYSTEMS,
+  YEAR_MS,
+  getDashaService,
+  getDashaSystem
+} = require('../../../services/astrology/dasha');
+
+// Planets whose periods call for remedial practice
+const MALEFICS = ['sun', 'mars', 'saturn', 'rahu', 'ketu'];
+
+// Suitability ratings, weakest first
+const RATINGS = ['Poor', 'Fair', 'Good', 'Excellent'];
+
+// How each planet's period tends to show up in the areas of life
+const PLANET_THEMES = {
+  sun: {
+    opportunities: ['Recognition and authority', 'Government favour'],
+    challenges: ['Ego clashes', 'Friction with father or superiors'],
+    health: 'Heart, eyes and vitality',
+    career: 'Leadership, administration and public roles',
+    relationships: 'Self-assertion tests close bonds',
+    spiritual: 'Finding purpose through self-knowledge',
+    preparation: 'Build credibility and clarify long-term goals'
+  },
+  moon: {
+    opportunities: ['Emotional fulfilment', 'Public popularity'],
+    challenges: ['Mood swings', 'Restlessness and worry'],
+    health: 'Mind, sleep and fluids',
+    career: 'Caring, hospitality and public-facing work',
+    relationships: 'Home, mother and nurturing ties come first',
+    spiritual: 'Devotion and inner calm',
+    preparation: 'Settle your home base and emotional routines'
+  },
+  mars: {
+    opportunities: ['Courage to start ventures', 'Property and land'],
+    challenges: ['Anger and disputes', 'Accidents and injuries'],
+    health: 'Blood, muscles and injuries',
+    career: 'Engineering, defence, sport and competition',
+    relationships: 'Passion alongside quarrels with siblings',
+    spiritual: 'Discipline through action',
+    preparation: 'Channel energy into fitness and clear projects'
+  },
+  mercury: {
+    opportunities: ['Learning and new skills', 'Trade and commerce'],
+    challenges: ['Overthinking', 'Nervous strain'],
+    health: 'Nerves, skin and speech',
+    career: 'Business, writing, analysis and communication',
+    relationships: 'Friendship and conversation deepen bonds',
+    spiritual: 'Study of scripture and philosophy',
+    preparation: 'Upgrade skills and organise your finances'
+  },
+  jupiter: {
+    opportunities: ['Wisdom and higher learning', 'Children and wealth'],
+    challenges: ['Over-expansion', 'Complacency'],
+    health: 'Liver and weight',
+    career: 'Teaching, law, finance and advisory roles',
+    relationships: 'Marriage and children are blessed',
+    spiritual: 'Guidance from teachers and pilgrimage',
+    preparation: 'Seek mentors and plan for growth'
+  },
+  venus: {
+    opportunities: ['Love and marriage', 'Comforts and the arts'],
+    challenges: ['Indulgence', 'Overspending'],
+    health: 'Kidneys, reproductive system and skin',
+    career: 'Arts, design, beauty, luxury and entertainment',
+    relationships: 'Romance, marriage and harmony',
+    spiritual: 'Devotion through beauty and music',
+    preparation: 'Invest in relationships and creative work'
+  },
+  saturn: {
+    opportunities: ['Lasting achievement through effort', 'Maturity'],
+    challenges: ['Delays and burdens', 'Isolation and fatigue'],
+    health: 'Bones, joints and chronic conditions',
+    career: 'Steady work in service, industry and structure',
+    relationships: 'Duty and commitment are tested',
+    spiritual: 'Detachment and service',
+    preparation: 'Reduce debts and build disciplined habits'
+  },
+  rahu: {
+    opportunities: ['Sudden rise and ambition', 'Foreign connections'],
+    challenges: ['Confusion and deception', 'Obsessions'],
+    health: 'Hard-to-diagnose ailments and anxiety',
+    career: 'Technology, foreign trade and unconventional paths',
+    relationships: 'Unusual attachments and upheavals',
+    spiritual: 'Breaking illusions',
+    preparation: 'Stay grounded and verify before you commit'
+  },
+  ketu: {
+    opportunities: ['Spiritual insight', 'Research and intuition'],
+    challenges: ['Detachment and loss', 'Sudden endings'],
+    health: 'Mysterious ailments and infections',
+    career: 'Research, healing and behind-the-scenes work',
+    relationships: 'Withdrawal and karmic bonds',
+    spiritual: 'Liberation and meditation',
+    preparation: 'Simplify and let go of what has run its course'
+  }
+};
 
 /**
  * Dasha Analysis Calculator
- * Implements comprehensive Vimshottari Dasha system with planetary period calculations
+ * Vimshottari Dasha analysis over the dasha framework
+ * (services/astrology/dasha): the running Maha and Antara Dashas from the
+ * Moon's nakshatra, upcoming Maha Dashas and their practical effects
  */
 class DashaAnalysisCalculator {
   constructor(astrologer, geocodingService) {
     this.astrologer = astrologer;
     this.geocodingService = geocodingService;
-
-    // Vimshottari Dasha periods and lords
-    this.vinshottariPeriods = [
-      { lord: 'ketu', years: 7 },
-      { lord: 'venus', years: 20 },
-      { lord: 'sun', years: 6 },
-      { lord: 'moon', years: 10 },
-      { lord: 'mars', years: 7 },
-      { lord: 'rahu', years: 18 },
-      { lord: 'jupiter', years: 16 },
-      { lord: 'saturn', years: 19 },
-      { lord: 'mercury', years: 17 }
-    ];
+    this.system = getDashaSystem('vimshottari');
+    this.dashaService = this._createDashaService(geocodingService);
   }
 
   /**
@@ -29,14 +117,18 @@ class DashaAnalysisCalculator {
    */
   setServices(services) {
     this.services = services;
+    if (services && services.geocodingService) {
+      this.dashaService = this._createDashaService(services.geocodingService);
+    }
   }
 
   /**
    * Calculate complete Vimshottari Dasha analysis
    * @param {Object} birthData - Birth data object
+   * @param {Date} now - Moment for the running periods
    * @returns {Object} Comprehensive Dasha analysis
    */
-  async calculateVimshottariDasha(birthData) {
+  async calculateVimshottariDasha(birthData, now = new Date()) {
     try {
       const { birthDate, birthTime, birthPlace, name } = birthData;
 
@@ -44,38 +136,24 @@ class DashaAnalysisCalculator {
         return { error: 'Complete birth details required for Dasha analysis' };
       }
 
-      // Parse birth details
-      const [day, month, year] = birthDate.split('/').map(Number);
-      const [hour, minute] = birthTime.split(':').map(Number);
-
-      // Get coordinates and timezone
-      const [latitude, longitude] =
-        await this._getCoordinatesForPlace(birthPlace);
-      const birthDateTime = new Date(year, month - 1, day, hour, minute);
-      const timestamp = birthDateTime.getTime();
-      const timezone = await this._getTimezoneForPlace(
-        latitude,
-        longitude,
-        timestamp
-      );
+      const natal = await this.dashaService.natal(birthData);
+      const [maha, antara] = this._currentPeriods(natal, now);
 
       // Calculate natal dasha position
-      const dashaPosition = this._calculateDashaPosition(birthDateTime);
-
-      // Calculate current maha dasha (major period)
-      const currentDasha = this._calculateCurrentMahaDasha(birthDateTime);
-
-      // Calculate current antara dasha (sub-period)
-      const currentAntara = this._calculateCurrentAntaraDasha(
-        birthDateTime,
-        currentDasha
-      );
+      const dashaPosition = this._calculateDashaPosition(natal);
+
+      // Current maha dasha (major period) and antara dasha (sub-period)
+      const currentDasha = this._describePeriod(maha, now);
+      const currentAntara = {
+        ...this._describePeriod(antara, now),
+        significance: this._getAntaraSignificance(
+          currentDasha.lord,
+          antara.lord.toLowerCase()
+        )
+      };
 
       // Calculate upcoming maha dashas
-      const upcomingDashas = this._calculateUpcomingMahaDashas(
-        birthDateTime,
-        currentDasha
-      );
+      const upcomingDashas = this._calculateUpcomingMahaDashas(natal, maha);
 
       // Analyze dasha effects and significances
       const dashaEffects = this._analyzeDashaEffects(
@@ -84,7 +162,7 @@ class DashaAnalysisCalculator {
       );
 
       // Calculate dasha periods suitable for activities
-      const activitySuigibilies = this._calculateActivitySuitabilities(
+      const activitySuitabilities = this._calculateActivitySuitabilities(
         currentDasha,
         currentAntara
       );
@@ -101,8 +179,8 @@ class DashaAnalysisCalculator {
           date: birthDate,
           time: birthTime,
           place: birthPlace,
-          coordinates: { latitude, longitude },
-          timezone
+          coordinates: natal.location,
+          timezone: natal.utcOffset
         },
         dashaPosition,
         currentDasha,
@@ -126,26 +204,17 @@ class DashaAnalysisCalculator {
   /**
    * Get detailed current dasha influences
    */
-  async getCurrentDashaInfluences(birthData) {
+  async getCurrentDashaInfluences(birthData, now = new Date()) {
     try {
-      const { birthDate, birthTime } = birthData;
-      const [day, month, year] = birthDate.split('/').map(Number);
-      const [hour, minute] = birthTime.split(':').map(Number);
-      const birthDateTime = new Date(year, month - 1, day, hour, minute);
-
-      const currentDasha = this._calculateCurrentMahaDasha(birthDateTime);
-      const currentAntara = this._calculateCurrentAntaraDasha(
-        birthDateTime,
-        currentDasha
-      );
+      const natal = await this.dashaService.natal(birthData);
+      const [maha, antara] = this._currentPeriods(natal, now);
+      const currentDasha = this._describePeriod(maha, now);
+      const currentAntara = this._describePeriod(antara, now);
 
       return {
         mahaDasha: currentDasha.name,
         antaraDasha: currentAntara.name,
-        combinedInfluence: this._analyzeCombinedInfluence(
-          currentDasha,
-          currentAntara
-        ),
+        combinedInfluence: this._combineInfluences(currentDasha, currentAntara),
         dominantThemes: this._getDashaThemes(currentDasha, currentAntara),
         practicalityRating: this._calculatePracticalityRating(
           currentDasha,
@@ -161,19 +230,10 @@ class DashaAnalysisCalculator {
   /**
    * Calculate when next favorable dasha begins
    */
-  async calculateNextFavorableDasha(birthData, activity) {
+  async calculateNextFavorableDasha(birthData, activity, now = new Date()) {
     try {
-      const { birthDate, birthTime } = birthData;
-      const [day, month, year] = birthDate.split('/').map(Number);
-      const [hour, minute] = birthTime.split(':').map(Number);
-      const birthDateTime = new Date(year, month - 1, day, hour, minute);
-
-      const currentDasha = this._calculateCurrentMahaDasha(birthDateTime);
-      const nextFavorable = this._findNextFavorableDasha(
-        birthDateTime,
-        currentDasha,
-        activity
-      );
+      const natal = await this.dashaService.natal(birthData);
+      const nextFavorable = this._findNextFavorableDasha(natal, now, activity);
 
       return (
         nextFavorable || {
@@ -188,89 +248,60 @@ class DashaAnalysisCalculator {
   }
 
   /**
-   * Calculate dasha position relative to birth date
+   * Dasha service over the framework systems
    * @private
    */
-  _calculateDashaPosition(birthDateTime) {
-    // Calculate which dasha cycle position we're in based on birth date
-    // This is a simplified calculation - in practice would involve lunar positions
-    const dayOfWeek = birthDateTime.getDay();
-    const dashaIndex = this._getDashaIndexFromWeekday(dayOfWeek);
-
-    return {
-      startingDasha: this.vinshottariPeriods[dashaIndex].lord,
-      cyclePosition: this.vinshottariPeriods[dashaIndex],
-      yearsIntoCycle: this._calculateYearsIntoCycle(birthDateTime, dashaIndex)
-    };
+  _createDashaService(geocodingService) {
+    return geocodingService ?
+      new DashaService({ systems: DASHA_SYSTEMS, geocodingService }) :
+      getDashaService();
   }
 
   /**
-   * Calculate current Maha Dasha
+   * Maha and Antara Dashas running at a moment
    * @private
    */
-  _calculateCurrentMahaDasha(birthDateTime) {
-    const yearsSinceBirth = Math.floor(
-      (Date.now() - birthDateTime.getTime()) / (365.25 * 24 * 60 * 60 * 1000)
-    );
-    const dashaPosition = this._calculateDashaPosition(birthDateTime);
-
-    // Find which dasha period we're currently in
-    let cumulativeYears = dashaPosition.yearsIntoCycle;
-    let dashaIndex = this._getDashaIndex(dashaPosition.startingDasha);
-
-    while (cumulativeYears <= yearsSinceBirth) {
-      const dashaYears = this.vinshottariPeriods[dashaIndex].years;
-      if (cumulativeYears + dashaYears <= yearsSinceBirth) {
-        cumulativeYears += dashaYears;
-        dashaIndex = (dashaIndex + 1) % this.vinshottariPeriods.length;
-      } else {
-        break;
-      }
+  _currentPeriods(natal, now) {
+    const chain = this.system.current(natal, now, 2);
+    if (chain.length < 2) {
+      throw new Error('Date lies outside the 120-year Vimshottari cycle');
     }
+    return chain;
+  }
 
-    const currentLord = this.vinshottariPeriods[dashaIndex].lord;
-    const yearsIntoCurrent = yearsSinceBirth - cumulativeYears;
-    const remainingYears =
-      this.vinshottariPeriods[dashaIndex].years - yearsIntoCurrent;
+  /**
+   * Calculate dasha position at birth
+   * @private
+   */
+  _calculateDashaPosition(natal) {
+    const [first] = this.system.mahadashas(natal);
+    const lord = first.lord.toLowerCase();
 
     return {
-      lord: currentLord,
-      name: currentLord.charAt(0).toUpperCase() + currentLord.slice(1),
-      totalYears: this.vinshottariPeriods[dashaIndex].years,
-      yearsRemaining: remainingYears,
-      yearsCompleted: yearsIntoCurrent,
-      completionPercentage:
-        (yearsIntoCurrent / this.vinshottariPeriods[dashaIndex].years) * 100,
-      periodSignificance: this._getDashaSignificance(currentLord)
+      startingDasha: lord,
+      cyclePosition: { lord, years: Math.round(first.years) },
+      yearsIntoCycle: (natal.birth.getTime() - first.start.getTime()) / YEAR_MS
     };
   }
 
   /**
-   * Calculate current Antara Dasha (sub-period)
+   * Describe a framework period relative to a moment
    * @private
    */
-  _calculateCurrentAntaraDasha(birthDateTime, currentMahaDasha) {
-    // This is a complex calculation involving the Maha Dasha lord
-    // Simplified implementation
-    const yearsInDasha =
-      currentMahaDasha.totalYears - currentMahaDasha.yearsRemaining;
-    const proportionalPosition = yearsInDasha / currentMahaDasha.totalYears;
-
-    // Each Maha Dasha has sub-periods based on the same system but proportional
-    const subPeriodIndex = Math.floor(proportionalPosition * 9);
-
-    const subPeriodLord = this.vinshottariPeriods[subPeriodIndex].lord;
-    const subPeriodYears = this.vinshottariPeriods[subPeriodIndex].years;
-    const scaledSubYears = subPeriodYears * (currentMahaDasha.totalYears / 120); // Scale to Maha Dasha duration
+  _describePeriod(period, now) {
+    const lord = period.lord.toLowerCase();
+    const yearsCompleted = (now.getTime() - period.start.getTime()) / YEAR_MS;
 
     return {
-      lord: subPeriodLord,
-      name: subPeriodLord.charAt(0).toUpperCase() + subPeriodLord.slice(1),
-      totalYears: scaledSubYears,
-      significance: this._getAntaraSignificance(
-        subPeriodLord,
-        currentMahaDasha.lord
-      )
+      lord,
+      name: period.lord,
+      totalYears: period.years,
+      yearsRemaining: period.years - yearsCompleted,
+      yearsCompleted,
+      completionPercentage: (yearsCompleted / period.years) * 100,
+      startDate: period.start,
+      endDate: period.end,
+      periodSignificance: this._getDashaSignificance(lord)
     };
   }
 
@@ -278,34 +309,69 @@ class DashaAnalysisCalculator {
    * Calculate upcoming Maha Dashas
    * @private
    */
-  _calculateUpcomingMahaDashas(birthDateTime, currentDasha) {
-    const upcoming = [];
-    const currentIndex = this._getDashaIndex(currentDasha.lord);
+  _calculateUpcomingMahaDashas(natal, current) {
+    const [index] = current.path;
 
     // Get next 5 Maha Dashas
-    for (let i = 1; i <= 5; i++) {
-      const dashaIndex = (currentIndex + i) % this.vinshottariPeriods.length;
-      const dasha = this.vinshottariPeriods[dashaIndex];
-
-      const startYear = currentDasha.yearsRemaining;
-      for (let j = 1; j < i; j++) {
-        const prevIndex = (currentIndex + j) % this.vinshottariPeriods.length;
-        startYear += this.vinshottariPeriods[prevIndex].years;
-      }
-
-      upcoming.push({
-        lord: dasha.lord,
-        name: dasha.lord.charAt(0).toUpperCase() + dasha.lord.slice(1),
-        years: dasha.years,
-        startYear: Math.round(startYear),
-        significance: this._getDashaSignificance(dasha.lord),
-        preparationTip: this._getPreparationTip(dasha.lord)
+    return this.system
+      .mahadashas(natal)
+      .slice(index + 1, index + 6)
+      .map(dasha => {
+        const lord = dasha.lord.toLowerCase();
+        return {
+          lord,
+          name: dasha.lord,
+          years: Math.round(dasha.years),
+          startYear: dasha.start.getFullYear(),
+          startDate: dasha.start,
+          endDate: dasha.end,
+          significance: this._getDashaSignificance(lord),
+          preparationTip: this._getPreparationTip(lord)
+        };
       });
-    }
+  }
 
-    return upcoming;
+  /**
+   * First Antara Dasha from now whose combined rating for an activity is
+   * Good or better
+   * @private
+   */
+  _findNextFavorableDasha(natal, now, activity) {
+    const upcoming = this.system
+      .mahadashas(natal)
+      .filter(maha => maha.end > now);
+
+    for (const maha of upcoming) {
+      const mahaDasha = this._describePeriod(maha, now);
+      for (const antara of this.system.subPeriods(maha)) {
+        if (antara.end <= now) {
+          continue;
+        }
+        const antaraDasha = this._describePeriod(antara, now);
+        const rating = this._calculateActivitySuitabilities(
+          mahaDasha,
+          antaraDasha
+        )[activity];
+        if (!rating) {
+          return null; // Unknown activity
+        }
+        if (this._convertRatingToNumber(rating) >= 3) {
+          return {
+            activity,
+            rating,
+            mahaDasha: mahaDasha.name,
+            antaraDasha: antaraDasha.name,
+            startDate: antara.start,
+            endDate: antara.end,
+            isCurrent: antara.start <= now
+          };
+        }
+      }
+    }
+    return null;
   }
 
+
   /**
    * Analyze effects of current Dashas
    * @private
@@ -589,32 +655,97 @@ class DashaAnalysisCalculator {
   }
 
   // Helper methods
-  _getDashaIndex(lord) {
-    return this.vinshottariPeriods.findIndex(d => d.lord === lord);
-  }
-
-  _getDashaIndexFromWeekday(dayOfWeek) {
-    const lordMapping = [
-      'sun',
-      'moon',
-      'mars',
-      'mercury',
-      'jupiter',
-      'venus',
-      'saturn'
+  _combineInfluences(mahaDasha, antaraDasha) {
+    if (mahaDasha.lord === antaraDasha.lord) {
+      return `${mahaDasha.name} rules both periods, intensifying ${this._getDashaSignificance(mahaDasha.lord).toLowerCase()}`;
+    }
+    return `${mahaDasha.name} sets the agenda (${this._getDashaSignificance(mahaDasha.lord).toLowerCase()}) while ${antaraDasha.name} shapes the details (${this._getDashaSignificance(antaraDasha.lord).toLowerCase()})`;
+  }
+
+  _getDominantAreas(lord) {
+    return this._getDashaSignificance(lord)
+      .split(', ')
+      .map(area => area.charAt(0).toUpperCase() + area.slice(1));
+  }
+
+  _getDashaThemes(mahaDasha, antaraDasha) {
+    return [
+      ...new Set([
+        ...this._getDominantAreas(mahaDasha.lord),
+        ...this._getDominantAreas(antaraDasha.lord)
+      ])
     ];
-    return lordMapping[dayOfWeek] ?
-      this._getDashaIndex(lordMapping[dayOfWeek]) :
-      0;
   }
 
-  _calculateYearsIntoCycle(birthDateTime, dashaIndex) {
-    // Simplified calculation - would normally involve moon position
-    const moonPhaseDays = 13.75; // Approximate days into lunar cycle
-    const dashaPortion = moonPhaseDays / 27.3; // Convert to dasha cycle portion
-    return dashaPortion * 120; // Total Vimshottari cycle is 120 years
+  _getDashaChallenges(mahaLord, antaraLord) {
+    return this._collectThemes('challenges', mahaLord, antaraLord);
+  }
+
+  _getDashaOpportunities(mahaLord, antaraLord) {
+    return this._collectThemes('opportunities', mahaLord, antaraLord);
+  }
+
+  _collectThemes(kind, ...lords) {
+    const themes = lords.flatMap(lord => PLANET_THEMES[lord]?.[kind] || []);
+    return [...new Set(themes)];
+  }
+
+  _getHealthFocus(lord) {
+    return PLANET_THEMES[lord]?.health || 'General wellbeing';
+  }
+
+  _getCareerPath(mahaLord, antaraLord) {
+    const main =
+      PLANET_THEMES[mahaLord]?.career || 'Steady professional growth';
+    const sub = PLANET_THEMES[antaraLord]?.career;
+    return sub && antaraLord !== mahaLord ?
+      `${main}, with openings in ${sub.toLowerCase()}` :
+      main;
+  }
+
+  _getRelationshipTheme(lord) {
+    return PLANET_THEMES[lord]?.relationships || 'Balanced relationships';
+  }
+
+  _getSpiritualJourney(lord) {
+    return PLANET_THEMES[lord]?.spiritual || 'Steady inner growth';
+  }
+
+  _getPreparationTip(lord) {
+    return PLANET_THEMES[lord]?.preparation || 'Stay adaptable';
+  }
+
+  _getAntaraSignificance(mahaLord, antaraLord) {
+    const mahaName = mahaLord.charAt(0).toUpperCase() + mahaLord.slice(1);
+    return `${this._getDashaSignificance(antaraLord)}, within the ${mahaName} Maha Dasha`;
+  }
+
+  _isMaleficDasha(lord) {
+    return MALEFICS.includes(lord);
   }
 
+  _calculatePracticalityRating(mahaDasha, antaraDasha) {
+    const ratings = Object.values(
+      this._calculateActivitySuitabilities(mahaDasha, antaraDasha)
+    ).map(rating => this._convertRatingToNumber(rating));
+    return this._convertNumberToRating(
+      ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length
+    );
+  }
+
+  _convertRatingToNumber(rating) {
+    return RATINGS.indexOf(rating) + 1 || 2;
+  }
+
+  _convertNumberToRating(value) {
+    const index = Math.min(
+      RATINGS.length - 1,
+      Math.max(0, Math.round(value) - 1)
+    );
+    return RATINGS[index];
+  }
+
+
   _getDashaSignificance(lord) {
     const significances = {
       sun: 'Authority, leadership, father, vitality',
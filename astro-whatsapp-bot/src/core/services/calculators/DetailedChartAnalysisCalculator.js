@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Detailed Chart Analysis Calculator
@@ -59,7 +64,8 @@ class DetailedChartAnalysisCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Raj & Dhan Yogas analysis
@@ -168,7 +174,8 @@ class DetailedChartAnalysisCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const chart = {
       planets: {},
@@ -203,6 +210,7 @@ class DetailedChartAnalysisCalculator {
       ketu: sweph.SE_MEAN_APOG
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       const position = sweph.calc(
         jd,
@@ -228,7 +236,7 @@ class DetailedChartAnalysisCalculator {
     }
 
     // Calculate houses
-    const houses = sweph.houses(jd, latitude, longitude, 'E'); // Equal houses
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings); // Equal houses
     chart.ascendant = {
       longitude: houses.ascendant,
       sign: Math.floor(houses.ascendant / 30) + 1,
@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Detailed Chart Calculator
@@ -33,6 +38,9 @@ class DetailedChartCalculator {
           error: 'Complete birth details required for detailed chart analysis'
         };
       }
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'equal'
+      });
 
       // Parse birth date and time
       const [day, month, year] = birthDate.split('/').map(Number);
@@ -58,7 +66,8 @@ class DetailedChartCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Calculate comprehensive aspects
@@ -148,7 +157,8 @@ class DetailedChartCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -176,6 +186,7 @@ class DetailedChartCalculator {
       ketu: sweph.SE_MEAN_APOG // Use mean apogee for Ketu
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       try {
         let position;
@@ -215,7 +226,8 @@ class DetailedChartCalculator {
           const [houses, ascendant] = this._calculateHousesPrecise(
             jd,
             latitude,
-            longitude
+            longitude,
+            chartSettings
           );
 
           natalPlanets[planetName] = {
@@ -240,7 +252,8 @@ class DetailedChartCalculator {
     const [houses, ascendant] = this._calculateHousesPrecise(
       jd,
       latitude,
-      longitude
+      longitude,
+      chartSettings
     );
 
     return {
@@ -735,9 +748,9 @@ class DetailedChartCalculator {
     return jd + (hour - 12) / 24;
   }
 
-  _calculateHousesPrecise(jd, latitude, longitude) {
+  _calculateHousesPrecise(jd, latitude, longitude, chartSettings) {
     try {
-      const houses = sweph.houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       return [houses.houseCusps, houses.ascendant];
     } catch (error) {
       // Return default house cusps
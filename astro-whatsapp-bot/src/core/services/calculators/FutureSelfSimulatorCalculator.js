@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Future Self Simulator Calculator
@@ -59,7 +64,8 @@ class FutureSelfSimulatorCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Calculate future date
@@ -506,7 +512,8 @@ class FutureSelfSimulatorCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     // Simplified natal chart calculation for baseline
     const jd = this._dateToJulianDay(
@@ -532,6 +539,7 @@ class FutureSelfSimulatorCalculator {
       ketu: sweph.SE_MEAN_APOG
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -544,13 +552,13 @@ class FutureSelfSimulatorCalculator {
     }
 
     // Calculate ascendant
-    const houses = sweph.houses(jd, latitude, longitude, 'E');
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings);
     planets.ascendant = {
       longitude: houses.ascendant || 0,
       sign: Math.floor((houses.ascendant || 0) / 30) + 1
     };
 
-    return { planets, houses: houses.houseCusps };
+    return { planets, houses: houses.houseCusps, chartSettings };
   }
 
   _calculateProgressedChart(natalChart, years) {
@@ -597,6 +605,7 @@ class FutureSelfSimulatorCalculator {
       ketu: sweph.SE_MEAN_APOG
     };
 
+    applySiderealMode(natalChart.chartSettings || resolveChartSettings());
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -1,5 +1,13 @@
 const logger = require('../../../utils/logger');
-const sweph = require('sweph');
+const {
+  resolveChartSettings
+} = require('../../../services/astrology/core/ChartSettings');
+const {
+  getEventFinder,
+  toDate
+} = require('../../../services/astrology/events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Gochar (Planetary Transit) Calculator
@@ -35,30 +43,29 @@ class GocharCalculator {
 
       // Get birth coordinates
       const [birthLat, birthLng] = await this._getCoordinates(birthPlace);
-      const birthJD = this._dateToJD(year, month, day, hour + minute / 60);
-
-      // Calculate current transit positions
-      const currentJD = this._dateToJD(
-        currentDate.getFullYear(),
-        currentDate.getMonth() + 1,
-        currentDate.getDate(),
-        currentDate.getHours() + currentDate.getMinutes() / 60
+      const birthInstant = toDate(
+        this._dateToJD(year, month, day, hour + minute / 60)
       );
+      const settings = resolveChartSettings(birthData);
 
       // Calculate transit aspects
       const transitAspects = await this._calculateTransitAspects(
-        birthJD,
-        currentJD
+        birthInstant,
+        currentDate,
+        settings
       );
 
       // Calculate transit periods
-      const transitPeriods = this._calculateTransitPeriods(currentDate);
+      const transitPeriods = this._calculateTransitPeriods(
+        currentDate,
+        settings
+      );
 
       // Analyze transit effects on natal planets
       const transitEffects = await this._analyzeTransitEffects(
-        birthJD,
-        currentJD,
-        birthData
+        birthInstant,
+        currentDate,
+        settings
       );
 
       return {
@@ -79,7 +86,7 @@ class GocharCalculator {
    * Calculate aspects between transiting planets and natal positions
    * @private
    */
-  async _calculateTransitAspects(birthJD, currentJD) {
+  async _calculateTransitAspects(birthInstant, currentDate, settings) {
     const aspects = [];
     const planets = [
       'Sun',
@@ -93,8 +100,8 @@ class GocharCalculator {
 
     for (const planet of planets) {
       try {
-        const natalPos = sweph.calc(birthJD, this._getPlanetId(planet));
-        const transitPos = sweph.calc(currentJD, this._getPlanetId(planet));
+        const natalPos = this._positionAt(planet, birthInstant, settings);
+        const transitPos = this._positionAt(planet, currentDate, settings);
 
         if (natalPos.longitude && transitPos.longitude) {
           const angle = Math.abs(
@@ -125,9 +132,10 @@ class GocharCalculator {
 
           // Inter-planet aspects (transiting planet aspecting other natal planets)
           for (const natalPlanet of planets.filter(p => p !== planet)) {
-            const natalPos2 = sweph.calc(
-              birthJD,
-              this._getPlanetId(natalPlanet)
+            const natalPos2 = this._positionAt(
+              natalPlanet,
+              birthInstant,
+              settings
             );
             if (natalPos2.longitude) {
               const interAngle = Math.abs(
@@ -169,48 +177,20 @@ class GocharCalculator {
    * Calculate current transit periods (like Saturn in signs)
    * @private
    */
-  _calculateTransitPeriods(currentDate) {
+  _calculateTransitPeriods(currentDate, settings) {
     const periods = {};
     const planets = ['Saturn', 'Jupiter', 'Mars'];
 
-    const currentJD = this._dateToJD(
-      currentDate.getFullYear(),
-      currentDate.getMonth() + 1,
-      currentDate.getDate(),
-      12
-    );
-
     for (const planet of planets) {
       try {
-        const position = sweph.calc(currentJD, this._getPlanetId(planet));
-        if (position.longitude !== undefined) {
-          const signIndex = Math.floor(position.longitude / 30);
-          const signs = [
-            'Aries',
-            'Taurus',
-            'Gemini',
-            'Cancer',
-            'Leo',
-            'Virgo',
-            'Libra',
-            'Scorpio',
-            'Sagittarius',
-            'Capricorn',
-            'Aquarius',
-            'Pisces'
-          ];
-
-          periods[planet.toLowerCase()] = {
-            currentSign: signs[signIndex],
-            longitude: position.longitude,
-            house: this._getSignHouse(signs[signIndex]),
-            periodRemaining: this._estimateTransitPeriod(
-              planet,
-              signIndex,
-              position.longitude
-            )
-          };
-        }
+        const position = this._positionAt(planet, currentDate, settings);
+        periods[planet.toLowerCase()] = {
+          currentSign: position.signName,
+          longitude: position.longitude,
+          retrograde: position.retrograde,
+          house: this._getSignHouse(position.signName),
+          periodRemaining: this._findSignExit(planet, currentDate, settings)
+        };
       } catch (error) {
         logger.warn(`Error calculating period for ${planet}:`, error.message);
       }
@@ -223,7 +203,7 @@ class GocharCalculator {
    * Analyze transit effects on natal chart
    * @private
    */
-  async _analyzeTransitEffects(birthJD, currentJD, birthData) {
+  async _analyzeTransitEffects(birthInstant, currentDate, settings) {
     const effects = {
       beneficial: [],
       challenging: [],
@@ -231,39 +211,17 @@ class GocharCalculator {
     };
 
     // Get current moon sign
-    const moonPos = sweph.calc(currentJD, sweph.SE_MOON);
-    if (moonPos.longitude !== undefined) {
-      const signIndex = Math.floor(moonPos.longitude / 30);
-      const signs = [
-        'Aries',
-        'Taurus',
-        'Gemini',
-        'Cancer',
-        'Leo',
-        'Virgo',
-        'Libra',
-        'Scorpio',
-        'Sagittarius',
-        'Capricorn',
-        'Aquarius',
-        'Pisces'
-      ];
-
-      effects.moonSign = signs[signIndex];
-      effects.moonInauspicious = this._checkMoonInauspicious(signs[signIndex]);
-    }
+    const moonPos = this._positionAt('Moon', currentDate, settings);
+    effects.moonSign = moonPos.signName;
+    effects.moonInauspicious = this._checkMoonInauspicious(moonPos.signName);
 
     // Check for major transit triggers
-    const saturnPos = sweph.calc(currentJD, sweph.SE_SATURN);
-    if (saturnPos.longitude !== undefined) {
-      const saturnSign = Math.floor(saturnPos.longitude / 30);
-
-      if (saturnSign === 6 || saturnSign === 7) {
-        // Leo or Virgo
-        effects.challenging.push(
-          'Saturn transit through challenging signs requiring discipline'
-        );
-      }
+    const saturnSign = this._positionAt('Saturn', currentDate, settings).sign;
+    if (saturnSign === 6 || saturnSign === 7) {
+      // Leo or Virgo
+      effects.challenging.push(
+        'Saturn transit through challenging signs requiring discipline'
+      );
     }
 
     return effects;
@@ -377,27 +335,25 @@ class GocharCalculator {
   }
 
   /**
-   * Estimate remaining time in sign
+   * When the planet leaves its sign: the exact next ingress, which goes
+   * back a sign if it comes while the planet is retrograde
    * @private
    */
-  _estimateTransitPeriod(planet, signIndex, longitude) {
-    const degreesRemaining = 30 - (longitude % 30);
-    const planetSpeeds = {
-      // degrees per day approximation
-      Saturn: 0.033,
-      Jupiter: 0.083,
-      Mars: 0.524
-    };
-
-    const speed = planetSpeeds[planet] || 0.1;
-    const daysRemaining = Math.round(degreesRemaining / speed);
+  _findSignExit(planet, currentDate, settings) {
+    const exit = getEventFinder().nextIngress(planet.toLowerCase(), {
+      start: currentDate,
+      settings
+    });
+    if (!exit) {
+      return null;
+    }
 
     return {
-      degreesRemaining: Math.round(degreesRemaining * 100) / 100,
-      daysRemaining,
-      exitDate: new Date(Date.now() + daysRemaining * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split('T')[0]
+      daysRemaining: Math.ceil((exit.at - currentDate) / DAY_MS),
+      exitAt: exit.at.toISOString(),
+      exitDate: exit.at.toISOString().split('T')[0],
+      nextSign: exit.toName,
+      retrograde: exit.retrograde
     };
   }
 
@@ -466,17 +422,14 @@ class GocharCalculator {
     return guidance;
   }
 
-  _getPlanetId(planet) {
-    const ids = {
-      Sun: sweph.SE_SUN,
-      Moon: sweph.SE_MOON,
-      Mercury: sweph.SE_MERCURY,
-      Venus: sweph.SE_VENUS,
-      Mars: sweph.SE_MARS,
-      Jupiter: sweph.SE_JUPITER,
-      Saturn: sweph.SE_SATURN
-    };
-    return ids[planet] || sweph.SE_SUN;
+  /**
+   * Sidereal position of a planet at an instant
+   * @private
+   */
+  _positionAt(planet, instant, settings) {
+    return getEventFinder().position(planet.toLowerCase(), instant, {
+      settings
+    });
   }
 
   _normalizeAngle(angle) {
@@ -496,7 +449,8 @@ class GocharCalculator {
       Math.floor(y / 100) +
       Math.floor(y / 400) -
       32045;
-    return jd + hour / 24;
+    // The day number counts from noon
+    return jd - 0.5 + hour / 24;
   }
 
   async _getCoordinates(place) {
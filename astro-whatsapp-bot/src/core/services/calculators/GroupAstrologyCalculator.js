@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Group Astrology Calculator
@@ -34,8 +39,17 @@ class GroupAstrologyCalculator {
         };
       }
 
+      // Everyone in the group is cast with the requester's chart settings
+      const chartSettings = resolveChartSettings(
+        requestData.chartSettings ? requestData : people[0],
+        { houseSystem: 'equal' }
+      );
+
       // Calculate individual charts
-      const individualCharts = await this._calculateIndividualCharts(people);
+      const individualCharts = await this._calculateIndividualCharts(
+        people,
+        chartSettings
+      );
 
       // Generate comparative analysis based on type
       let comparativeAnalysis = {};
@@ -89,7 +103,7 @@ class GroupAstrologyCalculator {
   /**
    * Calculate individual charts for all people
    */
-  async _calculateIndividualCharts(people) {
+  async _calculateIndividualCharts(people, chartSettings) {
     const charts = {};
 
     for (let i = 0; i < people.length; i++) {
@@ -123,7 +137,8 @@ class GroupAstrologyCalculator {
           latitude,
           longitude,
           timezone,
-          name
+          name,
+          chartSettings
         );
 
         // Add personality profile
@@ -639,7 +654,8 @@ class GroupAstrologyCalculator {
     latitude,
     longitude,
     timezone,
-    name
+    name,
+    chartSettings
   ) {
     // Similar to individual calculators - create basic planetary configuration
     const jd = this._dateToJulianDay(
@@ -662,6 +678,7 @@ class GroupAstrologyCalculator {
       ketu: sweph.SE_MEAN_APOG
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -674,7 +691,7 @@ class GroupAstrologyCalculator {
     }
 
     // Calculate ascendant
-    const houses = sweph.houses(jd, latitude, longitude, 'E');
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings);
     planets.ascendant = {
       longitude: houses.ascendant || 0,
       sign: Math.floor((houses.ascendant || 0) / 30) + 1
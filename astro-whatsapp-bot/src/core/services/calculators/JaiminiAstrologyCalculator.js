@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Jaimini Astrology Calculator
@@ -81,7 +86,8 @@ class JaiminiAstrologyCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Calculate Atma Karaka (highest degree planet)
@@ -185,7 +191,8 @@ class JaiminiAstrologyCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -215,6 +222,7 @@ class JaiminiAstrologyCalculator {
       saturn: sweph.SE_SATURN,
     };
 
+    applySiderealMode(chartSettings);
     for (const planet of planets) {
       const position = sweph.calc(jd, planetIds[planet], sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -228,7 +236,7 @@ class JaiminiAstrologyCalculator {
     }
 
     // Calculate ascendant
-    const houses = sweph.houses(jd, latitude, longitude, 'E');
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings);
     natalPlanets.ascendant = {
       longitude: houses.ascendant,
       sign: Math.floor(houses.ascendant / 30) + 1,
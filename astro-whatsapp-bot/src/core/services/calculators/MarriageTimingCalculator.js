@@ -1,6 +1,12 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
 const path = require('path');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  getAyanamsa,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Marriage Timing Calculator
@@ -61,6 +67,9 @@ class MarriageTimingCalculator {
       const [latitude, longitude] =
         await this._getCoordinatesForPlace(birthPlace);
       const timezone = await this._getTimezoneForPlace(latitude, longitude);
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'equal'
+      });
 
       // Calculate natal chart using Swiss Ephemeris
       const natalChart = await this._calculateNatalChart(
@@ -71,7 +80,8 @@ class MarriageTimingCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Comprehensive analysis
@@ -115,7 +125,8 @@ class MarriageTimingCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings = resolveChartSettings()
   ) {
     try {
       // Convert to Julian Day
@@ -141,7 +152,8 @@ class MarriageTimingCalculator {
         ketu: sweph.SE_OSCU_APOG + 1 // Ketu is opposite of Rahu
       };
 
-      // Calculate planetary positions
+      // Calculate planetary positions in the user's ayanamsa
+      applySiderealMode(chartSettings);
       for (const [planetName, planetId] of Object.entries(planetIds)) {
         try {
           const position = sweph.swe_calc_ut(
@@ -172,8 +184,13 @@ class MarriageTimingCalculator {
         }
       }
 
-      // Calculate houses using whole sign or equal house system
-      const houses = this._calculateHouses(jd, latitude, longitude);
+      // Calculate houses in the user's house system
+      const houses = this._calculateHouses(
+        jd,
+        latitude,
+        longitude,
+        chartSettings
+      );
       planets.ascendant = houses.ascendant;
       planets.midheaven = houses.midheaven;
 
@@ -193,7 +210,8 @@ class MarriageTimingCalculator {
         date: { year, month, day, hour, minute },
         location: { latitude, longitude, timezone },
         jd,
-        ayanamsa: this._calculateAyanamsa(jd)
+        chartSettings,
+        ayanamsa: this._calculateAyanamsa(jd, chartSettings)
       };
     } catch (error) {
       logger.error('Error calculating natal chart:', error);
@@ -211,23 +229,16 @@ class MarriageTimingCalculator {
   }
 
   /**
-   * Calculate houses using whole sign system
+   * Calculate the ascendant and midheaven in the chosen house system
    */
-  _calculateHouses(jd, latitude, longitude) {
+  _calculateHouses(jd, latitude, longitude, chartSettings) {
     try {
-      // Ascendant calculation
-      const ascendantResult = sweph.swe_houses(jd, latitude, longitude, 'E');
-      const ascendant = ascendantResult ? ascendantResult.ascendant : 0;
-
-      // Midheaven calculation
-      const midheavenResult = sweph.swe_calc_ut(
-        jd,
-        sweph.SE_MIDHEAVEN,
-        sweph.SEFLG_SIDEREAL | sweph.SEFLG_EQUATORIAL
-      );
-      const midheaven = midheavenResult ? midheavenResult.longitude[0] : 0;
+      const { ascendant, mc: midheaven, houseCusps, system } =
+        calculateHouses(jd, latitude, longitude, chartSettings);
 
       return {
+        system,
+        cusps: houseCusps,
         ascendant: {
           longitude: ascendant,
           sign: Math.floor(ascendant / 30) + 1,
@@ -317,14 +328,17 @@ class MarriageTimingCalculator {
   }
 
   /**
-   * Calculate ayanamsa (precession correction)
+   * Calculate ayanamsa (precession correction) for the user's ayanamsa
    */
-  _calculateAyanamsa(jd) {
+  _calculateAyanamsa(jd, chartSettings) {
     try {
-      return sweph.swe_get_ayanamsa_ut(jd);
+      return getAyanamsa(jd, chartSettings);
     } catch (error) {
-      logger.warn('Could not calculate ayanamsa');
-      return 23.5; // Default Lahiri ayanamsa
+      logger.warn(
+        `Could not calculate ${chartSettings.ayanamsaName} ayanamsa:`,
+        error.message
+      );
+      return null;
     }
   }
 
@@ -1055,7 +1069,8 @@ class MarriageTimingCalculator {
         12
       );
 
-      // Get current Jupiter, Venus, Saturn positions
+      // Get current Jupiter, Venus, Saturn positions in the natal ayanamsa
+      applySiderealMode(natalChart.chartSettings || resolveChartSettings());
       const jupiterTrans = sweph.swe_calc_ut(
         currentJd,
         sweph.SE_JUPITER,
@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Muhurta Calculator
@@ -120,6 +125,9 @@ class MuhurtaCalculator {
     try {
       const { activity, preferredDate, birthData, location, timeWindow } =
         requestData;
+      const chartSettings = resolveChartSettings(birthData || requestData, {
+        houseSystem: 'equal'
+      });
 
       if (!activity || !preferredDate || !location) {
         return {
@@ -151,7 +159,8 @@ class MuhurtaCalculator {
         latitude,
         longitude,
         timezone,
-        activity
+        activity,
+        chartSettings
       );
 
       // Analyze optimal time slots within the day
@@ -164,7 +173,8 @@ class MuhurtaCalculator {
         timezone,
         latitude,
         longitude,
-        activity
+        activity,
+        chartSettings
       );
 
       // Check weekday suitability
@@ -220,7 +230,12 @@ class MuhurtaCalculator {
   /**
    * Find and recommend the best muhurta within a specified time window
    */
-  async recommendBestMuhurta(timeWindow, activity, location) {
+  async recommendBestMuhurta(
+    timeWindow,
+    activity,
+    location,
+    chartSettings = resolveChartSettings({}, { houseSystem: 'equal' })
+  ) {
     try {
       const { startDate, endDate, startHour, endHour } = timeWindow;
       const [startDay, startMonth, startYear] = startDate
@@ -259,7 +274,8 @@ class MuhurtaCalculator {
           latitude,
           longitude,
           timezone,
-          activity
+          activity,
+          chartSettings
         );
 
         // Skip if day is generally poor
@@ -278,7 +294,8 @@ class MuhurtaCalculator {
           timezone,
           latitude,
           longitude,
-          activity
+          activity,
+          chartSettings
         );
 
         // Find best time slot in this day
@@ -337,7 +354,8 @@ class MuhurtaCalculator {
     latitude,
     longitude,
     timezone,
-    activity
+    activity,
+    chartSettings
   ) {
     const analysis = {
       sunRise: '',
@@ -358,9 +376,11 @@ class MuhurtaCalculator {
 
     try {
       // Calculate planetary positions at noon
+      applySiderealMode(chartSettings);
       analysis.planetaryPositions = await this._calculatePlanetPositions(jd);
 
       // Calculate Tithi (lunar phase)
+      applySiderealMode(chartSettings);
       analysis.tithi = this._calculateTithi(jd);
 
       // Calculate Nakshatra
@@ -418,7 +438,8 @@ class MuhurtaCalculator {
     timezone,
     latitude,
     longitude,
-    activity
+    activity,
+    chartSettings
   ) {
     const timeSlots = {};
     const slotDuration = 2; // 2-hour slots
@@ -440,7 +461,8 @@ class MuhurtaCalculator {
         longitude,
         activity,
         startTime,
-        endTime
+        endTime,
+        chartSettings
       );
     }
 
@@ -456,7 +478,8 @@ class MuhurtaCalculator {
     longitude,
     activity,
     startTime,
-    endTime
+    endTime,
+    chartSettings
   ) {
     const analysis = {
       planetaryPositions: {},
@@ -471,7 +494,7 @@ class MuhurtaCalculator {
       analysis.planetaryPositions = this._calculateImportantPositions(jd);
 
       // Calculate ascendant
-      const houses = sweph.houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       analysis.ascendant = this._longitudeToSign(houses.ascendant);
       analysis.houses = houses.houseCusps;
 
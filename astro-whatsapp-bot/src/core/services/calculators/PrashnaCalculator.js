@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Prashna Calculator (Horary Astrology)
@@ -27,6 +32,9 @@ class PrashnaCalculator {
   async analyzeHoraryQuestion(questionData) {
     try {
       const { question, questionTime, birthData, location } = questionData;
+      const chartSettings = resolveChartSettings(birthData || questionData, {
+        houseSystem: 'placidus'
+      });
 
       if (!question || !questionTime || !location) {
         return {
@@ -60,7 +68,8 @@ class PrashnaCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Identify question significators
@@ -130,6 +139,9 @@ class PrashnaCalculator {
   async findQuestionTiming(birthData, questionType, dateRange = 7) {
     try {
       const { birthDate, birthTime, birthPlace } = birthData;
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'placidus'
+      });
       const [birthDay, birthMonth, birthYear] = birthDate
         .split('/')
         .map(Number);
@@ -176,7 +188,8 @@ class PrashnaCalculator {
             questionType,
             latitude,
             longitude,
-            timezone
+            timezone,
+            chartSettings
           );
 
           if (timingSuitability.rating !== 'Poor') {
@@ -217,7 +230,8 @@ class PrashnaCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings = resolveChartSettings({}, { houseSystem: 'placidus' })
   ) {
     const horaryChart = {
       planets: {},
@@ -251,6 +265,7 @@ class PrashnaCalculator {
       ketu: sweph.SE_MEAN_APOG
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -266,8 +281,8 @@ class PrashnaCalculator {
       }
     }
 
-    // Calculate houses (Placidus system for horary)
-    const houses = sweph.houses(jd, latitude, longitude, 'P'); // Placidus
+    // Calculate houses (Placidus unless the user chose another system)
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings);
 
     horaryChart.ascendant = {
       longitude: houses.ascendant,
@@ -878,7 +893,8 @@ class PrashnaCalculator {
     questionType,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const year = questionDateTime.getFullYear();
     const month = questionDateTime.getMonth() + 1;
@@ -894,7 +910,8 @@ class PrashnaCalculator {
       minute,
       latitude,
       longitude,
-      timezone
+      timezone,
+      chartSettings
     );
     const significators = {
       questionCategory: this._categorizeQuestion(questionType),
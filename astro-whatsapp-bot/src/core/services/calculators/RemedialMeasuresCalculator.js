@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Remedial Measures Calculator
@@ -214,7 +219,8 @@ class RemedialMeasuresCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Generate remedies based on reported planetary issues
@@ -274,7 +280,8 @@ class RemedialMeasuresCalculator {
       minute,
       latitude,
       longitude,
-      timezone
+      timezone,
+      resolveChartSettings(birthData, { houseSystem: 'equal' })
     );
 
     return {
@@ -615,7 +622,8 @@ class RemedialMeasuresCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -645,6 +653,7 @@ class RemedialMeasuresCalculator {
       saturn: sweph.SE_SATURN
     };
 
+    applySiderealMode(chartSettings);
     for (const planet of planets) {
       const position = sweph.calc(jd, planetIds[planet], sweph.SEFLG_SIDEREAL);
       if (position && Array.isArray(position.longitude)) {
@@ -656,7 +665,7 @@ class RemedialMeasuresCalculator {
     }
 
     // Calculate houses
-    const houses = sweph.houses(jd, latitude, longitude, 'E');
+    const houses = calculateHouses(jd, latitude, longitude, chartSettings);
     natalPlanets.ascendant = {
       longitude: houses.ascendant,
       sign: Math.floor(houses.ascendant / 30) + 1
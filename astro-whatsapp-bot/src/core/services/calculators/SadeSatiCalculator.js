@@ -1,5 +1,11 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../../../services/astrology/core/ChartSettings');
+
+const { SE_MOON, SE_SATURN, SEFLG_SIDEREAL } = sweph.constants;
 
 /**
  * Sade Sati Calculator
@@ -82,6 +88,7 @@ class SadeSatiCalculator {
       const [latitude, longitude] =
         await this.geocodingService.getCoordinates(birthPlace);
       const timezone = 5.5; // Default IST (can be enhanced to get from coordinates)
+      const chartSettings = resolveChartSettings(birthData);
 
       const natalChart = await this._calculateNatalChart(
         parsedDate.year,
@@ -91,7 +98,8 @@ class SadeSatiCalculator {
         parsedTime.minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Determine Sade Sati triggering points
@@ -103,7 +111,8 @@ class SadeSatiCalculator {
       const sadeSatiPeriods = this._calculateAllSadeSatiPeriods(
         natalChart.birthJD,
         sadeSatiTriggers,
-        analysisYears
+        analysisYears,
+        chartSettings
       );
 
       // Analyze current and upcoming periods
@@ -194,26 +203,29 @@ class SadeSatiCalculator {
    * @param {number} birthJD - Birth Julian Day
    * @param {Object} triggers - Sade Sati trigger points
    * @param {number} analysisYears - Years to analyze
+   * @param {Object} chartSettings - Resolved chart settings (ayanamsa)
    * @returns {Array} All Sade Sati periods
    */
-  _calculateAllSadeSatiPeriods(birthJD, triggers, analysisYears) {
+  _calculateAllSadeSatiPeriods(
+    birthJD,
+    triggers,
+    analysisYears,
+    chartSettings = resolveChartSettings()
+  ) {
     const periods = [];
     const endDate = birthJD + analysisYears * 365.25;
 
     // Saturn's average movement per year (~1/2.5 degrees per day = 365/2.5 ≈ 146 days per degree)
     const saturnSpeed = 30 / 365.25; // Degrees per day (approximate)
 
-    // Calculate Saturn positions at regular intervals
+    // Calculate Saturn positions at regular intervals, in the natal ayanamsa
+    applySiderealMode(chartSettings);
     for (let jd = birthJD; jd <= endDate; jd += 30) {
       // Check every 30 days
-      const saturnPosition = sweph.calc(
-        jd,
-        sweph.SE_SATURN,
-        sweph.SEFLG_SIDEREAL
-      );
+      const saturnPosition = sweph.calc_ut(jd, SE_SATURN, SEFLG_SIDEREAL);
 
-      if (saturnPosition && Array.isArray(saturnPosition.longitude)) {
-        const longitude = saturnPosition.longitude[0];
+      if (saturnPosition && saturnPosition.flag >= 0) {
+        const longitude = saturnPosition.data[0];
         const saturnSign = Math.floor(longitude / 30) + 1;
 
         // Check if Saturn is in any Sade Sati trigger sign
@@ -676,7 +688,8 @@ class SadeSatiCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings = resolveChartSettings()
   ) {
     const jd = this._dateToJulianDay(
       year,
@@ -686,15 +699,19 @@ class SadeSatiCalculator {
     );
 
     // Calculate Moon position for Sade Sati reference
-    const moonPosition = sweph.calc(jd, sweph.SE_MOON, sweph.SEFLG_SIDEREAL);
+    applySiderealMode(chartSettings);
+    const moonPosition = sweph.calc_ut(jd, SE_MOON, SEFLG_SIDEREAL);
+    if (!moonPosition || moonPosition.flag < 0) {
+      throw new Error(`Moon position unavailable: ${moonPosition.error}`);
+    }
     const planets = {
       moon: {
-        longitude: moonPosition.longitude[0],
-        sign: Math.floor(moonPosition.longitude[0] / 30) + 1
+        longitude: moonPosition.data[0],
+        sign: Math.floor(moonPosition.data[0] / 30) + 1
       }
     };
 
-    return { planets, birthJD: jd };
+    return { planets, birthJD: jd, chartSettings };
   }
 
   _dateToJulianDay(year, month, day, hour) {
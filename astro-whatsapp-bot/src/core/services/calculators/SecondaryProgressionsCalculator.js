@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Enhanced Secondary Progressions Calculator
@@ -71,7 +76,8 @@ class SecondaryProgressionsCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Calculate progressed chart using nautical almanac method
@@ -139,7 +145,8 @@ class SecondaryProgressionsCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     try {
       // Convert to Julian Day
@@ -164,6 +171,7 @@ class SecondaryProgressionsCalculator {
       };
 
       // Calculate planetary positions using Swiss Ephemeris
+      applySiderealMode(chartSettings);
       for (const [planetName, planetId] of Object.entries(planetIds)) {
         try {
           const position = sweph.swe_calc_ut(
@@ -195,7 +203,7 @@ class SecondaryProgressionsCalculator {
       }
 
       // Calculate ascendant and houses
-      const houses = sweph.swe_houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       planets.ascendant = {
         longitude: houses.ascendant || 0,
         sign: Math.floor((houses.ascendant || 0) / 30) + 1
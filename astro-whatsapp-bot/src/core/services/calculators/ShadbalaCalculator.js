@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Shadbala Calculator
@@ -65,7 +70,8 @@ class ShadbalaCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Calculate all 6 types of Bala for each planet
@@ -469,7 +475,8 @@ class ShadbalaCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -482,34 +489,30 @@ class ShadbalaCalculator {
     );
 
     // Planet IDs for Swiss Ephemeris
+    const { constants } = sweph;
     const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN
+      sun: constants.SE_SUN,
+      moon: constants.SE_MOON,
+      mars: constants.SE_MARS,
+      mercury: constants.SE_MERCURY,
+      jupiter: constants.SE_JUPITER,
+      venus: constants.SE_VENUS,
+      saturn: constants.SE_SATURN
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       try {
         const position = sweph.calc(
           jd,
           planetId,
-          sweph.SEFLG_SIDEREAL | sweph.SEFLG_SPEED
+          constants.SEFLG_SWIEPH |
+            constants.SEFLG_SIDEREAL |
+            constants.SEFLG_SPEED
         );
 
-        if (position && position.longitude !== undefined) {
-          const longitude = Array.isArray(position.longitude) ?
-            position.longitude[0] :
-            position.longitude;
-          const latitude = Array.isArray(position.latitude) ?
-            position.latitude[0] :
-            position.latitude || 0;
-          const speed = Array.isArray(position.longitude) ?
-            position.longitude[3] || 0 :
-            0;
+        if (position && position.flag >= 0) {
+          const [longitude, latitude, , speed] = position.data;
 
           natalPlanets[planetName] = {
             name: planetName.charAt(0).toUpperCase() + planetName.slice(1),
@@ -531,7 +534,7 @@ class ShadbalaCalculator {
 
     // Calculate ascendant
     try {
-      const houses = sweph.houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       natalPlanets.ascendant = {
         longitude: houses.ascendant || 0,
         sign: Math.floor((houses.ascendant || 0) / 30) + 1,
@@ -855,7 +858,11 @@ class ShadbalaCalculator {
 
   async _getTimezoneForPlace(latitude, longitude, timestamp) {
     try {
-      return 5.5; // IST
+      return await this.geocodingService.getTimezoneForPlace(
+        latitude,
+        longitude,
+        timestamp
+      );
     } catch (error) {
       logger.warn('Error getting timezone, using default IST:', error.message);
       return 5.5;
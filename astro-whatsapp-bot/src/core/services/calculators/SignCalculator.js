@@ -1,6 +1,12 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
 const { Astrologer } = require('astrologer');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../../../services/astrology/core/ChartSettings');
+
+const { SEFLG_SWIEPH, SEFLG_SIDEREAL } = sweph.constants;
 
 /**
  * Sign Calculator
@@ -40,13 +46,16 @@ class SignCalculator {
    * @param {string} birthTime - Birth time in HH:MM format
    * @param {string} birthPlace - Birth place
    * @param {string} chartType - Chart type (sidereal/tropical)
+   * @param {Object} settingsSource - User or birth data whose preferences
+   *   choose the ayanamsa
    * @returns {Object} Sun sign details
    */
   async calculateSunSign(
     birthDate,
     birthTime = '12:00',
     birthPlace = 'Delhi, India',
-    chartType = 'sidereal'
+    chartType = 'sidereal',
+    settingsSource = {}
   ) {
     try {
       // Parse birth date and time
@@ -59,10 +68,11 @@ class SignCalculator {
 
       // Calculate Julian Day
       const ut = hour + minute / 60 - timezone; // Universal Time
-      const julianDay = sweph.swe_julday(year, month, day, ut, sweph.SE_GREG_CAL);
+      const julianDay = sweph.julday(year, month, day, ut, sweph.constants.SE_GREG_CAL);
 
-      // Calculate sun position using Swiss Ephemeris
-      const flags = chartType === 'sidereal' ? 0x10000 : 0x2; // Using numeric flags
+      // Calculate sun position using Swiss Ephemeris; the sidereal mode is
+      // process-wide, so it is set right before the calculation
+      const flags = this._flagsFor(chartType, settingsSource);
       const sunResult = sweph.calc_ut(julianDay, 0, flags); // 0 = Sun
 
       if (!sunResult || sunResult.flag < 0) {
@@ -129,13 +139,16 @@ class SignCalculator {
    * @param {string} birthTime - Birth time in HH:MM format
    * @param {string} birthPlace - Birth place
    * @param {string} chartType - Chart type (sidereal/tropical)
+   * @param {Object} settingsSource - User or birth data whose preferences
+   *   choose the ayanamsa (default: the birth data object)
    * @returns {Object} Moon sign details
    */
   async calculateMoonSign(
     birthData,
     birthTime = '12:00',
     birthPlace = 'Delhi, India',
-    chartType = 'sidereal'
+    chartType = 'sidereal',
+    settingsSource = typeof birthData === 'object' ? birthData : {}
   ) {
     try {
       // Handle both object and string inputs
@@ -162,8 +175,9 @@ class SignCalculator {
       const ut = hour + minute / 60 - timezone; // Universal Time
       const julianDay = sweph.julday(year, month, day, ut, 1); // 1 for Gregorian calendar
 
-      // Calculate moon position using Swiss Ephemeris
-      const flags = chartType === 'sidereal' ? 0x10000 : 0x2; // Using numeric flags
+      // Calculate moon position using Swiss Ephemeris; the sidereal mode is
+      // process-wide, so it is set right before the calculation
+      const flags = this._flagsFor(chartType, settingsSource);
       const moonResult = sweph.calc_ut(julianDay, 1, flags); // 1 = Moon
 
       if (!moonResult || moonResult.flag < 0) {
@@ -224,6 +238,22 @@ class SignCalculator {
     }
   }
 
+  /**
+   * Calculation flags for a chart type, selecting the user's ayanamsa for
+   * sidereal charts
+   * @private
+   * @param {string} chartType - Chart type (sidereal/tropical)
+   * @param {Object} settingsSource - User or birth data with preferences
+   * @returns {number} Swiss Ephemeris flags
+   */
+  _flagsFor(chartType, settingsSource) {
+    if (chartType !== 'sidereal') {
+      return SEFLG_SWIEPH;
+    }
+    applySiderealMode(resolveChartSettings(settingsSource));
+    return SEFLG_SWIEPH | SEFLG_SIDEREAL;
+  }
+
   /**
    * Get coordinates for a place (simplified implementation)
    * @private
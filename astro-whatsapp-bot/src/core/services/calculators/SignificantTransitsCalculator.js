@@ -1,5 +1,41 @@
 const logger = require('../../../utils/logger');
-const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
+const {
+  getEventFinder,
+  toDate
+} = require('../../../services/astrology/events');
+
+// Bodies of the natal chart, by EventFinder key
+const NATAL_BODIES = [
+  'sun',
+  'moon',
+  'mars',
+  'mercury',
+  'jupiter',
+  'venus',
+  'saturn',
+  'uranus',
+  'neptune',
+  'pluto',
+  'rahu',
+  'ketu'
+];
+
+// Aspects searched for each transiting planet; the slow planets also count
+// their hard aspects. The Moon is left out: its monthly passes would bury
+// the transits that shape a year.
+const TRANSIT_ASPECTS = {
+  sun: ['conjunction'],
+  mercury: ['conjunction'],
+  venus: ['conjunction'],
+  mars: ['conjunction'],
+  jupiter: ['conjunction', 'opposition', 'square'],
+  saturn: ['conjunction', 'opposition', 'square'],
+  rahu: ['conjunction', 'opposition', 'square']
+};
 
 /**
  * Significant Transits Calculator
@@ -33,6 +69,9 @@ class SignificantTransitsCalculator {
           error: 'Complete birth details required for transit analysis'
         };
       }
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'equal'
+      });
 
       // Parse birth details
       const [day, month, year] = birthDate.split('/').map(Number);
@@ -58,7 +97,8 @@ class SignificantTransitsCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Identify significant natal aspects/points
@@ -68,7 +108,8 @@ class SignificantTransitsCalculator {
       // Calculate upcoming transits
       const transits = await this._calculateUpcomingTransits(
         significantNatalPoints,
-        monthsAhead
+        monthsAhead,
+        chartSettings
       );
 
       // Classify transits by significance
@@ -129,7 +170,8 @@ class SignificantTransitsCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -139,67 +181,22 @@ class SignificantTransitsCalculator {
       day,
       hour + minute / 60 - timezone
     );
+    const birth = toDate(jd);
 
-    // Planet IDs for Swiss Ephemeris
-    const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN,
-      uranus: sweph.SE_URANUS,
-      neptune: sweph.SE_NEPTUNE,
-      pluto: sweph.SE_PLUTO,
-      rahu: sweph.SE_TRUE_NODE,
-      ketu: sweph.SE_MEAN_APOG
-    };
-
-    for (const [planetName, planetId] of Object.entries(planetIds)) {
+    for (const planetName of NATAL_BODIES) {
       try {
-        let position;
-
-        if (planetName === 'ketu') {
-          const rahuPos = sweph.calc(jd, sweph.SE_TRUE_NODE);
-          position = {
-            longitude:
-              (Array.isArray(rahuPos.longitude) ?
-                rahuPos.longitude[0] :
-                rahuPos.longitude) +
-              (180 % 360),
-            latitude: 0,
-            speed: { longitude: 0 }
-          };
-        } else {
-          position = sweph.calc(
-            jd,
-            planetId,
-            sweph.SEFLG_SIDEREAL | sweph.SEFLG_SPEED
-          );
-        }
-
-        if (position && position.longitude !== undefined) {
-          const longitude = Array.isArray(position.longitude) ?
-            position.longitude[0] :
-            position.longitude;
-          const latitude = Array.isArray(position.latitude) ?
-            position.latitude[0] :
-            position.latitude || 0;
-          const speed = Array.isArray(position.longitude) ?
-            position.longitude[3] || 0 :
-            0;
-
-          natalPlanets[planetName] = {
-            name: planetName.charAt(0).toUpperCase() + planetName.slice(1),
-            longitude,
-            latitude,
-            speed,
-            sign: Math.floor(longitude / 30) + 1,
-            degree: longitude % 30,
-            retrograde: speed < 0
-          };
-        }
+        const position = getEventFinder().position(planetName, birth, {
+          settings: chartSettings
+        });
+        natalPlanets[planetName] = {
+          name: position.body,
+          longitude: position.longitude,
+          latitude: 0,
+          speed: position.speed,
+          sign: position.sign + 1,
+          degree: position.degree,
+          retrograde: position.retrograde
+        };
       } catch (error) {
         logger.warn(
           `Error calculating natal ${planetName} position:`,
@@ -210,7 +207,7 @@ class SignificantTransitsCalculator {
 
     // Calculate ascendant and houses
     try {
-      const houses = sweph.houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       natalPlanets.ascendant = {
         longitude: houses.ascendant || 0,
         sign: Math.floor((houses.ascendant || 0) / 30) + 1,
@@ -262,158 +259,74 @@ class SignificantTransitsCalculator {
   }
 
   /**
-   * Calculate upcoming transits to significant points
+   * Upcoming transits to significant points, each with the exact instant of
+   * every pass (one, or three over a retrograde loop)
    */
-  async _calculateUpcomingTransits(significantNatalPoints, monthsAhead) {
+  async _calculateUpcomingTransits(
+    significantNatalPoints,
+    monthsAhead,
+    chartSettings
+  ) {
     const transits = [];
     const startDate = new Date();
-
-    // Transiting planets to check
-    const transitingPlanets = [
-      'sun',
-      'moon',
-      'mercury',
-      'venus',
-      'mars',
-      'jupiter',
-      'saturn',
-      'rahu'
-    ];
-
-    // Check each month
-    for (let month = 0; month < monthsAhead; month++) {
-      const currentMonthStart = new Date(
-        startDate.getFullYear(),
-        startDate.getMonth() + month,
-        1
-      );
-      const currentMonthEnd = new Date(
-        startDate.getFullYear(),
-        startDate.getMonth() + month + 1,
-        0
-      );
-
-      // Check each transiting planet
-      for (const transitingPlanet of transitingPlanets) {
-        let planetId;
-        if (transitingPlanet === 'sun') {
-          planetId = sweph.SE_SUN;
-        } else if (transitingPlanet === 'moon') {
-          planetId = sweph.SE_MOON;
-        } else if (transitingPlanet === 'mercury') {
-          planetId = sweph.SE_MERCURY;
-        } else if (transitingPlanet === 'venus') {
-          planetId = sweph.SE_VENUS;
-        } else if (transitingPlanet === 'mars') {
-          planetId = sweph.SE_MARS;
-        } else if (transitingPlanet === 'jupiter') {
-          planetId = sweph.SE_JUPITER;
-        } else if (transitingPlanet === 'saturn') {
-          planetId = sweph.SE_SATURN;
-        } else if (transitingPlanet === 'rahu') {
-          planetId = sweph.SE_TRUE_NODE;
-        }
-
-        // Check aspects to all significant natal points
-        for (const [pointType, points] of Object.entries(
-          significantNatalPoints
-        )) {
-          if (pointType === 'importantPositions') {
-            continue;
-          }
-
-          for (const [pointName, pointData] of Object.entries(points)) {
-            try {
-              const natalLongitude = pointData.longitude;
-              const transitDate = await this._findTransitDate(
-                transitingPlanet,
-                planetId,
-                natalLongitude,
-                currentMonthStart,
-                currentMonthEnd
-              );
-
-              if (transitDate) {
-                transits.push({
-                  date: transitDate,
-                  transitingPlanet,
-                  natalPoint: {
-                    name: pointName,
-                    type: pointType,
-                    longitude: natalLongitude
-                  },
-                  aspect: 'conjunction', // Exact conjunction for now
-                  significance: this._calculateTransitSignificance(
-                    transitingPlanet,
-                    pointType,
-                    pointName
-                  ),
-                  intensity: this._calculateTransitIntensity(
-                    transitingPlanet,
-                    pointType
-                  )
-                });
-              }
-            } catch (error) {
-              // Skip transits that can't be calculated
-              continue;
-            }
-          }
-        }
+    const endDate = new Date(startDate);
+    endDate.setMonth(endDate.getMonth() + monthsAhead);
+
+    // Natal points by '<type>.<name>', sensitive positions aside
+    const natalPoints = {};
+    const targets = {};
+    for (const [pointType, points] of Object.entries(significantNatalPoints)) {
+      if (pointType === 'importantPositions') {
+        continue;
+      }
+      for (const [pointName, pointData] of Object.entries(points)) {
+        const key = `${pointType}.${pointName}`;
+        natalPoints[key] = { name: pointName, type: pointType };
+        targets[key] = pointData.longitude;
       }
     }
 
-    return transits;
-  }
-
-  /**
-   * Find the date when a transiting planet aspects a natal point within a month
-   */
-  async _findTransitDate(
-    transitingPlanet,
-    planetId,
-    natalLongitude,
-    startDate,
-    endDate
-  ) {
-    try {
-      // Calculate positions at 5-day intervals
-      const checkIntervals = 5;
-      const totalDays = Math.floor(
-        (endDate - startDate) / (24 * 60 * 60 * 1000)
-      );
-      const intervals = Math.max(1, Math.floor(totalDays / checkIntervals));
-
-      for (let i = 0; i <= intervals; i++) {
-        const checkDate = new Date(
-          startDate.getTime() + i * checkIntervals * 24 * 60 * 60 * 1000
-        );
-
-        const jd = this._dateToJulianDay(
-          checkDate.getFullYear(),
-          checkDate.getMonth() + 1,
-          checkDate.getDate(),
-          12 // Check at noon for precision
-        );
-
-        const position = sweph.calc(jd, planetId, sweph.SEFLG_SIDEREAL);
-        if (position && Array.isArray(position.longitude)) {
-          const transitLongitude = position.longitude[0];
-
-          // Check for conjunction (within 2 degrees)
-          const angularDiff = Math.abs(transitLongitude - natalLongitude);
-          const minDiff = Math.min(angularDiff, 360 - angularDiff);
-
-          if (minDiff <= 2) {
-            return checkDate;
-          }
-        }
+    for (const [transitingPlanet, aspects] of Object.entries(TRANSIT_ASPECTS)) {
+      const cycles = getEventFinder().transits({
+        body: transitingPlanet,
+        targets,
+        aspects,
+        start: startDate,
+        end: endDate,
+        settings: chartSettings
+      });
+
+      for (const cycle of cycles) {
+        const natalPoint = natalPoints[cycle.target];
+        // A cycle begun earlier is dated by its next pass, or its last
+        const next =
+          cycle.passes.find(pass => pass.at >= startDate) ||
+          cycle.passes[cycle.passes.length - 1];
+        transits.push({
+          date: next.at,
+          exactDates: cycle.passes.map(pass => pass.at),
+          passes: cycle.passes.length,
+          retrograde: next.retrograde,
+          transitingPlanet,
+          natalPoint: {
+            ...natalPoint,
+            longitude: targets[cycle.target]
+          },
+          aspect: cycle.aspect,
+          significance: this._calculateTransitSignificance(
+            transitingPlanet,
+            natalPoint.type,
+            natalPoint.name
+          ),
+          intensity: this._calculateTransitIntensity(
+            transitingPlanet,
+            natalPoint.type
+          )
+        });
       }
-
-      return null;
-    } catch (error) {
-      return null;
     }
+
+    return transits;
   }
 
   /**
@@ -596,8 +509,14 @@ class SignificantTransitsCalculator {
     summary += '*Top Upcoming Transits:*\n';
     const topTransits = sortedTransits.slice(0, 5);
     topTransits.forEach((transit, index) => {
-      const dateStr = transit.date.toLocaleDateString();
-      summary += `${index + 1}. ${transit.transitingPlanet} ${transit.aspect} natal ${transit.natalPoint.name} (${dateStr})\n`;
+      const dateStr = `${transit.date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+      const pass =
+        transit.exactDates.findIndex(
+          date => date.getTime() === transit.date.getTime()
+        ) + 1;
+      const passes =
+        transit.passes > 1 ? `, pass ${pass} of ${transit.passes}` : '';
+      summary += `${index + 1}. ${transit.transitingPlanet} ${transit.aspect} natal ${transit.natalPoint.name} (${dateStr}${passes})\n`;
     });
 
     summary += '\n*Key Periods to Note:*\n';
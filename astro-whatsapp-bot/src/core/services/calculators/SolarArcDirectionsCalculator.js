@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Solar Arc Directions Calculator
@@ -69,7 +74,8 @@ class SolarArcDirectionsCalculator {
         minute,
         latitude,
         longitude,
-        timezone
+        timezone,
+        resolveChartSettings(birthData, { houseSystem: 'equal' })
       );
 
       // Apply solar arc directions to natal planets
@@ -160,7 +166,8 @@ class SolarArcDirectionsCalculator {
     minute,
     latitude,
     longitude,
-    timezone
+    timezone,
+    chartSettings
   ) {
     const natalPlanets = {};
 
@@ -188,6 +195,7 @@ class SolarArcDirectionsCalculator {
       ketu: sweph.SE_MEAN_APOG // Use mean apogee for Ketu
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       try {
         let position;
@@ -248,7 +256,7 @@ class SolarArcDirectionsCalculator {
 
     // Calculate ascendant
     try {
-      const houses = sweph.houses(jd, latitude, longitude, 'E');
+      const houses = calculateHouses(jd, latitude, longitude, chartSettings);
       natalPlanets.ascendant = {
         longitude: houses.ascendant || 0,
         sign: Math.floor((houses.ascendant || 0) / 30) + 1,
@@ -1,5 +1,12 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
+
+const { constants } = sweph;
 
 /**
  * Varga Chart Calculator
@@ -60,6 +67,9 @@ class VargaChartCalculator {
       const [latitude, longitude] =
         await this._getCoordinatesForPlace(birthPlace);
       const timezone = await this._getTimezoneForPlace(latitude, longitude);
+      const chartSettings = resolveChartSettings(birthData, {
+        houseSystem: 'whole_sign',
+      });
 
       // Calculate Julian Day
       const jd = this._dateToJulianDay(
@@ -80,7 +90,8 @@ class VargaChartCalculator {
         jd,
         latitude,
         longitude,
-        timezone
+        timezone,
+        chartSettings
       );
 
       // Calculate divisional chart
@@ -89,7 +100,8 @@ class VargaChartCalculator {
         latitude,
         longitude,
         vargaDef.divisor,
-        vargaType
+        vargaType,
+        chartSettings
       );
 
       // Analyze varga-specific significations
@@ -138,30 +150,38 @@ class VargaChartCalculator {
   }
 
   /**
-   * Calculate natal chart for reference using Swiss Ephemeris
+   * Calculate natal chart for reference using Swiss Ephemeris, in the
+   * user's ayanamsa
    */
-  async _calculateNatalChart(jd, latitude, longitude, timezone) {
+  async _calculateNatalChart(
+    jd,
+    latitude,
+    longitude,
+    timezone,
+    chartSettings = resolveChartSettings()
+  ) {
     const planets = {};
     const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN,
-      rahu: sweph.SE_TRUE_NODE,
-      ketu: sweph.SE_MEAN_APOG,
+      sun: constants.SE_SUN,
+      moon: constants.SE_MOON,
+      mars: constants.SE_MARS,
+      mercury: constants.SE_MERCURY,
+      jupiter: constants.SE_JUPITER,
+      venus: constants.SE_VENUS,
+      saturn: constants.SE_SATURN,
+      rahu: constants.SE_TRUE_NODE,
+      ketu: constants.SE_MEAN_APOG,
     };
 
     // Calculate planetary positions
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       try {
-        const position = sweph.swe_calc_ut(jd, planetId, sweph.SEFLG_SIDEREAL);
+        const position = sweph.calc_ut(jd, planetId, constants.SEFLG_SIDEREAL);
 
-        if (position && Array.isArray(position.longitude)) {
+        if (position && position.flag >= 0) {
           planets[planetName] = {
-            longitude: position.longitude[0],
+            longitude: position.data[0],
           };
         }
       } catch (error) {
@@ -175,14 +195,12 @@ class VargaChartCalculator {
     // Calculate ascendant
     planets.ascendant = { longitude: 0 };
     try {
-      const ascResult = sweph.swe_calc_ut(
+      planets.ascendant.longitude = calculateHouses(
         jd,
-        sweph.SE_ASCENDANT,
-        sweph.SEFLG_SIDEREAL
-      );
-      if (ascResult) {
-        planets.ascendant.longitude = ascResult.longitude[0];
-      }
+        latitude,
+        longitude,
+        chartSettings
+      ).ascendant;
     } catch (error) {
       logger.warn('Could not calculate ascendant');
     }
@@ -193,7 +211,14 @@ class VargaChartCalculator {
   /**
    * Calculate divisional chart using varga mathematics
    */
-  async _calculateDivisionalChart(jd, latitude, longitude, divisor, vargaType) {
+  async _calculateDivisionalChart(
+    jd,
+    latitude,
+    longitude,
+    divisor,
+    vargaType,
+    chartSettings = resolveChartSettings()
+  ) {
     const charts = {
       ascendant: {},
       planets: {},
@@ -206,28 +231,30 @@ class VargaChartCalculator {
       latitude,
       longitude,
       divisor,
-      vargaType
+      vargaType,
+      chartSettings
     );
 
     // Calculate planetary positions in varga
     const planetIds = {
-      Sun: sweph.SE_SUN,
-      Moon: sweph.SE_MOON,
-      Mars: sweph.SE_MARS,
-      Mercury: sweph.SE_MERCURY,
-      Jupiter: sweph.SE_JUPITER,
-      Venus: sweph.SE_VENUS,
-      Saturn: sweph.SE_SATURN,
-      Rahu: sweph.SE_TRUE_NODE,
-      Ketu: sweph.SE_MEAN_APOG,
+      Sun: constants.SE_SUN,
+      Moon: constants.SE_MOON,
+      Mars: constants.SE_MARS,
+      Mercury: constants.SE_MERCURY,
+      Jupiter: constants.SE_JUPITER,
+      Venus: constants.SE_VENUS,
+      Saturn: constants.SE_SATURN,
+      Rahu: constants.SE_TRUE_NODE,
+      Ketu: constants.SE_MEAN_APOG,
     };
 
+    applySiderealMode(chartSettings);
     for (const [planetName, planetId] of Object.entries(planetIds)) {
       try {
-        const position = sweph.swe_calc_ut(jd, planetId, sweph.SEFLG_SIDEREAL);
+        const position = sweph.calc_ut(jd, planetId, constants.SEFLG_SIDEREAL);
 
-        if (position && Array.isArray(position.longitude)) {
-          const natalLongitude = position.longitude[0];
+        if (position && position.flag >= 0) {
+          const natalLongitude = position.data[0];
           const vargaLongitude = this._calculateVargaLongitude(
             natalLongitude,
             divisor
@@ -270,17 +297,24 @@ class VargaChartCalculator {
    * Calculate ascendant for varga chart
    * Different methods for different vargas per Vedic tradition
    */
-  _calculateVargaAscendant(jd, latitude, longitude, divisor, vargaType) {
+  _calculateVargaAscendant(
+    jd,
+    latitude,
+    longitude,
+    divisor,
+    vargaType,
+    chartSettings = resolveChartSettings()
+  ) {
     let ascendantLongitude = 0;
 
     try {
       // Base ascendant calculation
-      const ascResult = sweph.swe_calc_ut(
+      const baseAscendant = calculateHouses(
         jd,
-        sweph.SE_ASCENDANT,
-        sweph.SEFLG_SIDEREAL
-      );
-      const baseAscendant = ascResult ? ascResult.longitude[0] : 0;
+        latitude,
+        longitude,
+        chartSettings
+      ).ascendant;
 
       // Apply varga-specific calculation method
       if (vargaType === 'D9') {
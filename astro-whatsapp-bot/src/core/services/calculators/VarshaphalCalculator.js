@@ -1,5 +1,10 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Varshaphal Calculator
@@ -171,6 +176,7 @@ class VarshaphalCalculator {
     );
 
     // Calculate solar return date (Sun's return to birth position)
+    applySiderealMode(resolveChartSettings(birthData));
     const sunReturnData = sweph.calc(
       targetJD,
       sweph.SE_SUN,
@@ -198,6 +204,9 @@ class VarshaphalCalculator {
       birthData.birthPlace
     );
     const jd = solarReturnData.returnJD;
+    const chartSettings = resolveChartSettings(birthData, {
+      houseSystem: 'placidus'
+    });
 
     // Calculate all planets at solar return moment
     const planets = {};
@@ -213,6 +222,7 @@ class VarshaphalCalculator {
       ketu: null // Ketu is opposite Rahu
     };
 
+    applySiderealMode(chartSettings);
     Object.entries(planetIds).forEach(([planet, planetId]) => {
       if (!planetId) {
         return;
@@ -252,7 +262,7 @@ class VarshaphalCalculator {
       jd,
       coordinates.latitude,
       coordinates.longitude,
-      'P'
+      chartSettings
     );
 
     // Determine house positions
@@ -628,23 +638,13 @@ class VarshaphalCalculator {
     return new Date((jd - 2440587.5) * 86400000).toISOString().split('T')[0];
   }
 
-  _calculateHouses(jd, latitude, longitude, system = 'P') {
+  _calculateHouses(jd, latitude, longitude, chartSettings) {
     try {
-      const houses = sweph.houses(jd, latitude, longitude, system);
-      return {
-        system,
-        ascendant: houses.ascendant || 0,
-        mc: houses.mc || 0,
-        houseCusps:
-          houses.house ||
-          new Array(12)
-            .fill(0)
-            .map((_, i) => (houses.ascendant + i * 30) % 360)
-      };
+      return calculateHouses(jd, latitude, longitude, chartSettings);
     } catch (error) {
       const ascendant = 0;
       return {
-        system,
+        system: chartSettings.houseSystemName,
         ascendant,
         mc: (ascendant + 90) % 360,
         houseCusps: new Array(12)
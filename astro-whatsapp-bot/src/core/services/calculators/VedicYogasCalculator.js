@@ -1,5 +1,9 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../../../services/astrology/core/ChartSettings');
 
 /**
  * Vedic Yogas Calculator
@@ -34,9 +38,20 @@ class VedicYogasCalculator {
 
       // Get coordinates
       const [lat, lng] = await this._getCoordinates(birthPlace);
-      const jd = this._dateToJD(year, month, day, hour + minute / 60);
+      const timezone = await this._getTimezone(
+        lat,
+        lng,
+        new Date(year, month - 1, day, hour, minute).getTime()
+      );
+      const jd = this._dateToJD(
+        year,
+        month,
+        day,
+        hour + minute / 60 - timezone
+      );
 
       // Calculate planetary positions
+      applySiderealMode(resolveChartSettings(birthData));
       const planets = await this._calculatePlanetaryPositions(jd);
 
       // Analyze yogas
@@ -85,11 +100,19 @@ class VedicYogasCalculator {
       'Saturn'
     ];
 
+    const { constants } = sweph;
     for (const planet of planets) {
       try {
-        const pos = sweph.calc(jd, this._getPlanetId(planet));
-        if (pos.longitude !== undefined) {
-          const signIndex = Math.floor(pos.longitude / 30);
+        const pos = sweph.calc(
+          jd,
+          this._getPlanetId(planet),
+          constants.SEFLG_SWIEPH |
+            constants.SEFLG_SIDEREAL |
+            constants.SEFLG_SPEED
+        );
+        if (pos && pos.flag >= 0) {
+          const [longitude, , , speed] = pos.data;
+          const signIndex = Math.floor(longitude / 30);
           const signs = [
             'Aries',
             'Taurus',
@@ -107,11 +130,11 @@ class VedicYogasCalculator {
 
           positions[planet.toLowerCase()] = {
             name: planet,
-            longitude: pos.longitude,
+            longitude,
             sign: signs[signIndex],
             signIndex,
-            degrees: Math.floor(pos.longitude % 30),
-            retrograde: pos.speedLongitude < 0
+            degrees: Math.floor(longitude % 30),
+            retrograde: speed < 0
           };
         }
       } catch (error) {
@@ -423,16 +446,17 @@ class VedicYogasCalculator {
   }
 
   _getPlanetId(planet) {
+    const { constants } = sweph;
     const ids = {
-      Sun: sweph.SE_SUN,
-      Moon: sweph.SE_MOON,
-      Mercury: sweph.SE_MERCURY,
-      Venus: sweph.SE_VENUS,
-      Mars: sweph.SE_MARS,
-      Jupiter: sweph.SE_JUPITER,
-      Saturn: sweph.SE_SATURN
+      Sun: constants.SE_SUN,
+      Moon: constants.SE_MOON,
+      Mercury: constants.SE_MERCURY,
+      Venus: constants.SE_VENUS,
+      Mars: constants.SE_MARS,
+      Jupiter: constants.SE_JUPITER,
+      Saturn: constants.SE_SATURN
     };
-    return ids[planet] || sweph.SE_SUN;
+    return ids[planet] ?? constants.SE_SUN;
   }
 
   _normalizeAngle(angle) {
@@ -452,15 +476,30 @@ class VedicYogasCalculator {
       Math.floor(y / 100) +
       Math.floor(y / 400) -
       32045;
-    return jd + hour / 24;
+    return jd + (hour - 12) / 24;
   }
 
   async _getCoordinates(place) {
-    return [0, 0];
+    try {
+      const coords = await this.geocodingService.getCoordinates(place);
+      return [coords.latitude, coords.longitude];
+    } catch (error) {
+      logger.warn('Error getting coordinates, using default:', error.message);
+      return [28.6139, 77.209]; // Delhi coordinates
+    }
   }
 
   async _getTimezone(lat, lng, timestamp) {
-    return 0;
+    try {
+      return await this.geocodingService.getTimezoneForPlace(
+        lat,
+        lng,
+        timestamp
+      );
+    } catch (error) {
+      logger.warn('Error getting timezone, using default IST:', error.message);
+      return 5.5;
+    }
   }
 }
 
@@ -1,12 +1,12 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const { getFestivalCalendar } = require('../../services/astrology/events');
 
 // Import calculator from legacy structure
 
 class HinduFestivalsService extends ServiceTemplate {
   constructor() {
-    super('ChartGenerator');
-    this.calculatorPath = './calculators/ChartGenerator';
+    super('HinduFestivals');
     this.serviceName = 'HinduFestivalsService';
     this.calculatorPath = './calculators/hinduFestivals';
     logger.info('HinduFestivalsService initialized');
@@ -160,6 +160,19 @@ class HinduFestivalsService extends ServiceTemplate {
     }
   }
 
+  /**
+   * Exact dates of the major festivals in a range, computed from the tithis
+   * (see FestivalCalendar) rather than the calculator's tables
+   * @param {Object} params - Query parameters
+   * @param {Date} params.start - Range start
+   * @param {Date} params.end - Range end
+   * @param {string} params.timezone - IANA zone the dates are kept in
+   * @returns {Array<Object>} FestivalCalendar.festivals() entries
+   */
+  getFestivalDates({ start = new Date(), end, timezone }) {
+    return getFestivalCalendar().festivals({ start, end, timezone });
+  }
+
   /**
    * Get festival calendar for specific period
    * @param {Object} params - Query parameters
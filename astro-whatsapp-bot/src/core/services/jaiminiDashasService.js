@@ -1,5 +1,6 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const { getDashaService } = require('../../services/astrology/dasha');
 
 // Import calculator from legacy structure
 
@@ -106,6 +107,7 @@ class JaiminiDashasService extends ServiceTemplate {
   /**
    * Calculate Jaimini Chara Dasha
    * @param {Object} params - Calculation parameters
+   * @param {Object} params.options - { path, now } as for DashaService.timeline
    * @returns {Object} Chara Dasha analysis
    */
   async calculateCharaDasha(params) {
@@ -114,11 +116,11 @@ class JaiminiDashasService extends ServiceTemplate {
 
       const { birthData, options = {} } = params;
 
-      // Calculate Chara Dasha
-      const result = await this.calculator.calculateCharaDasha(
-        birthData,
-        options
-      );
+      // Calculate Chara Dasha with the dasha framework's sign periods
+      const result = await getDashaService().timeline(birthData, {
+        ...options,
+        system: 'chara'
+      });
 
       return {
         success: true,
@@ -1,8 +1,26 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const sweph = require('sweph');
 const { BirthData } = require('../../models/BirthData');
+const {
+  TimezoneDatabase
+} = require('../../services/astrology/geocoding/TimezoneDatabase');
+const { toJulianDay, toDate } = require('../../services/astrology/events');
+
+const DAY_MS = 86400000;
+const WEEKDAYS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday'
+];
+// Which eighth of the daylight (1-8, from sunrise) Rahu rules on each
+// weekday, Sunday first
+const RAHU_KAAL_SEGMENTS = Object.freeze([8, 2, 7, 5, 6, 4, 3]);
 
-// Import calculator from legacy structure
 /**
  * RahukalamService - Specialized service for calculating Rahukalam timing
  *
@@ -12,8 +30,10 @@ const { BirthData } = require('../../models/BirthData');
  */
 class RahukalamService extends ServiceTemplate {
   constructor() {
+    super('MuhurtaCalculator');
     this.serviceName = 'RahukalamService';
     this.calculatorPath = './calculators/MuhurtaCalculator';
+    this.timezoneDatabase = new TimezoneDatabase();
     logger.info('RahukalamService initialized');
   }
 
@@ -41,6 +61,96 @@ class RahukalamService extends ServiceTemplate {
     }
   }
 
+  /**
+   * Rahu Kaal for each day from a date, from the Sun's true rising and
+   * setting at the place. Days on which the Sun does not rise or set (polar
+   * day and night) are left out.
+   * @param {Object} options - Window options
+   * @param {number} options.latitude - Latitude
+   * @param {number} options.longitude - Longitude
+   * @param {string} options.timezone - IANA zone the days are counted in
+   * @param {Date} options.start - Any instant of the first day
+   * @param {number} options.days - Number of days
+   * @returns {Array<Object>} [{ date, weekday, start, end, sunrise, sunset }]
+   *   with `date` YYYY-MM-DD in the zone and the rest UTC instants
+   */
+  getRahukalamWindows({
+    latitude,
+    longitude,
+    timezone = 'UTC',
+    start = new Date(),
+    days = 7
+  }) {
+    const { timezoneDatabase } = this;
+    const zone = timezoneDatabase.isValidZone(timezone) ? timezone : 'UTC';
+    const first = timezoneDatabase.getLocalTime(zone, start);
+
+    const windows = [];
+    for (let i = 0; i < days; i++) {
+      const day = new Date(
+        Date.UTC(first.year, first.month - 1, first.day + i)
+      );
+      const midnight = timezoneDatabase.localTimeToUtc(zone, {
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+        hour: 0,
+        minute: 0
+      });
+      const sunrise = this._nextSunEvent(
+        midnight,
+        sweph.constants.SE_CALC_RISE,
+        latitude,
+        longitude
+      );
+      const sunset =
+        sunrise &&
+        this._nextSunEvent(
+          sunrise,
+          sweph.constants.SE_CALC_SET,
+          latitude,
+          longitude
+        );
+      // A sunrise after the day has ended belongs to a later day
+      if (!sunset || sunrise - midnight >= DAY_MS) {
+        continue;
+      }
+
+      const weekday = day.getUTCDay();
+      const eighth = (sunset - sunrise) / 8;
+      const begins =
+        sunrise.getTime() + (RAHU_KAAL_SEGMENTS[weekday] - 1) * eighth;
+      windows.push({
+        date: day.toISOString().substring(0, 10),
+        weekday: WEEKDAYS[weekday],
+        start: new Date(Math.round(begins)),
+        end: new Date(Math.round(begins + eighth)),
+        sunrise,
+        sunset
+      });
+    }
+    return windows;
+  }
+
+  /**
+   * The Sun's next rising or setting after an instant
+   * @private
+   * @returns {Date|null} Instant, or null when it does not rise or set
+   */
+  _nextSunEvent(after, event, latitude, longitude) {
+    const result = sweph.rise_trans(
+      toJulianDay(after),
+      sweph.constants.SE_SUN,
+      null,
+      sweph.constants.SEFLG_SWIEPH,
+      event,
+      [longitude, latitude, 0],
+      0,
+      0
+    );
+    return result.flag < 0 ? null : toDate(result.data);
+  }
+
   /**
    * Format result for service consumption
    * @param {Object} result - Raw calculator result
@@ -230,18 +340,11 @@ Comprehensive Rahukalam report with timing details, significance analysis, recom
       const weekday = date.toLocaleDateString('en-US', { weekday: 'long' });
 
       // Rahukalam schedule (based on traditional Vedic system)
-      const rahukalamSchedule = {
-        Sunday: { order: 1, lord: 'Sun' },
-        Monday: { order: 2, lord: 'Moon' },
-        Tuesday: { order: 3, lord: 'Mars' },
-        Wednesday: { order: 4, lord: 'Mercury' },
-        Thursday: { order: 5, lord: 'Jupiter' },
-        Friday: { order: 6, lord: 'Venus' },
-        Saturday: { order: 7, lord: 'Saturn' }
+      const dayInfo = {
+        order: this._getPlanetaryOrder(weekday),
+        lord: this._getPlanetaryLord(weekday)
       };
 
-      const dayInfo = rahukalamSchedule[weekday];
-
       // Calculate sunrise and sunset for the day
       const jd = this._dateToJulianDay(year, month, day, 12);
       const sunTimes = this._calculateSunTimes(jd, latitude, longitude);
@@ -252,7 +355,7 @@ Comprehensive Rahukalam report with timing details, significance analysis, recom
       // Each planetary period is 1/8th of daylight duration
       const planetaryPeriod = daylightDuration / 8;
 
-      // Rahukalam starts at sunrise and comes in the order given above
+      // Rahukalam is the weekday's eighth of the daylight
       const rahukalamStartDecimal =
         sunTimes.sunrise + (dayInfo.order - 1) * planetaryPeriod;
       const rahukalamEndDecimal = rahukalamStartDecimal + planetaryPeriod;
@@ -282,13 +385,13 @@ Comprehensive Rahukalam report with timing details, significance analysis, recom
         { weekday: 'long' }
       );
       const approximateTimings = {
-        Sunday: { startTime: '07:30', endTime: '09:00', duration: 90 },
-        Monday: { startTime: '09:00', endTime: '10:30', duration: 90 },
-        Tuesday: { startTime: '10:30', endTime: '12:00', duration: 90 },
+        Sunday: { startTime: '16:30', endTime: '18:00', duration: 90 },
+        Monday: { startTime: '07:30', endTime: '09:00', duration: 90 },
+        Tuesday: { startTime: '15:00', endTime: '16:30', duration: 90 },
         Wednesday: { startTime: '12:00', endTime: '13:30', duration: 90 },
         Thursday: { startTime: '13:30', endTime: '15:00', duration: 90 },
-        Friday: { startTime: '15:00', endTime: '16:30', duration: 90 },
-        Saturday: { startTime: '16:30', endTime: '18:00', duration: 90 }
+        Friday: { startTime: '10:30', endTime: '12:00', duration: 90 },
+        Saturday: { startTime: '09:00', endTime: '10:30', duration: 90 }
       };
 
       const timing = approximateTimings[weekday] || {
@@ -578,16 +681,8 @@ Comprehensive Rahukalam report with timing details, significance analysis, recom
   }
 
   _getPlanetaryOrder(weekday) {
-    const orders = {
-      Sunday: 1,
-      Monday: 2,
-      Tuesday: 3,
-      Wednesday: 4,
-      Thursday: 5,
-      Friday: 6,
-      Saturday: 7
-    };
-    return orders[weekday] || 1;
+    const index = WEEKDAYS.indexOf(weekday);
+    return index < 0 ? RAHU_KAAL_SEGMENTS[0] : RAHU_KAAL_SEGMENTS[index];
   }
 
   async getHealthStatus() {
@@ -11,9 +11,9 @@ const logger = require('../../utils/logger');
 
 class RemediesDoshaService extends ServiceTemplate {
   constructor() {
-    super('vedicRemedies');
+    super('RemedialMeasuresCalculator');
     this.serviceName = 'RemediesDoshaService';
-    this.calculatorPath = './calculators/vedicRemedies'; // Assuming this path for the main calculator
+    this.calculatorPath = './calculators/RemedialMeasuresCalculator';
     logger.info('RemediesDoshaService initialized');
   }
 
@@ -24,14 +24,8 @@ class RemediesDoshaService extends ServiceTemplate {
    */
   async processCalculation(remediesData) {
     try {
-      // Input validation
-      this._validateInput(remediesData);
-
-      // Get comprehensive remedies analysis
-      const result = await this.getRemediesDoshaAnalysis(remediesData);
-
-      // Format and return result
-      return this._formatResult(result);
+      // Input is validated and the result formatted by ServiceTemplate.execute
+      return await this.getRemediesDoshaAnalysis(remediesData);
     } catch (error) {
       logger.error('RemediesDoshaService error:', error);
       throw new Error(`Remedies and dosha analysis failed: ${error.message}`);
@@ -631,10 +625,12 @@ class RemediesDoshaService extends ServiceTemplate {
   }
 
   _isCombust(planet, sun) {
-    if (!sun || !planet.longitude) {
+    // The Sun cannot be combust by itself
+    if (!sun || planet === sun || !planet.longitude) {
       return false;
     }
-    const distance = Math.abs(planet.longitude - sun.longitude);
+    const separation = Math.abs(planet.longitude - sun.longitude) % 360;
+    const distance = Math.min(separation, 360 - separation);
     return distance <= 8.5; // Within 8.5 degrees of Sun
   }
 
@@ -922,6 +918,8 @@ class RemediesDoshaService extends ServiceTemplate {
     if (!timeRegex.test(birthData.birthTime)) {
       throw new Error('Birth time must be in HH:MM format');
     }
+
+    return input;
   }
 
   /**
@@ -1,8 +1,20 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const { BirthData } = require('../../models/BirthData');
+const { getDashaService } = require('../../services/astrology/dasha');
+const { getEventFinder } = require('../../services/astrology/events');
+const { SIGNS } = require('../../services/astrology/core/Zodiac');
 
 // Import calculator from legacy structure
 
+// Sade Sati phase while Saturn is in each sign counted from the natal Moon's
+// (0: the Moon's own sign)
+const PHASES_FROM_MOON = Object.freeze({
+  11: 'rising',
+  0: 'peak',
+  1: 'setting'
+});
+
 /**
  * SadeSatiService - Specialized service for analyzing Sade Sati periods
  *
@@ -48,6 +60,53 @@ class SadeSatiService extends ServiceTemplate {
     }
   }
 
+  /**
+   * Sade Sati phase changes in a range, at the exact instants Saturn
+   * changes sign. Retrograde re-entries are changes too, so a phase can
+   * begin more than once.
+   * @param {Object} birthData - toServiceBirthData result
+   * @param {Object} range - { start, end }
+   * @returns {Promise<Object>} { moonSign, moonSignName, current, changes }
+   *   where `current` is the phase at `start` (null outside Sade Sati) and
+   *   `changes` are [{ at, phase, previous, saturnSign, retrograde }] with
+   *   `phase` 'rising', 'peak', 'setting' or 'ended'
+   */
+  async getPhaseChanges(birthData, { start = new Date(), end }) {
+    const natal = await getDashaService().natal(birthData);
+    const moonSign = Math.floor(natal.moon / 30);
+    const phaseIn = sign =>
+      PHASES_FROM_MOON[(sign - moonSign + 12) % 12] || null;
+    const finder = getEventFinder();
+    const { settings } = natal;
+
+    const changes = [];
+    for (const ingress of finder.ingresses({
+      body: 'saturn',
+      start,
+      end,
+      settings
+    })) {
+      const previous = phaseIn(ingress.from);
+      const phase = phaseIn(ingress.to);
+      if (phase !== previous) {
+        changes.push({
+          at: ingress.at,
+          phase: phase || 'ended',
+          previous,
+          saturnSign: ingress.toName,
+          retrograde: ingress.retrograde
+        });
+      }
+    }
+
+    return {
+      moonSign,
+      moonSignName: SIGNS[moonSign],
+      current: phaseIn(finder.position('saturn', start, { settings }).sign),
+      changes
+    };
+  }
+
   /**
    * Format result for service consumption
    * @param {Object} result - Raw calculator result
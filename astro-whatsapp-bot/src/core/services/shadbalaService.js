@@ -1,5 +1,7 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const { ShadbalaCalculator } = require('./calculators/ShadbalaCalculator');
+const GeocodingService = require('../../services/astrology/geocoding/GeocodingService');
 
 /**
  * Shadbala Service
@@ -7,13 +9,13 @@ const logger = require('../../utils/logger');
  * Extends ServiceTemplate for standardized service architecture
  */
 class ShadbalaService extends ServiceTemplate {
-  constructor(services) {
+  constructor(services = {}) {
     super('ChartGenerator');
     this.calculatorPath = './calculators/ChartGenerator';
     // Initialize Shadbala Calculator with required dependencies
     this.calculator = new ShadbalaCalculator(
       services.astrologer,
-      services.geocodingService
+      services.geocodingService || new GeocodingService()
     );
 
     // Set services in calculator
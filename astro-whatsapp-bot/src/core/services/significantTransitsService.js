@@ -80,7 +80,7 @@ class SignificantTransitsService extends ServiceTemplate {
    */
   async getMajorTransitInfluences(birthData, targetDate = null) {
     try {
-      this._validateInput(birthData);
+      this.validate(birthData);
 
       const transitAnalysis = await this.calculator.analyzeSignificantTransits(
         birthData,
@@ -116,33 +116,41 @@ class SignificantTransitsService extends ServiceTemplate {
    */
   async getUpcomingSignificantTransits(birthData, daysAhead = 90) {
     try {
-      this._validateInput(birthData);
-
-      const significantTransits = [];
-      const today = new Date();
-
-      // Check each day for significant transits
-      for (let i = 0; i < daysAhead; i++) {
-        const checkDate = new Date(today);
-        checkDate.setDate(today.getDate() + i);
-
-        const dateStr = `${checkDate.getDate()}/${checkDate.getMonth() + 1}/${checkDate.getFullYear()}`;
-        const transitAnalysis = await this.calculator.analyzeSignificantTransits(
-          birthData,
-          dateStr
-        );
-
-        const significant = this._identifySignificantTransits(
-          transitAnalysis,
-          dateStr
-        );
-        if (significant.length > 0) {
-          significantTransits.push({
-            date: dateStr,
-            transits: significant
-          });
+      this.validate(birthData);
+
+      // The calculator times each pass exactly, so one search covers the
+      // whole period
+      const end = new Date(Date.now() + daysAhead * 24 * 60 * 60 * 1000);
+      const analysis = await this.calculator.calculateNextSignificantTransits(
+        birthData,
+        Math.ceil(daysAhead / 30)
+      );
+      if (analysis.error) {
+        throw new Error(analysis.error);
+      }
+
+      // Grouped by UTC day, in date order
+      const byDate = new Map();
+      for (const transit of analysis.upcomingTransits) {
+        if (transit.date > end) {
+          continue;
+        }
+        const { date } = transit;
+        const dateStr = `${date.getUTCDate()}/${date.getUTCMonth() + 1}/${date.getUTCFullYear()}`;
+        if (!byDate.has(dateStr)) {
+          byDate.set(dateStr, []);
         }
+        byDate.get(dateStr).push({
+          aspect: `${transit.transitingPlanet} ${transit.aspect} ${transit.natalPoint.name}`,
+          exactAt: date.toISOString(),
+          passes: transit.passes,
+          significance: transit.significance.level.toLowerCase()
+        });
       }
+      const significantTransits = [...byDate].map(([date, transits]) => ({
+        date,
+        transits
+      }));
 
       return {
         significantTransits,
@@ -55,7 +55,8 @@ class SunSignService extends ServiceTemplate {
         birthDate,
         birthTime || '12:00',
         birthPlace || 'Delhi, India',
-        chartType
+        chartType,
+        birthData
       );
 
       // Generate additional analysis
@@ -1,18 +1,20 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
 const { BirthData } = require('../../models/BirthData');
+const { getDashaService } = require('../../services/astrology/dasha');
 
 /**
  * UpcomingDashasService - Service for forecasting future planetary periods
  *
  * Forecasts future planetary periods, providing timing for upcoming life phases and opportunities
- * based on the Vimshottari Dasha sequence.
+ * in any system of the dasha framework (Vimshottari by default), at any level of its period tree.
  */
 class UpcomingDashasService extends ServiceTemplate {
   constructor() {
-    super('ChartGenerator'); // Primary calculator for this service
+    super('DashaService'); // Primary calculator for this service
     this.serviceName = 'UpcomingDashasService';
-    this.calculatorPath = './calculators/DashaAnalysisCalculator';
+    this.calculatorPath = '../../services/astrology/dasha';
+    this.calculator = getDashaService();
     logger.info('UpcomingDashasService initialized');
   }
 
@@ -20,22 +22,35 @@ class UpcomingDashasService extends ServiceTemplate {
    * Main calculation method for Upcoming Dashas.
    * @param {Object} birthData - Birth data for Dasha calculation.
    * @param {Object} [options] - Calculation options.
+   * @param {string} [options.system] - Dasha system key (default vimshottari).
+   * @param {Array<number>} [options.path] - Period whose sub-periods to forecast; [] for Mahadashas.
+   * @param {number} [options.periods] - Number of periods to show.
+   * @param {Date} [options.now] - Moment the forecast starts from.
    * @returns {Promise<Object>} Upcoming Dashas analysis result.
    */
   async processCalculation(birthData, options = {}) {
     try {
       this._validateInput(birthData);
 
-      const periodsToShow = options.periods || 5;
-
-      // Get Dasha analysis from calculator
-      const dashaAnalysis =
-        await this.calculator.calculateVimshottariDasha(birthData);
+      const {
+        system = 'vimshottari',
+        path = [],
+        periods: periodsToShow = 5,
+        now = new Date()
+      } = options;
+
+      // Get the period tree level from the dasha framework
+      const timeline = await this.calculator.timeline(birthData, {
+        system,
+        path,
+        now
+      });
 
       // Extract upcoming Dasha information
       const upcomingDashas = this._extractUpcomingDashas(
-        dashaAnalysis,
-        periodsToShow
+        timeline,
+        periodsToShow,
+        now
       );
 
       // Generate additional analysis
@@ -46,6 +61,10 @@ class UpcomingDashasService extends ServiceTemplate {
         this._identifyOpportunityWindows(upcomingDashas);
 
       return {
+        system: timeline.system,
+        parent: timeline.parent,
+        currentPeriods: timeline.current,
+        applicability: timeline.applicability,
         upcomingDashas,
         dashaTimeline,
         lifePhases,
@@ -96,35 +115,45 @@ class UpcomingDashasService extends ServiceTemplate {
   }
 
   /**
-   * Extracts upcoming Dasha periods.
-   * @param {Object} dashaAnalysis - Complete Dasha analysis.
+   * Extracts upcoming Dasha periods, starting with the one running now.
+   * Sign and yogini periods are interpreted through their ruling planet.
+   * @param {Object} timeline - DashaService timeline result.
    * @param {number} periodsToShow - Number of periods to show.
+   * @param {Date} now - Moment the forecast starts from.
    * @returns {Array} Upcoming Dasha periods.
    * @private
    */
-  _extractUpcomingDashas(dashaAnalysis, periodsToShow) {
-    const upcoming = (dashaAnalysis.upcomingDashas || []).slice(
-      0,
-      periodsToShow
-    );
-
-    return upcoming.map(dasha => ({
-      mahadasha: {
-        lord: dasha.mahadashaLord || 'Unknown',
-        startDate: dasha.startDate || 'Unknown',
-        endDate: dasha.endDate || 'Unknown',
-        duration: dasha.duration || 0,
-        remainingYears: dasha.remainingYears || 0,
-        elapsedYears: dasha.elapsedYears || 0,
-        totalYears: dasha.totalYears || 0,
-        influence: this._getPlanetaryInfluence(dasha.mahadashaLord)
-      },
-      keyThemes: this._getDashaKeyThemes(dasha.mahadashaLord),
-      lifeAreas: this._getDashaLifeAreas(dasha.mahadashaLord),
-      challenges: this._getDashaChallenges(dasha.mahadashaLord),
-      opportunities: this._getDashaOpportunities(dasha.mahadashaLord),
-      preparation: this._getPreparationAdvice(dasha.mahadashaLord)
-    }));
+  _extractUpcomingDashas(timeline, periodsToShow, now) {
+    const upcoming = timeline.periods
+      .filter(period => period.end > now)
+      .slice(0, periodsToShow);
+
+    return upcoming.map(period => {
+      const elapsedYears = Math.max(
+        0,
+        (now - period.start) / (365.25 * 24 * 60 * 60 * 1000)
+      );
+      return {
+        mahadasha: {
+          lord: period.label,
+          planet: period.ruler,
+          level: period.levelName,
+          path: period.path,
+          startDate: period.start,
+          endDate: period.end,
+          duration: period.years,
+          remainingYears: period.years - elapsedYears,
+          elapsedYears,
+          totalYears: period.years,
+          influence: this._getPlanetaryInfluence(period.ruler)
+        },
+        keyThemes: this._getDashaKeyThemes(period.ruler),
+        lifeAreas: this._getDashaLifeAreas(period.ruler),
+        challenges: this._getDashaChallenges(period.ruler),
+        opportunities: this._getDashaOpportunities(period.ruler),
+        preparation: this._getPreparationAdvice(period.ruler)
+      };
+    });
   }
 
   /**
@@ -138,7 +167,7 @@ class UpcomingDashasService extends ServiceTemplate {
 
     upcomingDashas.forEach((dasha, index) => {
       timeline.phases.push({
-        phase: `${dasha.mahadasha.lord} Mahadasha`,
+        phase: `${dasha.mahadasha.lord} ${dasha.mahadasha.level}`,
         startDate: dasha.mahadasha.startDate,
         endDate: dasha.mahadasha.endDate,
         duration: dasha.mahadasha.duration,
@@ -151,18 +180,20 @@ class UpcomingDashasService extends ServiceTemplate {
           to: upcomingDashas[index + 1].mahadasha.lord,
           date: upcomingDashas[index + 1].mahadasha.startDate,
           significance: this._assessTransitionSignificance(
-            dasha.mahadasha.lord,
-            upcomingDashas[index + 1].mahadasha.lord
+            dasha.mahadasha.planet,
+            upcomingDashas[index + 1].mahadasha.planet
           )
         });
       }
 
       const majorShifters = ['Saturn', 'Rahu', 'Ketu'];
-      if (majorShifters.includes(dasha.mahadasha.lord)) {
+      if (majorShifters.includes(dasha.mahadasha.planet)) {
         timeline.majorShifts.push({
-          period: `${dasha.mahadasha.lord} Mahadasha`,
+          period: `${dasha.mahadasha.lord} ${dasha.mahadasha.level}`,
           startDate: dasha.mahadasha.startDate,
-          significance: this._getMajorShiftSignificance(dasha.mahadasha.lord)
+          significance: this._getMajorShiftSignificance(
+            dasha.mahadasha.planet.toLowerCase()
+          )
         });
       }
     });
@@ -184,9 +215,9 @@ class UpcomingDashasService extends ServiceTemplate {
     };
 
     upcomingDashas.forEach(dasha => {
-      const lord = dasha.mahadasha.lord.toLowerCase();
+      const lord = dasha.mahadasha.planet.toLowerCase();
       const phaseInfo = {
-        period: `${dasha.mahadasha.lord} Mahadasha`,
+        period: `${dasha.mahadasha.lord} ${dasha.mahadasha.level}`,
         startDate: dasha.mahadasha.startDate,
         duration: dasha.mahadasha.duration,
         focus: dasha.keyThemes[0] || 'Personal development'
@@ -221,12 +252,12 @@ class UpcomingDashasService extends ServiceTemplate {
 
     if (upcomingDashas.length > 0) {
       const nextDasha = upcomingDashas[0];
-      guide.immediate = this._getPreparationAdvice(nextDasha.mahadasha.lord);
+      guide.immediate = this._getPreparationAdvice(nextDasha.mahadasha.planet);
     }
 
     const shortTermPeriods = upcomingDashas.slice(0, 3);
     guide.shortTerm = shortTermPeriods.flatMap(dasha =>
-      this._getPreparationAdvice(dasha.mahadasha.lord).slice(0, 2)
+      this._getPreparationAdvice(dasha.mahadasha.planet).slice(0, 2)
     );
 
     guide.longTerm = [
@@ -257,11 +288,11 @@ class UpcomingDashasService extends ServiceTemplate {
     const opportunities = [];
 
     upcomingDashas.forEach(dasha => {
-      const lord = dasha.mahadasha.lord.toLowerCase();
+      const lord = dasha.mahadasha.planet.toLowerCase();
 
       if (['jupiter', 'venus'].includes(lord)) {
         opportunities.push({
-          period: `${dasha.mahadasha.lord} Mahadasha`,
+          period: `${dasha.mahadasha.lord} ${dasha.mahadasha.level}`,
           startDate: dasha.mahadasha.startDate,
           type: 'Expansion and growth',
           opportunities: dasha.opportunities,
@@ -269,7 +300,7 @@ class UpcomingDashasService extends ServiceTemplate {
         });
       } else if (['mercury', 'sun'].includes(lord)) {
         opportunities.push({
-          period: `${dasha.mahadasha.lord} Mahadasha`,
+          period: `${dasha.mahadasha.lord} ${dasha.mahadasha.level}`,
           startDate: dasha.mahadasha.startDate,
           type: 'Achievement and recognition',
           opportunities: dasha.opportunities,
@@ -577,10 +608,13 @@ class UpcomingDashasService extends ServiceTemplate {
       return 'No upcoming Dasha periods available for analysis.';
     }
 
-    let interpretation = `Your upcoming Dasha periods show ${upcomingDashas.length} major planetary phases ahead. `;
+    let interpretation = `Your upcoming Dasha periods show ${upcomingDashas.length} planetary phases ahead. `;
 
-    const nextDasha = upcomingDashas[0];
-    interpretation += `The next major period is ${nextDasha.mahadasha.lord} Mahadasha starting ${nextDasha.mahadasha.startDate}, focusing on ${nextDasha.keyThemes[0] || 'personal development'}. `;
+    const [currentDasha, nextDasha] = upcomingDashas;
+    interpretation += `The ${currentDasha.mahadasha.lord} ${currentDasha.mahadasha.level} runs until ${currentDasha.mahadasha.endDate.toDateString()}. `;
+    if (nextDasha) {
+      interpretation += `The next period is ${nextDasha.mahadasha.lord} ${nextDasha.mahadasha.level} starting ${nextDasha.mahadasha.startDate.toDateString()}, focusing on ${nextDasha.keyThemes[0] || 'personal development'}. `;
+    }
 
     const growthPhases = lifePhases.growth.length;
     const challengePhases = lifePhases.challenge.length;
@@ -620,7 +654,7 @@ class UpcomingDashasService extends ServiceTemplate {
       ],
       dependencies: [], // Managed by ServiceTemplate
       description:
-        'Service for forecasting future planetary periods based on Vimshottari Dasha.'
+        'Service for forecasting future planetary periods in the Vimshottari, Yogini, Ashtottari, Chara and Kalachakra dashas.'
     };
   }
 
@@ -632,10 +666,11 @@ class UpcomingDashasService extends ServiceTemplate {
     return `
 ⏳ **Upcoming Dashas Service - Future Planetary Periods Forecast**
 
-**Purpose:** Forecasts future planetary periods (Dashas), providing timing for upcoming life phases and opportunities based on the Vimshottari Dasha sequence.
+**Purpose:** Forecasts future planetary periods (Dashas), providing timing for upcoming life phases and opportunities in the Vimshottari, Yogini, Ashtottari, Chara or Kalachakra Dasha.
 
 **Required Inputs:**
 • Birth data (Object with birthDate, birthTime, birthPlace)
+• Options: system (default vimshottari) and path to drill into sub-periods
 
 **Analysis Includes:**
 • **Upcoming Mahadashas:** Details of future major planetary periods.
@@ -13,7 +13,7 @@ class VargaChartsService extends ServiceTemplate {
   constructor() {
     super('VargaCharts');
     this.serviceName = 'VargaChartsService';
-    this.calculatorPath = './calculators/VargaCharts'; // Assuming this path for the main calculator
+    this.calculatorPath = '../../services/astrology/vargaCharts';
     logger.info('VargaChartsService initialized');
   }
 
@@ -25,8 +25,6 @@ class VargaChartsService extends ServiceTemplate {
    */
   async processCalculation(birthData, vargas = null) {
     try {
-      this._validateInput(birthData);
-
       // Default vargas if not specified
       const defaultVargas = [
         'RASHI',
@@ -44,9 +42,12 @@ class VargaChartsService extends ServiceTemplate {
         birthData,
         selectedVargas
       );
+      if (analysis.error) {
+        throw new Error(analysis.error);
+      }
 
-      // Format result for service consumption
-      return this._formatResult(analysis);
+      // Formatted for service consumption by ServiceTemplate.execute
+      return analysis;
     } catch (error) {
       logger.error('VargaChartsService error:', error);
       throw new Error(`Varga charts analysis failed: ${error.message}`);
@@ -61,7 +62,10 @@ class VargaChartsService extends ServiceTemplate {
    */
   async getVargaChart(birthData, vargaName) {
     try {
-      this._validateInput(birthData);
+      this.validate(birthData);
+      if (!this.calculator) {
+        await this.initialize();
+      }
 
       if (!vargaName) {
         throw new Error('Varga name is required');
@@ -72,7 +76,7 @@ class VargaChartsService extends ServiceTemplate {
         vargaName
       ]);
 
-      if (!analysis.charts || !analysis.charts[vargaName]) {
+      if (!analysis.vargaCharts || !analysis.vargaCharts[vargaName]) {
         return {
           error: true,
           message: `Unable to calculate ${vargaName} chart`
@@ -80,7 +84,7 @@ class VargaChartsService extends ServiceTemplate {
       }
 
       return {
-        chart: analysis.charts[vargaName],
+        chart: analysis.vargaCharts[vargaName],
         significances: this._getVargaSignificances(vargaName),
         error: false
       };
@@ -114,6 +118,8 @@ class VargaChartsService extends ServiceTemplate {
     if (!input.birthPlace) {
       throw new Error('Birth place is required');
     }
+
+    return input;
   }
 
   /**
@@ -125,8 +131,10 @@ class VargaChartsService extends ServiceTemplate {
   formatResult(result) {
     return {
       success: true,
-      charts: result.charts,
+      birthChart: result.birthChart,
+      charts: result.vargaCharts,
       analysis: result.analysis,
+      recommendations: result.recommendations,
       metadata: {
         system: 'Varga Charts',
         calculationMethod:
@@ -141,7 +149,7 @@ class VargaChartsService extends ServiceTemplate {
           'DASHAMSA',
           'DVADASHAMSA'
         ],
-        totalCharts: Object.keys(result.charts || {}).length
+        totalCharts: Object.keys(result.vargaCharts || {}).length
       }
     };
   }
@@ -1,5 +1,7 @@
 const ServiceTemplate = require('./ServiceTemplate');
 const logger = require('../../utils/logger');
+const { VedicYogasCalculator } = require('./calculators/VedicYogasCalculator');
+const GeocodingService = require('../../services/astrology/geocoding/GeocodingService');
 
 /**
  * VedicYogas Service
@@ -7,13 +9,13 @@ const logger = require('../../utils/logger');
  * Extends ServiceTemplate for standardized service architecture
  */
 class VedicYogasService extends ServiceTemplate {
-  constructor(services) {
+  constructor(services = {}) {
     super('VedicYogasCalculator');
 
     // Initialize Vedic Yogas Calculator with required dependencies
     this.calculator = new VedicYogasCalculator(
       services.astrologer,
-      services.geocodingService
+      services.geocodingService || new GeocodingService()
     );
 
     // Set services in calculator
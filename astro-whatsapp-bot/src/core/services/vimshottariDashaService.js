@@ -20,7 +20,8 @@ class VimshottariDashaService extends ServiceTemplate {
       validatedData.validate();
 
       // Get dasha data from calculator
-      const dashaData = await this.calculator.calculateDashaAnalysis(birthData);
+      const dashaData =
+        await this.calculator.calculateVimshottariDasha(birthData);
 
       // Add metadata
       dashaData.type = 'vimshottari';
@@ -55,7 +56,7 @@ class VimshottariDashaService extends ServiceTemplate {
       }
     }
 
-    return true;
+    return birthData;
   }
 
   getMetadata() {
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * AdminAuditEntry Schema - Append-only record of every change made through
+ * the admin API: who did what to which user, with the values before and
+ * after the change. Failed logins are recorded too, by the email tried.
+ */
+const adminAuditEntrySchema = new mongoose.Schema(
+  {
+    // Operator email and role at the time of the change
+    actor: {
+      type: String,
+      required: true
+    },
+    role: String,
+    // e.g. 'user.update', 'subscription.grant', 'session.reset',
+    // 'auth.login_failed', 'auth.lockout'
+    action: {
+      type: String,
+      required: true
+    },
+    // Phone number of the user changed
+    target: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    reason: String,
+    // Client address of login attempts
+    ip: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  {
+    collection: 'admin_audit_log'
+  }
+);
+
+adminAuditEntrySchema.index({ at: -1 });
+adminAuditEntrySchema.index({ target: 1, at: -1 });
+adminAuditEntrySchema.index({ actor: 1, at: -1 });
+
+module.exports = mongoose.model('AdminAuditEntry', adminAuditEntrySchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * AdminUser Schema - Operator account for the admin API
+ * Roles are ordered: viewer < support < admin (see services/admin/AdminAuth)
+ */
+const adminUserSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    // bcrypt hash; the password itself is never stored
+    passwordHash: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'support', 'admin'],
+      default: 'viewer'
+    },
+    // Deactivated accounts cannot log in and their tokens stop working
+    active: {
+      type: Boolean,
+      default: true
+    },
+    lastLoginAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'admin_users'
+  }
+);
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * BirthReport Schema - Generated PDF birth reports
+ * One document per report version. The fingerprint covers everything the
+ * report depends on, so an unchanged profile is served from here instead of
+ * being recomputed.
+ */
+const birthReportSchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String,
+      required: true,
+      index: true
+    },
+    // Increments per user each time a new report is generated
+    version: {
+      type: Number,
+      required: true
+    },
+    fingerprint: {
+      type: String,
+      required: true
+    },
+    // Calendar month the report belongs to (YYYY-MM)
+    period: {
+      type: String,
+      required: true
+    },
+    language: {
+      type: String,
+      default: 'en'
+    },
+
+    // Rendered document
+    pdf: {
+      type: Buffer,
+      required: true
+    },
+    filename: String,
+    pageCount: Number,
+    sections: [String],
+    missingSections: [String],
+
+    // WhatsApp media ID of the last upload; media expires after 30 days
+    mediaId: String,
+    mediaUploadedAt: Date,
+    deliveries: {
+      type: Number,
+      default: 0
+    },
+    lastDeliveredAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'birth_reports'
+  }
+);
+
+birthReportSchema.index({ phoneNumber: 1, fingerprint: 1 }, { unique: true });
+birthReportSchema.index({ phoneNumber: 1, version: -1 });
+
+module.exports = mongoose.model('BirthReport', birthReportSchema);
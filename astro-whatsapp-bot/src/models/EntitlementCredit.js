@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Expired credits are kept this long for support and auditing
+const EXPIRED_RETENTION_SECONDS = 180 * 24 * 60 * 60;
+
+/**
+ * EntitlementCredit Schema - Ledger of feature credits per user
+ * One document per grant (a purchase, a plan period's allowance, a referral
+ * reward). Actions consume from it one unit at a time; every change is
+ * appended to `usage`.
+ */
+const entitlementCreditSchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String,
+      required: true
+    },
+    // Key of ENTITLEMENTS (see EntitlementCatalog)
+    entitlement: {
+      type: String,
+      required: true
+    },
+    source: {
+      type: String,
+      enum: ['purchase', 'subscription', 'referral', 'grant'],
+      required: true
+    },
+    // Plan a 'subscription' credit is the allowance of; it is only used
+    // while the user is still on that plan
+    plan: String,
+    // Payment ID, plan period or referral: a grant is only applied once
+    sourceRef: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    granted: {
+      type: Number,
+      default: 0
+    },
+    remaining: {
+      type: Number,
+      default: 0
+    },
+    // Plan allowances without a cap: counted, never decremented
+    unlimited: {
+      type: Boolean,
+      default: false
+    },
+    used: {
+      type: Number,
+      default: 0
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    usage: [
+      {
+        at: { type: Date, default: Date.now },
+        actionId: String,
+        // -1 when consumed, +1 when given back after a failed action
+        change: Number
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    collection: 'entitlement_credits'
+  }
+);
+
+entitlementCreditSchema.index({ phoneNumber: 1, entitlement: 1, expiresAt: 1 });
+entitlementCreditSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: EXPIRED_RETENTION_SECONDS }
+);
+
+module.exports = mongoose.model('EntitlementCredit', entitlementCreditSchema);
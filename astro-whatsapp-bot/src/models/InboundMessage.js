@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * InboundMessage Schema - Durable inbox for WhatsApp webhook messages
+ * Each record is keyed by the WhatsApp message ID so redeliveries are ignored
+ */
+const inboundMessageSchema = new mongoose.Schema(
+  {
+    messageId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+      index: true
+    },
+
+    // Original webhook payload pieces needed by MessageCoordinator
+    message: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    // Ordering: WhatsApp timestamp (seconds) first, arrival time second
+    waTimestamp: {
+      type: Number,
+      default: 0
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+
+    // Processing state
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'done', 'failed'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    availableAt: {
+      type: Date,
+      default: Date.now
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    processedAt: Date,
+    lastError: String
+  },
+  {
+    timestamps: true,
+    collection: 'inbound_messages'
+  }
+);
+
+// Indexes for claiming work in order
+inboundMessageSchema.index({ status: 1, availableAt: 1, waTimestamp: 1 });
+inboundMessageSchema.index({ phoneNumber: 1, status: 1, waTimestamp: 1 });
+// Keep processed IDs for a week so late redeliveries are still deduplicated
+inboundMessageSchema.index(
+  { processedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('InboundMessage', inboundMessageSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * OutboundMessage Schema - Delivery record of a message sent to WhatsApp
+ * Created when the Cloud API accepts (or finally rejects) a message and
+ * updated from the webhook's `statuses` events.
+ */
+const outboundMessageSchema = new mongoose.Schema(
+  {
+    // WhatsApp message ID (wamid); absent when the send itself failed
+    waMessageId: {
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    phoneNumber: {
+      type: String,
+      required: true,
+      index: true
+    },
+    type: {
+      type: String,
+      default: 'text'
+    },
+    // Start of the text, for message history
+    preview: String,
+
+    // Critical messages keep their payload so a failure can be resent
+    critical: {
+      type: Boolean,
+      default: false
+    },
+    payload: mongoose.Schema.Types.Mixed,
+
+    // Latest known state: sent -> delivered -> read, or failed
+    status: {
+      type: String,
+      enum: ['sent', 'delivered', 'read', 'failed'],
+      default: 'sent'
+    },
+    attempts: {
+      type: Number,
+      default: 1
+    },
+    sentAt: Date,
+    deliveredAt: Date,
+    readAt: Date,
+    failedAt: Date,
+    errorCode: Number,
+    errorTitle: String,
+
+    // Resends of failed critical messages
+    resends: {
+      type: Number,
+      default: 0
+    },
+    resendOf: String,
+    resentAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'outbound_messages'
+  }
+);
+
+// Indexes for delivery reports and the resend sweep
+outboundMessageSchema.index({ createdAt: 1, status: 1 });
+outboundMessageSchema.index({ critical: 1, status: 1, resentAt: 1 });
+outboundMessageSchema.index({ phoneNumber: 1, createdAt: -1 });
+// Delivery records are only reported on for a month
+outboundMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
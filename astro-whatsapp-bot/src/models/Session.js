@@ -40,7 +40,8 @@ const sessionSchema = new mongoose.Schema(
     memory: [
       {
         timestamp: { type: Date, default: Date.now },
-        type: String, // 'user_input', 'bot_response', 'system_event'
+        // Nested so Mongoose does not read `type` as the entry's own type
+        type: { type: String }, // 'user_input', 'bot_response', 'system_event'
         content: mongoose.Schema.Types.Mixed
       }
     ],
@@ -1,13 +1,26 @@
 const logger = require('../utils/logger');
 const Session = require('./Session');
+const { getStateNamespace } = require('../services/state');
+
+// Sessions end after a day without activity, like the Session model's
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
 
 /**
  * SessionManager - Manages user session state and conversation flows
- * Handles session creation, retrieval, updates, and deletion
+ * Handles session creation, retrieval, updates, and deletion. Sessions live
+ * in the shared state store, so a conversation continues on whichever
+ * instance receives the user's next message; every write renews the TTL.
  */
 class SessionManager {
-  constructor() {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.sessions - State namespace (tests)
+   */
+  constructor(options = {}) {
     this.logger = logger;
+    this.sessions =
+      options.sessions ||
+      getStateNamespace('sessions', { ttlMs: SESSION_TTL_MS });
   }
 
   /**
@@ -17,8 +30,7 @@ class SessionManager {
    */
   async getUserSession(phoneNumber) {
     try {
-      const session = await Session.findOne({ phoneNumber });
-      return session ? session.toObject() : null;
+      return await this.sessions.get(phoneNumber);
     } catch (error) {
       this.logger.error(`❌ Error getting session for ${phoneNumber}:`, error);
       throw error;
@@ -28,27 +40,22 @@ class SessionManager {
   /**
    * Set user session
    * @param {string} phoneNumber - User's phone number
-   * @param {Object} sessionData - Session data
+   * @param {Object} sessionData - Session data; dotted keys such as
+   *   'context.aiTwinActive' set nested fields, as in a Mongo $set
    * @returns {Promise<void>}
    */
   async setUserSession(phoneNumber, sessionData) {
     try {
-      const update = {
-        ...sessionData,
-        phoneNumber // Ensure phoneNumber is set
-      };
-
-      if (!sessionData.sessionId) {
-        const existingSession = await Session.findOne({ phoneNumber });
-        if (!existingSession) {
-          update.sessionId = Session.generateSessionId();
+      await this.sessions.update(phoneNumber, session => {
+        const updated = {
+          ...(session || this._newSession(phoneNumber)),
+          lastActivity: new Date()
+        };
+        for (const [key, value] of Object.entries(sessionData)) {
+          this._setPath(updated, key.split('.'), value);
         }
-      }
-
-      await Session.findOneAndUpdate({ phoneNumber }, update, {
-        upsert: true, // Create if doesn't exist
-        new: true,
-        runValidators: true
+        updated.phoneNumber = phoneNumber; // Ensure phoneNumber is set
+        return updated;
       });
     } catch (error) {
       this.logger.error(`❌ Error setting session for ${phoneNumber}:`, error);
@@ -63,8 +70,7 @@ class SessionManager {
    */
   async deleteUserSession(phoneNumber) {
     try {
-      const result = await Session.deleteOne({ phoneNumber });
-      return result.deletedCount > 0;
+      return await this.sessions.delete(phoneNumber);
     } catch (error) {
       this.logger.error(`❌ Error deleting session for ${phoneNumber}:`, error);
       throw error;
@@ -196,7 +202,38 @@ class SessionManager {
   }
 
   /**
-   * Check for expired sessions and clean up
+   * Append conversation turns to the session memory, keeping the last 50
+   * entries like Session#addToMemory
+   * @param {string} phoneNumber - User's phone number
+   * @param {Array<Object>} entries - { type, content } items
+   * @returns {Promise<void>}
+   */
+  async addSessionMemory(phoneNumber, entries) {
+    try {
+      const timestamp = new Date();
+      await this.sessions.update(phoneNumber, session => {
+        const current = session || this._newSession(phoneNumber);
+        return {
+          ...current,
+          memory: [
+            ...(current.memory || []),
+            ...entries.map(entry => ({ timestamp, ...entry }))
+          ].slice(-50),
+          lastActivity: timestamp
+        };
+      });
+    } catch (error) {
+      this.logger.error(
+        `❌ Error adding session memory for ${phoneNumber}:`,
+        error
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Check for expired sessions and clean up. Sessions expire on their own
+   * after SESSION_TTL_MS; this ends shorter inactivity windows early.
    * @param {number} maxInactiveHours - Maximum hours of inactivity
    * @returns {Promise<number>} Number of expired sessions cleaned
    */
@@ -205,17 +242,61 @@ class SessionManager {
       const maxInactiveMs = maxInactiveHours * 60 * 60 * 1000;
       const cutoffDate = new Date(Date.now() - maxInactiveMs);
 
-      const result = await Session.deleteMany({
-        lastActivity: { $lt: cutoffDate }
-      });
+      let deletedCount = 0;
+      for (const [phoneNumber, session] of await this.sessions.entries(10000)) {
+        if (
+          new Date(session.lastActivity) < cutoffDate &&
+          (await this.sessions.delete(phoneNumber))
+        ) {
+          deletedCount++;
+        }
+      }
 
-      this.logger.info(`🧹 Cleaned up ${result.deletedCount} expired sessions`);
-      return result.deletedCount;
+      this.logger.info(`🧹 Cleaned up ${deletedCount} expired sessions`);
+      return deletedCount;
     } catch (error) {
       this.logger.error('❌ Error cleaning up expired sessions:', error);
       throw error;
     }
   }
+
+  /**
+   * Set a nested field, creating the objects on its path
+   * @private
+   * @param {Object} target - Object to change
+   * @param {Array<string>} path - Keys down to the field
+   * @param {*} value - Value
+   */
+  _setPath(target, [key, ...rest], value) {
+    if (rest.length === 0) {
+      target[key] = value;
+      return;
+    }
+    // Copy nested objects so the stored session is never changed in place
+    target[key] = { ...(target[key] || {}) };
+    this._setPath(target[key], rest, value);
+  }
+
+  /**
+   * Fields of a session that does not exist yet
+   * @private
+   * @param {string} phoneNumber - User's phone number
+   * @returns {Object} Session
+   */
+  _newSession(phoneNumber) {
+    const now = new Date();
+    return {
+      sessionId: Session.generateSessionId(),
+      phoneNumber,
+      currentFlow: null,
+      currentStep: null,
+      flowData: {},
+      context: {},
+      memory: [],
+      createdAt: now,
+      lastActivity: now
+    };
+  }
 }
 
-module.exports = { SessionManager };
+module.exports = { SessionManager, SESSION_TTL_MS };
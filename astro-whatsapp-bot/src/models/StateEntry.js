@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * StateEntry Schema - One key of the shared state store (MongoStateStore)
+ * Values are kept JSON-encoded so every backend hands back the same data.
+ */
+const stateEntrySchema = new mongoose.Schema(
+  {
+    // Consumer of the entry, e.g. 'menus' or 'sessions'
+    namespace: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    value: {
+      type: String,
+      required: true
+    },
+    // Absent for entries that never expire
+    expiresAt: Date,
+
+    // Bumped on every write; guards read-modify-write updates
+    version: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    collection: 'state_entries'
+  }
+);
+
+stateEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+// MongoDB reaps expired entries about once a minute; reads filter the rest
+stateEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('StateEntry', stateEntrySchema);
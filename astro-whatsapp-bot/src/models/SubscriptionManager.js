@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
 
+// Tiers from lowest to highest
+const TIER_ORDER = ['free', 'essential', 'premium', 'vip'];
+
 /**
  * SubscriptionManager - Handles user subscription tiers and benefits
  * Manages subscription upgrades, limits, and feature access validation
@@ -40,6 +43,7 @@ class SubscriptionManager {
       },
       vip: {
         dedicatedHumanAstrologer: true,
+        monthlyReports: true,
         quarterlyLifePlanning: true,
         personalizedMeditation: true,
         rarePlanetaryEventReadings: true,
@@ -47,6 +51,13 @@ class SubscriptionManager {
         maxCompatibilityChecks: Infinity
       }
     };
+
+    // Plans loyalty points can be redeemed for, per period of `days`
+    this.loyaltyUpgrades = {
+      essential: { points: 100, days: 30 },
+      premium: { points: 500, days: 30 },
+      vip: { points: 1000, days: 30 }
+    };
   }
 
   /**
@@ -184,49 +195,85 @@ class SubscriptionManager {
   }
 
   /**
-   * Upgrade subscription tier based on loyalty points
+   * Redeem loyalty points for a plan. The points are spent in the same
+   * update that sets the tier, so a balance is never spent twice; redeeming
+   * the current tier again extends it.
    * @param {Object} userDataManager - UserDataManager instance
    * @param {string} phoneNumber - User's phone number
-   * @returns {Promise<Object>} Updated user object or null if no upgrade
+   * @param {string} tier - Tier to redeem (see loyaltyUpgrades)
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { upgraded, reason, tier, expiry, pointsLeft }
    */
-  async upgradeByLoyaltyPoints(userDataManager, phoneNumber) {
+  async upgradeByLoyaltyPoints(
+    userDataManager,
+    phoneNumber,
+    tier,
+    now = new Date()
+  ) {
     try {
+      const upgrade = this.loyaltyUpgrades[tier];
+      if (!upgrade) {
+        return { upgraded: false, reason: 'unknown_tier', tier };
+      }
+
       const user = await userDataManager.getUserByPhone(phoneNumber);
       if (!user) {
-        return null;
+        return { upgraded: false, reason: 'user_not_found', tier };
+      }
+      // A paid subscription owns the tier until it ends
+      const status = user.subscription && user.subscription.status;
+      if (['trialing', 'active', 'past_due'].includes(status)) {
+        return { upgraded: false, reason: 'subscription_active', tier };
       }
 
-      const points = user.loyaltyPoints || 0;
-
-      // Define upgrade thresholds
-      const upgradeThresholds = {
-        free: { threshold: 100, nextTier: 'essential' },
-        essential: { threshold: 500, nextTier: 'premium' },
-        premium: { threshold: 1000, nextTier: 'vip' }
-      };
-
-      const currentTier = user.subscriptionTier || 'free';
-      const upgrade = upgradeThresholds[currentTier];
+      const currentExpiry =
+        user.subscriptionExpiry && new Date(user.subscriptionExpiry);
+      const currentTier =
+        user.subscriptionTier && (!currentExpiry || currentExpiry > now) ?
+          user.subscriptionTier :
+          'free';
+      if (TIER_ORDER.indexOf(currentTier) > TIER_ORDER.indexOf(tier)) {
+        return { upgraded: false, reason: 'lower_tier', tier, currentTier };
+      }
+      if (currentTier === tier && !currentExpiry) {
+        return { upgraded: false, reason: 'already_lifetime', tier };
+      }
 
-      if (upgrade && points >= upgrade.threshold) {
-        // Perform upgrade
-        const updatedUser = await this.updateSubscription(
-          userDataManager,
-          phoneNumber,
-          upgrade.nextTier,
-          null // Lifetime subscription
-        );
+      const from = currentTier === tier && currentExpiry ? currentExpiry : now;
+      const expiry = new Date(
+        from.getTime() + upgrade.days * 24 * 60 * 60 * 1000
+      );
 
-        this.logger.info(
-          `⭐ Loyalty points upgrade for ${phoneNumber}: ${currentTier} -> ${upgrade.nextTier}`
-        );
-        return updatedUser;
+      const updatedUser = await userDataManager.updateUserProfileIf(
+        phoneNumber,
+        { loyaltyPoints: { $gte: upgrade.points } },
+        {
+          $inc: { loyaltyPoints: -upgrade.points },
+          $set: { subscriptionTier: tier, subscriptionExpiry: expiry }
+        }
+      );
+      if (!updatedUser) {
+        return {
+          upgraded: false,
+          reason: 'insufficient_points',
+          tier,
+          pointsNeeded: upgrade.points,
+          points: user.loyaltyPoints || 0
+        };
       }
 
-      return null; // No upgrade needed
+      this.logger.info(
+        `⭐ Loyalty points redeemed by ${phoneNumber}: ${currentTier} -> ${tier} until ${expiry.toISOString()}`
+      );
+      return {
+        upgraded: true,
+        tier,
+        expiry,
+        pointsLeft: updatedUser.loyaltyPoints
+      };
     } catch (error) {
       this.logger.error(
-        `❌ Error upgrading user by loyalty points ${phoneNumber}:`,
+        `❌ Error redeeming loyalty points for ${phoneNumber}:`,
         error
       );
       throw error;
@@ -234,7 +281,8 @@ class SubscriptionManager {
   }
 
   /**
-   * Add loyalty points to user and check for upgrade
+   * Add loyalty points to user. Points are spent on upgrades explicitly
+   * (see upgradeByLoyaltyPoints).
    * @param {Object} userDataManager - UserDataManager instance
    * @param {string} phoneNumber - User's phone number
    * @param {number} points - Points to add
@@ -251,9 +299,6 @@ class SubscriptionManager {
         `⭐ Added ${points} loyalty points to user ${phoneNumber}: ${user.loyaltyPoints} total`
       );
 
-      // Check for automatic upgrade
-      await this.upgradeByLoyaltyPoints(userDataManager, phoneNumber);
-
       return user;
     } catch (error) {
       this.logger.error(
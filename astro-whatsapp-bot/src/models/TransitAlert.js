@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Alerts are kept this long after their trigger for support and auditing
+const RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * TransitAlert Schema - A user's upcoming personal trigger (an exact
+ * transit, a dasha change, a Sade Sati phase, an eclipse on a natal planet
+ * or a planetary return) and its WhatsApp alert. Planned ahead by the
+ * alert engine (see services/alerts); `key` identifies the trigger, so
+ * planning it again never adds a second alert.
+ */
+const transitAlertSchema = new mongoose.Schema(
+  {
+    phoneNumber: {
+      type: String,
+      required: true
+    },
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    // Key of ALERT_CATEGORIES (see services/alerts/AlertPreferences)
+    category: {
+      type: String,
+      enum: ['transits', 'dashas', 'sadeSati', 'eclipses', 'returns'],
+      required: true
+    },
+    summary: {
+      type: String,
+      required: true
+    },
+    description: String,
+    // When the trigger is exact
+    at: {
+      type: Date,
+      required: true
+    },
+
+    // 'sending' while one instance holds the alert
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'skipped'],
+      default: 'pending'
+    },
+    // Why a skipped alert was not sent: 'missed' or 'no_credit'
+    reason: String,
+    claimedAt: Date,
+    sentAt: Date
+  },
+  {
+    timestamps: true,
+    collection: 'transit_alerts'
+  }
+);
+
+transitAlertSchema.index({ phoneNumber: 1, status: 1, at: 1 });
+transitAlertSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('TransitAlert', transitAlertSchema);
@@ -51,6 +51,19 @@ const userSchema = new mongoose.Schema(
       type: String, // City, Country
       default: null
     },
+    // Birthplace as confirmed by the user during onboarding
+    birthLatitude: {
+      type: Number,
+      default: null
+    },
+    birthLongitude: {
+      type: Number,
+      default: null
+    },
+    birthTimezone: {
+      type: String, // IANA zone, e.g. Asia/Kolkata
+      default: null
+    },
 
     // Astrology data (calculated from birth details)
     sunSign: String,
@@ -68,6 +81,47 @@ const userSchema = new mongoose.Schema(
       default: 'free'
     },
     subscriptionExpiry: Date,
+    // Lifecycle behind the tier (see services/payment/subscriptions)
+    subscription: {
+      status: {
+        type: String,
+        enum: [
+          'none',
+          'trialing',
+          'active',
+          'past_due',
+          'cancelled',
+          'expired'
+        ],
+        default: 'none'
+      },
+      planId: String,
+      gateway: String,
+      gatewaySubscriptionId: String,
+      gatewayCustomerId: String,
+      lastPaymentId: String,
+      trialEndsAt: Date,
+      currentPeriodStart: Date,
+      currentPeriodEnd: Date,
+      graceEndsAt: Date,
+      cancelAtPeriodEnd: Boolean,
+      cancelledAt: Date,
+      endedAt: Date,
+      endReason: String,
+      failedPayments: { type: Number, default: 0 },
+      renewalReminderFor: Date,
+      finalNoticeFor: Date,
+      history: [
+        {
+          at: { type: Date, default: Date.now },
+          eventId: String,
+          event: String,
+          gateway: String,
+          from: String,
+          to: String
+        }
+      ]
+    },
 
     // User preferences
     preferences: {
@@ -75,7 +129,52 @@ const userSchema = new mongoose.Schema(
       weeklyNotifications: { type: Boolean, default: true },
       compatibilityNotifications: { type: Boolean, default: true },
       morningHoroscopeTime: { type: String, default: '08:00' },
-      eveningReflectionTime: { type: String, default: '20:00' }
+      eveningReflectionTime: { type: String, default: '20:00' },
+      // Chart calculation settings (see services/astrology/core/ChartSettings)
+      ayanamsa: {
+        type: String,
+        enum: [
+          'lahiri',
+          'raman',
+          'krishnamurti',
+          'fagan_bradley',
+          'true_chitra',
+          'yukteshwar'
+        ],
+        default: 'lahiri'
+      },
+      houseSystem: {
+        type: String,
+        enum: [
+          'whole_sign',
+          'placidus',
+          'koch',
+          'equal',
+          'sripati',
+          'kp_placidus',
+          null
+        ],
+        default: null // Each chart type uses its traditional system
+      },
+      // Drawing style for Vedic chart images (see astrology/charts/ChartRenderer)
+      chartStyle: {
+        type: String,
+        enum: ['north_indian', 'south_indian', 'east_indian'],
+        default: 'north_indian'
+      },
+      // Proactive alerts (see services/alerts): the categories opted into,
+      // hours of notice (null for the default) and local quiet hours
+      alerts: {
+        categories: [
+          {
+            type: String,
+            enum: ['transits', 'dashas', 'sadeSati', 'eclipses', 'returns']
+          }
+        ],
+        leadHours: { type: Number, default: null },
+        quietStart: { type: String, default: '22:00' },
+        quietEnd: { type: String, default: '07:00' }
+      }
     },
 
     // Profile status
@@ -98,16 +197,24 @@ const userSchema = new mongoose.Schema(
       default: Date.now
     },
     lastHoroscopeSent: Date,
+    // Last time the alert engine planned this user's upcoming alerts
+    alertsPlannedAt: Date,
     totalMessages: {
       type: Number,
       default: 0
     },
 
     // AI Twin functionality
-    aiTwinPersonality: String,
+    // Profile derived from the natal chart (see TwinPersonality)
+    aiTwinPersonality: mongoose.Schema.Types.Mixed,
     aiTwinMemory: [
       {
         timestamp: { type: Date, default: Date.now },
+        kind: {
+          type: String,
+          enum: ['exchange', 'question', 'reading', 'summary'],
+          default: 'exchange'
+        },
         interaction: String,
         response: String
       }
@@ -126,6 +233,51 @@ const userSchema = new mongoose.Schema(
       default: 0
     },
 
+    // People book: family, partners and clients saved for readings
+    // (see services/people)
+    people: [
+      {
+        name: { type: String, required: true, trim: true },
+        relationship: {
+          type: String,
+          enum: [
+            'partner',
+            'child',
+            'parent',
+            'sibling',
+            'relative',
+            'friend',
+            'business_partner',
+            'client',
+            'other'
+          ],
+          default: 'other'
+        },
+        gender: {
+          type: String,
+          enum: ['male', 'female', 'other', null],
+          default: null
+        },
+        birthDate: String, // As collected by the flow, e.g. 1990-06-15
+        birthTime: { type: String, default: null }, // HHMM, null if unknown
+        birthPlace: String,
+        birthLatitude: Number,
+        birthLongitude: Number,
+        birthTimezone: String,
+        createdAt: { type: Date, default: Date.now },
+        updatedAt: { type: Date, default: Date.now }
+      }
+    ],
+
+    // iCalendar feed: only a hash of the secret link token is kept
+    // (see services/calendar)
+    calendarFeed: {
+      tokenHash: String,
+      createdAt: Date,
+      lastFetchedAt: Date,
+      fetches: { type: Number, default: 0 }
+    },
+
     // Loyalty and referral system
     loyaltyPoints: {
       type: Number,
@@ -137,6 +289,7 @@ const userSchema = new mongoose.Schema(
       sparse: true
     },
     referredBy: String,
+    referredAt: Date,
     referredUsers: [String]
   },
   {
@@ -149,8 +302,29 @@ const userSchema = new mongoose.Schema(
 userSchema.index({ phoneNumber: 1 });
 userSchema.index({ referralCode: 1 });
 userSchema.index({ subscriptionTier: 1 });
+userSchema.index({
+  'subscription.status': 1,
+  'subscription.currentPeriodEnd': 1
+});
+userSchema.index(
+  { 'subscription.gatewaySubscriptionId': 1 },
+  { sparse: true }
+);
+userSchema.index({ 'calendarFeed.tokenHash': 1 }, { sparse: true });
 userSchema.index({ lastInteraction: -1 });
 userSchema.index({ createdAt: -1 });
+// Daily horoscope candidates, by the zone they are delivered in
+userSchema.index({
+  timezone: 1,
+  'preferences.morningHoroscopeTime': 1,
+  lastHoroscopeSent: 1
+});
+userSchema.index({
+  birthTimezone: 1,
+  'preferences.morningHoroscopeTime': 1,
+  lastHoroscopeSent: 1
+});
+userSchema.index({ 'preferences.alerts.categories': 1 });
 
 // Pre-save middleware to update updatedAt
 userSchema.pre('save', function(next) {
@@ -206,6 +380,7 @@ userSchema.methods.getSubscriptionBenefits = function() {
     },
     vip: {
       dedicatedHumanAstrologer: true,
+      monthlyReports: true,
       quarterlyLifePlanning: true,
       personalizedMeditation: true,
       rarePlanetaryEventReadings: true,
@@ -232,6 +232,77 @@ class UserDataManager {
     }
   }
 
+  /**
+   * Search users by phone number, name or referral code (for admin purposes)
+   * @param {Object} criteria - Search criteria
+   * @param {string} criteria.query - Text the phone, name or code contains
+   * @param {string} criteria.tier - Only this subscription tier
+   * @param {number} criteria.limit - Page size
+   * @param {number} criteria.offset - Users to skip
+   * @returns {Promise<Object>} { users, total }, most recently active first
+   */
+  async searchUsers({ query, tier, limit = 20, offset = 0 } = {}) {
+    try {
+      const filter = {};
+      if (query) {
+        // Searched as literal text, never as a pattern
+        const text = new RegExp(
+          query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+          'i'
+        );
+        filter.$or = [
+          { phoneNumber: text },
+          { name: text },
+          { referralCode: text }
+        ];
+      }
+      if (tier) {
+        filter.subscriptionTier = tier;
+      }
+
+      const [users, total] = await Promise.all([
+        User.find(filter)
+          .select(
+            'phoneNumber name preferredLanguage subscriptionTier subscriptionExpiry subscription.status profileComplete lastInteraction createdAt'
+          )
+          .sort({ lastInteraction: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean(),
+        User.countDocuments(filter)
+      ]);
+      return { users, total };
+    } catch (error) {
+      this.logger.error('❌ Error searching users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update fields on an operator's behalf. Unlike updateUserProfile this
+   * leaves lastInteraction alone: it tracks the user's own messages and
+   * decides whether free-form messages may be sent.
+   * @param {string} phoneNumber - User's WhatsApp phone number
+   * @param {Object} fields - Fields to set, dotted paths allowed
+   * @returns {Promise<Object|null>} Updated user object, null if not found
+   */
+  async updateUserFields(phoneNumber, fields) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { phoneNumber },
+        { $set: { ...this._sanitizeUpdateData(fields), updatedAt: new Date() } },
+        {
+          new: true,
+          runValidators: true
+        }
+      );
+      return user ? user.toObject() : null;
+    } catch (error) {
+      this.logger.error(`❌ Error updating fields of user ${phoneNumber}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Delete user
    * @param {string} phoneNumber - User's phone number to delete
@@ -296,6 +367,39 @@ class UserDataManager {
       throw error;
     }
   }
+
+  /**
+   * Update user profile with MongoDB operators only while the user matches
+   * extra conditions, in one atomic step (trusted internal use only)
+   * @param {string} phoneNumber - User's WhatsApp phone number
+   * @param {Object} conditions - Additional filter, e.g. a minimum balance
+   * @param {Object} updateData - Data to update (may include MongoDB operators)
+   * @returns {Promise<Object|null>} Updated user object, null if the
+   *   conditions did not match
+   */
+  async updateUserProfileIf(phoneNumber, conditions, updateData) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { ...conditions, phoneNumber },
+        {
+          ...updateData,
+          lastInteraction: new Date(),
+          updatedAt: new Date()
+        },
+        {
+          new: true,
+          runValidators: true
+        }
+      );
+      return user ? user.toObject() : null;
+    } catch (error) {
+      this.logger.error(
+        `❌ Error conditionally updating user ${phoneNumber}:`,
+        error
+      );
+      throw error;
+    }
+  }
 }
 
 module.exports = { UserDataManager };
@@ -29,6 +29,9 @@ module.exports = {
       birthPlace
     ),
   getAllUsers: () => userDataManager.getAllUsers(),
+  searchUsers: criteria => userDataManager.searchUsers(criteria),
+  updateUserFields: (phoneNumber, fields) =>
+    userDataManager.updateUserFields(phoneNumber, fields),
   deleteUser: phoneNumber => userDataManager.deleteUser(phoneNumber),
 
   // Subscription Management
@@ -47,6 +50,13 @@ module.exports = {
     ),
   addLoyaltyPoints: (phoneNumber, points) =>
     subscriptionManager.addLoyaltyPoints(userDataManager, phoneNumber, points),
+  redeemLoyaltyPoints: (phoneNumber, tier) =>
+    subscriptionManager.upgradeByLoyaltyPoints(
+      userDataManager,
+      phoneNumber,
+      tier
+    ),
+  getLoyaltyUpgrades: () => subscriptionManager.loyaltyUpgrades,
   hasActiveSubscription: user =>
     subscriptionManager.hasActiveSubscription(user),
   getSubscriptionBenefits: user =>
@@ -88,6 +98,8 @@ module.exports = {
   isUserInFlow: phoneNumber => sessionManager.isUserInFlow(phoneNumber),
   updateSessionMenu: (phoneNumber, menuType) =>
     sessionManager.updateSessionMenu(phoneNumber, menuType),
+  addSessionMemory: (phoneNumber, entries) =>
+    sessionManager.addSessionMemory(phoneNumber, entries),
   cleanupExpiredSessions: maxInactiveHours =>
     sessionManager.cleanupExpiredSessions(maxInactiveHours)
 };
@@ -6,17 +6,39 @@ require('dotenv').config();
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const helmet = require('helmet');
-const { connectDB } = require('./config/database');
+const { connectDB, closeDB } = require('./config/database');
 const {
   handleWhatsAppWebhook,
   verifyWhatsAppWebhook
 } = require('./controllers/whatsappController');
+const { createAdminRouter } = require('./controllers/adminController');
+const { createCalendarRouter } = require('./controllers/calendarController');
 const paymentService = require('./services/payment/paymentService');
 const { errorHandler } = require('./utils/errorHandler');
 const logger = require('./utils/logger');
+const {
+  startDailyHoroscopeScheduler,
+  stopDailyHoroscopeScheduler,
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler,
+  startOutboundResendScheduler,
+  stopOutboundResendScheduler,
+  startTransitAlertScheduler,
+  stopTransitAlertScheduler
+} = require('./services/scheduler');
+const {
+  getInboundPipeline,
+  resetInboundPipeline
+} = require('./services/whatsapp/inbound');
 
 const app = express();
 
+// Behind a load balancer, take the client address from X-Forwarded-For
+// (per-address limits such as admin login throttling depend on it)
+if (process.env.W1_TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.W1_TRUST_PROXY, 10) || 1);
+}
+
 // Log WhatsApp credentials at startup
 const whatsappAccessToken = process.env.W1_WHATSAPP_ACCESS_TOKEN;
 const whatsappPhoneNumberId = process.env.W1_WHATSAPP_PHONE_NUMBER_ID;
@@ -33,6 +55,36 @@ logger.debug(`WhatsApp Phone Number ID: ${whatsappPhoneNumberId || 'Not Set'}`);
     logger.error('❌ Failed to connect to database:', error);
     process.exit(1); // Exit if database connection fails at startup
   }
+
+  // Scheduled deliveries and the inbound workers need the database; a
+  // failure here is not fatal
+  if (process.env.NODE_ENV !== 'test') {
+    try {
+      getInboundPipeline();
+    } catch (error) {
+      logger.error('❌ Failed to start inbound message pipeline:', error);
+    }
+    try {
+      await startDailyHoroscopeScheduler();
+    } catch (error) {
+      logger.error('❌ Failed to start daily horoscope scheduler:', error);
+    }
+    try {
+      startSubscriptionScheduler();
+    } catch (error) {
+      logger.error('❌ Failed to start subscription scheduler:', error);
+    }
+    try {
+      startOutboundResendScheduler();
+    } catch (error) {
+      logger.error('❌ Failed to start outbound resend scheduler:', error);
+    }
+    try {
+      startTransitAlertScheduler();
+    } catch (error) {
+      logger.error('❌ Failed to start transit alert scheduler:', error);
+    }
+  }
 })();
 
 const PORT = process.env.W1_PORT || 3000;
@@ -101,88 +153,6 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Debug WhatsApp endpoint
-app.get('/debug-whatsapp', async(req, res) => {
-  try {
-    const axios = require('axios');
-    // Reconstruct token from parts (same logic as messageSender)
-    const tokenPart1 = process.env.W1_WHATSAPP_ACCESS_TOKEN_PART1;
-    const tokenPart2 = process.env.W1_WHATSAPP_ACCESS_TOKEN_PART2;
-    const token =
-      tokenPart1 && tokenPart2 ?
-        tokenPart1 + tokenPart2 :
-        process.env.W1_WHATSAPP_ACCESS_TOKEN;
-    const phoneId = process.env.W1_WHATSAPP_PHONE_NUMBER_ID;
-
-    const debug = {
-      tokenLength: token ? token.length : 0,
-      tokenReconstructed: !!(tokenPart1 && tokenPart2),
-      tokenPart1Length: tokenPart1 ? tokenPart1.length : 0,
-      tokenPart2Length: tokenPart2 ? tokenPart2.length : 0,
-      tokenStart: token ? token.substring(0, 10) : null,
-      tokenEnd: token ? token.substring(Math.max(0, token.length - 10)) : null,
-      tokenMasked: token ?
-        `${token.substring(0, 20)}...${token.substring(Math.max(0, token.length - 20))}` :
-        null,
-      envVarExists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN,
-      envPart1Exists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN_PART1,
-      envPart2Exists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN_PART2,
-      phoneId,
-      timestamp: new Date().toISOString(),
-      deploymentCheck: 'v5'
-    };
-
-    // Test WhatsApp API
-    const response = await axios.get(
-      `https://graph.facebook.com/v18.0/${phoneId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-
-    res.json({
-      status: 'success',
-      debug,
-      whatsappResponse: response.data
-    });
-  } catch (error) {
-    // Reconstruct token from parts (same logic as messageSender)
-    const tokenPart1 = process.env.W1_WHATSAPP_ACCESS_TOKEN_PART1;
-    const tokenPart2 = process.env.W1_WHATSAPP_ACCESS_TOKEN_PART2;
-    const token =
-      tokenPart1 && tokenPart2 ?
-        tokenPart1 + tokenPart2 :
-        process.env.W1_WHATSAPP_ACCESS_TOKEN;
-    res.json({
-      status: 'error',
-      debug: {
-        tokenLength: token ? token.length : 0,
-        tokenReconstructed: !!(tokenPart1 && tokenPart2),
-        tokenPart1Length: tokenPart1 ? tokenPart1.length : 0,
-        tokenPart2Length: tokenPart2 ? tokenPart2.length : 0,
-        tokenStart: token ? token.substring(0, 10) : null,
-        tokenEnd: token ?
-          token.substring(Math.max(0, token.length - 10)) :
-          null,
-        tokenMasked: token ?
-          `${token.substring(0, 20)}...${token.substring(Math.max(0, token.length - 20))}` :
-          null,
-        envVarExists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN,
-        envPart1Exists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN_PART1,
-        envPart2Exists: !!process.env.W1_WHATSAPP_ACCESS_TOKEN_PART2,
-        phoneId: process.env.W1_WHATSAPP_PHONE_NUMBER_ID,
-        error: error.message,
-        response: error.response?.data,
-        deploymentCheck: 'v5'
-      }
-    });
-  }
-});
-
 // Readiness check endpoint
 app.get('/ready', (req, res) => {
   // Check if essential services are available
@@ -245,6 +215,13 @@ app.post('/webhooks/stripe', validateStripeWebhook, async(req, res) => {
   }
 });
 
+// Operator admin API (JWT auth, role-based; diagnostics replace the old
+// unauthenticated /debug-whatsapp)
+app.use('/admin', createAdminRouter());
+
+// iCalendar feeds; the secret token in the link authenticates the request
+app.use('/calendar', createCalendarRouter());
+
 // Test endpoint for rate limiting
 app.get('/rate-limit-test', (req, res) => {
   res.status(200).json({ message: 'Rate limit test endpoint' });
@@ -299,16 +276,37 @@ process.on('unhandledRejection', (reason, promise) => {
   }, 3000);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('📴 SIGTERM received, shutting down gracefully');
+// Graceful shutdown: let the inbound workers settle the messages they have
+// claimed and the schedulers finish their current tick before exiting
+let shuttingDown = false;
+const shutdown = async signal => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  logger.info(`📴 ${signal} received, shutting down gracefully`);
+  const results = await Promise.allSettled([
+    resetInboundPipeline(),
+    stopDailyHoroscopeScheduler(),
+    stopSubscriptionScheduler(),
+    stopOutboundResendScheduler(),
+    stopTransitAlertScheduler()
+  ]);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result =>
+      logger.error('❌ Error during shutdown:', result.reason)
+    );
+  try {
+    await closeDB();
+  } catch (error) {
+    // closeDB already logged it
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('📴 SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 let server;
 let memoryMonitorInterval;
@@ -352,18 +350,6 @@ if (process.env.NODE_ENV !== 'test') {
     logger.info('Memory monitor interval cleared.');
   });
 
-  // Handle graceful shutdown signals
-  process.on('SIGINT', () => {
-    logger.info('SIGINT received. Shutting down gracefully.');
-    process.exit(0);
-  });
-
-  process.on('SIGTERM', () => {
-    logger.info('SIGTERM received. Shutting down gracefully.');
-    process.exit(0);
-  });
-
-
   // Handle server errors
   server.on('error', error => {
     logger.error('❌ Server error:', error);
@@ -0,0 +1,192 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const logger = require('../../utils/logger');
+const AdminUser = require('../../models/AdminUser');
+const { AuditLog } = require('./AuditLog');
+const { LoginThrottle } = require('./LoginThrottle');
+const {
+  AuthenticationError,
+  AuthorizationError
+} = require('../../utils/errorHandler');
+
+// Each role can do everything the roles before it can
+const ROLES = ['viewer', 'support', 'admin'];
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Whether a role grants at least the access of another
+ * @param {string} role - Operator role
+ * @param {string} required - Least role needed
+ * @returns {boolean} True if allowed
+ */
+const hasRole = (role, required) =>
+  ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+
+/**
+ * AdminAuth - Operator login and token checks for the admin API
+ * Tokens are short-lived JWTs naming the account; the account is looked up
+ * again on every request, so deactivating it or changing its role takes
+ * effect immediately. Failed logins are audited and throttled per client
+ * address and email (see LoginThrottle).
+ */
+class AdminAuth {
+  /**
+   * @param {Object} options - Auth options
+   * @param {string} options.secret - JWT signing secret
+   * @param {string} options.expiresIn - Token lifetime, e.g. '12h'
+   * @param {Object} options.model - AdminUser model (tests)
+   * @param {LoginThrottle} options.throttle - Failed login limits
+   * @param {AuditLog} options.audit - Where failed logins are recorded
+   */
+  constructor({
+    secret,
+    expiresIn = '12h',
+    model = AdminUser,
+    throttle = new LoginThrottle(),
+    audit = new AuditLog()
+  }) {
+    this.secret = secret;
+    this.expiresIn = expiresIn;
+    this.model = model;
+    this.throttle = throttle;
+    this.audit = audit;
+    this.dummyHash = null;
+  }
+
+  /**
+   * Hash a password for storage
+   * @param {string} password - Plain password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  static hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Exchange an operator's email and password for a token
+   * @param {string} email - Operator email
+   * @param {string} password - Operator password
+   * @param {Object} context - Request context
+   * @param {string} context.ip - Client address
+   * @returns {Promise<Object>} { token, expiresIn, operator }
+   * @throws {AuthenticationError} On unknown, inactive or wrong credentials
+   * @throws {TooManyRequestsError} While the address or email is locked out
+   */
+  async login(email, password, { ip } = {}) {
+    const attempt = { email: String(email).trim().toLowerCase(), ip };
+    await this.throttle.check(attempt);
+
+    const account = await this.model.findOne({ email: attempt.email }).lean();
+
+    // Compare against a throwaway hash for unknown emails too, so response
+    // times do not reveal which accounts exist
+    if (!this.dummyHash) {
+      this.dummyHash = await bcrypt.hash('not-a-password', BCRYPT_ROUNDS);
+    }
+    const matches = await bcrypt.compare(
+      password,
+      account ? account.passwordHash : this.dummyHash
+    );
+    if (!account || !matches || !account.active) {
+      let reason = 'Account disabled';
+      if (!account) {
+        reason = 'Unknown email';
+      } else if (!matches) {
+        reason = 'Wrong password';
+      }
+      await this._recordFailure(attempt, account, reason);
+      throw new AuthenticationError('Invalid email or password');
+    }
+    await this.throttle.recordSuccess(attempt);
+
+    await this.model.updateOne(
+      { _id: account._id },
+      { $set: { lastLoginAt: new Date() } }
+    );
+    const token = jwt.sign(
+      { sub: String(account._id), email: account.email },
+      this.secret,
+      { expiresIn: this.expiresIn }
+    );
+    return {
+      token,
+      expiresIn: this.expiresIn,
+      operator: { email: account.email, role: account.role }
+    };
+  }
+
+  /**
+   * Count a failed login and audit it, with the lockout it caused if any.
+   * Audit errors are logged, never shown to the client.
+   * @private
+   * @param {Object} attempt - { email, ip }
+   * @param {Object|null} account - Account of the email, if any
+   * @param {string} reason - Why the login failed
+   * @returns {Promise<void>}
+   */
+  async _recordFailure(attempt, account, reason) {
+    const lockout = await this.throttle.recordFailure(attempt);
+    const actor = { email: attempt.email, role: account ? account.role : null };
+    try {
+      await this.audit.record(actor, 'auth.login_failed', null, {
+        reason,
+        ip: attempt.ip
+      });
+      if (lockout) {
+        const source =
+          lockout.kind === 'ip' ? 'from this address' : 'for this email';
+        const until = new Date(lockout.lockedUntil).toISOString();
+        await this.audit.record(actor, 'auth.lockout', null, {
+          reason: `${lockout.failures} failed logins ${source}, locked until ${until}`,
+          ip: attempt.ip
+        });
+      }
+    } catch (error) {
+      logger.error('❌ Failed to audit admin login failure:', error.message);
+    }
+  }
+
+  /**
+   * Operator behind a bearer token
+   * @param {string} token - JWT from the Authorization header
+   * @returns {Promise<Object>} { id, email, role }
+   * @throws {AuthenticationError} On invalid or expired tokens and
+   *   inactive accounts
+   */
+  async verify(token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new AuthenticationError(
+        error.name === 'TokenExpiredError' ?
+          'Token expired' :
+          'Invalid token'
+      );
+    }
+
+    const account = await this.model.findById(claims.sub).lean();
+    if (!account || !account.active) {
+      throw new AuthenticationError('Account disabled');
+    }
+    return {
+      id: String(account._id),
+      email: account.email,
+      role: account.role
+    };
+  }
+
+  /**
+   * Check an operator may use an endpoint
+   * @param {Object} operator - verify() result
+   * @param {string} required - Least role needed
+   * @throws {AuthorizationError} When the role is too low
+   */
+  authorize(operator, required) {
+    if (!hasRole(operator.role, required)) {
+      throw new AuthorizationError(`Requires the ${required} role`);
+    }
+  }
+}
+
+module.exports = { AdminAuth, ROLES, hasRole };
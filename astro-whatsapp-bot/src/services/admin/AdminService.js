@@ -0,0 +1,352 @@
+const logger = require('../../utils/logger');
+const { ConflictError, NotFoundError } = require('../../utils/errorHandler');
+
+// Kept out of user views: private conversations and bulky derived data
+const PRIVATE_FIELDS = [
+  'aiTwinMemory',
+  'aiTwinPersonality',
+  'predictionHistory',
+  '__v'
+];
+
+/**
+ * Phone number as WhatsApp reports it: digits without a leading +
+ * @param {string} phoneNumber - Phone number from the URL
+ * @returns {string} Normalized number
+ */
+const normalizePhone = phoneNumber => String(phoneNumber).replace(/^\+/, '');
+
+/**
+ * Values a set of dotted paths have on a document
+ * @private
+ * @param {Object} doc - Document
+ * @param {Array<string>} paths - Dotted paths
+ * @returns {Object} { path: value }
+ */
+const pick = (doc, paths) =>
+  Object.fromEntries(
+    paths.map(path => [
+      path,
+      path
+        .split('.')
+        .reduce((value, key) => (value == null ? value : value[key]), doc) ??
+        null
+    ])
+  );
+
+/**
+ * Readable text of an inbound WhatsApp message
+ * @private
+ * @param {Object} message - Webhook message
+ * @returns {string} Text, button title or message type
+ */
+const inboundText = message => {
+  const { type } = message;
+  if (type === 'text') {
+    return message.text && message.text.body;
+  }
+  if (type === 'interactive' && message.interactive) {
+    const reply =
+      message.interactive.button_reply || message.interactive.list_reply;
+    return reply ? `[${reply.title}]` : '[interactive]';
+  }
+  if (type === 'button' && message.button) {
+    return `[${message.button.text}]`;
+  }
+  return `[${type}]`;
+};
+
+/**
+ * AdminService - What operators can look up and change through the admin
+ * API: users, subscriptions, sessions and message history. Every change is
+ * written to the audit log with the values before and after it.
+ */
+class AdminService {
+  /**
+   * @param {Object} options - Service dependencies
+   * @param {Object} options.users - { getUserByPhone, searchUsers,
+   *   updateUserFields } (see userModel)
+   * @param {Object} options.sessions - { getUserSession, deleteUserSession }
+   * @param {Object} options.menus - MenuHandler
+   * @param {Object} options.composer - OutboundComposer (held message parts)
+   * @param {Object} options.lifecycle - SubscriptionLifecycleService
+   * @param {Function} options.getInbox - () => inbound queue
+   * @param {Object} options.dispatcher - OutboundDispatcher
+   * @param {Object} options.audit - AuditLog
+   * @param {Function} options.diagnostics - async () => system report
+   */
+  constructor({
+    users,
+    sessions,
+    menus,
+    composer,
+    lifecycle,
+    getInbox,
+    dispatcher,
+    audit,
+    diagnostics
+  }) {
+    this.logger = logger;
+    this.users = users;
+    this.sessions = sessions;
+    this.menus = menus;
+    this.composer = composer;
+    this.lifecycle = lifecycle;
+    this.getInbox = getInbox;
+    this.dispatcher = dispatcher;
+    this.audit = audit;
+    this.diagnostics = diagnostics;
+  }
+
+  /**
+   * Search users
+   * @param {Object} criteria - { query, tier, limit, offset }
+   * @returns {Promise<Object>} { users, total }
+   */
+  searchUsers(criteria) {
+    return this.users.searchUsers(criteria);
+  }
+
+  /**
+   * One user's profile and subscription
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} User without private fields
+   * @throws {NotFoundError} For unknown users
+   */
+  async getUser(phoneNumber) {
+    const user = await this._findUser(phoneNumber);
+    const view = { ...user };
+    PRIVATE_FIELDS.forEach(field => delete view[field]);
+    view.aiTwinMemoryEntries = (user.aiTwinMemory || []).length;
+    return view;
+  }
+
+  /**
+   * Correct a user's profile, birth data or preferences
+   * @param {Object} operator - { email, role }
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} changes - Validated fields; `preferences` is merged
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUser(operator, phoneNumber, changes) {
+    const user = await this._findUser(phoneNumber);
+    const { preferences = {}, ...profile } = changes;
+    const fields = { ...profile };
+    Object.entries(preferences).forEach(([key, value]) => {
+      fields[`preferences.${key}`] = value;
+    });
+
+    const paths = Object.keys(fields);
+    const updated = await this.users.updateUserFields(
+      user.phoneNumber,
+      fields
+    );
+    await this.audit.record(operator, 'user.update', user.phoneNumber, {
+      before: pick(user, paths),
+      after: pick(updated, paths)
+    });
+    this.logger.info(
+      `🛠️ ${operator.email} updated ${paths.join(', ')} of ${user.phoneNumber}`
+    );
+    return this.getUser(user.phoneNumber);
+  }
+
+  /**
+   * Give a user a plan without payment
+   * @param {Object} operator - { email, role }
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} grant - { planId, days, reason }
+   * @returns {Promise<Object>} Subscription after the grant
+   */
+  async grantSubscription(operator, phoneNumber, { planId, days, reason }) {
+    const user = await this._findUser(phoneNumber);
+    const result = await this.lifecycle.grant(user.phoneNumber, {
+      planId,
+      days,
+      actor: operator.email
+    });
+    return this._recordSubscriptionChange(
+      operator,
+      'subscription.grant',
+      user,
+      result,
+      reason
+    );
+  }
+
+  /**
+   * End a user's plan now
+   * @param {Object} operator - { email, role }
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} revocation - { reason }
+   * @returns {Promise<Object>} Subscription after the revocation
+   */
+  async revokeSubscription(operator, phoneNumber, { reason }) {
+    const user = await this._findUser(phoneNumber);
+    const result = await this.lifecycle.revoke(user.phoneNumber, {
+      reason,
+      actor: operator.email
+    });
+    return this._recordSubscriptionChange(
+      operator,
+      'subscription.revoke',
+      user,
+      result,
+      reason
+    );
+  }
+
+  /**
+   * A user's conversation state
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} { session, menu }
+   */
+  async getSession(phoneNumber) {
+    const normalized = normalizePhone(phoneNumber);
+    const [session, menu] = await Promise.all([
+      this.sessions.getUserSession(normalized),
+      this.menus.getMenuStats(normalized)
+    ]);
+    return { session, menu };
+  }
+
+  /**
+   * Unstick a user: forget their session, numbered menu and any message
+   * parts waiting for "Continue"
+   * @param {Object} operator - { email, role }
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} What was cleared
+   */
+  async resetSession(operator, phoneNumber) {
+    const normalized = normalizePhone(phoneNumber);
+    const session = await this.sessions.getUserSession(normalized);
+    const [, menu, heldParts] = await Promise.all([
+      this.sessions.deleteUserSession(normalized),
+      this.menus.clearNumberedMenuMappings(normalized),
+      this.composer.clearParts(normalized)
+    ]);
+    const cleared = { session: !!session, menu, heldParts };
+
+    await this.audit.record(operator, 'session.reset', normalized, {
+      before: session && {
+        currentFlow: session.currentFlow || null,
+        currentStep: session.currentStep ?? null,
+        lastMenu: session.lastMenu || null
+      },
+      after: cleared
+    });
+    this.logger.info(`🛠️ ${operator.email} reset the session of ${normalized}`);
+    return cleared;
+  }
+
+  /**
+   * Latest messages both ways, newest first. The inbox keeps messages for
+   * a week and delivery records for a month.
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} { direction, at, type, text, status }
+   */
+  async getMessages(phoneNumber, { limit = 50 } = {}) {
+    const normalized = normalizePhone(phoneNumber);
+    const [inbound, outbound] = await Promise.all([
+      this.getInbox().findBySender(normalized, limit),
+      this.dispatcher.getRecipientHistory(normalized, { limit })
+    ]);
+
+    const messages = [
+      ...inbound.map(record => ({
+        direction: 'in',
+        id: record.messageId,
+        at: record.waTimestamp ?
+          new Date(record.waTimestamp * 1000) :
+          record.receivedAt,
+        type: record.message.type,
+        text: inboundText(record.message),
+        status: record.status,
+        ...(record.lastError && { error: record.lastError })
+      })),
+      ...outbound.map(record => ({
+        direction: 'out',
+        id: record.waMessageId || record.id,
+        at: record.createdAt,
+        type: record.type,
+        text: record.preview,
+        status: record.status,
+        ...(record.errorTitle && { error: record.errorTitle })
+      }))
+    ];
+    return messages
+      .sort((a, b) => new Date(b.at) - new Date(a.at))
+      .slice(0, limit);
+  }
+
+  /**
+   * Audit log entries
+   * @param {Object} query - { target, actor, action, limit, offset }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  listAudit(query) {
+    return this.audit.list({
+      ...query,
+      ...(query.target && { target: normalizePhone(query.target) })
+    });
+  }
+
+  /**
+   * System report for operators
+   * @returns {Promise<Object>} Diagnostics
+   */
+  getDiagnostics() {
+    return this.diagnostics();
+  }
+
+  /**
+   * @private
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} User
+   * @throws {NotFoundError} For unknown users
+   */
+  async _findUser(phoneNumber) {
+    const user = await this.users.getUserByPhone(normalizePhone(phoneNumber));
+    if (!user) {
+      throw new NotFoundError(`User ${phoneNumber} not found`);
+    }
+    return user;
+  }
+
+  /**
+   * Audit a subscription change, or explain why it did not apply
+   * @private
+   * @param {Object} operator - { email, role }
+   * @param {string} action - Audit action
+   * @param {Object} user - User before the change
+   * @param {Object} result - Lifecycle transition result
+   * @param {string} reason - Operator's reason
+   * @returns {Promise<Object>} { status, subscriptionTier, subscriptionExpiry }
+   * @throws {ConflictError} When the current state does not allow it
+   */
+  async _recordSubscriptionChange(operator, action, user, result, reason) {
+    if (!result.applied) {
+      throw new ConflictError(
+        `Subscription is ${result.status || 'unchanged'}; ${action} does not apply`
+      );
+    }
+    const before = {
+      status: (user.subscription && user.subscription.status) || 'none',
+      subscriptionTier: user.subscriptionTier,
+      subscriptionExpiry: user.subscriptionExpiry || null
+    };
+    const after = { status: result.status, ...result.access };
+    await this.audit.record(operator, action, user.phoneNumber, {
+      before,
+      after,
+      reason
+    });
+    this.logger.info(
+      `🛠️ ${operator.email} ${action} for ${user.phoneNumber}: ${before.status} -> ${after.status}`
+    );
+    return after;
+  }
+}
+
+module.exports = { AdminService, normalizePhone };
@@ -0,0 +1,68 @@
+const AdminAuditEntry = require('../../models/AdminAuditEntry');
+
+/**
+ * AuditLog - Append-only log of changes made through the admin API and of
+ * failed logins to it
+ */
+class AuditLog {
+  /**
+   * @param {Object} options - Log options
+   * @param {Object} options.model - AdminAuditEntry model (tests)
+   */
+  constructor({ model = AdminAuditEntry } = {}) {
+    this.model = model;
+  }
+
+  /**
+   * Record one change, or a failed login (no target, with the address)
+   * @param {Object} operator - { email, role } of who made it
+   * @param {string} action - e.g. 'user.update', 'auth.login_failed'
+   * @param {string} target - Phone number of the user changed
+   * @param {Object} details - { before, after, reason, ip }
+   * @returns {Promise<Object>} Saved entry
+   */
+  async record(operator, action, target, { before, after, reason, ip } = {}) {
+    const entry = await this.model.create({
+      actor: operator.email,
+      role: operator.role,
+      action,
+      target,
+      before,
+      after,
+      reason,
+      ip,
+      at: new Date()
+    });
+    return entry.toObject();
+  }
+
+  /**
+   * Entries, newest first
+   * @param {Object} query - Filters and paging
+   * @param {string} query.target - Only changes to this user
+   * @param {string} query.actor - Only changes by this operator
+   * @param {string} query.action - Only this action
+   * @param {number} query.limit - Page size
+   * @param {number} query.offset - Entries to skip
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async list({ target, actor, action, limit = 50, offset = 0 } = {}) {
+    const filter = {
+      ...(target && { target }),
+      ...(actor && { actor }),
+      ...(action && { action })
+    };
+    const [entries, total] = await Promise.all([
+      this.model
+        .find(filter)
+        .sort({ at: -1 })
+        .skip(offset)
+        .limit(limit)
+        .lean(),
+      this.model.countDocuments(filter)
+    ]);
+    return { entries, total };
+  }
+}
+
+module.exports = { AuditLog };
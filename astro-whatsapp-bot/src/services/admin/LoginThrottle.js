@@ -0,0 +1,126 @@
+const { getStateNamespace } = require('../state');
+const { TooManyRequestsError } = require('../../utils/errorHandler');
+
+// Counted separately; an attempt is refused when either is locked out
+const KINDS = ['ip', 'email'];
+
+/**
+ * Store key of an attempt's address or email
+ * @private
+ * @param {string} kind - 'ip' | 'email'
+ * @param {Object} attempt - { email, ip }
+ * @returns {string} Key
+ */
+const keyFor = (kind, { email, ip }) =>
+  (kind === 'ip' ?
+    `ip:${ip || 'unknown'}` :
+    `email:${String(email).trim().toLowerCase()}`);
+
+/**
+ * LoginThrottle - Failed admin logins counted per client address and per
+ * email in the shared state store, so every instance sees the same counts.
+ * The failure reaching a key's limit locks it out for `baseLockMs` and each
+ * one after that for twice as long as the last, up to `maxLockMs` (attempts
+ * refused while locked out do not count); counts are forgotten
+ * `resetMs` after the last failure and a successful login clears the
+ * email's (never the address's, which may be trying other accounts).
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} options - Throttle options
+   * @param {Object} options.store - StateNamespace (tests)
+   * @param {number} options.maxEmailFailures - Failures per email that
+   *   start a lockout
+   * @param {number} options.maxIpFailures - Failures per address that start
+   *   a lockout
+   * @param {number} options.baseLockMs - First lockout
+   * @param {number} options.maxLockMs - Longest lockout
+   * @param {number} options.resetMs - When counts are forgotten
+   * @param {Function} options.now - Clock (tests)
+   */
+  constructor({
+    store = getStateNamespace('admin_logins'),
+    maxEmailFailures = 5,
+    maxIpFailures = 20,
+    baseLockMs = 60 * 1000,
+    maxLockMs = 30 * 60 * 1000,
+    resetMs = 60 * 60 * 1000,
+    now = () => Date.now()
+  } = {}) {
+    this.store = store;
+    this.limits = { email: maxEmailFailures, ip: maxIpFailures };
+    this.baseLockMs = baseLockMs;
+    this.maxLockMs = Math.min(maxLockMs, resetMs);
+    this.resetMs = resetMs;
+    this.now = now;
+  }
+
+  /**
+   * Lockout after a failure at or past the limit
+   * @private
+   * @param {number} over - Failures past the limit, from 0
+   * @returns {number} Milliseconds
+   */
+  _lockMs(over) {
+    return Math.min(this.baseLockMs * 2 ** over, this.maxLockMs);
+  }
+
+  /**
+   * Refuse the attempt while its address or email is locked out
+   * @param {Object} attempt - { email, ip }
+   * @returns {Promise<void>}
+   * @throws {TooManyRequestsError} With `retryAfter` in seconds
+   */
+  async check(attempt) {
+    const now = this.now();
+    for (const kind of KINDS) {
+      const record = await this.store.get(keyFor(kind, attempt));
+      if (record && record.lockedUntil > now) {
+        throw new TooManyRequestsError(
+          'Too many failed logins, try again later',
+          Math.ceil((record.lockedUntil - now) / 1000)
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a failed attempt against its address and email
+   * @param {Object} attempt - { email, ip }
+   * @returns {Promise<Object|null>} { kind, failures, lockedUntil } of the
+   *   key this failure locked out, null when none was
+   */
+  async recordFailure(attempt) {
+    const now = this.now();
+    let lockout = null;
+    for (const kind of KINDS) {
+      const record = await this.store.update(
+        keyFor(kind, attempt),
+        current => {
+          const failures = (current ? current.failures : 0) + 1;
+          const over = failures - this.limits[kind];
+          return {
+            failures,
+            lockedUntil: over >= 0 ? now + this._lockMs(over) : 0
+          };
+        },
+        this.resetMs
+      );
+      if (record.lockedUntil > now && !lockout) {
+        lockout = { kind, ...record };
+      }
+    }
+    return lockout;
+  }
+
+  /**
+   * Clear the email's failures after a successful login
+   * @param {Object} attempt - { email, ip }
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(attempt) {
+    await this.store.delete(keyFor('email', attempt));
+  }
+}
+
+module.exports = { LoginThrottle };
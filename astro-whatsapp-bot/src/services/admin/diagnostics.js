@@ -0,0 +1,65 @@
+/**
+ * Where the WhatsApp access token comes from, without revealing any of it
+ * @private
+ * @returns {string} 'split' | 'single' | 'missing'
+ */
+const tokenSource = () => {
+  const env = process.env;
+  if (
+    env.W1_WHATSAPP_ACCESS_TOKEN_PART1 &&
+    env.W1_WHATSAPP_ACCESS_TOKEN_PART2
+  ) {
+    return 'split';
+  }
+  return env.W1_WHATSAPP_ACCESS_TOKEN ? 'single' : 'missing';
+};
+
+/**
+ * Run a check, reporting its failure instead of throwing
+ * @private
+ * @param {Function} check - async () => result
+ * @returns {Promise<Object>} Result, or { error }
+ */
+const safely = async check => {
+  try {
+    return await check();
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Build the operator diagnostics report: whether the WhatsApp credentials
+ * work (asking the Cloud API about the business number), delivery rates,
+ * the inbox and the shared state backend. Replaces /debug-whatsapp, which
+ * leaked pieces of the access token; no credential is ever included.
+ * @param {Object} deps - { api, dispatcher, getInbox, getStateStore }
+ * @returns {Function} async () => report
+ */
+const createDiagnostics =
+  ({ api, dispatcher, getInbox, getStateStore }) =>
+    async() => {
+      const [phoneNumber, delivery, inbox] = await Promise.all([
+        safely(() => api.getPhoneNumberInfo()),
+        safely(() => dispatcher.getDeliveryReport()),
+        safely(() => getInbox().getStats())
+      ]);
+
+      return {
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        nodeVersion: process.version,
+        environment: process.env.NODE_ENV,
+        whatsapp: {
+          tokenSource: tokenSource(),
+          phoneNumberIdSet: !!process.env.W1_WHATSAPP_PHONE_NUMBER_ID,
+          reachable: !phoneNumber.error,
+          phoneNumber
+        },
+        outbound: { ...dispatcher.healthCheck(), delivery },
+        inbound: inbox,
+        stateStore: getStateStore().backend
+      };
+    };
+
+module.exports = { createDiagnostics };
@@ -0,0 +1,82 @@
+const { AdminAuth, ROLES, hasRole } = require('./AdminAuth');
+const { AdminService, normalizePhone } = require('./AdminService');
+const { AuditLog } = require('./AuditLog');
+const { LoginThrottle } = require('./LoginThrottle');
+const { createDiagnostics } = require('./diagnostics');
+
+// Process-wide instances, created on first use
+let auth = null;
+let service = null;
+
+/**
+ * Shared operator auth configured from JWT_SECRET, ADMIN_JWT_EXPIRES_IN and
+ * the failed login limits ADMIN_LOGIN_MAX_FAILURES (per email) and
+ * ADMIN_LOGIN_MAX_IP_FAILURES (per client address)
+ * @returns {AdminAuth|null} Auth, or null when JWT_SECRET is not set and
+ *   the admin API must stay closed
+ */
+const getAdminAuth = () => {
+  if (!auth && process.env.JWT_SECRET) {
+    auth = new AdminAuth({
+      secret: process.env.JWT_SECRET,
+      expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '12h',
+      throttle: new LoginThrottle({
+        maxEmailFailures:
+          parseInt(process.env.ADMIN_LOGIN_MAX_FAILURES, 10) || 5,
+        maxIpFailures:
+          parseInt(process.env.ADMIN_LOGIN_MAX_IP_FAILURES, 10) || 20
+      })
+    });
+  }
+  return auth;
+};
+
+/**
+ * Shared admin service
+ * @returns {AdminService} Admin service
+ */
+const getAdminService = () => {
+  if (!service) {
+    // Required lazily: these load the whole bot
+    const userModel = require('../../models/userModel');
+    const { MenuHandler } = require('../whatsapp/MenuHandler');
+    const { OutboundComposer } = require('../whatsapp/OutboundComposer');
+    const { whatsappAPI } = require('../whatsapp/WhatsAppAPI');
+    const { getOutboundDispatcher } = require('../whatsapp/outbound');
+    const { getInboundPipeline } = require('../whatsapp/inbound');
+    const { getSubscriptionLifecycle } = require('../payment/subscriptions');
+    const { getStateStore } = require('../state');
+
+    const dispatcher = getOutboundDispatcher();
+    const getInbox = () => getInboundPipeline().queue;
+    service = new AdminService({
+      users: userModel,
+      sessions: userModel,
+      menus: new MenuHandler(),
+      composer: new OutboundComposer(),
+      lifecycle: getSubscriptionLifecycle(),
+      getInbox,
+      dispatcher,
+      audit: new AuditLog(),
+      diagnostics: createDiagnostics({
+        api: whatsappAPI,
+        dispatcher,
+        getInbox,
+        getStateStore
+      })
+    });
+  }
+  return service;
+};
+
+module.exports = {
+  getAdminAuth,
+  getAdminService,
+  AdminAuth,
+  AdminService,
+  AuditLog,
+  LoginThrottle,
+  ROLES,
+  hasRole,
+  normalizePhone
+};
@@ -0,0 +1,150 @@
+const logger = require('../../utils/logger');
+
+// WhatsApp text messages are capped at 4096 characters
+const MAX_QUESTION_LENGTH = 2000;
+const MAX_ANSWER_LENGTH = 3500;
+
+// `[F3]` or `[F1, F4]` citation markers in model output
+const CITATION = /\s*\[(F\d+(?:\s*,\s*F\d+)*)\]/g;
+
+// Cited when the model answers without citing anything
+const CORE_FACTOR_KINDS = ['natal', 'dasha'];
+const CORE_FACTOR_COUNT = 3;
+
+/**
+ * AIAstrologerService - Answers free-text questions with an AI provider,
+ * grounded in the user's computed chart (see ChartContextBuilder). The
+ * answer is sent with the chart factors it cites, and the exchange is kept
+ * in Session.memory so follow-up questions have context.
+ */
+class AIAstrologerService {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.provider - AIProvider
+   * @param {Object} deps.contextBuilder - ChartContextBuilder
+   * @param {Object} deps.sessionStore - { getUserSession, addSessionMemory }
+   */
+  constructor({ provider, contextBuilder, sessionStore }) {
+    this.provider = provider;
+    this.contextBuilder = contextBuilder;
+    this.sessionStore = sessionStore;
+    this.logger = logger;
+  }
+
+  /**
+   * Answer a question about the user's chart
+   * @param {Object} user - User profile
+   * @param {string} question - Free-text question
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { text, answer, citations, provider, model }
+   */
+  async answer(user, question, options = {}) {
+    const trimmed = String(question || '')
+      .trim()
+      .substring(0, MAX_QUESTION_LENGTH);
+    const session = await this.sessionStore.getUserSession(user.phoneNumber);
+    const pack = await this.contextBuilder.build(user, {
+      now: options.now,
+      session
+    });
+
+    const { text, model } = await this.provider.complete({
+      system: this.buildSystemPrompt(user, pack),
+      messages: [...pack.history, { role: 'user', content: trimmed }],
+      maxTokens: 700,
+      temperature: 0.6
+    });
+
+    const { answer, citations } = this.extractCitations(text, pack.factors);
+    await this.sessionStore.addSessionMemory(user.phoneNumber, [
+      { type: 'user_input', content: trimmed },
+      { type: 'bot_response', content: answer }
+    ]);
+
+    this.logger.info(
+      `🔮 AI answer for ${user.phoneNumber} via ${this.provider.name} (${citations.length} factors)`
+    );
+    return {
+      text: this.formatReply(answer, citations),
+      answer,
+      citations,
+      provider: this.provider.name,
+      model
+    };
+  }
+
+  /**
+   * Instructions plus the numbered chart factors
+   * @param {Object} user - User profile
+   * @param {Object} pack - ChartContextBuilder.build result
+   * @returns {string} System prompt
+   */
+  buildSystemPrompt(user, pack) {
+    return [
+      'You are an experienced Vedic astrologer answering questions on WhatsApp.',
+      `The person asking is ${user.name || 'the user'}. Their chart uses the ${pack.settings.ayanamsaName} ayanamsa and ${pack.settings.houseSystemName} houses.`,
+      'Base every statement on the chart factors below. After each statement, cite the factors it relies on by ID in square brackets, for example [F2] or [F1, F9]. Do not invent placements that are not listed.',
+      'If the factors do not answer the question, say so briefly. Be warm and practical, avoid fatalistic predictions, and do not give medical, legal or financial instructions.',
+      `Reply in ${this._languageName(user.preferredLanguage)} in under 200 words, using short paragraphs suitable for WhatsApp.`,
+      '',
+      'Chart factors:',
+      this.contextBuilder.formatFactors(pack.factors)
+    ].join('\n');
+  }
+
+  /**
+   * Remove citation markers from the answer and resolve them to factors
+   * @param {string} text - Model output
+   * @param {Array<Object>} factors - Context pack factors
+   * @returns {Object} { answer, citations } with citations in first-cited order
+   */
+  extractCitations(text, factors) {
+    const byId = new Map(factors.map(factor => [factor.id, factor]));
+    const cited = new Set();
+    const answer = String(text || '')
+      .replace(CITATION, (match, ids) => {
+        ids.split(',').forEach(id => cited.add(id.trim()));
+        return '';
+      })
+      .trim();
+
+    let citations = [...cited]
+      .filter(id => byId.has(id))
+      .map(id => byId.get(id));
+    if (citations.length === 0) {
+      citations = factors
+        .filter(factor => CORE_FACTOR_KINDS.includes(factor.kind))
+        .slice(0, CORE_FACTOR_COUNT);
+    }
+    return { answer, citations };
+  }
+
+  /**
+   * Answer text followed by the cited factors
+   * @param {string} answer - Answer without markers
+   * @param {Array<Object>} citations - Cited factors
+   * @returns {string} WhatsApp message
+   */
+  formatReply(answer, citations) {
+    const sources = citations.map(factor => `• ${factor.text}`).join('\n');
+    const footer = sources ? `\n\n📌 *Chart factors used*\n${sources}` : '';
+    const room = MAX_ANSWER_LENGTH - footer.length;
+    const body =
+      answer.length > room ? `${answer.substring(0, room - 3)}...` : answer;
+    return `${body}${footer}`;
+  }
+
+  /** @private */
+  _languageName(code) {
+    try {
+      return (
+        new Intl.DisplayNames(['en'], { type: 'language' }).of(code || 'en') ||
+        'English'
+      );
+    } catch (error) {
+      return 'English';
+    }
+  }
+}
+
+module.exports = { AIAstrologerService };
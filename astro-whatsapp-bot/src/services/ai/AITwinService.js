@@ -0,0 +1,326 @@
+const { AIAstrologerService } = require('./AIAstrologerService');
+const { personalityFingerprint } = require('./TwinPersonality');
+const { LocalStubProvider } = require('./providers/LocalStubProvider');
+const { toServiceBirthData } = require('../astrology/core/BirthProfile');
+
+// Entries kept in User.aiTwinMemory before the oldest are summarized
+const DEFAULT_MEMORY_LIMIT = 30;
+const KEEP_RECENT = 10;
+const SUMMARY_WORDS = 150;
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_INTERACTION_LENGTH = 500;
+const MAX_RESPONSE_LENGTH = 1000;
+const MAX_NOTE_LENGTH = 300;
+const MAX_VIEW_LENGTH = 3500;
+
+// Recent chats replayed as turns; other entries are listed as notes
+const CHAT_TURNS = 6;
+const PROMPT_NOTES = 12;
+
+const NOTE_LABELS = {
+  exchange: 'Chat',
+  question: 'Question',
+  reading: 'Reading',
+  summary: 'Summary'
+};
+
+const formatDay = date => new Date(date).toISOString().substring(0, 10);
+
+const cut = (value, length) => {
+  const text = String(value || '').trim();
+  return text.length > length ? `${text.substring(0, length - 3)}...` : text;
+};
+
+/**
+ * AITwinService - The user's AI Twin: a persona speaking from their natal
+ * chart with a personality derived by TwinPersonality. Chats, AI astrologer
+ * questions and readings are kept in User.aiTwinMemory so the twin
+ * remembers them across sessions; once the memory is full, the oldest
+ * entries are summarized by the provider into a single summary entry.
+ * Citation handling and reply formatting are shared with the AI astrologer.
+ */
+class AITwinService extends AIAstrologerService {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.provider - AIProvider
+   * @param {Object} deps.contextBuilder - ChartContextBuilder
+   * @param {Object} deps.chartGenerator - ChartGenerator instance
+   * @param {Object} deps.personality - TwinPersonality
+   * @param {Object} deps.userStore - { updateUserProfile }
+   * @param {number} deps.memoryLimit - Entries kept before compacting
+   */
+  constructor({
+    provider,
+    contextBuilder,
+    chartGenerator,
+    personality,
+    userStore,
+    memoryLimit = DEFAULT_MEMORY_LIMIT
+  }) {
+    super({ provider, contextBuilder, sessionStore: null });
+    this.chartGenerator = chartGenerator;
+    this.personality = personality;
+    this.userStore = userStore;
+    this.memoryLimit = Math.max(memoryLimit, KEEP_RECENT + 1);
+  }
+
+  /**
+   * Stored personality profile, derived again when the birth data or chart
+   * settings have changed since it was built
+   * @param {Object} user - User profile
+   * @returns {Promise<Object>} Personality profile
+   */
+  async getPersonality(user) {
+    const birthData = toServiceBirthData(user);
+    const fingerprint = personalityFingerprint(birthData);
+    const stored = user.aiTwinPersonality;
+    if (stored && stored.fingerprint === fingerprint) {
+      return stored;
+    }
+
+    const kundli = await this.chartGenerator.generateVedicKundli(birthData);
+    if (!kundli || !kundli.planetaryPositions || !kundli.lagna) {
+      throw new Error('Birth chart unavailable for AI Twin');
+    }
+    const profile = this.personality.derive(kundli, fingerprint);
+    await this.userStore.updateUserProfile(user.phoneNumber, {
+      aiTwinPersonality: profile
+    });
+    user.aiTwinPersonality = profile;
+    this.logger.info(`🪞 Derived AI Twin personality for ${user.phoneNumber}`);
+    return profile;
+  }
+
+  /**
+   * Reply to a message as the user's twin
+   * @param {Object} user - User profile
+   * @param {string} message - Free-text message
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { text, answer, citations, provider, model }
+   */
+  async chat(user, message, options = {}) {
+    const trimmed = cut(message, MAX_MESSAGE_LENGTH);
+    const personality = await this.getPersonality(user);
+    const pack = await this.contextBuilder.build(user, { now: options.now });
+    const memory = this.getMemory(user);
+
+    const { text, model } = await this.provider.complete({
+      system: this.buildTwinPrompt(user, personality, pack, memory),
+      messages: [
+        ...this.recentTurns(memory),
+        { role: 'user', content: trimmed }
+      ],
+      maxTokens: 700,
+      temperature: 0.7
+    });
+
+    const { answer, citations } = this.extractCitations(text, pack.factors);
+    await this.remember(
+      user,
+      { kind: 'exchange', interaction: trimmed, response: answer },
+      options
+    );
+
+    this.logger.info(
+      `🪞 AI Twin reply for ${user.phoneNumber} via ${this.provider.name} (${memory.length + 1} memories)`
+    );
+    return {
+      text: this.formatReply(answer, citations),
+      answer,
+      citations,
+      provider: this.provider.name,
+      model
+    };
+  }
+
+  /**
+   * Add an entry to the twin's memory, compacting it when full
+   * @param {Object} user - User profile
+   * @param {Object} entry - { kind, interaction, response }
+   * @param {Object} options - { now }
+   * @returns {Promise<Array<Object>>} Stored memory
+   */
+  async remember(user, entry, options = {}) {
+    const memory = [
+      ...this.getMemory(user),
+      {
+        timestamp: options.now || new Date(),
+        kind: entry.kind || 'exchange',
+        interaction: cut(entry.interaction, MAX_INTERACTION_LENGTH),
+        response: cut(entry.response, MAX_RESPONSE_LENGTH)
+      }
+    ];
+    const stored =
+      memory.length > this.memoryLimit ? await this.compact(memory) : memory;
+
+    await this.userStore.updateUserProfile(user.phoneNumber, {
+      aiTwinMemory: stored
+    });
+    user.aiTwinMemory = stored;
+    return stored;
+  }
+
+  /**
+   * Replace all but the most recent entries with one summary entry.
+   * Earlier summaries are folded into the new one.
+   * @param {Array<Object>} memory - Memory entries, oldest first
+   * @returns {Promise<Array<Object>>} Compacted memory
+   */
+  async compact(memory) {
+    const older = memory.slice(0, -KEEP_RECENT);
+    const lines = older.map(entry => this.formatNote(entry));
+
+    let summary;
+    try {
+      summary = await this.provider.summarize(lines, {
+        maxWords: SUMMARY_WORDS
+      });
+    } catch (error) {
+      this.logger.warn(
+        '⚠️ AI Twin summary fell back to extracts:',
+        error.message
+      );
+      summary = await new LocalStubProvider().summarize(lines, {
+        maxWords: SUMMARY_WORDS
+      });
+    }
+
+    const last = older[older.length - 1].timestamp;
+    return [
+      {
+        timestamp: last,
+        kind: 'summary',
+        interaction: `Earlier conversations up to ${formatDay(last)}`,
+        response: cut(summary, MAX_RESPONSE_LENGTH)
+      },
+      ...memory.slice(-KEEP_RECENT)
+    ];
+  }
+
+  /**
+   * What the twin remembers, for the user to read
+   * @param {Object} user - User profile
+   * @returns {string} WhatsApp message
+   */
+  describeMemory(user) {
+    const memory = this.getMemory(user);
+    const personality = user.aiTwinPersonality;
+    if (memory.length === 0 && !(personality && personality.summary)) {
+      return '🪞 Your AI Twin does not remember anything yet. Send *ai twin* to start talking.';
+    }
+
+    const sections = ['🧠 *What your AI Twin remembers*'];
+    if (personality && personality.summary) {
+      sections.push(`*Personality*\n${personality.summary}`);
+    }
+    if (memory.length > 0) {
+      sections.push(
+        `*Notes* (${memory.length})\n${memory
+          .map(entry => `• ${cut(this.formatNote(entry), 160)}`)
+          .join('\n')}`
+      );
+    }
+    const footer = 'Send *twin forget* to erase all of this.';
+    const body = sections.join('\n\n');
+    const room = MAX_VIEW_LENGTH - footer.length - 2;
+    return `${body.length > room ? `${body.substring(0, room - 3)}...` : body}\n\n${footer}`;
+  }
+
+  /**
+   * Erase the twin's memory and personality profile
+   * @param {Object} user - User profile
+   * @returns {Promise<number>} Number of entries erased
+   */
+  async forget(user) {
+    const erased = this.getMemory(user).length;
+    await this.userStore.updateUserProfile(user.phoneNumber, {
+      aiTwinMemory: [],
+      aiTwinPersonality: null
+    });
+    user.aiTwinMemory = [];
+    user.aiTwinPersonality = null;
+    this.logger.info(
+      `🧹 Erased AI Twin memory for ${user.phoneNumber} (${erased} entries)`
+    );
+    return erased;
+  }
+
+  /**
+   * Memory entries as plain objects, oldest first
+   * @param {Object} user - User profile
+   * @returns {Array<Object>} { timestamp, kind, interaction, response }
+   */
+  getMemory(user) {
+    return (user.aiTwinMemory || []).map(entry => ({
+      timestamp: entry.timestamp,
+      kind: entry.kind || 'exchange',
+      interaction: entry.interaction || '',
+      response: entry.response || ''
+    }));
+  }
+
+  /**
+   * Persona instructions, remembered notes and the numbered chart factors
+   * @param {Object} user - User profile
+   * @param {Object} personality - Personality profile
+   * @param {Object} pack - ChartContextBuilder.build result
+   * @param {Array<Object>} memory - Memory entries
+   * @returns {string} System prompt
+   */
+  buildTwinPrompt(user, personality, pack, memory) {
+    const notes = memory
+      .slice(0, -CHAT_TURNS)
+      .concat(memory.slice(-CHAT_TURNS).filter(e => e.kind !== 'exchange'))
+      .slice(-PROMPT_NOTES)
+      .map(entry => `- ${this.formatNote(entry)}`);
+
+    return [
+      `You are the AI Twin of ${user.name || 'the user'}: a companion who shares their birth chart and talks with them on WhatsApp like a close, wise friend.`,
+      `Your personality comes from that chart: ${personality.summary}`,
+      `Speak in the first person, in a ${personality.tone} voice. Refer back to earlier conversations and readings when they are relevant.`,
+      'When you mention the chart, cite the factors you rely on by ID in square brackets, for example [F2]. Do not invent placements that are not listed. Avoid fatalistic predictions and do not give medical, legal or financial instructions.',
+      `Reply in ${this._languageName(user.preferredLanguage)} in under 150 words.`,
+      '',
+      'What you remember:',
+      notes.length > 0 ?
+        notes.join('\n') :
+        '- Nothing yet; this is your first talk.',
+      '',
+      'Chart factors:',
+      this.contextBuilder.formatFactors(pack.factors)
+    ].join('\n');
+  }
+
+  /**
+   * Recent chats as conversation turns
+   * @param {Array<Object>} memory - Memory entries
+   * @returns {Array<Object>} { role, content } turns, oldest first
+   */
+  recentTurns(memory) {
+    return memory
+      .slice(-CHAT_TURNS)
+      .filter(entry => entry.kind === 'exchange')
+      .flatMap(entry => [
+        { role: 'user', content: entry.interaction },
+        { role: 'assistant', content: entry.response }
+      ]);
+  }
+
+  /**
+   * One-line note for prompts, summaries and the memory view
+   * @param {Object} entry - Memory entry
+   * @returns {string} Note
+   */
+  formatNote(entry) {
+    const label = NOTE_LABELS[entry.kind] || NOTE_LABELS.exchange;
+    const date = entry.timestamp ? `${formatDay(entry.timestamp)} ` : '';
+    const details =
+      entry.kind === 'summary' ?
+        entry.response :
+        `${entry.interaction} -> ${entry.response}`;
+    return `${date}${label}: ${cut(details, MAX_NOTE_LENGTH)}`;
+  }
+}
+
+module.exports = { AITwinService };
@@ -0,0 +1,263 @@
+const sweph = require('sweph');
+const logger = require('../../utils/logger');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../astrology/core/ChartSettings');
+const { toServiceBirthData } = require('../astrology/core/BirthProfile');
+const { SIGNS } = require('../astrology/core/Zodiac');
+const { getDashaSystem } = require('../astrology/dasha');
+
+const { SEFLG_SIDEREAL, SEFLG_SPEED } = sweph.constants;
+
+const NATAL_PLANETS = [
+  'sun',
+  'moon',
+  'mars',
+  'mercury',
+  'jupiter',
+  'venus',
+  'saturn'
+];
+
+// Slow movers shape the current period; the Moon changes sign too quickly
+const TRANSIT_PLANETS = {
+  sun: sweph.constants.SE_SUN,
+  mars: sweph.constants.SE_MARS,
+  jupiter: sweph.constants.SE_JUPITER,
+  saturn: sweph.constants.SE_SATURN,
+  rahu: sweph.constants.SE_MEAN_NODE
+};
+
+// Conversation turns taken from Session.memory and their length cap
+const MEMORY_ROLES = { user_input: 'user', bot_response: 'assistant' };
+const DEFAULT_MEMORY_TURNS = 6;
+const MAX_TURN_LENGTH = 600;
+
+const capitalize = value => `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+
+const ordinal = number => {
+  const suffix =
+    number % 100 >= 11 && number % 100 <= 13 ?
+      'th' :
+      { 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th';
+  return `${number}${suffix}`;
+};
+
+const formatDegree = longitude => {
+  const inSign = ((longitude % 30) + 30) % 30;
+  const minutes = Math.floor((inSign % 1) * 60);
+  return `${Math.floor(inSign)}°${String(minutes).padStart(2, '0')}'`;
+};
+
+const formatDay = date => date.toISOString().substring(0, 10);
+
+/**
+ * ChartContextBuilder - Assembles the "context pack" an AI answer is
+ * grounded in: the user's natal chart, current Vimshottari periods, today's
+ * transits against the chart and recent conversation turns.
+ * Every chart fact is a numbered factor ([F1], [F2], ...) so the model can
+ * cite the factors it used and the citations can be shown to the user.
+ */
+class ChartContextBuilder {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.chartGenerator - ChartGenerator instance
+   * @param {Object} deps.dashaSystem - Vimshottari DashaSystem
+   * @param {number} deps.memoryTurns - Conversation turns to include
+   */
+  constructor({
+    chartGenerator,
+    dashaSystem = getDashaSystem('vimshottari'),
+    memoryTurns = DEFAULT_MEMORY_TURNS
+  }) {
+    this.chartGenerator = chartGenerator;
+    this.dashaSystem = dashaSystem;
+    this.memoryTurns = memoryTurns;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the context pack for a user
+   * @param {Object} user - User profile
+   * @param {Object} options - { now, session }
+   * @returns {Promise<Object>} { factors, history, settings }
+   */
+  async build(user, options = {}) {
+    const now = options.now || new Date();
+    const birthData = toServiceBirthData(user);
+    const kundli = await this.chartGenerator.generateVedicKundli(birthData);
+    if (!kundli || !kundli.planetaryPositions || !kundli.lagna) {
+      throw new Error('Birth chart unavailable for AI context');
+    }
+
+    const settings = resolveChartSettings(birthData);
+    const factors = [];
+    const add = (kind, text) =>
+      factors.push({ id: `F${factors.length + 1}`, kind, text });
+
+    add(
+      'natal',
+      `Ascendant (Lagna) in ${kundli.lagna.sign} at ${formatDegree(kundli.lagna.longitude)}`
+    );
+    for (const key of NATAL_PLANETS) {
+      const planet = kundli.planetaryPositions[key];
+      if (planet) {
+        add('natal', this._describePlanet(capitalize(key), planet));
+      }
+    }
+
+    const moon = kundli.planetaryPositions.moon;
+    const periods =
+      moon &&
+      this.vimshottariPeriods(
+        moon.longitude,
+        this._birthMoment(birthData, kundli),
+        now
+      );
+    if (periods) {
+      add(
+        'dasha',
+        `Current Mahadasha: ${periods.mahadasha.lord} (${formatDay(periods.mahadasha.start)} to ${formatDay(periods.mahadasha.end)})`
+      );
+      add(
+        'dasha',
+        `Current Antardasha: ${periods.antardasha.lord} within ${periods.mahadasha.lord} (until ${formatDay(periods.antardasha.end)})`
+      );
+      if (periods.next) {
+        add(
+          'dasha',
+          `Next Mahadasha: ${periods.next.lord} from ${formatDay(periods.next.start)}`
+        );
+      }
+    }
+
+    try {
+      for (const text of this._transitFactors(kundli, settings, now)) {
+        add('transit', text);
+      }
+    } catch (error) {
+      this.logger.warn('⚠️ Transits left out of AI context:', error.message);
+    }
+
+    return {
+      factors,
+      history: this._history(options.session),
+      settings
+    };
+  }
+
+  /**
+   * Current Vimshottari Mahadasha and Antardasha, dated by the shared dasha
+   * system from the kundli's Moon
+   * @param {number} moonLongitude - Natal sidereal Moon longitude
+   * @param {Date} birthMoment - Birth time (UTC)
+   * @param {Date} now - Moment to evaluate
+   * @returns {Object|null} { mahadasha, antardasha, next } dasha periods
+   *   (`next` null past the listed span), null outside it
+   */
+  vimshottariPeriods(moonLongitude, birthMoment, now) {
+    const natal = { birth: birthMoment, moon: moonLongitude };
+    const [mahadasha, antardasha] = this.dashaSystem.current(natal, now, 2);
+    if (!antardasha) {
+      return null;
+    }
+    const next = this.dashaSystem.mahadashas(natal)[mahadasha.path[0] + 1];
+    return { mahadasha, antardasha, next: next || null };
+  }
+
+  /**
+   * Factor lines for the system prompt
+   * @param {Array<Object>} factors - Context pack factors
+   * @returns {string} One `[F1] text` line per factor
+   */
+  formatFactors(factors) {
+    return factors.map(factor => `[${factor.id}] ${factor.text}`).join('\n');
+  }
+
+  /** @private */
+  _describePlanet(name, planet) {
+    const details = [
+      `${name} in ${planet.sign} at ${formatDegree(planet.longitude)}`
+    ];
+    if (planet.house) {
+      details.push(`${ordinal(planet.house)} house`);
+    }
+    if (planet.dignity && planet.dignity !== 'Neutral') {
+      details.push(planet.dignity.toLowerCase());
+    }
+    if (planet.retrograde) {
+      details.push('retrograde');
+    }
+    return details.join(', ');
+  }
+
+  /**
+   * Today's positions counted as whole signs from the natal Ascendant and
+   * Moon. No await here: the sidereal mode must not change mid-calculation.
+   * @private
+   */
+  _transitFactors(kundli, settings, now) {
+    const jd = sweph.julday(
+      now.getUTCFullYear(),
+      now.getUTCMonth() + 1,
+      now.getUTCDate(),
+      now.getUTCHours() + now.getUTCMinutes() / 60,
+      sweph.constants.SE_GREG_CAL
+    );
+    const lagnaSign = SIGNS.indexOf(kundli.lagna.sign);
+    const moonSign = Math.floor(kundli.planetaryPositions.moon.longitude / 30);
+    const fromSign = (sign, base) => ((sign - base + 12) % 12) + 1;
+
+    applySiderealMode(settings);
+    const factors = [];
+    for (const [key, id] of Object.entries(TRANSIT_PLANETS)) {
+      const position = sweph.calc_ut(jd, id, SEFLG_SIDEREAL | SEFLG_SPEED);
+      if (!position || position.flag < 0) {
+        continue;
+      }
+      const [longitude, , , speed] = position.data;
+      const sign = Math.floor(longitude / 30);
+      const fromMoon = fromSign(sign, moonSign);
+      let text = `${capitalize(key)} transiting ${SIGNS[sign]}${speed < 0 && key !== 'rahu' ? ' (retrograde)' : ''}, ${ordinal(fromSign(sign, lagnaSign))} house from the Ascendant and ${ordinal(fromMoon)} from the natal Moon`;
+      if (key === 'saturn' && [12, 1, 2].includes(fromMoon)) {
+        text += ' (Sade Sati)';
+      }
+      factors.push(text);
+    }
+    return factors;
+  }
+
+  /**
+   * Birth time in UTC from the chart's timezone offset
+   * @private
+   */
+  _birthMoment(birthData, kundli) {
+    const [day, month, year] = birthData.birthDate.split('/').map(Number);
+    const [hour, minute] = birthData.birthTime.split(':').map(Number);
+    const offset = Number(kundli.birthDetails && kundli.birthDetails.timezone);
+    return new Date(
+      Date.UTC(year, month - 1, day, hour, minute) -
+        (Number.isFinite(offset) ? offset : 0) * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Recent user/bot turns from Session.memory, oldest first
+   * @private
+   */
+  _history(session) {
+    const memory = (session && session.memory) || [];
+    return memory
+      .filter(
+        entry => MEMORY_ROLES[entry.type] && typeof entry.content === 'string'
+      )
+      .slice(-this.memoryTurns)
+      .map(entry => ({
+        role: MEMORY_ROLES[entry.type],
+        content: entry.content.substring(0, MAX_TURN_LENGTH)
+      }));
+  }
+}
+
+module.exports = { ChartContextBuilder };
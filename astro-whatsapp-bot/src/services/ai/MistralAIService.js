@@ -1,11 +1,14 @@
-const axios = require('axios');
 const logger = require('../../utils/logger');
+const { MistralProvider } = require('./providers/MistralProvider');
 
 class MistralAIService {
   constructor() {
     this.apiKey = process.env.MISTRAL_API_KEY;
-    this.baseUrl = 'https://api.mistral.ai/v1';
     this.defaultModel = process.env.MISTRAL_MODEL || 'mistral-small-latest'; // Use smaller model for free tier
+    this.provider = new MistralProvider({
+      apiKey: this.apiKey,
+      model: this.defaultModel
+    });
 
     if (!this.apiKey) {
       logger.warn('⚠️ MISTRAL_API_KEY not set. AI features will be limited.');
@@ -24,37 +27,15 @@ class MistralAIService {
       return 'AI response unavailable. Please configure MISTRAL_API_KEY in environment variables.';
     }
 
-    // Basic sanitization: limit length and remove some special characters
-    const sanitizedPrompt = prompt
-      .substring(0, 1000) // Limit prompt length
-      .replace(/[<>'"`]/g, ''); // Remove common injection characters
-
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: model || this.defaultModel,
-          messages: [
-            {
-              role: 'user',
-              content: sanitizedPrompt // Use sanitized prompt
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 500
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 30000
-        }
-      );
-
-      const aiResponse = response.data.choices[0].message.content;
+      // The prompt travels as a JSON string, so it is sent whole
+      const { text } = await this.provider.complete({
+        messages: [{ role: 'user', content: prompt }],
+        model,
+        maxTokens: 500
+      });
       logger.info('✅ Mistral API call successful');
-      return aiResponse.trim();
+      return text;
     } catch (error) {
       // Truncate long error messages
       const errorMessage =
@@ -0,0 +1,167 @@
+const { SIGNS } = require('../astrology/core/Zodiac');
+
+// Signs cycle through the elements from Aries
+const ELEMENTS = ['Fire', 'Earth', 'Air', 'Water'];
+
+const ELEMENT_TRAITS = {
+  Fire: { traits: ['enthusiastic', 'bold'], tone: 'direct and encouraging' },
+  Earth: { traits: ['practical', 'steady'], tone: 'calm and practical' },
+  Air: { traits: ['curious', 'sociable'], tone: 'light and conversational' },
+  Water: { traits: ['intuitive', 'caring'], tone: 'gentle and empathetic' }
+};
+
+// What a planet gives when strong and asks for when weak
+const PLANET_THEMES = {
+  sun: { strength: 'confident leadership', growth: 'self-belief' },
+  moon: { strength: 'emotional steadiness', growth: 'emotional security' },
+  mars: { strength: 'drive and courage', growth: 'channelling anger' },
+  mercury: { strength: 'a quick, analytical mind', growth: 'clear thinking' },
+  jupiter: { strength: 'optimism and wisdom', growth: 'trust and faith' },
+  venus: { strength: 'warmth and artistic taste', growth: 'self-worth' },
+  saturn: { strength: 'discipline and patience', growth: 'patience' }
+};
+
+const STRONG_DIGNITIES = ['Exalted', 'Own Sign'];
+const WEAK_DIGNITIES = ['Debilitated'];
+
+// Bumped when the derivation changes so stored profiles are rebuilt
+const PROFILE_VERSION = 1;
+
+/**
+ * TwinPersonality - Derives the AI Twin's personality profile from the natal
+ * chart: element balance across the Ascendant and seven planets, and the
+ * planets that are exalted or in their own sign (strengths) or debilitated
+ * (growth areas). The profile sets the twin's voice and is stored in
+ * User.aiTwinPersonality.
+ */
+class TwinPersonality {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.interpreter - ChartInterpreter instance
+   */
+  constructor({ interpreter }) {
+    this.interpreter = interpreter;
+  }
+
+  /**
+   * Build the personality profile
+   * @param {Object} kundli - ChartGenerator.generateVedicKundli result
+   * @param {string} fingerprint - Birth data the chart was computed from
+   * @returns {Object} Profile with traits, strengths, growth areas and tone
+   */
+  derive(kundli, fingerprint) {
+    const planets = kundli.planetaryPositions || {};
+    const elements = this.countElements(kundli);
+    const ranked = Object.entries(elements).sort((a, b) => b[1] - a[1]);
+    const dominantElement = ranked[0][0];
+    const missingElements = ranked
+      .filter(([, count]) => count === 0)
+      .map(([element]) => element);
+
+    const strengths = [];
+    const growthAreas = [];
+    for (const [key, planet] of Object.entries(planets)) {
+      const theme = PLANET_THEMES[key];
+      if (!theme || !planet) {
+        continue;
+      }
+      if (STRONG_DIGNITIES.includes(planet.dignity)) {
+        strengths.push(theme.strength);
+      } else if (WEAK_DIGNITIES.includes(planet.dignity)) {
+        growthAreas.push(theme.growth);
+      }
+    }
+
+    const traits = [...ELEMENT_TRAITS[dominantElement].traits];
+    if (ranked[1][1] === ranked[0][1]) {
+      traits.push(...ELEMENT_TRAITS[ranked[1][0]].traits);
+    }
+
+    const profile = {
+      version: PROFILE_VERSION,
+      fingerprint,
+      ascendant: kundli.lagna && kundli.lagna.sign,
+      moonSign: planets.moon && planets.moon.sign,
+      sunSign: planets.sun && planets.sun.sign,
+      elements,
+      dominantElement,
+      missingElements,
+      elementBalance: this.interpreter.analyzeElementBalance(
+        ranked
+          .filter(([, count]) => count > 0)
+          .map(([element, count]) => `${element} ${count}`)
+      ),
+      traits,
+      strengths,
+      growthAreas,
+      tone: ELEMENT_TRAITS[dominantElement].tone,
+      // ISO string: profile updates are sanitized, which empties Date objects
+      derivedAt: new Date().toISOString()
+    };
+    profile.summary = this.describe(profile);
+    return profile;
+  }
+
+  /**
+   * Ascendant and planets per element
+   * @param {Object} kundli - Vedic kundli
+   * @returns {Object} { Fire, Earth, Air, Water } counts
+   */
+  countElements(kundli) {
+    const counts = { Fire: 0, Earth: 0, Air: 0, Water: 0 };
+    const signs = [
+      kundli.lagna && kundli.lagna.sign,
+      ...Object.values(kundli.planetaryPositions || {}).map(
+        planet => planet && planet.sign
+      )
+    ];
+    for (const sign of signs) {
+      const index = SIGNS.indexOf(sign);
+      if (index >= 0) {
+        counts[ELEMENTS[index % ELEMENTS.length]]++;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * One-paragraph description of the profile
+   * @param {Object} profile - Derived profile
+   * @returns {string} Summary
+   */
+  describe(profile) {
+    const parts = [
+      `${profile.ascendant} rising with the Moon in ${profile.moonSign} and the Sun in ${profile.sunSign}.`,
+      `${profile.elementBalance}, so the nature is ${profile.traits.join(', ')}.`
+    ];
+    if (profile.strengths.length > 0) {
+      parts.push(`Strengths: ${profile.strengths.join(', ')}.`);
+    }
+    if (profile.growthAreas.length > 0) {
+      parts.push(`Growing into: ${profile.growthAreas.join(', ')}.`);
+    }
+    if (profile.missingElements.length > 0) {
+      parts.push(
+        `Little ${profile.missingElements.join(' or ')} in the chart.`
+      );
+    }
+    return parts.join(' ');
+  }
+}
+
+/**
+ * Birth data and chart settings a profile depends on
+ * @param {Object} birthData - toServiceBirthData result
+ * @returns {string} Fingerprint
+ */
+const personalityFingerprint = birthData =>
+  [
+    PROFILE_VERSION,
+    birthData.birthDate,
+    birthData.birthTime,
+    birthData.birthPlace,
+    (birthData.preferences && birthData.preferences.ayanamsa) || '',
+    (birthData.preferences && birthData.preferences.houseSystem) || ''
+  ].join('|');
+
+module.exports = { TwinPersonality, personalityFingerprint };
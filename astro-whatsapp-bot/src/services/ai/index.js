@@ -0,0 +1,72 @@
+const { AIAstrologerService } = require('./AIAstrologerService');
+const { AITwinService } = require('./AITwinService');
+const { ChartContextBuilder } = require('./ChartContextBuilder');
+const { TwinPersonality } = require('./TwinPersonality');
+const { createAIProvider } = require('./providers');
+
+// Process-wide services, created on first use
+let aiAstrologerService = null;
+let aiTwinService = null;
+
+/**
+ * Shared AIAstrologerService using the provider chosen by W1_AI_PROVIDER
+ * @returns {AIAstrologerService} Service instance
+ */
+const getAIAstrologerService = () => {
+  if (aiAstrologerService) {
+    return aiAstrologerService;
+  }
+
+  const {
+    ChartGenerator
+  } = require('../../core/services/calculators/ChartGenerator');
+  const userModel = require('../../models/userModel');
+
+  aiAstrologerService = new AIAstrologerService({
+    provider: createAIProvider(),
+    contextBuilder: new ChartContextBuilder({
+      chartGenerator: new ChartGenerator()
+    }),
+    sessionStore: {
+      getUserSession: userModel.getUserSession,
+      addSessionMemory: userModel.addSessionMemory
+    }
+  });
+  return aiAstrologerService;
+};
+
+/**
+ * Shared AITwinService; memory size from W1_AI_TWIN_MEMORY_LIMIT
+ * @returns {AITwinService} Service instance
+ */
+const getAITwinService = () => {
+  if (aiTwinService) {
+    return aiTwinService;
+  }
+
+  const {
+    ChartGenerator
+  } = require('../../core/services/calculators/ChartGenerator');
+  const { ChartInterpreter } = require('../astrology/charts/ChartInterpreter');
+  const userModel = require('../../models/userModel');
+  const chartGenerator = new ChartGenerator();
+
+  aiTwinService = new AITwinService({
+    provider: createAIProvider(),
+    contextBuilder: new ChartContextBuilder({ chartGenerator }),
+    chartGenerator,
+    personality: new TwinPersonality({ interpreter: new ChartInterpreter() }),
+    userStore: { updateUserProfile: userModel.updateUserProfile },
+    memoryLimit: parseInt(process.env.W1_AI_TWIN_MEMORY_LIMIT, 10) || undefined
+  });
+  return aiTwinService;
+};
+
+module.exports = {
+  getAIAstrologerService,
+  getAITwinService,
+  AIAstrologerService,
+  AITwinService,
+  ChartContextBuilder,
+  TwinPersonality
+};
@@ -0,0 +1,69 @@
+/**
+ * AIProvider - Common interface for chat completion providers
+ * A request is `{ system, messages, maxTokens, temperature, model }` where
+ * messages are `{ role: 'user' | 'assistant', content }` turns, oldest first.
+ * Providers resolve to `{ text, model }` and throw on transport or API errors
+ * so callers can decide how to degrade.
+ */
+class AIProvider {
+  /**
+   * @param {string} name - Provider key (mistral, openai, gemini, local)
+   * @param {Object} options - { apiKey, model }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.apiKey = options.apiKey;
+    this.defaultModel = options.model;
+  }
+
+  /**
+   * Whether the provider has the credentials it needs
+   * @returns {boolean} True if usable
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { system, messages, maxTokens, temperature, model }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Condense notes into a short paragraph
+   * @param {Array<string>} lines - Notes, oldest first
+   * @param {Object} options - { maxWords }
+   * @returns {Promise<string>} Summary text
+   */
+  async summarize(lines, options = {}) {
+    const { text } = await this.complete({
+      system: `Summarize these notes from an astrology chat in under ${options.maxWords || 120} words. Keep the topics raised, readings given, advice offered and any personal details the person shared. Write plain prose in the third person without headings.`,
+      messages: [{ role: 'user', content: lines.join('\n') }],
+      maxTokens: 300,
+      temperature: 0.3
+    });
+    return text;
+  }
+
+  /**
+   * Defaults shared by all providers
+   * @param {Object} request - Completion request
+   * @returns {Object} Request with model, maxTokens and temperature set
+   * @protected
+   */
+  withDefaults(request) {
+    return {
+      messages: [],
+      maxTokens: 600,
+      temperature: 0.7,
+      ...request,
+      model: request.model || this.defaultModel
+    };
+  }
+}
+
+module.exports = { AIProvider };
@@ -0,0 +1,57 @@
+const { AIProvider } = require('./AIProvider');
+
+/**
+ * GeminiProvider - Google Gemini through the @google/genai SDK
+ */
+class GeminiProvider extends AIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, client }
+   */
+  constructor(options = {}) {
+    super('gemini', {
+      apiKey: options.apiKey,
+      model: options.model || 'gemini-2.0-flash'
+    });
+    this.client = options.client || null;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { system, messages, maxTokens, temperature, model }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request) {
+    const { system, messages, maxTokens, temperature, model } =
+      this.withDefaults(request);
+
+    // Gemini calls the assistant role "model"
+    const response = await this._client().models.generateContent({
+      model,
+      contents: messages.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      })),
+      config: {
+        ...(system && { systemInstruction: system }),
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    });
+
+    return { text: (response.text || '').trim(), model };
+  }
+
+  /**
+   * SDK client, created on first use
+   * @private
+   */
+  _client() {
+    if (!this.client) {
+      const { GoogleGenAI } = require('@google/genai');
+      this.client = new GoogleGenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+}
+
+module.exports = { GeminiProvider };
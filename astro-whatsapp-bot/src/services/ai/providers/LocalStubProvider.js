@@ -0,0 +1,124 @@
+const { AIProvider } = require('./AIProvider');
+
+// Question words -> factor text worth quoting for them
+const TOPICS = [
+  {
+    words: ['career', 'job', 'work', 'business', 'promotion', 'office'],
+    terms: ['10th', 'Saturn', 'Sun', 'Mahadasha']
+  },
+  {
+    words: [
+      'love',
+      'marriage',
+      'partner',
+      'relationship',
+      'spouse',
+      'wife',
+      'husband'
+    ],
+    terms: ['7th', 'Venus', 'Moon']
+  },
+  {
+    words: ['money', 'finance', 'wealth', 'income', 'savings', 'invest'],
+    terms: ['2nd', '11th', 'Jupiter']
+  },
+  {
+    words: ['health', 'illness', 'energy', 'stress', 'sleep'],
+    terms: ['Ascendant', '6th', 'Mars']
+  }
+];
+
+// `[F3] Saturn transiting ...` lines in the system prompt
+const FACTOR_LINE = /^\[(F\d+)\]\s+(.+)$/gm;
+
+/**
+ * LocalStubProvider - Deterministic offline provider
+ * Answers by quoting the chart factors listed in the system prompt that
+ * best match the question, citing them the same way a real model is asked
+ * to. Used in tests and when no API key is configured.
+ */
+class LocalStubProvider extends AIProvider {
+  constructor() {
+    super('local', { model: 'local-stub' });
+  }
+
+  /**
+   * The stub never needs credentials
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { system, messages }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request) {
+    const { system = '', messages } = this.withDefaults(request);
+    const question = [...messages].reverse().find(m => m.role === 'user');
+    const factors = [...system.matchAll(FACTOR_LINE)].map(match => ({
+      id: match[1],
+      text: match[2].trim()
+    }));
+
+    if (factors.length === 0) {
+      return {
+        text: 'I need your birth chart to answer that. Please complete your birth profile first.',
+        model: this.defaultModel
+      };
+    }
+
+    const chosen = this._relevantFactors(
+      factors,
+      question ? question.content : ''
+    );
+    const lines = chosen.map(factor => `• ${factor.text} [${factor.id}]`);
+    return {
+      text: `Here is what your chart shows for this question:\n${lines.join('\n')}\n\nThese placements describe tendencies rather than fixed outcomes.`,
+      model: this.defaultModel
+    };
+  }
+
+  /**
+   * Extractive summary: the start of each note until the word budget is used
+   * @param {Array<string>} lines - Notes, oldest first
+   * @param {Object} options - { maxWords }
+   * @returns {Promise<string>} Summary text
+   */
+  async summarize(lines, options = {}) {
+    const budget = options.maxWords || 120;
+    const perLine = Math.max(8, Math.floor(budget / Math.max(lines.length, 1)));
+    const snippets = [];
+    let used = 0;
+    for (const line of lines) {
+      const words = line.split(/\s+/).filter(Boolean).slice(0, perLine);
+      if (used + words.length > budget) {
+        break;
+      }
+      snippets.push(words.join(' '));
+      used += words.length;
+    }
+    return snippets.join('; ');
+  }
+
+  /**
+   * Up to three factors for the question's topic, chart basics otherwise
+   * @private
+   */
+  _relevantFactors(factors, question) {
+    const text = question.toLowerCase();
+    const topic = TOPICS.find(entry =>
+      entry.words.some(word => text.includes(word))
+    );
+    const matches = topic ?
+      factors.filter(factor =>
+        topic.terms.some(term => factor.text.includes(term))
+      ) :
+      [];
+    return (matches.length > 0 ? matches : factors).slice(0, 3);
+  }
+}
+
+module.exports = { LocalStubProvider };
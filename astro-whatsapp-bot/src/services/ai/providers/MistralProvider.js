@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { AIProvider } = require('./AIProvider');
+
+/**
+ * MistralProvider - Mistral chat completions over the REST API
+ */
+class MistralProvider extends AIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, baseUrl, http }
+   */
+  constructor(options = {}) {
+    super('mistral', {
+      apiKey: options.apiKey,
+      model: options.model || 'mistral-small-latest'
+    });
+    this.baseUrl = options.baseUrl || 'https://api.mistral.ai/v1';
+    this.http = options.http || axios;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { system, messages, maxTokens, temperature, model }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request) {
+    const { system, messages, maxTokens, temperature, model } =
+      this.withDefaults(request);
+
+    const response = await this.http.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages
+        ],
+        temperature,
+        max_tokens: maxTokens
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000
+      }
+    );
+
+    return {
+      text: response.data.choices[0].message.content.trim(),
+      model: response.data.model || model
+    };
+  }
+}
+
+module.exports = { MistralProvider };
@@ -0,0 +1,56 @@
+const { AIProvider } = require('./AIProvider');
+
+/**
+ * OpenAIProvider - OpenAI chat completions through the official SDK
+ */
+class OpenAIProvider extends AIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, client }
+   */
+  constructor(options = {}) {
+    super('openai', {
+      apiKey: options.apiKey,
+      model: options.model || 'gpt-4o-mini'
+    });
+    this.client = options.client || null;
+  }
+
+  /**
+   * Generate a chat completion
+   * @param {Object} request - { system, messages, maxTokens, temperature, model }
+   * @returns {Promise<Object>} { text, model }
+   */
+  async complete(request) {
+    const { system, messages, maxTokens, temperature, model } =
+      this.withDefaults(request);
+
+    const completion = await this._client().chat.completions.create({
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages
+      ],
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return {
+      text: (completion.choices[0].message.content || '').trim(),
+      model: completion.model || model
+    };
+  }
+
+  /**
+   * SDK client, created on first use
+   * @private
+   */
+  _client() {
+    if (!this.client) {
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: this.apiKey, timeout: 30000 });
+    }
+    return this.client;
+  }
+}
+
+module.exports = { OpenAIProvider };
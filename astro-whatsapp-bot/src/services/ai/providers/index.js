@@ -0,0 +1,69 @@
+const logger = require('../../../utils/logger');
+const { AIProvider } = require('./AIProvider');
+const { MistralProvider } = require('./MistralProvider');
+const { OpenAIProvider } = require('./OpenAIProvider');
+const { GeminiProvider } = require('./GeminiProvider');
+const { LocalStubProvider } = require('./LocalStubProvider');
+
+// Order tried when W1_AI_PROVIDER is unset or "auto"
+const AUTO_ORDER = ['mistral', 'openai', 'gemini'];
+
+const PROVIDER_FACTORIES = {
+  mistral: () =>
+    new MistralProvider({
+      apiKey: process.env.MISTRAL_API_KEY,
+      model: process.env.MISTRAL_MODEL
+    }),
+  openai: () =>
+    new OpenAIProvider({
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL
+    }),
+  gemini: () =>
+    new GeminiProvider({
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL
+    }),
+  local: () => new LocalStubProvider()
+};
+
+/**
+ * Create the configured AI provider
+ * An explicit provider without credentials, or no configured provider at
+ * all, falls back to the local stub so the bot keeps answering.
+ * @param {string} name - mistral | openai | gemini | local | auto
+ * @returns {AIProvider} Provider instance
+ */
+const createAIProvider = (name = process.env.W1_AI_PROVIDER) => {
+  const key = String(name || 'auto').toLowerCase();
+
+  if (key !== 'auto') {
+    const factory = PROVIDER_FACTORIES[key];
+    const provider = factory && factory();
+    if (provider && provider.isConfigured()) {
+      return provider;
+    }
+    logger.warn(
+      `⚠️ AI provider "${key}" is ${factory ? 'not configured' : 'unknown'}, using the local stub`
+    );
+    return new LocalStubProvider();
+  }
+
+  for (const candidate of AUTO_ORDER) {
+    const provider = PROVIDER_FACTORIES[candidate]();
+    if (provider.isConfigured()) {
+      return provider;
+    }
+  }
+  logger.warn('⚠️ No AI provider API key set, using the local stub');
+  return new LocalStubProvider();
+};
+
+module.exports = {
+  createAIProvider,
+  AIProvider,
+  MistralProvider,
+  OpenAIProvider,
+  GeminiProvider,
+  LocalStubProvider
+};
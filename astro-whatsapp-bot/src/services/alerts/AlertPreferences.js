@@ -0,0 +1,97 @@
+/**
+ * Alert categories users opt into one by one, in menu order
+ */
+const ALERT_CATEGORIES = {
+  transits: {
+    name: 'Major transits',
+    description: 'Slow planets exact on your natal points'
+  },
+  dashas: {
+    name: 'Dasha changes',
+    description: 'A new Mahadasha or Antardasha begins'
+  },
+  sadeSati: {
+    name: 'Sade Sati',
+    description: 'Saturn starts or ends a Sade Sati phase'
+  },
+  eclipses: {
+    name: 'Eclipses',
+    description: 'An eclipse falls on one of your natal planets'
+  },
+  returns: {
+    name: 'Saturn & Jupiter returns',
+    description: 'Saturn or Jupiter back on its natal place'
+  }
+};
+
+// Hours of notice users can choose
+const LEAD_HOURS = [1, 6, 24, 72];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Minutes after midnight of an 'HH:MM' time
+ * @param {string} value - Time of day
+ * @returns {number|null} Minutes, null if the value is not a time
+ */
+const parseTimeOfDay = value => {
+  const match = TIME_PATTERN.exec(String(value || '').trim());
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+/**
+ * 'HH:MM' for minutes after midnight
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time of day
+ */
+const formatTimeOfDay = minutes =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * A user's alert settings with defaults filled in
+ * @param {Object} user - User profile
+ * @param {Object} defaults - { leadHours } for users who never chose
+ * @returns {Object} { categories, leadHours, quietHours } where
+ *   `quietHours` is { start, end } in local minutes after midnight, or
+ *   null when off; a window may run past midnight (22:00 to 07:00)
+ */
+const resolveAlertPreferences = (user, { leadHours = 24 } = {}) => {
+  const alerts = (user && user.preferences && user.preferences.alerts) || {};
+  const start = parseTimeOfDay(alerts.quietStart);
+  const end = parseTimeOfDay(alerts.quietEnd);
+  return {
+    categories: (alerts.categories || []).filter(category =>
+      Object.prototype.hasOwnProperty.call(ALERT_CATEGORIES, category)
+    ),
+    leadHours: LEAD_HOURS.includes(alerts.leadHours) ?
+      alerts.leadHours :
+      leadHours,
+    quietHours:
+      start !== null && end !== null && start !== end ? { start, end } : null
+  };
+};
+
+/**
+ * Whether a local time of day falls in quiet hours
+ * @param {number} minutes - Local minutes after midnight
+ * @param {Object|null} quietHours - { start, end } from resolveAlertPreferences
+ * @returns {boolean} True if alerts must wait
+ */
+const isQuietTime = (minutes, quietHours) => {
+  if (!quietHours) {
+    return false;
+  }
+  const { start, end } = quietHours;
+  return start < end ?
+    minutes >= start && minutes < end :
+    minutes >= start || minutes < end;
+};
+
+module.exports = {
+  ALERT_CATEGORIES,
+  LEAD_HOURS,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  resolveAlertPreferences,
+  isQuietTime
+};
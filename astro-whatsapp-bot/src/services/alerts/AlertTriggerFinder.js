@@ -0,0 +1,161 @@
+const logger = require('../../utils/logger');
+const { toServiceBirthData } = require('../astrology/core/BirthProfile');
+const { ALERT_CATEGORIES } = require('./AlertPreferences');
+
+// Calendar source each category is drawn from (eclipses are found here)
+const CATEGORY_SOURCES = {
+  transits: 'transits',
+  returns: 'transits',
+  dashas: 'dashas',
+  sadeSati: 'sadeSati'
+};
+// A transiting planet back on its own natal place
+const RETURN_PATTERN = /^(saturn|jupiter) conjunction \1$/;
+// Degrees between an eclipse and a natal planet it falls on
+const ECLIPSE_ORB = 3;
+
+const capitalize = value => `${value.charAt(0).toUpperCase()}${value.slice(1)}`;
+
+const listOf = items =>
+  (items.length > 1 ?
+    `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` :
+    items[0]);
+
+/**
+ * AlertTriggerFinder - A user's upcoming personal triggers for the
+ * categories they opted into. Transits, returns, dasha changes and Sade
+ * Sati phases come from the calendar's event builder, so alerts and the
+ * calendar feed agree and share keys; eclipses are matched against the
+ * natal planets here. Only major transits alert, and a return alerts as a
+ * return rather than a transit.
+ */
+class AlertTriggerFinder {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.builder - CalendarEventBuilder covering the
+   *   planning horizon
+   * @param {Object} deps.finder - EventFinder
+   * @param {Object} deps.dashaService - DashaService, for natal positions
+   * @param {number} deps.eclipseOrb - Degrees an eclipse may be from a
+   *   natal planet
+   */
+  constructor({ builder, finder, dashaService, eclipseOrb = ECLIPSE_ORB }) {
+    this.builder = builder;
+    this.finder = finder;
+    this.dashaService = dashaService;
+    this.eclipseOrb = eclipseOrb;
+    this.logger = logger;
+  }
+
+  /**
+   * Triggers from now to the end of the builder's range
+   * @param {Object} user - User profile
+   * @param {Object} options - { now, categories }
+   * @returns {Promise<Object>} { triggers, missing } with triggers
+   *   [{ key, category, summary, description, at }] by time and `missing`
+   *   the categories that could not be searched
+   */
+  async find(
+    user,
+    { now = new Date(), categories = Object.keys(ALERT_CATEGORIES) } = {}
+  ) {
+    const sources = [
+      ...new Set(categories.map(category => CATEGORY_SOURCES[category]))
+    ].filter(Boolean);
+    const calendar = await this.builder.build(user, { now, sources });
+
+    const triggers = [];
+    for (const event of calendar.events) {
+      const category = this.categorize(event);
+      if (categories.includes(category)) {
+        triggers.push({
+          key: event.uid,
+          category,
+          summary: event.summary,
+          description: event.description,
+          at: event.start
+        });
+      }
+    }
+    const missing = categories.filter(category =>
+      calendar.missing.includes(CATEGORY_SOURCES[category])
+    );
+
+    if (categories.includes('eclipses')) {
+      try {
+        triggers.push(...(await this.eclipses(user, calendar)));
+      } catch (error) {
+        this.logger.warn('⚠️ Eclipse alerts skipped:', error.message);
+        missing.push('eclipses');
+      }
+    }
+
+    return { triggers: triggers.sort((a, b) => a.at - b.at), missing };
+  }
+
+  /**
+   * Alert category of a calendar event
+   * @param {Object} event - CalendarEventBuilder event
+   * @returns {string|null} ALERT_CATEGORIES key, null if it never alerts
+   */
+  categorize(event) {
+    switch ((event.categories || [])[0]) {
+    case 'Transit':
+      if (RETURN_PATTERN.test(event.aspect)) {
+        return 'returns';
+      }
+      return event.significance === 'major' ? 'transits' : null;
+    case 'Dasha':
+      return 'dashas';
+    case 'Sade Sati':
+      return 'sadeSati';
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Eclipses within the orb of a natal planet
+   * @param {Object} user - User profile
+   * @param {Object} range - { start, end }
+   * @returns {Promise<Array<Object>>} Triggers
+   */
+  async eclipses(user, { start, end }) {
+    const natal = await this.dashaService.natal(toServiceBirthData(user));
+    const eclipses = this.finder.eclipses({
+      start,
+      end,
+      settings: natal.settings
+    });
+
+    const triggers = [];
+    for (const eclipse of eclipses) {
+      const planets = Object.entries(natal.planets)
+        .filter(([, longitude]) => {
+          const distance = Math.abs(eclipse.longitude - longitude) % 360;
+          return Math.min(distance, 360 - distance) <= this.eclipseOrb;
+        })
+        .map(([planet]) => planet);
+      if (!planets.length) {
+        continue;
+      }
+
+      const name = `${capitalize(eclipse.type)} ${eclipse.kind} eclipse`;
+      triggers.push({
+        key: this.builder.uid(
+          user.phoneNumber,
+          'eclipses',
+          eclipse.kind,
+          eclipse.at.toISOString().substring(0, 10)
+        ),
+        category: 'eclipses',
+        summary: `${name} on natal ${listOf(planets)}`,
+        description: `The ${name.toLowerCase()} at ${Math.floor(eclipse.degree)}° ${eclipse.signName} falls within ${this.eclipseOrb}° of your natal ${listOf(planets)}.`,
+        at: eclipse.at
+      });
+    }
+    return triggers;
+  }
+}
+
+module.exports = { AlertTriggerFinder, CATEGORY_SOURCES, ECLIPSE_ORB };
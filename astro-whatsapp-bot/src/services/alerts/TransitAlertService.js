@@ -0,0 +1,367 @@
+const logger = require('../../utils/logger');
+const {
+  ALERT_CATEGORIES,
+  LEAD_HOURS,
+  resolveAlertPreferences,
+  isQuietTime
+} = require('./AlertPreferences');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// WhatsApp only allows free-form messages within 24h of the user's last message
+const SESSION_WINDOW_MS = 24 * HOUR_MS;
+// Template body parameters may not contain newlines and are capped by Meta
+const MAX_TEMPLATE_PARAM_LENGTH = 1000;
+// A claim this old was left by a run that died
+const STALE_CLAIM_MS = 15 * MINUTE_MS;
+// Alerts are looked at once their trigger is this close: the longest
+// notice plus a day for being brought forward out of quiet hours
+const LOOKAHEAD_MS = (Math.max(...LEAD_HOURS) + 24) * HOUR_MS;
+
+const ENTITLEMENT = 'transit_alert';
+
+/**
+ * TransitAlertService - The alert engine. Each sweep re-plans users whose
+ * plan has gone stale, storing their upcoming triggers (see
+ * AlertTriggerFinder), then sends every alert that is due: `leadHours`
+ * before its trigger, never in the user's quiet hours. An alert that would
+ * fall in quiet hours goes out just before they begin; one found too late
+ * for that waits for them to end. Each alert sent uses one Transit Alert
+ * credit; users without one are skipped, and alerts whose trigger has
+ * passed are dropped.
+ */
+class TransitAlertService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.store - Persistence (see TransitAlertStore)
+   * @param {Object} options.finder - AlertTriggerFinder
+   * @param {Object} options.ledger - EntitlementLedger
+   * @param {Object} options.sender - { sendTextMessage, sendTemplateMessage }
+   * @param {Object} options.timezoneDatabase - TimezoneDatabase instance
+   * @param {number} options.planHours - Hours a user's plan stays fresh
+   * @param {number} options.leadHours - Notice for users who never chose
+   * @param {string} options.templateName - Approved WhatsApp template
+   * @param {string} options.defaultTimezone - Zone for users without one
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({
+    store,
+    finder,
+    ledger,
+    sender,
+    timezoneDatabase,
+    planHours = 12,
+    leadHours = 24,
+    templateName = 'transit_alert',
+    defaultTimezone = 'UTC',
+    now = () => new Date()
+  }) {
+    this.logger = logger;
+    this.store = store;
+    this.finder = finder;
+    this.ledger = ledger;
+    this.sender = sender;
+    this.timezoneDatabase = timezoneDatabase;
+    this.planMs = planHours * HOUR_MS;
+    this.leadHours = leadHours;
+    this.templateName = templateName;
+    this.defaultTimezone = defaultTimezone;
+    this.now = now;
+  }
+
+  /**
+   * Plan stale users and send due alerts
+   * @returns {Promise<Object>} { planned, sent, skipped, failed }
+   */
+  async sweep() {
+    const stats = { planned: 0, sent: 0, skipped: 0, failed: 0 };
+    try {
+      for await (const user of this.store.findSubscribers()) {
+        try {
+          await this._sweepUser(user, this.now(), stats);
+        } catch (error) {
+          stats.failed++;
+          this.logger.error(
+            `❌ Alert sweep failed for ${user.phoneNumber}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      this.logger.error('❌ Alert sweep failed:', error.message);
+    }
+
+    if (stats.planned || stats.sent || stats.skipped || stats.failed) {
+      this.logger.info(
+        `🔭 Alert sweep: ${stats.planned} planned, ${stats.sent} sent, ${stats.skipped} skipped, ${stats.failed} failed`
+      );
+    }
+    return stats;
+  }
+
+  /**
+   * When an alert is due: `leadHours` before its trigger, or the minute
+   * before quiet hours begin if that falls inside them
+   * @param {Date} at - Trigger time
+   * @param {Object} preferences - resolveAlertPreferences result
+   * @param {string} zone - User's IANA zone
+   * @returns {Date} Due time
+   */
+  dueAt(at, preferences, zone) {
+    const due = new Date(at.getTime() - preferences.leadHours * HOUR_MS);
+    const { quietHours } = preferences;
+    const local = this.timezoneDatabase.getLocalTime(zone, due);
+    const minutes = local.hour * 60 + local.minute;
+    if (!isQuietTime(minutes, quietHours)) {
+      return due;
+    }
+
+    // Quiet hours that run past midnight may have begun the evening before
+    const begins = this.timezoneDatabase.localTimeToUtc(zone, {
+      year: local.year,
+      month: local.month,
+      day: local.day - (minutes < quietHours.start ? 1 : 0),
+      hour: Math.floor(quietHours.start / 60),
+      minute: quietHours.start % 60
+    });
+    return new Date(begins.getTime() - MINUTE_MS);
+  }
+
+  /**
+   * Whether it is quiet hours for the user
+   * @param {Date} instant - UTC instant
+   * @param {Object} preferences - resolveAlertPreferences result
+   * @param {string} zone - User's IANA zone
+   * @returns {boolean} True if alerts must wait
+   */
+  isQuiet(instant, preferences, zone) {
+    const { hour, minute } = this.timezoneDatabase.getLocalTime(zone, instant);
+    return isQuietTime(hour * 60 + minute, preferences.quietHours);
+  }
+
+  /**
+   * Alert text
+   * @param {Object} alert - Stored alert
+   * @param {string} zone - User's IANA zone
+   * @returns {string} Message text
+   */
+  formatAlert(alert, zone) {
+    const when = new Date(alert.at).toLocaleString('en-GB', {
+      timeZone: zone,
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return [
+      `🔭 *${alert.summary}*`,
+      `📅 ${when}`,
+      alert.description,
+      `_${ALERT_CATEGORIES[alert.category].name} alert. Send *alert settings* to change your alerts._`
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  /**
+   * Plan (if stale) and send due alerts for one user
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Date} now - Current instant
+   * @param {Object} stats - Sweep stats, updated
+   * @returns {Promise<void>}
+   */
+  async _sweepUser(user, now, stats) {
+    const preferences = resolveAlertPreferences(user, {
+      leadHours: this.leadHours
+    });
+    const zone = this._resolveZone(user);
+
+    const plannedBefore = new Date(now.getTime() - this.planMs);
+    const stale =
+      !user.alertsPlannedAt || new Date(user.alertsPlannedAt) < plannedBefore;
+    if (
+      stale &&
+      (await this.store.claimPlanning(user.phoneNumber, plannedBefore, now))
+    ) {
+      const { triggers, missing } = await this.finder.find(user, {
+        now,
+        categories: preferences.categories
+      });
+      stats.planned += await this.store.save(user.phoneNumber, triggers);
+      if (missing.length) {
+        this.logger.warn(
+          `⚠️ Alerts for ${user.phoneNumber} planned without ${missing.join(', ')}`
+        );
+      }
+    }
+
+    const pending = await this.store.findPending(
+      user.phoneNumber,
+      new Date(now.getTime() + LOOKAHEAD_MS)
+    );
+    for (const alert of pending) {
+      const outcome = await this._deliver(user, alert, {
+        preferences,
+        zone,
+        now
+      });
+      if (outcome) {
+        stats[outcome]++;
+      }
+    }
+  }
+
+  /**
+   * Send one alert if it is due
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Object} alert - Stored alert
+   * @param {Object} context - { preferences, zone, now }
+   * @returns {Promise<string|null>} Stats key of what happened, null if
+   *   the alert waits
+   */
+  async _deliver(user, alert, { preferences, zone, now }) {
+    const at = new Date(alert.at);
+    if (at <= now) {
+      await this.store.finish(alert, 'skipped', { reason: 'missed' });
+      return 'skipped';
+    }
+    // Categories turned off keep their alerts in case they are turned on
+    if (
+      !preferences.categories.includes(alert.category) ||
+      this.dueAt(at, preferences, zone) > now ||
+      this.isQuiet(now, preferences, zone)
+    ) {
+      return null;
+    }
+    if (
+      !(await this.store.claim(
+        alert,
+        now,
+        new Date(now.getTime() - STALE_CLAIM_MS)
+      ))
+    ) {
+      return null;
+    }
+
+    const credit = await this.ledger.consume(user, ENTITLEMENT, ENTITLEMENT);
+    if (!credit) {
+      await this.store.finish(alert, 'skipped', { reason: 'no_credit' });
+      this.logger.info(
+        `🔭 Alert for ${user.phoneNumber} skipped: no ${ENTITLEMENT} credit`
+      );
+      return 'skipped';
+    }
+
+    try {
+      await this._send(user, alert, zone, now);
+    } catch (error) {
+      this.logger.error(
+        `❌ Alert for ${user.phoneNumber} failed:`,
+        error.message
+      );
+      await this._undo(user, alert, credit, now);
+      return 'failed';
+    }
+
+    await this.store.finish(alert, 'sent', { sentAt: now });
+    this.logger.info(`🔭 Alert "${alert.summary}" sent to ${user.phoneNumber}`);
+    return 'sent';
+  }
+
+  /**
+   * Free text inside the session window, the approved template outside it
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Object} alert - Stored alert
+   * @param {string} zone - User's IANA zone
+   * @param {Date} now - Current instant
+   * @returns {Promise<void>}
+   */
+  async _send(user, alert, zone, now) {
+    const text = this.formatAlert(alert, zone);
+    if (this._inSessionWindow(user, now)) {
+      await this.sender.sendTextMessage(user.phoneNumber, text);
+      return;
+    }
+    const toParam = value => ({
+      type: 'text',
+      text: String(value || '')
+        .replace(/\s*\n+\s*/g, ' ')
+        .substring(0, MAX_TEMPLATE_PARAM_LENGTH)
+    });
+    await this.sender.sendTemplateMessage(
+      user.phoneNumber,
+      this.templateName,
+      user.preferredLanguage || 'en',
+      [
+        {
+          type: 'body',
+          parameters: [toParam(user.name || 'there'), toParam(text)]
+        }
+      ]
+    );
+  }
+
+  /**
+   * Release the claim so the next sweep retries, and refund the credit
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Object} alert - Claimed alert
+   * @param {Object} credit - Credit consumed for it
+   * @param {Date} claimedAt - Time of the claim
+   * @returns {Promise<void>}
+   */
+  async _undo(user, alert, credit, claimedAt) {
+    try {
+      await this.store.release(alert, claimedAt);
+    } catch (error) {
+      this.logger.error(
+        `❌ Failed to release alert for ${user.phoneNumber}:`,
+        error.message
+      );
+    }
+    try {
+      await this.ledger.refund(credit, ENTITLEMENT);
+    } catch (error) {
+      this.logger.error(
+        `❌ Failed to refund alert credit for ${user.phoneNumber}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} user - User profile
+   * @param {Date} now - Current instant
+   * @returns {boolean} True if the user wrote to us in the last 24 hours
+   */
+  _inSessionWindow(user, now) {
+    if (!user.lastInteraction) {
+      return false;
+    }
+    const elapsed = now.getTime() - new Date(user.lastInteraction).getTime();
+    return elapsed < SESSION_WINDOW_MS;
+  }
+
+  /**
+   * Zone alerts are timed in: the user's own, then their birth zone, then
+   * the default
+   * @private
+   * @param {Object} user - User profile
+   * @returns {string} IANA zone
+   */
+  _resolveZone(user) {
+    return (
+      [user.timezone, user.birthTimezone].find(zone =>
+        this.timezoneDatabase.isValidZone(zone)
+      ) || this.defaultTimezone
+    );
+  }
+}
+
+module.exports = { TransitAlertService, ENTITLEMENT };
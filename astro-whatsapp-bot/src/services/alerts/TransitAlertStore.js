@@ -0,0 +1,159 @@
+const TransitAlert = require('../../models/TransitAlert');
+const User = require('../../models/User');
+const { ALERT_CATEGORIES } = require('./AlertPreferences');
+
+// Fields the engine needs to plan, time, pay for and send a user's alerts
+const SUBSCRIBER_FIELDS = [
+  'phoneNumber',
+  'name',
+  'preferredLanguage',
+  'timezone',
+  'birthTimezone',
+  'birthDate',
+  'birthTime',
+  'birthPlace',
+  'birthLatitude',
+  'birthLongitude',
+  'preferences',
+  'lastInteraction',
+  'alertsPlannedAt',
+  'subscriptionTier',
+  'subscriptionExpiry',
+  'subscription'
+].join(' ');
+
+/**
+ * TransitAlertStore - MongoDB persistence for the alert engine
+ * Planning a user is claimed through `alertsPlannedAt` and sending an
+ * alert through its status, each with one conditional update, so
+ * restarted or parallel instances never plan or send twice.
+ */
+class TransitAlertStore {
+  /**
+   * Iterate users opted into at least one category with a birth profile
+   * @returns {AsyncIterable<Object>} Lean user documents
+   */
+  findSubscribers() {
+    return User.find({
+      'preferences.alerts.categories': { $in: Object.keys(ALERT_CATEGORIES) },
+      profileComplete: true,
+      birthDate: { $ne: null }
+    })
+      .select(SUBSCRIBER_FIELDS)
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Claim planning a user whose plan is older than `plannedBefore`
+   * @param {string} phoneNumber - User phone number
+   * @param {Date} plannedBefore - Plans older than this are stale
+   * @param {Date} now - Claim time, stored as alertsPlannedAt
+   * @returns {Promise<boolean>} True if this run plans the user
+   */
+  async claimPlanning(phoneNumber, plannedBefore, now) {
+    const result = await User.updateOne(
+      {
+        phoneNumber,
+        $or: [
+          { alertsPlannedAt: null },
+          { alertsPlannedAt: { $lt: plannedBefore } }
+        ]
+      },
+      { $set: { alertsPlannedAt: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Add triggers not planned before; known ones keep their state
+   * @param {string} phoneNumber - User phone number
+   * @param {Array<Object>} triggers - AlertTriggerFinder triggers
+   * @returns {Promise<number>} Alerts added
+   */
+  async save(phoneNumber, triggers) {
+    if (!triggers.length) {
+      return 0;
+    }
+    const result = await TransitAlert.bulkWrite(
+      triggers.map(trigger => ({
+        updateOne: {
+          filter: { key: trigger.key },
+          update: {
+            $setOnInsert: { ...trigger, phoneNumber, status: 'pending' }
+          },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+    return result.upsertedCount;
+  }
+
+  /**
+   * Unsent alerts of a user whose trigger comes before `until`
+   * @param {string} phoneNumber - User phone number
+   * @param {Date} until - Latest trigger time
+   * @returns {Promise<Array<Object>>} Lean alerts, soonest first
+   */
+  async findPending(phoneNumber, until) {
+    return TransitAlert.find({
+      phoneNumber,
+      status: { $in: ['pending', 'sending'] },
+      at: { $lte: until }
+    })
+      .sort({ at: 1 })
+      .lean();
+  }
+
+  /**
+   * Claim an alert for sending. A claim older than `staleBefore` was left
+   * by a run that died and may be taken over.
+   * @param {Object} alert - Alert from findPending
+   * @param {Date} now - Claim time
+   * @param {Date} staleBefore - Claims older than this are abandoned
+   * @returns {Promise<boolean>} True if this run sends it
+   */
+  async claim(alert, now, staleBefore) {
+    const result = await TransitAlert.updateOne(
+      {
+        _id: alert._id,
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', claimedAt: { $lt: staleBefore } }
+        ]
+      },
+      { $set: { status: 'sending', claimedAt: now } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Give a claimed alert back after a failed send
+   * @param {Object} alert - Claimed alert
+   * @param {Date} claimedAt - Time of the claim
+   * @returns {Promise<void>}
+   */
+  async release(alert, claimedAt) {
+    await TransitAlert.updateOne(
+      { _id: alert._id, status: 'sending', claimedAt },
+      { $set: { status: 'pending' } }
+    );
+  }
+
+  /**
+   * Close an alert
+   * @param {Object} alert - Alert
+   * @param {string} status - 'sent' or 'skipped'
+   * @param {Object} details - { reason, sentAt }
+   * @returns {Promise<void>}
+   */
+  async finish(alert, status, details = {}) {
+    await TransitAlert.updateOne(
+      { _id: alert._id },
+      { $set: { status, ...details } }
+    );
+  }
+}
+
+module.exports = { TransitAlertStore };
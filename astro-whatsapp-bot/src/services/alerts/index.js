@@ -0,0 +1,82 @@
+const { AlertTriggerFinder } = require('./AlertTriggerFinder');
+const { TransitAlertService, ENTITLEMENT } = require('./TransitAlertService');
+const { TransitAlertStore } = require('./TransitAlertStore');
+const {
+  ALERT_CATEGORIES,
+  LEAD_HOURS,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  resolveAlertPreferences,
+  isQuietTime
+} = require('./AlertPreferences');
+
+// Process-wide engine, created on first use
+let alertService = null;
+
+/**
+ * Shared alert engine configured from W1_ALERT_* settings. Triggers are
+ * planned W1_ALERT_HORIZON_DAYS ahead, which must stay well beyond the
+ * longest notice plus W1_ALERT_PLAN_HOURS.
+ * @returns {TransitAlertService} Alert engine
+ */
+const getTransitAlertService = () => {
+  if (alertService) {
+    return alertService;
+  }
+
+  const SignificantTransitsService = require('../../core/services/significantTransitsService');
+  const UpcomingDashasService = require('../../core/services/upcomingDashasService');
+  const SadeSatiService = require('../../core/services/sadeSatiService');
+  const { CalendarEventBuilder } = require('../calendar');
+  const { getEventFinder } = require('../astrology/events');
+  const { getDashaService } = require('../astrology/dasha');
+  const {
+    TimezoneDatabase
+  } = require('../astrology/geocoding/TimezoneDatabase');
+  const { getEntitlementLedger } = require('../payment/entitlements');
+  const messageSender = require('../whatsapp/messageSender');
+
+  const timezoneDatabase = new TimezoneDatabase();
+  const defaultTimezone = process.env.DEFAULT_TIMEZONE || 'UTC';
+  alertService = new TransitAlertService({
+    store: new TransitAlertStore(),
+    finder: new AlertTriggerFinder({
+      builder: new CalendarEventBuilder({
+        services: {
+          significantTransits: new SignificantTransitsService(),
+          upcomingDashas: new UpcomingDashasService(),
+          sadeSati: new SadeSatiService()
+        },
+        days: parseInt(process.env.W1_ALERT_HORIZON_DAYS, 10) || 14,
+        // Mahadasha and Antardasha changes
+        dashaLevels: 2,
+        defaultTimezone,
+        timezoneDatabase
+      }),
+      finder: getEventFinder(),
+      dashaService: getDashaService()
+    }),
+    ledger: getEntitlementLedger(),
+    sender: messageSender,
+    timezoneDatabase,
+    planHours: parseFloat(process.env.W1_ALERT_PLAN_HOURS) || 12,
+    leadHours: parseFloat(process.env.W1_ALERT_LEAD_HOURS) || 24,
+    templateName: process.env.W1_ALERT_TEMPLATE || 'transit_alert',
+    defaultTimezone
+  });
+  return alertService;
+};
+
+module.exports = {
+  getTransitAlertService,
+  AlertTriggerFinder,
+  TransitAlertService,
+  TransitAlertStore,
+  ENTITLEMENT,
+  ALERT_CATEGORIES,
+  LEAD_HOURS,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  resolveAlertPreferences,
+  isQuietTime
+};
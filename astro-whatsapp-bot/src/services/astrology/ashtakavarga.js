@@ -5,6 +5,10 @@
 
 const logger = require('../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('./core/ChartSettings');
 
 class Ashtakavarga {
   constructor() {
@@ -271,7 +275,11 @@ class Ashtakavarga {
       );
 
       // Calculate natal planetary positions
-      const natalChart = await this.calculateNatalChart(julianDay, birthPlace);
+      const natalChart = await this.calculateNatalChart(
+        julianDay,
+        birthPlace,
+        resolveChartSettings(birthData)
+      );
 
       // Generate Ashtakavarga tables for each planet
       const ashtakavargaTables = {};
@@ -419,21 +427,30 @@ class Ashtakavarga {
   }
 
   /**
-   * Calculate natal chart positions
+   * Calculate natal chart positions in the chart settings' ayanamsa
    * @private
    */
-  async calculateNatalChart(jd, location) {
+  async calculateNatalChart(
+    jd,
+    location,
+    chartSettings = resolveChartSettings()
+  ) {
     const { latitude, longitude } = location;
     const planets = {};
 
+    // Sidereal mode is process-wide: no await from here on
+    applySiderealMode(chartSettings);
     for (const planet of this.planets) {
       try {
-        const result = sweph.calc(
+        const result = sweph.calc_ut(
           jd,
           this.getPlanetId(planet.name),
-          sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL
+          sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SIDEREAL
         );
-        const longitude = result.longitude?.[0] || 0;
+        if (result.flag < 0) {
+          throw new Error(result.error);
+        }
+        const longitude = result.data[0];
         const sign = Math.floor(longitude / 30) % 12;
 
         planets[planet.name] = {
@@ -660,15 +677,15 @@ ${predictions.remedialMeasures
   // Helper methods
   getPlanetId(planetName) {
     const ids = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN
+      sun: sweph.constants.SE_SUN,
+      moon: sweph.constants.SE_MOON,
+      mars: sweph.constants.SE_MARS,
+      mercury: sweph.constants.SE_MERCURY,
+      jupiter: sweph.constants.SE_JUPITER,
+      venus: sweph.constants.SE_VENUS,
+      saturn: sweph.constants.SE_SATURN
     };
-    return ids[planetName] || sweph.SE_SUN;
+    return ids[planetName] || sweph.constants.SE_SUN;
   }
 
   calculateHouse(longitude, jd, lat, lon) {
@@ -677,16 +694,7 @@ ${predictions.remedialMeasures
   }
 
   dateToJulianDay(year, month, day, hour) {
-    return (
-      hour / 24 +
-      day +
-      Math.floor((153 * month + 2) / 5) +
-      365 * year +
-      Math.floor(year / 4) -
-      Math.floor(year / 100) +
-      Math.floor(year / 400) -
-      32045
-    );
+    return sweph.julday(year, month, day, hour, sweph.constants.SE_GREG_CAL);
   }
 
   getMoonNakRuler(moon) {
@@ -0,0 +1,495 @@
+const sweph = require('sweph');
+const { Gazetteer, distanceKm } = require('../geocoding/Gazetteer');
+
+const { SEFLG_EQUATORIAL } = sweph.constants;
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+// Rising and setting curves stop here: they run off towards the poles,
+// where no one lives and the projection is meaningless
+const MAX_LATITUDE = 85;
+// Lines within this distance of a place are felt there
+const DEFAULT_ORB_KM = 500;
+
+const PLANETS = Object.freeze({
+  sun: { name: 'Sun', abbreviation: 'Su', id: sweph.constants.SE_SUN },
+  moon: { name: 'Moon', abbreviation: 'Mo', id: sweph.constants.SE_MOON },
+  mercury: {
+    name: 'Mercury',
+    abbreviation: 'Me',
+    id: sweph.constants.SE_MERCURY
+  },
+  venus: { name: 'Venus', abbreviation: 'Ve', id: sweph.constants.SE_VENUS },
+  mars: { name: 'Mars', abbreviation: 'Ma', id: sweph.constants.SE_MARS },
+  jupiter: {
+    name: 'Jupiter',
+    abbreviation: 'Ju',
+    id: sweph.constants.SE_JUPITER
+  },
+  saturn: {
+    name: 'Saturn',
+    abbreviation: 'Sa',
+    id: sweph.constants.SE_SATURN
+  },
+  uranus: {
+    name: 'Uranus',
+    abbreviation: 'Ur',
+    id: sweph.constants.SE_URANUS
+  },
+  neptune: {
+    name: 'Neptune',
+    abbreviation: 'Ne',
+    id: sweph.constants.SE_NEPTUNE
+  },
+  pluto: { name: 'Pluto', abbreviation: 'Pl', id: sweph.constants.SE_PLUTO }
+});
+
+/**
+ * Lines drawn for each planet: where it was culminating (MC), on the lower
+ * meridian (IC), rising (ASC) or setting (DSC) at the moment of birth, and
+ * the local-space line (LS) along its compass bearing from the birthplace
+ */
+const ANGLES = Object.freeze({
+  MC: 'Midheaven',
+  IC: 'Imum Coeli',
+  ASC: 'Ascendant',
+  DSC: 'Descendant',
+  LS: 'Local Space'
+});
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+const toDegrees = radians => (radians * 180) / Math.PI;
+const normalize = degrees => ((degrees % 360) + 360) % 360;
+
+// Map longitude, in (-180, 180]
+const wrap = degrees => {
+  const d = normalize(degrees);
+  return d > 180 ? d - 360 : d;
+};
+
+const toJulianDay = instant => instant.getTime() / 86400000 + UNIX_EPOCH_JD;
+
+/**
+ * Right ascension and declination of a planet from Swiss Ephemeris
+ * @param {Object} planet - PLANETS entry
+ * @param {number} jd - Julian day (UT)
+ * @returns {Object} { rightAscension, declination } in degrees
+ */
+const swissEquatorial = (planet, jd) => {
+  const position = sweph.calc_ut(jd, planet.id, SEFLG_EQUATORIAL);
+  if (!position || position.flag < 0) {
+    throw new Error(
+      `Position of ${planet.name} unavailable: ${position.error}`
+    );
+  }
+  return {
+    rightAscension: position.data[0],
+    declination: position.data[1]
+  };
+};
+
+/**
+ * Apparent sidereal time at Greenwich
+ * @param {number} jd - Julian day (UT)
+ * @returns {number} Degrees
+ */
+const greenwichSiderealTime = jd => sweph.sidtime(jd) * 15;
+
+/**
+ * Point at a distance along a bearing on the sphere
+ * @param {Object} from - { latitude, longitude }
+ * @param {number} bearing - Degrees east of north
+ * @param {number} distance - Angular distance in degrees
+ * @returns {Object} { latitude, longitude }
+ */
+const destination = (from, bearing, distance) => {
+  const lat1 = toRadians(from.latitude);
+  const theta = toRadians(bearing);
+  const delta = toRadians(distance);
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(delta) +
+      Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lng2 =
+    toRadians(from.longitude) +
+    Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+      Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+    );
+  return { latitude: toDegrees(lat2), longitude: wrap(toDegrees(lng2)) };
+};
+
+/**
+ * Initial bearing from one point to another
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Degrees east of north
+ */
+const bearingTo = (from, to) => {
+  const lat1 = toRadians(from.latitude);
+  const lat2 = toRadians(to.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  return normalize(
+    toDegrees(
+      Math.atan2(
+        Math.sin(dLng) * Math.cos(lat2),
+        Math.cos(lat1) * Math.sin(lat2) -
+          Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+      )
+    )
+  );
+};
+
+/**
+ * AstrocartographyEngine - Astro*Carto*Graphy lines for a birth moment.
+ * Each planet's right ascension and declination are fixed at birth while
+ * the Earth underneath decides which horizon or meridian it sits on:
+ * - MC / IC: the meridians where local sidereal time equals the planet's
+ *   right ascension (or is opposite it)
+ * - ASC / DSC: for each latitude φ, the semi-diurnal arc
+ *   H₀ = acos(−tan φ tan δ) puts the rising point at RA − H₀ and the
+ *   setting point at RA + H₀; where |tan φ tan δ| > 1 the planet never
+ *   rises or sets and the curve ends, meeting the meridian lines
+ * - LS: the great circle through the birthplace along the planet's azimuth
+ * Planets are taken in mundo (true declination), as in classic ACG maps.
+ */
+class AstrocartographyEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Function} options.ephemeris - (planet, jd) =>
+   *   { rightAscension, declination }, for tests
+   * @param {Function} options.siderealTime - jd => Greenwich sidereal time
+   *   in degrees, for tests
+   * @param {Gazetteer} options.gazetteer - Cities searched along the lines
+   */
+  constructor({
+    ephemeris = swissEquatorial,
+    siderealTime = greenwichSiderealTime,
+    gazetteer = null
+  } = {}) {
+    this.ephemeris = ephemeris;
+    this.siderealTime = siderealTime;
+    this.gazetteer = gazetteer;
+  }
+
+  /**
+   * All lines of a birth moment
+   * @param {Object} options - Map options
+   * @param {Date} options.birth - Birth instant
+   * @param {Object} options.location - Birthplace { latitude, longitude },
+   *   needed for local-space lines
+   * @param {Array<string>} options.planets - Keys of PLANETS (default all)
+   * @returns {Object} { birth, location, siderealTime, planets: { key:
+   *   { name, rightAscension, declination, azimuth, altitude } }, lines }.
+   *   Lines are { id, planet, planetName, abbreviation, angle, angleName,
+   *   points: [{ latitude, longitude }] }, plus `longitude` for MC and IC
+   *   and `bearing` for LS.
+   */
+  map({ birth, location = null, planets = Object.keys(PLANETS) }) {
+    const jd = toJulianDay(birth);
+    const siderealTime = this.siderealTime(jd);
+    const positions = {};
+    const lines = [];
+
+    for (const key of planets) {
+      const planet = PLANETS[key];
+      if (!planet) {
+        throw new Error(`Unknown planet: ${key}`);
+      }
+      const { rightAscension, declination } = this.ephemeris(planet, jd);
+      const line = (angle, fields) => ({
+        id: `${key}_${angle}`,
+        planet: key,
+        planetName: planet.name,
+        abbreviation: planet.abbreviation,
+        angle,
+        angleName: ANGLES[angle],
+        ...fields
+      });
+
+      const mc = wrap(rightAscension - siderealTime);
+      lines.push(line('MC', { longitude: mc, points: this.meridian(mc) }));
+      lines.push(
+        line('IC', {
+          longitude: wrap(mc + 180),
+          points: this.meridian(wrap(mc + 180))
+        })
+      );
+      const horizon = this.horizonCurves(mc, declination);
+      lines.push(line('ASC', { points: horizon.rising }));
+      lines.push(line('DSC', { points: horizon.setting }));
+
+      positions[key] = { name: planet.name, rightAscension, declination };
+      if (location) {
+        const { azimuth, altitude } = this.horizontal(
+          location,
+          siderealTime,
+          rightAscension,
+          declination
+        );
+        Object.assign(positions[key], { azimuth, altitude });
+        lines.push(
+          line('LS', {
+            bearing: azimuth,
+            points: this.greatCircle(location, azimuth)
+          })
+        );
+      }
+    }
+
+    return { birth, location, siderealTime, planets: positions, lines };
+  }
+
+  /**
+   * Lines passing within a distance of a place, nearest first
+   * @param {Object} chart - map() result
+   * @param {Object} place - { latitude, longitude }
+   * @param {Object} options - { maxKm, localSpace: include LS lines }
+   * @returns {Array<Object>} [{ line, distanceKm }]
+   */
+  linesNear(chart, place, { maxKm = DEFAULT_ORB_KM, localSpace = true } = {}) {
+    return chart.lines
+      .filter(line => localSpace || line.angle !== 'LS')
+      .map(line => ({ line, distanceKm: this.distanceTo(line, place) }))
+      .filter(hit => hit.distanceKm <= maxKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * Gazetteer cities along each line
+   * @param {Object} chart - map() result
+   * @param {Object} options - Search options
+   * @param {number} options.maxKm - Farthest a city may lie from the line
+   * @param {Array<string>} options.planets - Only these planets' lines
+   * @param {Array<string>} options.angles - Only these angles (default
+   *   MC, IC, ASC and DSC)
+   * @param {number} options.limit - Cities per line, most populous first
+   * @returns {Array<Object>} [{ line, cities: [{ place, distanceKm }] }]
+   */
+  citiesNear(
+    chart,
+    {
+      maxKm = DEFAULT_ORB_KM,
+      planets = null,
+      angles = ['MC', 'IC', 'ASC', 'DSC'],
+      limit = 5
+    } = {}
+  ) {
+    const places = this.getGazetteer().list();
+    return chart.lines
+      .filter(
+        line =>
+          angles.includes(line.angle) &&
+          (!planets || planets.includes(line.planet))
+      )
+      .map(line => {
+        const cities = [];
+        for (const place of places) {
+          if (cities.length === limit) {
+            break;
+          }
+          const distance = this.distanceTo(line, place);
+          if (distance <= maxKm) {
+            cities.push({ place, distanceKm: distance });
+          }
+        }
+        return { line, cities };
+      });
+  }
+
+  /**
+   * Shortest distance from a place to a line
+   * @param {Object} line - map() line
+   * @param {Object} place - { latitude, longitude }
+   * @returns {number} Kilometres
+   */
+  distanceTo(line, place) {
+    if (line.angle === 'MC' || line.angle === 'IC') {
+      // Meridians are half great circles from pole to pole
+      const dLng = Math.abs(wrap(place.longitude - line.longitude));
+      const angle =
+        dLng >= 90 ?
+          90 - Math.abs(place.latitude) :
+          toDegrees(
+            Math.asin(
+              Math.cos(toRadians(place.latitude)) * Math.sin(toRadians(dLng))
+            )
+          );
+      return angle * KM_PER_DEGREE;
+    }
+    if (line.angle === 'LS') {
+      // Cross-track distance to the whole great circle
+      const from = line.points[0];
+      const angular =
+        distanceKm(
+          from.latitude,
+          from.longitude,
+          place.latitude,
+          place.longitude
+        ) / EARTH_RADIUS_KM;
+      const crossTrack = Math.asin(
+        Math.sin(angular) *
+          Math.sin(toRadians(bearingTo(from, place) - line.bearing))
+      );
+      return Math.abs(crossTrack) * EARTH_RADIUS_KM;
+    }
+    return this.polylineDistance(line.points, place);
+  }
+
+  /**
+   * Points on a meridian, pole to pole
+   * @private
+   * @param {number} longitude - Map longitude
+   * @returns {Array<Object>} Points
+   */
+  meridian(longitude) {
+    return [-90, 90].map(latitude => ({ latitude, longitude }));
+  }
+
+  /**
+   * Rising and setting curves of a planet, south to north
+   * @private
+   * @param {number} mc - Longitude of the planet's MC line
+   * @param {number} declination - Planet declination
+   * @returns {Object} { rising, setting } point lists
+   */
+  horizonCurves(mc, declination) {
+    // Beyond ±(90° − |δ|) the planet is circumpolar or never rises
+    const limit = Math.min(90 - Math.abs(declination), MAX_LATITUDE);
+    const latitudes = [-limit];
+    for (let latitude = Math.floor(-limit) + 1; latitude < limit; latitude++) {
+      latitudes.push(latitude);
+    }
+    latitudes.push(limit);
+
+    const tanDeclination = Math.tan(toRadians(declination));
+    const rising = [];
+    const setting = [];
+    for (const latitude of latitudes) {
+      const cosine = -Math.tan(toRadians(latitude)) * tanDeclination;
+      const arc = toDegrees(Math.acos(Math.max(-1, Math.min(1, cosine))));
+      rising.push({ latitude, longitude: wrap(mc - arc) });
+      setting.push({ latitude, longitude: wrap(mc + arc) });
+    }
+    return { rising, setting };
+  }
+
+  /**
+   * Azimuth and altitude of a planet seen from a place
+   * @private
+   * @param {Object} location - { latitude, longitude }
+   * @param {number} siderealTime - Greenwich sidereal time in degrees
+   * @param {number} rightAscension - Degrees
+   * @param {number} declination - Degrees
+   * @returns {Object} { azimuth: degrees east of north, altitude }
+   */
+  horizontal(location, siderealTime, rightAscension, declination) {
+    const hourAngle = toRadians(
+      siderealTime + location.longitude - rightAscension
+    );
+    const phi = toRadians(location.latitude);
+    const delta = toRadians(declination);
+    const azimuth = Math.atan2(
+      -Math.sin(hourAngle) * Math.cos(delta),
+      Math.sin(delta) * Math.cos(phi) -
+        Math.cos(delta) * Math.sin(phi) * Math.cos(hourAngle)
+    );
+    const altitude = Math.asin(
+      Math.sin(phi) * Math.sin(delta) +
+        Math.cos(phi) * Math.cos(delta) * Math.cos(hourAngle)
+    );
+    return {
+      azimuth: normalize(toDegrees(azimuth)),
+      altitude: toDegrees(altitude)
+    };
+  }
+
+  /**
+   * Points around the great circle leaving a place along a bearing, every
+   * degree; the circle runs back through the place from the other side
+   * @private
+   * @param {Object} location - { latitude, longitude }
+   * @param {number} bearing - Degrees east of north
+   * @returns {Array<Object>} Points, starting at the place
+   */
+  greatCircle(location, bearing) {
+    const points = [];
+    for (let distance = 0; distance <= 360; distance++) {
+      points.push(
+        distance === 0 || distance === 360 ?
+          { latitude: location.latitude, longitude: location.longitude } :
+          destination(location, bearing, distance)
+      );
+    }
+    return points;
+  }
+
+  /**
+   * Shortest distance from a place to a curve: each segment is measured in
+   * a flat projection centred on the place, and the nearest point found
+   * there is measured again on the sphere
+   * @private
+   * @param {Array<Object>} points - Curve points
+   * @param {Object} place - { latitude, longitude }
+   * @returns {number} Kilometres
+   */
+  polylineDistance(points, place) {
+    const scale = Math.cos(toRadians(place.latitude));
+    const project = point => [
+      wrap(point.longitude - place.longitude) * scale,
+      point.latitude - place.latitude
+    ];
+
+    let best = Infinity;
+    for (let i = 1; i < points.length; i++) {
+      const [ax, ay] = project(points[i - 1]);
+      const [bx, by] = project(points[i]);
+      // Segments split by the place's antimeridian are half a world away
+      if (Math.abs(bx - ax) > 90) {
+        continue;
+      }
+      const dx = bx - ax;
+      const dy = by - ay;
+      const length = dx * dx + dy * dy;
+      const t =
+        length === 0 ?
+          0 :
+          Math.max(0, Math.min(1, -(ax * dx + ay * dy) / length));
+      const x = ax + t * dx;
+      const y = ay + t * dy;
+      if (Math.hypot(x, y) * KM_PER_DEGREE > best + KM_PER_DEGREE) {
+        continue;
+      }
+      const distance = distanceKm(
+        place.latitude,
+        place.longitude,
+        place.latitude + y,
+        place.longitude + (scale ? x / scale : 0)
+      );
+      best = Math.min(best, distance);
+    }
+    return best;
+  }
+
+  /**
+   * @private
+   * @returns {Gazetteer} Gazetteer searched by citiesNear
+   */
+  getGazetteer() {
+    if (!this.gazetteer) {
+      this.gazetteer = new Gazetteer();
+    }
+    return this.gazetteer;
+  }
+}
+
+module.exports = {
+  AstrocartographyEngine,
+  PLANETS,
+  ANGLES,
+  DEFAULT_ORB_KM,
+  swissEquatorial,
+  greenwichSiderealTime
+};
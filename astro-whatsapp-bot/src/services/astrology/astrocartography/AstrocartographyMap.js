@@ -0,0 +1,337 @@
+const logger = require('../../../utils/logger');
+const { LAND, SEAS } = require('./worldOutline');
+
+const WIDTH = 1200;
+const HEADER = 56;
+const LEGEND = 76;
+// Map edges: the lines matter where people live
+const NORTH = 80;
+const SOUTH = -58;
+const MAP_HEIGHT = Math.round((WIDTH * (NORTH - SOUTH)) / 360);
+const FONT = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+const COLORS = {
+  background: '#fffaf0',
+  ocean: '#dceaf5',
+  land: '#f4ecd8',
+  coast: '#b49a6c',
+  graticule: '#b8cadb',
+  place: '#a11d33',
+  title: '#3b2106'
+};
+const PLANET_COLORS = {
+  sun: '#d99a00',
+  moon: '#7d8a99',
+  mercury: '#2e9e6a',
+  venus: '#d6337f',
+  mars: '#d62828',
+  jupiter: '#6a3fb5',
+  saturn: '#6b5236',
+  uranus: '#1493c9',
+  neptune: '#2b50c2',
+  pluto: '#2f2f2f'
+};
+// How each kind of line is stroked
+const LINE_STYLES = {
+  MC: { width: 2.4, dash: null },
+  IC: { width: 2, dash: '10 6' },
+  ASC: { width: 2, dash: '12 4 2 4' },
+  DSC: { width: 2, dash: '4 4' },
+  LS: { width: 1.2, dash: '1 5' }
+};
+
+// What each line style means, for the legend
+const ANGLE_KEYS = {
+  MC: 'culminating',
+  IC: 'lower meridian',
+  ASC: 'rising',
+  DSC: 'setting',
+  LS: 'local space'
+};
+
+const round = value => Math.round(value * 10) / 10;
+const escapeXml = text =>
+  String(text).replace(
+    /[<>&'"]/g,
+    char =>
+      ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[
+        char
+      ]
+  );
+
+const x = longitude => ((longitude + 180) / 360) * WIDTH;
+const y = latitude => ((NORTH - latitude) / (NORTH - SOUTH)) * MAP_HEIGHT;
+
+/**
+ * AstrocartographyMap - Draws AstrocartographyEngine lines over a world map
+ * as SVG and PNG images. The map is equirectangular (longitude and
+ * latitude straight onto x and y), so meridian lines are vertical and the
+ * rising and setting curves bend towards the poles.
+ */
+class AstrocartographyMap {
+  /**
+   * Render the lines of a chart as an SVG document
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Object} options - Render options
+   * @param {string} options.title - Title above the map
+   * @param {Array<Object>} options.places - Places to mark,
+   *   [{ name, latitude, longitude }]; the birthplace is always marked
+   * @param {boolean} options.localSpace - Draw local-space lines too
+   * @returns {string} SVG markup
+   */
+  renderSvg(chart, options = {}) {
+    if (!chart || !Array.isArray(chart.lines)) {
+      throw new Error('Astrocartography lines are required for rendering');
+    }
+    const lines = chart.lines.filter(
+      line => options.localSpace || line.angle !== 'LS'
+    );
+    const places = [...(options.places || [])];
+    if (chart.location) {
+      places.unshift({ ...chart.location, name: 'Birth', birth: true });
+    }
+    const height = HEADER + MAP_HEIGHT + LEGEND;
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${height}" viewBox="0 0 ${WIDTH} ${height}" font-family="${FONT}">`,
+      `<rect width="${WIDTH}" height="${height}" fill="${COLORS.background}"/>`,
+      `<text x="${WIDTH / 2}" y="36" text-anchor="middle" font-size="22" font-weight="bold" fill="${COLORS.title}">${escapeXml(options.title || 'Astrocartography')}</text>`,
+      `<defs><clipPath id="map"><rect width="${WIDTH}" height="${MAP_HEIGHT}"/></clipPath></defs>`,
+      `<g transform="translate(0 ${HEADER})" clip-path="url(#map)">`,
+      this._drawWorld(),
+      lines.map(line => this._drawLine(line)).join(''),
+      this._drawLabels(lines),
+      places.map(place => this._drawPlace(place)).join(''),
+      '</g>',
+      `<g transform="translate(0 ${HEADER + MAP_HEIGHT})">${this._drawLegend(lines, options.localSpace)}</g>`,
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * Render the lines of a chart as a PNG image
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Object} options - renderSvg options, plus `width` in pixels
+   *   (default 1200)
+   * @returns {Buffer} PNG bytes
+   */
+  renderPng(chart, options = {}) {
+    const svg = this.renderSvg(chart, options);
+    const { Resvg } = require('@resvg/resvg-js');
+    const image = new Resvg(svg, {
+      fitTo: { mode: 'width', value: options.width || WIDTH },
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    const png = image.render().asPng();
+    logger.debug(`🖼️ Rendered astrocartography map (${png.length} bytes)`);
+    return png;
+  }
+
+  /**
+   * Oceans, land and a 30° graticule
+   * @private
+   * @returns {string} SVG fragment
+   */
+  _drawWorld() {
+    const ring = points =>
+      `M${points.map(([lng, lat]) => `${round(x(lng))},${round(y(lat))}`).join('L')}Z`;
+    let svg = `<rect width="${WIDTH}" height="${MAP_HEIGHT}" fill="${COLORS.ocean}"/>`;
+    svg += `<path d="${LAND.map(ring).join('')}" fill="${COLORS.land}" stroke="${COLORS.coast}" stroke-width="0.8" stroke-linejoin="round"/>`;
+    svg += `<path d="${SEAS.map(ring).join('')}" fill="${COLORS.ocean}" stroke="${COLORS.coast}" stroke-width="0.8" stroke-linejoin="round"/>`;
+
+    svg += `<g stroke="${COLORS.graticule}" stroke-width="0.6">`;
+    for (let lng = -150; lng <= 150; lng += 30) {
+      svg += `<line x1="${round(x(lng))}" y1="0" x2="${round(x(lng))}" y2="${MAP_HEIGHT}"/>`;
+    }
+    for (let lat = -30; lat <= 60; lat += 30) {
+      const width = lat === 0 ? 1.2 : 0.6;
+      svg += `<line x1="0" y1="${round(y(lat))}" x2="${WIDTH}" y2="${round(y(lat))}" stroke-width="${width}"/>`;
+    }
+    svg += '</g>';
+    return svg;
+  }
+
+  /**
+   * One line as a path, broken where it crosses the map's left and right
+   * edges
+   * @private
+   * @param {Object} line - Engine line
+   * @returns {string} SVG fragment
+   */
+  _drawLine(line) {
+    const style = LINE_STYLES[line.angle];
+    let d = '';
+    let previous = null;
+    for (const point of line.points) {
+      const command =
+        !previous || Math.abs(point.longitude - previous.longitude) > 180 ?
+          'M' :
+          'L';
+      d += `${command}${round(x(point.longitude))},${round(y(point.latitude))}`;
+      previous = point;
+    }
+    const dash = style.dash ? ` stroke-dasharray="${style.dash}"` : '';
+    return `<path d="${d}" fill="none" stroke="${PLANET_COLORS[line.planet]}" stroke-width="${style.width}" stroke-linecap="round"${dash}/>`;
+  }
+
+  /**
+   * Planet and angle next to each line: meridians along the top (MC) or
+   * bottom (IC) edge, rising and setting curves around 45°N. A label that
+   * would cover one already placed moves to the next row, or further
+   * along its curve.
+   * @private
+   * @param {Array<Object>} lines - Lines drawn
+   * @returns {string} SVG fragment
+   */
+  _drawLabels(lines) {
+    const placed = [];
+    const fits = box =>
+      !placed.some(
+        other =>
+          box.left < other.right &&
+          other.left < box.right &&
+          box.top < other.bottom &&
+          other.top < box.bottom
+      );
+
+    let svg = '';
+    lines.forEach(line => {
+      const text = `${line.abbreviation} ${line.angle}`;
+      const width = text.length * 7 + 4;
+      const spot = this._labelCandidates(line)
+        .map(point => {
+          const atEdge = point.x + width > WIDTH;
+          const left = atEdge ? point.x - width - 4 : point.x + 4;
+          return {
+            ...point,
+            atEdge,
+            box: {
+              left,
+              right: left + width,
+              top: point.y - 11,
+              bottom: point.y + 3
+            }
+          };
+        })
+        .find(candidate => fits(candidate.box));
+      // Left out when every spot is taken: the colour still tells
+      if (!spot) {
+        return;
+      }
+      placed.push(spot.box);
+      svg += this._text(spot.atEdge ? spot.x - 4 : spot.x + 4, spot.y, text, {
+        color: PLANET_COLORS[line.planet],
+        anchor: spot.atEdge ? 'end' : 'start'
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Where a line's label may go, best first
+   * @private
+   * @param {Object} line - Engine line
+   * @returns {Array<Object>} [{ x, y }] anchor points
+   */
+  _labelCandidates(line) {
+    if (line.angle === 'MC' || line.angle === 'IC') {
+      return [0, 1, 2, 3, 4].map(row => ({
+        x: x(line.longitude),
+        y: line.angle === 'MC' ? 14 + row * 14 : MAP_HEIGHT - 6 - row * 14
+      }));
+    }
+    if (line.angle === 'LS') {
+      return [];
+    }
+    return [45, 38, 52, 31, 59, 24, 17, 10]
+      .map(latitude => line.points.find(point => point.latitude >= latitude))
+      .filter(Boolean)
+      .map(point => ({ x: x(point.longitude), y: y(point.latitude) }));
+  }
+
+  /**
+   * A marked place: a ring for the birthplace, a dot for the others
+   * @private
+   * @param {Object} place - { name, latitude, longitude, birth }
+   * @returns {string} SVG fragment
+   */
+  _drawPlace(place) {
+    const px = x(place.longitude);
+    const py = y(place.latitude);
+    const marker = place.birth ?
+      `<circle cx="${round(px)}" cy="${round(py)}" r="6" fill="#ffffff" stroke="${COLORS.place}" stroke-width="3"/>` :
+      `<circle cx="${round(px)}" cy="${round(py)}" r="5" fill="${COLORS.place}" stroke="#ffffff" stroke-width="1.5"/>`;
+    const anchor = px > WIDTH - 120 ? 'end' : 'start';
+    return (
+      marker +
+      this._text(px + (anchor === 'end' ? -9 : 9), py + 4, place.name, {
+        color: COLORS.place,
+        anchor,
+        size: 13,
+        bold: true
+      })
+    );
+  }
+
+  /**
+   * Planet colours and line styles under the map
+   * @private
+   * @param {Array<Object>} lines - Lines drawn
+   * @param {boolean} localSpace - Whether local-space lines are drawn
+   * @returns {string} SVG fragment
+   */
+  _drawLegend(lines, localSpace) {
+    const planets = [];
+    lines.forEach(line => {
+      if (!planets.some(planet => planet.key === line.planet)) {
+        planets.push({ key: line.planet, name: line.planetName });
+      }
+    });
+
+    let svg = '';
+    const column = WIDTH / Math.max(planets.length, 1);
+    planets.forEach((planet, i) => {
+      const left = i * column + 16;
+      svg += `<line x1="${round(left)}" y1="24" x2="${round(left + 22)}" y2="24" stroke="${PLANET_COLORS[planet.key]}" stroke-width="4" stroke-linecap="round"/>`;
+      svg += this._text(left + 28, 29, planet.name, {
+        color: COLORS.title,
+        anchor: 'start',
+        size: 13
+      });
+    });
+
+    const angles = ['MC', 'IC', 'ASC', 'DSC', ...(localSpace ? ['LS'] : [])];
+    const keyWidth = WIDTH / angles.length;
+    angles.forEach((angle, i) => {
+      const left = i * keyWidth + 16;
+      const style = LINE_STYLES[angle];
+      const dash = style.dash ? ` stroke-dasharray="${style.dash}"` : '';
+      svg += `<line x1="${round(left)}" y1="56" x2="${round(left + 40)}" y2="56" stroke="${COLORS.title}" stroke-width="${style.width}"${dash}/>`;
+      svg += this._text(left + 48, 61, `${angle}: ${ANGLE_KEYS[angle]}`, {
+        color: COLORS.title,
+        anchor: 'start',
+        size: 13
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Text element with a light halo so it reads over lines and land
+   * @private
+   * @param {number} tx - Anchor x
+   * @param {number} ty - Baseline y
+   * @param {string} text - Text
+   * @param {Object} options - { size, color, anchor, bold }
+   * @returns {string} SVG text element
+   */
+  _text(
+    tx,
+    ty,
+    text,
+    { size = 12, color = COLORS.title, anchor = 'start', bold = false } = {}
+  ) {
+    return `<text x="${round(tx)}" y="${round(ty)}" text-anchor="${anchor}" font-size="${size}" fill="${color}" stroke="${COLORS.background}" stroke-width="3" paint-order="stroke"${bold ? ' font-weight="bold"' : ''}>${escapeXml(text)}</text>`;
+  }
+}
+
+module.exports = { AstrocartographyMap, PLANET_COLORS };
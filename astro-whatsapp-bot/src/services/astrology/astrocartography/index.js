@@ -0,0 +1,35 @@
+const {
+  AstrocartographyEngine,
+  PLANETS,
+  ANGLES,
+  DEFAULT_ORB_KM,
+  swissEquatorial,
+  greenwichSiderealTime
+} = require('./AstrocartographyEngine');
+const { AstrocartographyMap, PLANET_COLORS } = require('./AstrocartographyMap');
+
+// Process-wide engine, created on first use
+let engine = null;
+
+/**
+ * Shared astrocartography engine over Swiss Ephemeris
+ * @returns {AstrocartographyEngine} Engine
+ */
+const getAstrocartographyEngine = () => {
+  if (!engine) {
+    engine = new AstrocartographyEngine();
+  }
+  return engine;
+};
+
+module.exports = {
+  AstrocartographyEngine,
+  AstrocartographyMap,
+  PLANETS,
+  ANGLES,
+  PLANET_COLORS,
+  DEFAULT_ORB_KM,
+  swissEquatorial,
+  greenwichSiderealTime,
+  getAstrocartographyEngine
+};
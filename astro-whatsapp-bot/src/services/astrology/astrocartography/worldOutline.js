@@ -0,0 +1,284 @@
+/**
+ * Coarse outlines of the land masses and the two large inland seas, for
+ * the astrocartography map background. Each ring is a closed polygon of
+ * [longitude, latitude] points, good to a degree or two: enough to tell
+ * where a line runs at map scale, not for measuring anything.
+ * Land south of 60°S is left out; the map stops short of it.
+ */
+
+const LAND = Object.freeze([
+  // North and Central America
+  [
+    [-166, 68.5], [-156, 71.3], [-141, 69.7], [-128, 70.1], [-117, 68.9],
+    [-108, 68.3], [-96, 68.5], [-90, 68.5], [-85, 66], [-88, 64], [-94, 60],
+    [-93, 57], [-88, 56], [-82, 53], [-79, 55], [-77, 60], [-78, 62.5],
+    [-72, 62], [-65, 60], [-61, 56], [-56, 52], [-60, 48], [-65, 49],
+    [-64, 45.5], [-66, 44.5], [-70, 43.5], [-70, 41.7], [-74, 40.5],
+    [-76, 37], [-75.5, 35.2], [-78, 33.8], [-81, 31.5], [-80, 27],
+    [-80.4, 25.2], [-82, 26.5], [-82.8, 28.5], [-84, 30], [-88, 30.4],
+    [-90, 29.2], [-94, 29.6], [-97.2, 27.6], [-97.5, 25], [-97.7, 22],
+    [-96, 19], [-94.5, 18.2], [-91, 18.9], [-90.3, 21], [-87, 21.5],
+    [-87.7, 18.5], [-88.3, 16], [-84, 15.8], [-83.3, 14], [-83.7, 11],
+    [-81.7, 9], [-79, 9.5], [-77.3, 8.6], [-78.4, 7.8], [-80.5, 7.5],
+    [-83, 8.3], [-85.7, 10], [-87.5, 13], [-91.5, 14], [-94, 16],
+    [-96.5, 15.7], [-101, 17.2], [-105.5, 20], [-105.2, 21.5],
+    [-106.5, 23.3], [-109.8, 22.9], [-112.2, 26.8], [-114.2, 29.5],
+    [-117.1, 32.5], [-118.5, 34], [-120.6, 34.6], [-122.5, 37.5],
+    [-124.2, 40.4], [-124, 46.2], [-124.7, 48.4], [-123, 49],
+    [-127.5, 50.8], [-130.5, 54.5], [-134, 58], [-139.5, 59.8], [-146, 60.8],
+    [-152, 59], [-158, 57], [-164, 54.8], [-158.5, 58.7], [-162, 60],
+    [-165.5, 62], [-164.5, 64.5], [-168, 65.6]
+  ],
+  // Baffin Island
+  [
+    [-90, 73.8], [-80, 73.7], [-70, 71], [-62, 66.8], [-65, 62.8], [-73, 65.6],
+    [-78, 69.5], [-88, 70.5]
+  ],
+  // Ellesmere and Devon Islands
+  [
+    [-95, 75], [-95, 78], [-90, 81], [-73, 83], [-62, 82.5], [-75, 79],
+    [-79, 76.5], [-85, 75.5]
+  ],
+  // Victoria Island
+  [
+    [-118, 71.3], [-110, 73], [-101, 73], [-101, 69.7], [-108, 68.8],
+    [-117, 69.3]
+  ],
+  // Greenland
+  [
+    [-73, 78.5], [-67, 81], [-45, 82.5], [-22, 82], [-18, 78], [-20, 72],
+    [-22, 70], [-27, 68.3], [-32, 68], [-38, 65.6], [-43, 60], [-48, 61],
+    [-51, 64], [-54, 67], [-53, 70], [-56, 72.5], [-58, 75.5], [-66, 76.5]
+  ],
+  // Cuba
+  [
+    [-84.9, 21.9], [-81, 23.2], [-77.5, 21.8], [-74.2, 20.2], [-77.7, 19.8],
+    [-80.6, 21.7], [-83, 22]
+  ],
+  // Hispaniola
+  [[-74.4, 18.4], [-72.8, 19.9], [-70, 19.7], [-68.4, 18.6], [-71.4, 17.6]],
+  // South America
+  [
+    [-77.3, 8.6], [-75.5, 10.5], [-71.5, 12.4], [-68, 10.5], [-62, 10.7],
+    [-60, 8.5], [-57, 6], [-52, 5], [-50, 1.8], [-48.5, -1], [-44, -2.5],
+    [-40, -2.9], [-35, -5.3], [-34.8, -7.5], [-37, -11], [-39, -14],
+    [-39.2, -17.7], [-41, -22], [-45, -23.5], [-48.5, -26], [-49, -28.6],
+    [-52, -32], [-55, -34.8], [-57, -36.5], [-57.6, -38.2], [-62, -39],
+    [-65, -41], [-64.5, -42.5], [-65.5, -45], [-67.5, -46.5], [-66, -48],
+    [-69, -51.5], [-68.5, -54.5], [-71.5, -53.5], [-74, -52], [-75.5, -48],
+    [-73.5, -43], [-73.7, -37], [-71.6, -33], [-71.4, -28], [-70.3, -18.5],
+    [-75.2, -15.5], [-77, -12], [-79.5, -7.2], [-81.2, -5], [-80, -2.5],
+    [-80, 0.5], [-78.8, 2], [-77.5, 4], [-77.3, 7]
+  ],
+  // Iceland
+  [
+    [-24, 65.5], [-22, 66.4], [-16.5, 66.5], [-14.5, 65.7], [-13.6, 65],
+    [-15, 64.3], [-18, 63.4], [-22.6, 63.8]
+  ],
+  // Great Britain
+  [
+    [-5.7, 50.1], [-3, 50.6], [1.4, 51.2], [1.7, 52.7], [0.3, 53.4],
+    [-0.2, 54.5], [-1.6, 55.6], [-2, 57.6], [-3.3, 58.6], [-5, 58.6],
+    [-6.2, 57.5], [-5.6, 56.4], [-4.9, 54.7], [-3, 53.9], [-3.1, 53.3],
+    [-4.6, 53.2], [-4.2, 52.2], [-5.3, 51.8], [-3.2, 51.4], [-4.2, 51.2]
+  ],
+  // Ireland
+  [
+    [-6, 52.2], [-6.2, 53.9], [-5.5, 54.6], [-7.3, 55.3], [-8.5, 54.6],
+    [-10, 54.2], [-9.6, 53], [-10.3, 51.8], [-8.5, 51.6]
+  ],
+  // Eurasia, west to east along the south coast and back along the north
+  [
+    [-9, 37], [-6, 36.1], [-2, 36.7], [0, 38.6], [0.5, 40.5], [3.2, 42],
+    [3.1, 43.1], [6, 43.1], [8.5, 44.3], [10.5, 43], [12.4, 41.6],
+    [15.6, 38.1], [17.1, 39], [18.5, 40.1], [16.5, 41.2], [14.2, 42.4],
+    [12.3, 44.4], [12.4, 45.5], [13.7, 45.7], [15, 45], [17.5, 43],
+    [19.5, 41.8], [19.5, 40], [21, 38.2], [22.5, 36.5], [23, 38],
+    [23, 39.5], [22.6, 40.5], [24, 40.8], [26, 40.8], [26.3, 40],
+    [26.3, 38.5], [27.3, 37], [28, 36.7], [30.6, 36.8], [32.5, 36.1],
+    [36, 36.7], [35.8, 35], [35.1, 33], [34.9, 32], [34.2, 31.3],
+    [32.3, 31.2], [32.6, 29.9], [34.9, 29.5], [35.2, 28], [37, 25],
+    [39, 21.5], [41, 18], [42.7, 15.5], [43.3, 12.7], [45, 12.8],
+    [48.7, 14], [52.2, 15.6], [55.5, 17.5], [57.8, 19], [59.8, 22.5],
+    [58.5, 23.6], [56.4, 24.9], [56, 26.2], [54.5, 24.2], [51.6, 24.2],
+    [51.2, 26.1], [50.1, 26], [48.6, 28], [48, 29.9], [50, 30.2],
+    [51, 28.5], [54, 26.7], [57, 25.7], [61.6, 25.2], [66.5, 25.4],
+    [67.5, 23.8], [68.5, 23.5], [70.2, 20.8], [72.8, 21], [72.8, 19],
+    [73.5, 16], [74.8, 12.9], [76.3, 9.5], [77.5, 8.1], [78.2, 8.9],
+    [79.9, 10.3], [80.3, 13], [80.2, 15.5], [82.3, 16.6], [85, 19.5],
+    [86.9, 21.3], [88.5, 21.8], [90.5, 22.3], [91.8, 22.5], [92.3, 20.7],
+    [94.3, 18.3], [94.2, 16], [95.5, 15.8], [97.7, 16.5], [98.5, 13],
+    [98.6, 10], [98.3, 8], [100.2, 6.4], [101, 3.5], [103.5, 1.3],
+    [104.2, 1.4], [103.4, 4.5], [102.2, 6.2], [100.5, 8.5], [99.2, 10.2],
+    [100, 13.5], [100.9, 12.7], [102.5, 12], [103.5, 10.5], [105, 8.6],
+    [106.8, 10.4], [109.2, 11.5], [109.3, 13.5], [108.7, 15.5],
+    [106.6, 17.5], [105.7, 19], [106.7, 20.7], [108, 21.5], [109.9, 21.4],
+    [111.5, 21.6], [114, 22.3], [116.5, 23], [119.5, 25.5], [120.8, 28],
+    [122, 30], [121, 31.8], [120.3, 34.5], [119.2, 35], [120.7, 36.4],
+    [122.5, 37], [121, 37.7], [118.9, 37.5], [117.7, 38.9], [119.5, 39.8],
+    [121.5, 40.9], [122, 39], [124.3, 39.9], [124.7, 38], [126.4, 34.5],
+    [129.3, 35.3], [129.4, 36.8], [128.4, 38.6], [127.5, 39.8],
+    [129.7, 41], [130.7, 42.3], [133, 42.8], [135.5, 43.9], [138.5, 47],
+    [140.5, 50], [140.7, 53], [137, 54], [135.2, 54.8], [137.8, 56.4],
+    [141.5, 59], [149, 59.5], [155, 59.2], [156.7, 61.5], [159.9, 61.6],
+    [163.3, 62.5], [160, 60], [156.7, 57], [156.7, 51], [158.5, 52.9],
+    [162, 56.2], [163.3, 58], [170.3, 60], [173, 61.7], [177.5, 62.5],
+    [180, 65], [180, 68.8], [170, 70], [160, 69.7], [152, 70.8],
+    [140, 72.5], [130, 71], [128.5, 72.8], [119, 73], [113.5, 73.6],
+    [110, 74], [112, 76], [104, 77.7], [98, 76], [88, 75.5], [80, 73.5],
+    [72.5, 72.8], [68, 68.3], [60, 68.8], [54, 68.5], [44, 68.5],
+    [43.5, 66.2], [40, 64.5], [37, 66.3], [41, 67.5], [33, 69.4],
+    [28, 71], [23.5, 70.6], [18, 69.8], [14, 68], [12.5, 65.5],
+    [10.5, 63.5], [5, 62], [5, 59], [6, 58], [8, 58], [10.5, 59.2],
+    [11.2, 58.5], [12.8, 55.5], [14.2, 55.4], [16, 56.4], [16.7, 58],
+    [18.5, 59.5], [17.3, 60.8], [17.5, 62.5], [21.2, 64.5], [22.5, 65.8],
+    [25.3, 65.3], [24.6, 64.2], [21.5, 61.8], [21.4, 60.6], [23, 59.9],
+    [26, 60.4], [30, 60], [28, 59.5], [23.5, 59.3], [23.5, 58],
+    [24.3, 57.2], [21.1, 56.8], [21, 56], [19.8, 54.4], [14.5, 53.9],
+    [11, 54], [10.2, 54.5], [10.8, 56.2], [10.5, 57.7], [8.2, 56.8],
+    [8.6, 55], [8.6, 53.9], [7, 53.5], [5, 53.2], [4.5, 52.2], [3.4, 51.4],
+    [1.6, 50.9], [1.5, 50.1], [0.1, 49.6], [-1.6, 49.7], [-1.8, 48.6],
+    [-4.7, 48.5], [-4.4, 47.8], [-2.2, 47.2], [-1.2, 46.2], [-1.4, 44.5],
+    [-1.8, 43.4], [-4, 43.5], [-8, 43.7], [-9.3, 43], [-8.8, 41.8],
+    [-8.9, 40], [-9.5, 38.7], [-8.8, 37.9]
+  ],
+  // Svalbard
+  [[11, 78.5], [16, 80], [27, 80.2], [22, 77.5], [17, 76.5], [14, 77.2]],
+  // Novaya Zemlya
+  [
+    [52, 71.5], [56, 73.5], [60, 75.8], [69, 77], [66.5, 75.5], [57, 73.3],
+    [55.5, 70.7], [53, 70.5]
+  ],
+  // Africa
+  [
+    [-17, 21], [-16, 24], [-13, 27.5], [-9.8, 30], [-8.5, 33.4], [-6, 35.8],
+    [-2, 35.1], [3, 36.8], [10, 37.2], [11, 35], [10.2, 33.8], [15, 32.3],
+    [19, 30.3], [20, 32], [25, 31.8], [29, 30.9], [32.3, 31.2],
+    [32.6, 29.9], [35, 24], [37.2, 21], [38.6, 18], [39.7, 15.3],
+    [42.5, 12.6], [43.3, 11.6], [44, 10.4], [51, 11.9], [51.1, 10.5],
+    [49, 6], [46, 2], [42.5, -0.5], [40, -3.5], [39.3, -6], [40.4, -10.5],
+    [40.6, -14.5], [36.8, -18.8], [35.3, -22.3], [32.9, -25.9],
+    [32.5, -28.6], [30.5, -31], [27.5, -33.5], [22.5, -34], [20, -34.8],
+    [18.4, -34.2], [17.8, -31], [15.2, -27], [14.5, -22.5], [11.8, -17.3],
+    [12.4, -13.5], [13.4, -9], [12, -5], [9.5, -1], [9.6, 3.8], [8.7, 4.5],
+    [6, 4.3], [3, 6.3], [-1, 5.2], [-4.5, 5.2], [-7.5, 4.4], [-11.5, 6.9],
+    [-13.3, 9], [-15, 11], [-16.7, 12.5], [-17.5, 14.7], [-16.3, 19]
+  ],
+  // Madagascar
+  [
+    [49.3, -12], [50.5, -15.5], [49.5, -17.5], [47.1, -25], [45, -25.5],
+    [43.7, -22], [44.4, -19.5], [44, -17], [46.3, -15.8], [48, -13.5]
+  ],
+  // Sri Lanka
+  [[79.8, 8], [80, 9.8], [81.2, 8.6], [81.9, 7], [81.2, 6.2], [80.1, 6]],
+  // Sumatra
+  [
+    [95.3, 5.6], [97.5, 5.2], [100.3, 2.5], [103.5, -1], [106, -3],
+    [106, -5.9], [104.5, -5.9], [102.3, -4], [100.8, -1.5], [98.7, 1.7],
+    [96.5, 3.7]
+  ],
+  // Java
+  [
+    [105.2, -6.8], [106.5, -6], [108.5, -6.4], [111, -6.4], [112.6, -6.9],
+    [114.5, -7.7], [114.4, -8.7], [111, -8.2], [108, -7.8], [106.4, -7.4]
+  ],
+  // Borneo
+  [
+    [109, 1.5], [109.6, 2], [113, 3.1], [115.5, 5.2], [117.2, 6.9],
+    [119.2, 5.2], [117.7, 3], [118, 1], [117.5, -0.5], [116.5, -2],
+    [116, -3.8], [114.5, -4], [111.8, -3.3], [110.2, -2.9], [110, -1],
+    [109, 0.5]
+  ],
+  // Sulawesi
+  [
+    [119.5, -5.5], [118.9, -3], [119.8, 0.2], [120.8, 1.3], [124.9, 1.6],
+    [121, 0.5], [123.3, -0.9], [121.5, -1.9], [122.6, -4.9], [120.8, -3.1],
+    [120.4, -5.6]
+  ],
+  // New Guinea
+  [
+    [131, -1.3], [134.2, -0.9], [136.3, -2.2], [138, -1.7], [141, -2.6],
+    [144.5, -3.8], [146, -5.5], [147.5, -6], [148, -8], [150.8, -10.3],
+    [149, -10.3], [146.1, -8.1], [144, -7.6], [143.5, -9], [141, -9.1],
+    [139.2, -8.1], [138, -8.4], [137.8, -5.3], [135.2, -4.4], [133, -4],
+    [132, -2.9], [133.2, -2.2], [132, -2]
+  ],
+  // Luzon
+  [
+    [120.6, 18.5], [122.3, 18.5], [122.1, 16.9], [121.5, 15.5], [124, 13.8],
+    [123.3, 13], [121, 13.8], [120.6, 14.4], [119.8, 16]
+  ],
+  // Mindanao
+  [
+    [122, 7], [123.5, 7.7], [124.2, 8.5], [125.5, 9.8], [126.6, 7.3],
+    [125.4, 5.6], [124, 6.3], [122.1, 6.9]
+  ],
+  // Taiwan
+  [[120.1, 23], [120.9, 22], [121.9, 24.8], [121.5, 25.3], [120.7, 24.5]],
+  // Honshu, Shikoku and Kyushu
+  [
+    [129.7, 33.2], [130.2, 31.3], [131.4, 31.4], [132, 33], [134.7, 33.8],
+    [135.8, 33.5], [136.9, 34.3], [138.8, 34.6], [139.8, 35], [140.9, 35.7],
+    [141, 38], [142, 39.5], [141.4, 41.4], [140, 40.8], [139.9, 39.5],
+    [139.3, 38], [137.3, 36.8], [136.7, 37.3], [135.5, 35.5], [133, 35.5],
+    [131, 34.4]
+  ],
+  // Hokkaido
+  [
+    [140, 41.5], [141.2, 41.8], [143.3, 42], [145.5, 43.3], [144.5, 44],
+    [141.7, 45.4], [141.4, 43.4], [140.4, 43.2]
+  ],
+  // Sakhalin
+  [
+    [142, 46], [143.5, 46.9], [143, 49.3], [144.5, 49], [143, 51.5],
+    [143.2, 54], [142.3, 54.2], [141.8, 51.5], [142.2, 48], [141.9, 46.6]
+  ],
+  // Australia
+  [
+    [113.5, -22], [114.1, -26], [115, -30], [115, -34.3], [117.9, -35.1],
+    [121.5, -33.8], [124, -33], [126.2, -32.2], [129, -31.7], [131.5, -31.5],
+    [134.2, -32.7], [135.8, -34.8], [138, -35.6], [139.6, -37.5],
+    [141.5, -38.4], [144.9, -37.9], [146.4, -39.1], [148.5, -37.8],
+    [150, -37.5], [150.9, -34.5], [152.5, -32.4], [153.6, -28.5],
+    [153, -25.5], [151, -23.5], [149.5, -22.3], [148.7, -20.5],
+    [146.3, -18.9], [145.4, -16], [145.3, -14.7], [143.6, -14],
+    [142.6, -10.7], [141.6, -12.9], [141.4, -17], [139.5, -17.4],
+    [137, -15.9], [135.5, -14.7], [136.7, -12.3], [135, -12.1],
+    [132.6, -11.5], [131, -12.2], [129.5, -14.9], [127.5, -14],
+    [125.2, -14.6], [123.5, -17], [122.2, -18.2], [121, -19.6], [117, -20.6],
+    [114.6, -21.8]
+  ],
+  // Tasmania
+  [[144.6, -40.7], [148.3, -40.9], [148, -43.2], [146.9, -43.6], [145.2, -42.2]],
+  // New Zealand, North Island
+  [
+    [172.7, -34.4], [174.7, -36.9], [175.9, -37.2], [178.5, -37.7],
+    [177, -39.3], [176.8, -40], [175.2, -41.6], [174.6, -41.2],
+    [175.1, -40.1], [173.8, -39.2], [174.6, -38], [174.3, -36.6]
+  ],
+  // New Zealand, South Island
+  [
+    [172.7, -40.5], [174.3, -41.7], [173.3, -43], [171.2, -44.4],
+    [170.6, -45.9], [169, -46.6], [166.5, -46], [166.8, -45.3], [168.3, -44],
+    [170.8, -42.9], [172, -41.4]
+  ]
+]);
+
+// Inland seas drawn over the land
+const SEAS = Object.freeze([
+  // Black Sea and Sea of Azov
+  [
+    [28, 41.6], [27.5, 42.5], [28.6, 44.3], [30.5, 46.5], [31.8, 46.6],
+    [33.5, 44.5], [35.5, 45.2], [36.7, 45.3], [38.2, 47.1], [39.5, 47.2],
+    [37.7, 44.7], [40, 43.4], [41.6, 41.6], [39, 41], [36.2, 41.7], [34, 42],
+    [31, 41.1], [29, 41.2]
+  ],
+  // Caspian Sea
+  [
+    [46.7, 44.6], [49.2, 46.4], [51.3, 47], [53, 46.5], [53.2, 45.3],
+    [51.3, 44.6], [52.7, 42.5], [54, 40.8], [53.9, 38.9], [54, 37.3],
+    [50.3, 37.2], [49, 38], [49.5, 40.3], [47.5, 42.5]
+  ]
+]);
+
+module.exports = { LAND, SEAS };
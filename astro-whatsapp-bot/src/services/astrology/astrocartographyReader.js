@@ -1,219 +1,188 @@
 const logger = require('../../utils/logger');
+const GeocodingService = require('./geocoding/GeocodingService');
+const { getDashaService } = require('./dasha');
+const {
+  getAstrocartographyEngine,
+  AstrocartographyMap,
+  DEFAULT_ORB_KM
+} = require('./astrocartography');
+
+// Lines within these distances are felt most
+const STRENGTHS = [
+  { maxKm: 150, label: 'Very Strong' },
+  { maxKm: 300, label: 'Strong' },
+  { maxKm: Infinity, label: 'Moderate' }
+];
+// Lines that make a place easier, and those to handle with care
+const SUPPORTIVE_PLANETS = ['sun', 'venus', 'jupiter'];
+const CHALLENGING_PLANETS = ['mars', 'saturn', 'pluto'];
+// Rising and culminating lines are felt most in daily life
+const POWER_ANGLES = ['MC', 'ASC'];
+// Cities named per line
+const CITIES_PER_LINE = 3;
 
 /**
  * Astrocartography Reader
- * Maps planetary influences across geographic locations to guide life changes and travel
+ * Maps planetary influences across geographic locations to guide life changes and travel.
+ * Lines come from AstrocartographyEngine (where each planet was rising,
+ * setting, culminating or on the lower meridian at birth); places are
+ * resolved through GeocodingService and cities along the lines come from
+ * the offline gazetteer.
  */
 
 class AstrocartographyReader {
   constructor() {
     logger.info('Module: AstrocartographyReader loaded.');
-    // Planetary lines and their meanings
+    this.geocodingService = new GeocodingService();
+    this.mapRenderer = new AstrocartographyMap();
+
+    // Planetary lines and their meanings on each angle
     this.planetaryLines = {
       sun: {
         name: 'Sun Lines',
         symbol: '☉',
-        conjunction: 'Self-expression, vitality, leadership, creative power',
-        opposition: 'Public recognition, fame, but also ego challenges',
-        square: 'Willpower, determination, but also conflicts',
-        trine: 'Harmony, success, natural talents',
-        sextile: 'Opportunities, social connections, ease'
+        theme: 'vitality and recognition',
+        MC: 'Recognition, leadership and a career in the public eye',
+        IC: 'Pride in home and family; a strong sense of your roots',
+        ASC: 'Vitality, confidence and being seen for who you are',
+        DSC: 'Partners who bring out your light; prominent relationships'
       },
       moon: {
         name: 'Moon Lines',
         symbol: '☽',
-        conjunction: 'Emotional security, family, nurturing, intuition',
-        opposition: 'Public emotional life, relationships, sensitivity',
-        square: 'Emotional challenges, family conflicts, inner turmoil',
-        trine: 'Emotional harmony, family support, intuitive gifts',
-        sextile: 'Emotional opportunities, caring relationships, comfort'
+        theme: 'home and emotional security',
+        MC: 'Public popularity and caring work with people',
+        IC: 'Emotional belonging, home, family and nurturing',
+        ASC: 'Sensitivity and intuition come to the fore; moods run deep',
+        DSC: 'Nurturing bonds and close emotional partnerships'
       },
       mercury: {
         name: 'Mercury Lines',
         symbol: '☿',
-        conjunction: 'Communication, learning, mental activity, travel',
-        opposition: 'Public speaking, teaching, social communication',
-        square:
-          'Mental challenges, communication conflicts, learning difficulties',
-        trine: 'Mental harmony, clear communication, intellectual success',
-        sextile: 'Learning opportunities, social connections, adaptability'
+        theme: 'learning and communication',
+        MC: 'Careers in writing, teaching, media and trade',
+        IC: 'Study, writing and a busy, talkative home life',
+        ASC: 'A quick mind, curiosity and lively conversation',
+        DSC: 'Contracts, negotiation and meeting like-minded people'
       },
       venus: {
         name: 'Venus Lines',
         symbol: '♀',
-        conjunction: 'Love, beauty, art, harmony, relationships',
-        opposition: 'Public relationships, social charm, artistic recognition',
-        square: 'Relationship challenges, artistic blocks, value conflicts',
-        trine: 'Romantic harmony, artistic success, social grace',
-        sextile: 'Love opportunities, creative expression, financial ease'
+        theme: 'love, beauty and harmony',
+        MC: 'Charm in public life; art, beauty and diplomacy at work',
+        IC: 'A beautiful, peaceful home and family harmony',
+        ASC: 'Attractiveness, ease and pleasure in daily life',
+        DSC: 'Love, romance and happy partnerships'
       },
       mars: {
         name: 'Mars Lines',
         symbol: '♂',
-        conjunction: 'Energy, action, courage, physical activity',
-        opposition: 'Public action, leadership, competitive success',
-        square: 'Conflicts, aggression, physical challenges, accidents',
-        trine: 'Physical harmony, successful action, natural courage',
-        sextile: 'Energy opportunities, physical activities, motivation'
+        theme: 'energy and courage',
+        MC: 'Drive and ambition at work, but also rivalry',
+        IC: 'Energy at home, renovations and family friction',
+        ASC: 'Courage, physical energy and a quick temper',
+        DSC: 'Passionate but combative relationships; disputes'
       },
       jupiter: {
         name: 'Jupiter Lines',
         symbol: '♃',
-        conjunction: 'Expansion, growth, wisdom, abundance, travel',
-        opposition: 'Public success, teaching, philosophical influence',
-        square: 'Over-expansion, excess, legal challenges, growth blocks',
-        trine: 'Natural abundance, wisdom, successful expansion',
-        sextile: 'Growth opportunities, learning, travel possibilities'
+        theme: 'growth and good fortune',
+        MC: 'Success, promotion and a good reputation',
+        IC: 'Comfort, a growing family and property',
+        ASC: 'Optimism, luck and generosity',
+        DSC: 'Generous partners, mentors and helpful allies'
       },
       saturn: {
         name: 'Saturn Lines',
         symbol: '♄',
-        conjunction: 'Discipline, responsibility, career, structure',
-        opposition: 'Public responsibility, authority, career recognition',
-        square: 'Restrictions, delays, karmic lessons, authority conflicts',
-        trine: 'Natural discipline, career success, structured achievement',
-        sextile: 'Career opportunities, practical achievements, stability'
+        theme: 'discipline and structure',
+        MC: 'Hard-won achievement, responsibility and heavy demands at work',
+        IC: 'Duty to family, isolation and building slowly',
+        ASC: 'Discipline and seriousness; life feels heavier',
+        DSC: 'Committed but demanding relationships; loneliness'
       },
       uranus: {
         name: 'Uranus Lines',
         symbol: '⛢',
-        conjunction: 'Innovation, freedom, rebellion, technology',
-        opposition: 'Public innovation, social change, revolutionary influence',
-        square: 'Sudden changes, instability, rebellious conflicts',
-        trine: 'Natural innovation, freedom, technological success',
-        sextile: 'Change opportunities, creative freedom, community'
+        theme: 'freedom and change',
+        MC: 'Sudden career changes, innovation and independence',
+        IC: 'Restlessness at home and unexpected moves',
+        ASC: 'Freedom, originality and surprises',
+        DSC: 'Unconventional partners and unstable bonds'
       },
       neptune: {
         name: 'Neptune Lines',
         symbol: '♆',
-        conjunction: 'Spirituality, dreams, art, compassion, healing',
-        opposition:
-          'Public spirituality, artistic recognition, healing influence',
-        square: 'Illusion, confusion, spiritual challenges, addiction',
-        trine: 'Natural spirituality, artistic gifts, healing abilities',
-        sextile: 'Spiritual opportunities, creative inspiration, compassion'
+        theme: 'spirituality and imagination',
+        MC: 'Creative, spiritual or healing work; a blurred reputation',
+        IC: 'A dreamy, spiritual home on unclear foundations',
+        ASC: 'Heightened sensitivity, imagination and escapism',
+        DSC: 'Idealised relationships, and the risk of deception'
       },
       pluto: {
         name: 'Pluto Lines',
         symbol: '♇',
-        conjunction: 'Transformation, power, rebirth, intensity',
-        opposition: 'Public power, transformative influence, leadership',
-        square: 'Power struggles, intense conflicts, forced transformation',
-        trine: 'Natural power, transformative success, deep healing',
-        sextile: 'Transformation opportunities, personal power, influence'
-      },
-      north_node: {
-        name: 'North Node Lines',
-        symbol: '☊',
-        conjunction: 'Life purpose, destiny, growth direction',
-        opposition: 'Public destiny, karmic influence, life lessons',
-        square: 'Karmic challenges, growth obstacles, direction confusion',
-        trine: 'Natural life path, destiny fulfillment, soul growth',
-        sextile: 'Purpose opportunities, directional clarity, growth'
-      },
-      south_node: {
-        name: 'South Node Lines',
-        symbol: '☋',
-        conjunction: 'Past life, karma, familiar patterns',
-        opposition: 'Public karma, past life recognition, patterns',
-        square: 'Karmic conflicts, stuck patterns, resistance to change',
-        trine: 'Karmic harmony, past life wisdom, natural patterns',
-        sextile: 'Karmic opportunities, pattern release, wisdom'
-      },
-      ascendant: {
-        name: 'Ascendant Lines',
-        symbol: 'AC',
-        conjunction: 'Personal identity, appearance, first impressions',
-        opposition: 'Public identity, social roles, reputation',
-        square: 'Identity conflicts, self-image challenges, role confusion',
-        trine: 'Natural charisma, positive self-image, social ease',
-        sextile: 'Identity opportunities, social connections, presentation'
-      },
-      midheaven: {
-        name: 'Midheaven Lines',
-        symbol: 'MC',
-        conjunction: 'Career, public life, reputation, authority',
-        opposition: 'Public recognition, career success, social status',
-        square: 'Career challenges, reputation conflicts, authority issues',
-        trine: 'Natural career success, public recognition, leadership',
-        sextile: 'Career opportunities, professional growth, status'
-      }
-    };
-
-    // Geographic regions and their astrological associations
-    this.geographicRegions = {
-      'North America': {
-        energy: 'Innovation and new beginnings',
-        planets: ['uranus', 'sun']
-      },
-      'South America': {
-        energy: 'Passion and transformation',
-        planets: ['mars', 'pluto']
-      },
-      Europe: { energy: 'Tradition and culture', planets: ['moon', 'saturn'] },
-      Asia: {
-        energy: 'Spirituality and wisdom',
-        planets: ['jupiter', 'neptune']
-      },
-      Africa: { energy: 'Strength and survival', planets: ['sun', 'mars'] },
-      Australia: {
-        energy: 'Adventure and freedom',
-        planets: ['uranus', 'jupiter']
-      },
-      'Pacific Islands': {
-        energy: 'Peace and harmony',
-        planets: ['venus', 'neptune']
-      },
-      'Middle East': {
-        energy: 'Ancient wisdom and transformation',
-        planets: ['saturn', 'pluto']
+        theme: 'power and transformation',
+        MC: 'Power and influence, and intense career transformations',
+        IC: 'Deep family transformation; buried matters surface',
+        ASC: 'Intensity and personal reinvention',
+        DSC: 'Intense, transformative and controlling relationships'
       }
     };
   }
 
   /**
    * Generate astrocartography analysis for a birth chart
-   * NOTE: This is a highly simplified astrocartography implementation for educational purposes.
-   * Real astrocartography requires precise astronomical calculations and professional interpretation.
-   * @param {Object} birthData - Birth data object
-   * @returns {Object} Astrocartography analysis
+   * @param {Object} birthData - Birth data (see toServiceBirthData)
+   * @param {Object} options - Reading options
+   * @param {string} options.place - Place to analyse (default the
+   *   birthplace)
+   * @param {number} options.maxKm - Farthest a line may pass from a place
+   * @returns {Promise<Object>} Astrocartography analysis, with `chart` (the
+   *   engine's lines) for renderMap; `error` (and `unknownPlace` for a
+   *   place that can't be found) if it fails
    */
-  generateAstrocartography(birthData) {
+  async generateAstrocartography(birthData, options = {}) {
     try {
-      const { birthDate, birthTime, name, birthPlace } = birthData;
-
-      // Calculate key planetary positions (simplified)
-      const planetaryPositions = this.calculatePlanetaryPositions(
-        birthDate,
-        birthTime
-      );
-
-      // Generate planetary lines
-      const planetaryLines = this.generatePlanetaryLines(planetaryPositions);
-
-      // Analyze current location
-      const currentLocation = this.analyzeLocation(birthPlace, planetaryLines);
+      const { name, birthPlace } = birthData;
+      const maxKm = options.maxKm || DEFAULT_ORB_KM;
+      const natal = await getDashaService().natal(birthData);
+      const chart = getAstrocartographyEngine().map({
+        birth: natal.birth,
+        location: natal.location
+      });
 
-      // Find power spots
-      const powerSpots = this.findPowerSpots(planetaryLines);
+      // Analyze the place asked about, or the birthplace
+      const target = options.place ?
+        await this.getLocationCoordinates(options.place) :
+        { ...natal.location, displayName: birthPlace || 'Your birthplace' };
+      if (!target) {
+        return {
+          error: `Unknown place: ${options.place}`,
+          unknownPlace: options.place
+        };
+      }
+      const currentLocation = this.analyzeLocation(chart, target, {
+        maxKm,
+        isBirthplace: !options.place
+      });
 
-      // Generate relocation guidance
-      const relocationGuidance =
-        this.generateRelocationGuidance(planetaryLines);
+      const powerSpots = this.findPowerSpots(chart, { maxKm });
+      const relocationGuidance = this.generateRelocationGuidance(chart, {
+        maxKm
+      });
 
       return {
         name,
-        planetaryPositions,
-        planetaryLines,
+        chart,
+        planetaryLines: chart.lines,
         currentLocation,
         powerSpots,
         relocationGuidance,
-        disclaimer:
-          '⚠️ *Important Disclaimer:* This astrocartography analysis uses simplified calculations for educational purposes. Real astrocartography requires precise astronomical data and professional astrological interpretation. Results should not be used for major life decisions.',
         astrocartographyDescription: this.generateAstrocartographyDescription(
-          planetaryLines,
           currentLocation,
-          powerSpots
+          powerSpots,
+          relocationGuidance
         )
       };
     } catch (error) {
@@ -227,428 +196,188 @@ class AstrocartographyReader {
   }
 
   /**
-   * Calculate simplified planetary positions
-   * CRITICAL: This uses pseudo-random calculations for demonstration only.
-   * Real astrocartography requires accurate astronomical ephemeris data.
-   * @param {string} birthDate - Birth date
-   * @param {string} birthTime - Birth time
-   * @returns {Object} Planetary positions
-   */
-  calculatePlanetaryPositions(birthDate, birthTime) {
-    // HIGHLY SIMPLIFIED: Using seed-based pseudo-random positions
-    // In production, integrate with Swiss Ephemeris or similar for accurate calculations
-    logger.warn(
-      'Using simplified planetary position calculations - not astronomically accurate'
-    );
-
-    const [day, month, year] = birthDate.split('/').map(Number);
-    const [hour, minute] = birthTime.split(':').map(Number);
-
-    // Generate pseudo-random but consistent positions based on birth data
-    const seed = year * 10000 + month * 100 + day + hour + minute;
-
-    const positions = {};
-    const planets = Object.keys(this.planetaryLines);
-
-    planets.forEach((planet, index) => {
-      // Generate longitude between 0-360 degrees
-      const longitude = (seed * (index + 1) * 7) % 360;
-      positions[planet] = {
-        longitude: Math.round(longitude * 10) / 10,
-        latitude: 0, // Equatorial for simplicity
-        sign: this.getZodiacSign(longitude)
-      };
-    });
-
-    return positions;
-  }
-
-  /**
-   * Get zodiac sign from longitude
-   * @param {number} longitude - Longitude in degrees
-   * @returns {string} Zodiac sign
-   */
-  getZodiacSign(longitude) {
-    const signs = [
-      'Aries',
-      'Taurus',
-      'Gemini',
-      'Cancer',
-      'Leo',
-      'Virgo',
-      'Libra',
-      'Scorpio',
-      'Sagittarius',
-      'Capricorn',
-      'Aquarius',
-      'Pisces'
-    ];
-    const signIndex = Math.floor(longitude / 30) % 12;
-    return signs[signIndex];
-  }
-
-  /**
-   * Generate planetary lines based on positions
-   * @param {Object} positions - Planetary positions
-   * @returns {Object} Planetary lines data
+   * World map of a reading's lines
+   * @param {Object} reading - generateAstrocartography result
+   * @param {Object} options - AstrocartographyMap.renderPng options
+   * @returns {Buffer} PNG bytes
    */
-  generatePlanetaryLines(positions) {
-    const lines = {};
-
-    Object.entries(positions).forEach(([planet, pos]) => {
-      lines[planet] = {
-        conjunction: this.calculateLinePosition(pos.longitude, 0), // Same longitude
-        opposition: this.calculateLinePosition(pos.longitude, 180), // Opposite longitude
-        square: [
-          this.calculateLinePosition(pos.longitude, 90), // Square aspects
-          this.calculateLinePosition(pos.longitude, 270)
-        ],
-        trine: [
-          this.calculateLinePosition(pos.longitude, 120), // Trine aspects
-          this.calculateLinePosition(pos.longitude, 240)
-        ],
-        sextile: [
-          this.calculateLinePosition(pos.longitude, 60), // Sextile aspects
-          this.calculateLinePosition(pos.longitude, 300)
-        ]
-      };
+  renderMap(reading, options = {}) {
+    const { currentLocation } = reading;
+    const places =
+      currentLocation && !currentLocation.isBirthplace ?
+        [
+          {
+            name: currentLocation.location.split(',')[0],
+            latitude: currentLocation.coordinates.latitude,
+            longitude: currentLocation.coordinates.longitude
+          }
+        ] :
+        [];
+    return this.mapRenderer.renderPng(reading.chart, {
+      title: reading.name ?
+        `Astrocartography: ${reading.name}` :
+        'Astrocartography',
+      places,
+      ...options
     });
-
-    return lines;
   }
 
   /**
-   * Calculate line position on map
-   * @param {number} baseLongitude - Base longitude
-   * @param {number} aspect - Aspect angle
-   * @returns {Object} Line position data
-   */
-  calculateLinePosition(baseLongitude, aspect) {
-    const longitude = (baseLongitude + aspect) % 360;
-    if (longitude > 180) {
-      return { longitude: longitude - 360, type: 'line' };
-    }
-    return { longitude, type: 'line' };
-  }
-
-  /**
-   * Analyze current location's astrological influence
-   * @param {string} location - Current location
-   * @param {Object} planetaryLines - Planetary lines data
+   * Lines felt at a place
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Object} place - { latitude, longitude, displayName }
+   * @param {Object} options - { maxKm, isBirthplace }
    * @returns {Object} Location analysis
    */
-  analyzeLocation(location, planetaryLines) {
-    // Simplified location analysis
-    const locationCoords = this.getLocationCoordinates(location);
-
-    const influences = [];
-    let dominantEnergy = 'Balanced';
-
-    // Check which lines pass near the location
-    Object.entries(planetaryLines).forEach(([planet, lines]) => {
-      // Check conjunction line (most powerful)
-      const conjDistance = Math.abs(
-        lines.conjunction.longitude - locationCoords.longitude
-      );
-      if (conjDistance < 10) {
-        // Within 10 degrees
-        influences.push({
-          planet,
-          aspect: 'conjunction',
-          strength: 'Very Strong',
-          influence: this.planetaryLines[planet].conjunction
-        });
-        dominantEnergy = this.planetaryLines[planet].name;
-      }
-
-      // Check opposition line
-      const oppDistance = Math.abs(
-        lines.opposition.longitude - locationCoords.longitude
-      );
-      if (oppDistance < 10) {
-        influences.push({
-          planet,
-          aspect: 'opposition',
-          strength: 'Strong',
-          influence: this.planetaryLines[planet].opposition
-        });
-      }
-    });
+  analyzeLocation(
+    chart,
+    place,
+    { maxKm = DEFAULT_ORB_KM, isBirthplace = false } = {}
+  ) {
+    // Every local-space line runs through the birthplace itself
+    const influences = getAstrocartographyEngine()
+      .linesNear(chart, place, { maxKm, localSpace: !isBirthplace })
+      .map(({ line, distanceKm }) => ({
+        planet: line.planet,
+        angle: line.angle,
+        line: this.lineName(line),
+        distanceKm: Math.round(distanceKm),
+        strength: STRENGTHS.find(strength => distanceKm <= strength.maxKm)
+          .label,
+        influence: this.lineMeaning(line)
+      }));
+    const [dominant] = influences.filter(influence => influence.angle !== 'LS');
 
     return {
-      location,
-      coordinates: locationCoords,
+      location: place.displayName,
+      coordinates: { latitude: place.latitude, longitude: place.longitude },
+      isBirthplace,
       influences,
-      dominantEnergy,
-      region: this.getGeographicRegion(locationCoords)
+      dominantEnergy: dominant ? dominant.line : 'Balanced'
     };
   }
 
   /**
-   * Get simplified coordinates for a location
-   * TODO: Implement proper geocoding API for accurate coordinates
+   * Resolve a place name to coordinates
    * @param {string} location - Location name
-   * @returns {Object} Coordinates
+   * @returns {Promise<Object|null>} { latitude, longitude, displayName,
+   *   source }, or null if the place can't be found
    */
-  getLocationCoordinates(location) {
-    // Simplified geocoding - in production, use Google Maps API or similar
-    const locations = {
-      // India
-      delhi: { latitude: 28.6139, longitude: 77.209 },
-      mumbai: { latitude: 19.076, longitude: 72.8777 },
-      bangalore: { latitude: 12.9716, longitude: 77.5946 },
-      chennai: { latitude: 13.0827, longitude: 80.2707 },
-      kolkata: { latitude: 22.5726, longitude: 88.3639 },
-      hyderabad: { latitude: 17.385, longitude: 78.4867 },
-      pune: { latitude: 18.5204, longitude: 73.8567 },
-      ahmedabad: { latitude: 23.0225, longitude: 72.5714 },
-      jaipur: { latitude: 26.9124, longitude: 75.7873 },
-      lucknow: { latitude: 26.8467, longitude: 80.9462 },
-      // UAE
-      dubai: { latitude: 25.2048, longitude: 55.2708 },
-      abudhabi: { latitude: 24.4539, longitude: 54.3773 },
-      // Australia
-      sydney: { latitude: -33.8688, longitude: 151.2093 },
-      melbourne: { latitude: -37.8136, longitude: 144.9631 },
-      // Default
-      default: { latitude: 20.5937, longitude: 78.9629 } // India center
-    };
-
-    const normalizedLocation = location.toLowerCase().replace(/\s+/g, '');
-    return locations[normalizedLocation] || locations.default;
-  }
-
-  /**
-   * Get geographic region
-   * @param {Object} coords - Coordinates
-   * @returns {string} Region name
-   */
-  getGeographicRegion(coords) {
-    const { latitude, longitude } = coords;
-
-    if (
-      longitude >= 60 &&
-      longitude <= 100 &&
-      latitude >= 5 &&
-      latitude <= 35
-    ) {
-      return 'Asia';
-    } else if (
-      longitude >= -130 &&
-      longitude <= -60 &&
-      latitude >= 25 &&
-      latitude <= 50
-    ) {
-      return 'North America';
-    } else if (
-      longitude >= -80 &&
-      longitude <= -35 &&
-      latitude >= -60 &&
-      latitude <= 15
-    ) {
-      return 'South America';
-    } else if (
-      longitude >= -10 &&
-      longitude <= 40 &&
-      latitude >= 35 &&
-      latitude <= 70
-    ) {
-      return 'Europe';
-    } else {
-      return 'Global';
+  async getLocationCoordinates(location) {
+    const place = await this.geocodingService.resolvePlace(location);
+    if (place.source === 'default') {
+      return null;
     }
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      displayName: place.displayName,
+      source: place.source
+    };
   }
 
   /**
-   * Find power spots based on planetary lines
-   * @param {Object} planetaryLines - Planetary lines data
-   * @returns {Array} Power spots
+   * Cities on the rising and culminating Sun, Venus and Jupiter lines
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Object} options - { maxKm }
+   * @returns {Array} Power spots: { planet, angle, line, influence, cities }
    */
-  findPowerSpots(planetaryLines) {
-    const powerSpots = [];
-
-    // Find locations where multiple powerful lines intersect
-    Object.entries(planetaryLines).forEach(([planet, lines]) => {
-      // Conjunction lines are most powerful
-      const conjLong = lines.conjunction.longitude;
-
-      // Check for clustering with other planetary lines
-      let clusterCount = 1;
-      const nearbyPlanets = [planet];
-
-      Object.entries(planetaryLines).forEach(([otherPlanet, otherLines]) => {
-        if (otherPlanet !== planet) {
-          const distance = Math.abs(
-            conjLong - otherLines.conjunction.longitude
-          );
-          if (distance < 15) {
-            // Within 15 degrees
-            clusterCount++;
-            nearbyPlanets.push(otherPlanet);
-          }
-        }
-      });
-
-      if (clusterCount >= 2) {
-        powerSpots.push({
-          longitude: conjLong,
-          planets: nearbyPlanets,
-          intensity: clusterCount > 2 ? 'High' : 'Medium',
-          primaryInfluence: this.planetaryLines[planet].conjunction,
-          location: this.longitudeToLocation(conjLong)
-        });
-      }
-    });
-
-    return powerSpots.slice(0, 5); // Return top 5 power spots
+  findPowerSpots(chart, { maxKm = DEFAULT_ORB_KM } = {}) {
+    return this.citiesAlong(chart, SUPPORTIVE_PLANETS, POWER_ANGLES, maxKm);
   }
 
   /**
-   * Convert longitude to approximate location
-   * @param {number} longitude - Longitude
-   * @returns {string} Location description
+   * Where to go and where to take care
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Object} options - { maxKm }
+   * @returns {Object} Relocation guidance: { recommended, caution,
+   *   opportunities } lists of { planet, line, locations, effect }
    */
-  longitudeToLocation(longitude) {
-    const locations = {
-      77: 'Northern India',
-      72: 'Western India',
-      88: 'Eastern India',
-      80: 'Southern India',
-      78: 'Central India',
-      '-74': 'Northeastern USA',
-      '-118': 'Western USA',
-      '-0': 'United Kingdom',
-      2: 'Western Europe',
-      139: 'Japan',
-      116: 'China',
-      151: 'Australia'
-    };
-
-    // Find closest known longitude
-    let closestLocation = 'Global';
-    let minDistance = 180;
-
-    Object.entries(locations).forEach(([lon, loc]) => {
-      const distance = Math.abs(longitude - parseFloat(lon));
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestLocation = loc;
-      }
+  generateRelocationGuidance(chart, { maxKm = DEFAULT_ORB_KM } = {}) {
+    const entry = spot => ({
+      planet: this.planetaryLines[spot.planet].name,
+      line: spot.line,
+      locations: spot.cities,
+      effect: spot.influence
     });
+    const along = (planets, angles) =>
+      this.citiesAlong(chart, planets, angles, maxKm).map(entry);
 
-    return closestLocation;
-  }
-
-  /**
-   * Generate relocation guidance
-   * @param {Object} planetaryLines - Planetary lines data
-   * @returns {Object} Relocation guidance
-   */
-  generateRelocationGuidance(planetaryLines) {
-    const guidance = {
-      recommended: [],
-      caution: [],
-      opportunities: []
+    return {
+      recommended: along(SUPPORTIVE_PLANETS, POWER_ANGLES),
+      caution: along(CHALLENGING_PLANETS, POWER_ANGLES),
+      opportunities: along(SUPPORTIVE_PLANETS, ['IC', 'DSC'])
     };
-
-    // Analyze different planetary influences for relocation
-    Object.entries(planetaryLines).forEach(([planet, lines]) => {
-      const planetData = this.planetaryLines[planet];
-
-      // Strong conjunction locations
-      guidance.opportunities.push({
-        planet: planetData.name,
-        locations: [this.longitudeToLocation(lines.conjunction.longitude)],
-        benefits: planetData.conjunction
-      });
-
-      // Opposition locations (public success but challenges)
-      guidance.recommended.push({
-        planet: planetData.name,
-        locations: [this.longitudeToLocation(lines.opposition.longitude)],
-        effect: planetData.opposition
-      });
-    });
-
-    return guidance;
   }
 
   /**
    * Generate comprehensive astrocartography description
-   * @param {Object} planetaryLines - Planetary lines data
-   * @param {Object} currentLocation - Current location analysis
-   * @param {Array} powerSpots - Power spots
+   * @param {Object} currentLocation - analyzeLocation result
+   * @param {Array} powerSpots - findPowerSpots result
+   * @param {Object} relocationGuidance - generateRelocationGuidance result
    * @returns {string} Astrocartography description
    */
   generateAstrocartographyDescription(
-    planetaryLines,
     currentLocation,
-    powerSpots
+    powerSpots,
+    relocationGuidance
   ) {
     let description = '🗺️ *Astrocartography Analysis*\n\n';
     description +=
-      '⚠️ *Disclaimer:* This analysis uses simplified calculations for educational purposes only. Real astrocartography requires precise astronomical data and should be interpreted by a professional astrologer.\n\n';
-
-    description += `📍 *Current Location: ${currentLocation.location}*\n`;
-    description += `• Region: ${currentLocation.region}\n`;
-    description += `• Dominant Energy: ${currentLocation.dominantEnergy}\n\n`;
+      'Each planet has four lines on the map: where it was rising (ASC), setting (DSC), at the top of the sky (MC) or below your feet (IC) at your birth moment. Living or travelling near a line brings its planet forward.\n\n';
 
+    description += `📍 *${currentLocation.location}*\n`;
     if (currentLocation.influences.length > 0) {
-      description += '🌟 *Current Location Influences:*\n';
       currentLocation.influences.forEach(influence => {
-        description += `• ${this.planetaryLines[influence.planet].name} (${influence.aspect}): ${influence.influence}\n`;
+        description += `• ${influence.line} (${influence.distanceKm} km, ${influence.strength}): ${influence.influence}\n`;
       });
-      description += '\n';
+    } else {
+      description +=
+        '• No planetary line runs close by: a neutral, steady place\n';
     }
+    description += '\n';
 
     if (powerSpots.length > 0) {
       description += '⚡ *Power Spots:*\n';
       powerSpots.forEach(spot => {
-        description += `• ${spot.location}: ${spot.planets.join(', ')} energy (${spot.intensity})\n`;
-        description += `  - ${spot.primaryInfluence}\n`;
+        description += `• ${spot.line}: ${spot.cities.join(', ')}\n`;
+        description += `  - ${spot.influence}\n`;
       });
       description += '\n';
     }
 
-    description += '🧭 *Key Planetary Lines:*\n';
-    ['sun', 'moon', 'venus', 'mars', 'jupiter'].forEach(planet => {
-      if (planetaryLines[planet]) {
-        const line = planetaryLines[planet];
-        description += `• ${this.planetaryLines[planet].name}:\n`;
-        description += `  - Conjunction: ${Math.round(line.conjunction.longitude)}° (${this.longitudeToLocation(line.conjunction.longitude)})\n`;
-        description += `  - Opposition: ${Math.round(line.opposition.longitude)}° (${this.longitudeToLocation(line.opposition.longitude)})\n`;
-      }
-    });
-    description += '\n';
-
-    description += '💫 *Relocation Wisdom:*\n';
-    description += '• Your Sun line shows where you shine brightest\n';
-    description += '• Moon lines enhance emotional security\n';
-    description += '• Venus lines attract love and beauty\n';
-    description += '• Mars lines provide energy and action\n';
-    description += '• Jupiter lines bring expansion and luck\n\n';
+    if (relocationGuidance.caution.length > 0) {
+      description += '⚠️ *Handle With Care:*\n';
+      relocationGuidance.caution.forEach(entry => {
+        description += `• ${entry.line}: ${entry.locations.join(', ')}\n`;
+      });
+      description += '\n';
+    }
 
     description +=
-      '🔮 *Travel Tip:*\nConsider visiting locations along your Venus or Jupiter lines for harmony and growth opportunities.\n\n';
-    description +=
-      '📚 *Educational Note:* Astrocartography maps how planetary energies influence different geographic locations. This simplified version demonstrates the concept but should not replace professional astrological guidance.';
+      '🔮 *Travel Tip:*\nTry a place on your Venus or Jupiter lines for harmony and growth. Send *astrocartography <city>* to check any city.';
 
     return description;
   }
 
   /**
    * Generate relocation advice for a specific location
+   * @param {Object} birthData - Birth data (see toServiceBirthData)
    * @param {string} targetLocation - Target location name
-   * @param {Object} planetaryLines - Planetary lines data
-   * @returns {Object} Location-specific advice
+   * @returns {Promise<Object>} Location-specific advice
    */
-  generateLocationAdvice(targetLocation, planetaryLines) {
+  async generateLocationAdvice(birthData, targetLocation) {
     try {
-      const coords = this.getLocationCoordinates(targetLocation);
-      const analysis = this.analyzeLocation(targetLocation, planetaryLines);
+      const reading = await this.generateAstrocartography(birthData, {
+        place: targetLocation
+      });
+      if (reading.error) {
+        throw new Error(reading.error);
+      }
+      const analysis = reading.currentLocation;
 
       const advice = {
-        location: targetLocation,
+        location: analysis.location,
         influences: analysis.influences,
         recommendation: this.generateRecommendation(analysis),
         duration: this.suggestDuration(analysis),
@@ -682,7 +411,8 @@ class AstrocartographyReader {
       inf => inf.strength === 'Very Strong'
     );
     if (strongInfluences.length > 0) {
-      return `Strong ${strongInfluences[0].planet} influence - excellent for ${strongInfluences[0].aspect} experiences`;
+      const { planet, angle } = strongInfluences[0];
+      return `Strong ${this.planetaryLines[planet].name.replace(' Lines', '')} ${angle} influence - excellent for ${this.planetaryLines[planet].theme}`;
     }
 
     return 'Mixed energies - brings both opportunities and challenges';
@@ -760,6 +490,48 @@ class AstrocartographyReader {
 
     return [...new Set(activities)].slice(0, 4); // Return unique activities, max 4
   }
+
+  /**
+   * @param {Object} line - Engine line
+   * @returns {string} Name like "♀ Venus MC"
+   */
+  lineName(line) {
+    return `${this.planetaryLines[line.planet].symbol} ${line.planetName} ${line.angle}`;
+  }
+
+  /**
+   * @param {Object} line - Engine line
+   * @returns {string} What the line brings
+   */
+  lineMeaning(line) {
+    const meanings = this.planetaryLines[line.planet];
+    return line.angle === 'LS' ?
+      `In the direction of ${line.planetName} from your birthplace: ${meanings.theme}` :
+      meanings[line.angle];
+  }
+
+  /**
+   * Cities on the angular lines of some planets, lines without a city left
+   * out
+   * @private
+   * @param {Object} chart - AstrocartographyEngine.map result
+   * @param {Array<string>} planets - Planet keys
+   * @param {Array<string>} angles - Angles of the lines
+   * @param {number} maxKm - Farthest a city may lie from its line
+   * @returns {Array<Object>} [{ planet, angle, line, influence, cities }]
+   */
+  citiesAlong(chart, planets, angles, maxKm) {
+    return getAstrocartographyEngine()
+      .citiesNear(chart, { planets, angles, maxKm, limit: CITIES_PER_LINE })
+      .filter(({ cities }) => cities.length > 0)
+      .map(({ line, cities }) => ({
+        planet: line.planet,
+        angle: line.angle,
+        line: this.lineName(line),
+        influence: this.lineMeaning(line),
+        cities: cities.map(({ place }) => place.name)
+      }));
+  }
 }
 
 module.exports = new AstrocartographyReader();
@@ -1,5 +1,5 @@
 const logger = require('../../../utils/logger');
-const sweph = require('sweph');
+const { calculateHouses } = require('../core/ChartSettings');
 
 /**
  * AstrologicalCalculations - Shared calculation utilities for astrology
@@ -43,22 +43,15 @@ class AstrologicalCalculations {
    * @param {number} jd - Julian Day
    * @param {number} latitude - Latitude
    * @param {number} longitude - Longitude
-   * @param {string} houseSystem - House system
+   * @param {Object} chartSettings - Resolved chart settings
+   * @param {Object} options - { sidereal } (tropical by default)
    * @returns {Object} House data
    */
-  calculateHouses(jd, latitude, longitude, houseSystem) {
+  calculateHouses(jd, latitude, longitude, chartSettings, options = {}) {
     try {
-      const houses = sweph.houses(
-        jd,
-        latitude,
-        longitude,
-        houseSystem.charAt(0).toUpperCase()
-      );
-      return {
-        system: houseSystem,
-        ascendant: houses.ascendant[0],
-        houseCusps: houses.house
-      };
+      return calculateHouses(jd, latitude, longitude, chartSettings, {
+        sidereal: options.sidereal === true
+      });
     } catch (error) {
       logger.warn('Error calculating houses:', error.message);
       // Return default equal houses
@@ -0,0 +1,538 @@
+const logger = require('../../../utils/logger');
+const { SIGNS } = require('../core/Zodiac');
+
+const SIGN_ABBREVIATIONS = [
+  'Ar',
+  'Ta',
+  'Ge',
+  'Cn',
+  'Le',
+  'Vi',
+  'Li',
+  'Sc',
+  'Sg',
+  'Cp',
+  'Aq',
+  'Pi'
+];
+const PLANET_ABBREVIATIONS = {
+  sun: 'Su',
+  moon: 'Mo',
+  mars: 'Ma',
+  mercury: 'Me',
+  jupiter: 'Ju',
+  venus: 'Ve',
+  saturn: 'Sa',
+  rahu: 'Ra',
+  ketu: 'Ke',
+  uranus: 'Ur',
+  neptune: 'Ne',
+  pluto: 'Pl'
+};
+
+/**
+ * Chart styles the renderer draws. The three Indian styles place planets by
+ * sign (whole-sign houses, as they are traditionally read); the Western
+ * wheel places them at their exact longitude against the house cusps.
+ */
+const CHART_STYLES = {
+  north_indian: { name: 'North Indian', vedic: true },
+  south_indian: { name: 'South Indian', vedic: true },
+  east_indian: { name: 'East Indian', vedic: true },
+  western: { name: 'Western Wheel', vedic: false }
+};
+
+const SIZE = 600;
+const HEADER = 56;
+const FONT = 'DejaVu Sans, Arial, Helvetica, sans-serif';
+const COLORS = {
+  background: '#fffaf0',
+  line: '#7a4b12',
+  sign: '#b0701f',
+  planet: '#1d2a5b',
+  retrograde: '#a11d33',
+  lagna: '#a11d33',
+  title: '#3b2106'
+};
+
+// North Indian houses (unit square): centre of each house, counter-clockwise from the top diamond
+const NORTH_HOUSE_CENTRES = [
+  [0.5, 0.25],
+  [0.25, 0.083],
+  [0.083, 0.25],
+  [0.25, 0.5],
+  [0.083, 0.75],
+  [0.25, 0.917],
+  [0.5, 0.75],
+  [0.75, 0.917],
+  [0.917, 0.75],
+  [0.75, 0.5],
+  [0.917, 0.25],
+  [0.75, 0.083]
+];
+
+// South Indian cells [column, row] for Aries..Pisces; signs never move
+const SOUTH_SIGN_CELLS = [
+  [1, 0],
+  [2, 0],
+  [3, 0],
+  [3, 1],
+  [3, 2],
+  [3, 3],
+  [2, 3],
+  [1, 3],
+  [0, 3],
+  [0, 2],
+  [0, 1],
+  [0, 0]
+];
+
+// East Indian sign centres (unit square) for Aries..Pisces; Aries at the top,
+// counter-clockwise, with each corner cell split diagonally into two signs
+const EAST_SIGN_CENTRES = [
+  [1 / 2, 1 / 6],
+  [2 / 9, 1 / 9],
+  [1 / 9, 2 / 9],
+  [1 / 6, 1 / 2],
+  [1 / 9, 7 / 9],
+  [2 / 9, 8 / 9],
+  [1 / 2, 5 / 6],
+  [7 / 9, 8 / 9],
+  [8 / 9, 7 / 9],
+  [5 / 6, 1 / 2],
+  [8 / 9, 2 / 9],
+  [7 / 9, 1 / 9]
+];
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+const signIndexOf = longitude => Math.floor(normalize(longitude) / 30);
+const round = value => Math.round(value * 10) / 10;
+const escapeXml = text =>
+  String(text).replace(
+    /[<>&'"]/g,
+    char =>
+      ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' })[
+        char
+      ]
+  );
+
+/**
+ * ChartRenderer - Draws birth charts as SVG and PNG images
+ * Accepts the output of ChartGenerator.generateVedicKundli,
+ * ChartGenerator.generateWesternBirthChart and VargaCharts charts.
+ */
+class ChartRenderer {
+  /**
+   * Reduce any supported chart object to what the renderer draws
+   * @param {Object} chart - Kundli, Western chart or varga chart
+   * @returns {Object} { ascendant, planets: [{ key, label, longitude, retrograde }], houseCusps }
+   */
+  toChartModel(chart) {
+    if (!chart || typeof chart !== 'object') {
+      throw new Error('Chart data is required for rendering');
+    }
+
+    const ascendant = [
+      chart.lagna && chart.lagna.longitude,
+      chart.lagna,
+      chart.ascendant && chart.ascendant.longitude,
+      chart.ascendant
+    ].find(value => typeof value === 'number' && Number.isFinite(value));
+    if (ascendant === undefined) {
+      throw new Error('Chart has no ascendant to render');
+    }
+
+    const source = chart.planetaryPositions || chart.planets || {};
+    const planets = Object.entries(source)
+      .filter(
+        ([, data]) =>
+          data && typeof data.longitude === 'number' && Number.isFinite(data.longitude)
+      )
+      .map(([name, data]) => {
+        const key = name.toLowerCase();
+        return {
+          key,
+          label: PLANET_ABBREVIATIONS[key] || name.substring(0, 2),
+          longitude: normalize(data.longitude),
+          retrograde: !!data.retrograde
+        };
+      })
+      .filter(planet => planet.key !== 'ascendant');
+
+    let houseCusps = null;
+    if (Array.isArray(chart.houseCusps) && chart.houseCusps.length >= 12) {
+      houseCusps = chart.houseCusps.slice(0, 12).map(normalize);
+    } else if (chart.houses && chart.houses[1]) {
+      houseCusps = Array.from({ length: 12 }, (_, i) => {
+        const house = chart.houses[i + 1] || {};
+        return normalize(house.longitude ?? house.cusp ?? ascendant + i * 30);
+      });
+    }
+
+    return { ascendant: normalize(ascendant), planets, houseCusps };
+  }
+
+  /**
+   * Render a chart as an SVG document
+   * @param {Object} chart - Chart data (see toChartModel)
+   * @param {Object} options - Render options
+   * @param {string} options.style - Key of CHART_STYLES (default north_indian)
+   * @param {string} options.title - Title above the chart
+   * @param {string} options.label - Chart name in the South Indian centre (default 'Rasi')
+   * @returns {string} SVG markup
+   */
+  renderSvg(chart, options = {}) {
+    const style = options.style || 'north_indian';
+    if (!CHART_STYLES[style]) {
+      throw new Error(`Unknown chart style: ${style}`);
+    }
+    const model = this.toChartModel(chart);
+
+    let body;
+    switch (style) {
+    case 'south_indian':
+      body = this._drawSouthIndian(model, options.label || 'Rasi');
+      break;
+    case 'east_indian':
+      body = this._drawEastIndian(model);
+      break;
+    case 'western':
+      body = this._drawWesternWheel(model);
+      break;
+    default:
+      body = this._drawNorthIndian(model);
+    }
+
+    const title = options.title || chart.name || CHART_STYLES[style].name;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE + HEADER}" viewBox="0 0 ${SIZE} ${SIZE + HEADER}" font-family="${FONT}">`,
+      `<rect width="${SIZE}" height="${SIZE + HEADER}" fill="${COLORS.background}"/>`,
+      `<text x="${SIZE / 2}" y="36" text-anchor="middle" font-size="22" font-weight="bold" fill="${COLORS.title}">${escapeXml(title)}</text>`,
+      `<g transform="translate(0 ${HEADER})">${body}</g>`,
+      '</svg>'
+    ].join('');
+  }
+
+  /**
+   * Render a chart as a PNG image
+   * @param {Object} chart - Chart data (see toChartModel)
+   * @param {Object} options - renderSvg options, plus `width` in pixels (default 1080)
+   * @returns {Buffer} PNG bytes
+   */
+  renderPng(chart, options = {}) {
+    const svg = this.renderSvg(chart, options);
+    const { Resvg } = require('@resvg/resvg-js');
+    const image = new Resvg(svg, {
+      fitTo: { mode: 'width', value: options.width || 1080 },
+      font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+    });
+    const png = image.render().asPng();
+    logger.debug(`🖼️ Rendered ${options.style || 'north_indian'} chart (${png.length} bytes)`);
+    return png;
+  }
+
+  /**
+   * North Indian diamond: houses are fixed, signs rotate with the lagna
+   * @private
+   * @param {Object} model - Chart model
+   * @returns {string} SVG fragment
+   */
+  _drawNorthIndian(model) {
+    const lagnaSign = signIndexOf(model.ascendant);
+    const byHouse = this._groupBySign(model.planets, lagnaSign);
+    const m = 8;
+    const s = SIZE - m * 2;
+    const p = (x, y) => `${round(m + x * s)},${round(m + y * s)}`;
+
+    let svg = `<g stroke="${COLORS.line}" stroke-width="2" fill="none">`;
+    svg += `<rect x="${m}" y="${m}" width="${s}" height="${s}"/>`;
+    svg += `<polyline points="${p(0, 0)} ${p(1, 1)}"/><polyline points="${p(1, 0)} ${p(0, 1)}"/>`;
+    svg += `<polygon points="${p(0.5, 0)} ${p(1, 0.5)} ${p(0.5, 1)} ${p(0, 0.5)}"/>`;
+    svg += '</g>';
+
+    NORTH_HOUSE_CENTRES.forEach(([cx, cy], house) => {
+      const x = m + cx * s;
+      const y = m + cy * s;
+      // Sign number sits towards the centre of the chart
+      const nx = m + (cx + (0.5 - cx) * 0.28) * s;
+      const ny = m + (cy + (0.5 - cy) * 0.28) * s;
+      svg += this._text(nx, ny, ((lagnaSign + house) % 12) + 1, {
+        size: 15,
+        color: COLORS.sign
+      });
+      const labels = byHouse[house].map(planet => this._planetLabel(planet));
+      if (house === 0) {
+        labels.unshift({ text: 'Asc', color: COLORS.lagna });
+      }
+      svg += this._stack(x, y - (house % 3 === 0 ? 18 : 0), labels);
+    });
+    return svg;
+  }
+
+  /**
+   * South Indian square: signs are fixed, the lagna sign is marked
+   * @private
+   * @param {Object} model - Chart model
+   * @param {string} label - Chart name for the centre
+   * @returns {string} SVG fragment
+   */
+  _drawSouthIndian(model, label) {
+    const lagnaSign = signIndexOf(model.ascendant);
+    const bySign = this._groupBySign(model.planets, 0);
+    const m = 8;
+    const cell = (SIZE - m * 2) / 4;
+
+    let svg = `<g stroke="${COLORS.line}" stroke-width="2" fill="none">`;
+    SOUTH_SIGN_CELLS.forEach(([col, row]) => {
+      svg += `<rect x="${m + col * cell}" y="${m + row * cell}" width="${cell}" height="${cell}"/>`;
+    });
+    const [lc, lr] = SOUTH_SIGN_CELLS[lagnaSign];
+    // Traditional lagna mark: a diagonal across the top-left corner
+    svg += `<polyline points="${m + lc * cell},${m + lr * cell + 28} ${m + lc * cell + 28},${m + lr * cell}" stroke="${COLORS.lagna}"/>`;
+    svg += '</g>';
+
+    SOUTH_SIGN_CELLS.forEach(([col, row], sign) => {
+      const x = m + col * cell;
+      const y = m + row * cell;
+      svg += this._text(x + cell - 8, y + 18, SIGN_ABBREVIATIONS[sign], {
+        size: 13,
+        color: COLORS.sign,
+        anchor: 'end'
+      });
+      const labels = bySign[sign].map(planet => this._planetLabel(planet));
+      if (sign === lagnaSign) {
+        labels.unshift({ text: 'Asc', color: COLORS.lagna });
+      }
+      svg += this._stack(x + cell / 2, y + cell / 2 + 6, labels);
+    });
+
+    svg += this._text(SIZE / 2, SIZE / 2 - 8, label, {
+      size: 20,
+      color: COLORS.title
+    });
+    svg += this._text(SIZE / 2, SIZE / 2 + 18, `Lagna: ${SIGNS[lagnaSign]}`, {
+      size: 14,
+      color: COLORS.lagna
+    });
+    return svg;
+  }
+
+  /**
+   * East Indian chart: signs fixed with Aries at the top, counter-clockwise
+   * @private
+   * @param {Object} model - Chart model
+   * @returns {string} SVG fragment
+   */
+  _drawEastIndian(model) {
+    const lagnaSign = signIndexOf(model.ascendant);
+    const bySign = this._groupBySign(model.planets, 0);
+    const m = 8;
+    const s = SIZE - m * 2;
+    const t = s / 3;
+    const line = (x1, y1, x2, y2) =>
+      `<polyline points="${round(m + x1)},${round(m + y1)} ${round(m + x2)},${round(m + y2)}"/>`;
+
+    let svg = `<g stroke="${COLORS.line}" stroke-width="2" fill="none">`;
+    svg += `<rect x="${m}" y="${m}" width="${s}" height="${s}"/>`;
+    svg += line(t, 0, t, s) + line(2 * t, 0, 2 * t, s);
+    svg += line(0, t, s, t) + line(0, 2 * t, s, 2 * t);
+    // Corner cells are split by their outer diagonal
+    svg += line(0, 0, t, t) + line(s, 0, 2 * t, t);
+    svg += line(0, s, t, 2 * t) + line(s, s, 2 * t, 2 * t);
+    svg += '</g>';
+
+    EAST_SIGN_CENTRES.forEach(([cx, cy], sign) => {
+      const x = m + cx * s;
+      const y = m + cy * s;
+      const labels = bySign[sign].map(planet => this._planetLabel(planet));
+      if (sign === lagnaSign) {
+        labels.unshift({ text: 'Asc', color: COLORS.lagna });
+      }
+      svg += this._text(x, y - 4 - labels.length * 8, SIGN_ABBREVIATIONS[sign], {
+        size: 12,
+        color: COLORS.sign
+      });
+      svg += this._stack(x, y + 12, labels, 15);
+    });
+
+    svg += this._text(SIZE / 2, SIZE / 2 + 6, `Lagna: ${SIGNS[lagnaSign]}`, {
+      size: 15,
+      color: COLORS.lagna
+    });
+    return svg;
+  }
+
+  /**
+   * Western wheel: ascendant on the left, longitudes counter-clockwise
+   * @private
+   * @param {Object} model - Chart model
+   * @returns {string} SVG fragment
+   */
+  _drawWesternWheel(model) {
+    const c = SIZE / 2;
+    const [rOuter, rZodiac, rPlanets, rInner] = [288, 248, 205, 110];
+    const angle = longitude =>
+      ((180 + model.ascendant - longitude) * Math.PI) / 180;
+    const point = (longitude, radius) => {
+      const a = angle(longitude);
+      return [round(c + radius * Math.cos(a)), round(c + radius * Math.sin(a))];
+    };
+    const spoke = (longitude, from, to, attributes = '') => {
+      const [x1, y1] = point(longitude, from);
+      const [x2, y2] = point(longitude, to);
+      return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${attributes}/>`;
+    };
+
+    let svg = `<g stroke="${COLORS.line}" fill="none">`;
+    svg += [rOuter, rZodiac, rInner]
+      .map(r => `<circle cx="${c}" cy="${c}" r="${r}" stroke-width="2"/>`)
+      .join('');
+    for (let sign = 0; sign < 12; sign++) {
+      svg += spoke(sign * 30, rZodiac, rOuter, 'stroke-width="1.5"');
+    }
+    const cusps =
+      model.houseCusps ||
+      Array.from({ length: 12 }, (_, i) => normalize(model.ascendant + i * 30));
+    cusps.forEach((cusp, i) => {
+      const angular = i % 3 === 0;
+      svg += spoke(
+        cusp,
+        rInner,
+        rZodiac,
+        `stroke-width="${angular ? 2.5 : 1}"${angular ? '' : ' stroke-dasharray="4 3"'}`
+      );
+    });
+    svg += '</g>';
+
+    for (let sign = 0; sign < 12; sign++) {
+      const [x, y] = point(sign * 30 + 15, (rOuter + rZodiac) / 2);
+      svg += this._text(x, y + 5, SIGN_ABBREVIATIONS[sign], {
+        size: 14,
+        color: COLORS.sign
+      });
+    }
+    cusps.forEach((cusp, i) => {
+      const next = cusps[(i + 1) % 12];
+      const middle = cusp + normalize(next - cusp) / 2;
+      const [x, y] = point(middle, rInner + 16);
+      svg += this._text(x, y + 4, i + 1, { size: 11, color: COLORS.line });
+    });
+    const [ascX, ascY] = point(model.ascendant, rZodiac - 22);
+    svg += this._text(ascX, ascY - 6, 'AC', {
+      size: 12,
+      color: COLORS.lagna,
+      bold: true
+    });
+
+    // Spread labels of close planets so they do not overlap
+    const placed = this._spreadLabels(model.planets, 9);
+    placed.forEach(({ planet, labelLongitude }) => {
+      svg += `<g stroke="${COLORS.planet}">${spoke(planet.longitude, rZodiac - 10, rZodiac)}</g>`;
+      const [x, y] = point(labelLongitude, rPlanets);
+      const degrees = Math.floor(planet.longitude % 30);
+      svg += this._text(x, y, planet.label, {
+        size: 15,
+        color: planet.retrograde ? COLORS.retrograde : COLORS.planet,
+        bold: true
+      });
+      svg += this._text(x, y + 14, `${degrees}°${planet.retrograde ? 'R' : ''}`, {
+        size: 10,
+        color: COLORS.planet
+      });
+    });
+    return svg;
+  }
+
+  /**
+   * Group planets by sign, or by house counted from `startSign`
+   * @private
+   * @param {Array} planets - Chart model planets
+   * @param {number} startSign - Sign index counted as slot 0
+   * @returns {Array<Array>} Twelve lists of planets
+   */
+  _groupBySign(planets, startSign) {
+    const slots = Array.from({ length: 12 }, () => []);
+    planets.forEach(planet => {
+      slots[(signIndexOf(planet.longitude) - startSign + 12) % 12].push(planet);
+    });
+    return slots;
+  }
+
+  /**
+   * Order planets by longitude and push labels apart by `minGap` degrees
+   * @private
+   * @param {Array} planets - Chart model planets
+   * @param {number} minGap - Minimum separation in degrees
+   * @returns {Array} [{ planet, labelLongitude }]
+   */
+  _spreadLabels(planets, minGap) {
+    const sorted = [...planets].sort((a, b) => a.longitude - b.longitude);
+    const placed = sorted.map(planet => ({
+      planet,
+      labelLongitude: planet.longitude
+    }));
+    for (let i = 1; i < placed.length; i++) {
+      const gap = placed[i].labelLongitude - placed[i - 1].labelLongitude;
+      if (gap < minGap) {
+        placed[i].labelLongitude = placed[i - 1].labelLongitude + minGap;
+      }
+    }
+    return placed;
+  }
+
+  /**
+   * @private
+   * @param {Object} planet - Chart model planet
+   * @returns {Object} { text, color }
+   */
+  _planetLabel(planet) {
+    const degrees = Math.floor(planet.longitude % 30);
+    return {
+      text: `${planet.label} ${degrees}°${planet.retrograde ? ' R' : ''}`,
+      color: planet.retrograde ? COLORS.retrograde : COLORS.planet
+    };
+  }
+
+  /**
+   * Centre a column of labels on a point, two per line when crowded
+   * @private
+   * @param {number} x - Centre x
+   * @param {number} y - Centre y
+   * @param {Array} labels - [{ text, color }]
+   * @param {number} lineHeight - Line height in pixels
+   * @returns {string} SVG fragment
+   */
+  _stack(x, y, labels, lineHeight = 17) {
+    const lines = [];
+    const perLine = labels.length > 4 ? 2 : 1;
+    for (let i = 0; i < labels.length; i += perLine) {
+      lines.push(labels.slice(i, i + perLine));
+    }
+    const top = y - ((lines.length - 1) * lineHeight) / 2;
+    return lines
+      .map((line, i) => {
+        const spans = line
+          .map(
+            (label, j) =>
+              `<tspan fill="${label.color}">${j > 0 ? ' ' : ''}${escapeXml(label.text)}</tspan>`
+          )
+          .join('');
+        return `<text x="${round(x)}" y="${round(top + i * lineHeight)}" text-anchor="middle" font-size="${perLine > 1 ? 12 : 14}" font-weight="bold">${spans}</text>`;
+      })
+      .join('');
+  }
+
+  /**
+   * @private
+   * @param {number} x - Anchor x
+   * @param {number} y - Baseline y
+   * @param {string|number} text - Text
+   * @param {Object} options - { size, color, anchor, bold }
+   * @returns {string} SVG text element
+   */
+  _text(x, y, text, { size = 14, color = COLORS.title, anchor = 'middle', bold = false } = {}) {
+    return `<text x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" font-size="${size}" fill="${color}"${bold ? ' font-weight="bold"' : ''}>${escapeXml(text)}</text>`;
+  }
+}
+
+module.exports = { ChartRenderer, CHART_STYLES };
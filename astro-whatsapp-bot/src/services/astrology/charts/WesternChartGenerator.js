@@ -1,6 +1,7 @@
 const logger = require('../../../utils/logger');
 const sweph = require('sweph');
 const { AstrologicalCalculations } = require('./AstrologicalCalculations');
+const { resolveChartSettings } = require('../core/ChartSettings');
 
 /**
  * WesternChartGenerator - Generates Western astrology birth charts
@@ -20,12 +21,13 @@ class WesternChartGenerator {
   /**
    * Generate comprehensive Western astrology natal chart
    * @param {Object} user - User object with birth details
-   * @param {string} houseSystem - House system ('P'=Placidus, 'K'=Koch, 'E'=Equal, etc.)
+   * @param {string} houseSystem - House system when the user has not chosen one ('P'=Placidus, 'K'=Koch, 'E'=Equal, etc.)
    * @returns {Object} Western natal chart data
    */
   async generateWesternBirthChart(user, houseSystem = 'P') {
     try {
       const { birthDate, birthTime, birthPlace, name } = user;
+      const chartSettings = resolveChartSettings(user, { houseSystem });
 
       // Parse birth date and time
       const [day, month, year] = birthDate.split('/').map(Number);
@@ -50,7 +52,7 @@ class WesternChartGenerator {
         jd,
         locationInfo.latitude,
         locationInfo.longitude,
-        houseSystem
+        chartSettings
       );
 
       // Calculate planetary positions
@@ -0,0 +1,576 @@
+const {
+  SIGNS,
+  SIGN_LORDS,
+  NAKSHATRAS,
+  NAKSHATRA_SPAN
+} = require('../core/Zodiac');
+
+const PADA_SPAN = NAKSHATRA_SPAN / 4;
+
+// Naisargika (natural) relationships between the sign lords
+const FRIENDSHIP = {
+  Sun: { friends: ['Moon', 'Mars', 'Jupiter'], enemies: ['Venus', 'Saturn'] },
+  Moon: { friends: ['Sun', 'Mercury'], enemies: [] },
+  Mars: { friends: ['Sun', 'Moon', 'Jupiter'], enemies: ['Mercury'] },
+  Mercury: { friends: ['Sun', 'Venus'], enemies: ['Moon'] },
+  Jupiter: { friends: ['Sun', 'Moon', 'Mars'], enemies: ['Mercury', 'Venus'] },
+  Venus: { friends: ['Mercury', 'Saturn'], enemies: ['Sun', 'Moon'] },
+  Saturn: { friends: ['Mercury', 'Venus'], enemies: ['Sun', 'Moon', 'Mars'] }
+};
+
+// Varna by moon sign: Brahmin 4, Kshatriya 3, Vaishya 2, Shudra 1
+const VARNAS = ['Shudra', 'Vaishya', 'Kshatriya', 'Brahmin'];
+const SIGN_VARNA = [3, 2, 1, 4, 3, 2, 1, 4, 3, 2, 1, 4];
+
+const VASHYAS = ['Chatushpada', 'Manava', 'Jalachara', 'Vanachara', 'Keeta'];
+// Groom's vashya (row) against the bride's (column)
+const VASHYA_POINTS = [
+  [2, 1, 1, 0.5, 1],
+  [1, 2, 0.5, 0, 1],
+  [1, 0.5, 2, 1, 1],
+  [0.5, 0, 1, 2, 0],
+  [1, 1, 1, 0, 2]
+];
+
+const YONIS = [
+  'Horse',
+  'Elephant',
+  'Sheep',
+  'Serpent',
+  'Dog',
+  'Cat',
+  'Rat',
+  'Cow',
+  'Buffalo',
+  'Tiger',
+  'Deer',
+  'Monkey',
+  'Mongoose',
+  'Lion'
+];
+// Yoni index of each nakshatra
+const NAKSHATRA_YONI = [
+  0, 1, 2, 3, 3, 4, 5, 2, 5, 6, 6, 7, 8, 9, 8, 9, 10, 10, 4, 11, 12, 11, 13,
+  0, 13, 7, 1
+];
+// Same yoni 4, sworn enemies (Horse-Buffalo, Cat-Rat, ...) 0
+const YONI_POINTS = [
+  [4, 2, 2, 3, 2, 2, 2, 1, 0, 1, 3, 3, 2, 1],
+  [2, 4, 3, 3, 2, 2, 2, 2, 3, 1, 2, 3, 2, 0],
+  [2, 3, 4, 2, 1, 2, 1, 3, 3, 1, 2, 0, 3, 1],
+  [3, 3, 2, 4, 2, 1, 1, 1, 1, 2, 2, 2, 0, 2],
+  [2, 2, 1, 2, 4, 2, 1, 2, 2, 1, 0, 2, 1, 1],
+  [2, 2, 2, 1, 2, 4, 0, 2, 2, 1, 3, 3, 2, 1],
+  [2, 2, 1, 1, 1, 0, 4, 2, 2, 2, 2, 2, 1, 2],
+  [1, 2, 3, 1, 2, 2, 2, 4, 3, 0, 3, 2, 2, 1],
+  [0, 3, 3, 1, 2, 2, 2, 3, 4, 1, 2, 2, 2, 1],
+  [1, 1, 1, 2, 1, 1, 2, 0, 1, 4, 1, 1, 2, 1],
+  [3, 2, 2, 2, 0, 3, 2, 3, 2, 1, 4, 2, 2, 1],
+  [3, 3, 0, 2, 2, 3, 2, 2, 2, 1, 2, 4, 3, 2],
+  [2, 2, 3, 0, 1, 2, 1, 2, 2, 2, 2, 3, 4, 2],
+  [1, 0, 1, 2, 1, 1, 2, 1, 1, 1, 1, 2, 2, 4]
+];
+
+const GANAS = ['Deva', 'Manushya', 'Rakshasa'];
+const NAKSHATRA_GANA = [
+  0, 1, 2, 1, 0, 1, 0, 0, 2, 2, 1, 1, 0, 2, 0, 2, 0, 2, 2, 1, 1, 0, 2, 2, 1,
+  1, 0
+];
+// Groom's gana (row) against the bride's (column)
+const GANA_POINTS = [
+  [6, 6, 1],
+  [5, 6, 0],
+  [1, 0, 6]
+];
+
+// Aadi, Madhya, Antya repeat in a zigzag through the nakshatras
+const NADIS = ['Aadi', 'Madhya', 'Antya'];
+const NADI_CYCLE = [0, 1, 2, 2, 1, 0];
+
+// Tara counts (1-9) that are inauspicious: Vipat, Pratyak and Naidhana
+const BAD_TARAS = [3, 5, 7];
+
+// Houses from the ascendant or Moon that give Mangal (Kuja) dosha
+const MANGAL_HOUSES = [1, 2, 4, 7, 8, 12];
+// Mars is own sign in Aries and Scorpio and exalted in Capricorn
+const MARS_STRONG_SIGNS = [0, 7, 9];
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+const signOf = longitude => Math.floor(normalize(longitude) / 30);
+const houseFrom = (fromSign, sign) => ((sign - fromSign + 12) % 12) + 1;
+
+/**
+ * AshtakootaEngine - North Indian Guna Milan: the eight kootas (36 points)
+ * between a groom's and a bride's Moon, the classical cancellations of
+ * Nadi and Bhakoot dosha, and a Mangal (Kuja) dosha comparison.
+ * Works on sidereal longitudes, so it takes the output of
+ * ChartGenerator.generateVedicKundli or plain longitudes.
+ */
+class AshtakootaEngine {
+  /**
+   * Positions the engine needs from a Vedic kundli
+   * @param {Object} kundli - generateVedicKundli result
+   * @returns {Object} { moon, mars, jupiter, ascendant } sidereal longitudes
+   */
+  static positionsFromKundli(kundli) {
+    const planets = (kundli && kundli.planetaryPositions) || {};
+    const longitude = name => (planets[name] ? planets[name].longitude : null);
+    const moon = longitude('moon');
+    if (typeof moon !== 'number') {
+      throw new Error('Moon position missing from chart');
+    }
+    return {
+      moon,
+      mars: longitude('mars'),
+      jupiter: longitude('jupiter'),
+      ascendant: kundli.lagna ? kundli.lagna.longitude : null
+    };
+  }
+
+  /**
+   * Moon details used by the kootas
+   * @param {number} longitude - Sidereal Moon longitude
+   * @returns {Object} { sign, signName, nakshatra, nakshatraName, pada, lord }
+   */
+  describeMoon(longitude) {
+    const position = normalize(longitude);
+    const sign = signOf(position);
+    const nakshatra = Math.floor(position / NAKSHATRA_SPAN);
+    return {
+      sign,
+      signName: SIGNS[sign],
+      nakshatra,
+      nakshatraName: NAKSHATRAS[nakshatra],
+      pada: Math.floor((position % NAKSHATRA_SPAN) / PADA_SPAN) + 1,
+      lord: SIGN_LORDS[sign]
+    };
+  }
+
+  /**
+   * Full Guna Milan
+   * @param {Object} groom - { moon, mars, jupiter, ascendant } longitudes
+   * @param {Object} bride - Same for the bride
+   * @returns {Object} { total, maximum, kootas, doshas, mangal, verdict }
+   */
+  match(groom, bride) {
+    const g = this.describeMoon(groom.moon);
+    const b = this.describeMoon(bride.moon);
+    const kootas = [
+      this.varna(g, b),
+      this.vashya(groom.moon, bride.moon),
+      this.tara(g, b),
+      this.yoni(g, b),
+      this.grahaMaitri(g, b),
+      this.gana(g, b),
+      this.bhakoot(g, b),
+      this.nadi(g, b)
+    ];
+    const total = kootas.reduce((sum, koota) => sum + koota.score, 0);
+    const doshas = {
+      nadi: this.nadiDosha(g, b, kootas[7]),
+      bhakoot: this.bhakootDosha(g, b, kootas[6])
+    };
+    const mangal = this.compareMangal(groom, bride);
+
+    return {
+      groom: g,
+      bride: b,
+      kootas,
+      total,
+      maximum: 36,
+      doshas,
+      mangal,
+      verdict: this.verdict(total, doshas, mangal)
+    };
+  }
+
+  /**
+   * Harmony between any two people (family, friends, business partners):
+   * the kootas that read the same both ways, Tara, Graha Maitri and
+   * Bhakoot (15 points), without the bride and groom roles of the others
+   * @param {Object} first - { moon } sidereal longitude
+   * @param {Object} second - Same for the other person
+   * @returns {Object} { first, second, kootas, total, maximum, level } with
+   *   level 'strong', 'workable' or 'challenging'
+   */
+  harmony(first, second) {
+    const a = this.describeMoon(first.moon);
+    const b = this.describeMoon(second.moon);
+    const kootas = [this.tara(a, b), this.grahaMaitri(a, b), this.bhakoot(a, b)];
+    const total = kootas.reduce((sum, koota) => sum + koota.score, 0);
+    let level = 'challenging';
+    if (total >= 11) {
+      level = 'strong';
+    } else if (total >= 7) {
+      level = 'workable';
+    }
+    return { first: a, second: b, kootas, total, maximum: 15, level };
+  }
+
+  /**
+   * Varna (1 point): the groom's varna should not be lower than the bride's
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  varna(g, b) {
+    const groomVarna = SIGN_VARNA[g.sign];
+    const brideVarna = SIGN_VARNA[b.sign];
+    return {
+      key: 'varna',
+      name: 'Varna',
+      max: 1,
+      score: groomVarna >= brideVarna ? 1 : 0,
+      detail: `${VARNAS[groomVarna - 1]} / ${VARNAS[brideVarna - 1]}`
+    };
+  }
+
+  /**
+   * Vashya (2 points): mutual control by the signs' nature
+   * @private
+   * @param {number} groomMoon - Groom's sidereal Moon longitude
+   * @param {number} brideMoon - Bride's sidereal Moon longitude
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  vashya(groomMoon, brideMoon) {
+    const groomVashya = this.vashyaOf(groomMoon);
+    const brideVashya = this.vashyaOf(brideMoon);
+    return {
+      key: 'vashya',
+      name: 'Vashya',
+      max: 2,
+      score: VASHYA_POINTS[groomVashya][brideVashya],
+      detail: `${VASHYAS[groomVashya]} / ${VASHYAS[brideVashya]}`
+    };
+  }
+
+  /**
+   * Vashya group of a Moon position. Sagittarius is human in its first half
+   * and quadruped in its second; Capricorn quadruped, then aquatic.
+   * @param {number} longitude - Sidereal Moon longitude
+   * @returns {number} Index into VASHYAS
+   */
+  vashyaOf(longitude) {
+    const sign = signOf(longitude);
+    const secondHalf = normalize(longitude) % 30 >= 15;
+    switch (sign) {
+    case 0:
+    case 1:
+      return 0;
+    case 3:
+    case 11:
+      return 2;
+    case 4:
+      return 3;
+    case 7:
+      return 4;
+    case 8:
+      return secondHalf ? 0 : 1;
+    case 9:
+      return secondHalf ? 2 : 0;
+    default:
+      return 1;
+    }
+  }
+
+  /**
+   * Tara (3 points): nakshatra counts both ways, 1.5 for each good one
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  tara(g, b) {
+    const taraOf = (from, to) => (((to - from + 27) % 27) % 9) + 1;
+    const fromBride = taraOf(b.nakshatra, g.nakshatra);
+    const fromGroom = taraOf(g.nakshatra, b.nakshatra);
+    const good = [fromBride, fromGroom].filter(
+      tara => !BAD_TARAS.includes(tara)
+    ).length;
+    return {
+      key: 'tara',
+      name: 'Tara',
+      max: 3,
+      score: good * 1.5,
+      detail: `${fromBride} / ${fromGroom}`
+    };
+  }
+
+  /**
+   * Yoni (4 points): the nakshatras' animal natures
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  yoni(g, b) {
+    const groomYoni = NAKSHATRA_YONI[g.nakshatra];
+    const brideYoni = NAKSHATRA_YONI[b.nakshatra];
+    return {
+      key: 'yoni',
+      name: 'Yoni',
+      max: 4,
+      score: YONI_POINTS[groomYoni][brideYoni],
+      detail: `${YONIS[groomYoni]} / ${YONIS[brideYoni]}`
+    };
+  }
+
+  /**
+   * Graha Maitri (5 points): friendship of the Moon sign lords
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  grahaMaitri(g, b) {
+    const toward = this.relation(g.lord, b.lord);
+    const back = this.relation(b.lord, g.lord);
+    const pair = [toward, back].sort().join('-');
+    const points = {
+      'friend-friend': 5,
+      'friend-neutral': 4,
+      'neutral-neutral': 3,
+      'enemy-friend': 1,
+      'enemy-neutral': 0.5,
+      'enemy-enemy': 0
+    };
+    return {
+      key: 'graha_maitri',
+      name: 'Graha Maitri',
+      max: 5,
+      score: g.lord === b.lord ? 5 : points[pair],
+      detail: `${g.lord} / ${b.lord}`
+    };
+  }
+
+  /**
+   * Gana (6 points): temperament of the nakshatras
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  gana(g, b) {
+    const groomGana = NAKSHATRA_GANA[g.nakshatra];
+    const brideGana = NAKSHATRA_GANA[b.nakshatra];
+    return {
+      key: 'gana',
+      name: 'Gana',
+      max: 6,
+      score: GANA_POINTS[groomGana][brideGana],
+      detail: `${GANAS[groomGana]} / ${GANAS[brideGana]}`
+    };
+  }
+
+  /**
+   * Bhakoot (7 points): 2/12, 5/9 and 6/8 Moon sign placements fail
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  bhakoot(g, b) {
+    const distance = houseFrom(g.sign, b.sign);
+    const back = houseFrom(b.sign, g.sign);
+    const fails = [2, 12, 5, 9, 6, 8].includes(distance);
+    return {
+      key: 'bhakoot',
+      name: 'Bhakoot',
+      max: 7,
+      score: fails ? 0 : 7,
+      detail: `${distance}/${back}`
+    };
+  }
+
+  /**
+   * Nadi (8 points): the same nadi scores nothing
+   * @private
+   * @param {Object} g - Groom's Moon (see describeMoon)
+   * @param {Object} b - Bride's Moon
+   * @returns {Object} { key, name, max, score, detail }
+   */
+  nadi(g, b) {
+    const groomNadi = NADI_CYCLE[g.nakshatra % 6];
+    const brideNadi = NADI_CYCLE[b.nakshatra % 6];
+    return {
+      key: 'nadi',
+      name: 'Nadi',
+      max: 8,
+      score: groomNadi === brideNadi ? 0 : 8,
+      detail: `${NADIS[groomNadi]} / ${NADIS[brideNadi]}`
+    };
+  }
+
+  /**
+   * Nadi dosha and its classical exceptions
+   * @private
+   * @param {Object} g - Groom's Moon
+   * @param {Object} b - Bride's Moon
+   * @param {Object} koota - Scored koota
+   * @returns {Object} { present, cancelled, reasons }
+   */
+  nadiDosha(g, b, koota) {
+    if (koota.score > 0) {
+      return { present: false, cancelled: false, reasons: [] };
+    }
+    const reasons = [];
+    if (g.sign === b.sign && g.nakshatra !== b.nakshatra) {
+      reasons.push('Same Moon sign with different nakshatras');
+    }
+    if (g.nakshatra === b.nakshatra && g.sign !== b.sign) {
+      reasons.push('Same nakshatra falling in different Moon signs');
+    }
+    if (g.nakshatra === b.nakshatra && g.pada !== b.pada) {
+      reasons.push('Same nakshatra in different padas');
+    }
+    if (g.sign !== b.sign && g.lord === b.lord) {
+      reasons.push(`Both Moon signs are ruled by ${g.lord}`);
+    }
+    return { present: true, cancelled: reasons.length > 0, reasons };
+  }
+
+  /**
+   * Bhakoot dosha and its classical exceptions
+   * @private
+   * @param {Object} g - Groom's Moon
+   * @param {Object} b - Bride's Moon
+   * @param {Object} koota - Scored koota
+   * @returns {Object} { present, cancelled, reasons }
+   */
+  bhakootDosha(g, b, koota) {
+    if (koota.score > 0) {
+      return { present: false, cancelled: false, reasons: [] };
+    }
+    const reasons = [];
+    if (g.lord === b.lord) {
+      reasons.push(`Both Moon signs are ruled by ${g.lord}`);
+    } else if (
+      this.relation(g.lord, b.lord) === 'friend' &&
+      this.relation(b.lord, g.lord) === 'friend'
+    ) {
+      reasons.push(`Moon sign lords ${g.lord} and ${b.lord} are friends`);
+    }
+    return { present: true, cancelled: reasons.length > 0, reasons };
+  }
+
+  /**
+   * Mangal dosha of one chart: Mars in the 1st, 2nd, 4th, 7th, 8th or 12th
+   * from the ascendant or the Moon, cancelled when Mars is in its own or
+   * exaltation sign or joined by Jupiter
+   * @param {Object} positions - { moon, mars, jupiter, ascendant }
+   * @returns {Object} { present, cancelled, effective, houses, reasons }
+   */
+  mangalDosha(positions) {
+    if (typeof positions.mars !== 'number') {
+      return {
+        present: false,
+        cancelled: false,
+        effective: false,
+        houses: {},
+        reasons: []
+      };
+    }
+    const marsSign = signOf(positions.mars);
+    const houses = {
+      moon: houseFrom(signOf(positions.moon), marsSign)
+    };
+    if (typeof positions.ascendant === 'number') {
+      houses.ascendant = houseFrom(signOf(positions.ascendant), marsSign);
+    }
+    const present = Object.values(houses).some(house =>
+      MANGAL_HOUSES.includes(house)
+    );
+
+    const reasons = [];
+    if (present && MARS_STRONG_SIGNS.includes(marsSign)) {
+      reasons.push(`Mars is strong in ${SIGNS[marsSign]}`);
+    }
+    if (
+      present &&
+      typeof positions.jupiter === 'number' &&
+      signOf(positions.jupiter) === marsSign
+    ) {
+      reasons.push('Jupiter joins Mars');
+    }
+    const cancelled = reasons.length > 0;
+    return {
+      present,
+      cancelled,
+      effective: present && !cancelled,
+      houses,
+      reasons
+    };
+  }
+
+  /**
+   * Compare both charts: matching (both or neither) Mangal dosha is fine
+   * @private
+   * @param {Object} groom - Groom's positions
+   * @param {Object} bride - Bride's positions
+   * @returns {Object} { groom, bride, compatible }
+   */
+  compareMangal(groom, bride) {
+    const groomDosha = this.mangalDosha(groom);
+    const brideDosha = this.mangalDosha(bride);
+    return {
+      groom: groomDosha,
+      bride: brideDosha,
+      compatible: groomDosha.effective === brideDosha.effective
+    };
+  }
+
+  /**
+   * Overall reading of the score and doshas
+   * @private
+   * @param {number} total - Guna total
+   * @param {Object} doshas - Nadi and Bhakoot dosha
+   * @param {Object} mangal - Mangal dosha comparison
+   * @returns {Object} { level, recommended, blocking, summary }
+   */
+  verdict(total, doshas, mangal) {
+    let level = 'poor';
+    if (total >= 33) {
+      level = 'excellent';
+    } else if (total >= 25) {
+      level = 'very_good';
+    } else if (total >= 18) {
+      level = 'average';
+    }
+    const blocking = Object.entries(doshas)
+      .filter(([, dosha]) => dosha.present && !dosha.cancelled)
+      .map(([name]) => name);
+    if (!mangal.compatible) {
+      blocking.push('mangal');
+    }
+
+    const summaries = {
+      excellent: 'An excellent match.',
+      very_good: 'A very good match.',
+      average: 'An acceptable match.',
+      poor: 'Below the 18 points usually required.'
+    };
+    return {
+      level,
+      recommended: total >= 18 && blocking.length === 0,
+      blocking,
+      summary: summaries[level]
+    };
+  }
+
+  /**
+   * Natural relation of one planet toward another
+   * @param {string} planet - Planet whose view is taken
+   * @param {string} other - Other planet
+   * @returns {string} 'friend', 'neutral' or 'enemy'
+   */
+  relation(planet, other) {
+    const { friends, enemies } = FRIENDSHIP[planet];
+    if (friends.includes(other)) {
+      return 'friend';
+    }
+    return enemies.includes(other) ? 'enemy' : 'neutral';
+  }
+}
+
+module.exports = { AshtakootaEngine };
@@ -0,0 +1,179 @@
+const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../core/ChartSettings');
+const { TimezoneDatabase } = require('../geocoding/TimezoneDatabase');
+const { SIGNS, NAKSHATRAS, NAKSHATRA_SPAN } = require('../core/Zodiac');
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+
+const TARAS = [
+  'Janma',
+  'Sampat',
+  'Vipat',
+  'Kshema',
+  'Pratyari',
+  'Sadhana',
+  'Naidhana',
+  'Mitra',
+  'Param Mitra'
+];
+// Taras that favour a shared undertaking
+const GOOD_TARAS = [2, 4, 6, 8, 9];
+// Houses of the transiting Moon from the natal Moon that give Chandra Bala
+const GOOD_MOON_HOUSES = [1, 3, 6, 7, 10, 11];
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+/**
+ * Sidereal Moon longitude at an instant
+ * @param {Date} instant - UTC instant
+ * @param {Object} settings - Resolved chart settings
+ * @returns {number} Longitude
+ */
+const siderealMoon = (instant, settings) => {
+  applySiderealMode(settings);
+  const jd = instant.getTime() / 86400000 + UNIX_EPOCH_JD;
+  const position = sweph.calc_ut(
+    jd,
+    sweph.constants.SE_MOON,
+    sweph.constants.SEFLG_SIDEREAL
+  );
+  if (!position || position.flag < 0) {
+    throw new Error(`Moon position unavailable: ${position.error}`);
+  }
+  return position.data[0];
+};
+
+/**
+ * GroupTimingFinder - Days that suit everyone in a group (a family
+ * trip, a launch, a ceremony). Each day's Moon is judged against every
+ * member's natal Moon by Tara Bala (the nakshatra counted from theirs) and
+ * Chandra Bala (the sign counted from theirs); the days where most members
+ * have both come first.
+ */
+class GroupTimingFinder {
+  /**
+   * @param {Object} options - Finder options
+   * @param {Function} options.moonAt - (instant, settings) => sidereal Moon
+   *   longitude, for tests
+   * @param {Object} options.timezoneDatabase - TimezoneDatabase instance
+   */
+  constructor({
+    moonAt = siderealMoon,
+    timezoneDatabase = new TimezoneDatabase()
+  } = {}) {
+    this.moonAt = moonAt;
+    this.timezoneDatabase = timezoneDatabase;
+  }
+
+  /**
+   * Best days in the coming weeks, judged at the same local hour each day
+   * @param {Array<Object>} members - [{ name, moon }] natal sidereal Moons
+   * @param {Object} options - Search options
+   * @param {Date} options.start - Search from this instant
+   * @param {number} options.days - Days to search
+   * @param {string} options.timezone - IANA zone the days are counted in
+   * @param {number} options.hour - Local hour each day is judged at
+   * @param {Object} options.preferences - Chart preferences (ayanamsa)
+   * @param {number} options.top - Days to return
+   * @returns {Array<Object>} [{ date, at, moon, score, favourable, members }]
+   *   best first; `members` holds each member's tara and Chandra Bala
+   */
+  find(
+    members,
+    {
+      start = new Date(),
+      days = 30,
+      timezone = 'UTC',
+      hour = 6,
+      preferences = {},
+      top = 5
+    } = {}
+  ) {
+    if (!members.length) {
+      return [];
+    }
+    const zone = this.timezoneDatabase.isValidZone(timezone) ? timezone : 'UTC';
+    const settings = resolveChartSettings({ preferences });
+    const today = this.timezoneDatabase.getLocalTime(zone, start);
+
+    const candidates = [];
+    for (let offset = 0; offset < days; offset++) {
+      const day = new Date(
+        Date.UTC(today.year, today.month - 1, today.day + offset)
+      );
+      const date = {
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate()
+      };
+      const at = this.timezoneDatabase.localTimeToUtc(zone, {
+        ...date,
+        hour,
+        minute: 0,
+        second: 0
+      });
+      if (at < start) {
+        continue;
+      }
+      candidates.push(this.judgeDay(members, date, at, settings));
+    }
+
+    return candidates
+      .sort(
+        (a, b) =>
+          b.score - a.score || b.favourable - a.favourable || a.at - b.at
+      )
+      .slice(0, top);
+  }
+
+  /**
+   * @private
+   * @param {Array<Object>} members - [{ name, moon }]
+   * @param {Object} date - Local { year, month, day }
+   * @param {Date} at - Instant the day is judged at
+   * @param {Object} settings - Resolved chart settings
+   * @returns {Object} Day with its score
+   */
+  judgeDay(members, date, at, settings) {
+    const moon = normalize(this.moonAt(at, settings));
+    const nakshatra = Math.floor(moon / NAKSHATRA_SPAN);
+    const sign = Math.floor(moon / 30);
+
+    const judged = members.map(member => {
+      const natal = normalize(member.moon);
+      const tara =
+        (((nakshatra - Math.floor(natal / NAKSHATRA_SPAN) + 27) % 27) % 9) + 1;
+      const house = ((sign - Math.floor(natal / 30) + 12) % 12) + 1;
+      const taraBala = GOOD_TARAS.includes(tara);
+      const chandraBala = GOOD_MOON_HOUSES.includes(house);
+      return {
+        name: member.name,
+        tara,
+        taraName: TARAS[tara - 1],
+        taraBala,
+        house,
+        chandraBala,
+        favourable: taraBala && chandraBala
+      };
+    });
+    const strengths = judged.reduce(
+      (sum, member) => sum + member.taraBala + member.chandraBala,
+      0
+    );
+
+    return {
+      date,
+      at,
+      moon: { signName: SIGNS[sign], nakshatraName: NAKSHATRAS[nakshatra] },
+      score: strengths / (2 * members.length),
+      favourable: judged.filter(member => member.favourable).length,
+      members: judged
+    };
+  }
+}
+
+module.exports = { GroupTimingFinder, GOOD_TARAS, GOOD_MOON_HOUSES, TARAS };
@@ -0,0 +1,34 @@
+/**
+ * Convert a stored user profile (birthDate DDMMYY[YY] or YYYY-MM-DD as
+ * saved by the conversation flows, birthTime HHMM) to the birth data
+ * format the astrology services expect. Two-digit years later than the
+ * current year are read as 19xx.
+ * @param {Object} user - User profile
+ * @returns {Object} { birthDate: DD/MM/YYYY, birthTime: HH:MM, birthPlace,
+ *   birthLatitude, birthLongitude, birthTimezone, name, preferences }
+ */
+const toServiceBirthData = user => {
+  const iso = String(user.birthDate || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const digits = iso ?
+    `${iso[3]}${iso[2]}${iso[1]}` :
+    String(user.birthDate || '').replace(/\D/g, '');
+  let year = digits.substring(4);
+  if (year.length === 2) {
+    const currentYear = new Date().getFullYear() % 100;
+    year = `${parseInt(year, 10) > currentYear ? '19' : '20'}${year}`;
+  }
+  const time = String(user.birthTime || '1200').replace(/\D/g, '');
+
+  return {
+    birthDate: `${digits.substring(0, 2)}/${digits.substring(2, 4)}/${year}`,
+    birthTime: `${time.substring(0, 2)}:${time.substring(2, 4)}`,
+    birthPlace: user.birthPlace,
+    birthLatitude: user.birthLatitude,
+    birthLongitude: user.birthLongitude,
+    birthTimezone: user.birthTimezone,
+    name: user.name,
+    preferences: user.preferences || {}
+  };
+};
+
+module.exports = { toServiceBirthData };
@@ -0,0 +1,211 @@
+const sweph = require('sweph');
+
+const { SEFLG_SIDEREAL } = sweph.constants;
+
+/**
+ * Ayanamsas users can choose, keyed by the value stored in
+ * `user.preferences.ayanamsa`
+ */
+const AYANAMSAS = {
+  lahiri: { name: 'Lahiri', sidMode: sweph.constants.SE_SIDM_LAHIRI },
+  raman: { name: 'Raman', sidMode: sweph.constants.SE_SIDM_RAMAN },
+  krishnamurti: {
+    name: 'Krishnamurti (KP)',
+    sidMode: sweph.constants.SE_SIDM_KRISHNAMURTI
+  },
+  fagan_bradley: {
+    name: 'Fagan-Bradley',
+    sidMode: sweph.constants.SE_SIDM_FAGAN_BRADLEY
+  },
+  true_chitra: {
+    name: 'True Chitra',
+    sidMode: sweph.constants.SE_SIDM_TRUE_CITRA
+  },
+  yukteshwar: {
+    name: 'Yukteshwar',
+    sidMode: sweph.constants.SE_SIDM_YUKTESHWAR
+  }
+};
+
+/**
+ * House systems users can choose, keyed by the value stored in
+ * `user.preferences.houseSystem`. KP Placidus implies the KP ayanamsa.
+ */
+const HOUSE_SYSTEMS = {
+  whole_sign: { name: 'Whole Sign', code: 'W' },
+  placidus: { name: 'Placidus', code: 'P' },
+  koch: { name: 'Koch', code: 'K' },
+  equal: { name: 'Equal', code: 'E' },
+  sripati: { name: 'Sripati', code: 'S' },
+  kp_placidus: { name: 'KP Placidus', code: 'P', ayanamsa: 'krishnamurti' }
+};
+
+const DEFAULT_AYANAMSA = 'lahiri';
+const DEFAULT_HOUSE_SYSTEM = 'whole_sign';
+
+// Spellings users type that differ from the stored keys
+const ALIASES = {
+  kp: 'krishnamurti',
+  fagan: 'fagan_bradley',
+  chitra: 'true_chitra',
+  chitrapaksha: 'lahiri',
+  yukteswar: 'yukteshwar',
+  whole: 'whole_sign',
+  wholesign: 'whole_sign',
+  sripathi: 'sripati',
+  kp_houses: 'kp_placidus'
+};
+
+/**
+ * Map free text ("Fagan-Bradley", "KP", "whole sign") to a settings key
+ * @param {string} value - Raw value
+ * @param {Object} table - AYANAMSAS or HOUSE_SYSTEMS
+ * @returns {string|null} Key in the table, or null if unknown
+ */
+const normalizeKey = (value, table) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const key = value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]+/g, '_')
+    .replace(/^_|_$/g, '');
+  const resolved = ALIASES[key] || ALIASES[key.replace(/_/g, '')] || key;
+  return table[resolved] ? resolved : null;
+};
+
+/**
+ * @param {string} value - Ayanamsa as stored or typed
+ * @returns {string|null} Ayanamsa key or null if unsupported
+ */
+const normalizeAyanamsa = value => normalizeKey(value, AYANAMSAS);
+
+/**
+ * @param {string} value - House system as stored or typed, or a Swiss
+ *   Ephemeris code such as 'P'
+ * @returns {string|null} House system key or null if unsupported
+ */
+const normalizeHouseSystem = value => {
+  if (typeof value === 'string' && /^[A-Z]$/.test(value)) {
+    return (
+      Object.keys(HOUSE_SYSTEMS).find(
+        key => HOUSE_SYSTEMS[key].code === value
+      ) || null
+    );
+  }
+  return normalizeKey(value, HOUSE_SYSTEMS);
+};
+
+/**
+ * Resolve the chart settings for a user or birth data object.
+ * Reads `chartSettings` (already resolved, or passed by a caller) first and
+ * then the user's `preferences`. A missing house system falls back to the
+ * calculator's own tradition, so callers pass their default.
+ * @param {Object} source - User, birth data or settings object
+ * @param {Object} defaults - Defaults for this calculator
+ * @param {string} defaults.ayanamsa - Default ayanamsa key
+ * @param {string} defaults.houseSystem - Default house system key
+ * @returns {Object} { ayanamsa, ayanamsaName, sidMode, houseSystem, houseSystemName, houseCode }
+ */
+const resolveChartSettings = (source = {}, defaults = {}) => {
+  const preferences =
+    (source && (source.chartSettings || source.preferences)) || {};
+
+  const houseSystem =
+    normalizeHouseSystem(preferences.houseSystem) ||
+    normalizeHouseSystem(defaults.houseSystem) ||
+    DEFAULT_HOUSE_SYSTEM;
+  const ayanamsa =
+    HOUSE_SYSTEMS[houseSystem].ayanamsa ||
+    normalizeAyanamsa(preferences.ayanamsa) ||
+    normalizeAyanamsa(defaults.ayanamsa) ||
+    DEFAULT_AYANAMSA;
+
+  return {
+    ayanamsa,
+    ayanamsaName: AYANAMSAS[ayanamsa].name,
+    sidMode: AYANAMSAS[ayanamsa].sidMode,
+    houseSystem,
+    houseSystemName: HOUSE_SYSTEMS[houseSystem].name,
+    houseCode: HOUSE_SYSTEMS[houseSystem].code
+  };
+};
+
+/**
+ * Select the settings' ayanamsa in Swiss Ephemeris.
+ * The sidereal mode is process-wide, so call this synchronously right before
+ * the sidereal calculations it applies to, with no `await` in between.
+ * @param {Object} settings - Resolved chart settings
+ * @returns {Object} The same settings
+ */
+const applySiderealMode = settings => {
+  sweph.set_sid_mode(settings.sidMode, 0, 0);
+  return settings;
+};
+
+/**
+ * Ayanamsa value for a moment under the chosen system
+ * @param {number} jd - Julian day (UT)
+ * @param {Object} settings - Resolved chart settings
+ * @returns {number} Ayanamsa in degrees
+ */
+const getAyanamsa = (jd, settings) => {
+  applySiderealMode(settings);
+  return sweph.get_ayanamsa_ut(jd);
+};
+
+/**
+ * House cusps and angles in the chosen house system
+ * @param {number} jd - Julian day (UT)
+ * @param {number} latitude - Geographic latitude
+ * @param {number} longitude - Geographic longitude
+ * @param {Object} settings - Resolved chart settings
+ * @param {Object} options - Calculation options
+ * @param {boolean} options.sidereal - Sidereal cusps (default true)
+ * @returns {Object} { system, code, ascendant, mc, houseCusps }
+ */
+const calculateHouses = (
+  jd,
+  latitude,
+  longitude,
+  settings,
+  { sidereal = true } = {}
+) => {
+  applySiderealMode(settings);
+  const result = sweph.houses_ex2(
+    jd,
+    sidereal ? SEFLG_SIDEREAL : 0,
+    latitude,
+    longitude,
+    settings.houseCode
+  );
+  if (!result.data || !Array.isArray(result.data.houses)) {
+    throw new Error(`House calculation failed: ${result.error}`);
+  }
+
+  // Placidus and Koch are undefined inside the polar circles; Swiss
+  // Ephemeris then returns Porphyry cusps and reports it in `error`
+  const fellBack = result.flag < 0;
+  const [ascendant, mc] = result.data.points;
+  return {
+    system: fellBack ? 'Porphyry' : settings.houseSystemName,
+    code: fellBack ? 'O' : settings.houseCode,
+    ascendant,
+    mc,
+    houseCusps: result.data.houses
+  };
+};
+
+module.exports = {
+  AYANAMSAS,
+  HOUSE_SYSTEMS,
+  DEFAULT_AYANAMSA,
+  DEFAULT_HOUSE_SYSTEM,
+  normalizeAyanamsa,
+  normalizeHouseSystem,
+  resolveChartSettings,
+  applySiderealMode,
+  getAyanamsa,
+  calculateHouses
+};
@@ -1,4 +1,5 @@
 const logger = require('../../../utils/logger');
+const { AYANAMSAS, resolveChartSettings } = require('./ChartSettings');
 
 /**
  * Core Vedic Astrology Calculator
@@ -40,13 +41,10 @@ class VedicCore {
         chiron: 15
       },
 
-      // Ayanamsa systems for Vedic calculations
-      ayanamsas: {
-        lahiri: 1,
-        raman: 3,
-        krishnamurti: 5,
-        fagan: 2
-      }
+      // Ayanamsa systems for Vedic calculations (Swiss Ephemeris sidereal modes)
+      ayanamsas: Object.fromEntries(
+        Object.entries(AYANAMSAS).map(([key, { sidMode }]) => [key, sidMode])
+      )
     };
 
     // Zodiac signs (for backward compatibility and internal use)
@@ -71,6 +69,30 @@ class VedicCore {
     }
   }
 
+  /**
+   * Resolve a user's ayanamsa and house system
+   * @param {Object} source - User or birth data
+   * @param {Object} defaults - Defaults for the calling calculator
+   * @returns {Object} Resolved chart settings
+   */
+  getChartSettings(source, defaults = {}) {
+    return resolveChartSettings(source, defaults);
+  }
+
+  /**
+   * Build a cache key that separates charts cast with different settings
+   * @param {string} type - Calculation type
+   * @param {Object} birthData - Birth data (may carry chartSettings or preferences)
+   * @returns {string} Cache key
+   */
+  getCacheKey(type, birthData) {
+    const { ayanamsa, houseSystem } = resolveChartSettings(birthData);
+    const { birthDate, birthTime, birthPlace } = birthData;
+    return [type, birthDate, birthTime, birthPlace, ayanamsa, houseSystem].join(
+      '|'
+    );
+  }
+
   /**
    * Get cached result
    * @param {string} cacheKey - Unique cache key
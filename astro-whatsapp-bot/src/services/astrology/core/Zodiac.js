@@ -0,0 +1,90 @@
+/**
+ * Zodiac tables shared by every chart calculator. Indexes are 0-based from
+ * Aries and Ashwini, so `Math.floor(longitude / 30)` is a sign index and
+ * `Math.floor(longitude / NAKSHATRA_SPAN)` a nakshatra index.
+ */
+
+const SIGNS = [
+  'Aries',
+  'Taurus',
+  'Gemini',
+  'Cancer',
+  'Leo',
+  'Virgo',
+  'Libra',
+  'Scorpio',
+  'Sagittarius',
+  'Capricorn',
+  'Aquarius',
+  'Pisces'
+];
+
+// Traditional (domicile) lord of each sign
+const SIGN_LORDS = [
+  'Mars',
+  'Venus',
+  'Mercury',
+  'Moon',
+  'Sun',
+  'Mercury',
+  'Venus',
+  'Mars',
+  'Jupiter',
+  'Saturn',
+  'Saturn',
+  'Jupiter'
+];
+
+const NAKSHATRAS = [
+  'Ashwini',
+  'Bharani',
+  'Krittika',
+  'Rohini',
+  'Mrigashira',
+  'Ardra',
+  'Punarvasu',
+  'Pushya',
+  'Ashlesha',
+  'Magha',
+  'Purva Phalguni',
+  'Uttara Phalguni',
+  'Hasta',
+  'Chitra',
+  'Swati',
+  'Vishakha',
+  'Anuradha',
+  'Jyeshtha',
+  'Mula',
+  'Purva Ashadha',
+  'Uttara Ashadha',
+  'Shravana',
+  'Dhanishta',
+  'Shatabhisha',
+  'Purva Bhadrapada',
+  'Uttara Bhadrapada',
+  'Revati'
+];
+
+const NAKSHATRA_SPAN = 360 / 27;
+
+// Vimshottari lords in sequence from Ashwini (the star lord of nakshatra
+// i is entry i % 9), with their years
+const VIMSHOTTARI = [
+  ['Ketu', 7],
+  ['Venus', 20],
+  ['Sun', 6],
+  ['Moon', 10],
+  ['Mars', 7],
+  ['Rahu', 18],
+  ['Jupiter', 16],
+  ['Saturn', 19],
+  ['Mercury', 17]
+];
+
+module.exports = {
+  SIGNS,
+  SIGN_LORDS,
+  NAKSHATRAS,
+  NAKSHATRA_SPAN,
+  VIMSHOTTARI
+};
@@ -0,0 +1,86 @@
+const { SIGN_LORDS, NAKSHATRA_SPAN } = require('../core/Zodiac');
+const { DashaSystem, normalize, signOf, rotate } = require('./DashaSystem');
+
+// Lords in order with their years (108 in all) and how many nakshatras
+// each rules, counted from Ardra. Saturn's four include Abhijit, which is
+// carved out of Uttara Ashadha and Shravana, so its arc is three
+// nakshatras wide.
+const ASHTOTTARI = [
+  ['Sun', 6, 4],
+  ['Moon', 15, 3],
+  ['Mars', 8, 4],
+  ['Mercury', 17, 3],
+  ['Saturn', 10, 3],
+  ['Jupiter', 19, 3],
+  ['Rahu', 12, 4],
+  ['Venus', 21, 3]
+];
+const ARDRA = 5 * NAKSHATRA_SPAN;
+
+// Houses counted from the Lagna lord that make Ashtottari applicable
+const KENDRA_TRIKONA = [1, 4, 5, 7, 9, 10];
+
+/**
+ * Ashtottari dasha: a 108-year cycle of eight planets (no Ketu). The Moon's
+ * position within its lord's group of nakshatras sets the balance at
+ * birth. Tradition applies it when Rahu is in a kendra or trikona from
+ * the Lagna lord but not in the Lagna; see applicability().
+ */
+class AshtottariSystem extends DashaSystem {
+  constructor() {
+    super({
+      key: 'ashtottari',
+      name: 'Ashtottari',
+      description: '108-year cycle of eight planets from Ardra'
+    });
+  }
+
+  /** @inheritdoc */
+  mahadashaSequence(natal) {
+    const offset = normalize(natal.moon - ARDRA);
+    let groupStart = 0;
+    let first = 0;
+    let elapsed = 0;
+    for (const [index, [, years, count]] of ASHTOTTARI.entries()) {
+      const span = count * NAKSHATRA_SPAN;
+      if (offset < groupStart + span) {
+        first = index;
+        elapsed = (years * (offset - groupStart)) / span;
+        break;
+      }
+      groupStart += span;
+    }
+
+    const periods = rotate(ASHTOTTARI, first).map(([lord, years]) => ({
+      lord,
+      years
+    }));
+    return { elapsed, periods };
+  }
+
+  /** @inheritdoc */
+  subSequence(period) {
+    const first = ASHTOTTARI.findIndex(([lord]) => lord === period.lord);
+    return rotate(ASHTOTTARI, first).map(([lord, years]) => ({
+      lord,
+      weight: years
+    }));
+  }
+
+  /** @inheritdoc */
+  applicability(natal) {
+    const lagna = signOf(natal.ascendant);
+    const lagnaLord = SIGN_LORDS[lagna];
+    const rahu = signOf(natal.planets.Rahu);
+    const house = ((rahu - signOf(natal.planets[lagnaLord]) + 12) % 12) + 1;
+    const applicable = rahu !== lagna && KENDRA_TRIKONA.includes(house);
+    return {
+      applicable,
+      reason: `Rahu is in house ${house} from the Lagna lord ${lagnaLord}${
+        rahu === lagna ? ' and in the Lagna' : ''
+      }`
+    };
+  }
+}
+
+module.exports = { AshtottariSystem, ASHTOTTARI };
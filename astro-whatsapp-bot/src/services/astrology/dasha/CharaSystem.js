@@ -0,0 +1,138 @@
+const { SIGNS, SIGN_LORDS } = require('../core/Zodiac');
+const { DashaSystem, signOf } = require('./DashaSystem');
+
+// Signs counted zodiacally (the rest are counted in reverse)
+const DIRECT_SIGNS = [0, 1, 2, 6, 7, 8];
+
+// Scorpio and Aquarius have a second lord
+const DUAL_LORDS = { 7: ['Mars', 'Ketu'], 10: ['Saturn', 'Rahu'] };
+
+// Exaltation signs; debilitation is the sign opposite
+const EXALTATION = {
+  Sun: 0,
+  Moon: 1,
+  Mars: 9,
+  Mercury: 5,
+  Jupiter: 3,
+  Venus: 11,
+  Saturn: 6,
+  Rahu: 1,
+  Ketu: 7
+};
+
+const isDirect = sign => DIRECT_SIGNS.includes(sign);
+
+/**
+ * Chara dasha (Jaimini), as taught by K.N. Rao: sign-based periods from the
+ * Lagna, run zodiacally when the 9th sign is one of Aries, Taurus, Gemini,
+ * Libra, Scorpio or Sagittarius and in reverse otherwise. A sign's years
+ * are the count from it to its lord (forward for those six signs, backward
+ * for the rest) less one, 12 when the lord is in the sign, one more when
+ * the lord is exalted and one fewer when debilitated. The second cycle
+ * gives each sign the rest of 12 years. Sub-periods are twelve equal parts
+ * starting from the next sign and ending with the period's own.
+ */
+class CharaSystem extends DashaSystem {
+  constructor() {
+    super({
+      key: 'chara',
+      name: 'Chara (Jaimini)',
+      description: 'Jaimini sign periods from the Lagna'
+    });
+  }
+
+  /** @inheritdoc */
+  mahadashaSequence(natal) {
+    const lagna = signOf(natal.ascendant);
+    const step = isDirect((lagna + 8) % 12) ? 1 : -1;
+    const first = Array.from({ length: 12 }, (_, offset) => {
+      const sign = (lagna + step * offset + 12) % 12;
+      return {
+        lord: SIGNS[sign],
+        years: this.signYears(sign, natal),
+        context: { sign }
+      };
+    });
+    const second = first.map(period => ({
+      ...period,
+      years: 12 - period.years
+    }));
+    return { elapsed: 0, periods: [...first, ...second] };
+  }
+
+  /** @inheritdoc */
+  subSequence(period) {
+    const { sign } = period.context;
+    const step = isDirect(sign) ? 1 : -1;
+    return Array.from({ length: 12 }, (_, offset) => {
+      const subSign = (sign + step * (offset + 1) + 12) % 12;
+      return { lord: SIGNS[subSign], weight: 1, context: { sign: subSign } };
+    });
+  }
+
+  /** @inheritdoc */
+  ruler(sign) {
+    return SIGN_LORDS[SIGNS.indexOf(sign)] || sign;
+  }
+
+  /**
+   * First-cycle years of a sign
+   * @param {number} sign - Sign index
+   * @param {Object} natal - Natal positions
+   * @returns {number} 0 to 12 years
+   */
+  signYears(sign, natal) {
+    const lord = this.signLord(sign, natal);
+    const lordSign = signOf(natal.planets[lord]);
+    const distance = isDirect(sign) ?
+      (lordSign - sign + 12) % 12 :
+      (sign - lordSign + 12) % 12;
+
+    let years = distance || 12;
+    if (lordSign === EXALTATION[lord]) {
+      years += 1;
+    } else if (lordSign === (EXALTATION[lord] + 6) % 12) {
+      years -= 1;
+    }
+    return Math.min(Math.max(years, 0), 12);
+  }
+
+  /**
+   * Lord of a sign; for Scorpio and Aquarius the stronger co-lord: the one
+   * outside the sign, else the one with more planets, else the one further
+   * advanced in its sign
+   * @param {number} sign - Sign index
+   * @param {Object} natal - Natal positions
+   * @returns {string} Planet
+   */
+  signLord(sign, natal) {
+    const lords = DUAL_LORDS[sign];
+    if (!lords) {
+      return SIGN_LORDS[sign];
+    }
+
+    const [first, second] = lords;
+    const inSign = lords.filter(lord => signOf(natal.planets[lord]) === sign);
+    if (inSign.length === 1) {
+      return inSign[0] === first ? second : first;
+    }
+    if (inSign.length === 2) {
+      return first;
+    }
+
+    const company = lord =>
+      Object.keys(natal.planets).filter(
+        planet =>
+          planet !== lord &&
+          signOf(natal.planets[planet]) === signOf(natal.planets[lord])
+      ).length;
+    if (company(first) !== company(second)) {
+      return company(first) > company(second) ? first : second;
+    }
+    return natal.planets[first] % 30 >= natal.planets[second] % 30 ?
+      first :
+      second;
+  }
+}
+
+module.exports = { CharaSystem };
@@ -0,0 +1,167 @@
+const sweph = require('sweph');
+const GeocodingService = require('../geocoding/GeocodingService');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('../core/ChartSettings');
+const { normalize } = require('./DashaSystem');
+
+const { SEFLG_SIDEREAL } = sweph.constants;
+
+const PLANET_IDS = {
+  Sun: sweph.constants.SE_SUN,
+  Moon: sweph.constants.SE_MOON,
+  Mars: sweph.constants.SE_MARS,
+  Mercury: sweph.constants.SE_MERCURY,
+  Jupiter: sweph.constants.SE_JUPITER,
+  Venus: sweph.constants.SE_VENUS,
+  Saturn: sweph.constants.SE_SATURN,
+  Rahu: sweph.constants.SE_MEAN_NODE
+};
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+
+/**
+ * DashaService - Dasha timelines for a user's birth data
+ * Resolves the natal positions the systems need (sidereal, in the user's
+ * ayanamsa) and serves one level of a system's period tree at a time, so
+ * callers can drill from Mahadashas down to Sookshma periods.
+ */
+class DashaService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.systems - { <key>: DashaSystem }
+   * @param {Object} options.geocodingService - GeocodingService instance
+   */
+  constructor({ systems, geocodingService } = {}) {
+    this.systems = systems;
+    this.geocodingService = geocodingService || new GeocodingService();
+  }
+
+  /**
+   * @returns {Array<Object>} [{ key, name, description }]
+   */
+  listSystems() {
+    return Object.values(this.systems).map(({ key, name, description }) => ({
+      key,
+      name,
+      description
+    }));
+  }
+
+  /**
+   * @param {string} key - System key
+   * @returns {DashaSystem} System
+   */
+  getSystem(key) {
+    const system = this.systems[key];
+    if (!system) {
+      throw new Error(`Unknown dasha system: ${key}`);
+    }
+    return system;
+  }
+
+  /**
+   * Natal positions for the dasha systems
+   * @param {Object} birthData - toServiceBirthData result (DD/MM/YYYY, HH:MM)
+   * @returns {Promise<Object>} { birth, moon, ascendant, planets, location,
+   *   utcOffset, settings }
+   */
+  async natal(birthData) {
+    const [day, month, year] = birthData.birthDate.split('/').map(Number);
+    const [hour, minute] = birthData.birthTime.split(':').map(Number);
+    if (!day || !month || !year || !(hour <= 23) || !(minute <= 59)) {
+      throw new Error(
+        `Invalid birth date or time: ${birthData.birthDate} ${birthData.birthTime}`
+      );
+    }
+
+    const location =
+      birthData.birthLatitude != null && birthData.birthLongitude != null ?
+        {
+          latitude: birthData.birthLatitude,
+          longitude: birthData.birthLongitude
+        } :
+        await this.geocodingService.getCoordinates(birthData.birthPlace);
+    const { offset } = await this.geocodingService.getBirthTimezone(location, {
+      year,
+      month,
+      day,
+      hour,
+      minute
+    });
+    const jd = sweph.julday(
+      year,
+      month,
+      day,
+      hour + minute / 60 - offset,
+      sweph.constants.SE_GREG_CAL
+    );
+
+    // Sidereal mode is process-wide: no await from here on
+    const settings = applySiderealMode(resolveChartSettings(birthData));
+    const planets = {};
+    for (const [name, id] of Object.entries(PLANET_IDS)) {
+      const position = sweph.calc_ut(jd, id, SEFLG_SIDEREAL);
+      if (!position || position.flag < 0) {
+        throw new Error(`Position of ${name} unavailable: ${position.error}`);
+      }
+      planets[name] = normalize(position.data[0]);
+    }
+    planets.Ketu = normalize(planets.Rahu + 180);
+    const { ascendant } = calculateHouses(
+      jd,
+      location.latitude,
+      location.longitude,
+      settings
+    );
+
+    return {
+      birth: new Date((jd - UNIX_EPOCH_JD) * 86400000),
+      moon: planets.Moon,
+      ascendant: normalize(ascendant),
+      planets,
+      location,
+      utcOffset: offset,
+      settings
+    };
+  }
+
+  /**
+   * One level of a system's period tree
+   * @param {Object} birthData - toServiceBirthData result
+   * @param {Object} options - View options
+   * @param {string} options.system - System key (default vimshottari)
+   * @param {Array<number>} options.path - Period to open; [] for Mahadashas
+   * @param {Date} options.now - Moment for the running periods
+   * @returns {Promise<Object>} { system, natal, parent, periods, current,
+   *   applicability }: the period at `path` (null at the top), its
+   *   sub-periods and the periods running now, Mahadasha first
+   */
+  async timeline(birthData, options = {}) {
+    const {
+      system: key = 'vimshottari',
+      path = [],
+      now = new Date()
+    } = options;
+    const system = this.getSystem(key);
+    const natal = await this.natal(birthData);
+
+    const parent = path.length ? system.find(natal, path) : null;
+    if (path.length && !parent) {
+      throw new Error(`No ${system.name} period at ${path.join('.')}`);
+    }
+    return {
+      system: { key: system.key, name: system.name },
+      natal,
+      parent,
+      periods: parent ? system.subPeriods(parent) : system.mahadashas(natal),
+      current: system.current(natal, now),
+      applicability: system.applicability(natal)
+    };
+  }
+}
+
+module.exports = { DashaService };
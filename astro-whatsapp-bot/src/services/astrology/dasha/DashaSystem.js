@@ -0,0 +1,234 @@
+const { NAKSHATRA_SPAN } = require('../core/Zodiac');
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Depths of the period tree
+const LEVELS = ['Mahadasha', 'Antardasha', 'Pratyantardasha', 'Sookshma'];
+
+// Mahadashas are listed from birth for at least this many years
+const SPAN_YEARS = 120;
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+const signOf = longitude => Math.floor(normalize(longitude) / 30);
+
+/**
+ * Nakshatra of a sidereal longitude
+ * @param {number} longitude - Sidereal longitude
+ * @returns {Object} { index: 0-26, elapsed: fraction traversed }
+ */
+const nakshatraOf = longitude => {
+  const position = normalize(longitude) / NAKSHATRA_SPAN;
+  return { index: Math.floor(position), elapsed: position % 1 };
+};
+
+/**
+ * A sequence restarted at an index: rotate([a, b, c], 1) is [b, c, a]
+ * @param {Array} items - Sequence
+ * @param {number} first - Index of the first item
+ * @returns {Array} Rotated copy
+ */
+const rotate = (items, first) =>
+  items.map((_, offset) => items[(first + offset) % items.length]);
+
+/**
+ * DashaSystem - Base class of the time-lord (dasha) systems
+ * A system describes the mahadashas running from birth and how any period
+ * divides into sub-periods; the base class dates them and builds the
+ * common tree of Mahadasha, Antardasha, Pratyantardasha and Sookshma.
+ *
+ * Periods are plain objects: { system, level, levelName, lord, label,
+ * ruler, start, end, years, path, context }. `path` holds the period's index at
+ * each level, so [3, 2] is the third Antardasha of the fourth Mahadasha.
+ * The first Mahadasha starts before birth when birth falls inside it.
+ *
+ * Systems receive the natal positions as { birth: Date, moon, ascendant,
+ * planets: { Sun, Moon, ..., Rahu, Ketu } } in sidereal degrees.
+ */
+class DashaSystem {
+  /**
+   * @param {Object} options - System description
+   * @param {string} options.key - Registry key
+   * @param {string} options.name - Display name
+   * @param {string} options.description - One-line description
+   */
+  constructor({ key, name, description }) {
+    this.key = key;
+    this.name = name;
+    this.description = description;
+  }
+
+  /**
+   * The mahadashas from the one running at birth. Listed once; they repeat
+   * until SPAN_YEARS are covered.
+   * @abstract
+   * @param {Object} natal - Natal positions
+   * @returns {Object} { elapsed: years of the first period gone at birth,
+   *   periods: [{ lord, years, context }] }
+   */
+  mahadashaSequence(natal) {
+    throw new Error(`${this.name} dasha must implement mahadashaSequence`);
+  }
+
+  /**
+   * Sub-periods of a period, with their share of it
+   * @abstract
+   * @param {Object} period - Parent period
+   * @returns {Array<Object>} [{ lord, weight, context }]
+   */
+  subSequence(period) {
+    throw new Error(`${this.name} dasha must implement subSequence`);
+  }
+
+  /**
+   * Display name of a period lord
+   * @param {string} lord - Period lord
+   * @returns {string} Label
+   */
+  label(lord) {
+    return lord;
+  }
+
+  /**
+   * The planet whose significations colour a lord's periods
+   * @param {string} lord - Period lord
+   * @returns {string} Planet
+   */
+  ruler(lord) {
+    return lord;
+  }
+
+  /**
+   * Whether the system applies to a chart, for conditional dashas
+   * @param {Object} natal - Natal positions
+   * @returns {Object|null} { applicable, reason }, null when unconditional
+   */
+  applicability(natal) {
+    return null;
+  }
+
+  /**
+   * Dated mahadashas covering SPAN_YEARS from birth
+   * @param {Object} natal - Natal positions
+   * @returns {Array<Object>} Level 0 periods
+   */
+  mahadashas(natal) {
+    const { elapsed, periods } = this.mahadashaSequence(natal);
+    const until = natal.birth.getTime() + SPAN_YEARS * YEAR_MS;
+    const result = [];
+    let start = natal.birth.getTime() - elapsed * YEAR_MS;
+
+    // Bounded in case a sequence carries no years at all
+    for (let index = 0; start < until && index < periods.length * 10; index++) {
+      const { lord, years, context } = periods[index % periods.length];
+      if (years > 0) {
+        const end = start + years * YEAR_MS;
+        result.push(this.period(0, lord, start, end, [result.length], context));
+        start = end;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Dated sub-periods of a period; none below the Sookshma level
+   * @param {Object} period - Parent period
+   * @returns {Array<Object>} Child periods
+   */
+  subPeriods(period) {
+    if (period.level >= LEVELS.length - 1) {
+      return [];
+    }
+    const sequence = this.subSequence(period).filter(entry => entry.weight > 0);
+    const total = sequence.reduce((sum, entry) => sum + entry.weight, 0);
+    const span = period.end.getTime() - period.start.getTime();
+
+    let start = period.start.getTime();
+    return sequence.map(({ lord, weight, context }, index) => {
+      const end = start + (span * weight) / total;
+      const child = this.period(
+        period.level + 1,
+        lord,
+        start,
+        end,
+        [...period.path, index],
+        context
+      );
+      start = end;
+      return child;
+    });
+  }
+
+  /**
+   * The period at a path
+   * @param {Object} natal - Natal positions
+   * @param {Array<number>} path - Index at each level
+   * @returns {Object|null} Period, null when the path leads nowhere
+   */
+  find(natal, path) {
+    let periods = this.mahadashas(natal);
+    let period = null;
+    for (const index of path) {
+      period = periods[index];
+      if (!period) {
+        return null;
+      }
+      periods = this.subPeriods(period);
+    }
+    return period;
+  }
+
+  /**
+   * The periods running at a moment, Mahadasha first
+   * @param {Object} natal - Natal positions
+   * @param {Date} date - Moment
+   * @param {number} depth - Number of levels
+   * @returns {Array<Object>} One period per level, empty outside the span
+   */
+  current(natal, date = new Date(), depth = LEVELS.length) {
+    const time = date.getTime();
+    const chain = [];
+    let periods = this.mahadashas(natal);
+    while (chain.length < depth) {
+      const period = periods.find(
+        entry => entry.start.getTime() <= time && time < entry.end.getTime()
+      );
+      if (!period) {
+        break;
+      }
+      chain.push(period);
+      periods = this.subPeriods(period);
+    }
+    return chain;
+  }
+
+  /**
+   * @private
+   */
+  period(level, lord, start, end, path, context = {}) {
+    return {
+      system: this.key,
+      level,
+      levelName: LEVELS[level],
+      lord,
+      label: this.label(lord),
+      ruler: this.ruler(lord),
+      start: new Date(start),
+      end: new Date(end),
+      years: (end - start) / YEAR_MS,
+      path,
+      context
+    };
+  }
+}
+
+module.exports = {
+  DashaSystem,
+  LEVELS,
+  SPAN_YEARS,
+  YEAR_MS,
+  normalize,
+  signOf,
+  nakshatraOf,
+  rotate
+};
@@ -0,0 +1,117 @@
+const { SIGNS, SIGN_LORDS } = require('../core/Zodiac');
+const { DashaSystem, normalize, rotate } = require('./DashaSystem');
+
+// Years of each sign's period, Aries to Pisces
+const SIGN_YEARS = [7, 16, 9, 21, 5, 9, 16, 7, 10, 4, 4, 10];
+const PADA_SPAN = 360 / 108;
+
+// Sign sequences of the four padas of Ashwini and of Bharani (savya,
+// zodiacal nakshatras), as sign indices
+const ASHWINI = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8],
+  [9, 10, 11, 7, 6, 5, 3, 4, 2],
+  [1, 0, 11, 10, 9, 8, 0, 1, 2],
+  [3, 4, 5, 6, 7, 8, 9, 10, 11]
+];
+const BHARANI = [
+  [7, 6, 5, 3, 4, 2, 1, 0, 11],
+  [10, 9, 8, 0, 1, 2, 3, 4, 5],
+  [6, 7, 8, 9, 10, 11, 7, 6, 5],
+  [3, 4, 2, 1, 0, 11, 10, 9, 8]
+];
+
+// Apasavya (reverse) nakshatras run the savya padas backwards: Rohini's
+// padas are Bharani's last to first, each reversed, and Mrigashira's are
+// Ashwini's
+const mirror = padas => [...padas].reverse().map(signs => [...signs].reverse());
+const ROHINI = mirror(BHARANI);
+const MRIGASHIRA = mirror(ASHWINI);
+
+// Nakshatras come in triples alternating savya (Ashwini-Krittika) and
+// apasavya (Rohini-Ardra); the third of each triple repeats the first
+const SAVYA_TRIPLE = [ASHWINI, BHARANI, ASHWINI];
+const APASAVYA_TRIPLE = [ROHINI, MRIGASHIRA, ROHINI];
+
+/**
+ * Sign sequence of one of the 108 nakshatra padas
+ * @param {number} pada - Pada index from Ashwini's first, 0-107
+ * @returns {Array<number>} Nine sign indices
+ */
+const padaSigns = pada => {
+  const nakshatra = Math.floor(pada / 4) % 27;
+  const triple =
+    Math.floor(nakshatra / 3) % 2 === 0 ? SAVYA_TRIPLE : APASAVYA_TRIPLE;
+  return triple[nakshatra % 3][pada % 4];
+};
+
+const paramayus = signs =>
+  signs.reduce((total, sign) => total + SIGN_YEARS[sign], 0);
+
+/**
+ * Kalachakra dasha (BPHS): each nakshatra pada owns a sequence of nine
+ * signs whose years add up to its full life span (paramayus of 100, 85,
+ * 83 or 86). The Moon's progress through its pada sets how much of the
+ * sequence has run at birth; the following padas' sequences come next.
+ * A sign's sub-periods run through its pada's sequence from that sign.
+ */
+class KalachakraSystem extends DashaSystem {
+  constructor() {
+    super({
+      key: 'kalachakra',
+      name: 'Kalachakra',
+      description: 'Sign periods from the Moon\'s nakshatra pada'
+    });
+  }
+
+  /** @inheritdoc */
+  mahadashaSequence(natal) {
+    const position = normalize(natal.moon) / PADA_SPAN;
+    const pada = Math.floor(position);
+    const signs = padaSigns(pada);
+    let elapsed = paramayus(signs) * (position % 1);
+
+    let first = 0;
+    while (first < signs.length - 1 && elapsed >= SIGN_YEARS[signs[first]]) {
+      elapsed -= SIGN_YEARS[signs[first]];
+      first++;
+    }
+
+    // The birth pada's remaining signs, then the next padas (each at least
+    // 83 years, so two more always cover a lifetime)
+    const periods = [];
+    for (let step = 0; step < 3; step++) {
+      const current = (pada + step) % 108;
+      padaSigns(current).forEach((sign, index) => {
+        if (step > 0 || index >= first) {
+          periods.push({
+            lord: SIGNS[sign],
+            years: SIGN_YEARS[sign],
+            context: { pada: current, position: index }
+          });
+        }
+      });
+    }
+    return { elapsed, periods };
+  }
+
+  /** @inheritdoc */
+  subSequence(period) {
+    const { pada, position } = period.context;
+    const signs = padaSigns(pada);
+    return rotate(
+      signs.map((sign, index) => ({ sign, index })),
+      position
+    ).map(({ sign, index }) => ({
+      lord: SIGNS[sign],
+      weight: SIGN_YEARS[sign],
+      context: { pada, position: index }
+    }));
+  }
+
+  /** @inheritdoc */
+  ruler(sign) {
+    return SIGN_LORDS[SIGNS.indexOf(sign)] || sign;
+  }
+}
+
+module.exports = { KalachakraSystem, SIGN_YEARS, padaSigns };
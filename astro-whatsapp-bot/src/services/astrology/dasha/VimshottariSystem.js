@@ -0,0 +1,40 @@
+const { VIMSHOTTARI } = require('../core/Zodiac');
+const { DashaSystem, nakshatraOf, rotate } = require('./DashaSystem');
+
+const CYCLE_YEARS = 120;
+
+/**
+ * Vimshottari dasha: the 120-year cycle of the nine planets. The lord of
+ * the Moon's nakshatra opens it, with the part of the nakshatra the Moon
+ * has already crossed counted as elapsed. Sub-periods run in the same
+ * order from the period's own lord, each taking its share of 120 years.
+ */
+class VimshottariSystem extends DashaSystem {
+  constructor() {
+    super({
+      key: 'vimshottari',
+      name: 'Vimshottari',
+      description: '120-year planetary cycle from the Moon\'s nakshatra'
+    });
+  }
+
+  /** @inheritdoc */
+  mahadashaSequence(natal) {
+    const { index, elapsed } = nakshatraOf(natal.moon);
+    const periods = rotate(VIMSHOTTARI, index % VIMSHOTTARI.length).map(
+      ([lord, years]) => ({ lord, years })
+    );
+    return { elapsed: elapsed * periods[0].years, periods };
+  }
+
+  /** @inheritdoc */
+  subSequence(period) {
+    const first = VIMSHOTTARI.findIndex(([lord]) => lord === period.lord);
+    return rotate(VIMSHOTTARI, first).map(([lord, years]) => ({
+      lord,
+      weight: years / CYCLE_YEARS
+    }));
+  }
+}
+
+module.exports = { VimshottariSystem };
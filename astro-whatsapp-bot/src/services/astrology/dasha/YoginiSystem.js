@@ -0,0 +1,64 @@
+const { DashaSystem, nakshatraOf, rotate } = require('./DashaSystem');
+
+// The eight yoginis in order, with their planet and years (36 in all)
+const YOGINIS = [
+  ['Mangala', 'Moon', 1],
+  ['Pingala', 'Sun', 2],
+  ['Dhanya', 'Jupiter', 3],
+  ['Bhramari', 'Mars', 4],
+  ['Bhadrika', 'Mercury', 5],
+  ['Ulka', 'Saturn', 6],
+  ['Siddha', 'Venus', 7],
+  ['Sankata', 'Rahu', 8]
+];
+
+/**
+ * Yogini dasha: a 36-year cycle of eight yoginis. The Moon's nakshatra
+ * number plus 3, divided by 8, gives the opening yogini (remainder 1 is
+ * Mangala, 0 is Sankata); Ashwini opens with Bhramari. Sub-periods run
+ * from the period's own yogini.
+ */
+class YoginiSystem extends DashaSystem {
+  constructor() {
+    super({
+      key: 'yogini',
+      name: 'Yogini',
+      description: '36-year cycle of the eight yoginis'
+    });
+  }
+
+  /** @inheritdoc */
+  mahadashaSequence(natal) {
+    const { index, elapsed } = nakshatraOf(natal.moon);
+    // (nakshatra number + 3) mod 8 as a 1-based yogini, 0 wrapping to 8
+    const first = (index + 3) % YOGINIS.length;
+    const periods = rotate(YOGINIS, first).map(([lord, , years]) => ({
+      lord,
+      years
+    }));
+    return { elapsed: elapsed * periods[0].years, periods };
+  }
+
+  /** @inheritdoc */
+  subSequence(period) {
+    const first = YOGINIS.findIndex(([name]) => name === period.lord);
+    return rotate(YOGINIS, first).map(([lord, , years]) => ({
+      lord,
+      weight: years
+    }));
+  }
+
+  /** @inheritdoc */
+  label(lord) {
+    const yogini = YOGINIS.find(([name]) => name === lord);
+    return yogini ? `${lord} (${yogini[1]})` : lord;
+  }
+
+  /** @inheritdoc */
+  ruler(lord) {
+    const yogini = YOGINIS.find(([name]) => name === lord);
+    return yogini ? yogini[1] : lord;
+  }
+}
+
+module.exports = { YoginiSystem, YOGINIS };
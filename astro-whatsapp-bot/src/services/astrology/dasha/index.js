@@ -0,0 +1,56 @@
+const { DashaSystem, LEVELS, YEAR_MS, nakshatraOf } = require('./DashaSystem');
+const { VimshottariSystem } = require('./VimshottariSystem');
+const { YoginiSystem } = require('./YoginiSystem');
+const { AshtottariSystem } = require('./AshtottariSystem');
+const { CharaSystem } = require('./CharaSystem');
+const { KalachakraSystem } = require('./KalachakraSystem');
+const { DashaService } = require('./DashaService');
+
+// Available systems by key, in menu order
+const DASHA_SYSTEMS = Object.freeze(
+  Object.fromEntries(
+    [
+      new VimshottariSystem(),
+      new YoginiSystem(),
+      new AshtottariSystem(),
+      new CharaSystem(),
+      new KalachakraSystem()
+    ].map(system => [system.key, system])
+  )
+);
+
+// Process-wide service, created on first use
+let service = null;
+
+/**
+ * @param {string} key - System key
+ * @returns {DashaSystem|null} System, null when unknown
+ */
+const getDashaSystem = key => DASHA_SYSTEMS[key] || null;
+
+/**
+ * Shared dasha service over all systems
+ * @returns {DashaService} Dasha service
+ */
+const getDashaService = () => {
+  if (!service) {
+    service = new DashaService({ systems: DASHA_SYSTEMS });
+  }
+  return service;
+};
+
+module.exports = {
+  DashaSystem,
+  DashaService,
+  VimshottariSystem,
+  YoginiSystem,
+  AshtottariSystem,
+  CharaSystem,
+  KalachakraSystem,
+  DASHA_SYSTEMS,
+  LEVELS,
+  YEAR_MS,
+  nakshatraOf,
+  getDashaSystem,
+  getDashaService
+};
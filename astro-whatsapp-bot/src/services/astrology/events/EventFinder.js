@@ -0,0 +1,709 @@
+const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('../core/ChartSettings');
+const { SIGNS, NAKSHATRAS, NAKSHATRA_SPAN } = require('../core/Zodiac');
+
+const { SEFLG_SPEED, SEFLG_SIDEREAL } = sweph.constants;
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+// Root-finding stops once the bracket is under a second
+const PRECISION_DAYS = 1 / 86400;
+
+/**
+ * Bodies the finder follows. `step` is the sampling interval in days, well
+ * under the shortest retrograde loop so no station falls between samples;
+ * `loop` is how far apart (days) the first and last pass over a degree in
+ * one retrograde cycle can lie, from entering the loop's shadow to leaving
+ * it; it is searched around the asked range so multi-pass transits come
+ * whole.
+ */
+const BODIES = Object.freeze({
+  sun: { name: 'Sun', id: sweph.constants.SE_SUN, step: 1, loop: 0 },
+  moon: { name: 'Moon', id: sweph.constants.SE_MOON, step: 0.25, loop: 0 },
+  mercury: {
+    name: 'Mercury',
+    id: sweph.constants.SE_MERCURY,
+    step: 1,
+    loop: 65
+  },
+  venus: { name: 'Venus', id: sweph.constants.SE_VENUS, step: 1, loop: 120 },
+  mars: { name: 'Mars', id: sweph.constants.SE_MARS, step: 1, loop: 230 },
+  jupiter: {
+    name: 'Jupiter',
+    id: sweph.constants.SE_JUPITER,
+    step: 2,
+    loop: 310
+  },
+  saturn: {
+    name: 'Saturn',
+    id: sweph.constants.SE_SATURN,
+    step: 2,
+    loop: 345
+  },
+  uranus: {
+    name: 'Uranus',
+    id: sweph.constants.SE_URANUS,
+    step: 4,
+    loop: 380
+  },
+  neptune: {
+    name: 'Neptune',
+    id: sweph.constants.SE_NEPTUNE,
+    step: 4,
+    loop: 395
+  },
+  pluto: { name: 'Pluto', id: sweph.constants.SE_PLUTO, step: 4, loop: 410 },
+  // Mean nodes never station, so they need no loop
+  rahu: { name: 'Rahu', id: sweph.constants.SE_MEAN_NODE, step: 2, loop: 0 },
+  ketu: {
+    name: 'Ketu',
+    id: sweph.constants.SE_MEAN_NODE,
+    offset: 180,
+    step: 2,
+    loop: 0
+  }
+});
+
+// Major aspects by the angle between the two points
+const ASPECTS = Object.freeze({
+  conjunction: 0,
+  sextile: 60,
+  square: 90,
+  trine: 120,
+  opposition: 180
+});
+
+// Moon minus Sun; its 12° steps are the tithis (lunar days). The Moon
+// always outruns the Sun, so it never stations.
+const ELONGATION = Object.freeze({
+  name: 'Elongation',
+  pair: ['moon', 'sun'],
+  step: 0.5,
+  loop: 0
+});
+const TITHI_SPAN = 12;
+// Tithis of each fortnight; the 30th, ending the waning one, is Amavasya
+const TITHIS = Object.freeze([
+  'Pratipada',
+  'Dwitiya',
+  'Tritiya',
+  'Chaturthi',
+  'Panchami',
+  'Shashthi',
+  'Saptami',
+  'Ashtami',
+  'Navami',
+  'Dashami',
+  'Ekadashi',
+  'Dwadashi',
+  'Trayodashi',
+  'Chaturdashi',
+  'Purnima'
+]);
+
+// Eclipses by kind: the body whose place marks the eclipse and the
+// types Swiss Ephemeris reports, most complete first
+const ECLIPSES = Object.freeze({
+  solar: {
+    body: 'sun',
+    types: [
+      ['total', sweph.constants.SE_ECL_TOTAL],
+      ['hybrid', sweph.constants.SE_ECL_ANNULAR_TOTAL],
+      ['annular', sweph.constants.SE_ECL_ANNULAR],
+      ['partial', sweph.constants.SE_ECL_PARTIAL]
+    ]
+  },
+  lunar: {
+    body: 'moon',
+    types: [
+      ['total', sweph.constants.SE_ECL_TOTAL],
+      ['partial', sweph.constants.SE_ECL_PARTIAL],
+      ['penumbral', sweph.constants.SE_ECL_PENUMBRAL]
+    ]
+  }
+});
+
+const DIVISIONS = {
+  sign: { span: 30, names: SIGNS },
+  nakshatra: { span: NAKSHATRA_SPAN, names: NAKSHATRAS }
+};
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+// Shortest signed difference, in (-180, 180]
+const wrap = difference => {
+  const d = normalize(difference);
+  return d > 180 ? d - 360 : d;
+};
+
+/**
+ * Name and fortnight of a tithi
+ * @param {number} tithi - 1-30; 1-15 waxing (shukla), 16-30 waning (krishna)
+ * @returns {Object} { tithi, name, paksha }
+ */
+const describeTithi = tithi => ({
+  tithi,
+  name: tithi === 30 ? 'Amavasya' : TITHIS[(tithi - 1) % 15],
+  paksha: tithi <= 15 ? 'shukla' : 'krishna'
+});
+
+const toJulianDay = instant => instant.getTime() / 86400000 + UNIX_EPOCH_JD;
+const toDate = jd => new Date(Math.round((jd - UNIX_EPOCH_JD) * 86400000));
+
+/**
+ * Position and daily speed of a body from Swiss Ephemeris
+ * @param {Object} body - BODIES entry
+ * @param {number} jd - Julian day (UT)
+ * @param {Object} options - { settings, zodiac }
+ * @returns {Object} { longitude, speed }
+ */
+const swissEphemeris = (body, jd, { settings, zodiac }) => {
+  let flags = SEFLG_SPEED;
+  if (zodiac === 'sidereal') {
+    applySiderealMode(settings);
+    flags |= SEFLG_SIDEREAL;
+  }
+  const position = sweph.calc_ut(jd, body.id, flags);
+  if (!position || position.flag < 0) {
+    throw new Error(`Position of ${body.name} unavailable: ${position.error}`);
+  }
+  return {
+    longitude: normalize(position.data[0] + (body.offset || 0)),
+    speed: position.data[3]
+  };
+};
+
+/**
+ * The next eclipse after an instant, from Swiss Ephemeris
+ * @param {string} kind - ECLIPSES key
+ * @param {number} jd - Julian day (UT) to search from
+ * @returns {Object} { jd, flags } of the eclipse maximum
+ */
+const swissEclipse = (kind, jd) => {
+  const result =
+    kind === 'solar' ?
+      sweph.sol_eclipse_when_glob(jd, sweph.constants.SEFLG_SWIEPH, 0, false) :
+      sweph.lun_eclipse_when(jd, sweph.constants.SEFLG_SWIEPH, 0, false);
+  if (!result || result.flag < 0) {
+    throw new Error(`Next ${kind} eclipse unavailable: ${result.error}`);
+  }
+  return { jd: result.data[0], flags: result.flag };
+};
+
+/**
+ * EventFinder - Exact instants of astronomical events: a transiting body
+ * reaching an aspect to a natal point, entering a sign or nakshatra,
+ * stationing retrograde or direct, the Moon beginning a tithi, and
+ * eclipses. The body
+ * is sampled on a grid finer than any retrograde loop; stations are found
+ * where the speed changes sign, and between them the longitude only moves
+ * one way, so every crossing of a target longitude is bracketed and bisected
+ * down to the second.
+ * Longitudes are sidereal in the user's ayanamsa unless `zodiac` is
+ * 'tropical'.
+ */
+class EventFinder {
+  /**
+   * @param {Object} options - Finder options
+   * @param {Function} options.ephemeris - (body, jd, { settings, zodiac })
+   *   => { longitude, speed }, for tests
+   * @param {Function} options.eclipse - (kind, jd) => { jd, flags } of the
+   *   next eclipse, for tests
+   */
+  constructor({ ephemeris = swissEphemeris, eclipse = swissEclipse } = {}) {
+    this.ephemeris = ephemeris;
+    this.eclipse = eclipse;
+  }
+
+  /**
+   * Where a body is at an instant
+   * @param {string} body - BODIES key
+   * @param {Date} instant - UTC instant
+   * @param {Object} options - { settings, zodiac }
+   * @returns {Object} { body, longitude, speed, retrograde, sign, signName,
+   *   degree, nakshatra, nakshatraName }
+   */
+  position(body, instant = new Date(), options = {}) {
+    const context = this.context(body, options);
+    const { longitude, speed } = this.at(context, toJulianDay(instant));
+    const sign = Math.floor(longitude / 30);
+    const nakshatra = Math.floor(longitude / NAKSHATRA_SPAN) % 27;
+    return {
+      body: context.body.name,
+      longitude,
+      speed,
+      retrograde: speed < 0,
+      sign,
+      signName: SIGNS[sign],
+      degree: longitude - sign * 30,
+      nakshatra,
+      nakshatraName: NAKSHATRAS[nakshatra]
+    };
+  }
+
+  /**
+   * Every exact aspect a transiting body makes to natal points in a range
+   * @param {Object} options - Search options
+   * @param {string} options.body - Transiting body, a BODIES key
+   * @param {Object} options.targets - Natal points by name: { Moon: 123.4 }
+   * @param {Array<string>} options.aspects - ASPECTS keys, all by default
+   * @param {Date} options.start - Range start
+   * @param {Date} options.end - Range end
+   * @param {Object} options.settings - Chart settings (ayanamsa)
+   * @param {string} options.zodiac - 'sidereal' or 'tropical'
+   * @returns {Array<Object>} [{ at, body, target, aspect, angle, point,
+   *   retrograde, value }] by time; `point` is the longitude where it is
+   *   exact and `value` the unwrapped one the passes of a cycle share
+   */
+  aspects({
+    body,
+    targets,
+    aspects = Object.keys(ASPECTS),
+    start,
+    end,
+    ...options
+  }) {
+    const context = this.context(body, options);
+    const samples = this.sample(context, toJulianDay(start), toJulianDay(end));
+
+    const hits = [];
+    for (const [target, natal] of Object.entries(targets)) {
+      for (const aspect of aspects) {
+        if (!(aspect in ASPECTS)) {
+          throw new Error(`Unknown aspect: ${aspect}`);
+        }
+        const angle = ASPECTS[aspect];
+        // Conjunctions and oppositions have one point, the others two
+        const points =
+          angle % 180 === 0 ?
+            [normalize(natal + angle)] :
+            [normalize(natal + angle), normalize(natal - angle)];
+        for (const point of points) {
+          for (const crossing of this.crossings(context, samples, point, 360)) {
+            hits.push({
+              at: toDate(crossing.jd),
+              body: context.body.name,
+              target,
+              aspect,
+              angle,
+              point,
+              retrograde: crossing.retrograde,
+              value: crossing.value
+            });
+          }
+        }
+      }
+    }
+    return hits.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Exact aspects grouped into transits: the one, or three, passes a body
+   * makes over the same point in one retrograde cycle. The range is widened
+   * by the body's loop so a cycle that touches it comes with all its passes.
+   * @param {Object} options - Same as aspects()
+   * @returns {Array<Object>} [{ body, target, aspect, angle, point, passes,
+   *   first, last }] by first pass; `passes` are [{ at, retrograde }]
+   */
+  transits({ start, end, ...options }) {
+    const { loop } = this.context(options.body, options).body;
+    const pad = loop * 86400000;
+    const hits = this.aspects({
+      ...options,
+      start: new Date(start.getTime() - pad),
+      end: new Date(end.getTime() + pad)
+    });
+
+    const cycles = new Map();
+    for (const hit of hits) {
+      // Passes of one cycle cross the same unwrapped longitude
+      const key = `${hit.target}|${hit.aspect}|${hit.value.toFixed(6)}`;
+      if (!cycles.has(key)) {
+        cycles.set(key, {
+          body: hit.body,
+          target: hit.target,
+          aspect: hit.aspect,
+          angle: hit.angle,
+          point: hit.point,
+          passes: []
+        });
+      }
+      cycles.get(key).passes.push({ at: hit.at, retrograde: hit.retrograde });
+    }
+
+    return [...cycles.values()]
+      .map(cycle => ({
+        ...cycle,
+        first: cycle.passes[0].at,
+        last: cycle.passes[cycle.passes.length - 1].at
+      }))
+      .filter(cycle => cycle.last >= start && cycle.first <= end)
+      .sort((a, b) => a.first - b.first);
+  }
+
+  /**
+   * Sign or nakshatra ingresses of a body in a range
+   * @param {Object} options - Search options
+   * @param {string} options.body - BODIES key
+   * @param {Date} options.start - Range start
+   * @param {Date} options.end - Range end
+   * @param {string} options.division - 'sign' or 'nakshatra'
+   * @param {Object} options.settings - Chart settings (ayanamsa)
+   * @param {string} options.zodiac - 'sidereal' or 'tropical'
+   * @returns {Array<Object>} [{ at, body, division, from, to, fromName,
+   *   toName, retrograde }] by time
+   */
+  ingresses({ body, start, end, division = 'sign', ...options }) {
+    const { span, names } = DIVISIONS[division] || {};
+    if (!span) {
+      throw new Error(`Unknown division: ${division}`);
+    }
+    const context = this.context(body, options);
+    const samples = this.sample(context, toJulianDay(start), toJulianDay(end));
+    const count = names.length;
+
+    return this.crossings(context, samples, 0, span).map(crossing => {
+      const boundary = Math.round(normalize(crossing.value) / span) % count;
+      const before = (boundary + count - 1) % count;
+      const [from, to] = crossing.retrograde ?
+        [boundary, before] :
+        [before, boundary];
+      return {
+        at: toDate(crossing.jd),
+        body: context.body.name,
+        division,
+        from,
+        to,
+        fromName: names[from],
+        toName: names[to],
+        retrograde: crossing.retrograde
+      };
+    });
+  }
+
+  /**
+   * Retrograde and direct stations of a body in a range
+   * @param {Object} options - Search options
+   * @param {string} options.body - BODIES key
+   * @param {Date} options.start - Range start
+   * @param {Date} options.end - Range end
+   * @param {Object} options.settings - Chart settings (ayanamsa)
+   * @param {string} options.zodiac - 'sidereal' or 'tropical'
+   * @returns {Array<Object>} [{ at, body, type, longitude, signName }] by
+   *   time; `type` is 'retrograde' or 'direct'
+   */
+  stations({ body, start, end, ...options }) {
+    const context = this.context(body, options);
+    return this.sample(context, toJulianDay(start), toJulianDay(end))
+      .filter(sample => sample.station)
+      .map(sample => {
+        const longitude = normalize(sample.longitude);
+        return {
+          at: toDate(sample.jd),
+          body: context.body.name,
+          type: sample.station,
+          longitude,
+          signName: SIGNS[Math.floor(longitude / 30)]
+        };
+      });
+  }
+
+  /**
+   * The next ingress of a body, searched a few months at a time
+   * @param {string} body - BODIES key
+   * @param {Object} options - { start, division, maxDays, settings, zodiac }
+   * @returns {Object|null} ingresses() entry, null if none within maxDays
+   */
+  nextIngress(
+    body,
+    { start = new Date(), division = 'sign', maxDays = 1100, ...options } = {}
+  ) {
+    const chunk = 180;
+    for (let offset = 0; offset < maxDays; offset += chunk) {
+      const from = new Date(start.getTime() + offset * 86400000);
+      const to = new Date(
+        start.getTime() + Math.min(offset + chunk, maxDays) * 86400000
+      );
+      const [found] = this.ingresses({
+        body,
+        start: from,
+        end: to,
+        division,
+        ...options
+      });
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The tithi running at an instant
+   * @param {Date} instant - UTC instant
+   * @returns {Object} { tithi, name, paksha, elongation }
+   */
+  tithi(instant = new Date()) {
+    const { longitude } = this.at(
+      this.elongationContext(),
+      toJulianDay(instant)
+    );
+    return {
+      ...describeTithi(Math.floor(longitude / TITHI_SPAN) + 1),
+      elongation: longitude
+    };
+  }
+
+  /**
+   * Tithis beginning in a range. A tithi begins each time the Moon gains
+   * another 12° on the Sun; the first begins at the new Moon.
+   * @param {Object} options - { start, end }
+   * @returns {Array<Object>} [{ at, tithi, name, paksha }] by time
+   */
+  tithis({ start, end }) {
+    const context = this.elongationContext();
+    const samples = this.sample(context, toJulianDay(start), toJulianDay(end));
+    return this.crossings(context, samples, 0, TITHI_SPAN).map(crossing => ({
+      at: toDate(crossing.jd),
+      ...describeTithi(
+        (Math.round(normalize(crossing.value) / TITHI_SPAN) % 30) + 1
+      )
+    }));
+  }
+
+  /**
+   * Solar and lunar eclipses in a range, at their maximum, with the place
+   * of the Sun (solar) or Moon (lunar) then
+   * @param {Object} options - Search options
+   * @param {Date} options.start - Range start
+   * @param {Date} options.end - Range end
+   * @param {Object} options.settings - Chart settings (ayanamsa)
+   * @param {string} options.zodiac - 'sidereal' or 'tropical'
+   * @returns {Array<Object>} [{ at, kind, type, longitude, signName,
+   *   degree }] by time; `kind` is 'solar' or 'lunar', `type` 'total',
+   *   'hybrid', 'annular', 'partial' or 'penumbral'
+   */
+  eclipses({ start, end, ...options }) {
+    const endJd = toJulianDay(end);
+    const found = [];
+    for (const [kind, { body, types }] of Object.entries(ECLIPSES)) {
+      let jd = toJulianDay(start);
+      for (;;) {
+        const eclipse = this.eclipse(kind, jd);
+        if (eclipse.jd > endJd) {
+          break;
+        }
+        const at = toDate(eclipse.jd);
+        const { longitude, signName, degree } = this.position(
+          body,
+          at,
+          options
+        );
+        const [type] = types.find(([, flag]) => eclipse.flags & flag) || [
+          'partial'
+        ];
+        found.push({ at, kind, type, longitude, signName, degree });
+        // Eclipses of one kind are weeks apart
+        jd = eclipse.jd + 1;
+      }
+    }
+    return found.sort((a, b) => a.at - b.at);
+  }
+
+  /**
+   * Context for the Moon's elongation, the same in either zodiac
+   * @private
+   * @returns {Object} context() result
+   */
+  elongationContext() {
+    return {
+      body: ELONGATION,
+      settings: resolveChartSettings(),
+      zodiac: 'tropical'
+    };
+  }
+
+  /**
+   * @private
+   * @param {string} body - BODIES key
+   * @param {Object} options - { settings, zodiac }
+   * @returns {Object} { body, settings, zodiac }
+   */
+  context(body, { settings, zodiac = 'sidereal' } = {}) {
+    const entry = BODIES[String(body).toLowerCase()];
+    if (!entry) {
+      throw new Error(`Unknown body: ${body}`);
+    }
+    if (zodiac !== 'sidereal' && zodiac !== 'tropical') {
+      throw new Error(`Unknown zodiac: ${zodiac}`);
+    }
+    return {
+      body: entry,
+      settings: settings || resolveChartSettings(),
+      zodiac
+    };
+  }
+
+  /**
+   * @private
+   * @param {Object} context - context() result
+   * @param {number} jd - Julian day (UT)
+   * @returns {Object} { longitude, speed }; for a pair of bodies, the
+   *   first's lead on the second
+   */
+  at(context, jd) {
+    const { body } = context;
+    if (body.pair) {
+      const [a, b] = body.pair.map(key =>
+        this.ephemeris(BODIES[key], jd, context)
+      );
+      return {
+        longitude: normalize(a.longitude - b.longitude),
+        speed: a.speed - b.speed
+      };
+    }
+    return this.ephemeris(body, jd, context);
+  }
+
+  /**
+   * Longitudes over a range, unwrapped so they run on past 360, with the
+   * stations in between added as samples of their own. Consecutive samples
+   * then bound a stretch where the body moves one way only.
+   * @private
+   * @param {Object} context - context() result
+   * @param {number} startJd - Range start
+   * @param {number} endJd - Range end
+   * @returns {Array<Object>} [{ jd, longitude, speed, station }]
+   */
+  sample(context, startJd, endJd) {
+    if (!(endJd > startJd)) {
+      throw new Error('The search range must end after it starts');
+    }
+    const { step } = context.body;
+    const grid = [];
+    for (let jd = startJd; jd < endJd; jd += step) {
+      grid.push(jd);
+    }
+    grid.push(endJd);
+
+    const samples = [];
+    let previous = null;
+    const push = (jd, { longitude, speed }, station = null) => {
+      const unwrapped = previous ?
+        previous.longitude + wrap(longitude - previous.raw) :
+        longitude;
+      previous = { jd, longitude: unwrapped, raw: longitude, speed, station };
+      samples.push(previous);
+    };
+
+    // Speeds are compared between grid samples: a station's own speed is
+    // zero give or take rounding
+    let last = null;
+    for (const jd of grid) {
+      const position = this.at(context, jd);
+      if (last && Math.sign(position.speed) * Math.sign(last.speed) < 0) {
+        const station = this.bisect(
+          last.jd,
+          jd,
+          t => this.at(context, t).speed,
+          last.speed
+        );
+        push(
+          station,
+          this.at(context, station),
+          last.speed > 0 ? 'retrograde' : 'direct'
+        );
+      }
+      push(jd, position);
+      last = { jd, speed: position.speed };
+    }
+    return samples;
+  }
+
+  /**
+   * Instants the unwrapped longitude crosses point + n * period
+   * @private
+   * @param {Object} context - context() result
+   * @param {Array<Object>} samples - sample() result
+   * @param {number} point - Longitude in [0, period)
+   * @param {number} period - 360 for aspects, the span for ingresses
+   * @returns {Array<Object>} [{ jd, value, retrograde }] by time
+   */
+  crossings(context, samples, point, period) {
+    const found = [];
+    for (let i = 1; i < samples.length; i++) {
+      const a = samples[i - 1];
+      const b = samples[i];
+      if (a.longitude === b.longitude) {
+        continue;
+      }
+      const retrograde = b.longitude < a.longitude;
+      const low = Math.min(a.longitude, b.longitude);
+      const high = Math.max(a.longitude, b.longitude);
+      // The end sample owns a crossing that lands exactly on it
+      for (
+        let n = Math.ceil((low - point) / period);
+        point + n * period <= high;
+        n++
+      ) {
+        const value = point + n * period;
+        if (value === a.longitude) {
+          continue;
+        }
+        const offset = t =>
+          a.longitude + wrap(this.at(context, t).longitude - a.raw) - value;
+        const jd =
+          value === b.longitude ?
+            b.jd :
+            this.bisect(a.jd, b.jd, offset, a.longitude - value);
+        found.push({ jd, value, retrograde });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Root of a function between two instants where it changes sign
+   * @private
+   * @param {number} low - Bracket start (Julian day)
+   * @param {number} high - Bracket end (Julian day)
+   * @param {Function} f - Function of the Julian day
+   * @param {number} atLow - f(low)
+   * @returns {number} Julian day of the root, to the second
+   */
+  bisect(low, high, f, atLow) {
+    let a = low;
+    let b = high;
+    let fa = atLow;
+    while (b - a > PRECISION_DAYS) {
+      const middle = (a + b) / 2;
+      const fm = f(middle);
+      if (fm === 0) {
+        return middle;
+      }
+      if (Math.sign(fm) === Math.sign(fa)) {
+        a = middle;
+        fa = fm;
+      } else {
+        b = middle;
+      }
+    }
+    return (a + b) / 2;
+  }
+}
+
+module.exports = {
+  EventFinder,
+  BODIES,
+  ASPECTS,
+  TITHIS,
+  ECLIPSES,
+  describeTithi,
+  swissEphemeris,
+  swissEclipse,
+  toJulianDay,
+  toDate
+};
@@ -0,0 +1,326 @@
+const { resolveChartSettings } = require('../core/ChartSettings');
+const { TimezoneDatabase } = require('../geocoding/TimezoneDatabase');
+const { EventFinder } = require('./EventFinder');
+
+const DAY_MS = 86400000;
+// Longest lunar month, with margin: how far before a range its month began
+const MONTH_DAYS = 31;
+
+// Amanta lunar months, each named for the sign the Sun holds at the new
+// Moon that begins it (Chaitra: Pisces)
+const LUNAR_MONTHS = Object.freeze([
+  'Chaitra',
+  'Vaishakha',
+  'Jyeshtha',
+  'Ashadha',
+  'Shravana',
+  'Bhadrapada',
+  'Ashvin',
+  'Kartika',
+  'Margashirsha',
+  'Pausha',
+  'Magha',
+  'Phalguna'
+]);
+
+// Local clock hour a festival's tithi must hold on the day it is kept:
+// sunrise (udaya tithi), midday, afternoon (aparahna), evening (pradosh)
+// or the following midnight (nishita)
+const OBSERVANCES = Object.freeze({
+  sunrise: 6,
+  midday: 12,
+  afternoon: 15,
+  evening: 19,
+  midnight: 24
+});
+
+/**
+ * Festivals by amanta month (LUNAR_MONTHS index) and tithi (1-30), or by
+ * the sidereal sign the Sun enters; `dayAfter` festivals are kept the day
+ * after the one their tithi gives
+ */
+const FESTIVALS = Object.freeze({
+  makar_sankranti: {
+    name: 'Makar Sankranti',
+    summary: 'The Sun enters Capricorn: harvest festival and holy bath',
+    sign: 9
+  },
+  maha_shivaratri: {
+    name: 'Maha Shivaratri',
+    summary: 'Night of Lord Shiva: fasting and a night-long vigil',
+    month: 10,
+    tithi: 29,
+    observed: 'midnight'
+  },
+  holika_dahan: {
+    name: 'Holika Dahan',
+    summary: 'Bonfire of Holika on the eve of Holi',
+    month: 11,
+    tithi: 15,
+    observed: 'evening'
+  },
+  // Played the morning after the bonfire, whatever tithi then holds
+  holi: {
+    name: 'Holi',
+    summary: 'Festival of colours and the arrival of spring',
+    month: 11,
+    tithi: 15,
+    observed: 'evening',
+    dayAfter: true
+  },
+  ram_navami: {
+    name: 'Ram Navami',
+    summary: 'Birth of Lord Rama',
+    month: 0,
+    tithi: 9,
+    observed: 'midday'
+  },
+  hanuman_jayanti: {
+    name: 'Hanuman Jayanti',
+    summary: 'Birth of Lord Hanuman',
+    month: 0,
+    tithi: 15,
+    observed: 'sunrise'
+  },
+  raksha_bandhan: {
+    name: 'Raksha Bandhan',
+    summary: 'Sisters tie rakhi for their brothers’ protection',
+    month: 4,
+    tithi: 15,
+    observed: 'sunrise'
+  },
+  krishna_janmashtami: {
+    name: 'Krishna Janmashtami',
+    summary: 'Birth of Lord Krishna, celebrated at midnight',
+    month: 4,
+    tithi: 23,
+    observed: 'midnight'
+  },
+  ganesh_chaturthi: {
+    name: 'Ganesh Chaturthi',
+    summary: 'Birth of Lord Ganesha',
+    month: 5,
+    tithi: 4,
+    observed: 'midday'
+  },
+  navaratri: {
+    name: 'Sharad Navaratri begins',
+    summary: 'Nine nights of the Goddess Durga',
+    month: 6,
+    tithi: 1,
+    observed: 'sunrise'
+  },
+  dussehra: {
+    name: 'Dussehra (Vijayadashami)',
+    summary: 'Victory of Rama over Ravana and of Durga over Mahishasura',
+    month: 6,
+    tithi: 10,
+    observed: 'afternoon'
+  },
+  dhanteras: {
+    name: 'Dhanteras',
+    summary: 'First day of Diwali: worship of Dhanvantari and Lakshmi',
+    month: 6,
+    tithi: 28,
+    observed: 'evening'
+  },
+  diwali: {
+    name: 'Diwali (Lakshmi Puja)',
+    summary: 'Festival of lights: Lakshmi Puja in the evening',
+    month: 6,
+    tithi: 30,
+    observed: 'evening'
+  }
+});
+
+/**
+ * The day after a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const nextDate = date =>
+  new Date(Date.parse(date) + DAY_MS).toISOString().substring(0, 10);
+
+/**
+ * FestivalCalendar - Dates of the major Hindu festivals, from the exact
+ * tithis and lunar months rather than fixed Gregorian estimates. Months are
+ * amanta (new Moon to new Moon) with Lahiri ayanamsa; an adhika (leap)
+ * month, in which the Sun changes no sign, holds no festivals. A festival
+ * falls on the day its tithi holds at the hour it is kept (OBSERVANCES) in
+ * the given zone, or on the day its tithi begins when it holds at no such
+ * hour. Regional almanacs can differ by a day where a tithi is short.
+ */
+class FestivalCalendar {
+  /**
+   * @param {Object} options - Calendar options
+   * @param {Object} options.finder - EventFinder
+   * @param {Object} options.timezoneDatabase - TimezoneDatabase instance
+   */
+  constructor({
+    finder = new EventFinder(),
+    timezoneDatabase = new TimezoneDatabase()
+  } = {}) {
+    this.finder = finder;
+    this.timezoneDatabase = timezoneDatabase;
+  }
+
+  /**
+   * Festivals kept in a range
+   * @param {Object} options - Search options
+   * @param {Date} options.start - Range start
+   * @param {Date} options.end - Range end
+   * @param {string} options.timezone - IANA zone the days are counted in
+   * @returns {Array<Object>} [{ key, name, summary, date, month, tithi,
+   *   tithiName, paksha, startsAt, endsAt }] by date; `date` is YYYY-MM-DD
+   *   in the zone and `startsAt`/`endsAt` bound the tithi (or are the
+   *   instant of the Sun's ingress)
+   */
+  festivals({ start, end, timezone = 'UTC' }) {
+    const zone = this.timezoneDatabase.isValidZone(timezone) ? timezone : 'UTC';
+    const first = this._dateIn(zone, start);
+    const last = this._dateIn(zone, end);
+
+    const found = [...this._lunarFestivals(start, end, zone)];
+    for (const ingress of this.finder.ingresses({
+      body: 'sun',
+      start,
+      end,
+      settings: resolveChartSettings()
+    })) {
+      for (const [key, festival] of Object.entries(FESTIVALS)) {
+        if (festival.sign === ingress.to && !ingress.retrograde) {
+          found.push({
+            key,
+            name: festival.name,
+            summary: festival.summary,
+            date: this._dateIn(zone, ingress.at),
+            startsAt: ingress.at,
+            endsAt: ingress.at
+          });
+        }
+      }
+    }
+
+    return found
+      .filter(festival => festival.date >= first && festival.date <= last)
+      .sort((a, b) => a.date.localeCompare(b.date) || a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Amanta months overlapping a range
+   * @param {Array<Object>} tithis - EventFinder.tithis() result
+   * @returns {Array<Object>} [{ start, end, index, name, adhika }]
+   */
+  months(tithis) {
+    const settings = resolveChartSettings();
+    const newMoons = tithis
+      .filter(tithi => tithi.tithi === 1)
+      .map(tithi => ({
+        at: tithi.at,
+        sign: this.finder.position('sun', tithi.at, { settings }).sign
+      }));
+
+    const months = [];
+    for (let i = 0; i < newMoons.length - 1; i++) {
+      const index = (newMoons[i].sign + 1) % 12;
+      months.push({
+        start: newMoons[i].at,
+        end: newMoons[i + 1].at,
+        index,
+        name: LUNAR_MONTHS[index],
+        adhika: newMoons[i].sign === newMoons[i + 1].sign
+      });
+    }
+    return months;
+  }
+
+  /**
+   * @private
+   * @returns {Array<Object>} Festivals set by tithi, unfiltered
+   */
+  _lunarFestivals(start, end, zone) {
+    // The month of the range's first tithi began up to a month earlier, and
+    // the month after the range ends decides whether its last is adhika
+    const tithis = this.finder.tithis({
+      start: new Date(start.getTime() - MONTH_DAYS * DAY_MS),
+      end: new Date(end.getTime() + MONTH_DAYS * DAY_MS)
+    });
+    const months = this.months(tithis);
+
+    const found = [];
+    for (let i = 0; i < tithis.length - 1; i++) {
+      const tithi = tithis[i];
+      const month = months.find(
+        entry => tithi.at >= entry.start && tithi.at < entry.end
+      );
+      if (!month || month.adhika) {
+        continue;
+      }
+      for (const [key, festival] of Object.entries(FESTIVALS)) {
+        if (festival.month !== month.index || festival.tithi !== tithi.tithi) {
+          continue;
+        }
+        const endsAt = tithis[i + 1].at;
+        const date = this._observedOn(
+          tithi.at,
+          endsAt,
+          festival.observed,
+          zone
+        );
+        found.push({
+          key,
+          name: festival.name,
+          summary: festival.summary,
+          date: festival.dayAfter ? nextDate(date) : date,
+          month: month.name,
+          tithi: tithi.tithi,
+          tithiName: tithi.name,
+          paksha: tithi.paksha,
+          startsAt: tithi.at,
+          endsAt
+        });
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Day whose observance hour falls inside the tithi
+   * @private
+   * @returns {string} YYYY-MM-DD
+   */
+  _observedOn(startsAt, endsAt, observed, zone) {
+    const hour = OBSERVANCES[observed];
+    const from = this.timezoneDatabase.getLocalTime(zone, startsAt);
+    // A tithi lasts under 27 hours, so it touches at most three dates
+    for (let offset = -1; offset <= 2; offset++) {
+      const day = new Date(
+        Date.UTC(from.year, from.month - 1, from.day + offset)
+      );
+      const moment = this.timezoneDatabase.localTimeToUtc(zone, {
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate() + Math.floor(hour / 24),
+        hour: hour % 24
+      });
+      if (moment >= startsAt && moment < endsAt) {
+        return day.toISOString().substring(0, 10);
+      }
+    }
+    return this._dateIn(zone, startsAt);
+  }
+
+  /**
+   * @private
+   * @returns {string} YYYY-MM-DD of an instant in a zone
+   */
+  _dateIn(zone, instant) {
+    const { year, month, day } = this.timezoneDatabase.getLocalTime(
+      zone,
+      instant
+    );
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+}
+
+module.exports = { FestivalCalendar, FESTIVALS, LUNAR_MONTHS, OBSERVANCES };
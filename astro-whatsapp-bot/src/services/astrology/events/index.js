@@ -0,0 +1,61 @@
+const {
+  EventFinder,
+  BODIES,
+  ASPECTS,
+  TITHIS,
+  ECLIPSES,
+  describeTithi,
+  swissEphemeris,
+  swissEclipse,
+  toJulianDay,
+  toDate
+} = require('./EventFinder');
+const {
+  FestivalCalendar,
+  FESTIVALS,
+  LUNAR_MONTHS
+} = require('./FestivalCalendar');
+
+// Process-wide finder and calendar, created on first use
+let finder = null;
+let festivalCalendar = null;
+
+/**
+ * Shared event finder over Swiss Ephemeris
+ * @returns {EventFinder} Event finder
+ */
+const getEventFinder = () => {
+  if (!finder) {
+    finder = new EventFinder();
+  }
+  return finder;
+};
+
+/**
+ * Shared festival calendar over the shared event finder
+ * @returns {FestivalCalendar} Festival calendar
+ */
+const getFestivalCalendar = () => {
+  if (!festivalCalendar) {
+    festivalCalendar = new FestivalCalendar({ finder: getEventFinder() });
+  }
+  return festivalCalendar;
+};
+
+module.exports = {
+  EventFinder,
+  BODIES,
+  ASPECTS,
+  TITHIS,
+  ECLIPSES,
+  describeTithi,
+  swissEphemeris,
+  swissEclipse,
+  toJulianDay,
+  toDate,
+  getEventFinder,
+  FestivalCalendar,
+  FESTIVALS,
+  LUNAR_MONTHS,
+  getFestivalCalendar
+};
@@ -0,0 +1,313 @@
+const { CITIES, COUNTRIES, REGION_ALIASES } = require('./gazetteerData');
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Normalize a place name for matching: strip accents, case and punctuation
+ * @param {string} text - Raw name
+ * @returns {string} Normalized name
+ */
+const normalizeName = text =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'`]/g, '')
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .trim();
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+const editDistance = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Similarity in [0, 1] derived from edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical strings
+ */
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lng1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lng2 - Longitude of the second point
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = deg => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Gazetteer - Offline city lookup with alias, fuzzy and region matching
+ * Queries look like "City", "City, State", "City, Country" or
+ * "City State Country"; trailing parts narrow down ambiguous names.
+ */
+class Gazetteer {
+  /**
+   * @param {Object} options - Gazetteer options
+   * @param {Array} options.cities - City rows (see gazetteerData.js)
+   * @param {Object} options.countries - Country code -> names
+   * @param {Object} options.regionAliases - Region name -> aliases
+   * @param {number} options.minScore - Minimum fuzzy score for a match
+   */
+  constructor(options = {}) {
+    this.minScore = options.minScore || 0.75;
+    this.countries = options.countries || COUNTRIES;
+    this.places = (options.cities || CITIES).map(row => this._toPlace(row));
+
+    // Qualifier lookups: normalized country/region spelling -> canonical key
+    this.countryIndex = new Map();
+    Object.entries(this.countries).forEach(([code, names]) => {
+      this.countryIndex.set(normalizeName(code), code);
+      names.forEach(name => this.countryIndex.set(normalizeName(name), code));
+    });
+
+    this.regionIndex = new Map();
+    Object.entries(options.regionAliases || REGION_ALIASES).forEach(
+      ([region, aliases]) => {
+        const key = normalizeName(region);
+        [region, ...aliases].forEach(alias => {
+          const normalized = normalizeName(alias);
+          const keys = this.regionIndex.get(normalized) || new Set();
+          keys.add(key);
+          this.regionIndex.set(normalized, keys);
+        });
+      }
+    );
+  }
+
+  /**
+   * Search for places matching a free-text query
+   * @param {string} query - Place text as typed by the user
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Array<Object>} Matches, best first, each with a `score` in [0, 1]
+   */
+  search(query, { limit = 5 } = {}) {
+    const parts = String(query || '')
+      .split(',')
+      .map(normalizeName)
+      .filter(Boolean);
+    if (parts.length === 0) {
+      return [];
+    }
+
+    let results = this._rank(parts[0], parts.slice(1));
+
+    // "Springfield IL" / "Paris France": retry with trailing words as qualifiers
+    if (parts.length === 1 && !(results[0]?.score >= 1)) {
+      const words = parts[0].split(' ');
+      for (let i = words.length - 1; i > 0; i--) {
+        const split = this._rank(words.slice(0, i).join(' '), [
+          words.slice(i).join(' ')
+        ]);
+        if (split[0]?.score >= 1) {
+          results = split;
+          break;
+        }
+      }
+    }
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Find the gazetteer place closest to a coordinate
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @returns {Object|null} { place, distanceKm } or null if the gazetteer is empty
+   */
+  nearest(latitude, longitude) {
+    let best = null;
+    for (const place of this.places) {
+      const distance = distanceKm(
+        latitude,
+        longitude,
+        place.latitude,
+        place.longitude
+      );
+      if (!best || distance < best.distanceKm) {
+        best = { place: this._publicPlace(place), distanceKm: distance };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Every place in the gazetteer, most populous first
+   * @returns {Array<Object>} Public places
+   */
+  list() {
+    return this.places
+      .map(place => this._publicPlace(place))
+      .sort((a, b) => b.population - a.population);
+  }
+
+  /**
+   * Whether the best results are equally good but far apart
+   * (e.g. "Hyderabad" in India and in Pakistan)
+   * @param {Array<Object>} results - Output of search()
+   * @returns {boolean} True if the user should confirm the place
+   */
+  isAmbiguous(results) {
+    if (!results || results.length < 2) {
+      return false;
+    }
+    const [first, second] = results;
+    return (
+      second.score >= first.score &&
+      distanceKm(
+        first.latitude,
+        first.longitude,
+        second.latitude,
+        second.longitude
+      ) > 50
+    );
+  }
+
+  /**
+   * Score every place against a name and optional qualifiers
+   * @private
+   * @param {string} name - Normalized city name
+   * @param {Array<string>} qualifiers - Normalized region/country parts
+   * @returns {Array<Object>} Scored matches, best first
+   */
+  _rank(name, qualifiers) {
+    const matches = [];
+    for (const place of this.places) {
+      let score = 0;
+      for (const candidate of place.names) {
+        score = Math.max(score, similarity(name, candidate));
+        if (score === 1) {
+          break;
+        }
+      }
+      if (score < this.minScore) {
+        continue;
+      }
+
+      // Every qualifier that does not describe the place halves its score
+      qualifiers.forEach(qualifier => {
+        if (!this._qualifies(place, qualifier)) {
+          score *= 0.5;
+        }
+      });
+
+      matches.push({ ...this._publicPlace(place), score });
+    }
+
+    return matches.sort(
+      (a, b) => b.score - a.score || b.population - a.population
+    );
+  }
+
+  /**
+   * Check whether a qualifier names the place's region or country
+   * @private
+   * @param {Object} place - Internal place record
+   * @param {string} qualifier - Normalized qualifier
+   * @returns {boolean} True if it matches
+   */
+  _qualifies(place, qualifier) {
+    if (this.countryIndex.get(qualifier) === place.countryCode) {
+      return true;
+    }
+    const regions = this.regionIndex.get(qualifier);
+    if (regions && regions.has(place.regionKey)) {
+      return true;
+    }
+    return qualifier === place.regionKey;
+  }
+
+  /**
+   * Convert a data row into an internal place record
+   * @private
+   * @param {Array} row - City row
+   * @returns {Object} Place record
+   */
+  _toPlace(row) {
+    const [
+      name,
+      admin,
+      countryCode,
+      latitude,
+      longitude,
+      timezone,
+      population,
+      aliases = []
+    ] = row;
+    const country = (this.countries[countryCode] || [countryCode])[0];
+
+    return {
+      name,
+      admin,
+      country,
+      countryCode,
+      latitude,
+      longitude,
+      timezone,
+      population: population || 0,
+      regionKey: normalizeName(admin),
+      names: [name, ...aliases].map(normalizeName)
+    };
+  }
+
+  /**
+   * Strip matching internals from a place record
+   * @private
+   * @param {Object} place - Internal place record
+   * @returns {Object} Public place
+   */
+  _publicPlace(place) {
+    const { name, admin, country, countryCode, latitude, longitude } = place;
+    const displayParts = admin && admin !== name ? [name, admin, country] : [name, country];
+
+    return {
+      name,
+      admin,
+      country,
+      countryCode,
+      latitude,
+      longitude,
+      timezone: place.timezone,
+      population: place.population,
+      displayName: displayParts.join(', ')
+    };
+  }
+}
+
+module.exports = { Gazetteer, normalizeName, distanceKm };
@@ -2,88 +2,288 @@ const logger = require('../../../utils/logger');
 
 const NodeGeocoder = require('node-geocoder');
 const { Client } = require('@googlemaps/google-maps-services-js');
+const { Gazetteer } = require('./Gazetteer');
+const { TimezoneDatabase } = require('./TimezoneDatabase');
 
-// Initialize Geocoder (using OpenStreetMap for simplicity, can be configured for Google Maps if API key is available)
+// Online providers are optional fallbacks behind the offline gazetteer
 const geocoderOptions = {
   provider: 'openstreetmap', // Can be 'google', 'here', etc.
-  // apiKey: process.env.GOOGLE_MAPS_API_KEY, // Uncomment if using Google Maps Geocoding
   formatter: null // 'gpx', 'string', ...
 };
 const geocoder = NodeGeocoder(geocoderOptions);
-
-// Initialize Google Maps Services Client for Time Zone API
 const googleMapsClient = new Client({});
 
-// Ensure Google Maps API Key is set for Time Zone API
-const { GOOGLE_MAPS_API_KEY } = process.env;
-if (!GOOGLE_MAPS_API_KEY) {
-  logger.warn(
-    '⚠️ GOOGLE_MAPS_API_KEY is not set. Time Zone API functionality may be limited.'
-  );
-}
+// Used only when a place cannot be resolved by any source
+const DEFAULT_LOCATION = {
+  latitude: 28.6139,
+  longitude: 77.209,
+  timezoneId: 'Asia/Kolkata',
+  displayName: 'New Delhi, Delhi, India'
+};
+
+// Beyond this distance the nearest gazetteer city says little about the zone
+const MAX_TIMEZONE_NEIGHBOUR_KM = 300;
 
 /**
  * Geocoding and Timezone Service
- * Handles location coordinates and timezone calculations
+ * Resolves places offline from the bundled gazetteer and computes historical
+ * UTC offsets from the IANA tz database. OpenStreetMap and the Google Time
+ * Zone API are consulted only when the offline data has no answer. Every
+ * lookup reports its `source`: gazetteer, openstreetmap, tzdb, google,
+ * nautical or default.
  */
 class GeocodingService {
   /**
-   * Get coordinates for a place using NodeGeocoder
-   * @param {string} place - Place name (City, Country)
-   * @returns {Promise<Array>} [latitude, longitude]
+   * @param {Object} options - Service options
+   * @param {Gazetteer} options.gazetteer - Offline gazetteer
+   * @param {TimezoneDatabase} options.timezoneDatabase - tz database
+   * @param {boolean} options.onlineFallback - Allow online providers
+   * @param {string} options.googleMapsApiKey - Google Time Zone API key
    */
-  async getCoordinatesForPlace(place) {
-    // Validate and sanitize input
-    if (!place || typeof place !== 'string') {
-      logger.warn(`Invalid place input for geocoding: ${place}`);
-      return [28.6139, 77.209]; // Default to Delhi, India
+  constructor(options = {}) {
+    this.gazetteer = options.gazetteer || new Gazetteer();
+    this.timezoneDatabase = options.timezoneDatabase || new TimezoneDatabase();
+    this.onlineFallback =
+      options.onlineFallback !== undefined ?
+        options.onlineFallback :
+        process.env.GEOCODING_ONLINE_FALLBACK !== 'false';
+    this.googleMapsApiKey =
+      options.googleMapsApiKey !== undefined ?
+        options.googleMapsApiKey :
+        process.env.GOOGLE_MAPS_API_KEY;
+  }
+
+  /**
+   * Search the offline gazetteer for candidate places
+   * @param {string} place - Place name as typed by the user
+   * @param {number} limit - Maximum number of candidates
+   * @returns {Array<Object>} Candidates with name, admin, country, coordinates, timezone and score
+   */
+  searchPlaces(place, limit = 5) {
+    const sanitizedPlace = this._sanitizePlace(place);
+    if (!sanitizedPlace) {
+      return [];
     }
+    return this.gazetteer.search(sanitizedPlace, { limit });
+  }
 
-    // Limit length to prevent potential abuse
-    if (place.length > 200) {
-      logger.warn(
-        `Place input too long for geocoding: ${place.substring(0, 50)}...`
-      );
-      place = place.substring(0, 200);
+  /**
+   * Resolve a place to coordinates, reporting which source answered
+   * @param {string} place - Place name (City, State, Country)
+   * @returns {Promise<Object>} { latitude, longitude, timezoneId, displayName, source, ambiguous, candidates }
+   */
+  async resolvePlace(place) {
+    const sanitizedPlace = this._sanitizePlace(place);
+    if (!sanitizedPlace) {
+      logger.warn(`Invalid place input for geocoding: ${place}`);
+      return this._defaultLocation();
     }
 
-    // Basic sanitization to remove potentially harmful characters
-    // Allow only alphanumeric characters, spaces, commas, hyphens, and periods
-    const sanitizedPlace = place.replace(/[^\w\s\-,.'`]/g, '').trim();
+    const candidates = this.gazetteer.search(sanitizedPlace, { limit: 5 });
+    if (candidates.length > 0) {
+      const [best] = candidates;
+      return {
+        latitude: best.latitude,
+        longitude: best.longitude,
+        timezoneId: best.timezone,
+        displayName: best.displayName,
+        source: 'gazetteer',
+        ambiguous: this.gazetteer.isAmbiguous(candidates),
+        candidates
+      };
+    }
 
-    if (!sanitizedPlace) {
-      logger.warn(`Empty or invalid place after sanitization: ${place}`);
-      return [28.6139, 77.209]; // Default to Delhi, India
+    if (this.onlineFallback) {
+      try {
+        const res = await geocoder.geocode(sanitizedPlace);
+        if (res && res.length > 0) {
+          return {
+            latitude: res[0].latitude,
+            longitude: res[0].longitude,
+            timezoneId: null, // Resolved from coordinates on demand
+            displayName: res[0].formattedAddress || sanitizedPlace,
+            source: 'openstreetmap',
+            ambiguous: false,
+            candidates: []
+          };
+        }
+      } catch (error) {
+        logger.error(
+          `❌ Error geocoding place "${sanitizedPlace}":`,
+          error.message
+        );
+      }
     }
 
-    try {
-      const res = await geocoder.geocode(sanitizedPlace);
-      if (res && res.length > 0) {
-        return [res[0].latitude, res[0].longitude];
+    logger.warn(
+      `⚠️ Could not resolve place "${sanitizedPlace}", using default location`
+    );
+    return this._defaultLocation();
+  }
+
+  /**
+   * Get coordinates for a place
+   * @param {string} place - Place name (City, Country)
+   * @returns {Promise<Array>} [latitude, longitude]
+   */
+  async getCoordinatesForPlace(place) {
+    const { latitude, longitude } = await this.resolvePlace(place);
+    return [latitude, longitude];
+  }
+
+  /**
+   * Get coordinates for a place as an object (calculator interface)
+   * @param {string} place - Place name
+   * @returns {Promise<Object>} { latitude, longitude, timezoneId, displayName, source }
+   */
+  async getCoordinates(place) {
+    const { latitude, longitude, timezoneId, displayName, source } =
+      await this.resolvePlace(place);
+    return { latitude, longitude, timezoneId, displayName, source };
+  }
+
+  /**
+   * Resolve the time zone and UTC offset at a location and instant
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {number} timestamp - Unix timestamp (ms) of the event
+   * @param {string} timezoneId - Known IANA zone, skips the zone lookup
+   * @returns {Promise<Object>} { offset, timezoneId, source }
+   */
+  async resolveTimezone(
+    latitude,
+    longitude,
+    timestamp = Date.now(),
+    timezoneId = null
+  ) {
+    let zone = this.timezoneDatabase.isValidZone(timezoneId) ?
+      timezoneId :
+      null;
+
+    if (!zone) {
+      const nearest = this.gazetteer.nearest(latitude, longitude);
+      if (nearest && nearest.distanceKm <= MAX_TIMEZONE_NEIGHBOUR_KM) {
+        zone = nearest.place.timezone;
       }
-    } catch (error) {
-      logger.error(
-        `❌ Error geocoding place "${sanitizedPlace}":`,
-        error.message
-      );
     }
-    // Fallback to default if geocoding fails
-    return [28.6139, 77.209]; // Default to Delhi, India
+
+    if (zone) {
+      return {
+        offset: this.timezoneDatabase.getOffset(zone, timestamp),
+        timezoneId: zone,
+        source: 'tzdb'
+      };
+    }
+
+    const online = await this._fetchGoogleTimezone(
+      latitude,
+      longitude,
+      timestamp
+    );
+    if (online) {
+      return online;
+    }
+
+    const nautical = this.timezoneDatabase.getNauticalZone(longitude);
+    return {
+      offset: this.timezoneDatabase.getOffset(nautical, timestamp),
+      timezoneId: nautical,
+      source: 'nautical'
+    };
   }
 
   /**
-   * Get timezone for a place using Google Maps Time Zone API
+   * Get the UTC offset for a place at a given instant
    * @param {number} latitude - Latitude
    * @param {number} longitude - Longitude
    * @param {number} timestamp - Unix timestamp of the event
    * @returns {Promise<number>} UTC offset in hours
    */
   async getTimezoneForPlace(latitude, longitude, timestamp) {
-    if (!GOOGLE_MAPS_API_KEY) {
-      logger.warn(
-        'GOOGLE_MAPS_API_KEY is not set. Using default timezone offset (IST).'
-      );
-      return 5.5; // Default to IST offset
+    const { offset } = await this.resolveTimezone(
+      latitude,
+      longitude,
+      timestamp
+    );
+    return offset;
+  }
+
+  /**
+   * UTC offset for a local birth time (wall clock at the birthplace)
+   * @param {Object} location - { latitude, longitude, timezoneId }
+   * @param {Object} localTime - { year, month (1-12), day, hour, minute }
+   * @returns {Promise<Object>} { offset, timezoneId, source }
+   */
+  async getBirthTimezone(location, localTime) {
+    const { latitude, longitude } = location;
+    const approximateInstant = Date.UTC(
+      localTime.year,
+      localTime.month - 1,
+      localTime.day,
+      localTime.hour || 0,
+      localTime.minute || 0
+    );
+    const resolved = await this.resolveTimezone(
+      latitude,
+      longitude,
+      approximateInstant,
+      location.timezoneId
+    );
+
+    if (resolved.source === 'google') {
+      return resolved; // Already evaluated for this date by the provider
+    }
+    return {
+      ...resolved,
+      offset: this.timezoneDatabase.getOffsetForLocalTime(
+        resolved.timezoneId,
+        localTime
+      )
+    };
+  }
+
+  /**
+   * Get location info including coordinates and timezone
+   * @param {string} place - Place name
+   * @param {number} timestamp - Unix timestamp
+   * @returns {Promise<Object>} Location info with lat, lng, timezone and sources
+   */
+  async getLocationInfo(place, timestamp = Date.now()) {
+    const location = await this.resolvePlace(place);
+    const timezone = await this.resolveTimezone(
+      location.latitude,
+      location.longitude,
+      timestamp,
+      location.timezoneId
+    );
+
+    return {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timezone: timezone.offset,
+      timezoneId: timezone.timezoneId,
+      place,
+      displayName: location.displayName,
+      ambiguous: location.ambiguous,
+      candidates: location.candidates,
+      source: {
+        coordinates: location.source,
+        timezone: timezone.source
+      }
+    };
+  }
+
+  /**
+   * Query the Google Time Zone API when it is configured
+   * @private
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
+   * @param {number} timestamp - Unix timestamp (ms)
+   * @returns {Promise<Object|null>} { offset, timezoneId, source } or null
+   */
+  async _fetchGoogleTimezone(latitude, longitude, timestamp) {
+    if (!this.onlineFallback || !this.googleMapsApiKey) {
+      return null;
     }
 
     try {
@@ -91,50 +291,66 @@ class GeocodingService {
         params: {
           location: { lat: latitude, lng: longitude },
           timestamp: timestamp / 1000, // Google API expects seconds
-          key: GOOGLE_MAPS_API_KEY
+          key: this.googleMapsApiKey
         },
         timeout: 1000 // milliseconds
       });
 
       if (response.data.status === 'OK') {
-        const { rawOffset } = response.data; // Offset in seconds from UTC
-        const { dstOffset } = response.data; // Daylight saving offset in seconds
-        return (rawOffset + dstOffset) / 3600; // Convert to hours
-      } else {
-        logger.error(
-          'Google Maps Time Zone API error:',
-          response.data.errorMessage
-        );
+        const { rawOffset, dstOffset, timeZoneId } = response.data; // Offsets in seconds
+        return {
+          offset: (rawOffset + dstOffset) / 3600,
+          timezoneId: timeZoneId,
+          source: 'google'
+        };
       }
+      logger.error(
+        'Google Maps Time Zone API error:',
+        response.data.errorMessage
+      );
     } catch (error) {
       logger.error(
         '❌ Error fetching timezone from Google Maps API:',
         error.message
       );
     }
-    // Fallback to default if API call fails
-    return 5.5; // Default to IST offset
+    return null;
   }
 
   /**
-   * Get location info including coordinates and timezone
-   * @param {string} place - Place name
-   * @param {number} timestamp - Unix timestamp
-   * @returns {Promise<Object>} Location info with lat, lng, timezone
+   * Validate and sanitize place input
+   * @private
+   * @param {string} place - Raw place input
+   * @returns {string} Sanitized place, or '' if unusable
    */
-  async getLocationInfo(place, timestamp = Date.now()) {
-    const [latitude, longitude] = await this.getCoordinatesForPlace(place);
-    const timezone = await this.getTimezoneForPlace(
-      latitude,
-      longitude,
-      timestamp
-    );
+  _sanitizePlace(place) {
+    if (!place || typeof place !== 'string') {
+      return '';
+    }
+
+    // Limit length to prevent potential abuse
+    if (place.length > 200) {
+      logger.warn(
+        `Place input too long for geocoding: ${place.substring(0, 50)}...`
+      );
+      place = place.substring(0, 200);
+    }
+
+    // Allow only letters (incl. accented), digits, spaces, commas, hyphens, periods and apostrophes
+    return place.replace(/[^\p{L}\p{N}\s\-,.'`]/gu, '').trim();
+  }
 
+  /**
+   * Default location result, flagged so callers can ask the user again
+   * @private
+   * @returns {Object} Default location
+   */
+  _defaultLocation() {
     return {
-      latitude,
-      longitude,
-      timezone,
-      place
+      ...DEFAULT_LOCATION,
+      source: 'default',
+      ambiguous: false,
+      candidates: []
     };
   }
 }
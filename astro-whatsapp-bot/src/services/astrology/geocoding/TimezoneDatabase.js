@@ -0,0 +1,171 @@
+/**
+ * TimezoneDatabase - Historical UTC offsets from the IANA tz database
+ * Uses the tz data compiled into Node's ICU, so offsets account for DST,
+ * wartime time and pre-1970 local mean time without any network call.
+ */
+class TimezoneDatabase {
+  constructor() {
+    this.formatters = new Map(); // zone -> Intl.DateTimeFormat
+  }
+
+  /**
+   * Check whether a zone identifier is known to the tz database
+   * @param {string} zone - IANA zone, e.g. 'Asia/Kolkata'
+   * @returns {boolean} True if valid
+   */
+  isValidZone(zone) {
+    if (!zone || typeof zone !== 'string') {
+      return false;
+    }
+    try {
+      this._getFormatter(zone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * UTC offset in force in a zone at a given instant
+   * @param {string} zone - IANA zone
+   * @param {number|Date} instant - UTC instant (ms timestamp or Date)
+   * @returns {number} Offset in hours (e.g. 5.5 for IST)
+   */
+  getOffset(zone, instant) {
+    const date = instant instanceof Date ? instant : new Date(instant);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid instant for timezone lookup: ${instant}`);
+    }
+
+    const label = this._getFormatter(zone)
+      .formatToParts(date)
+      .find(part => part.type === 'timeZoneName').value;
+
+    return this._parseOffsetLabel(label);
+  }
+
+  /**
+   * UTC offset for a local wall-clock time, as written on a birth record.
+   * During a DST fold the earlier (daylight) reading is used; times inside
+   * a spring-forward gap take the offset in force just before the gap.
+   * @param {string} zone - IANA zone
+   * @param {Object} localTime - { year, month (1-12), day, hour, minute, second }
+   * @returns {number} Offset in hours
+   */
+  getOffsetForLocalTime(zone, localTime) {
+    const localMs = this._localToMs(localTime);
+
+    // Offsets a day either side bound the candidates for this wall time
+    const before = this.getOffset(zone, localMs - 86400000);
+    const after = this.getOffset(zone, localMs + 86400000);
+
+    const candidates = before === after ? [before] : [before, after];
+    const consistent = candidates.filter(
+      offset => this.getOffset(zone, localMs - offset * 3600000) === offset
+    );
+
+    if (consistent.length === 0) {
+      return before; // Wall time skipped by a transition
+    }
+    return Math.max(...consistent);
+  }
+
+  /**
+   * Convert a local wall-clock time in a zone to a UTC Date
+   * @param {string} zone - IANA zone
+   * @param {Object} localTime - { year, month (1-12), day, hour, minute, second }
+   * @returns {Date} UTC instant
+   */
+  localTimeToUtc(zone, localTime) {
+    const offset = this.getOffsetForLocalTime(zone, localTime);
+    return new Date(this._localToMs(localTime) - offset * 3600000);
+  }
+
+  /**
+   * Wall-clock time in a zone at a UTC instant
+   * @param {string} zone - IANA zone
+   * @param {number|Date} instant - UTC instant (ms timestamp or Date)
+   * @returns {Object} { year, month (1-12), day, hour, minute }
+   */
+  getLocalTime(zone, instant) {
+    const ms = instant instanceof Date ? instant.getTime() : instant;
+    const local = new Date(ms + this.getOffset(zone, ms) * 3600000);
+    return {
+      year: local.getUTCFullYear(),
+      month: local.getUTCMonth() + 1,
+      day: local.getUTCDate(),
+      hour: local.getUTCHours(),
+      minute: local.getUTCMinutes()
+    };
+  }
+
+  /**
+   * Nautical (longitude based) zone for places the gazetteer cannot place
+   * @param {number} longitude - Longitude in degrees
+   * @returns {string} Etc/GMT zone identifier
+   */
+  getNauticalZone(longitude) {
+    const hours = Math.max(-12, Math.min(14, Math.round(longitude / 15)));
+    if (hours === 0) {
+      return 'Etc/GMT';
+    }
+    // Etc/GMT signs are inverted: Etc/GMT-5 is UTC+5
+    return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+  }
+
+  /**
+   * @private
+   * @param {string} zone - IANA zone
+   * @returns {Intl.DateTimeFormat} Cached formatter
+   */
+  _getFormatter(zone) {
+    if (!this.formatters.has(zone)) {
+      this.formatters.set(
+        zone,
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: zone,
+          timeZoneName: 'longOffset'
+        })
+      );
+    }
+    return this.formatters.get(zone);
+  }
+
+  /**
+   * Parse labels like 'GMT', 'GMT+05:30' or 'GMT+05:21:10'
+   * @private
+   * @param {string} label - ICU long offset label
+   * @returns {number} Offset in hours
+   */
+  _parseOffsetLabel(label) {
+    const match = /^GMT(?:([+-])(\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(label);
+    if (!match) {
+      throw new Error(`Unrecognised timezone offset: ${label}`);
+    }
+    if (!match[1]) {
+      return 0;
+    }
+    const sign = match[1] === '-' ? -1 : 1;
+    const hours =
+      parseInt(match[2], 10) +
+      parseInt(match[3], 10) / 60 +
+      parseInt(match[4] || '0', 10) / 3600;
+    return sign * hours;
+  }
+
+  /**
+   * Treat a wall-clock time as if it were UTC
+   * @private
+   * @param {Object} localTime - { year, month, day, hour, minute, second }
+   * @returns {number} Milliseconds
+   */
+  _localToMs({ year, month, day, hour = 0, minute = 0, second = 0 }) {
+    const ms = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (Number.isNaN(ms)) {
+      throw new Error('Invalid local time for timezone lookup');
+    }
+    return ms;
+  }
+}
+
+module.exports = { TimezoneDatabase };
@@ -0,0 +1,566 @@
+/**
+ * Offline gazetteer data for GeocodingService
+ *
+ * CITIES rows: [name, admin region, country code, latitude, longitude,
+ * IANA time zone, population in thousands, aliases]. Aliases hold former and
+ * alternative names ("Bombay", "Madras", "Peking") so older birth records
+ * still resolve. Population is only used to rank otherwise equal matches.
+ */
+
+const COUNTRIES = {
+  IN: ['India', 'Bharat', 'Hindustan'],
+  PK: ['Pakistan'],
+  BD: ['Bangladesh', 'East Pakistan'],
+  NP: ['Nepal'],
+  LK: ['Sri Lanka', 'Ceylon'],
+  BT: ['Bhutan'],
+  MV: ['Maldives'],
+  AF: ['Afghanistan'],
+  MM: ['Myanmar', 'Burma'],
+  AE: ['United Arab Emirates', 'UAE', 'Emirates'],
+  QA: ['Qatar'],
+  SA: ['Saudi Arabia', 'KSA'],
+  KW: ['Kuwait'],
+  BH: ['Bahrain'],
+  OM: ['Oman'],
+  IR: ['Iran', 'Persia'],
+  IQ: ['Iraq'],
+  TR: ['Turkey', 'Turkiye'],
+  IL: ['Israel'],
+  JO: ['Jordan'],
+  LB: ['Lebanon'],
+  EG: ['Egypt'],
+  CN: ['China', 'PRC'],
+  HK: ['Hong Kong'],
+  TW: ['Taiwan'],
+  JP: ['Japan'],
+  KR: ['South Korea', 'Korea'],
+  SG: ['Singapore'],
+  MY: ['Malaysia'],
+  TH: ['Thailand', 'Siam'],
+  ID: ['Indonesia'],
+  PH: ['Philippines'],
+  VN: ['Vietnam', 'Viet Nam'],
+  KH: ['Cambodia'],
+  UZ: ['Uzbekistan'],
+  KZ: ['Kazakhstan'],
+  GB: ['United Kingdom', 'UK', 'Great Britain', 'Britain'],
+  IE: ['Ireland', 'Eire'],
+  FR: ['France'],
+  DE: ['Germany', 'Deutschland'],
+  NL: ['Netherlands', 'Holland'],
+  BE: ['Belgium'],
+  CH: ['Switzerland'],
+  AT: ['Austria'],
+  IT: ['Italy', 'Italia'],
+  ES: ['Spain', 'Espana'],
+  PT: ['Portugal'],
+  GR: ['Greece'],
+  SE: ['Sweden'],
+  NO: ['Norway'],
+  DK: ['Denmark'],
+  FI: ['Finland'],
+  PL: ['Poland'],
+  CZ: ['Czech Republic', 'Czechia', 'Czechoslovakia'],
+  HU: ['Hungary'],
+  RO: ['Romania'],
+  BG: ['Bulgaria'],
+  RS: ['Serbia', 'Yugoslavia'],
+  HR: ['Croatia'],
+  UA: ['Ukraine'],
+  RU: ['Russia', 'Russian Federation', 'USSR', 'Soviet Union'],
+  IS: ['Iceland'],
+  US: ['United States', 'USA', 'US', 'America', 'United States of America'],
+  CA: ['Canada'],
+  MX: ['Mexico'],
+  CU: ['Cuba'],
+  CR: ['Costa Rica'],
+  CO: ['Colombia'],
+  PE: ['Peru'],
+  VE: ['Venezuela'],
+  CL: ['Chile'],
+  AR: ['Argentina'],
+  BR: ['Brazil', 'Brasil'],
+  TT: ['Trinidad and Tobago', 'Trinidad'],
+  GY: ['Guyana'],
+  SR: ['Suriname'],
+  JM: ['Jamaica'],
+  NG: ['Nigeria'],
+  KE: ['Kenya'],
+  ZA: ['South Africa'],
+  MA: ['Morocco'],
+  GH: ['Ghana'],
+  ET: ['Ethiopia'],
+  TZ: ['Tanzania'],
+  UG: ['Uganda'],
+  MU: ['Mauritius'],
+  CD: ['DR Congo', 'Democratic Republic of the Congo', 'Zaire'],
+  AU: ['Australia'],
+  NZ: ['New Zealand'],
+  FJ: ['Fiji']
+};
+
+// Abbreviations and former names of admin regions, keyed by the name used in CITIES
+const REGION_ALIASES = {
+  // India
+  'Andaman and Nicobar Islands': ['AN'],
+  'Andhra Pradesh': ['AP'],
+  'Arunachal Pradesh': ['AR'],
+  Assam: ['AS'],
+  Bihar: ['BR'],
+  Chandigarh: ['CH'],
+  Chhattisgarh: ['CG', 'Chattisgarh'],
+  Delhi: ['DL', 'NCT', 'National Capital Territory'],
+  Goa: ['GA'],
+  Gujarat: ['GJ'],
+  Haryana: ['HR'],
+  'Himachal Pradesh': ['HP'],
+  'Jammu and Kashmir': ['JK', 'J&K', 'Kashmir'],
+  Jharkhand: ['JH'],
+  Karnataka: ['KA', 'Mysore State'],
+  Kerala: ['KL'],
+  Ladakh: ['LA'],
+  'Madhya Pradesh': ['MP'],
+  Maharashtra: ['MH', 'Bombay State'],
+  Manipur: ['MN'],
+  Meghalaya: ['ML'],
+  Mizoram: ['MZ'],
+  Nagaland: ['NL'],
+  Odisha: ['OD', 'OR', 'Orissa'],
+  Puducherry: ['PY', 'Pondicherry'],
+  Punjab: ['PB'],
+  Rajasthan: ['RJ'],
+  Sikkim: ['SK'],
+  'Tamil Nadu': ['TN', 'Madras State'],
+  Telangana: ['TG', 'TS'],
+  Tripura: ['TR'],
+  'Uttar Pradesh': ['UP', 'United Provinces'],
+  Uttarakhand: ['UK', 'UT', 'Uttaranchal'],
+  'West Bengal': ['WB', 'Bengal'],
+  // United States
+  Alabama: ['AL'],
+  Alaska: ['AK'],
+  Arizona: ['AZ'],
+  California: ['CA', 'Calif'],
+  Colorado: ['CO'],
+  'District of Columbia': ['DC', 'D C'],
+  Florida: ['FL'],
+  Georgia: ['GA'],
+  Hawaii: ['HI'],
+  Illinois: ['IL'],
+  Indiana: ['IN'],
+  Maine: ['ME'],
+  Massachusetts: ['MA', 'Mass'],
+  Michigan: ['MI'],
+  Minnesota: ['MN'],
+  Missouri: ['MO'],
+  Nevada: ['NV'],
+  'New Jersey': ['NJ'],
+  'New York': ['NY'],
+  'North Carolina': ['NC'],
+  Ohio: ['OH'],
+  Oregon: ['OR'],
+  Pennsylvania: ['PA'],
+  Tennessee: ['TN'],
+  Texas: ['TX'],
+  Utah: ['UT'],
+  Washington: ['WA'],
+  // Canada
+  Alberta: ['AB'],
+  'British Columbia': ['BC'],
+  Manitoba: ['MB'],
+  'Nova Scotia': ['NS'],
+  Ontario: ['ON'],
+  Quebec: ['QC'],
+  // Australia
+  'Australian Capital Territory': ['ACT'],
+  'New South Wales': ['NSW'],
+  'Northern Territory': ['NT'],
+  Queensland: ['QLD'],
+  'South Australia': ['SA'],
+  Tasmania: ['TAS'],
+  Victoria: ['VIC'],
+  'Western Australia': ['WA'],
+  // United Kingdom
+  England: [],
+  Scotland: [],
+  Wales: [],
+  'Northern Ireland': ['NI']
+};
+
+const CITIES = [
+  // India
+  ['Mumbai', 'Maharashtra', 'IN', 19.076, 72.8777, 'Asia/Kolkata', 12442, ['Bombay']],
+  ['Delhi', 'Delhi', 'IN', 28.7041, 77.1025, 'Asia/Kolkata', 11034],
+  ['New Delhi', 'Delhi', 'IN', 28.6139, 77.209, 'Asia/Kolkata', 250],
+  ['Kolkata', 'West Bengal', 'IN', 22.5726, 88.3639, 'Asia/Kolkata', 4497, ['Calcutta']],
+  ['Chennai', 'Tamil Nadu', 'IN', 13.0827, 80.2707, 'Asia/Kolkata', 4647, ['Madras']],
+  ['Bengaluru', 'Karnataka', 'IN', 12.9716, 77.5946, 'Asia/Kolkata', 8443, ['Bangalore']],
+  ['Hyderabad', 'Telangana', 'IN', 17.385, 78.4867, 'Asia/Kolkata', 6993, ['Bhagyanagar']],
+  ['Ahmedabad', 'Gujarat', 'IN', 23.0225, 72.5714, 'Asia/Kolkata', 5577, ['Amdavad']],
+  ['Pune', 'Maharashtra', 'IN', 18.5204, 73.8567, 'Asia/Kolkata', 3124, ['Poona']],
+  ['Surat', 'Gujarat', 'IN', 21.1702, 72.8311, 'Asia/Kolkata', 4467],
+  ['Jaipur', 'Rajasthan', 'IN', 26.9124, 75.7873, 'Asia/Kolkata', 3046, ['Pink City']],
+  ['Lucknow', 'Uttar Pradesh', 'IN', 26.8467, 80.9462, 'Asia/Kolkata', 2817],
+  ['Kanpur', 'Uttar Pradesh', 'IN', 26.4499, 80.3319, 'Asia/Kolkata', 2768, ['Cawnpore']],
+  ['Nagpur', 'Maharashtra', 'IN', 21.1458, 79.0882, 'Asia/Kolkata', 2405],
+  ['Indore', 'Madhya Pradesh', 'IN', 22.7196, 75.8577, 'Asia/Kolkata', 1964],
+  ['Thane', 'Maharashtra', 'IN', 19.2183, 72.9781, 'Asia/Kolkata', 1841],
+  ['Bhopal', 'Madhya Pradesh', 'IN', 23.2599, 77.4126, 'Asia/Kolkata', 1798],
+  ['Visakhapatnam', 'Andhra Pradesh', 'IN', 17.6868, 83.2185, 'Asia/Kolkata', 1728, ['Vizag', 'Vishakhapatnam', 'Waltair']],
+  ['Patna', 'Bihar', 'IN', 25.5941, 85.1376, 'Asia/Kolkata', 1684, ['Pataliputra']],
+  ['Vadodara', 'Gujarat', 'IN', 22.3072, 73.1812, 'Asia/Kolkata', 1670, ['Baroda']],
+  ['Ghaziabad', 'Uttar Pradesh', 'IN', 28.6692, 77.4538, 'Asia/Kolkata', 1636],
+  ['Ludhiana', 'Punjab', 'IN', 30.901, 75.8573, 'Asia/Kolkata', 1618],
+  ['Agra', 'Uttar Pradesh', 'IN', 27.1767, 78.0081, 'Asia/Kolkata', 1585],
+  ['Nashik', 'Maharashtra', 'IN', 19.9975, 73.7898, 'Asia/Kolkata', 1486, ['Nasik']],
+  ['Faridabad', 'Haryana', 'IN', 28.4089, 77.3178, 'Asia/Kolkata', 1414],
+  ['Meerut', 'Uttar Pradesh', 'IN', 28.9845, 77.7064, 'Asia/Kolkata', 1305],
+  ['Rajkot', 'Gujarat', 'IN', 22.3039, 70.8022, 'Asia/Kolkata', 1286],
+  ['Varanasi', 'Uttar Pradesh', 'IN', 25.3176, 82.9739, 'Asia/Kolkata', 1198, ['Benares', 'Banaras', 'Kashi']],
+  ['Srinagar', 'Jammu and Kashmir', 'IN', 34.0837, 74.7973, 'Asia/Kolkata', 1180],
+  ['Aurangabad', 'Maharashtra', 'IN', 19.8762, 75.3433, 'Asia/Kolkata', 1175, ['Chhatrapati Sambhajinagar', 'Sambhajinagar']],
+  ['Aurangabad', 'Bihar', 'IN', 24.7521, 84.3742, 'Asia/Kolkata', 102],
+  ['Amritsar', 'Punjab', 'IN', 31.634, 74.8723, 'Asia/Kolkata', 1132],
+  ['Prayagraj', 'Uttar Pradesh', 'IN', 25.4358, 81.8463, 'Asia/Kolkata', 1117, ['Allahabad']],
+  ['Ranchi', 'Jharkhand', 'IN', 23.3441, 85.3096, 'Asia/Kolkata', 1073],
+  ['Howrah', 'West Bengal', 'IN', 22.5958, 88.2636, 'Asia/Kolkata', 1072],
+  ['Coimbatore', 'Tamil Nadu', 'IN', 11.0168, 76.9558, 'Asia/Kolkata', 1050, ['Kovai']],
+  ['Jabalpur', 'Madhya Pradesh', 'IN', 23.1815, 79.9864, 'Asia/Kolkata', 1055, ['Jubbulpore']],
+  ['Gwalior', 'Madhya Pradesh', 'IN', 26.2183, 78.1828, 'Asia/Kolkata', 1054],
+  ['Vijayawada', 'Andhra Pradesh', 'IN', 16.5062, 80.648, 'Asia/Kolkata', 1048, ['Bezawada']],
+  ['Jodhpur', 'Rajasthan', 'IN', 26.2389, 73.0243, 'Asia/Kolkata', 1033],
+  ['Madurai', 'Tamil Nadu', 'IN', 9.9252, 78.1198, 'Asia/Kolkata', 1017],
+  ['Raipur', 'Chhattisgarh', 'IN', 21.2514, 81.6296, 'Asia/Kolkata', 1010],
+  ['Kota', 'Rajasthan', 'IN', 25.2138, 75.8648, 'Asia/Kolkata', 1001],
+  ['Guwahati', 'Assam', 'IN', 26.1445, 91.7362, 'Asia/Kolkata', 957, ['Gauhati']],
+  ['Chandigarh', 'Chandigarh', 'IN', 30.7333, 76.7794, 'Asia/Kolkata', 961],
+  ['Thiruvananthapuram', 'Kerala', 'IN', 8.5241, 76.9366, 'Asia/Kolkata', 957, ['Trivandrum']],
+  ['Kochi', 'Kerala', 'IN', 9.9312, 76.2673, 'Asia/Kolkata', 677, ['Cochin', 'Ernakulam']],
+  ['Kozhikode', 'Kerala', 'IN', 11.2588, 75.7804, 'Asia/Kolkata', 609, ['Calicut']],
+  ['Mysuru', 'Karnataka', 'IN', 12.2958, 76.6394, 'Asia/Kolkata', 920, ['Mysore']],
+  ['Mangaluru', 'Karnataka', 'IN', 12.9141, 74.856, 'Asia/Kolkata', 623, ['Mangalore']],
+  ['Hubballi', 'Karnataka', 'IN', 15.3647, 75.124, 'Asia/Kolkata', 943, ['Hubli', 'Hubli-Dharwad']],
+  ['Belagavi', 'Karnataka', 'IN', 15.8497, 74.4977, 'Asia/Kolkata', 488, ['Belgaum']],
+  ['Bhubaneswar', 'Odisha', 'IN', 20.2961, 85.8245, 'Asia/Kolkata', 837],
+  ['Cuttack', 'Odisha', 'IN', 20.4625, 85.883, 'Asia/Kolkata', 606],
+  ['Puri', 'Odisha', 'IN', 19.8135, 85.8312, 'Asia/Kolkata', 201],
+  ['Rourkela', 'Odisha', 'IN', 22.2604, 84.8536, 'Asia/Kolkata', 483],
+  ['Sambalpur', 'Odisha', 'IN', 21.4669, 83.9812, 'Asia/Kolkata', 183],
+  ['Dehradun', 'Uttarakhand', 'IN', 30.3165, 78.0322, 'Asia/Kolkata', 578, ['Dehra Dun']],
+  ['Haridwar', 'Uttarakhand', 'IN', 29.9457, 78.1642, 'Asia/Kolkata', 228, ['Hardwar']],
+  ['Rishikesh', 'Uttarakhand', 'IN', 30.0869, 78.2676, 'Asia/Kolkata', 102],
+  ['Shimla', 'Himachal Pradesh', 'IN', 31.1048, 77.1734, 'Asia/Kolkata', 170, ['Simla']],
+  ['Bilaspur', 'Chhattisgarh', 'IN', 22.0797, 82.1409, 'Asia/Kolkata', 452],
+  ['Bilaspur', 'Himachal Pradesh', 'IN', 31.326, 76.7562, 'Asia/Kolkata', 14],
+  ['Jammu', 'Jammu and Kashmir', 'IN', 32.7266, 74.857, 'Asia/Kolkata', 502],
+  ['Leh', 'Ladakh', 'IN', 34.1526, 77.5771, 'Asia/Kolkata', 31],
+  ['Udaipur', 'Rajasthan', 'IN', 24.5854, 73.7125, 'Asia/Kolkata', 451],
+  ['Ajmer', 'Rajasthan', 'IN', 26.4499, 74.6399, 'Asia/Kolkata', 542],
+  ['Bikaner', 'Rajasthan', 'IN', 28.0229, 73.3119, 'Asia/Kolkata', 644],
+  ['Noida', 'Uttar Pradesh', 'IN', 28.5355, 77.391, 'Asia/Kolkata', 637],
+  ['Gurugram', 'Haryana', 'IN', 28.4595, 77.0266, 'Asia/Kolkata', 877, ['Gurgaon']],
+  ['Ambala', 'Haryana', 'IN', 30.3782, 76.7767, 'Asia/Kolkata', 207],
+  ['Hisar', 'Haryana', 'IN', 29.1492, 75.7217, 'Asia/Kolkata', 301, ['Hissar']],
+  ['Rohtak', 'Haryana', 'IN', 28.8955, 76.6066, 'Asia/Kolkata', 374],
+  ['Patiala', 'Punjab', 'IN', 30.3398, 76.3869, 'Asia/Kolkata', 446],
+  ['Jalandhar', 'Punjab', 'IN', 31.326, 75.5762, 'Asia/Kolkata', 862, ['Jullundur']],
+  ['Puducherry', 'Puducherry', 'IN', 11.9416, 79.8083, 'Asia/Kolkata', 244, ['Pondicherry', 'Pondy']],
+  ['Panaji', 'Goa', 'IN', 15.4909, 73.8278, 'Asia/Kolkata', 115, ['Panjim']],
+  ['Margao', 'Goa', 'IN', 15.2832, 73.9862, 'Asia/Kolkata', 94, ['Madgaon']],
+  ['Tiruchirappalli', 'Tamil Nadu', 'IN', 10.7905, 78.7047, 'Asia/Kolkata', 916, ['Trichy', 'Trichinopoly']],
+  ['Salem', 'Tamil Nadu', 'IN', 11.6643, 78.146, 'Asia/Kolkata', 830],
+  ['Vellore', 'Tamil Nadu', 'IN', 12.9165, 79.1325, 'Asia/Kolkata', 504],
+  ['Thanjavur', 'Tamil Nadu', 'IN', 10.787, 79.1378, 'Asia/Kolkata', 222, ['Tanjore']],
+  ['Tirunelveli', 'Tamil Nadu', 'IN', 8.7139, 77.7567, 'Asia/Kolkata', 474, ['Tinnevelly']],
+  ['Kanchipuram', 'Tamil Nadu', 'IN', 12.8342, 79.7036, 'Asia/Kolkata', 164, ['Conjeevaram']],
+  ['Tirupati', 'Andhra Pradesh', 'IN', 13.6288, 79.4192, 'Asia/Kolkata', 374],
+  ['Nellore', 'Andhra Pradesh', 'IN', 14.4426, 79.9865, 'Asia/Kolkata', 499],
+  ['Guntur', 'Andhra Pradesh', 'IN', 16.3067, 80.4365, 'Asia/Kolkata', 743],
+  ['Kakinada', 'Andhra Pradesh', 'IN', 16.9891, 82.2475, 'Asia/Kolkata', 384, ['Cocanada']],
+  ['Rajahmundry', 'Andhra Pradesh', 'IN', 17.0005, 81.804, 'Asia/Kolkata', 478, ['Rajamahendravaram']],
+  ['Warangal', 'Telangana', 'IN', 17.9689, 79.5941, 'Asia/Kolkata', 811],
+  ['Karimnagar', 'Telangana', 'IN', 18.4386, 79.1288, 'Asia/Kolkata', 261],
+  ['Gorakhpur', 'Uttar Pradesh', 'IN', 26.7606, 83.3732, 'Asia/Kolkata', 673],
+  ['Bareilly', 'Uttar Pradesh', 'IN', 28.367, 79.4304, 'Asia/Kolkata', 903],
+  ['Aligarh', 'Uttar Pradesh', 'IN', 27.8974, 78.088, 'Asia/Kolkata', 874],
+  ['Moradabad', 'Uttar Pradesh', 'IN', 28.8386, 78.7733, 'Asia/Kolkata', 887],
+  ['Mathura', 'Uttar Pradesh', 'IN', 27.4924, 77.6737, 'Asia/Kolkata', 441],
+  ['Jhansi', 'Uttar Pradesh', 'IN', 25.4484, 78.5685, 'Asia/Kolkata', 505],
+  ['Ayodhya', 'Uttar Pradesh', 'IN', 26.7922, 82.1998, 'Asia/Kolkata', 55, ['Faizabad']],
+  ['Ujjain', 'Madhya Pradesh', 'IN', 23.1765, 75.7885, 'Asia/Kolkata', 515],
+  ['Sagar', 'Madhya Pradesh', 'IN', 23.8388, 78.7378, 'Asia/Kolkata', 274, ['Saugor']],
+  ['Satna', 'Madhya Pradesh', 'IN', 24.6005, 80.8322, 'Asia/Kolkata', 280],
+  ['Kolhapur', 'Maharashtra', 'IN', 16.705, 74.2433, 'Asia/Kolkata', 549],
+  ['Solapur', 'Maharashtra', 'IN', 17.6599, 75.9064, 'Asia/Kolkata', 951, ['Sholapur']],
+  ['Nanded', 'Maharashtra', 'IN', 19.1383, 77.321, 'Asia/Kolkata', 550],
+  ['Amravati', 'Maharashtra', 'IN', 20.932, 77.7523, 'Asia/Kolkata', 647],
+  ['Akola', 'Maharashtra', 'IN', 20.7002, 77.0082, 'Asia/Kolkata', 425],
+  ['Gaya', 'Bihar', 'IN', 24.7914, 85.0002, 'Asia/Kolkata', 470],
+  ['Muzaffarpur', 'Bihar', 'IN', 26.1209, 85.3647, 'Asia/Kolkata', 393],
+  ['Bhagalpur', 'Bihar', 'IN', 25.2425, 86.9842, 'Asia/Kolkata', 400],
+  ['Dhanbad', 'Jharkhand', 'IN', 23.7957, 86.4304, 'Asia/Kolkata', 1162],
+  ['Jamshedpur', 'Jharkhand', 'IN', 22.8046, 86.2029, 'Asia/Kolkata', 1339, ['Tatanagar']],
+  ['Bokaro', 'Jharkhand', 'IN', 23.6693, 86.1511, 'Asia/Kolkata', 414, ['Bokaro Steel City']],
+  ['Siliguri', 'West Bengal', 'IN', 26.7271, 88.3953, 'Asia/Kolkata', 513],
+  ['Durgapur', 'West Bengal', 'IN', 23.5204, 87.3119, 'Asia/Kolkata', 566],
+  ['Asansol', 'West Bengal', 'IN', 23.6739, 86.9524, 'Asia/Kolkata', 1243],
+  ['Darjeeling', 'West Bengal', 'IN', 27.041, 88.2663, 'Asia/Kolkata', 119],
+  ['Bhavnagar', 'Gujarat', 'IN', 21.7645, 72.1519, 'Asia/Kolkata', 605],
+  ['Jamnagar', 'Gujarat', 'IN', 22.4707, 70.0577, 'Asia/Kolkata', 600],
+  ['Gandhinagar', 'Gujarat', 'IN', 23.2156, 72.6369, 'Asia/Kolkata', 292],
+  ['Anand', 'Gujarat', 'IN', 22.5645, 72.9289, 'Asia/Kolkata', 198],
+  ['Kollam', 'Kerala', 'IN', 8.8932, 76.6141, 'Asia/Kolkata', 349, ['Quilon']],
+  ['Thrissur', 'Kerala', 'IN', 10.5276, 76.2144, 'Asia/Kolkata', 315, ['Trichur']],
+  ['Imphal', 'Manipur', 'IN', 24.817, 93.9368, 'Asia/Kolkata', 268],
+  ['Shillong', 'Meghalaya', 'IN', 25.5788, 91.8933, 'Asia/Kolkata', 143],
+  ['Agartala', 'Tripura', 'IN', 23.8315, 91.2868, 'Asia/Kolkata', 400],
+  ['Aizawl', 'Mizoram', 'IN', 23.7271, 92.7176, 'Asia/Kolkata', 293],
+  ['Kohima', 'Nagaland', 'IN', 25.6751, 94.1086, 'Asia/Kolkata', 100],
+  ['Itanagar', 'Arunachal Pradesh', 'IN', 27.0844, 93.6053, 'Asia/Kolkata', 60],
+  ['Gangtok', 'Sikkim', 'IN', 27.3389, 88.6065, 'Asia/Kolkata', 100],
+  ['Dibrugarh', 'Assam', 'IN', 27.4728, 94.912, 'Asia/Kolkata', 154],
+  ['Silchar', 'Assam', 'IN', 24.8333, 92.7789, 'Asia/Kolkata', 229],
+  ['Jorhat', 'Assam', 'IN', 26.7509, 94.2037, 'Asia/Kolkata', 153],
+  ['Port Blair', 'Andaman and Nicobar Islands', 'IN', 11.6234, 92.7265, 'Asia/Kolkata', 108, ['Sri Vijaya Puram']],
+
+  // Rest of South Asia
+  ['Karachi', 'Sindh', 'PK', 24.8607, 67.0011, 'Asia/Karachi', 14910],
+  ['Hyderabad', 'Sindh', 'PK', 25.396, 68.3578, 'Asia/Karachi', 1733],
+  ['Lahore', 'Punjab', 'PK', 31.5204, 74.3587, 'Asia/Karachi', 11126],
+  ['Islamabad', 'Islamabad Capital Territory', 'PK', 33.6844, 73.0479, 'Asia/Karachi', 1015],
+  ['Rawalpindi', 'Punjab', 'PK', 33.5651, 73.0169, 'Asia/Karachi', 2098],
+  ['Faisalabad', 'Punjab', 'PK', 31.4504, 73.135, 'Asia/Karachi', 3204, ['Lyallpur']],
+  ['Multan', 'Punjab', 'PK', 30.1575, 71.5249, 'Asia/Karachi', 1872],
+  ['Sialkot', 'Punjab', 'PK', 32.4945, 74.5229, 'Asia/Karachi', 655],
+  ['Peshawar', 'Khyber Pakhtunkhwa', 'PK', 34.0151, 71.5249, 'Asia/Karachi', 1970],
+  ['Quetta', 'Balochistan', 'PK', 30.1798, 66.975, 'Asia/Karachi', 1001],
+  ['Dhaka', 'Dhaka', 'BD', 23.8103, 90.4125, 'Asia/Dhaka', 10356, ['Dacca']],
+  ['Chittagong', 'Chittagong', 'BD', 22.3569, 91.7832, 'Asia/Dhaka', 3920, ['Chattogram']],
+  ['Khulna', 'Khulna', 'BD', 22.8456, 89.5403, 'Asia/Dhaka', 664],
+  ['Sylhet', 'Sylhet', 'BD', 24.8949, 91.8687, 'Asia/Dhaka', 531],
+  ['Kathmandu', 'Bagmati', 'NP', 27.7172, 85.324, 'Asia/Kathmandu', 1442],
+  ['Pokhara', 'Gandaki', 'NP', 28.2096, 83.9856, 'Asia/Kathmandu', 518],
+  ['Colombo', 'Western Province', 'LK', 6.9271, 79.8612, 'Asia/Colombo', 753],
+  ['Kandy', 'Central Province', 'LK', 7.2906, 80.6337, 'Asia/Colombo', 125],
+  ['Jaffna', 'Northern Province', 'LK', 9.6615, 80.0255, 'Asia/Colombo', 88],
+  ['Thimphu', 'Thimphu', 'BT', 27.4728, 89.639, 'Asia/Thimphu', 115],
+  ['Male', 'Male', 'MV', 4.1755, 73.5093, 'Indian/Maldives', 211],
+  ['Kabul', 'Kabul', 'AF', 34.5553, 69.2075, 'Asia/Kabul', 4434],
+  ['Yangon', 'Yangon', 'MM', 16.8409, 96.1735, 'Asia/Yangon', 5160, ['Rangoon']],
+  ['Mandalay', 'Mandalay', 'MM', 21.9588, 96.0891, 'Asia/Yangon', 1226],
+
+  // Middle East
+  ['Dubai', 'Dubai', 'AE', 25.2048, 55.2708, 'Asia/Dubai', 3331],
+  ['Abu Dhabi', 'Abu Dhabi', 'AE', 24.4539, 54.3773, 'Asia/Dubai', 1483],
+  ['Sharjah', 'Sharjah', 'AE', 25.3463, 55.4209, 'Asia/Dubai', 1274],
+  ['Doha', 'Doha', 'QA', 25.2854, 51.531, 'Asia/Qatar', 1186],
+  ['Riyadh', 'Riyadh', 'SA', 24.7136, 46.6753, 'Asia/Riyadh', 7231],
+  ['Jeddah', 'Makkah', 'SA', 21.4858, 39.1925, 'Asia/Riyadh', 4697, ['Jiddah']],
+  ['Mecca', 'Makkah', 'SA', 21.3891, 39.8579, 'Asia/Riyadh', 2042, ['Makkah']],
+  ['Medina', 'Madinah', 'SA', 24.5247, 39.5692, 'Asia/Riyadh', 1489, ['Madinah']],
+  ['Dammam', 'Eastern Province', 'SA', 26.4207, 50.0888, 'Asia/Riyadh', 1253],
+  ['Kuwait City', 'Al Asimah', 'KW', 29.3759, 47.9774, 'Asia/Kuwait', 3115, ['Kuwait']],
+  ['Manama', 'Capital', 'BH', 26.2285, 50.586, 'Asia/Bahrain', 635],
+  ['Muscat', 'Muscat', 'OM', 23.588, 58.3829, 'Asia/Muscat', 1590],
+  ['Tehran', 'Tehran', 'IR', 35.6892, 51.389, 'Asia/Tehran', 9259],
+  ['Baghdad', 'Baghdad', 'IQ', 33.3152, 44.3661, 'Asia/Baghdad', 7512],
+  ['Istanbul', 'Istanbul', 'TR', 41.0082, 28.9784, 'Europe/Istanbul', 15636, ['Constantinople', 'Byzantium']],
+  ['Ankara', 'Ankara', 'TR', 39.9334, 32.8597, 'Europe/Istanbul', 5663, ['Angora']],
+  ['Jerusalem', 'Jerusalem', 'IL', 31.7683, 35.2137, 'Asia/Jerusalem', 936],
+  ['Tel Aviv', 'Tel Aviv', 'IL', 32.0853, 34.7818, 'Asia/Jerusalem', 460, ['Tel Aviv-Yafo']],
+  ['Amman', 'Amman', 'JO', 31.9454, 35.9284, 'Asia/Amman', 4061],
+  ['Beirut', 'Beirut', 'LB', 33.8938, 35.5018, 'Asia/Beirut', 2421],
+  ['Cairo', 'Cairo', 'EG', 30.0444, 31.2357, 'Africa/Cairo', 21750],
+  ['Alexandria', 'Alexandria', 'EG', 31.2001, 29.9187, 'Africa/Cairo', 5381],
+
+  // East and South-East Asia
+  ['Beijing', 'Beijing', 'CN', 39.9042, 116.4074, 'Asia/Shanghai', 21540, ['Peking', 'Peiping']],
+  ['Shanghai', 'Shanghai', 'CN', 31.2304, 121.4737, 'Asia/Shanghai', 24870],
+  ['Guangzhou', 'Guangdong', 'CN', 23.1291, 113.2644, 'Asia/Shanghai', 18676, ['Canton']],
+  ['Shenzhen', 'Guangdong', 'CN', 22.5431, 114.0579, 'Asia/Shanghai', 17560],
+  ['Hong Kong', 'Hong Kong', 'HK', 22.3193, 114.1694, 'Asia/Hong_Kong', 7482],
+  ['Taipei', 'Taipei', 'TW', 25.033, 121.5654, 'Asia/Taipei', 2646],
+  ['Tokyo', 'Tokyo', 'JP', 35.6762, 139.6503, 'Asia/Tokyo', 13960, ['Edo']],
+  ['Osaka', 'Osaka', 'JP', 34.6937, 135.5023, 'Asia/Tokyo', 2753],
+  ['Kyoto', 'Kyoto', 'JP', 35.0116, 135.7681, 'Asia/Tokyo', 1464],
+  ['Seoul', 'Seoul', 'KR', 37.5665, 126.978, 'Asia/Seoul', 9776],
+  ['Busan', 'Busan', 'KR', 35.1796, 129.0756, 'Asia/Seoul', 3429, ['Pusan']],
+  ['Singapore', 'Singapore', 'SG', 1.3521, 103.8198, 'Asia/Singapore', 5686],
+  ['Kuala Lumpur', 'Kuala Lumpur', 'MY', 3.139, 101.6869, 'Asia/Kuala_Lumpur', 1808, ['KL']],
+  ['George Town', 'Penang', 'MY', 5.4141, 100.3288, 'Asia/Kuala_Lumpur', 708, ['Penang']],
+  ['Bangkok', 'Bangkok', 'TH', 13.7563, 100.5018, 'Asia/Bangkok', 10539, ['Krung Thep']],
+  ['Jakarta', 'Jakarta', 'ID', -6.2088, 106.8456, 'Asia/Jakarta', 10562, ['Batavia']],
+  ['Denpasar', 'Bali', 'ID', -8.65, 115.2167, 'Asia/Makassar', 726, ['Bali']],
+  ['Manila', 'Metro Manila', 'PH', 14.5995, 120.9842, 'Asia/Manila', 1846],
+  ['Ho Chi Minh City', 'Ho Chi Minh City', 'VN', 10.8231, 106.6297, 'Asia/Ho_Chi_Minh', 8993, ['Saigon']],
+  ['Hanoi', 'Hanoi', 'VN', 21.0278, 105.8342, 'Asia/Bangkok', 8054],
+  ['Phnom Penh', 'Phnom Penh', 'KH', 11.5564, 104.9282, 'Asia/Phnom_Penh', 2129],
+  ['Tashkent', 'Tashkent', 'UZ', 41.2995, 69.2401, 'Asia/Tashkent', 2571],
+  ['Almaty', 'Almaty', 'KZ', 43.222, 76.8512, 'Asia/Almaty', 1977, ['Alma-Ata']],
+
+  // Europe
+  ['London', 'England', 'GB', 51.5074, -0.1278, 'Europe/London', 8982],
+  ['Birmingham', 'England', 'GB', 52.4862, -1.8904, 'Europe/London', 1141],
+  ['Manchester', 'England', 'GB', 53.4808, -2.2426, 'Europe/London', 553],
+  ['Leicester', 'England', 'GB', 52.6369, -1.1398, 'Europe/London', 368],
+  ['Leeds', 'England', 'GB', 53.8008, -1.5491, 'Europe/London', 793],
+  ['Bradford', 'England', 'GB', 53.796, -1.7594, 'Europe/London', 537],
+  ['Liverpool', 'England', 'GB', 53.4084, -2.9916, 'Europe/London', 498],
+  ['Cambridge', 'England', 'GB', 52.2053, 0.1218, 'Europe/London', 146],
+  ['Oxford', 'England', 'GB', 51.752, -1.2577, 'Europe/London', 152],
+  ['Glasgow', 'Scotland', 'GB', 55.8642, -4.2518, 'Europe/London', 633],
+  ['Edinburgh', 'Scotland', 'GB', 55.9533, -3.1883, 'Europe/London', 525],
+  ['Perth', 'Scotland', 'GB', 56.395, -3.4308, 'Europe/London', 47],
+  ['Cardiff', 'Wales', 'GB', 51.4816, -3.1791, 'Europe/London', 362],
+  ['Belfast', 'Northern Ireland', 'GB', 54.5973, -5.9301, 'Europe/London', 343],
+  ['Dublin', 'Leinster', 'IE', 53.3498, -6.2603, 'Europe/Dublin', 1173],
+  ['Paris', 'Ile-de-France', 'FR', 48.8566, 2.3522, 'Europe/Paris', 2161],
+  ['Marseille', "Provence-Alpes-Cote d'Azur", 'FR', 43.2965, 5.3698, 'Europe/Paris', 861, ['Marseilles']],
+  ['Lyon', 'Auvergne-Rhone-Alpes', 'FR', 45.764, 4.8357, 'Europe/Paris', 516, ['Lyons']],
+  ['Berlin', 'Berlin', 'DE', 52.52, 13.405, 'Europe/Berlin', 3645],
+  ['Hamburg', 'Hamburg', 'DE', 53.5511, 9.9937, 'Europe/Berlin', 1841],
+  ['Munich', 'Bavaria', 'DE', 48.1351, 11.582, 'Europe/Berlin', 1472, ['Munchen']],
+  ['Cologne', 'North Rhine-Westphalia', 'DE', 50.9375, 6.9603, 'Europe/Berlin', 1086, ['Koln']],
+  ['Frankfurt', 'Hesse', 'DE', 50.1109, 8.6821, 'Europe/Berlin', 753, ['Frankfurt am Main']],
+  ['Amsterdam', 'North Holland', 'NL', 52.3676, 4.9041, 'Europe/Amsterdam', 872],
+  ['Rotterdam', 'South Holland', 'NL', 51.9244, 4.4777, 'Europe/Amsterdam', 651],
+  ['Brussels', 'Brussels', 'BE', 50.8503, 4.3517, 'Europe/Brussels', 1209, ['Bruxelles', 'Brussel']],
+  ['Zurich', 'Zurich', 'CH', 47.3769, 8.5417, 'Europe/Zurich', 415],
+  ['Geneva', 'Geneva', 'CH', 46.2044, 6.1432, 'Europe/Zurich', 203, ['Geneve', 'Genf']],
+  ['Vienna', 'Vienna', 'AT', 48.2082, 16.3738, 'Europe/Vienna', 1897, ['Wien']],
+  ['Rome', 'Lazio', 'IT', 41.9028, 12.4964, 'Europe/Rome', 2873, ['Roma']],
+  ['Milan', 'Lombardy', 'IT', 45.4642, 9.19, 'Europe/Rome', 1352, ['Milano']],
+  ['Naples', 'Campania', 'IT', 40.8518, 14.2681, 'Europe/Rome', 959, ['Napoli']],
+  ['Madrid', 'Madrid', 'ES', 40.4168, -3.7038, 'Europe/Madrid', 3223],
+  ['Barcelona', 'Catalonia', 'ES', 41.3874, 2.1686, 'Europe/Madrid', 1620],
+  ['Valencia', 'Valencia', 'ES', 39.4699, -0.3763, 'Europe/Madrid', 791],
+  ['Seville', 'Andalusia', 'ES', 37.3891, -5.9845, 'Europe/Madrid', 688, ['Sevilla']],
+  ['Cordoba', 'Andalusia', 'ES', 37.8882, -4.7794, 'Europe/Madrid', 325],
+  ['Lisbon', 'Lisbon', 'PT', 38.7223, -9.1393, 'Europe/Lisbon', 545, ['Lisboa']],
+  ['Porto', 'Porto', 'PT', 41.1579, -8.6291, 'Europe/Lisbon', 232, ['Oporto']],
+  ['Athens', 'Attica', 'GR', 37.9838, 23.7275, 'Europe/Athens', 664, ['Athina']],
+  ['Stockholm', 'Stockholm', 'SE', 59.3293, 18.0686, 'Europe/Stockholm', 975],
+  ['Oslo', 'Oslo', 'NO', 59.9139, 10.7522, 'Europe/Oslo', 697, ['Christiania', 'Kristiania']],
+  ['Copenhagen', 'Capital Region', 'DK', 55.6761, 12.5683, 'Europe/Copenhagen', 794, ['Kobenhavn']],
+  ['Helsinki', 'Uusimaa', 'FI', 60.1699, 24.9384, 'Europe/Helsinki', 656, ['Helsingfors']],
+  ['Warsaw', 'Masovia', 'PL', 52.2297, 21.0122, 'Europe/Warsaw', 1793, ['Warszawa']],
+  ['Prague', 'Prague', 'CZ', 50.0755, 14.4378, 'Europe/Prague', 1309, ['Praha']],
+  ['Budapest', 'Budapest', 'HU', 47.4979, 19.0402, 'Europe/Budapest', 1752],
+  ['Bucharest', 'Bucharest', 'RO', 44.4268, 26.1025, 'Europe/Bucharest', 1883, ['Bucuresti']],
+  ['Sofia', 'Sofia', 'BG', 42.6977, 23.3219, 'Europe/Sofia', 1236],
+  ['Belgrade', 'Belgrade', 'RS', 44.7866, 20.4489, 'Europe/Belgrade', 1166, ['Beograd']],
+  ['Zagreb', 'Zagreb', 'HR', 45.815, 15.9819, 'Europe/Zagreb', 806],
+  ['Kyiv', 'Kyiv', 'UA', 50.4501, 30.5234, 'Europe/Kyiv', 2962, ['Kiev']],
+  ['Moscow', 'Moscow', 'RU', 55.7558, 37.6173, 'Europe/Moscow', 12506, ['Moskva']],
+  ['Saint Petersburg', 'Saint Petersburg', 'RU', 59.9311, 30.3609, 'Europe/Moscow', 5384, ['St Petersburg', 'Leningrad', 'Petrograd']],
+  ['Reykjavik', 'Capital Region', 'IS', 64.1466, -21.9426, 'Atlantic/Reykjavik', 131],
+
+  // North America
+  ['New York', 'New York', 'US', 40.7128, -74.006, 'America/New_York', 8336, ['New York City', 'NYC', 'Manhattan']],
+  ['Los Angeles', 'California', 'US', 34.0522, -118.2437, 'America/Los_Angeles', 3979, ['LA']],
+  ['Chicago', 'Illinois', 'US', 41.8781, -87.6298, 'America/Chicago', 2694],
+  ['Houston', 'Texas', 'US', 29.7604, -95.3698, 'America/Chicago', 2304],
+  ['Dallas', 'Texas', 'US', 32.7767, -96.797, 'America/Chicago', 1304],
+  ['Austin', 'Texas', 'US', 30.2672, -97.7431, 'America/Chicago', 961],
+  ['San Antonio', 'Texas', 'US', 29.4241, -98.4936, 'America/Chicago', 1434],
+  ['Paris', 'Texas', 'US', 33.6609, -95.5555, 'America/Chicago', 25],
+  ['Phoenix', 'Arizona', 'US', 33.4484, -112.074, 'America/Phoenix', 1608],
+  ['Philadelphia', 'Pennsylvania', 'US', 39.9526, -75.1652, 'America/New_York', 1603],
+  ['Pittsburgh', 'Pennsylvania', 'US', 40.4406, -79.9959, 'America/New_York', 303],
+  ['San Diego', 'California', 'US', 32.7157, -117.1611, 'America/Los_Angeles', 1386],
+  ['San Jose', 'California', 'US', 37.3382, -121.8863, 'America/Los_Angeles', 1013],
+  ['San Francisco', 'California', 'US', 37.7749, -122.4194, 'America/Los_Angeles', 874, ['SF']],
+  ['Sacramento', 'California', 'US', 38.5816, -121.4944, 'America/Los_Angeles', 524],
+  ['Seattle', 'Washington', 'US', 47.6062, -122.3321, 'America/Los_Angeles', 737],
+  ['Portland', 'Oregon', 'US', 45.5152, -122.6784, 'America/Los_Angeles', 652],
+  ['Portland', 'Maine', 'US', 43.6591, -70.2568, 'America/New_York', 68],
+  ['Boston', 'Massachusetts', 'US', 42.3601, -71.0589, 'America/New_York', 675],
+  ['Cambridge', 'Massachusetts', 'US', 42.3736, -71.1097, 'America/New_York', 118],
+  ['Springfield', 'Massachusetts', 'US', 42.1015, -72.5898, 'America/New_York', 155],
+  ['Springfield', 'Illinois', 'US', 39.7817, -89.6501, 'America/Chicago', 114],
+  ['Springfield', 'Missouri', 'US', 37.209, -93.2923, 'America/Chicago', 169],
+  ['Washington', 'District of Columbia', 'US', 38.9072, -77.0369, 'America/New_York', 690, ['Washington DC', 'Washington D C']],
+  ['Atlanta', 'Georgia', 'US', 33.749, -84.388, 'America/New_York', 499],
+  ['Miami', 'Florida', 'US', 25.7617, -80.1918, 'America/New_York', 442],
+  ['Orlando', 'Florida', 'US', 28.5383, -81.3792, 'America/New_York', 307],
+  ['Tampa', 'Florida', 'US', 27.9506, -82.4572, 'America/New_York', 384],
+  ['Birmingham', 'Alabama', 'US', 33.5186, -86.8104, 'America/Chicago', 200],
+  ['Denver', 'Colorado', 'US', 39.7392, -104.9903, 'America/Denver', 715],
+  ['Salt Lake City', 'Utah', 'US', 40.7608, -111.891, 'America/Denver', 200],
+  ['Las Vegas', 'Nevada', 'US', 36.1699, -115.1398, 'America/Los_Angeles', 641],
+  ['Detroit', 'Michigan', 'US', 42.3314, -83.0458, 'America/Detroit', 639],
+  ['Minneapolis', 'Minnesota', 'US', 44.9778, -93.265, 'America/Chicago', 429],
+  ['Indianapolis', 'Indiana', 'US', 39.7684, -86.1581, 'America/Indiana/Indianapolis', 887],
+  ['Columbus', 'Ohio', 'US', 39.9612, -82.9988, 'America/New_York', 905],
+  ['Charlotte', 'North Carolina', 'US', 35.2271, -80.8431, 'America/New_York', 874],
+  ['Raleigh', 'North Carolina', 'US', 35.7796, -78.6382, 'America/New_York', 467],
+  ['Nashville', 'Tennessee', 'US', 36.1627, -86.7816, 'America/Chicago', 689],
+  ['Edison', 'New Jersey', 'US', 40.5187, -74.4121, 'America/New_York', 107],
+  ['Jersey City', 'New Jersey', 'US', 40.7178, -74.0431, 'America/New_York', 292],
+  ['Honolulu', 'Hawaii', 'US', 21.3069, -157.8583, 'Pacific/Honolulu', 345],
+  ['Anchorage', 'Alaska', 'US', 61.2181, -149.9003, 'America/Anchorage', 291],
+  ['Toronto', 'Ontario', 'CA', 43.6532, -79.3832, 'America/Toronto', 2731],
+  ['Brampton', 'Ontario', 'CA', 43.7315, -79.7624, 'America/Toronto', 656],
+  ['Mississauga', 'Ontario', 'CA', 43.589, -79.6441, 'America/Toronto', 717],
+  ['Ottawa', 'Ontario', 'CA', 45.4215, -75.6972, 'America/Toronto', 1017],
+  ['London', 'Ontario', 'CA', 42.9849, -81.2453, 'America/Toronto', 422],
+  ['Montreal', 'Quebec', 'CA', 45.5017, -73.5673, 'America/Toronto', 1780],
+  ['Vancouver', 'British Columbia', 'CA', 49.2827, -123.1207, 'America/Vancouver', 675],
+  ['Surrey', 'British Columbia', 'CA', 49.1913, -122.849, 'America/Vancouver', 568],
+  ['Calgary', 'Alberta', 'CA', 51.0447, -114.0719, 'America/Edmonton', 1336],
+  ['Edmonton', 'Alberta', 'CA', 53.5461, -113.4938, 'America/Edmonton', 981],
+  ['Winnipeg', 'Manitoba', 'CA', 49.8951, -97.1384, 'America/Winnipeg', 749],
+  ['Halifax', 'Nova Scotia', 'CA', 44.6488, -63.5752, 'America/Halifax', 440],
+  ['Mexico City', 'Mexico City', 'MX', 19.4326, -99.1332, 'America/Mexico_City', 9209, ['Ciudad de Mexico', 'CDMX']],
+  ['Guadalajara', 'Jalisco', 'MX', 20.6597, -103.3496, 'America/Mexico_City', 1385],
+  ['Havana', 'Havana', 'CU', 23.1136, -82.3666, 'America/Havana', 2130, ['La Habana']],
+  ['Kingston', 'Kingston', 'JM', 17.9712, -76.7936, 'America/Jamaica', 662],
+  ['Port of Spain', 'Port of Spain', 'TT', 10.6549, -61.5019, 'America/Port_of_Spain', 37],
+
+  // South and Central America
+  ['San Jose', 'San Jose', 'CR', 9.9281, -84.0907, 'America/Costa_Rica', 342],
+  ['Bogota', 'Bogota', 'CO', 4.711, -74.0721, 'America/Bogota', 7181],
+  ['Lima', 'Lima', 'PE', -12.0464, -77.0428, 'America/Lima', 9751],
+  ['Caracas', 'Capital District', 'VE', 10.4806, -66.9036, 'America/Caracas', 2245],
+  ['Valencia', 'Carabobo', 'VE', 10.1579, -67.9972, 'America/Caracas', 1484],
+  ['Santiago', 'Santiago Metropolitan', 'CL', -33.4489, -70.6693, 'America/Santiago', 6310],
+  ['Buenos Aires', 'Buenos Aires', 'AR', -34.6037, -58.3816, 'America/Argentina/Buenos_Aires', 3075],
+  ['Cordoba', 'Cordoba', 'AR', -31.4201, -64.1888, 'America/Argentina/Cordoba', 1391],
+  ['Sao Paulo', 'Sao Paulo', 'BR', -23.5505, -46.6333, 'America/Sao_Paulo', 12325],
+  ['Rio de Janeiro', 'Rio de Janeiro', 'BR', -22.9068, -43.1729, 'America/Sao_Paulo', 6748, ['Rio']],
+  ['Brasilia', 'Federal District', 'BR', -15.8267, -47.9218, 'America/Sao_Paulo', 3055],
+  ['Georgetown', 'Demerara-Mahaica', 'GY', 6.8013, -58.1551, 'America/Guyana', 200],
+  ['Paramaribo', 'Paramaribo', 'SR', 5.852, -55.2038, 'America/Paramaribo', 241],
+
+  // Africa
+  ['Lagos', 'Lagos', 'NG', 6.5244, 3.3792, 'Africa/Lagos', 14862],
+  ['Abuja', 'Federal Capital Territory', 'NG', 9.0765, 7.3986, 'Africa/Lagos', 1235],
+  ['Nairobi', 'Nairobi', 'KE', -1.2921, 36.8219, 'Africa/Nairobi', 4397],
+  ['Mombasa', 'Mombasa', 'KE', -4.0435, 39.6682, 'Africa/Nairobi', 1208],
+  ['Johannesburg', 'Gauteng', 'ZA', -26.2041, 28.0473, 'Africa/Johannesburg', 5635, ['Joburg']],
+  ['Cape Town', 'Western Cape', 'ZA', -33.9249, 18.4241, 'Africa/Johannesburg', 4618],
+  ['Durban', 'KwaZulu-Natal', 'ZA', -29.8587, 31.0218, 'Africa/Johannesburg', 3720],
+  ['Casablanca', 'Casablanca-Settat', 'MA', 33.5731, -7.5898, 'Africa/Casablanca', 3359],
+  ['Accra', 'Greater Accra', 'GH', 5.6037, -0.187, 'Africa/Accra', 2291],
+  ['Addis Ababa', 'Addis Ababa', 'ET', 9.03, 38.74, 'Africa/Addis_Ababa', 3352],
+  ['Dar es Salaam', 'Dar es Salaam', 'TZ', -6.7924, 39.2083, 'Africa/Dar_es_Salaam', 4365],
+  ['Kampala', 'Central Region', 'UG', 0.3476, 32.5825, 'Africa/Kampala', 1680],
+  ['Kinshasa', 'Kinshasa', 'CD', -4.4419, 15.2663, 'Africa/Kinshasa', 14970, ['Leopoldville']],
+  ['Port Louis', 'Port Louis', 'MU', -20.1609, 57.5012, 'Indian/Mauritius', 147],
+
+  // Oceania
+  ['Sydney', 'New South Wales', 'AU', -33.8688, 151.2093, 'Australia/Sydney', 5312],
+  ['Melbourne', 'Victoria', 'AU', -37.8136, 144.9631, 'Australia/Melbourne', 5078],
+  ['Brisbane', 'Queensland', 'AU', -27.4698, 153.0251, 'Australia/Brisbane', 2560],
+  ['Perth', 'Western Australia', 'AU', -31.9505, 115.8605, 'Australia/Perth', 2085],
+  ['Adelaide', 'South Australia', 'AU', -34.9285, 138.6007, 'Australia/Adelaide', 1376],
+  ['Canberra', 'Australian Capital Territory', 'AU', -35.2809, 149.13, 'Australia/Sydney', 431],
+  ['Darwin', 'Northern Territory', 'AU', -12.4634, 130.8456, 'Australia/Darwin', 147],
+  ['Hobart', 'Tasmania', 'AU', -42.8821, 147.3272, 'Australia/Hobart', 240],
+  ['Auckland', 'Auckland', 'NZ', -36.8485, 174.7633, 'Pacific/Auckland', 1657],
+  ['Wellington', 'Wellington', 'NZ', -41.2865, 174.7762, 'Pacific/Auckland', 215],
+  ['Suva', 'Central Division', 'FJ', -18.1248, 178.4501, 'Pacific/Fiji', 94]
+];
+
+module.exports = { CITIES, COUNTRIES, REGION_ALIASES };
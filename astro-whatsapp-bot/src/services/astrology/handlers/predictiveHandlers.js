@@ -483,7 +483,8 @@ const handleElectional = async(message, user) => {
         longitude: user.longitude || 77.209,
         timezone: user.timezone || 5.5
       },
-      constraints: {}
+      constraints: {},
+      preferences: user.preferences
     };
 
     const muhurtaAnalysis = await muhurtaService.calculateMuhurta(eventData);
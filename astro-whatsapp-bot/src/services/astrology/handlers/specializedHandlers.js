@@ -2,6 +2,7 @@
 const tarorReader = require('../tarotReader');
 const { IChingService } = require('../iching');
 const astrocartographyReader = require('../astrocartographyReader');
+const { toServiceBirthData } = require('../core/BirthProfile');
 const logger = require('../../../utils/logger');
 
 /**
@@ -207,14 +208,9 @@ const handleAstrocartography = async(message, user) => {
   }
 
   try {
-    const birthData = {
-      birthDate: user.birthDate,
-      birthTime: user.birthTime || '12:00',
-      birthPlace: user.birthPlace || 'Unknown',
-      name: user.name || 'User'
-    };
-
-    const reading = astrocartographyReader.generateAstrocartography(birthData);
+    const reading = await astrocartographyReader.generateAstrocartography(
+      toServiceBirthData(user)
+    );
 
     if (reading.error) {
       return '❌ Unable to generate astrocartography at this time.';
@@ -0,0 +1,155 @@
+const { addMonths, formatDate } = require('./HellenisticChart');
+
+// Firdar lords and years (75 in all); the nodes close both sequences
+const DAY_SEQUENCE = [
+  ['Sun', 10],
+  ['Venus', 8],
+  ['Mercury', 13],
+  ['Moon', 9],
+  ['Saturn', 11],
+  ['Jupiter', 12],
+  ['Mars', 7],
+  ['North Node', 3],
+  ['South Node', 2]
+];
+const NIGHT_SEQUENCE = [
+  ['Moon', 9],
+  ['Saturn', 11],
+  ['Jupiter', 12],
+  ['Mars', 7],
+  ['Sun', 10],
+  ['Venus', 8],
+  ['Mercury', 13],
+  ['North Node', 3],
+  ['South Node', 2]
+];
+
+// Sub-period lords follow the descending (Chaldean) order from the major lord
+const SUB_ORDER = [
+  'Sun',
+  'Venus',
+  'Mercury',
+  'Moon',
+  'Saturn',
+  'Jupiter',
+  'Mars'
+];
+
+// Firdaria are listed from birth for at least this many years
+const SPAN_YEARS = 120;
+
+/**
+ * Firdaria - Persian time lords of life (Abu Ma'shar, Bonatti)
+ * A day chart starts with the Sun's 10 years, a night chart with the
+ * Moon's 9, each lord ruling a fixed number of years until the nodes close
+ * the 75-year cycle. Planetary firdaria divide into seven equal
+ * sub-periods, starting with the major lord; the nodes have none.
+ *
+ * Periods are plain objects: { level: 1-2, lord, subLord, start, end,
+ * years }. Level 1 periods carry their `subPeriods`.
+ */
+class Firdaria {
+  /**
+   * Major periods from birth, with their sub-periods
+   * @param {Object} natal - Natal chart (see HellenisticChart)
+   * @returns {Array<Object>} Level 1 periods covering SPAN_YEARS
+   */
+  periods(natal) {
+    const sequence = natal.sect === 'day' ? DAY_SEQUENCE : NIGHT_SEQUENCE;
+    const periods = [];
+    let age = 0;
+    for (let index = 0; age < SPAN_YEARS; index++) {
+      const [lord, years] = sequence[index % sequence.length];
+      const period = {
+        level: 1,
+        lord,
+        subLord: null,
+        start: addMonths(natal.birth, 12 * age),
+        end: addMonths(natal.birth, 12 * (age + years)),
+        years
+      };
+      period.subPeriods = this.subPeriods(period);
+      periods.push(period);
+      age += years;
+    }
+    return periods;
+  }
+
+  /**
+   * Seven equal sub-periods of a planetary firdar
+   * @param {Object} period - Major period
+   * @returns {Array<Object>} Level 2 periods, empty for the nodes
+   */
+  subPeriods(period) {
+    const first = SUB_ORDER.indexOf(period.lord);
+    if (first < 0) {
+      return [];
+    }
+    const start = period.start.getTime();
+    const span = (period.end.getTime() - start) / SUB_ORDER.length;
+    return SUB_ORDER.map((_, offset) => ({
+      level: 2,
+      lord: period.lord,
+      subLord: SUB_ORDER[(first + offset) % SUB_ORDER.length],
+      start: new Date(start + offset * span),
+      end: new Date(start + (offset + 1) * span),
+      years: period.years / SUB_ORDER.length
+    }));
+  }
+
+  /**
+   * Machine-readable firdaria
+   * @param {Object} natal - Natal chart
+   * @param {Object} options - Options
+   * @param {Date} options.now - Moment (default now)
+   * @returns {Object} { sect, periods, current: { period, subPeriod },
+   *   next }: the running period is null outside the span
+   */
+  timeline(natal, { now = new Date() } = {}) {
+    const periods = this.periods(natal);
+    const index = periods.findIndex(
+      period => period.start <= now && now < period.end
+    );
+    const period = periods[index] || null;
+    return {
+      sect: natal.sect,
+      periods,
+      current: {
+        period,
+        subPeriod: period ?
+          period.subPeriods.find(sub => sub.start <= now && now < sub.end) ||
+            null :
+          null
+      },
+      next: index >= 0 ? periods[index + 1] || null : null
+    };
+  }
+
+  /**
+   * WhatsApp summary of the running firdar
+   * @param {Object} timeline - timeline() result
+   * @returns {string} Summary
+   */
+  summarize({ sect, current, next }) {
+    const { period, subPeriod } = current;
+    const lines = [`⏳ *Firdaria* (${sect} chart)`];
+    if (!period) {
+      lines.push('No firdar runs at this date.');
+      return lines.join('\n');
+    }
+    lines.push(
+      `Major period: *${period.lord}* (${formatDate(period.start)} – ${formatDate(period.end)})`
+    );
+    if (subPeriod) {
+      lines.push(
+        `Sub-period: *${subPeriod.subLord}* (until ${formatDate(subPeriod.end)})`
+      );
+    }
+    if (next) {
+      lines.push(`Next: ${next.lord} for ${next.years} years`);
+    }
+    return lines.join('\n');
+  }
+}
+
+module.exports = { Firdaria, DAY_SEQUENCE, NIGHT_SEQUENCE, SUB_ORDER };
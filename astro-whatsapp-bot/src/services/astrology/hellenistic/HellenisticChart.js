@@ -0,0 +1,185 @@
+const sweph = require('sweph');
+const GeocodingService = require('../geocoding/GeocodingService');
+const {
+  resolveChartSettings,
+  calculateHouses
+} = require('../core/ChartSettings');
+const { SIGNS, SIGN_LORDS } = require('../core/Zodiac');
+
+// Hellenistic name for the traditional sign lords
+const DOMICILE_LORDS = SIGN_LORDS;
+
+// The seven visible planets; Hellenistic techniques use no others
+const PLANET_IDS = {
+  Sun: sweph.constants.SE_SUN,
+  Moon: sweph.constants.SE_MOON,
+  Mercury: sweph.constants.SE_MERCURY,
+  Venus: sweph.constants.SE_VENUS,
+  Mars: sweph.constants.SE_MARS,
+  Jupiter: sweph.constants.SE_JUPITER,
+  Saturn: sweph.constants.SE_SATURN
+};
+
+// Julian day of the Unix epoch
+const UNIX_EPOCH_JD = 2440587.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+const signOf = longitude => Math.floor(normalize(longitude) / 30);
+
+/**
+ * A date a whole number of calendar months later, on the same day of the
+ * month where it exists (a 31 January birthday falls on 28/29 February)
+ * @param {Date} date - Start
+ * @param {number} months - Months to add
+ * @returns {Date} Date in UTC
+ */
+const addMonths = (date, months) => {
+  const total = date.getUTCMonth() + months;
+  const year = date.getUTCFullYear() + Math.floor(total / 12);
+  const month = ((total % 12) + 12) % 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const result = new Date(date.getTime());
+  result.setUTCFullYear(year, month, Math.min(date.getUTCDate(), lastDay));
+  return result;
+};
+
+/**
+ * @param {Date} date - Date
+ * @returns {string} e.g. "05 Mar 2024"
+ */
+const formatDate = date =>
+  date.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+/**
+ * HellenisticChart - The natal chart the Hellenistic time-lord techniques
+ * read: tropical planets, the Ascendant, whole-sign houses, sect and the
+ * Lots of Fortune and Spirit (reversed by night).
+ */
+class HellenisticChart {
+  /**
+   * @param {Object} options - Chart options
+   * @param {Object} options.geocodingService - GeocodingService instance
+   */
+  constructor({ geocodingService } = {}) {
+    this.geocodingService = geocodingService || new GeocodingService();
+  }
+
+  /**
+   * Natal chart for a user's birth data
+   * @param {Object} birthData - toServiceBirthData result (DD/MM/YYYY, HH:MM)
+   * @returns {Promise<Object>} { birth, location, utcOffset, ascendant,
+   *   midheaven, planets, sect, lots: { fortune, spirit } }
+   */
+  async natal(birthData) {
+    const [day, month, year] = birthData.birthDate.split('/').map(Number);
+    const [hour, minute] = birthData.birthTime.split(':').map(Number);
+    if (!day || !month || !year || !(hour <= 23) || !(minute <= 59)) {
+      throw new Error(
+        `Invalid birth date or time: ${birthData.birthDate} ${birthData.birthTime}`
+      );
+    }
+
+    const location =
+      birthData.birthLatitude != null && birthData.birthLongitude != null ?
+        {
+          latitude: birthData.birthLatitude,
+          longitude: birthData.birthLongitude
+        } :
+        await this.geocodingService.getCoordinates(birthData.birthPlace);
+    const { offset } = await this.geocodingService.getBirthTimezone(location, {
+      year,
+      month,
+      day,
+      hour,
+      minute
+    });
+    const jd = sweph.julday(
+      year,
+      month,
+      day,
+      hour + minute / 60 - offset,
+      sweph.constants.SE_GREG_CAL
+    );
+
+    return {
+      ...HellenisticChart.cast(jd, location.latitude, location.longitude),
+      location,
+      utcOffset: offset
+    };
+  }
+
+  /**
+   * Cast the chart of a moment
+   * @param {number} jd - Julian day (UT)
+   * @param {number} latitude - Geographic latitude
+   * @param {number} longitude - Geographic longitude
+   * @returns {Object} { birth, ascendant, midheaven, planets, sect, lots }
+   */
+  static cast(jd, latitude, longitude) {
+    const planets = {};
+    for (const [name, id] of Object.entries(PLANET_IDS)) {
+      const position = sweph.calc_ut(jd, id, sweph.constants.SEFLG_SWIEPH);
+      if (!position || position.flag < 0) {
+        throw new Error(`Position of ${name} unavailable: ${position.error}`);
+      }
+      planets[name] = normalize(position.data[0]);
+    }
+    const { ascendant, mc } = calculateHouses(
+      jd,
+      latitude,
+      longitude,
+      resolveChartSettings({}, { houseSystem: 'whole_sign' }),
+      { sidereal: false }
+    );
+
+    // By day the Sun is above the horizon, between Descendant and Ascendant
+    const sect = normalize(planets.Sun - ascendant) >= 180 ? 'day' : 'night';
+    const fromSunToMoon = planets.Moon - planets.Sun;
+    const fortune = normalize(
+      ascendant + (sect === 'day' ? fromSunToMoon : -fromSunToMoon)
+    );
+    const spirit = normalize(
+      ascendant - (sect === 'day' ? fromSunToMoon : -fromSunToMoon)
+    );
+
+    return {
+      birth: new Date((jd - UNIX_EPOCH_JD) * DAY_MS),
+      ascendant: normalize(ascendant),
+      midheaven: normalize(mc),
+      planets,
+      sect,
+      lots: { fortune, spirit }
+    };
+  }
+
+  /**
+   * Natal planets in a sign
+   * @param {Object} natal - Natal chart
+   * @param {number} sign - Sign index, Aries 0
+   * @returns {Array<string>} Planets
+   */
+  static planetsIn(natal, sign) {
+    return Object.keys(natal.planets).filter(
+      name => signOf(natal.planets[name]) === sign
+    );
+  }
+}
+
+module.exports = {
+  HellenisticChart,
+  SIGNS,
+  DOMICILE_LORDS,
+  DAY_MS,
+  normalize,
+  signOf,
+  addMonths,
+  formatDate
+};
@@ -0,0 +1,138 @@
+const {
+  HellenisticChart,
+  SIGNS,
+  DOMICILE_LORDS,
+  signOf,
+  addMonths,
+  formatDate
+} = require('./HellenisticChart');
+
+/**
+ * @param {number} number - House number, 1-12
+ * @returns {string} e.g. "10th"
+ */
+const ordinal = number =>
+  `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number] || 'th'}`;
+
+/**
+ * Profections - Annual and monthly profections
+ * Each year of life the Ascendant advances one whole sign: the year's sign
+ * is the profected house and its domicile lord is the lord of the year.
+ * Years run from birthday to birthday. Within a year each month advances
+ * one more sign from the year's sign, starting on the same day of the
+ * month as the birthday.
+ */
+class Profections {
+  /**
+   * Profected year of an age
+   * @param {Object} natal - Natal chart (see HellenisticChart)
+   * @param {number} age - Completed years
+   * @returns {Object} { age, house, sign, lord, planets, start, end }
+   */
+  year(natal, age) {
+    return {
+      age,
+      ...this.profect(natal, age),
+      start: addMonths(natal.birth, 12 * age),
+      end: addMonths(natal.birth, 12 * (age + 1))
+    };
+  }
+
+  /**
+   * The twelve profected months of a year
+   * @param {Object} natal - Natal chart
+   * @param {number} age - Completed years
+   * @returns {Array<Object>} [{ month: 1-12, house, sign, lord, planets,
+   *   start, end }]
+   */
+  months(natal, age) {
+    return Array.from({ length: 12 }, (_, index) => ({
+      month: index + 1,
+      ...this.profect(natal, age + index),
+      start: addMonths(natal.birth, 12 * age + index),
+      end: addMonths(natal.birth, 12 * age + index + 1)
+    }));
+  }
+
+  /**
+   * Completed years at a moment
+   * @param {Object} natal - Natal chart
+   * @param {Date} date - Moment
+   * @returns {number} Age, -1 before birth
+   */
+  ageAt(natal, date) {
+    let age = date.getUTCFullYear() - natal.birth.getUTCFullYear();
+    while (age > 0 && addMonths(natal.birth, 12 * age) > date) {
+      age--;
+    }
+    return date < natal.birth ? -1 : age;
+  }
+
+  /**
+   * Machine-readable profections around a moment
+   * @param {Object} natal - Natal chart
+   * @param {Object} options - Options
+   * @param {Date} options.now - Moment (default now)
+   * @param {number} options.years - Years listed from the current one
+   * @returns {Object} { current: { year, month }, years, months }: the
+   *   running year and month, the next `years` years and the current
+   *   year's months
+   */
+  timeline(natal, { now = new Date(), years = 12 } = {}) {
+    const age = this.ageAt(natal, now);
+    if (age < 0) {
+      throw new Error('Profections start at birth');
+    }
+    const months = this.months(natal, age);
+    return {
+      current: {
+        year: this.year(natal, age),
+        month: months.find(month => month.start <= now && now < month.end)
+      },
+      years: Array.from({ length: years }, (_, index) =>
+        this.year(natal, age + index)
+      ),
+      months
+    };
+  }
+
+  /**
+   * WhatsApp summary of the running year and month
+   * @param {Object} timeline - timeline() result
+   * @returns {string} Summary
+   */
+  summarize({ current, years }) {
+    const { year, month } = current;
+    const next = years[1];
+    const lines = [
+      '🗓️ *Annual Profections*',
+      `Age ${year.age}: *${year.sign}*, the ${ordinal(year.house)} house`,
+      `Lord of the year: *${year.lord}* (until ${formatDate(year.end)})`
+    ];
+    if (year.planets.length) {
+      lines.push(`Activated natal planets: ${year.planets.join(', ')}`);
+    }
+    lines.push(
+      `This month: ${month.sign}, ${ordinal(month.house)} house, lord ${month.lord} (until ${formatDate(month.end)})`
+    );
+    if (next) {
+      lines.push(`Next year: ${next.sign}, lord ${next.lord}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @private
+   */
+  profect(natal, steps) {
+    const sign = (signOf(natal.ascendant) + steps) % 12;
+    return {
+      house: (steps % 12) + 1,
+      sign: SIGNS[sign],
+      lord: DOMICILE_LORDS[sign],
+      planets: HellenisticChart.planetsIn(natal, sign)
+    };
+  }
+}
+
+module.exports = { Profections, ordinal };
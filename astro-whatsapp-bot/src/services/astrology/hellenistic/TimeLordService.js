@@ -0,0 +1,60 @@
+const { HellenisticChart } = require('./HellenisticChart');
+const { Profections } = require('./Profections');
+const { ZodiacalReleasing } = require('./ZodiacalReleasing');
+const { Firdaria } = require('./Firdaria');
+
+/**
+ * TimeLordService - Hellenistic time lords for a user's birth data
+ * Casts the natal chart once and runs the requested techniques on it.
+ * Every technique returns its machine-readable timeline and a WhatsApp
+ * summary of the periods running at `now`.
+ */
+class TimeLordService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.geocodingService - GeocodingService instance
+   */
+  constructor({ geocodingService } = {}) {
+    this.chart = new HellenisticChart({ geocodingService });
+    this.techniques = {
+      profections: new Profections(),
+      zodiacalReleasing: new ZodiacalReleasing(),
+      firdaria: new Firdaria()
+    };
+  }
+
+  /**
+   * @returns {Array<string>} Technique keys
+   */
+  listTechniques() {
+    return Object.keys(this.techniques);
+  }
+
+  /**
+   * Time lords running at a moment
+   * @param {Object} birthData - toServiceBirthData result
+   * @param {Object} options - Options
+   * @param {Array<string>} options.techniques - Technique keys (default all)
+   * @param {Date} options.now - Moment (default now)
+   * @returns {Promise<Object>} { natal, <technique>: { timeline, summary } }
+   */
+  async timeLords(birthData, options = {}) {
+    const { techniques = this.listTechniques(), now = new Date() } = options;
+    for (const key of techniques) {
+      if (!this.techniques[key]) {
+        throw new Error(`Unknown time-lord technique: ${key}`);
+      }
+    }
+
+    const natal = await this.chart.natal(birthData);
+    const result = { natal };
+    for (const key of techniques) {
+      const technique = this.techniques[key];
+      const timeline = technique.timeline(natal, { now });
+      result[key] = { timeline, summary: technique.summarize(timeline) };
+    }
+    return result;
+  }
+}
+
+module.exports = { TimeLordService };
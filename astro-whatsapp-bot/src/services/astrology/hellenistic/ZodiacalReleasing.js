@@ -0,0 +1,209 @@
+const {
+  SIGNS,
+  DOMICILE_LORDS,
+  DAY_MS,
+  signOf,
+  formatDate
+} = require('./HellenisticChart');
+
+// Minor years of each sign's domicile lord, Aries first (Valens)
+const MINOR_YEARS = [15, 8, 20, 25, 19, 20, 8, 15, 12, 27, 30, 12];
+
+// Days per minor year at each level: years, months, days, hours
+const LEVEL_UNITS = [360, 30, 2.5, 2.5 / 12];
+const LEVELS = ['L1', 'L2', 'L3', 'L4'];
+
+// Level 1 periods are listed from birth for at least this many years
+const SPAN_YEARS = 120;
+
+// Signs angular to Fortune mark peak periods; the 10th is the highest
+const PEAKS = { 10: 'major', 1: 'moderate', 7: 'moderate', 4: 'minor' };
+
+const LOTS = {
+  spirit: 'Spirit',
+  fortune: 'Fortune'
+};
+
+/**
+ * @param {Object} period - Releasing period
+ * @returns {string} Peak and loosing-of-the-bond marks
+ */
+const describeFlags = period =>
+  `${period.peak ? ' ⛰️' : ''}${period.loosingOfBond ? ' 🔓 loosing of the bond' : ''}`;
+
+/**
+ * ZodiacalReleasing - Zodiacal releasing from the Lots of Spirit and
+ * Fortune (Vettius Valens)
+ * Level 1 starts in the lot's sign and moves through the signs, each lasting
+ * its lord's minor years of 360 days. Every period divides the same way at
+ * the next level, in months of 30 days, then days of 2.5 and hours of 5,
+ * starting in its own sign and cut short where it ends. When a period
+ * outlasts all twelve signs, the sub-periods jump to the sign opposite its
+ * own instead of coming back to it: the loosing of the bond.
+ *
+ * Periods are plain objects: { lot, level: 1-4, sign, lord, start, end,
+ * path, fromFortune, peak, loosingOfBond }. `fromFortune` is the sign's
+ * place counted from Fortune and `peak` is major, moderate or minor for
+ * the angles of Fortune, null otherwise.
+ */
+class ZodiacalReleasing {
+  /**
+   * Level 1 periods from birth
+   * @param {Object} natal - Natal chart (see HellenisticChart)
+   * @param {string} lot - spirit or fortune
+   * @returns {Array<Object>} Level 1 periods covering SPAN_YEARS
+   */
+  periods(natal, lot) {
+    if (!LOTS[lot]) {
+      throw new Error(`Zodiacal releasing runs from spirit or fortune: ${lot}`);
+    }
+    const start = natal.birth.getTime();
+    return this.release(natal, {
+      lot,
+      level: 0,
+      sign: signOf(natal.lots[lot]),
+      start,
+      end: start + SPAN_YEARS * 365.25 * DAY_MS,
+      path: []
+    });
+  }
+
+  /**
+   * Sub-periods of a period; none below level 4
+   * @param {Object} natal - Natal chart
+   * @param {Object} period - Parent period
+   * @returns {Array<Object>} Child periods
+   */
+  subPeriods(natal, period) {
+    if (period.level >= LEVELS.length) {
+      return [];
+    }
+    return this.release(natal, {
+      ...period,
+      sign: SIGNS.indexOf(period.sign),
+      start: period.start.getTime(),
+      end: period.end.getTime()
+    });
+  }
+
+  /**
+   * The periods running at a moment, level 1 first
+   * @param {Object} natal - Natal chart
+   * @param {string} lot - spirit or fortune
+   * @param {Date} date - Moment
+   * @returns {Array<Object>} One period per level, empty outside the span
+   */
+  current(natal, lot, date = new Date()) {
+    const time = date.getTime();
+    const chain = [];
+    let periods = this.periods(natal, lot);
+    while (chain.length < LEVELS.length) {
+      const period = periods.find(
+        entry => entry.start.getTime() <= time && time < entry.end.getTime()
+      );
+      if (!period) {
+        break;
+      }
+      chain.push(period);
+      periods = this.subPeriods(natal, period);
+    }
+    return chain;
+  }
+
+  /**
+   * Machine-readable releasing from both lots
+   * @param {Object} natal - Natal chart
+   * @param {Object} options - Options
+   * @param {Date} options.now - Moment (default now)
+   * @returns {Object} { spirit, fortune }, each { periods: level 1,
+   *   subPeriods: level 2 of the running level 1 period, current }
+   */
+  timeline(natal, { now = new Date() } = {}) {
+    const result = {};
+    for (const lot of Object.keys(LOTS)) {
+      const current = this.current(natal, lot, now);
+      result[lot] = {
+        periods: this.periods(natal, lot),
+        subPeriods: current.length ? this.subPeriods(natal, current[0]) : [],
+        current
+      };
+    }
+    return result;
+  }
+
+  /**
+   * WhatsApp summary of the running periods from both lots
+   * @param {Object} timeline - timeline() result
+   * @returns {string} Summary
+   */
+  summarize(timeline) {
+    const lines = ['🌀 *Zodiacal Releasing*'];
+    for (const [lot, name] of Object.entries(LOTS)) {
+      const { current } = timeline[lot];
+      lines.push('', `*From ${name}*`);
+      lines.push(
+        ...current
+          .slice(0, 3)
+          .map(
+            period =>
+              `${LEVELS[period.level - 1]} ${period.sign} (${period.lord}) until ${formatDate(period.end)}${describeFlags(period)}`
+          )
+      );
+      const peak = current.find(period => period.level === 2 && period.peak);
+      if (peak) {
+        lines.push(
+          `⛰️ ${peak.peak[0].toUpperCase()}${peak.peak.slice(1)} peak period: ${peak.sign} is ${peak.fromFortune === 1 ? 'the sign of Fortune' : `the ${peak.fromFortune}th sign from Fortune`}.`
+        );
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Periods of one sign after another from `parent.sign`, filling the
+   * parent's span
+   * @private
+   */
+  release(natal, parent) {
+    const level = parent.level + 1;
+    const unit = LEVEL_UNITS[level - 1] * DAY_MS;
+    const fortune = signOf(natal.lots.fortune);
+    const periods = [];
+
+    let first = parent.sign;
+    let sign = first;
+    let start = parent.start;
+    let loosingOfBond = false;
+    while (start < parent.end) {
+      const end = Math.min(start + MINOR_YEARS[sign] * unit, parent.end);
+      const fromFortune = ((sign - fortune + 12) % 12) + 1;
+      periods.push({
+        lot: parent.lot,
+        level,
+        sign: SIGNS[sign],
+        lord: DOMICILE_LORDS[sign],
+        start: new Date(start),
+        end: new Date(end),
+        path: [...parent.path, periods.length],
+        fromFortune,
+        peak: PEAKS[fromFortune] || null,
+        loosingOfBond
+      });
+      start = end;
+      sign = (sign + 1) % 12;
+      loosingOfBond = sign === first;
+      if (loosingOfBond) {
+        first = (first + 6) % 12;
+        sign = first;
+      }
+    }
+    return periods;
+  }
+}
+
+module.exports = {
+  ZodiacalReleasing,
+  MINOR_YEARS,
+  LEVEL_UNITS,
+  LOTS
+};
@@ -0,0 +1,44 @@
+const {
+  HellenisticChart,
+  SIGNS,
+  DOMICILE_LORDS,
+  addMonths
+} = require('./HellenisticChart');
+const { Profections } = require('./Profections');
+const {
+  ZodiacalReleasing,
+  MINOR_YEARS,
+  LEVEL_UNITS
+} = require('./ZodiacalReleasing');
+const { Firdaria, DAY_SEQUENCE, NIGHT_SEQUENCE } = require('./Firdaria');
+const { TimeLordService } = require('./TimeLordService');
+
+// Process-wide service, created on first use
+let service = null;
+
+/**
+ * Shared time-lord service
+ * @returns {TimeLordService} Time-lord service
+ */
+const getTimeLordService = () => {
+  if (!service) {
+    service = new TimeLordService();
+  }
+  return service;
+};
+
+module.exports = {
+  HellenisticChart,
+  Profections,
+  ZodiacalReleasing,
+  Firdaria,
+  TimeLordService,
+  SIGNS,
+  DOMICILE_LORDS,
+  MINOR_YEARS,
+  LEVEL_UNITS,
+  DAY_SEQUENCE,
+  NIGHT_SEQUENCE,
+  addMonths,
+  getTimeLordService
+};
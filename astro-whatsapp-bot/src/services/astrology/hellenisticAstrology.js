@@ -4,6 +4,7 @@
  */
 
 const logger = require('../../utils/logger');
+const { getTimeLordService } = require('./hellenistic');
 
 class HellenisticAstrologyReader {
   constructor() {
@@ -218,6 +219,17 @@ class HellenisticAstrologyReader {
     }
   }
 
+  /**
+   * Time lords running at a moment: annual and monthly profections,
+   * zodiacal releasing from Spirit and Fortune, and firdaria
+   * @param {Object} birthData - toServiceBirthData result
+   * @param {Object} options - TimeLordService.timeLords options
+   * @returns {Promise<Object>} Timelines and WhatsApp summaries
+   */
+  async calculateTimeLords(birthData, options = {}) {
+    return getTimeLordService().timeLords(birthData, options);
+  }
+
   /**
    * Calculate planetary positions using Hellenistic parameters
    * @param {string} birthDate - Birth date
@@ -762,7 +774,10 @@ class HellenisticAstrologyReader {
       'Triplicities - Elemental rulerships and strengths',
       'Bounds (Terms) - Degree-by-degree planetary rulership',
       'Joys - Planetary happiness in specific houses',
-      'Hellenistic Aspects - Ancient aspect interpretations'
+      'Hellenistic Aspects - Ancient aspect interpretations',
+      'Profections - Lord of the year and of the month',
+      'Zodiacal Releasing - Periods from the Lots of Spirit and Fortune',
+      'Firdaria - Persian planetary periods for day and night charts'
     ];
   }
 }
@@ -5,6 +5,10 @@
 
 const logger = require('../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('./core/ChartSettings');
 
 class JaiminiAstrology {
   constructor() {
@@ -296,7 +300,10 @@ class JaiminiAstrology {
       const jd = this._dateToJulianDay(year, month, day, hour + minute / 60);
 
       // Calculate precise planetary positions using Swiss Ephemeris
-      const planetaryPositions = await this._getPrecisePlanetaryPositions(jd);
+      const planetaryPositions = await this._getPrecisePlanetaryPositions(
+        jd,
+        resolveChartSettings(birthData)
+      );
 
       // Calculate authentic Jaimini Karakas
       const karakas = await this._calculateAuthenticKarakas(planetaryPositions);
@@ -348,10 +355,14 @@ class JaiminiAstrology {
   }
 
   /**
-   * Get precise planetary positions using Swiss Ephemeris
+   * Get precise planetary positions using Swiss Ephemeris, in the chart
+   * settings' ayanamsa
    * @private
    */
-  async _getPrecisePlanetaryPositions(jd) {
+  async _getPrecisePlanetaryPositions(
+    jd,
+    chartSettings = resolveChartSettings()
+  ) {
     const planets = {
       sun: null,
       moon: null,
@@ -365,19 +376,20 @@ class JaiminiAstrology {
     };
 
     const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN,
-      rahu: sweph.SE_TRUE_NODE, // Rahu
-      ketu: sweph.SE_TRUE_NODE // Ketu is opposite Rahu
+      sun: sweph.constants.SE_SUN,
+      moon: sweph.constants.SE_MOON,
+      mars: sweph.constants.SE_MARS,
+      mercury: sweph.constants.SE_MERCURY,
+      jupiter: sweph.constants.SE_JUPITER,
+      venus: sweph.constants.SE_VENUS,
+      saturn: sweph.constants.SE_SATURN,
+      rahu: sweph.constants.SE_TRUE_NODE, // Rahu
+      ketu: sweph.constants.SE_TRUE_NODE // Ketu is opposite Rahu
     };
 
     try {
-      // Calculate positions using Swiss Ephemeris with sidereal settings
+      // Sidereal mode is process-wide: no await from here on
+      applySiderealMode(chartSettings);
       for (const [planetName, planetId] of Object.entries(planetIds)) {
         if (planetName === 'ketu') {
           // Ketu is always 180° opposite to Rahu
@@ -394,19 +406,22 @@ class JaiminiAstrology {
             };
           }
         } else {
-          const result = sweph.calc(
+          const result = sweph.calc_ut(
             jd,
             planetId,
-            sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL | sweph.FLG_SPEED
+            sweph.constants.SEFLG_SWIEPH |
+              sweph.constants.SEFLG_SIDEREAL |
+              sweph.constants.SEFLG_SPEED
           );
 
-          if (result && result.longitude) {
+          if (result && result.flag >= 0) {
+            const [longitude, latitude, , speed] = result.data;
             planets[planetName] = {
-              longitude: result.longitude[0],
-              latitude: result.longitude[1],
-              speed: result.longitude[2],
-              sign: this._getSignFromLongitude(result.longitude[0]),
-              nakshatra: this._getNakshatraFromLongitude(result.longitude[0])
+              longitude,
+              latitude,
+              speed,
+              sign: this._getSignFromLongitude(longitude),
+              nakshatra: this._getNakshatraFromLongitude(longitude)
             };
           }
         }
@@ -868,7 +883,7 @@ class JaiminiAstrology {
    * @private
    */
   _dateToJulianDay(year, month, day, hour) {
-    return sweph.swe_julday(year, month, day, hour, sweph.SE_GREG_CAL);
+    return sweph.julday(year, month, day, hour, sweph.constants.SE_GREG_CAL);
   }
 
   /**
@@ -0,0 +1,412 @@
+const sweph = require('sweph');
+const GeocodingService = require('../geocoding/GeocodingService');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  getAyanamsa,
+  calculateHouses
+} = require('../core/ChartSettings');
+const { lordsOf, subForNumber } = require('./KPSubLords');
+
+const { SEFLG_SIDEREAL, SEFLG_SPEED, SEFLG_SWIEPH } = sweph.constants;
+
+// KP uses the mean node for Rahu; Ketu is opposite
+const PLANET_IDS = {
+  Sun: sweph.constants.SE_SUN,
+  Moon: sweph.constants.SE_MOON,
+  Mars: sweph.constants.SE_MARS,
+  Mercury: sweph.constants.SE_MERCURY,
+  Jupiter: sweph.constants.SE_JUPITER,
+  Venus: sweph.constants.SE_VENUS,
+  Saturn: sweph.constants.SE_SATURN,
+  Rahu: sweph.constants.SE_MEAN_NODE
+};
+const PLANETS = [...Object.keys(PLANET_IDS), 'Ketu'];
+const NODES = ['Rahu', 'Ketu'];
+
+// Weekday lords from Monday, matching Julian day numbering
+const DAY_LORDS = [
+  'Moon',
+  'Mars',
+  'Mercury',
+  'Jupiter',
+  'Venus',
+  'Saturn',
+  'Sun'
+];
+
+// Placidus cusps with the Krishnamurti ayanamsa
+const KP_SETTINGS = resolveChartSettings({
+  chartSettings: { houseSystem: 'kp_placidus' }
+});
+
+const normalize = longitude => ((longitude % 360) + 360) % 360;
+
+// Signed difference a - b in (-180, 180]
+const difference = (a, b) => {
+  const diff = normalize(a - b);
+  return diff > 180 ? diff - 360 : diff;
+};
+
+/**
+ * The lords of a longitude as shown on a KP chart
+ * @param {number} longitude - Sidereal longitude
+ * @returns {Object} { sign, signLord, nakshatra, starLord, subLord }
+ */
+const describeLongitude = longitude => {
+  const { sign, signLord, nakshatra, starLord, subLord } = lordsOf(longitude);
+  return { sign, signLord, nakshatra, starLord, subLord };
+};
+
+/**
+ * KPCalculator - Krishnamurti Paddhati charts
+ * Casts Placidus cusps with the KP ayanamsa, gives every cusp and planet
+ * its sign, star and sub lord (see KPSubLords), derives the four levels
+ * of significators, the ruling planets of a moment and horary charts from
+ * a 1-249 number.
+ * Swiss Ephemeris' sidereal mode is process-wide, so each chart is cast
+ * synchronously.
+ */
+class KPCalculator {
+  /**
+   * @param {Object} options - Calculator options
+   * @param {Object} options.geocodingService - GeocodingService instance
+   */
+  constructor({ geocodingService } = {}) {
+    this.geocodingService = geocodingService || new GeocodingService();
+  }
+
+  /**
+   * Julian day (UT) of an instant
+   * @param {Date} date - Instant
+   * @returns {number} Julian day
+   */
+  static julianDay(date) {
+    return sweph.julday(
+      date.getUTCFullYear(),
+      date.getUTCMonth() + 1,
+      date.getUTCDate(),
+      date.getUTCHours() +
+        date.getUTCMinutes() / 60 +
+        date.getUTCSeconds() / 3600,
+      sweph.constants.SE_GREG_CAL
+    );
+  }
+
+  /**
+   * Coordinates of the birthplace, confirmed at onboarding or geocoded
+   * @param {Object} birthData - toServiceBirthData result
+   * @returns {Promise<Object>} { latitude, longitude, timezoneId }
+   */
+  async locate(birthData) {
+    if (birthData.birthLatitude != null && birthData.birthLongitude != null) {
+      return {
+        latitude: birthData.birthLatitude,
+        longitude: birthData.birthLongitude,
+        timezoneId: birthData.birthTimezone
+      };
+    }
+    return this.geocodingService.getCoordinates(birthData.birthPlace);
+  }
+
+  /**
+   * Birth moment and place for a chart
+   * @param {Object} birthData - toServiceBirthData result (DD/MM/YYYY, HH:MM)
+   * @returns {Promise<Object>} { jd, latitude, longitude }
+   */
+  async birthMoment(birthData) {
+    const [day, month, year] = birthData.birthDate.split('/').map(Number);
+    const [hour, minute] = birthData.birthTime.split(':').map(Number);
+    if (!day || !month || !year || !(hour <= 23) || !(minute <= 59)) {
+      throw new Error(
+        `Invalid birth date or time: ${birthData.birthDate} ${birthData.birthTime}`
+      );
+    }
+
+    const location = await this.locate(birthData);
+    const { offset } = await this.geocodingService.getBirthTimezone(location, {
+      year,
+      month,
+      day,
+      hour,
+      minute
+    });
+    return {
+      jd: sweph.julday(
+        year,
+        month,
+        day,
+        hour + minute / 60 - offset,
+        sweph.constants.SE_GREG_CAL
+      ),
+      latitude: location.latitude,
+      longitude: location.longitude
+    };
+  }
+
+  /**
+   * Cast a KP chart
+   * @param {Object} moment - { jd, latitude, longitude }
+   * @returns {Object} { jd, houseSystem, ayanamsa, cusps, planets }
+   */
+  castChart({ jd, latitude, longitude }) {
+    const houses = calculateHouses(jd, latitude, longitude, KP_SETTINGS);
+    return this.buildChart(jd, houses.houseCusps, houses.system);
+  }
+
+  /**
+   * Cast a KP horary chart: the Ascendant is the start of the sub the
+   * number denotes and the other cusps follow for the querent's latitude.
+   * Planets are taken at the moment of the query.
+   * @param {number} number - Horary number, 1 to 249
+   * @param {Object} moment - { jd, latitude, longitude } of the query
+   * @returns {Object} KP chart with { number }
+   */
+  horaryChart(number, { jd, latitude }) {
+    const entry = subForNumber(number);
+    if (!entry) {
+      throw new Error(`KP horary number must be 1 to 249, got ${number}`);
+    }
+    const houses = this.cuspsForAscendant(entry.start, jd, latitude);
+    // Exactly the sub's first degree, not the bisection's approximation
+    houses.houseCusps[0] = entry.start;
+    return { ...this.buildChart(jd, houses.houseCusps, houses.system), number };
+  }
+
+  /**
+   * Placidus cusps for a given sidereal Ascendant. The sidereal time that
+   * raises that degree is found by bisection.
+   * @private
+   * @param {number} ascendant - Sidereal Ascendant
+   * @param {number} jd - Julian day (UT), for the ayanamsa and obliquity
+   * @param {number} latitude - Geographic latitude
+   * @returns {Object} { system, houseCusps }
+   */
+  cuspsForAscendant(ascendant, jd, latitude) {
+    const ayanamsa = getAyanamsa(jd, KP_SETTINGS);
+    const obliquity = sweph.calc_ut(jd, sweph.constants.SE_ECL_NUT, 0).data[0];
+    const target = normalize(ascendant + ayanamsa);
+    const housesAt = armc =>
+      sweph.houses_armc(armc, latitude, obliquity, KP_SETTINGS.houseCode);
+    const offset = armc => difference(housesAt(armc).data.points[0], target);
+
+    // The Ascendant rises with the sidereal time; bracket the crossing
+    let low = null;
+    for (let armc = 0; armc < 360; armc++) {
+      const before = offset(armc);
+      const after = offset(armc + 1);
+      if (before <= 0 && after >= 0 && after - before < 90) {
+        low = armc;
+        break;
+      }
+    }
+    if (low === null) {
+      throw new Error(`No Ascendant at ${ascendant}° for latitude ${latitude}`);
+    }
+    let high = low + 1;
+    for (let i = 0; i < 50; i++) {
+      const middle = (low + high) / 2;
+      if (offset(middle) < 0) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    const result = housesAt((low + high) / 2);
+    return {
+      system: result.flag < 0 ? 'Porphyry' : KP_SETTINGS.houseSystemName,
+      houseCusps: result.data.houses.map(cusp => normalize(cusp - ayanamsa))
+    };
+  }
+
+  /**
+   * Planets with their lords and KP houses
+   * @private
+   * @param {number} jd - Julian day (UT)
+   * @param {Array<number>} houseCusps - Sidereal cusps 1-12
+   * @param {string} houseSystem - House system actually used
+   * @returns {Object} KP chart
+   */
+  buildChart(jd, houseCusps, houseSystem) {
+    const cusps = houseCusps.map((longitude, index) => ({
+      house: index + 1,
+      longitude: normalize(longitude),
+      ...describeLongitude(longitude)
+    }));
+
+    applySiderealMode(KP_SETTINGS);
+    const planets = {};
+    for (const [name, id] of Object.entries(PLANET_IDS)) {
+      const position = sweph.calc_ut(jd, id, SEFLG_SIDEREAL | SEFLG_SPEED);
+      if (!position || position.flag < 0) {
+        throw new Error(`Position of ${name} unavailable: ${position.error}`);
+      }
+      const [longitude, , , speed] = position.data;
+      planets[name] = { longitude: normalize(longitude), speed };
+    }
+    planets.Ketu = {
+      longitude: normalize(planets.Rahu.longitude + 180),
+      speed: planets.Rahu.speed
+    };
+    for (const name of PLANETS) {
+      const planet = planets[name];
+      planet.retrograde = planet.speed < 0 && !NODES.includes(name);
+      planet.house = KPCalculator.houseOf(planet.longitude, cusps);
+      Object.assign(planet, describeLongitude(planet.longitude));
+    }
+
+    return {
+      jd,
+      houseSystem,
+      ayanamsa: KP_SETTINGS.ayanamsaName,
+      cusps,
+      planets
+    };
+  }
+
+  /**
+   * KP house of a longitude: from one cusp up to the next
+   * @param {number} longitude - Sidereal longitude
+   * @param {Array<Object>} cusps - Chart cusps
+   * @returns {number} House 1-12
+   */
+  static houseOf(longitude, cusps) {
+    for (let index = 0; index < 12; index++) {
+      const start = cusps[index].longitude;
+      const span = normalize(cusps[(index + 1) % 12].longitude - start);
+      if (normalize(longitude - start) < span) {
+        return index + 1;
+      }
+    }
+    return 12;
+  }
+
+  /**
+   * Significators in the four KP levels. For a planet:
+   *   1. houses occupied by its star lord
+   *   2. the house it occupies
+   *   3. houses owned by its star lord
+   *   4. houses it owns
+   * A house's significators are the planets signifying it at each level
+   * (planets in the star of occupants, occupants, planets in the star of
+   * the owner, the owner). Houses are owned by the sign lord of their cusp;
+   * Rahu and Ketu own none and act as agents of their sign lord.
+   * @param {Object} chart - KP chart
+   * @returns {Object} { planets: { <planet>: { levels, houses } },
+   *   houses: { <1-12>: [level1, level2, level3, level4] } }
+   */
+  significators(chart) {
+    const owned = planet => {
+      const lord = NODES.includes(planet) ?
+        chart.planets[planet].signLord :
+        planet;
+      return chart.cusps
+        .filter(cusp => cusp.signLord === lord)
+        .map(cusp => cusp.house);
+    };
+
+    const planets = {};
+    for (const name of PLANETS) {
+      const { starLord, house } = chart.planets[name];
+      const levels = [
+        [chart.planets[starLord].house],
+        [house],
+        owned(starLord),
+        owned(name)
+      ];
+      planets[name] = {
+        levels,
+        houses: [...new Set(levels.flat())].sort((a, b) => a - b)
+      };
+    }
+
+    const houses = {};
+    for (let house = 1; house <= 12; house++) {
+      houses[house] = [0, 1, 2, 3].map(level =>
+        PLANETS.filter(name => planets[name].levels[level].includes(house))
+      );
+    }
+    return { planets, houses };
+  }
+
+  /**
+   * Ruling planets of a moment, strongest first: Ascendant star and sign
+   * lords, Moon star and sign lords, then the day lord (the weekday runs
+   * from sunrise). Rahu and Ketu join when their sign lord rules.
+   * @param {Object} moment - { jd, latitude, longitude }
+   * @returns {Object} { dayLord, ascendant, moon, planets, chart }
+   */
+  rulingPlanets(moment) {
+    const chart = this.castChart(moment);
+    const ascendant = describeLongitude(chart.cusps[0].longitude);
+    const moon = describeLongitude(chart.planets.Moon.longitude);
+    const dayLord = this.dayLord(moment);
+
+    const planets = [];
+    for (const planet of [
+      ascendant.starLord,
+      ascendant.signLord,
+      moon.starLord,
+      moon.signLord,
+      dayLord
+    ]) {
+      if (!planets.includes(planet)) {
+        planets.push(planet);
+      }
+    }
+    for (const node of NODES) {
+      if (
+        !planets.includes(node) &&
+        planets.includes(chart.planets[node].signLord)
+      ) {
+        planets.push(node);
+      }
+    }
+
+    return { dayLord, ascendant, moon, planets, chart };
+  }
+
+  /**
+   * Lord of the weekday in force, which changes at local sunrise. Where
+   * the Sun does not rise the civil (local mean time) weekday is used.
+   * @param {Object} moment - { jd, latitude, longitude }
+   * @returns {string} Planet
+   */
+  dayLord({ jd, latitude, longitude }) {
+    const sunrise = this.lastSunrise(jd, latitude, longitude);
+    const dayStart = sunrise === null ? jd : sunrise;
+    // Julian day 0.5 + local offset, floored, counts days from a Monday
+    const weekday = Math.floor(dayStart + 0.5 + longitude / 360) % 7;
+    return DAY_LORDS[weekday];
+  }
+
+  /**
+   * The last sunrise before a moment
+   * @private
+   * @returns {number|null} Julian day, or null when the Sun does not rise
+   */
+  lastSunrise(jd, latitude, longitude) {
+    for (let start = jd - 1; start > jd - 3; start -= 1) {
+      const result = sweph.rise_trans(
+        start,
+        sweph.constants.SE_SUN,
+        null,
+        SEFLG_SWIEPH,
+        sweph.constants.SE_CALC_RISE,
+        [longitude, latitude, 0],
+        0,
+        0
+      );
+      if (result.flag < 0) {
+        return null;
+      }
+      if (result.data <= jd) {
+        return result.data;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { KPCalculator, PLANETS, DAY_LORDS };
@@ -0,0 +1,173 @@
+const { KPCalculator } = require('./KPCalculator');
+const { subForNumber } = require('./KPSubLords');
+
+/**
+ * Question types for KP horary: the cusp whose sub lord decides, the houses
+ * that fulfil the matter and the houses (12th from them) that deny it.
+ * Checked in order; the first pattern matching the question wins.
+ */
+const QUESTION_TYPES = {
+  marriage: {
+    label: 'Marriage & partnership',
+    pattern: /\b(marr\w*|wedding|spouse|partner|husband|wife|engage\w*)\b/,
+    cusp: 7,
+    favourable: [2, 7, 11],
+    adverse: [1, 6, 10]
+  },
+  job: {
+    label: 'Job & career',
+    pattern: /\b(job|career|work|promotion|employ\w*|interview|boss)\b/,
+    cusp: 10,
+    favourable: [2, 6, 10, 11],
+    adverse: [1, 5, 9]
+  },
+  money: {
+    label: 'Money & gains',
+    pattern: /\b(money|loan|debt|payment|profit|gain|invest\w*|salary)\b/,
+    cusp: 11,
+    favourable: [2, 6, 11],
+    adverse: [5, 8, 12]
+  },
+  health: {
+    label: 'Health & recovery',
+    pattern: /\b(health|ill\w*|disease|recover\w*|surgery|cure|sick)\b/,
+    cusp: 1,
+    favourable: [1, 5, 11],
+    adverse: [6, 8, 12]
+  },
+  travel: {
+    label: 'Travel & settling abroad',
+    pattern: /\b(travel|abroad|foreign|visa|relocat\w*|journey|trip)\b/,
+    cusp: 12,
+    favourable: [3, 9, 12],
+    adverse: [2, 4, 11]
+  },
+  property: {
+    label: 'Property & home',
+    pattern: /\b(house|home|property|flat|land|apartment|vehicle|car)\b/,
+    cusp: 4,
+    favourable: [4, 11, 12],
+    adverse: [3, 10]
+  },
+  education: {
+    label: 'Education & exams',
+    pattern: /\b(exam\w*|study|studies|education|admission|degree|course)\b/,
+    cusp: 4,
+    favourable: [4, 9, 11],
+    adverse: [3, 8, 12]
+  },
+  children: {
+    label: 'Children',
+    pattern: /\b(child\w*|baby|pregnan\w*|conceive|son|daughter)\b/,
+    cusp: 5,
+    favourable: [2, 5, 11],
+    adverse: [1, 4, 10]
+  },
+  litigation: {
+    label: 'Litigation & disputes',
+    pattern: /\b(court|lawsuit|legal|dispute|litigation|verdict)\b/,
+    cusp: 6,
+    favourable: [6, 11],
+    adverse: [5, 12]
+  },
+  general: {
+    label: 'Fulfilment of a wish',
+    pattern: null,
+    cusp: 11,
+    favourable: [11],
+    adverse: [12]
+  }
+};
+
+/**
+ * KPHorary - Answers a question from a KP horary number (1-249)
+ * The querent's number fixes the Ascendant; the sub lord of the cusp that
+ * governs the matter promises it when it signifies the favourable houses,
+ * and the ruling planets of the moment confirm the answer.
+ */
+class KPHorary {
+  /**
+   * @param {Object} options - Options
+   * @param {KPCalculator} options.calculator - KP calculator
+   */
+  constructor({ calculator } = {}) {
+    this.calculator = calculator || new KPCalculator();
+  }
+
+  /**
+   * Match a question to a question type
+   * @param {string} question - Question text
+   * @returns {string} QUESTION_TYPES key
+   */
+  categorize(question) {
+    const text = String(question || '').toLowerCase();
+    const match = Object.entries(QUESTION_TYPES).find(
+      ([, type]) => type.pattern && type.pattern.test(text)
+    );
+    return match ? match[0] : 'general';
+  }
+
+  /**
+   * Cast and judge a horary chart
+   * @param {Object} query - Query
+   * @param {number} query.number - Horary number, 1 to 249
+   * @param {string} query.question - Question text
+   * @param {Object} query.moment - { jd, latitude, longitude } of the query
+   * @returns {Object} { number, sub, category, chart, significators,
+   *   ruling, judgement }
+   */
+  answer({ number, question, moment }) {
+    const chart = this.calculator.horaryChart(number, moment);
+    const significators = this.calculator.significators(chart);
+    const ruling = this.calculator.rulingPlanets(moment);
+    const category = this.categorize(question);
+
+    return {
+      number,
+      question,
+      sub: subForNumber(number),
+      category,
+      chart,
+      significators,
+      ruling,
+      judgement: this.judge(chart, significators, ruling, category)
+    };
+  }
+
+  /**
+   * Judge the matter from the sub lord of its cusp
+   * @param {Object} chart - KP horary chart
+   * @param {Object} significators - KPCalculator.significators result
+   * @param {Object} ruling - KPCalculator.rulingPlanets result
+   * @param {string} category - QUESTION_TYPES key
+   * @returns {Object} { verdict: 'yes' | 'obstacles' | 'no', cusp, subLord,
+   *   houses, favourable, adverse, confirmed }
+   */
+  judge(chart, significators, ruling, category) {
+    const type = QUESTION_TYPES[category] || QUESTION_TYPES.general;
+    const subLord = chart.cusps[type.cusp - 1].subLord;
+    const houses = significators.planets[subLord].houses;
+    const favourable = type.favourable.filter(house => houses.includes(house));
+    const adverse = type.adverse.filter(house => houses.includes(house));
+
+    let verdict = 'no';
+    if (favourable.length > 0) {
+      verdict = adverse.length > 0 ? 'obstacles' : 'yes';
+    }
+
+    const { starLord } = chart.planets[subLord];
+    return {
+      verdict,
+      cusp: type.cusp,
+      subLord,
+      houses,
+      favourable,
+      adverse,
+      // The sub lord or its star lord among the ruling planets
+      confirmed:
+        ruling.planets.includes(subLord) || ruling.planets.includes(starLord)
+    };
+  }
+}
+
+module.exports = { KPHorary, QUESTION_TYPES };
@@ -0,0 +1,93 @@
+const {
+  SIGNS,
+  SIGN_LORDS,
+  NAKSHATRAS,
+  VIMSHOTTARI
+} = require('../core/Zodiac');
+
+// Spans in arcseconds keep every boundary exact: a nakshatra is 48000"
+// and a sub 400" per Vimshottari year
+const SIGN_ARCSEC = 30 * 3600;
+const NAKSHATRA_ARCSEC = 48000;
+const ARCSEC_PER_YEAR = 400;
+
+/**
+ * The KP sub-lord table: each nakshatra divided among the nine Vimshottari
+ * lords in proportion to their years, starting from the star lord. Subs
+ * crossing a sign boundary are split, which turns 243 subs into the 249
+ * numbered divisions also used for KP horary.
+ * @returns {Array<Object>} [{ number, start, end, sign, signLord, nakshatra,
+ *   starLord, subLord }] with longitudes in degrees
+ */
+const buildSubLordTable = () => {
+  const table = [];
+  for (let star = 0; star < 27; star++) {
+    const first = star % 9;
+    let start = star * NAKSHATRA_ARCSEC;
+    for (let step = 0; step < 9; step++) {
+      const [subLord, years] = VIMSHOTTARI[(first + step) % 9];
+      const end = start + years * ARCSEC_PER_YEAR;
+      const signEnd = (Math.floor(start / SIGN_ARCSEC) + 1) * SIGN_ARCSEC;
+      const pieces =
+        end > signEnd ?
+          [
+            [start, signEnd],
+            [signEnd, end]
+          ] :
+          [[start, end]];
+      for (const [from, to] of pieces) {
+        const sign = Math.floor(from / SIGN_ARCSEC);
+        table.push({
+          number: table.length + 1,
+          start: from / 3600,
+          end: to / 3600,
+          sign: SIGNS[sign],
+          signLord: SIGN_LORDS[sign],
+          nakshatra: NAKSHATRAS[star],
+          starLord: VIMSHOTTARI[first][0],
+          subLord
+        });
+      }
+      start = end;
+    }
+  }
+  return table;
+};
+
+const SUB_LORD_TABLE = Object.freeze(buildSubLordTable());
+
+/**
+ * Sign, star and sub lords of a sidereal longitude
+ * @param {number} longitude - Sidereal longitude in degrees
+ * @returns {Object} Table entry containing the longitude
+ */
+const lordsOf = longitude => {
+  const target = ((longitude % 360) + 360) % 360;
+  let low = 0;
+  let high = SUB_LORD_TABLE.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (SUB_LORD_TABLE[middle].start <= target) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return SUB_LORD_TABLE[low];
+};
+
+/**
+ * Table entry for a KP horary number
+ * @param {number} number - 1 to 249
+ * @returns {Object|null} Table entry, null when out of range
+ */
+const subForNumber = number =>
+  Number.isInteger(number) && number >= 1 && number <= SUB_LORD_TABLE.length ?
+    SUB_LORD_TABLE[number - 1] :
+    null;
+
+module.exports = {
+  SUB_LORD_TABLE,
+  lordsOf,
+  subForNumber
+};
@@ -0,0 +1,14 @@
+const { KPCalculator, PLANETS, DAY_LORDS } = require('./KPCalculator');
+const { KPHorary, QUESTION_TYPES } = require('./KPHorary');
+const { SUB_LORD_TABLE, lordsOf, subForNumber } = require('./KPSubLords');
+
+module.exports = {
+  KPCalculator,
+  KPHorary,
+  QUESTION_TYPES,
+  PLANETS,
+  DAY_LORDS,
+  SUB_LORD_TABLE,
+  lordsOf,
+  subForNumber
+};
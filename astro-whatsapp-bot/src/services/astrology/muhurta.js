@@ -5,6 +5,10 @@
 
 const logger = require('../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('./core/ChartSettings');
 
 class Muhurta {
   constructor() {
@@ -421,6 +425,7 @@ class Muhurta {
   /**
    * Calculate auspicious muhurta for a specific event and time range
    * @param {Object} eventData - Event type, preferred date range, location
+   *   and the user's preferences (ayanamsa)
    * @returns {Object} Muhurta analysis with best timings
    */
   async calculateMuhurta(eventData) {
@@ -439,7 +444,8 @@ class Muhurta {
         startDate,
         endDate,
         location,
-        eventRequirements
+        eventRequirements,
+        resolveChartSettings(eventData)
       );
 
       // Find best muhurta within the period
@@ -545,7 +551,13 @@ class Muhurta {
    * Analyze muhurta period for auspicious times
    * @private
    */
-  async analyzeMuhurtaPeriod(startDate, endDate, location, requirements) {
+  async analyzeMuhurtaPeriod(
+    startDate,
+    endDate,
+    location,
+    requirements,
+    chartSettings
+  ) {
     const analysis = {
       dailySummaries: [],
       topAlternatives: [],
@@ -563,7 +575,8 @@ class Muhurta {
       const dayAnalysis = await this.analyzeDailyMuhurta(
         currentDate,
         location,
-        requirements
+        requirements,
+        chartSettings
       );
       analysis.dailySummaries.push(dayAnalysis);
 
@@ -595,14 +608,19 @@ class Muhurta {
    * Analyze daily muhurta specific day
    * @private
    */
-  async analyzeDailyMuhurta(date, location, requirements) {
+  async analyzeDailyMuhurta(
+    date,
+    location,
+    requirements,
+    chartSettings = resolveChartSettings()
+  ) {
     const dateStr = date.toISOString().split('T')[0];
     let score = 0;
     const factors = [];
 
     try {
       // Check planetary positions and ascendant
-      const [day, month, year] = dateStr.split('-').map(Number);
+      const [year, month, day] = dateStr.split('-').map(Number);
       const julianDay = this.dateToJulianDay(year, month, day, 12); // Noon
 
       // Calculate planets for the day
@@ -617,14 +635,16 @@ class Muhurta {
         'saturn'
       ];
 
+      // Sidereal mode is process-wide: no await from here on
+      applySiderealMode(chartSettings);
       for (const planet of planets) {
-        const result = sweph.calc(
+        const result = sweph.calc_ut(
           julianDay,
           this.getPlanetId(planet),
-          sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL
+          sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SIDEREAL
         );
-        if (result && result.longitude) {
-          const longitude = result.longitude[0];
+        if (result && result.flag >= 0) {
+          const longitude = result.data[0];
           dailyPlanets[planet] = {
             longitude,
             sign: this.longitudeToSign(longitude),
@@ -860,16 +880,7 @@ ${recommendations.enhancements?.map(item => `✨ ${item}`).join('\n') || 'Tradit
   }
 
   dateToJulianDay(year, month, day, hour) {
-    return (
-      hour / 24 +
-      day +
-      Math.floor((153 * month + 2) / 5) +
-      365 * year +
-      Math.floor(year / 4) -
-      Math.floor(year / 100) +
-      Math.floor(year / 400) -
-      32045
-    );
+    return sweph.julday(year, month, day, hour, sweph.constants.SE_GREG_CAL);
   }
 
   longitudeToSign(longitude) {
@@ -897,15 +908,15 @@ ${recommendations.enhancements?.map(item => `✨ ${item}`).join('\n') || 'Tradit
 
   getPlanetId(planetName) {
     const ids = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN
+      sun: sweph.constants.SE_SUN,
+      moon: sweph.constants.SE_MOON,
+      mars: sweph.constants.SE_MARS,
+      mercury: sweph.constants.SE_MERCURY,
+      jupiter: sweph.constants.SE_JUPITER,
+      venus: sweph.constants.SE_VENUS,
+      saturn: sweph.constants.SE_SATURN
     };
-    return ids[planetName] || sweph.SE_SUN;
+    return ids[planetName] || sweph.constants.SE_SUN;
   }
 
   checkTithiCompatibility(date, requirements) {
@@ -5,6 +5,10 @@
 
 const logger = require('../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode
+} = require('./core/ChartSettings');
 
 class PrashnaAstrology {
   constructor() {
@@ -210,7 +214,8 @@ class PrashnaAstrology {
       // Cast horary chart for exact question moment
       const horaryChart = await this.castHoraryChart(
         julianDay,
-        questionLocation
+        questionLocation,
+        resolveChartSettings(user)
       );
 
       // Analyze question type
@@ -270,40 +275,45 @@ class PrashnaAstrology {
   }
 
   /**
-   * Cast horary chart at the moment of question
+   * Cast horary chart at the moment of question, in the asking user's
+   * ayanamsa
    * @private
    */
-  async castHoraryChart(jd, location) {
+  async castHoraryChart(jd, location, chartSettings = resolveChartSettings()) {
     const { latitude, longitude, timezone = 5.5 } = location;
 
     // Calculate planets at question time
     const planets = {};
     const planetIds = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN,
-      rahu: sweph.SE_TRUE_NODE,
+      sun: sweph.constants.SE_SUN,
+      moon: sweph.constants.SE_MOON,
+      mars: sweph.constants.SE_MARS,
+      mercury: sweph.constants.SE_MERCURY,
+      jupiter: sweph.constants.SE_JUPITER,
+      venus: sweph.constants.SE_VENUS,
+      saturn: sweph.constants.SE_SATURN,
+      rahu: sweph.constants.SE_TRUE_NODE,
       ketu: null // 180° from Rahu
     };
 
+    // Sidereal mode is process-wide: no await from here on
+    applySiderealMode(chartSettings);
     for (const [name, id] of Object.entries(planetIds)) {
       if (id !== null) {
-        const result = sweph.calc(
+        const result = sweph.calc_ut(
           jd,
           id,
-          sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL
+          sweph.constants.SEFLG_SWIEPH |
+            sweph.constants.SEFLG_SIDEREAL |
+            sweph.constants.SEFLG_SPEED
         );
-        if (result && result.longitude) {
-          const longitude = result.longitude[0];
+        if (result && result.flag >= 0) {
+          const longitude = result.data[0];
           planets[name] = {
             longitude,
             sign: this.longitudeToSign(longitude),
             house: this.longitudeToHouse(longitude, planets.ascendant),
-            inRetrograde: this.isRetrograde(name, jd, result.longitude[2]),
+            inRetrograde: this.isRetrograde(name, jd, result.data[3]),
             strength: this.calculatePlanetaryStrength(
               name,
               longitude,
@@ -705,16 +715,7 @@ class PrashnaAstrology {
 
   // Helper methods
   dateToJulianDay(year, month, day, hour) {
-    return (
-      hour / 24 +
-      day +
-      Math.floor((153 * month + 2) / 5) +
-      365 * year +
-      Math.floor(year / 4) -
-      Math.floor(year / 100) +
-      Math.floor(year / 400) -
-      32045
-    );
+    return sweph.julday(year, month, day, hour, sweph.constants.SE_GREG_CAL);
   }
 
   longitudeToSign(longitude) {
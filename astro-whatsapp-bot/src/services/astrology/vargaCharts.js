@@ -5,12 +5,19 @@
 
 const logger = require('../../utils/logger');
 const sweph = require('sweph');
+const {
+  resolveChartSettings,
+  applySiderealMode,
+  calculateHouses
+} = require('./core/ChartSettings');
+const GeocodingService = require('./geocoding/GeocodingService');
 
 class VargaCharts {
-  constructor() {
+  constructor(geocodingService) {
     logger.info(
       'Module: VargaCharts loaded - Vedic Divisional Charts for Detailed Analysis'
     );
+    this.geocodingService = geocodingService || new GeocodingService();
     this.initializeVargaSystem();
   }
 
@@ -283,20 +290,16 @@ class VargaCharts {
     ]
   ) {
     try {
-      const { birthDate, birthTime, birthPlace } = birthData;
-
       // Parse birth data
-      const { julianDay, latitude, longitude } = this.parseBirthData(
-        birthDate,
-        birthTime,
-        birthPlace
-      );
+      const { julianDay, latitude, longitude } =
+        await this.parseBirthData(birthData);
 
       // Calculate main birth chart first
       const birthChart = await this.calculateRashiChart(
         julianDay,
         latitude,
-        longitude
+        longitude,
+        resolveChartSettings(birthData, { houseSystem: 'whole_sign' })
       );
 
       // Calculate requested varga charts
@@ -332,7 +335,12 @@ class VargaCharts {
    * Calculate Rashi (D-1) chart as base
    * @private
    */
-  async calculateRashiChart(julianDay, latitude, longitude) {
+  async calculateRashiChart(
+    julianDay,
+    latitude,
+    longitude,
+    chartSettings = resolveChartSettings()
+  ) {
     const planets = {};
     const houses = {};
 
@@ -346,14 +354,15 @@ class VargaCharts {
       'venus',
       'saturn'
     ];
+    applySiderealMode(chartSettings);
     for (const planet of planetList) {
       const result = sweph.calc(
         julianDay,
         this.getPlanetId(planet),
-        sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL
+        sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SIDEREAL
       );
-      if (result.longitude) {
-        const longitude = result.longitude[0];
+      if (result.flag >= 0) {
+        const [longitude] = result.data;
         planets[planet.charAt(0).toUpperCase() + planet.slice(1)] = {
           longitude,
           sign: this.longitudeToSign(longitude),
@@ -364,9 +373,12 @@ class VargaCharts {
     }
 
     // Calculate houses (ascendant-based)
-    const cusps = new Array(13);
-    sweph.houses(julianDay, latitude, longitude, 'P', cusps);
-    const lagna = cusps[0];
+    const { ascendant: lagna, houseCusps: cusps } = calculateHouses(
+      julianDay,
+      latitude,
+      longitude,
+      chartSettings
+    );
 
     // Update house assignments for planets
     Object.keys(planets).forEach(planet => {
@@ -388,7 +400,8 @@ class VargaCharts {
       planets,
       houses,
       lagna,
-      ascendantSign: this.longitudeToSign(lagna)
+      ascendantSign: this.longitudeToSign(lagna),
+      ayanamsa: chartSettings.ayanamsaName
     };
   }
 
@@ -755,23 +768,64 @@ class VargaCharts {
   }
 
   // Helper methods
-  parseBirthData(birthDate, birthTime, birthPlace) {
-    // Simplified parsing - convert to Julian day
-    const date = new Date(`${birthDate}T${birthTime}`);
-    const julianDay = this.dateToJulianDay(date);
+  /**
+   * Convert stored birth details to a UT Julian day and coordinates
+   * @param {Object} birthData - birthDate (DD/MM/YYYY, DDMMYY[YY]), birthTime
+   *   (HH:MM, HHMM), birthPlace and optional birthLatitude/birthLongitude/birthTimezone
+   * @returns {Promise<Object>} { julianDay, latitude, longitude }
+   */
+  async parseBirthData(birthData) {
+    const { birthDate, birthTime, birthPlace } = birthData;
+    const digits = String(birthDate || '').replace(/\D/g, '');
+    const parts = String(birthDate || '').split('/');
+    let [day, month, year] =
+      parts.length === 3 ?
+        parts.map(Number) :
+        [digits.substring(0, 2), digits.substring(2, 4), digits.substring(4)].map(
+          Number
+        );
+    if (digits.length === 6) {
+      year += year <= 30 ? 2000 : 1900;
+    }
+    const time = String(birthTime || '12:00')
+      .replace(/\D/g, '')
+      .padStart(4, '0');
+    const hour = parseInt(time.substring(0, 2), 10);
+    const minute = parseInt(time.substring(2, 4), 10);
+    if (!day || !month || !year || hour > 23 || minute > 59) {
+      throw new Error(`Invalid birth date or time: ${birthDate} ${birthTime}`);
+    }
+
+    // Coordinates confirmed at onboarding, else geocode the place name
+    const location =
+      birthData.birthLatitude != null && birthData.birthLongitude != null ?
+        {
+          latitude: birthData.birthLatitude,
+          longitude: birthData.birthLongitude,
+          timezoneId: birthData.birthTimezone
+        } :
+        await this.geocodingService.getCoordinates(birthPlace);
+    const { offset } = await this.geocodingService.getBirthTimezone(location, {
+      year,
+      month,
+      day,
+      hour,
+      minute
+    });
 
-    // Default coordinates (would normally be geocoded from birthPlace)
     return {
-      julianDay,
-      latitude: 28.6139, // New Delhi coordinates as default
-      longitude: 77.209
+      julianDay: sweph.julday(
+        year,
+        month,
+        day,
+        hour + minute / 60 - offset,
+        sweph.constants.SE_GREG_CAL
+      ),
+      latitude: location.latitude,
+      longitude: location.longitude
     };
   }
 
-  dateToJulianDay(date) {
-    return Math.floor(date.getTime() / 86400000 + 2440587.5);
-  }
-
   longitudeToSign(longitude) {
     const signs = [
       'Aries',
@@ -831,15 +885,15 @@ class VargaCharts {
 
   getPlanetId(planetName) {
     const ids = {
-      sun: sweph.SE_SUN,
-      moon: sweph.SE_MOON,
-      mars: sweph.SE_MARS,
-      mercury: sweph.SE_MERCURY,
-      jupiter: sweph.SE_JUPITER,
-      venus: sweph.SE_VENUS,
-      saturn: sweph.SE_SATURN
+      sun: sweph.constants.SE_SUN,
+      moon: sweph.constants.SE_MOON,
+      mars: sweph.constants.SE_MARS,
+      mercury: sweph.constants.SE_MERCURY,
+      jupiter: sweph.constants.SE_JUPITER,
+      venus: sweph.constants.SE_VENUS,
+      saturn: sweph.constants.SE_SATURN
     };
-    return ids[planetName] || sweph.SE_SUN;
+    return ids[planetName] || sweph.constants.SE_SUN;
   }
 
   calculatePlanetaryStrength(planet, longitude, vargaName) {
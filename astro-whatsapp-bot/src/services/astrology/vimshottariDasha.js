@@ -1,14 +1,32 @@
 /**
  * Vimshottari Dasha System - Real Vedic Predictive Technique
- * Calculates planetary periods and sub-periods using authentic nakshatra-based calculations
+ * Interprets the Vimshottari periods of the dasha framework (see ./dasha)
+ * with planetary significations, predictions and remedies
  */
 
 const logger = require('../../utils/logger');
-const sweph = require('sweph');
+const { NAKSHATRAS, VIMSHOTTARI } = require('./core/Zodiac');
+const {
+  getDashaService,
+  getDashaSystem,
+  nakshatraOf,
+  YEAR_MS
+} = require('./dasha');
+
+const lower = lord => lord.toLowerCase();
+
+// Calendar year with its fraction, e.g. 2026.8
+const fractionalYear = date => 1970 + date.getTime() / YEAR_MS;
 
 class VimshottariDasha {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {DashaService} options.dashaService - Natal positions and periods
+   */
+  constructor({ dashaService } = {}) {
     logger.info('Module: VimshottariDasha loaded with authentic calculations.');
+    this.dashaService = dashaService || getDashaService();
+    this.system = getDashaSystem('vimshottari');
     this.initializeDashaSystem();
   }
 
@@ -16,73 +34,6 @@ class VimshottariDasha {
    * Initialize the complete Vimshottari Dasha system with accurate calculations
    */
   initializeDashaSystem() {
-    // Vimshottari Dasha periods (in years)
-    this.dashaPeriods = {
-      sun: 6,
-      moon: 10,
-      mars: 7,
-      rahu: 18,
-      jupiter: 16,
-      saturn: 19,
-      mercury: 17,
-      ketu: 7,
-      venus: 20
-    };
-
-    // Dasha sequence order
-    this.dashaSequence = [
-      'moon',
-      'sun',
-      'mars',
-      'rahu',
-      'jupiter',
-      'saturn',
-      'mercury',
-      'ketu',
-      'venus'
-    ];
-
-    // Nakshatra lords as per Vedic tradition
-    this.nakshatraLords = [
-      'ketu',
-      'venus',
-      'sun',
-      'moon',
-      'mars',
-      'rahu',
-      'jupiter',
-      'saturn',
-      'mercury',
-      'ketu',
-      'venus',
-      'sun',
-      'moon',
-      'mars',
-      'rahu',
-      'jupiter',
-      'saturn',
-      'mercury',
-      'ketu',
-      'venus',
-      'sun',
-      'moon',
-      'mars',
-      'rahu',
-      'jupiter',
-      'saturn',
-      'mercury'
-    ];
-
-    // Nakshatra spans (each 13.333... degrees)
-    this.nakshatraSpans = [];
-    for (let i = 0; i < 27; i++) {
-      this.nakshatraSpans.push({
-        start: i * (360 / 27),
-        end: (i + 1) * (360 / 27),
-        lord: this.nakshatraLords[i]
-      });
-    }
-
     // Planetary significations for authentic predictions
     this.planetarySignifications = {
       sun: {
@@ -164,60 +115,34 @@ class VimshottariDasha {
   /**
    * Calculate accurate Vimshottari Dasha based on Moon's position in nakshatra
    * @param {Object} birthData - Birth date, time, place
+   * @param {Date} now - Moment for the current periods
    * @returns {Object} Complete Dasha analysis
    */
-  async calculateVimshottariDasha(birthData) {
+  async calculateVimshottariDasha(birthData, now = new Date()) {
     try {
-      const { birthDate, birthTime, birthPlace } = birthData;
-
-      // Parse birth data
-      const [day, month, year] = birthDate.split('/').map(Number);
-      const [hour, minute] = birthTime.split(':').map(Number);
-
-      // Calculate Julian Day
-      const jd = this._dateToJulianDay(year, month, day, hour + minute / 60);
-
-      // Calculate precise Moon position using Swiss Ephemeris
-      const moonPosition = await this._getMoonPosition(jd);
-
-      // Determine nakshatra and position within it
-      const nakshatraInfo = this._calculateNakshatraPosition(
-        moonPosition.longitude
-      );
-
-      // Calculate starting Dasha based on Moon's position in nakshatra
-      const startingDasha = this._getStartingDasha(nakshatraInfo);
-      const progressInNakshatra = nakshatraInfo.progress;
-
-      // Calculate current Dasha and Bhukti
-      const currentDashaData = await this._calculateCurrentDasha(
-        startingDasha,
-        progressInNakshatra,
-        year,
-        month,
-        day,
-        hour,
-        minute
-      );
+      const natal = await this.dashaService.natal(birthData);
+      const nakshatraInfo = this._calculateNakshatraPosition(natal.moon);
+      const [dasha, bhukti] = this.system.current(natal, now, 2);
+      if (!dasha) {
+        throw new Error('No Mahadasha running at this date');
+      }
 
-      // Calculate upcoming Dashas
-      const upcomingDashas = await this._calculateUpcomingDashas(
-        currentDashaData.currentDasha
-      );
+      const currentDashaData = this._describeCurrentPeriod(dasha, bhukti, now);
+      const upcomingDashas = this._calculateUpcomingDashas(natal, dasha);
 
       // Generate predictions
       const currentPredictions = this._generateDashaPredictions(
-        currentDashaData.currentDasha,
-        currentDashaData.currentBhukti
+        currentDashaData.current_dasha,
+        currentDashaData.current_bhukti
       );
 
       return {
-        moon_longitude: moonPosition.longitude,
-        moon_sign: this._getSignFromLongitude(moonPosition.longitude),
+        moon_longitude: natal.moon,
+        moon_sign: this._getSignFromLongitude(natal.moon),
         nakshatra: nakshatraInfo.nakshatraName,
         nakshatra_lord: nakshatraInfo.lord,
-        progress_in_nakshatra: progressInNakshatra,
-        starting_dasha: startingDasha,
+        progress_in_nakshatra: nakshatraInfo.progress,
+        starting_dasha: nakshatraInfo.lord,
         current_period: currentDashaData,
         upcoming_dashas: upcomingDashas,
         predictions: currentPredictions,
@@ -235,220 +160,61 @@ class VimshottariDasha {
     }
   }
 
-  /**
-   * Get precise Moon position using Swiss Ephemeris
-   * @private
-   */
-  async _getMoonPosition(jd) {
-    try {
-      // Use Swiss Ephemeris for accurate Moon calculation with sidereal zodiac
-      const result = sweph.calc(
-        jd,
-        sweph.SE_MOON,
-        sweph.FLG_SWIEPH | sweph.FLG_SIDEREAL | sweph.FLG_SPEED
-      );
-
-      if (!result || !result.longitude || result.longitude.length === 0) {
-        throw new Error(
-          'Unable to calculate Moon position using Swiss Ephemeris'
-        );
-      }
-
-      return {
-        longitude: result.longitude[0],
-        latitude: result.longitude[1],
-        speed: result.longitude[2]
-      };
-    } catch (error) {
-      logger.error('Error getting Moon position from Swiss Ephemeris:', error);
-      throw error;
-    }
-  }
-
   /**
    * Calculate nakshatra position and progress
    * @private
    */
   _calculateNakshatraPosition(moonLongitude) {
-    // Normalize longitude to 0-360
-    moonLongitude = ((moonLongitude % 360) + 360) % 360;
-
-    // Find which nakshatra Moon is in
-    const nakshatraIndex = Math.floor(moonLongitude / (360 / 27));
-    const nakshatraStart = (nakshatraIndex * 360) / 27;
-    const nakshatraEnd = ((nakshatraIndex + 1) * 360) / 27;
-
-    // Calculate progress within nakshatra (0 to 1)
-    const progress = (moonLongitude - nakshatraStart) / (360 / 27);
-
-    const nakshatraNames = [
-      'Ashwini',
-      'Bharani',
-      'Krittika',
-      'Rohini',
-      'Mrigashira',
-      'Ardra',
-      'Punarvasu',
-      'Pushya',
-      'Ashlesha',
-      'Magha',
-      'Purva Phalguni',
-      'Uttara Phalguni',
-      'Hasta',
-      'Chitra',
-      'Swati',
-      'Vishakha',
-      'Anuradha',
-      'Jyeshtha',
-      'Mula',
-      'Purva Ashadha',
-      'Uttara Ashadha',
-      'Shravana',
-      'Dhanishta',
-      'Shatabhisha',
-      'Purva Bhadrapada',
-      'Uttara Bhadrapada',
-      'Revati'
-    ];
-
+    const { index, elapsed } = nakshatraOf(moonLongitude);
     return {
-      nakshatraIndex,
-      nakshatraName: nakshatraNames[nakshatraIndex],
-      lord: this.nakshatraLords[nakshatraIndex],
-      progress,
+      nakshatraIndex: index,
+      nakshatraName: NAKSHATRAS[index],
+      lord: lower(VIMSHOTTARI[index % VIMSHOTTARI.length][0]),
+      progress: elapsed,
       longitude: moonLongitude
     };
   }
 
   /**
-   * Get starting Dasha based on Moon's position in nakshatra
+   * Current Dasha and Bhukti in this module's format
    * @private
    */
-  _getStartingDasha(nakshatraInfo) {
-    const { lord } = nakshatraInfo;
-    const { progress } = nakshatraInfo;
-
-    // Find the planet that rules this portion of the nakshatra
-    // For Vimshottari Dasha, the sequence starts from the nakshatra lord
-    const startingIndex = this.dashaSequence.indexOf(lord);
-    if (startingIndex === -1) {
-      throw new Error(`Nakshatra lord ${lord} not in Dasha sequence`);
-    }
-
-    return lord;
-  }
-
-  /**
-   * Calculate current Dasha and Bhukti periods accurately
-   * @private
-   */
-  async _calculateCurrentDasha(
-    startingDasha,
-    progressInNakshatra,
-    year,
-    month,
-    day,
-    hour,
-    minute
-  ) {
-    const birthDateTime = new Date(year, month - 1, day, hour, minute);
-    const currentDateTime = new Date();
-
-    const totalYearsSinceBirth =
-      (currentDateTime - birthDateTime) / (1000 * 60 * 60 * 24 * 365.25);
-
-    // Calculate which Dasha we're in based on the 120-year cycle
-    let remainingTime = totalYearsSinceBirth;
-    let currentDasha = startingDasha;
-    let dashaStartInCycle = 0;
-
-    // Find current Dasha by traversing through the sequence
-    let currentIndex = this.dashaSequence.indexOf(startingDasha);
-
-    // Adjust for the progress within the nakshatra (this determines how much of first Dasha has passed)
-    const firstDashaRemaining =
-      this.dashaPeriods[startingDasha] * (1 - progressInNakshatra);
-
-    if (remainingTime <= firstDashaRemaining) {
-      // Still in the starting Dasha
-      currentDasha = startingDasha;
-    } else {
-      remainingTime -= firstDashaRemaining;
-      dashaStartInCycle = totalYearsSinceBirth - remainingTime;
-
-      // Continue through Dashas until we find the current one
-      while (
-        remainingTime > 0 &&
-        this.dashaSequence[currentIndex] !== undefined
-      ) {
-        const currentPlanet = this.dashaSequence[currentIndex];
-        const periodLength = this.dashaPeriods[currentPlanet];
-
-        if (remainingTime <= periodLength) {
-          currentDasha = currentPlanet;
-          break;
-        }
-
-        remainingTime -= periodLength;
-        dashaStartInCycle += periodLength;
-        currentIndex = (currentIndex + 1) % this.dashaSequence.length;
-      }
-    }
-
-    // Calculate Bhukti (sub-period) within current Dasha
-    const currentDashaTotal = this.dashaPeriods[currentDasha];
-    const timeInCurrentDasha = totalYearsSinceBirth - dashaStartInCycle;
-    const bhuktiProgress = timeInCurrentDasha / currentDashaTotal;
-
-    // Find current Bhukti by going through all planets in sequence within the current Dasha
-    const currentDashaIndex = this.dashaSequence.indexOf(currentDasha);
-    const bhuktiIndex = Math.floor(bhuktiProgress * this.dashaSequence.length);
-    const bhuktiPlanet =
-      this.dashaSequence[
-        (currentDashaIndex + bhuktiIndex) % this.dashaSequence.length
-      ];
-
+  _describeCurrentPeriod(dasha, bhukti, now) {
+    const yearsInDasha = (now.getTime() - dasha.start.getTime()) / YEAR_MS;
     return {
-      current_dasha: currentDasha,
-      current_bhukti: bhuktiPlanet,
-      dasha_start_year: birthDateTime.getFullYear() + dashaStartInCycle,
-      dasha_end_year:
-        birthDateTime.getFullYear() + dashaStartInCycle + currentDashaTotal,
-      bhukti_end_year:
-        birthDateTime.getFullYear() +
-        dashaStartInCycle +
-        (bhuktiIndex + 1) * (currentDashaTotal / this.dashaSequence.length),
-      years_in_current_dasha: timeInCurrentDasha,
-      progress_in_dasha: (timeInCurrentDasha / currentDashaTotal) * 100
+      current_dasha: lower(dasha.lord),
+      current_bhukti: lower(bhukti.lord),
+      dasha_start: dasha.start,
+      dasha_end: dasha.end,
+      bhukti_end: bhukti.end,
+      dasha_start_year: fractionalYear(dasha.start),
+      dasha_end_year: fractionalYear(dasha.end),
+      bhukti_end_year: fractionalYear(bhukti.end),
+      years_in_current_dasha: yearsInDasha,
+      progress_in_dasha: (yearsInDasha / dasha.years) * 100
     };
   }
 
   /**
-   * Calculate upcoming Dasha periods
+   * The next five Mahadashas
    * @private
    */
-  async _calculateUpcomingDashas(currentDasha) {
-    const upcoming = [];
-    const currentIndex = this.dashaSequence.indexOf(currentDasha);
-
-    if (currentIndex === -1) {
-      return upcoming;
-    }
-
-    // Get next 5 Dashas in sequence
-    for (let i = 1; i <= 5; i++) {
-      const nextIndex = (currentIndex + i) % this.dashaSequence.length;
-      const planet = this.dashaSequence[nextIndex];
-
-      upcoming.push({
-        planet,
-        duration_years: this.dashaPeriods[planet],
-        general_influence: this.planetarySignifications[planet].general,
-        key_themes: this._extractKeyThemes(planet)
+  _calculateUpcomingDashas(natal, current) {
+    const [index] = current.path;
+    return this.system
+      .mahadashas(natal)
+      .slice(index + 1, index + 6)
+      .map(period => {
+        const planet = lower(period.lord);
+        return {
+          planet,
+          duration_years: period.years,
+          start_date: period.start,
+          end_date: period.end,
+          general_influence: this.planetarySignifications[planet].general,
+          key_themes: this._extractKeyThemes(planet)
+        };
       });
-    }
-
-    return upcoming;
   }
 
   /**
@@ -729,15 +495,6 @@ class VimshottariDasha {
     return summary;
   }
 
-  /**
-   * Convert date to Julian Day
-   * @private
-   */
-  _dateToJulianDay(year, month, day, hour) {
-    // Using Swiss Ephemeris function for precision
-    return sweph.swe_julday(year, month, day, hour, sweph.SE_GREG_CAL);
-  }
-
   /**
    * Get sign from longitude
    * @private
@@ -0,0 +1,303 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { toServiceBirthData } = require('../astrology/core/BirthProfile');
+const { TimezoneDatabase } = require('../astrology/geocoding/TimezoneDatabase');
+
+const DAY_MS = 86400000;
+
+// Event sources in calendar order; each is collected independently
+const SOURCES = ['transits', 'dashas', 'sadeSati', 'festivals', 'rahuKaal'];
+
+// Dasha changes down to the Pratyantardasha (level 3) by default
+const DASHA_LEVELS = 3;
+// More sub-periods than any system's period holds
+const DASHA_PERIODS = 12;
+
+const SADE_SATI_TITLES = {
+  rising: 'Sade Sati begins (rising phase)',
+  peak: 'Sade Sati peak phase begins',
+  setting: 'Sade Sati setting phase begins',
+  ended: 'Sade Sati ends'
+};
+
+const capitalize = value =>
+  (value ? `${value.charAt(0).toUpperCase()}${value.slice(1)}` : '');
+
+/**
+ * CalendarEventBuilder - Collects a user's upcoming astrological events for
+ * their calendar: exact transits to the natal chart, dasha changes, Sade
+ * Sati phases, festivals and the daily Rahu Kaal. Each source is collected
+ * on its own, so one failing service leaves a gap in the calendar instead
+ * of losing it. Event UIDs are derived from the user and the event, so a
+ * refreshed feed updates events rather than duplicating them.
+ */
+class CalendarEventBuilder {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.services - { significantTransits, upcomingDashas,
+   *   sadeSati, hinduFestivals, rahukalam } core services
+   * @param {number} deps.days - Days ahead the calendar covers
+   * @param {number} deps.rahuKaalDays - Days ahead of daily Rahu Kaal
+   * @param {number} deps.dashaLevels - Deepest dasha level (1 Mahadasha,
+   *   2 Antardasha, 3 Pratyantardasha)
+   * @param {string} deps.defaultTimezone - Zone for users without one
+   * @param {Object} deps.timezoneDatabase - TimezoneDatabase instance
+   */
+  constructor({
+    services,
+    days = 90,
+    rahuKaalDays = 7,
+    dashaLevels = DASHA_LEVELS,
+    defaultTimezone = 'UTC',
+    timezoneDatabase = new TimezoneDatabase()
+  }) {
+    this.services = services;
+    this.days = days;
+    this.rahuKaalDays = rahuKaalDays;
+    this.dashaLevels = dashaLevels;
+    this.defaultTimezone = defaultTimezone;
+    this.timezoneDatabase = timezoneDatabase;
+    this.logger = logger;
+  }
+
+  /**
+   * Collect the user's events from now on
+   * @param {Object} user - User document
+   * @param {Object} options - { now, sources } where `sources` limits the
+   *   SOURCES collected
+   * @returns {Promise<Object>} { timezone, start, end, events, missing }
+   *   with events in ICalendarWriter form and `missing` the SOURCES that
+   *   failed; transit events also carry their `aspect` ('saturn square
+   *   moon') and `significance`
+   */
+  async build(user, { now = new Date(), sources = SOURCES } = {}) {
+    const timezone = this.resolveZone(user);
+    const range = {
+      start: now,
+      end: new Date(now.getTime() + this.days * DAY_MS),
+      timezone,
+      owner: user.phoneNumber
+    };
+    const birthData = toServiceBirthData(user);
+
+    const calendar = {
+      timezone,
+      start: range.start,
+      end: range.end,
+      events: [],
+      missing: []
+    };
+    // One source at a time: the Swiss Ephemeris sidereal mode is
+    // process-wide
+    for (const source of sources) {
+      try {
+        const events = await this[`_collect${capitalize(source)}`](
+          birthData,
+          range
+        );
+        calendar.events.push(...events);
+      } catch (error) {
+        this.logger.warn(
+          `⚠️ Calendar source ${source} skipped:`,
+          error.message
+        );
+        calendar.missing.push(source);
+      }
+    }
+
+    const sortKey = event => event.date || event.start.toISOString();
+    calendar.events.sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    return calendar;
+  }
+
+  /**
+   * Zone the calendar's days are counted in: the user's own, then their
+   * birth zone, then the default
+   * @param {Object} user - User document
+   * @returns {string} IANA zone
+   */
+  resolveZone(user) {
+    return (
+      [user.timezone, user.birthTimezone].find(zone =>
+        this.timezoneDatabase.isValidZone(zone)
+      ) || this.defaultTimezone
+    );
+  }
+
+  /**
+   * Stable event UID
+   * @param {string} owner - User phone number
+   * @param {string} source - SOURCES entry
+   * @param {...*} parts - What identifies the event within the source
+   * @returns {string} UID
+   */
+  uid(owner, source, ...parts) {
+    const digest = crypto
+      .createHash('sha256')
+      .update(JSON.stringify([owner, source, ...parts]))
+      .digest('hex')
+      .substring(0, 24);
+    return `${source}-${digest}@astro-whatsapp-bot`;
+  }
+
+  /**
+   * A ServiceTemplate service with its calculator loaded
+   * @private
+   */
+  async _ready(service) {
+    if (!service) {
+      throw new Error('Service unavailable');
+    }
+    if (!service.calculator && service.initialize) {
+      await service.initialize();
+    }
+    return service;
+  }
+
+  /** @private */
+  async _collectTransits(birthData, { start, end, owner }) {
+    const service = await this._ready(this.services.significantTransits);
+    const result = await service.getUpcomingSignificantTransits(
+      birthData,
+      this.days
+    );
+    if (result.error) {
+      throw new Error(result.message || 'Transits unavailable');
+    }
+
+    const events = [];
+    for (const day of result.significantTransits) {
+      for (const transit of day.transits) {
+        const at = new Date(transit.exactAt);
+        if (at < start || at > end) {
+          continue;
+        }
+        const [planet, aspect, ...point] = transit.aspect.split(' ');
+        const passes =
+          transit.passes > 1 ?
+            ` Retrograde motion makes it exact ${transit.passes} times.` :
+            '';
+        events.push({
+          // Dated by day: each search times a pass afresh, to the second
+          uid: this.uid(
+            owner,
+            'transits',
+            transit.aspect,
+            transit.exactAt.substring(0, 10)
+          ),
+          summary: `${capitalize(planet)} ${aspect} natal ${point.map(capitalize).join(' ')}`,
+          description: `Exact ${transit.significance} transit to your birth chart.${passes}`,
+          categories: ['Transit'],
+          start: at,
+          aspect: transit.aspect,
+          significance: transit.significance
+        });
+      }
+    }
+    return events;
+  }
+
+  /** @private */
+  async _collectDashas(birthData, { start, end, owner }) {
+    const service = await this._ready(this.services.upcomingDashas);
+    const events = [];
+
+    // Open each period running in the range down to dashaLevels, noting
+    // the periods that begin inside it
+    const open = async(path, lords) => {
+      const result = await service.processCalculation(birthData, {
+        path,
+        periods: DASHA_PERIODS,
+        now: start
+      });
+      for (const { mahadasha: period } of result.upcomingDashas) {
+        const begins = new Date(period.startDate);
+        if (begins >= end) {
+          break;
+        }
+        const chain = [...lords, period.lord];
+        if (begins > start) {
+          events.push({
+            uid: this.uid(owner, 'dashas', result.system.key, period.path),
+            summary: `${chain.join('–')} ${period.level} begins`,
+            description: `${period.lord} ${period.level} (${result.system.name}) runs until ${new Date(period.endDate).toISOString().substring(0, 10)}.`,
+            categories: ['Dasha'],
+            start: begins
+          });
+        }
+        if (chain.length < this.dashaLevels) {
+          await open(period.path, chain);
+        }
+      }
+    };
+    await open([], []);
+    return events;
+  }
+
+  /** @private */
+  async _collectSadeSati(birthData, { start, end, owner }) {
+    const { moonSignName, changes } =
+      await this.services.sadeSati.getPhaseChanges(birthData, { start, end });
+    return changes.map(change => ({
+      uid: this.uid(
+        owner,
+        'sadeSati',
+        change.phase,
+        change.at.toISOString().substring(0, 10)
+      ),
+      summary: SADE_SATI_TITLES[change.phase],
+      description: `Saturn enters ${change.saturnSign}${change.retrograde ? ' (retrograde)' : ''}, counted from your Moon sign ${moonSignName}.`,
+      categories: ['Sade Sati'],
+      start: change.at
+    }));
+  }
+
+  /** @private */
+  async _collectFestivals(birthData, { start, end, timezone, owner }) {
+    const festivals = this.services.hinduFestivals.getFestivalDates({
+      start,
+      end,
+      timezone
+    });
+    return festivals.map(festival => ({
+      uid: this.uid(owner, 'festivals', festival.key, festival.date),
+      summary: festival.name,
+      description: festival.tithiName ?
+        `${festival.summary}. ${festival.month} ${capitalize(festival.paksha)} ${festival.tithiName}.` :
+        `${festival.summary}.`,
+      categories: ['Festival'],
+      date: festival.date
+    }));
+  }
+
+  /**
+   * Rahu Kaal at the birthplace, the only place the profile holds
+   * @private
+   */
+  async _collectRahuKaal(birthData, { start, timezone, owner }) {
+    const { birthLatitude: latitude, birthLongitude: longitude } = birthData;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      throw new Error('Birthplace coordinates unknown');
+    }
+    const windows = this.services.rahukalam.getRahukalamWindows({
+      latitude,
+      longitude,
+      timezone,
+      start,
+      days: this.rahuKaalDays
+    });
+    return windows
+      .filter(window => window.end > start)
+      .map(window => ({
+        uid: this.uid(owner, 'rahuKaal', window.date),
+        summary: 'Rahu Kaal',
+        description:
+          'Inauspicious period ruled by Rahu: avoid starting important work.',
+        categories: ['Rahu Kaal'],
+        start: window.start,
+        end: window.end
+      }));
+  }
+}
+
+module.exports = { CalendarEventBuilder, SOURCES };
@@ -0,0 +1,83 @@
+const User = require('../../models/User');
+
+/**
+ * CalendarFeedStore - MongoDB persistence for calendar feed links
+ * The feed is embedded in its owner's user document. Only a hash of the
+ * link's token is stored, so the database never holds a working link.
+ */
+class CalendarFeedStore {
+  /**
+   * Give a user a new feed token, replacing any earlier one
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} tokenHash - Hash of the new token
+   * @param {Date} now - Issue time
+   * @returns {Promise<boolean>} False if the owner is unknown
+   */
+  async issue(phoneNumber, tokenHash, now = new Date()) {
+    const result = await User.updateOne(
+      { phoneNumber },
+      {
+        $set: {
+          calendarFeed: { tokenHash, createdAt: now, fetches: 0 }
+        }
+      }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * @param {string} tokenHash - Hash of a feed token
+   * @returns {Promise<Object|null>} Lean owner document, null if no user
+   *   holds the token
+   */
+  async findOwner(tokenHash) {
+    return User.findOne({ 'calendarFeed.tokenHash': tokenHash }).lean();
+  }
+
+  /**
+   * @param {string} phoneNumber - Owner's phone number
+   * @returns {Promise<Object|null>} The user's feed, without its hash, or
+   *   null if they have none
+   */
+  async find(phoneNumber) {
+    const user = await User.findOne({ phoneNumber })
+      .select('calendarFeed')
+      .lean();
+    if (!user || !user.calendarFeed || !user.calendarFeed.tokenHash) {
+      return null;
+    }
+    const { createdAt, lastFetchedAt, fetches } = user.calendarFeed;
+    return { createdAt, lastFetchedAt, fetches };
+  }
+
+  /**
+   * Note a calendar client's fetch of the feed
+   * @param {string} tokenHash - Hash of the token fetched
+   * @param {Date} now - Fetch time
+   * @returns {Promise<void>}
+   */
+  async recordFetch(tokenHash, now = new Date()) {
+    await User.updateOne(
+      { 'calendarFeed.tokenHash': tokenHash },
+      {
+        $set: { 'calendarFeed.lastFetchedAt': now },
+        $inc: { 'calendarFeed.fetches': 1 }
+      }
+    );
+  }
+
+  /**
+   * Stop a user's feed; its link answers 404 from now on
+   * @param {string} phoneNumber - Owner's phone number
+   * @returns {Promise<boolean>} True if a feed was removed
+   */
+  async revoke(phoneNumber) {
+    const result = await User.updateOne(
+      { phoneNumber, 'calendarFeed.tokenHash': { $exists: true } },
+      { $unset: { calendarFeed: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = { CalendarFeedStore };
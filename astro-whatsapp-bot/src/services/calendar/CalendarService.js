@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Subscribed calendars are asked to refresh this often, and a rendered
+// feed is reused for as long
+const REFRESH_HOURS = 6;
+
+// 24 random bytes, base64url
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * CalendarService - A user's upcoming transits, dasha changes, Sade Sati
+ * phases, festivals and Rahu Kaal as an iCalendar file sent on WhatsApp,
+ * or as a feed their calendar app subscribes to. A feed link carries a
+ * random token; only its hash is stored, issuing a new link revokes the old
+ * one, and each fetch computes the events from that moment on, so the
+ * calendar moves forward as time passes.
+ */
+class CalendarService {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.builder - CalendarEventBuilder
+   * @param {Object} deps.writer - ICalendarWriter
+   * @param {Object} deps.store - CalendarFeedStore
+   * @param {Object} deps.sender - { sendMediaBuffer } (messageSender)
+   * @param {Object} deps.cache - StateNamespace for rendered feeds
+   * @param {string} deps.baseUrl - Public URL of the server, for feed links
+   */
+  constructor({ builder, writer, store, sender, cache, baseUrl }) {
+    this.builder = builder;
+    this.writer = writer;
+    this.store = store;
+    this.sender = sender;
+    this.cache = cache;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.logger = logger;
+  }
+
+  /**
+   * Build the user's calendar
+   * @param {Object} user - User document
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { ics, calendar } with `calendar` the
+   *   CalendarEventBuilder result
+   */
+  async render(user, { now = new Date() } = {}) {
+    const calendar = await this.builder.build(user, { now });
+    const ics = this.writer.write({
+      name: user.name ? `Astro calendar: ${user.name}` : 'Astro calendar',
+      description:
+        'Transits, dasha changes, Sade Sati, festivals and Rahu Kaal',
+      timezone: calendar.timezone,
+      refreshHours: REFRESH_HOURS,
+      events: calendar.events,
+      now
+    });
+    return { ics, calendar };
+  }
+
+  /**
+   * Send the user's calendar as an .ics document
+   * @param {Object} user - User document
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { events, missing, start, end }
+   */
+  async deliver(user, { now = new Date() } = {}) {
+    const { ics, calendar } = await this.render(user, { now });
+    const until = calendar.end.toISOString().substring(0, 10);
+    // WhatsApp takes no text/calendar documents; the .ics name is what
+    // phones open calendar files by
+    await this.sender.sendMediaBuffer(
+      user.phoneNumber,
+      'document',
+      Buffer.from(ics, 'utf8'),
+      {
+        mimeType: 'text/plain',
+        filename: `Astro-Calendar-${now.toISOString().substring(0, 10)}.ics`,
+        caption: `📅 Your astro calendar until ${until}: ${calendar.events.length} events. Open it to add them to your calendar.`
+      }
+    );
+
+    this.logger.info(
+      `📅 Calendar with ${calendar.events.length} events sent to ${user.phoneNumber}${calendar.missing.length ? ` (missing ${calendar.missing.join(', ')})` : ''}`
+    );
+    return {
+      events: calendar.events.length,
+      missing: calendar.missing,
+      start: calendar.start,
+      end: calendar.end
+    };
+  }
+
+  /**
+   * Issue a feed link for the user, revoking any earlier one
+   * @param {Object} user - User document
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { url, webcalUrl }
+   */
+  async subscribe(user, { now = new Date() } = {}) {
+    if (!this.baseUrl) {
+      throw new Error('Calendar feeds need W1_CALENDAR_BASE_URL');
+    }
+    const token = crypto.randomBytes(24).toString('base64url');
+    if (!(await this.store.issue(user.phoneNumber, hashToken(token), now))) {
+      throw new Error(`Unknown user: ${user.phoneNumber}`);
+    }
+
+    this.logger.info(`📅 Calendar feed issued to ${user.phoneNumber}`);
+    const url = `${this.baseUrl}/calendar/${token}.ics`;
+    return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+  }
+
+  /**
+   * Revoke the user's feed link
+   * @param {Object} user - User document
+   * @returns {Promise<boolean>} True if the user had a feed
+   */
+  async unsubscribe(user) {
+    const revoked = await this.store.revoke(user.phoneNumber);
+    await this.cache.delete(user.phoneNumber);
+    if (revoked) {
+      this.logger.info(`📅 Calendar feed revoked by ${user.phoneNumber}`);
+    }
+    return revoked;
+  }
+
+  /**
+   * The user's feed, if they have one
+   * @param {Object} user - User document
+   * @returns {Promise<Object|null>} { createdAt, lastFetchedAt, fetches }
+   */
+  async status(user) {
+    return this.store.find(user.phoneNumber);
+  }
+
+  /**
+   * The calendar behind a feed link
+   * @param {string} token - Token from the link
+   * @param {Object} options - { now }
+   * @returns {Promise<string|null>} iCalendar text, null for an unknown or
+   *   revoked token
+   */
+  async feed(token, { now = new Date() } = {}) {
+    if (!TOKEN_PATTERN.test(token || '')) {
+      return null;
+    }
+    const tokenHash = hashToken(token);
+    const owner = await this.store.findOwner(tokenHash);
+    if (!owner) {
+      return null;
+    }
+
+    let ics = await this.cache.get(owner.phoneNumber);
+    if (!ics) {
+      ({ ics } = await this.render(owner, { now }));
+      await this.cache.set(owner.phoneNumber, ics);
+    }
+    try {
+      await this.store.recordFetch(tokenHash, now);
+    } catch (error) {
+      this.logger.warn('⚠️ Calendar feed fetch not recorded:', error.message);
+    }
+    return ics;
+  }
+}
+
+module.exports = { CalendarService, REFRESH_HOURS, TOKEN_PATTERN };
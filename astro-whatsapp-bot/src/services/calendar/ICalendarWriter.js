@@ -0,0 +1,158 @@
+const DAY_MS = 86400000;
+
+// RFC 5545 3.1: content lines are at most 75 octets, excluding the CRLF
+const MAX_LINE_OCTETS = 75;
+
+const PRODUCT_ID = '-//Astro WhatsApp Bot//Personal Calendar//EN';
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ * @param {*} value - Value to write
+ * @returns {string} Escaped text
+ */
+const escapeText = value =>
+  String(value === null || value === undefined ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line into pieces of at most 75 octets, never inside a
+ * UTF-8 character; continuation lines begin with a space
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+const foldLine = line => {
+  const pieces = [];
+  let piece = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // The leading space counts towards a continuation line's octets
+    const limit = pieces.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      pieces.push(piece);
+      piece = '';
+      octets = 0;
+    }
+    piece += char;
+    octets += size;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+};
+
+// 2026-10-19T05:30:00.000Z -> 20261019T053000Z
+const formatDateTime = instant =>
+  instant
+    .toISOString()
+    .replace(/\.\d{3}/, '')
+    .replace(/[-:]/g, '');
+
+// 2026-10-19 -> 20261019
+const formatDate = date => date.replace(/-/g, '');
+
+const nextDate = date =>
+  new Date(Date.parse(date) + DAY_MS).toISOString().substring(0, 10);
+
+/**
+ * ICalendarWriter - Writes events as an RFC 5545 iCalendar document, for
+ * download and for calendar subscriptions. Timed events are written in UTC
+ * so no VTIMEZONE is needed; all-day events are floating dates. Events are
+ * transparent: they never show the user as busy.
+ */
+class ICalendarWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {string} options.productId - PRODID value
+   */
+  constructor({ productId = PRODUCT_ID } = {}) {
+    this.productId = productId;
+  }
+
+  /**
+   * Write a calendar
+   * @param {Object} calendar - Calendar to write
+   * @param {string} calendar.name - Calendar name shown by the client
+   * @param {string} calendar.description - Calendar description
+   * @param {string} calendar.timezone - IANA zone the client should show
+   * @param {number} calendar.refreshHours - How often subscribers refresh
+   * @param {Array<Object>} calendar.events - [{ uid, summary, description,
+   *   categories, start, end }] for timed events (`end` optional, Dates) or
+   *   [{ uid, summary, description, categories, date }] for all-day events
+   *   (`date` YYYY-MM-DD)
+   * @param {Date} calendar.now - DTSTAMP of every event
+   * @returns {string} iCalendar text with CRLF line breaks
+   */
+  write({
+    name,
+    description,
+    timezone,
+    refreshHours,
+    events = [],
+    now = new Date()
+  }) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (name) {
+      lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    }
+    if (description) {
+      lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+    }
+    if (timezone) {
+      lines.push(`X-WR-TIMEZONE:${timezone}`);
+    }
+    if (refreshHours) {
+      lines.push(
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`,
+        `X-PUBLISHED-TTL:PT${refreshHours}H`
+      );
+    }
+
+    const stamp = formatDateTime(now);
+    for (const event of events) {
+      lines.push(...this._event(event, stamp));
+    }
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * @private
+   * @returns {Array<string>} Unfolded VEVENT lines
+   */
+  _event(event, stamp) {
+    const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`];
+    if (event.date) {
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatDate(event.date)}`,
+        `DTEND;VALUE=DATE:${formatDate(nextDate(event.date))}`
+      );
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      // Without DTEND a timed event is an instant (RFC 5545 3.6.1)
+      if (event.end && event.end > event.start) {
+        lines.push(`DTEND:${formatDateTime(event.end)}`);
+      }
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.categories && event.categories.length) {
+      lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+  }
+}
+
+module.exports = { ICalendarWriter, escapeText, foldLine };
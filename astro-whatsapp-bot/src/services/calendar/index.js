@@ -0,0 +1,64 @@
+const { ICalendarWriter } = require('./ICalendarWriter');
+const { CalendarEventBuilder, SOURCES } = require('./CalendarEventBuilder');
+const { CalendarFeedStore } = require('./CalendarFeedStore');
+const {
+  CalendarService,
+  REFRESH_HOURS,
+  TOKEN_PATTERN
+} = require('./CalendarService');
+const { getStateNamespace } = require('../state');
+
+// Process-wide service, created on first use
+let calendarService = null;
+
+/**
+ * Shared CalendarService wired to the core astrology services
+ * Feed links are built on W1_CALENDAR_BASE_URL (or BASE_URL); the calendar
+ * covers W1_CALENDAR_DAYS days and Rahu Kaal W1_CALENDAR_RAHU_KAAL_DAYS.
+ * @returns {CalendarService} Service instance
+ */
+const getCalendarService = () => {
+  if (calendarService) {
+    return calendarService;
+  }
+
+  const SignificantTransitsService = require('../../core/services/significantTransitsService');
+  const UpcomingDashasService = require('../../core/services/upcomingDashasService');
+  const SadeSatiService = require('../../core/services/sadeSatiService');
+  const HinduFestivalsService = require('../../core/services/hinduFestivalsService');
+  const RahukalamService = require('../../core/services/rahukalamService');
+  const messageSender = require('../whatsapp/messageSender');
+
+  calendarService = new CalendarService({
+    builder: new CalendarEventBuilder({
+      services: {
+        significantTransits: new SignificantTransitsService(),
+        upcomingDashas: new UpcomingDashasService(),
+        sadeSati: new SadeSatiService(),
+        hinduFestivals: new HinduFestivalsService(),
+        rahukalam: new RahukalamService()
+      },
+      days: parseInt(process.env.W1_CALENDAR_DAYS, 10) || 90,
+      rahuKaalDays: parseInt(process.env.W1_CALENDAR_RAHU_KAAL_DAYS, 10) || 7
+    }),
+    writer: new ICalendarWriter(),
+    store: new CalendarFeedStore(),
+    sender: messageSender,
+    cache: getStateNamespace('calendar_feeds', {
+      ttlMs: REFRESH_HOURS * 60 * 60 * 1000
+    }),
+    baseUrl: process.env.W1_CALENDAR_BASE_URL || process.env.BASE_URL
+  });
+  return calendarService;
+};
+
+module.exports = {
+  getCalendarService,
+  ICalendarWriter,
+  CalendarEventBuilder,
+  CalendarFeedStore,
+  CalendarService,
+  SOURCES,
+  REFRESH_HOURS,
+  TOKEN_PATTERN
+};
@@ -1,6 +1,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
+const { getStateNamespace } = require('../state');
 
 /**
  * Translation Service
@@ -11,8 +12,12 @@ class TranslationService {
   constructor() {
     this.resourceBundles = new Map();
     this.supportedLanguages = new Map();
-    this.cache = new Map();
     this.cacheExpirationMs = 30 * 60 * 1000; // 30 minutes
+    // Bundles come from files every instance ships, so each keeps its own
+    this.cache = getStateNamespace('translations', {
+      ttlMs: this.cacheExpirationMs,
+      local: true
+    });
     this.localesPath = path.join(__dirname, 'locales');
 
     this.initializeSupportedLanguages();
@@ -242,7 +247,7 @@ class TranslationService {
   async loadResourceBundle(languageCode) {
     try {
       const cacheKey = `bundle_${languageCode}`;
-      const cached = this.getCachedResult(cacheKey);
+      const cached = await this.getCachedResult(cacheKey);
       if (cached) {
         return cached;
       }
@@ -262,7 +267,7 @@ class TranslationService {
       const bundle = JSON.parse(bundleContent);
 
       this.resourceBundles.set(languageCode, bundle);
-      this.setCachedResult(cacheKey, bundle);
+      await this.setCachedResult(cacheKey, bundle);
       return bundle;
     } catch (error) {
       logger.error(`Error loading resource bundle for ${languageCode}:`, error);
@@ -274,29 +279,14 @@ class TranslationService {
    * Get cached result
    */
   getCachedResult(cacheKey) {
-    const cached = this.cache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < this.cacheExpirationMs) {
-      return cached.data;
-    }
-    if (cached) {
-      this.cache.delete(cacheKey);
-    }
-    return null;
+    return this.cache.get(cacheKey);
   }
 
   /**
-   * Set cached result
+   * Set cached result (expires after cacheExpirationMs)
    */
   setCachedResult(cacheKey, data) {
-    if (this.cache.size >= 100) {
-      // Max cache size
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    this.cache.set(cacheKey, {
-      data,
-      timestamp: Date.now()
-    });
+    return this.cache.set(cacheKey, data);
   }
 
   /**
@@ -492,8 +482,8 @@ class TranslationService {
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
     this.resourceBundles.clear();
     logger.info('Translation cache cleared');
   }
@@ -502,7 +492,7 @@ class TranslationService {
    * Reload resource bundles
    */
   async reloadBundles() {
-    this.clearCache();
+    await this.clearCache();
     logger.info('Resource bundles reloaded');
   }
 }
@@ -0,0 +1,67 @@
+/**
+ * Entitlements a user can hold credits for. Purchasable ones share their
+ * key with PaymentService.microServices, which owns names and prices.
+ * `units` is what one purchase grants, valid for `validityDays`.
+ */
+const ENTITLEMENTS = {
+  flash_insight: { name: 'Flash Insight', units: 1, validityDays: 30 },
+  transit_alert: { name: 'Transit Alert', units: 1, validityDays: 90 },
+  remedial_fix: { name: 'Remedial Quick Fix', units: 1, validityDays: 30 },
+  compatibility_snapshot: {
+    name: 'Compatibility Snapshot',
+    units: 1,
+    validityDays: 90
+  }
+};
+
+/**
+ * Credits each plan includes per billing period (a calendar month for the
+ * free plan). Infinity means unlimited.
+ */
+const PLAN_ALLOWANCES = {
+  free: {
+    flash_insight: 3,
+    compatibility_snapshot: 1
+  },
+  essential: {
+    flash_insight: 20,
+    transit_alert: 4,
+    remedial_fix: 2,
+    compatibility_snapshot: 5
+  },
+  premium: {
+    flash_insight: Infinity,
+    transit_alert: Infinity,
+    remedial_fix: 10,
+    compatibility_snapshot: Infinity
+  },
+  vip: {
+    flash_insight: Infinity,
+    transit_alert: Infinity,
+    remedial_fix: Infinity,
+    compatibility_snapshot: Infinity
+  }
+};
+
+/**
+ * @param {string} entitlement - Entitlement key
+ * @returns {boolean} True if the catalog knows the key
+ */
+const isEntitlement = entitlement =>
+  Object.prototype.hasOwnProperty.call(ENTITLEMENTS, entitlement);
+
+/**
+ * Credits a plan includes for one entitlement each period
+ * @param {string} plan - Plan identifier
+ * @param {string} entitlement - Entitlement key
+ * @returns {number} Allowance, 0 when none, Infinity when unlimited
+ */
+const planAllowance = (plan, entitlement) =>
+  (PLAN_ALLOWANCES[plan] || PLAN_ALLOWANCES.free)[entitlement] || 0;
+
+module.exports = {
+  ENTITLEMENTS,
+  PLAN_ALLOWANCES,
+  isEntitlement,
+  planAllowance
+};
@@ -0,0 +1,234 @@
+const logger = require('../../../utils/logger');
+const {
+  ENTITLEMENTS,
+  isEntitlement,
+  planAllowance
+} = require('./EntitlementCatalog');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * EntitlementLedger - Per-user credits for metered features
+ * Credits come from purchases, plan allowances and referral rewards and
+ * are consumed one unit per action run. A plan's allowance is granted
+ * lazily the first time the ledger is consulted in a billing period, so
+ * renewals, upgrades and the free plan's monthly allowance need no jobs.
+ */
+class EntitlementLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {Object} options.store - EntitlementStore (or compatible)
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({ store, now = () => new Date() }) {
+    this.logger = logger;
+    this.store = store;
+    this.now = now;
+  }
+
+  /**
+   * Credits a user has left
+   * @param {Object} user - User ({ phoneNumber, subscriptionTier, ... })
+   * @param {string} entitlement - Entitlement key
+   * @returns {Promise<Object>} { entitlement, unlimited, remaining, credits }
+   */
+  async balance(user, entitlement) {
+    const now = this.now();
+    const plan = await this.ensureAllowance(user, entitlement, now);
+    const credits = await this.store.findActive(
+      user.phoneNumber,
+      entitlement,
+      now,
+      plan
+    );
+    return {
+      entitlement,
+      unlimited: credits.some(credit => credit.unlimited),
+      remaining: credits.reduce(
+        (sum, credit) => sum + (credit.unlimited ? 0 : credit.remaining),
+        0
+      ),
+      credits
+    };
+  }
+
+  /**
+   * Take one unit for an action run. Allowances of a plan the user is no
+   * longer on are not used, whatever their expiry.
+   * @param {Object} user - User
+   * @param {string} entitlement - Entitlement key
+   * @param {string} actionId - Action consuming the unit
+   * @returns {Promise<Object|null>} Consumed credit (pass to refund), or
+   *   null when the user has nothing left
+   */
+  async consume(user, entitlement, actionId) {
+    const now = this.now();
+    const plan = await this.ensureAllowance(user, entitlement, now);
+    const entry = { at: now, actionId, change: -1 };
+    const credit = await this.store.consume(
+      user.phoneNumber,
+      entitlement,
+      now,
+      entry,
+      plan
+    );
+    if (credit) {
+      this.logger.info(
+        `🎟️ ${user.phoneNumber} used ${entitlement} (${credit.source}${credit.unlimited ? ', unlimited' : `, ${credit.remaining} left`})`
+      );
+    }
+    return credit;
+  }
+
+  /**
+   * Give back a unit when the action it paid for did not deliver
+   * @param {Object} credit - Credit returned by consume
+   * @param {string} actionId - Action that consumed it
+   * @returns {Promise<void>}
+   */
+  async refund(credit, actionId) {
+    await this.store.refund(credit, {
+      at: this.now(),
+      actionId,
+      change: 1
+    });
+  }
+
+  /**
+   * Grant credits once per source
+   * @param {string} phoneNumber - User phone number
+   * @param {string} entitlement - Entitlement key
+   * @param {Object} grant - Grant details
+   * @param {string} grant.source - 'purchase', 'subscription', 'referral' or 'grant'
+   * @param {string} grant.sourceRef - Unique reference of the source
+   * @param {number} grant.units - Units granted (Infinity for unlimited)
+   * @param {Date} grant.expiresAt - When the credit lapses
+   * @param {string} grant.plan - Plan of a 'subscription' allowance
+   * @returns {Promise<boolean>} False if the source was already granted
+   */
+  async grant(
+    phoneNumber,
+    entitlement,
+    { source, sourceRef, units, expiresAt, plan }
+  ) {
+    if (!isEntitlement(entitlement)) {
+      throw new Error(`Unknown entitlement: ${entitlement}`);
+    }
+    const unlimited = units === Infinity;
+    const granted = await this.store.grant({
+      phoneNumber,
+      entitlement,
+      source,
+      sourceRef,
+      granted: unlimited ? 0 : units,
+      remaining: unlimited ? 0 : units,
+      unlimited,
+      used: 0,
+      expiresAt,
+      ...(plan && { plan })
+    });
+    if (granted) {
+      this.logger.info(
+        `🎟️ Granted ${unlimited ? 'unlimited' : units} ${entitlement} to ${phoneNumber} (${source})`
+      );
+    }
+    return granted;
+  }
+
+  /**
+   * Credit a paid micro-transaction
+   * @param {string} phoneNumber - User phone number
+   * @param {string} entitlement - Purchased entitlement
+   * @param {string} paymentRef - Gateway payment reference
+   * @returns {Promise<boolean>} False if the payment was already credited
+   */
+  async grantPurchase(phoneNumber, entitlement, paymentRef) {
+    if (!isEntitlement(entitlement)) {
+      throw new Error(`Unknown entitlement: ${entitlement}`);
+    }
+    const { units, validityDays } = ENTITLEMENTS[entitlement];
+    return this.grant(phoneNumber, entitlement, {
+      source: 'purchase',
+      sourceRef: `purchase:${paymentRef}`,
+      units,
+      expiresAt: new Date(this.now().getTime() + validityDays * DAY_MS)
+    });
+  }
+
+  /**
+   * Grant the user's plan allowance for the current period, once
+   * @private
+   * @param {Object} user - User
+   * @param {string} entitlement - Entitlement key
+   * @param {Date} now - Current time
+   * @returns {Promise<string>} The user's current plan
+   */
+  async ensureAllowance(user, entitlement, now) {
+    if (!isEntitlement(entitlement)) {
+      throw new Error(`Unknown entitlement: ${entitlement}`);
+    }
+    const plan = this.planFor(user, now);
+    const units = planAllowance(plan, entitlement);
+    if (!units) {
+      return plan;
+    }
+    const period = this.allowancePeriod(user, plan, now);
+    await this.grant(user.phoneNumber, entitlement, {
+      source: 'subscription',
+      sourceRef: `plan:${user.phoneNumber}:${plan}:${period.start.toISOString()}:${entitlement}`,
+      units,
+      expiresAt: period.end,
+      plan
+    });
+    return plan;
+  }
+
+  /**
+   * Plan whose allowance applies
+   * @param {Object} user - User
+   * @param {Date} now - Current time
+   * @returns {string} Plan identifier
+   */
+  planFor(user, now) {
+    const tier = user.subscriptionTier;
+    if (!tier || tier === 'free') {
+      return 'free';
+    }
+    const expiry = user.subscriptionExpiry;
+    return expiry && new Date(expiry) <= now ? 'free' : tier;
+  }
+
+  /**
+   * Billing period the allowance belongs to: the subscription's current
+   * period, else the calendar month (cut short when the plan ends earlier)
+   * @param {Object} user - User
+   * @param {string} plan - Plan identifier
+   * @param {Date} now - Current time
+   * @returns {Object} { start, end }
+   */
+  allowancePeriod(user, plan, now) {
+    const subscription = user.subscription || {};
+    if (plan !== 'free' && subscription.currentPeriodStart) {
+      const start = new Date(subscription.currentPeriodStart);
+      const end = new Date(
+        subscription.currentPeriodEnd || user.subscriptionExpiry
+      );
+      if (start <= now && end > now) {
+        return { start, end };
+      }
+    }
+
+    const start = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)
+    );
+    let end = new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+    );
+    if (plan !== 'free' && user.subscriptionExpiry) {
+      end = new Date(Math.min(end, new Date(user.subscriptionExpiry)));
+    }
+    return { start, end };
+  }
+}
+
+module.exports = { EntitlementLedger };
@@ -0,0 +1,116 @@
+const EntitlementCredit = require('../../../models/EntitlementCredit');
+
+// Usage entries kept per credit
+const USAGE_LIMIT = 50;
+
+/**
+ * Query for the credits a user can draw on: unexpired, and no allowance of
+ * a plan they have left since (after a downgrade, refund or revocation)
+ * @private
+ * @param {string} phoneNumber - User phone number
+ * @param {string} entitlement - Entitlement key
+ * @param {Date} now - Current time
+ * @param {string} plan - The user's current plan
+ * @returns {Object} Mongo filter
+ */
+const usableCredits = (phoneNumber, entitlement, now, plan) => ({
+  phoneNumber,
+  entitlement,
+  expiresAt: { $gt: now },
+  $or: [{ source: { $ne: 'subscription' } }, { plan }]
+});
+
+/**
+ * EntitlementStore - MongoDB persistence for the entitlement ledger
+ * Grants are keyed by `sourceRef`, so a redelivered payment webhook or a
+ * second look at the same plan period never grants twice. Consumption is a
+ * single conditional update, so parallel messages cannot overdraw a credit.
+ */
+class EntitlementStore {
+  /**
+   * Insert a credit unless its source was already granted
+   * @param {Object} credit - Credit fields (see EntitlementCredit)
+   * @returns {Promise<boolean>} True if the credit is new
+   */
+  async grant(credit) {
+    try {
+      const result = await EntitlementCredit.updateOne(
+        { sourceRef: credit.sourceRef },
+        { $setOnInsert: credit },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
+    } catch (error) {
+      // Lost an upsert race on the unique sourceRef: already granted
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take one unit. Unlimited credits are used first, then the credit that
+   * expires soonest.
+   * @param {string} phoneNumber - User phone number
+   * @param {string} entitlement - Entitlement key
+   * @param {Date} now - Current time
+   * @param {Object} entry - Usage entry { at, actionId, change }
+   * @param {string} plan - The user's current plan
+   * @returns {Promise<Object|null>} Consumed credit, null if none is left
+   */
+  async consume(phoneNumber, entitlement, now, entry, plan) {
+    const active = usableCredits(phoneNumber, entitlement, now, plan);
+    const $push = { usage: { $each: [entry], $slice: -USAGE_LIMIT } };
+
+    const unlimited = await EntitlementCredit.findOneAndUpdate(
+      { ...active, unlimited: true },
+      { $inc: { used: 1 }, $push },
+      { new: true }
+    ).lean();
+    if (unlimited) {
+      return unlimited;
+    }
+
+    return EntitlementCredit.findOneAndUpdate(
+      { ...active, unlimited: { $ne: true }, remaining: { $gt: 0 } },
+      { $inc: { remaining: -1, used: 1 }, $push },
+      { new: true, sort: { expiresAt: 1 } }
+    ).lean();
+  }
+
+  /**
+   * Give back a unit taken by consume
+   * @param {Object} credit - Credit returned by consume
+   * @param {Object} entry - Usage entry { at, actionId, change }
+   * @returns {Promise<void>}
+   */
+  async refund(credit, entry) {
+    await EntitlementCredit.updateOne(
+      { _id: credit._id },
+      {
+        $inc: credit.unlimited ? { used: -1 } : { remaining: 1, used: -1 },
+        $push: { usage: { $each: [entry], $slice: -USAGE_LIMIT } }
+      }
+    );
+  }
+
+  /**
+   * Credits that have not expired yet, leaving out other plans' allowances
+   * @param {string} phoneNumber - User phone number
+   * @param {string} entitlement - Entitlement key
+   * @param {Date} now - Current time
+   * @param {string} plan - The user's current plan
+   * @returns {Promise<Array<Object>>} Lean credits, soonest expiry first
+   */
+  async findActive(phoneNumber, entitlement, now, plan) {
+    return EntitlementCredit.find(
+      usableCredits(phoneNumber, entitlement, now, plan)
+    )
+      .select('-usage')
+      .sort({ expiresAt: 1 })
+      .lean();
+  }
+}
+
+module.exports = { EntitlementStore };
@@ -0,0 +1,32 @@
+const { EntitlementLedger } = require('./EntitlementLedger');
+const { EntitlementStore } = require('./EntitlementStore');
+const {
+  ENTITLEMENTS,
+  PLAN_ALLOWANCES,
+  isEntitlement,
+  planAllowance
+} = require('./EntitlementCatalog');
+
+// Process-wide ledger, created on first use
+let ledger = null;
+
+/**
+ * Shared entitlement ledger backed by MongoDB
+ * @returns {EntitlementLedger} Ledger
+ */
+const getEntitlementLedger = () => {
+  if (!ledger) {
+    ledger = new EntitlementLedger({ store: new EntitlementStore() });
+  }
+  return ledger;
+};
+
+module.exports = {
+  getEntitlementLedger,
+  EntitlementLedger,
+  EntitlementStore,
+  ENTITLEMENTS,
+  PLAN_ALLOWANCES,
+  isEntitlement,
+  planAllowance
+};
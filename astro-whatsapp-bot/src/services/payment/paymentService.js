@@ -3,6 +3,12 @@ const {
   updateSubscription,
   addLoyaltyPoints
 } = require('../../models/userModel');
+const {
+  getSubscriptionLifecycle,
+  normalizeRazorpayEvent,
+  normalizeStripeEvent
+} = require('./subscriptions');
+const { getEntitlementLedger } = require('./entitlements');
 const Razorpay = require('razorpay');
 let stripe = null;
 if (process.env.STRIPE_SECRET_KEY) {
@@ -166,8 +172,8 @@ class PaymentService {
         // Update user subscription
         await updateSubscription(phoneNumber, planId, expiryDate.toISOString());
 
-        // Add loyalty points for subscription
-        await addLoyaltyPoints(phoneNumber, 50);
+        // Loyalty points are earned once the payment webhook confirms it
+        // (see applySubscriptionEvent)
 
         logger.info(
           `✅ Subscription updated for ${phoneNumber}: ${planId} (${region})`
@@ -245,6 +251,7 @@ class PaymentService {
         notes: {
           type: metadata.type || 'subscription',
           planId: metadata.planId,
+          serviceType: metadata.serviceType,
           phoneNumber: metadata.phoneNumber
         }
       };
@@ -290,9 +297,10 @@ class PaymentService {
         metadata: {
           type: metadata.type || 'subscription',
           planId: metadata.planId,
+          serviceType: metadata.serviceType,
           phoneNumber: metadata.phoneNumber
         },
-        description: `Astrology Bot ${metadata.type} - ${metadata.planId}`
+        description: `Astrology Bot ${metadata.type} - ${metadata.planId || metadata.serviceType}`
       });
 
       return {
@@ -340,12 +348,15 @@ class PaymentService {
   }
 
   /**
-   * Process micro-transaction with real payment gateways
+   * Start a micro-transaction: create the order (Razorpay) or payment link
+   * (Stripe) the user pays through. Nothing is credited here; the payment
+   * webhook does that once the gateway captures the payment (see
+   * applyMicroTransaction).
    * @param {string} phoneNumber - User's phone number
    * @param {string} serviceType - Type of service (flash_insight, transit_alert, etc.)
    * @param {string} region - User region
    * @param {string} paymentMethod - Payment method
-   * @returns {Promise<Object>} Transaction result
+   * @returns {Promise<Object>} Pending payment with its paymentUrl
    */
   async processMicroTransaction(
     phoneNumber,
@@ -363,45 +374,92 @@ class PaymentService {
       const currency =
         region === 'india' ? 'INR' : region === 'uae' ? 'AED' : 'AUD';
       const amount = service.price[currency];
+      const metadata = {
+        type: 'micro_transaction',
+        serviceType,
+        phoneNumber
+      };
 
-      // Process payment
-      const paymentResult = await this.processPayment(
-        amount,
-        currency,
-        region,
-        paymentMethod,
-        {
-          type: 'micro_transaction',
-          serviceType,
-          phoneNumber
-        }
-      );
-
-      if (paymentResult.success) {
-        // Add loyalty points for micro-transaction
-        await addLoyaltyPoints(phoneNumber, 5);
+      const paymentResult =
+        region === 'india' ?
+          await this.processRazorpayPayment(
+            amount,
+            currency,
+            paymentMethod,
+            metadata
+          ) :
+          await this.createStripePaymentLink(
+            amount,
+            currency,
+            service.name,
+            metadata
+          );
 
-        logger.info(
-          `✅ Micro-transaction completed for ${phoneNumber}: ${serviceType} (${region})`
-        );
+      logger.info(
+        `🛒 Micro-transaction payment created for ${phoneNumber}: ${serviceType} (${region})`
+      );
 
-        return {
-          success: true,
-          service: serviceType,
-          amount,
-          currency,
-          transactionId: paymentResult.transactionId,
-          message: `✅ ${service.name} purchased successfully!`
-        };
-      } else {
-        throw new Error('Payment failed');
-      }
+      return {
+        success: true,
+        service: serviceType,
+        amount,
+        currency,
+        transactionId: paymentResult.transactionId,
+        paymentUrl: paymentResult.paymentUrl,
+        message: `🛒 Complete your payment for ${service.name} here: ${paymentResult.paymentUrl}`
+      };
     } catch (error) {
       logger.error(`❌ Micro-transaction failed for ${phoneNumber}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Create a Stripe Payment Link for a one-off purchase. The metadata is
+   * copied to the payment intent, so its payment_intent.succeeded webhook
+   * identifies the purchase.
+   * @param {number} amount - Amount in major units
+   * @param {string} currency - Currency code
+   * @param {string} name - Product name shown at checkout
+   * @param {Object} metadata - { type, serviceType, phoneNumber }
+   * @returns {Promise<Object>} { transactionId, paymentUrl, gateway }
+   */
+  async createStripePaymentLink(amount, currency, name, metadata) {
+    if (!stripe) {
+      throw new Error('Stripe payment gateway not configured');
+    }
+    const paymentLink = await stripe.paymentLinks.create({
+      line_items: [
+        {
+          price_data: {
+            currency: currency.toLowerCase(),
+            product_data: { name },
+            unit_amount: Math.round(amount * 100)
+          },
+          quantity: 1
+        }
+      ],
+      metadata,
+      payment_intent_data: { metadata },
+      after_completion: {
+        type: 'hosted_confirmation',
+        hosted_confirmation: {
+          custom_message:
+            'Payment received. You will get a confirmation on WhatsApp shortly.'
+        }
+      }
+    });
+
+    return {
+      success: true,
+      transactionId: paymentLink.id,
+      paymentUrl: paymentLink.url,
+      amount,
+      currency,
+      gateway: 'stripe'
+    };
+  }
+
   /**
    * Detect user region based on phone number
    * @param {string} phoneNumber - User's phone number
@@ -477,39 +535,27 @@ class PaymentService {
       throw new Error('Razorpay payment gateway not configured');
     }
     try {
-      const { event, payload } = webhookData;
-
-      if (event === 'payment.captured') {
-        const payment = payload.payment.entity;
-        const orderId = payment.order_id;
-        const amount = payment.amount / 100; // Convert from paisa to rupees
-
-        // Extract metadata from order
-        const order = await this.razorpay.orders.fetch(orderId);
-        const notes = order.notes || {};
-
-        if (notes.type === 'subscription') {
-          // Process subscription payment
-          const expiryDate = this.calculateSubscriptionExpiry(notes.planId);
-
-          await updateSubscription(notes.phoneNumber, notes.planId, expiryDate.toISOString());
-          await addLoyaltyPoints(notes.phoneNumber, 50);
-
-          logger.info(
-            `✅ Razorpay subscription payment processed: ${notes.phoneNumber} - ${notes.planId}`
-          );
-        } else if (notes.type === 'micro_transaction') {
-          // Process micro-transaction
-          await addLoyaltyPoints(notes.phoneNumber, 5);
-          logger.info(
-            `✅ Razorpay micro-transaction processed: ${notes.phoneNumber} - ${notes.serviceType}`
-          );
-        }
+      const { event, payload = {} } = webhookData;
+      const payment = payload.payment && payload.payment.entity;
+
+      // Extract metadata from order
+      let notes = {};
+      if (payment && payment.order_id) {
+        const order = await this.razorpay.orders.fetch(payment.order_id);
+        notes = order.notes || {};
+      }
 
-        return { success: true, processed: true };
+      if (event === 'payment.captured' && notes.type === 'micro_transaction') {
+        return await this.applyMicroTransaction('razorpay', {
+          phoneNumber: notes.phoneNumber,
+          serviceType: notes.serviceType,
+          paymentId: payment.id
+        });
       }
 
-      return { success: true, processed: false };
+      return await this.applySubscriptionEvent(
+        normalizeRazorpayEvent(webhookData, notes)
+      );
     } catch (error) {
       logger.error('Razorpay webhook processing failed:', error);
       throw error;
@@ -524,41 +570,118 @@ class PaymentService {
   async handleStripeWebhook(webhookData) {
     try {
       const { type, data } = webhookData;
+      const metadata = (data && data.object && data.object.metadata) || {};
+
+      if (
+        type === 'payment_intent.succeeded' &&
+        metadata.type === 'micro_transaction'
+      ) {
+        return await this.applyMicroTransaction('stripe', {
+          phoneNumber: metadata.phoneNumber,
+          serviceType: metadata.serviceType,
+          paymentId: data.object.id
+        });
+      }
 
-      if (type === 'payment_intent.succeeded') {
-        const paymentIntent = data.object;
-        const { metadata } = paymentIntent;
+      return await this.applySubscriptionEvent(
+        normalizeStripeEvent(webhookData)
+      );
+    } catch (error) {
+      logger.error('Stripe webhook processing failed:', error);
+      throw error;
+    }
+  }
 
-        if (metadata.type === 'subscription') {
-          // Process subscription payment
-          const expiryDate = this.calculateSubscriptionExpiry(metadata.planId);
+  /**
+   * Credit a paid micro-transaction to the entitlement ledger, award its
+   * loyalty points and let the user know. Redelivered webhooks are
+   * recognised by the payment ID, so each payment earns points once.
+   * @param {string} gateway - 'razorpay' or 'stripe'
+   * @param {Object} payment - { phoneNumber, serviceType, paymentId }
+   * @returns {Promise<Object>} Processing result
+   */
+  async applyMicroTransaction(
+    gateway,
+    { phoneNumber, serviceType, paymentId }
+  ) {
+    const granted = await getEntitlementLedger().grantPurchase(
+      phoneNumber,
+      serviceType,
+      `${gateway}:${paymentId}`
+    );
+    if (!granted) {
+      return { success: true, processed: false, reason: 'duplicate' };
+    }
 
-          await updateSubscription(
-            metadata.phoneNumber,
-            metadata.planId,
-            expiryDate.toISOString()
-          );
-          await addLoyaltyPoints(metadata.phoneNumber, 50);
+    await addLoyaltyPoints(phoneNumber, 5);
+    logger.info(
+      `✅ ${gateway} micro-transaction processed: ${phoneNumber} - ${serviceType}`
+    );
+    try {
+      const { sendTextMessage } = require('../whatsapp/messageSender');
+      await sendTextMessage(
+        phoneNumber,
+        `✅ Payment received: your ${this.microServices[serviceType].name} is ready to use.`,
+        { critical: true }
+      );
+    } catch (error) {
+      logger.warn(
+        `⚠️ Purchase confirmation not sent to ${phoneNumber}:`,
+        error.message
+      );
+    }
+    return { success: true, processed: true };
+  }
 
-          logger.info(
-            `✅ Stripe subscription payment processed: ${metadata.phoneNumber} - ${metadata.planId}`
-          );
-        } else if (metadata.type === 'micro_transaction') {
-          // Process micro-transaction
-          await addLoyaltyPoints(metadata.phoneNumber, 5);
-          logger.info(
-            `✅ Stripe micro-transaction processed: ${metadata.phoneNumber} - ${metadata.serviceType}`
-          );
-        }
+  /**
+   * Feed a normalized gateway event to the subscription lifecycle
+   * @param {Object|null} event - Lifecycle event (see GatewayEvents)
+   * @returns {Promise<Object>} Processing result
+   */
+  async applySubscriptionEvent(event) {
+    if (!event) {
+      return { success: true, processed: false };
+    }
 
-        return { success: true, processed: true };
-      }
+    const result = await getSubscriptionLifecycle().handleEvent(event);
+    if (result.applied && event.type === 'payment_succeeded') {
+      await addLoyaltyPoints(result.phoneNumber, 50);
+      logger.info(
+        `✅ ${event.gateway} subscription payment processed: ${result.phoneNumber} - ${event.planId}`
+      );
+    }
+    return {
+      success: true,
+      processed: result.applied,
+      status: result.status,
+      reason: result.reason
+    };
+  }
 
-      return { success: true, processed: false };
-    } catch (error) {
-      logger.error('Stripe webhook processing failed:', error);
-      throw error;
+  /**
+   * Stop a recurring gateway subscription from renewing; the current paid
+   * period is kept
+   * @param {string} gateway - 'razorpay' or 'stripe'
+   * @param {string} subscriptionId - Gateway subscription ID
+   * @returns {Promise<Object>} Gateway response
+   */
+  async cancelGatewaySubscription(gateway, subscriptionId) {
+    if (gateway === 'razorpay') {
+      if (!this.razorpay) {
+        throw new Error('Razorpay payment gateway not configured');
+      }
+      // true: cancel at the end of the current billing cycle
+      return this.razorpay.subscriptions.cancel(subscriptionId, true);
+    }
+    if (gateway === 'stripe') {
+      if (!stripe) {
+        throw new Error('Stripe payment gateway not configured');
+      }
+      return stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: true
+      });
     }
+    throw new Error(`Unknown payment gateway: ${gateway}`);
   }
 
   /**
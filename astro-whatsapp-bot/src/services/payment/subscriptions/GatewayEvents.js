@@ -0,0 +1,202 @@
+/**
+ * Normalize Razorpay and Stripe webhooks into subscription lifecycle events:
+ * `{ id, gateway, type, phoneNumber, planId, subscriptionId, customerId,
+ * paymentId, periodEnd, trialEnd, reason }`. Types are the events of
+ * SubscriptionStateMachine. Webhooks that do not affect a subscription
+ * (micro-transactions, partial refunds, unrelated events) map to null;
+ * refunds and disputes only map for payments of a subscription, and
+ * SubscriptionLifecycleService applies them only to its last payment.
+ */
+
+const RAZORPAY_TYPES = {
+  'payment.captured': 'payment_succeeded',
+  'payment.failed': 'payment_failed',
+  'refund.processed': 'payment_refunded',
+  'payment.dispute.created': 'dispute_opened',
+  // Authorised with a start date in the future, i.e. a free trial
+  'subscription.authenticated': 'trial_started',
+  'subscription.activated': 'payment_succeeded',
+  'subscription.charged': 'payment_succeeded',
+  'subscription.pending': 'payment_failed',
+  'subscription.halted': 'subscription_ended',
+  'subscription.cancelled': 'subscription_ended',
+  'subscription.completed': 'subscription_ended'
+};
+
+const STRIPE_TYPES = {
+  'payment_intent.succeeded': 'payment_succeeded',
+  'payment_intent.payment_failed': 'payment_failed',
+  'invoice.paid': 'payment_succeeded',
+  'invoice.payment_failed': 'payment_failed',
+  'charge.refunded': 'payment_refunded',
+  'charge.dispute.created': 'dispute_opened',
+  'customer.subscription.deleted': 'subscription_ended'
+};
+
+const fromUnix = seconds => (seconds ? new Date(seconds * 1000) : null);
+
+// Orders and payment links created before lifecycle tracking carry only
+// planId and phoneNumber in their notes
+const isSubscriptionNotes = notes =>
+  !!notes &&
+  notes.type !== 'micro_transaction' &&
+  (notes.type === 'subscription' || !!notes.planId);
+
+/**
+ * Normalize a Razorpay webhook
+ * @param {Object} body - Webhook body { event, payload }
+ * @param {Object} orderNotes - Notes of the payment's order, if fetched
+ * @returns {Object|null} Lifecycle event
+ */
+const normalizeRazorpayEvent = (body, orderNotes = {}) => {
+  const { event, payload = {} } = body || {};
+  const type = RAZORPAY_TYPES[event];
+  if (!type) {
+    return null;
+  }
+
+  const payment = payload.payment && payload.payment.entity;
+  const subscription = payload.subscription && payload.subscription.entity;
+  const refund = payload.refund && payload.refund.entity;
+  const dispute = payload.dispute && payload.dispute.entity;
+  const notes = {
+    ...orderNotes,
+    ...((payment && payment.notes) || {}),
+    ...((subscription && subscription.notes) || {})
+  };
+  // Payments of recurring subscriptions are handled via subscription.*
+  if (
+    event.startsWith('payment.') &&
+    !dispute &&
+    payment &&
+    payment.subscription_id
+  ) {
+    return null;
+  }
+  if (refund || dispute) {
+    // Refunds and disputes of anything but a subscription payment, e.g.
+    // a micro-transaction, leave the plan alone
+    const recurring = !!(payment && payment.subscription_id);
+    if (!recurring && !isSubscriptionNotes(notes)) {
+      return null;
+    }
+    // Partial refunds leave the plan in place
+    if (refund && !(payment && refund.amount >= payment.amount)) {
+      return null;
+    }
+  } else if (!subscription && !isSubscriptionNotes(notes)) {
+    return null;
+  }
+
+  if (type === 'trial_started' && !(subscription && subscription.start_at)) {
+    return null;
+  }
+  const entity = refund || dispute || payment || subscription;
+
+  return {
+    id: `razorpay:${event}:${entity.id}`,
+    gateway: 'razorpay',
+    type,
+    phoneNumber: notes.phoneNumber || null,
+    planId: notes.planId || null,
+    subscriptionId: (subscription && subscription.id) || null,
+    customerId:
+      (subscription && subscription.customer_id) ||
+      (payment && payment.customer_id) ||
+      null,
+    paymentId:
+      (payment && payment.id) ||
+      (refund && refund.payment_id) ||
+      (dispute && dispute.payment_id) ||
+      null,
+    periodEnd: subscription ? fromUnix(subscription.current_end) : null,
+    trialEnd: type === 'trial_started' ? fromUnix(subscription.start_at) : null,
+    reason:
+      (payment && payment.error_description) ||
+      (dispute && dispute.reason_code) ||
+      null
+  };
+};
+
+/**
+ * Normalize a Stripe webhook
+ * @param {Object} body - Stripe event { id, type, data }
+ * @returns {Object|null} Lifecycle event
+ */
+const normalizeStripeEvent = body => {
+  const { id, type: stripeType, data = {} } = body || {};
+  const object = data.object || {};
+  let type = STRIPE_TYPES[stripeType];
+
+  if (stripeType === 'customer.subscription.created') {
+    type = object.status === 'trialing' ? 'trial_started' : null;
+  } else if (stripeType === 'customer.subscription.updated') {
+    const before = data.previous_attributes || {};
+    type =
+      object.cancel_at_period_end && before.cancel_at_period_end === false ?
+        'cancel_requested' :
+        null;
+  }
+  if (!type) {
+    return null;
+  }
+  // Partial refunds leave the plan in place
+  if (stripeType === 'charge.refunded' && !object.refunded) {
+    return null;
+  }
+
+  const isSubscriptionObject = stripeType.startsWith('customer.subscription');
+  const isInvoice = stripeType.startsWith('invoice.');
+  const metadata = {
+    ...(object.metadata || {}),
+    ...((object.subscription_details && object.subscription_details.metadata) ||
+      {})
+  };
+  // Invoice payment intents are reported through invoice.* as well
+  if (stripeType.startsWith('payment_intent.') && object.invoice) {
+    return null;
+  }
+  // Charges of subscription invoices carry no metadata of their own
+  const isInvoiceCharge = stripeType.startsWith('charge.') && !!object.invoice;
+  if (
+    !isSubscriptionObject &&
+    !isInvoice &&
+    !isInvoiceCharge &&
+    !isSubscriptionNotes(metadata)
+  ) {
+    return null;
+  }
+
+  const line =
+    isInvoice && object.lines && object.lines.data ?
+      object.lines.data[0] :
+      null;
+  let periodEnd = null;
+  if (isSubscriptionObject) {
+    periodEnd = fromUnix(object.current_period_end);
+  } else if (line && line.period) {
+    periodEnd = fromUnix(line.period.end);
+  }
+  return {
+    id: `stripe:${id}`,
+    gateway: 'stripe',
+    type,
+    phoneNumber: metadata.phoneNumber || null,
+    planId: metadata.planId || null,
+    subscriptionId: isSubscriptionObject ?
+      object.id :
+      object.subscription || null,
+    customerId: object.customer || null,
+    paymentId: stripeType.startsWith('payment_intent.') ?
+      object.id :
+      object.payment_intent || null,
+    periodEnd,
+    trialEnd: type === 'trial_started' ? fromUnix(object.trial_end) : null,
+    reason:
+      (object.last_payment_error && object.last_payment_error.message) ||
+      object.reason ||
+      null
+  };
+};
+
+module.exports = { normalizeRazorpayEvent, normalizeStripeEvent };
@@ -0,0 +1,530 @@
+const logger = require('../../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// WhatsApp only allows free-form messages within 24h of the user's last message
+const SESSION_WINDOW_MS = DAY_MS;
+// Template body parameters may not contain newlines and are capped by Meta
+const MAX_TEMPLATE_PARAM_LENGTH = 1000;
+// Plan changes must reach the user, so failed sends are resent
+const CRITICAL = { critical: true };
+// Events that take back the payment that paid for the current period
+const CLAWBACK_EVENTS = ['payment_refunded', 'dispute_opened'];
+
+const formatDate = value => (value ? new Date(value).toDateString() : 'soon');
+
+/**
+ * SubscriptionLifecycleService - Applies gateway and maintenance events to
+ * each user's subscription, keeps subscriptionTier/subscriptionExpiry in
+ * step with it and tells the user what changed on WhatsApp.
+ * Invalid or repeated events are logged and ignored rather than thrown, so
+ * gateways never retry a webhook that can never apply.
+ */
+class SubscriptionLifecycleService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.store - Persistence (see SubscriptionStore)
+   * @param {Object} options.machine - SubscriptionStateMachine instance
+   * @param {Object} options.sender - { sendTextMessage, sendTemplateMessage }
+   * @param {Object} options.gateway - { getPlan, cancelGatewaySubscription }
+   * @param {number} options.reminderDays - Days before renewal to remind
+   * @param {string} options.templateName - Approved WhatsApp template
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({
+    store,
+    machine,
+    sender,
+    gateway = null,
+    reminderDays = 3,
+    templateName = 'subscription_update',
+    now = () => new Date()
+  }) {
+    this.logger = logger;
+    this.store = store;
+    this.machine = machine;
+    this.sender = sender;
+    this.gateway = gateway;
+    this.reminderMs = reminderDays * DAY_MS;
+    this.templateName = templateName;
+    this.now = now;
+  }
+
+  /**
+   * Apply a normalized gateway event (see GatewayEvents)
+   * @param {Object} event - Lifecycle event
+   * @returns {Promise<Object>} { applied, from, status, reason }
+   */
+  async handleEvent(event) {
+    const user = await this._findUser(event);
+    if (!user) {
+      this.logger.warn(
+        `⚠️ Subscription event ${event.id} matches no user, ignoring`
+      );
+      return { applied: false, reason: 'unknown_user' };
+    }
+
+    const subscription = user.subscription || {};
+    const history = subscription.history || [];
+    if (history.some(entry => entry.eventId === event.id)) {
+      return { applied: false, reason: 'duplicate' };
+    }
+    // Refunding or disputing an older or unrelated payment keeps the plan
+    if (
+      CLAWBACK_EVENTS.includes(event.type) &&
+      (!event.paymentId || event.paymentId !== subscription.lastPaymentId)
+    ) {
+      this.logger.info(
+        `💳 Ignoring ${event.type} of ${event.paymentId || 'unknown payment'} for ${user.phoneNumber}: not the subscription's last payment`
+      );
+      return { applied: false, reason: 'other_payment' };
+    }
+    return this.transition(user, event, this.now());
+  }
+
+  /**
+   * Validate, persist and announce one transition
+   * @param {Object} user - Lean user with subscription
+   * @param {Object} event - Lifecycle event
+   * @param {Date} now - Event time
+   * @param {Object} options - { notify: false to stay silent }
+   * @returns {Promise<Object>} { applied, from, status, reason, access, phoneNumber }
+   */
+  async transition(user, event, now, { notify = true } = {}) {
+    const current = user.subscription || {};
+    const from = current.status || 'none';
+    const next = this.machine.apply(current, event, now);
+    if (!next) {
+      this.logger.info(
+        `💳 Ignoring ${event.type} for ${user.phoneNumber} in state ${from}`
+      );
+      return {
+        applied: false,
+        from,
+        status: from,
+        reason: 'invalid_transition'
+      };
+    }
+
+    const access = this.machine.access(next);
+    const saved = await this.store.saveTransition(
+      user.phoneNumber,
+      next,
+      access,
+      {
+        at: now,
+        eventId: event.id,
+        event: event.type,
+        gateway: event.gateway || next.gateway || null,
+        from,
+        to: next.status
+      }
+    );
+    if (!saved) {
+      return { applied: false, from, status: from, reason: 'duplicate' };
+    }
+
+    this.logger.info(
+      `💳 Subscription ${user.phoneNumber}: ${from} -> ${next.status} (${event.type})`
+    );
+    if (notify) {
+      await this.notify(
+        user,
+        this.describeTransition(event.type, next, from),
+        now
+      );
+    }
+    return {
+      applied: true,
+      from,
+      status: next.status,
+      access,
+      phoneNumber: user.phoneNumber
+    };
+  }
+
+  /**
+   * Cancel at the end of the paid period: stops the gateway's auto-renewal,
+   * then records the cancellation
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} { cancelled, status, until }
+   */
+  async cancel(phoneNumber) {
+    const user = await this.store.findByPhone(phoneNumber);
+    const subscription = (user && user.subscription) || {};
+    if (
+      !user ||
+      !this.machine.canApply(subscription.status, 'cancel_requested')
+    ) {
+      return { cancelled: false, status: subscription.status || 'none' };
+    }
+
+    if (subscription.gatewaySubscriptionId && this.gateway) {
+      await this.gateway.cancelGatewaySubscription(
+        subscription.gateway,
+        subscription.gatewaySubscriptionId
+      );
+    }
+    const now = this.now();
+    const result = await this.transition(
+      user,
+      {
+        id: `user:cancel_requested:${now.toISOString()}`,
+        type: 'cancel_requested',
+        gateway: subscription.gateway
+      },
+      now,
+      { notify: false }
+    );
+    return {
+      cancelled: result.applied,
+      status: result.status,
+      until: result.access ? result.access.subscriptionExpiry : null
+    };
+  }
+
+  /**
+   * Give a user a plan without payment, e.g. as support goodwill. An
+   * unexpired active period is extended rather than replaced.
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} grant - Grant details
+   * @param {string} grant.planId - Plan to grant
+   * @param {number} grant.days - Length of the granted period
+   * @param {string} grant.actor - Who granted it, for the history
+   * @returns {Promise<Object>} transition() result
+   */
+  async grant(phoneNumber, { planId, days, actor = 'admin' }) {
+    const user = await this.store.findByPhone(phoneNumber);
+    if (!user) {
+      return { applied: false, reason: 'unknown_user' };
+    }
+    const now = this.now();
+    return this.transition(
+      user,
+      {
+        id: `${actor}:access_granted:${now.toISOString()}`,
+        type: 'access_granted',
+        planId,
+        days
+      },
+      now
+    );
+  }
+
+  /**
+   * End a user's plan now, stopping the gateway's auto-renewal first
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} revocation - Revocation details
+   * @param {string} revocation.reason - Stored as the end reason
+   * @param {string} revocation.actor - Who revoked it, for the history
+   * @returns {Promise<Object>} transition() result
+   */
+  async revoke(phoneNumber, { reason, actor = 'admin' } = {}) {
+    const user = await this.store.findByPhone(phoneNumber);
+    if (!user) {
+      return { applied: false, reason: 'unknown_user' };
+    }
+    const subscription = user.subscription || {};
+    const from = subscription.status || 'none';
+    if (!this.machine.canApply(from, 'access_revoked')) {
+      return {
+        applied: false,
+        from,
+        status: from,
+        reason: 'invalid_transition'
+      };
+    }
+
+    if (subscription.gatewaySubscriptionId && this.gateway) {
+      await this.gateway.cancelGatewaySubscription(
+        subscription.gateway,
+        subscription.gatewaySubscriptionId
+      );
+    }
+    const now = this.now();
+    return this.transition(
+      user,
+      {
+        id: `${actor}:access_revoked:${now.toISOString()}`,
+        type: 'access_revoked',
+        gateway: subscription.gateway,
+        reason
+      },
+      now
+    );
+  }
+
+  /**
+   * Stored subscription of a user
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object>} Subscription fields ({ status: 'none' } if none)
+   */
+  async getSubscription(phoneNumber) {
+    const user = await this.store.findByPhone(phoneNumber);
+    return (user && user.subscription) || { status: 'none' };
+  }
+
+  /**
+   * Maintenance run: expire ended trials, grace periods and cancelled plans,
+   * move unpaid renewals into dunning and send renewal reminders and final
+   * notices once each
+   * @returns {Promise<Object>} { transitions, reminders, failed }
+   */
+  async sweep() {
+    const stats = { transitions: 0, reminders: 0, failed: 0 };
+    const now = this.now();
+    const horizon = new Date(now.getTime() + this.reminderMs);
+    try {
+      for await (const user of this.store.findDue(horizon)) {
+        try {
+          const outcome = await this._sweepUser(user, now, horizon);
+          if (outcome) {
+            stats[outcome]++;
+          }
+        } catch (error) {
+          stats.failed++;
+          this.logger.error(
+            `❌ Subscription sweep failed for ${user.phoneNumber}:`,
+            error.message
+          );
+        }
+      }
+    } catch (error) {
+      this.logger.error('❌ Subscription sweep failed:', error.message);
+    }
+
+    if (stats.transitions || stats.reminders || stats.failed) {
+      this.logger.info(
+        `💳 Subscription sweep: ${stats.transitions} transitions, ${stats.reminders} reminders, ${stats.failed} failed`
+      );
+    }
+    return stats;
+  }
+
+  /**
+   * Message for a transition
+   * @param {string} type - Event type
+   * @param {Object} subscription - Subscription after the transition
+   * @param {string} from - Status before the transition
+   * @returns {string} Message text
+   */
+  describeTransition(type, subscription, from) {
+    const plan = this._planName(subscription.planId);
+    switch (type) {
+    case 'trial_started':
+      return `🎁 Your ${plan} trial has started! Enjoy every feature until ${formatDate(subscription.trialEndsAt)}.`;
+    case 'payment_succeeded':
+      return from === 'past_due' ?
+        `✅ Payment received, thank you! Your ${plan} plan is active again until ${formatDate(subscription.currentPeriodEnd)}.` :
+        `✅ Payment received! Your ${plan} plan is active until ${formatDate(subscription.currentPeriodEnd)}.`;
+    case 'payment_failed':
+      return `⚠️ We couldn't process your ${plan} payment. Please update your payment method by ${formatDate(subscription.graceEndsAt)} to keep your benefits.`;
+    case 'renewal_missed':
+      return `⚠️ Your ${plan} plan was due for renewal on ${formatDate(subscription.currentPeriodEnd)}. Renew by ${formatDate(subscription.graceEndsAt)} to keep your benefits: send *subscribe*.`;
+    case 'cancel_requested':
+      return `Your ${plan} subscription is cancelled and won't renew. You keep your benefits until ${formatDate(subscription.currentPeriodEnd)}.`;
+    case 'payment_refunded':
+      return `💸 Your refund has been processed. Your ${plan} plan has ended and you're now on the Free plan.`;
+    case 'dispute_opened':
+      return `Your ${plan} payment is being disputed, so your plan benefits have been suspended. You're now on the Free plan.`;
+    case 'access_granted':
+      return `🎁 You've been given the ${plan} plan! Enjoy its benefits until ${formatDate(subscription.currentPeriodEnd)}.`;
+    case 'access_revoked':
+      return `Your ${plan} plan has been ended by our support team and you're now on the Free plan. Reply here if you have any questions.`;
+    default:
+      return `Your ${plan} plan has ended and you're now on the Free plan. Send *subscribe* to renew anytime.`;
+    }
+  }
+
+  /**
+   * Send a lifecycle message: free text inside the session window, the
+   * approved template outside it, as critical messages. Failures are
+   * logged, never thrown.
+   * @param {Object} user - Lean user
+   * @param {string} text - Message text
+   * @param {Date} now - Current instant
+   * @returns {Promise<boolean>} True if sent
+   */
+  async notify(user, text, now) {
+    const { phoneNumber } = user;
+    try {
+      if (this._inSessionWindow(user, now)) {
+        await this.sender.sendTextMessage(phoneNumber, text, CRITICAL);
+      } else {
+        await this.sender.sendTemplateMessage(
+          phoneNumber,
+          this.templateName,
+          user.preferredLanguage || 'en',
+          this._buildTemplateComponents(user, text),
+          CRITICAL
+        );
+      }
+      return true;
+    } catch (error) {
+      this.logger.error(
+        `❌ Subscription message for ${phoneNumber} failed:`,
+        error.message
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Handle one user found by the sweep
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Date} now - Current instant
+   * @param {Date} horizon - Reminder horizon
+   * @returns {Promise<string|null>} Stats key of what happened
+   */
+  async _sweepUser(user, now, horizon) {
+    const subscription = user.subscription || {};
+    const due = this.machine.dueEvent(subscription, now);
+    if (due) {
+      // Keyed on the date that passed, so overlapping sweeps apply it once
+      const passed = {
+        trialing: subscription.trialEndsAt,
+        past_due: subscription.graceEndsAt
+      }[subscription.status] || subscription.currentPeriodEnd;
+      const result = await this.transition(
+        user,
+        {
+          id: `sweep:${due}:${new Date(passed).toISOString()}`,
+          type: due,
+          gateway: subscription.gateway
+        },
+        now
+      );
+      return result.applied ? 'transitions' : null;
+    }
+
+    const reminder = this._dueReminder(subscription, now, horizon);
+    if (
+      !reminder ||
+      !(await this.store.claimReminder(
+        user.phoneNumber,
+        reminder.field,
+        reminder.dueDate
+      ))
+    ) {
+      return null;
+    }
+    await this.notify(user, reminder.text, now);
+    return 'reminders';
+  }
+
+  /**
+   * Reminder due for a subscription, if any
+   * @private
+   * @param {Object} subscription - Subscription fields
+   * @param {Date} now - Current instant
+   * @param {Date} horizon - Reminder horizon
+   * @returns {Object|null} { field, dueDate, text }
+   */
+  _dueReminder(subscription, now, horizon) {
+    const plan = this._planName(subscription.planId);
+    const within = (value, limit) => !!value && new Date(value) <= limit;
+    const { status, currentPeriodEnd, trialEndsAt, graceEndsAt } =
+      subscription;
+
+    if (status === 'active' && within(currentPeriodEnd, horizon)) {
+      return {
+        field: 'renewalReminderFor',
+        dueDate: new Date(currentPeriodEnd),
+        text: subscription.gatewaySubscriptionId ?
+          `🔔 Your ${plan} plan renews on ${formatDate(currentPeriodEnd)}. To stop renewal, send *cancel subscription*.` :
+          `🔔 Your ${plan} plan expires on ${formatDate(currentPeriodEnd)}. Send *subscribe* to renew and keep your benefits.`
+      };
+    }
+    if (status === 'trialing' && within(trialEndsAt, horizon)) {
+      return {
+        field: 'renewalReminderFor',
+        dueDate: new Date(trialEndsAt),
+        text: subscription.gatewaySubscriptionId ?
+          `🔔 Your ${plan} trial ends on ${formatDate(trialEndsAt)} and your paid plan starts then. To stop it, send *cancel subscription*.` :
+          `🔔 Your ${plan} trial ends on ${formatDate(trialEndsAt)}. Send *subscribe* to keep your benefits.`
+      };
+    }
+    // Last call one day before dunning ends
+    if (
+      status === 'past_due' &&
+      within(graceEndsAt, new Date(now.getTime() + DAY_MS))
+    ) {
+      return {
+        field: 'finalNoticeFor',
+        dueDate: new Date(graceEndsAt),
+        text: `⏳ Final notice: your ${plan} benefits end on ${formatDate(graceEndsAt)} unless your payment goes through. Send *subscribe* to renew.`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {Object} event - Lifecycle event
+   * @returns {Promise<Object|null>} Lean user
+   */
+  async _findUser(event) {
+    if (event.phoneNumber) {
+      const user = await this.store.findByPhone(event.phoneNumber);
+      if (user) {
+        return user;
+      }
+    }
+    return this.store.findByGatewayRef({
+      subscriptionId: event.subscriptionId,
+      customerId: event.customerId,
+      paymentId: event.paymentId
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} planId - Plan identifier
+   * @returns {string} Display name
+   */
+  _planName(planId) {
+    if (this.gateway && this.gateway.getPlan && planId) {
+      return this.gateway.getPlan(planId).name;
+    }
+    return planId || 'subscription';
+  }
+
+  /**
+   * Body parameters for the subscription template: {{1}} name, {{2}} update
+   * @private
+   * @param {Object} user - Lean user
+   * @param {string} text - Message text
+   * @returns {Array} Template components
+   */
+  _buildTemplateComponents(user, text) {
+    const toParam = value => ({
+      type: 'text',
+      text: String(value || '')
+        .replace(/\s*\n+\s*/g, ' ')
+        .substring(0, MAX_TEMPLATE_PARAM_LENGTH)
+    });
+    return [
+      {
+        type: 'body',
+        parameters: [toParam(user.name || 'there'), toParam(text)]
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} user - Lean user
+   * @param {Date} now - Current instant
+   * @returns {boolean} True if the user wrote to us in the last 24 hours
+   */
+  _inSessionWindow(user, now) {
+    if (!user.lastInteraction) {
+      return false;
+    }
+    return (
+      now.getTime() - new Date(user.lastInteraction).getTime() < SESSION_WINDOW_MS
+    );
+  }
+}
+
+module.exports = { SubscriptionLifecycleService };
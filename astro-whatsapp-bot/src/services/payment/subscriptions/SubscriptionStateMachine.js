@@ -0,0 +1,204 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATES = [
+  'none',
+  'trialing',
+  'active',
+  'past_due',
+  'cancelled',
+  'expired'
+];
+
+// States in which the user keeps their plan's benefits
+const ACCESS_STATES = ['trialing', 'active', 'past_due', 'cancelled'];
+
+/**
+ * Allowed transitions per lifecycle event. Gateway events are normalized to
+ * these names by GatewayEvents; renewal_missed and access_ended come from
+ * the maintenance sweep; access_granted and access_revoked from operators.
+ */
+const TRANSITIONS = {
+  trial_started: { from: ['none', 'expired'], to: 'trialing' },
+  payment_succeeded: { from: STATES, to: 'active' },
+  payment_failed: { from: ['trialing', 'active', 'past_due'], to: 'past_due' },
+  cancel_requested: {
+    from: ['trialing', 'active', 'past_due'],
+    to: 'cancelled'
+  },
+  renewal_missed: { from: ['active'], to: 'past_due' },
+  payment_refunded: { from: ACCESS_STATES, to: 'expired' },
+  dispute_opened: { from: ACCESS_STATES, to: 'expired' },
+  subscription_ended: { from: ACCESS_STATES, to: 'expired' },
+  access_ended: {
+    from: ['trialing', 'past_due', 'cancelled'],
+    to: 'expired'
+  },
+  access_granted: { from: STATES, to: 'active' },
+  access_revoked: { from: ACCESS_STATES, to: 'expired' }
+};
+
+const later = (...dates) =>
+  new Date(Math.max(...dates.filter(Boolean).map(date => date.getTime())));
+
+const asDate = value => (value ? new Date(value) : null);
+
+/**
+ * SubscriptionStateMachine - Pure transition logic for a user's
+ * subscription (trialing, active, past_due, cancelled, expired). It decides
+ * the next state and period dates for an event and which tier and expiry
+ * the rest of the bot should see; persistence and messaging live in
+ * SubscriptionLifecycleService.
+ */
+class SubscriptionStateMachine {
+  /**
+   * @param {Object} options - Lifecycle timings
+   * @param {number} options.periodDays - Length of a paid period
+   * @param {number} options.trialDays - Trial length when the gateway gives none
+   * @param {number} options.graceDays - Dunning window after a failed payment
+   */
+  constructor({ periodDays = 30, trialDays = 7, graceDays = 3 } = {}) {
+    this.periodMs = periodDays * DAY_MS;
+    this.trialMs = trialDays * DAY_MS;
+    this.graceMs = graceDays * DAY_MS;
+  }
+
+  /**
+   * Whether an event may be applied in the current state
+   * @param {string} status - Current status
+   * @param {string} type - Event type
+   * @returns {boolean} True if allowed
+   */
+  canApply(status, type) {
+    const rule = TRANSITIONS[type];
+    return !!rule && rule.from.includes(status || 'none');
+  }
+
+  /**
+   * Apply an event
+   * @param {Object} current - Stored subscription (may be empty)
+   * @param {Object} event - Normalized event { type, planId, periodEnd, days, ... }
+   * @param {Date} now - Event time
+   * @returns {Object|null} Next subscription fields, or null if not allowed
+   */
+  apply(current, event, now) {
+    const previous = current || {};
+    const status = previous.status || 'none';
+    if (!this.canApply(status, event.type)) {
+      return null;
+    }
+
+    const next = {
+      ...previous,
+      status: TRANSITIONS[event.type].to,
+      planId: event.planId || previous.planId,
+      gateway: event.gateway || previous.gateway,
+      gatewaySubscriptionId:
+        event.subscriptionId || previous.gatewaySubscriptionId,
+      gatewayCustomerId: event.customerId || previous.gatewayCustomerId
+    };
+    const periodEnd = asDate(previous.currentPeriodEnd);
+
+    switch (event.type) {
+    case 'trial_started':
+      next.trialEndsAt =
+        asDate(event.trialEnd) || new Date(now.getTime() + this.trialMs);
+      next.currentPeriodStart = now;
+      next.currentPeriodEnd = next.trialEndsAt;
+      next.cancelAtPeriodEnd = false;
+      next.endedAt = null;
+      next.endReason = null;
+      break;
+    case 'payment_succeeded':
+    case 'access_granted':
+      // One-off payments and grants extend an unexpired period; recurring
+      // payments say exactly when the paid period ends
+      next.currentPeriodStart = now;
+      next.currentPeriodEnd =
+        asDate(event.periodEnd) ||
+        new Date(
+          (status === 'active' ? later(now, periodEnd) : now).getTime() +
+            (event.days ? event.days * DAY_MS : this.periodMs)
+        );
+      next.lastPaymentId = event.paymentId || previous.lastPaymentId;
+      next.failedPayments = 0;
+      next.graceEndsAt = null;
+      next.trialEndsAt = null;
+      next.cancelAtPeriodEnd = false;
+      next.cancelledAt = null;
+      next.endedAt = null;
+      next.endReason = null;
+      break;
+    case 'payment_failed':
+      next.failedPayments = (previous.failedPayments || 0) + 1;
+      // Retries do not extend the dunning window
+      next.graceEndsAt =
+        asDate(previous.graceEndsAt) ||
+        new Date(later(now, periodEnd).getTime() + this.graceMs);
+      break;
+    case 'renewal_missed':
+      next.graceEndsAt = new Date(
+        later(now, periodEnd).getTime() + this.graceMs
+      );
+      break;
+    case 'cancel_requested':
+      next.cancelAtPeriodEnd = true;
+      next.cancelledAt = now;
+      break;
+    default:
+      next.endedAt = now;
+      next.endReason = event.reason || event.type;
+      next.cancelAtPeriodEnd = false;
+      next.graceEndsAt = null;
+    }
+    return next;
+  }
+
+  /**
+   * Tier and expiry the rest of the bot reads (subscriptionTier and
+   * subscriptionExpiry on the user)
+   * @param {Object} subscription - Subscription fields
+   * @returns {Object} { subscriptionTier, subscriptionExpiry }
+   */
+  access(subscription) {
+    const { status, planId } = subscription;
+    if (!ACCESS_STATES.includes(status) || !planId) {
+      return { subscriptionTier: 'free', subscriptionExpiry: null };
+    }
+    const until = {
+      trialing: subscription.trialEndsAt,
+      active: subscription.currentPeriodEnd,
+      past_due: subscription.graceEndsAt || subscription.currentPeriodEnd,
+      cancelled: subscription.currentPeriodEnd
+    }[status];
+    return { subscriptionTier: planId, subscriptionExpiry: asDate(until) };
+  }
+
+  /**
+   * Sweep event that is due for a subscription, if any
+   * @param {Object} subscription - Subscription fields
+   * @param {Date} now - Current time
+   * @returns {string|null} 'renewal_missed', 'access_ended' or null
+   */
+  dueEvent(subscription, now) {
+    const passed = value => !!value && new Date(value) <= now;
+    switch (subscription.status) {
+    case 'active':
+      return passed(subscription.currentPeriodEnd) ? 'renewal_missed' : null;
+    case 'trialing':
+      return passed(subscription.trialEndsAt) ? 'access_ended' : null;
+    case 'cancelled':
+      return passed(subscription.currentPeriodEnd) ? 'access_ended' : null;
+    case 'past_due':
+      return passed(subscription.graceEndsAt) ? 'access_ended' : null;
+    default:
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  SubscriptionStateMachine,
+  STATES,
+  ACCESS_STATES,
+  TRANSITIONS
+};
@@ -0,0 +1,118 @@
+const User = require('../../../models/User');
+
+// Fields the lifecycle needs to transition and notify a user
+const USER_FIELDS = [
+  'phoneNumber',
+  'name',
+  'preferredLanguage',
+  'lastInteraction',
+  'subscriptionTier',
+  'subscriptionExpiry',
+  'subscription'
+].join(' ');
+
+// Lifecycle events kept per user for auditing and de-duplication
+const HISTORY_LIMIT = 50;
+
+/**
+ * SubscriptionStore - MongoDB persistence for subscription lifecycles
+ * Each transition is written together with its history entry, and only if
+ * the gateway event id is not in the history yet, so a redelivered webhook
+ * is never applied twice.
+ */
+class SubscriptionStore {
+  /**
+   * Find a user by phone number
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object|null>} Lean user
+   */
+  async findByPhone(phoneNumber) {
+    return User.findOne({ phoneNumber }).select(USER_FIELDS).lean();
+  }
+
+  /**
+   * Find the user a gateway event belongs to when it carries no phone number
+   * @param {Object} refs - { subscriptionId, customerId, paymentId }
+   * @returns {Promise<Object|null>} Lean user
+   */
+  async findByGatewayRef({ subscriptionId, customerId, paymentId }) {
+    const clauses = [
+      subscriptionId && {
+        'subscription.gatewaySubscriptionId': subscriptionId
+      },
+      customerId && { 'subscription.gatewayCustomerId': customerId },
+      paymentId && { 'subscription.lastPaymentId': paymentId }
+    ].filter(Boolean);
+    if (clauses.length === 0) {
+      return null;
+    }
+    return User.findOne({ $or: clauses }).select(USER_FIELDS).lean();
+  }
+
+  /**
+   * Persist a transition
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} subscription - Subscription fields (without history)
+   * @param {Object} access - { subscriptionTier, subscriptionExpiry }
+   * @param {Object} entry - History entry { at, eventId, event, gateway, from, to }
+   * @returns {Promise<boolean>} False if the event was already applied
+   */
+  async saveTransition(phoneNumber, subscription, access, entry) {
+    const fields = { ...subscription };
+    delete fields.history;
+    const $set = { ...access, updatedAt: entry.at };
+    for (const [key, value] of Object.entries(fields)) {
+      $set[`subscription.${key}`] = value === undefined ? null : value;
+    }
+
+    const result = await User.updateOne(
+      { phoneNumber, 'subscription.history.eventId': { $ne: entry.eventId } },
+      {
+        $set,
+        $push: {
+          'subscription.history': { $each: [entry], $slice: -HISTORY_LIMIT }
+        }
+      }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Iterate subscriptions with a date inside the horizon: reminders,
+   * missed renewals, ending trials and closing grace periods
+   * @param {Date} horizon - Latest date of interest
+   * @returns {AsyncIterable<Object>} Lean users
+   */
+  findDue(horizon) {
+    return User.find({
+      'subscription.status': {
+        $in: ['trialing', 'active', 'past_due', 'cancelled']
+      },
+      $or: [
+        { 'subscription.currentPeriodEnd': { $lte: horizon } },
+        { 'subscription.trialEndsAt': { $lte: horizon } },
+        { 'subscription.graceEndsAt': { $lte: horizon } }
+      ]
+    })
+      .select(USER_FIELDS)
+      .lean()
+      .cursor();
+  }
+
+  /**
+   * Record that a reminder went out, unless another run sent it first
+   * @param {string} phoneNumber - User phone number
+   * @param {string} field - 'renewalReminderFor' or 'finalNoticeFor'
+   * @param {Date} dueDate - Date the reminder is about
+   * @returns {Promise<boolean>} True if this run should send it
+   */
+  async claimReminder(phoneNumber, field, dueDate) {
+    const result = await User.updateOne(
+      { phoneNumber, [`subscription.${field}`]: { $ne: dueDate } },
+      { $set: { [`subscription.${field}`]: dueDate } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = { SubscriptionStore };
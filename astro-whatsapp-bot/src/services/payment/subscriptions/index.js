@@ -0,0 +1,48 @@
+const { SubscriptionStateMachine } = require('./SubscriptionStateMachine');
+const {
+  SubscriptionLifecycleService
+} = require('./SubscriptionLifecycleService');
+const { SubscriptionStore } = require('./SubscriptionStore');
+const {
+  normalizeRazorpayEvent,
+  normalizeStripeEvent
+} = require('./GatewayEvents');
+
+// Process-wide lifecycle, created on first use
+let lifecycle = null;
+
+/**
+ * Shared subscription lifecycle configured from W1_SUBSCRIPTION_* settings
+ * @returns {SubscriptionLifecycleService} Lifecycle service
+ */
+const getSubscriptionLifecycle = () => {
+  if (!lifecycle) {
+    // Required lazily: paymentService depends on this module for webhooks
+    const paymentService = require('../paymentService');
+    const messageSender = require('../../whatsapp/messageSender');
+
+    lifecycle = new SubscriptionLifecycleService({
+      store: new SubscriptionStore(),
+      machine: new SubscriptionStateMachine({
+        trialDays: parseInt(process.env.W1_SUBSCRIPTION_TRIAL_DAYS, 10) || 7,
+        graceDays: parseInt(process.env.W1_SUBSCRIPTION_GRACE_DAYS, 10) || 3
+      }),
+      sender: messageSender,
+      gateway: paymentService,
+      reminderDays:
+        parseInt(process.env.W1_SUBSCRIPTION_REMINDER_DAYS, 10) || 3,
+      templateName:
+        process.env.W1_SUBSCRIPTION_TEMPLATE || 'subscription_update'
+    });
+  }
+  return lifecycle;
+};
+
+module.exports = {
+  getSubscriptionLifecycle,
+  SubscriptionLifecycleService,
+  SubscriptionStateMachine,
+  SubscriptionStore,
+  normalizeRazorpayEvent,
+  normalizeStripeEvent
+};
@@ -0,0 +1,340 @@
+const logger = require('../../utils/logger');
+const { toServiceBirthData } = require('../astrology/core/BirthProfile');
+
+/**
+ * Relationships a person can be saved with, keyed by the stored value
+ */
+const RELATIONSHIPS = {
+  partner: { label: 'Partner / spouse', emoji: '💑' },
+  child: { label: 'Child', emoji: '🧒' },
+  parent: { label: 'Parent', emoji: '👵' },
+  sibling: { label: 'Sibling', emoji: '👫' },
+  relative: { label: 'Relative', emoji: '👪' },
+  friend: { label: 'Friend', emoji: '🤗' },
+  business_partner: { label: 'Business partner', emoji: '🤝' },
+  client: { label: 'Client', emoji: '💼' },
+  other: { label: 'Other', emoji: '👤' }
+};
+
+// Words users type for a relationship
+const RELATIONSHIP_ALIASES = {
+  spouse: 'partner',
+  wife: 'partner',
+  husband: 'partner',
+  fiance: 'partner',
+  fiancee: 'partner',
+  girlfriend: 'partner',
+  boyfriend: 'partner',
+  son: 'child',
+  daughter: 'child',
+  kid: 'child',
+  mother: 'parent',
+  father: 'parent',
+  mom: 'parent',
+  mum: 'parent',
+  dad: 'parent',
+  brother: 'sibling',
+  sister: 'sibling',
+  cousin: 'relative',
+  uncle: 'relative',
+  aunt: 'relative',
+  grandmother: 'relative',
+  grandfather: 'relative',
+  grandparent: 'relative',
+  family: 'relative',
+  business: 'business_partner',
+  cofounder: 'business_partner',
+  colleague: 'business_partner',
+  customer: 'client'
+};
+
+// Fields a person is saved with
+const PERSON_FIELDS = [
+  'name',
+  'relationship',
+  'gender',
+  'birthDate',
+  'birthTime',
+  'birthPlace',
+  'birthLatitude',
+  'birthLongitude',
+  'birthTimezone'
+];
+
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * Map a typed relationship ("wife", "Business partner") or a list row ID
+ * ("rel_child") to a stored key
+ * @param {string} value - Raw value
+ * @returns {string|null} Relationship key, or null if unknown
+ */
+const normalizeRelationship = value => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const key = value
+    .trim()
+    .toLowerCase()
+    .replace(/^rel_/, '')
+    .replace(/[^a-z]+/g, '_')
+    .replace(/^_|_$/g, '');
+  if (RELATIONSHIPS[key]) {
+    return key;
+  }
+  return (
+    RELATIONSHIP_ALIASES[key] ||
+    RELATIONSHIP_ALIASES[key.replace(/_/g, '')] ||
+    RELATIONSHIP_ALIASES[key.replace(/s$/, '')] ||
+    null
+  );
+};
+
+/**
+ * PeopleBook - The people a user saves for readings: partners, family and
+ * clients with their birth details, so compatibility, family, partnership
+ * and group timing readings can pick them instead of asking again.
+ * Names are unique within a book, ignoring case.
+ */
+class PeopleBook {
+  /**
+   * @param {Object} options - Book options
+   * @param {Object} options.store - PeopleStore (or compatible)
+   * @param {number} options.limit - Most people one user can save
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({ store, limit = 30, now = () => new Date() }) {
+    this.logger = logger;
+    this.store = store;
+    this.limit = limit;
+    this.now = now;
+  }
+
+  /**
+   * A user's people, by name
+   * @param {string} phoneNumber - Owner's phone number
+   * @returns {Promise<Array>} People
+   */
+  async list(phoneNumber) {
+    const people = (await this.store.list(phoneNumber)) || [];
+    return [...people].sort((a, b) =>
+      a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+    );
+  }
+
+  /**
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} id - Person ID
+   * @returns {Promise<Object|null>} Person
+   */
+  async get(phoneNumber, id) {
+    const people = await this.list(phoneNumber);
+    return people.find(person => String(person._id) === String(id)) || null;
+  }
+
+  /**
+   * Find a person by name: an exact match, else the only name starting
+   * with the text
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} name - Name as typed
+   * @returns {Promise<Object|null>} Person
+   */
+  async findByName(phoneNumber, name) {
+    const wanted = String(name || '')
+      .trim()
+      .toLowerCase();
+    if (!wanted) {
+      return null;
+    }
+    const people = await this.list(phoneNumber);
+    const exact = people.find(person => person.name.toLowerCase() === wanted);
+    if (exact) {
+      return exact;
+    }
+    const partial = people.filter(person =>
+      person.name.toLowerCase().startsWith(wanted)
+    );
+    return partial.length === 1 ? partial[0] : null;
+  }
+
+  /**
+   * Save a new person
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {Object} details - Person fields (see PERSON_FIELDS)
+   * @returns {Promise<Object>} { saved, person } or { saved: false, reason }
+   *   with reason 'invalid_name', 'missing_birth_details', 'unknown_user',
+   *   'duplicate_name' or 'limit_reached'
+   */
+  async add(phoneNumber, details) {
+    const fields = this.clean(details);
+    const problem = this.check(fields, { requireBirth: true });
+    if (problem) {
+      return { saved: false, reason: problem };
+    }
+
+    const people = await this.store.list(phoneNumber);
+    if (!people) {
+      return { saved: false, reason: 'unknown_user' };
+    }
+    if (this.nameTaken(people, fields.name)) {
+      return { saved: false, reason: 'duplicate_name' };
+    }
+    if (people.length >= this.limit) {
+      return { saved: false, reason: 'limit_reached' };
+    }
+
+    const now = this.now();
+    const person = await this.store.add(
+      phoneNumber,
+      {
+        relationship: 'other',
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+      },
+      this.limit
+    );
+    if (!person) {
+      return { saved: false, reason: 'limit_reached' };
+    }
+    this.logger.info(`👥 ${phoneNumber} saved ${person.name} to their people`);
+    return { saved: true, person };
+  }
+
+  /**
+   * Change a saved person
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} id - Person ID
+   * @param {Object} details - Fields to change
+   * @returns {Promise<Object>} { saved, person } or { saved: false, reason }
+   *   with reason 'not_found', 'invalid_name' or 'duplicate_name'
+   */
+  async update(phoneNumber, id, details) {
+    const fields = this.clean(details);
+    const problem = this.check(fields, { requireBirth: false });
+    if (problem) {
+      return { saved: false, reason: problem };
+    }
+
+    const people = await this.list(phoneNumber);
+    const others = people.filter(person => String(person._id) !== String(id));
+    if (others.length === people.length) {
+      return { saved: false, reason: 'not_found' };
+    }
+    if (fields.name && this.nameTaken(others, fields.name)) {
+      return { saved: false, reason: 'duplicate_name' };
+    }
+
+    const person = await this.store.update(phoneNumber, id, {
+      ...fields,
+      updatedAt: this.now()
+    });
+    return person ?
+      { saved: true, person } :
+      { saved: false, reason: 'not_found' };
+  }
+
+  /**
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} id - Person ID
+   * @returns {Promise<boolean>} True if the person was removed
+   */
+  async remove(phoneNumber, id) {
+    return this.store.remove(phoneNumber, id);
+  }
+
+  /**
+   * Birth profile of a saved person, in the shape of a user profile, so
+   * toServiceBirthData and the chart calculators accept it. Charts use the
+   * owner's chart settings.
+   * @param {Object} person - Saved person
+   * @param {Object} owner - User who saved them
+   * @returns {Object} Profile
+   */
+  static toProfile(person, owner = {}) {
+    return {
+      name: person.name,
+      gender: person.gender || null,
+      birthDate: person.birthDate,
+      birthTime: person.birthTime || null,
+      birthPlace: person.birthPlace,
+      birthLatitude: person.birthLatitude ?? null,
+      birthLongitude: person.birthLongitude ?? null,
+      birthTimezone: person.birthTimezone || null,
+      preferences: owner.preferences || {}
+    };
+  }
+
+  /**
+   * One-line summary, e.g. "Priya (Partner / spouse) · 15/06/1990 14:30 · Mumbai"
+   * @param {Object} person - Saved person
+   * @returns {string} Summary
+   */
+  static describe(person) {
+    const { birthDate, birthTime } = toServiceBirthData(person);
+    const relationship =
+      RELATIONSHIPS[person.relationship] || RELATIONSHIPS.other;
+    const time = person.birthTime ? ` ${birthTime}` : '';
+    return `${person.name} (${relationship.label}) · ${birthDate}${time} · ${person.birthPlace}`;
+  }
+
+  /**
+   * Keep known fields, trimming the name and normalizing the relationship
+   * @private
+   * @param {Object} details - Raw fields
+   * @returns {Object} Fields to save
+   */
+  clean(details = {}) {
+    const fields = {};
+    for (const field of PERSON_FIELDS) {
+      if (details[field] !== undefined) {
+        fields[field] = details[field];
+      }
+    }
+    if (typeof fields.name === 'string') {
+      fields.name = fields.name.trim().replace(/\s+/g, ' ');
+    }
+    if (fields.relationship !== undefined) {
+      fields.relationship =
+        normalizeRelationship(fields.relationship) || 'other';
+    }
+    return fields;
+  }
+
+  /**
+   * @private
+   * @param {Object} fields - Cleaned fields
+   * @param {Object} options - { requireBirth }
+   * @returns {string|null} Reason the fields cannot be saved
+   */
+  check(fields, { requireBirth }) {
+    if (
+      (requireBirth || fields.name !== undefined) &&
+      (!fields.name || fields.name.length > MAX_NAME_LENGTH)
+    ) {
+      return 'invalid_name';
+    }
+    if (requireBirth && (!fields.birthDate || !fields.birthPlace)) {
+      return 'missing_birth_details';
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {Array} people - People to compare with
+   * @param {string} name - Name to save
+   * @returns {boolean} True if one of them already has the name
+   */
+  nameTaken(people, name) {
+    const wanted = name.toLowerCase();
+    return people.some(person => person.name.toLowerCase() === wanted);
+  }
+}
+
+module.exports = {
+  PeopleBook,
+  RELATIONSHIPS,
+  MAX_NAME_LENGTH,
+  normalizeRelationship
+};
@@ -0,0 +1,77 @@
+const User = require('../../models/User');
+
+/**
+ * PeopleStore - MongoDB persistence for people books
+ * People are embedded in their owner's user document, so a book is read
+ * and limited in one query.
+ */
+class PeopleStore {
+  /**
+   * @param {string} phoneNumber - Owner's phone number
+   * @returns {Promise<Array|null>} People, or null if the owner is unknown
+   */
+  async list(phoneNumber) {
+    const user = await User.findOne({ phoneNumber }).select('people').lean();
+    return user ? user.people || [] : null;
+  }
+
+  /**
+   * Add a person unless the book already holds `limit` people
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {Object} person - Person fields
+   * @param {number} limit - Largest size of a book
+   * @returns {Promise<Object|null>} Saved person, or null if the book is
+   *   full or the owner unknown
+   */
+  async add(phoneNumber, person, limit) {
+    const user = await User.findOneAndUpdate(
+      { phoneNumber, [`people.${limit - 1}`]: { $exists: false } },
+      { $push: { people: person } },
+      { new: true, runValidators: true }
+    )
+      .select('people')
+      .lean();
+    return user ? user.people[user.people.length - 1] : null;
+  }
+
+  /**
+   * Change some of a person's fields
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} id - Person ID
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<Object|null>} Updated person, or null if not found
+   */
+  async update(phoneNumber, id, fields) {
+    const set = Object.fromEntries(
+      Object.entries(fields).map(([field, value]) => [
+        `people.$.${field}`,
+        value
+      ])
+    );
+    const user = await User.findOneAndUpdate(
+      { phoneNumber, 'people._id': id },
+      { $set: set },
+      { new: true, runValidators: true }
+    )
+      .select('people')
+      .lean();
+    return user ?
+      user.people.find(person => String(person._id) === String(id)) :
+      null;
+  }
+
+  /**
+   * @param {string} phoneNumber - Owner's phone number
+   * @param {string} id - Person ID
+   * @returns {Promise<boolean>} True if the person was removed
+   */
+  async remove(phoneNumber, id) {
+    const result = await User.updateOne(
+      { phoneNumber },
+      { $pull: { people: { _id: id } } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = { PeopleStore };
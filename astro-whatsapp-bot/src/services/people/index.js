@@ -0,0 +1,33 @@
+const {
+  PeopleBook,
+  RELATIONSHIPS,
+  MAX_NAME_LENGTH,
+  normalizeRelationship
+} = require('./PeopleBook');
+const { PeopleStore } = require('./PeopleStore');
+
+// Process-wide book, created on first use
+let book = null;
+
+/**
+ * Shared people book, limited by W1_PEOPLE_BOOK_LIMIT people per user
+ * @returns {PeopleBook} People book
+ */
+const getPeopleBook = () => {
+  if (!book) {
+    book = new PeopleBook({
+      store: new PeopleStore(),
+      limit: parseInt(process.env.W1_PEOPLE_BOOK_LIMIT, 10) || 30
+    });
+  }
+  return book;
+};
+
+module.exports = {
+  getPeopleBook,
+  PeopleBook,
+  PeopleStore,
+  RELATIONSHIPS,
+  MAX_NAME_LENGTH,
+  normalizeRelationship
+};
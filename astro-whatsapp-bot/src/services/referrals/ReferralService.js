@@ -0,0 +1,280 @@
+const logger = require('../../utils/logger');
+const { ENTITLEMENTS } = require('../payment/entitlements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far up a referral chain loops are looked for
+const MAX_CHAIN_DEPTH = 20;
+// Codes as generated by User.generateReferralCode
+const CODE_PATTERN = /\bREF[A-Z0-9]{4,12}\b/;
+
+/**
+ * ReferralService - Applies referral codes and rewards both sides
+ * A user can be referred once, within `redeemWindowDays` of joining, by
+ * someone who is neither themselves nor referred (directly or up the
+ * chain) by them. Rewards are loyalty points plus entitlement credits;
+ * the referrer is rewarded for up to `maxRewardedReferrals` friends.
+ */
+class ReferralService {
+  /**
+   * @param {Object} options - Service options
+   * @param {Object} options.store - ReferralStore (or compatible)
+   * @param {Object} options.ledger - EntitlementLedger
+   * @param {Function} options.addLoyaltyPoints - (phoneNumber, points)
+   * @param {Object} options.sender - Message sender with sendTextMessage
+   * @param {Object} options.rewards - { referrer, referred }, each
+   *   { points, credits: { <entitlement>: units } }
+   * @param {number} options.creditValidityDays - Lifetime of reward credits
+   * @param {number} options.redeemWindowDays - Days after joining a code is accepted
+   * @param {number} options.maxRewardedReferrals - Referrer reward cap
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({
+    store,
+    ledger,
+    addLoyaltyPoints,
+    sender,
+    rewards,
+    creditValidityDays = 60,
+    redeemWindowDays = 30,
+    maxRewardedReferrals = 50,
+    now = () => new Date()
+  }) {
+    this.logger = logger;
+    this.store = store;
+    this.ledger = ledger;
+    this.addLoyaltyPoints = addLoyaltyPoints;
+    this.sender = sender;
+    this.rewards = rewards;
+    this.creditValidityDays = creditValidityDays;
+    this.redeemWindowDays = redeemWindowDays;
+    this.maxRewardedReferrals = maxRewardedReferrals;
+    this.now = now;
+  }
+
+  /**
+   * Find a referral code in a message
+   * @param {string} text - Message text
+   * @returns {string|null} Upper-case code
+   */
+  static parseCode(text) {
+    const match = String(text || '')
+      .toUpperCase()
+      .match(CODE_PATTERN);
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Apply a referral code for a user
+   * @param {string} phoneNumber - User entering the code
+   * @param {string} text - Code (or a message containing it)
+   * @returns {Promise<Object>} { applied, reason, referrerName, reward }
+   */
+  async redeem(phoneNumber, text) {
+    const code = ReferralService.parseCode(text);
+    if (!code) {
+      return { applied: false, reason: 'invalid_code' };
+    }
+    const user = await this.store.findByPhone(phoneNumber);
+    if (!user) {
+      return { applied: false, reason: 'user_not_found' };
+    }
+    if (user.referralCode === code) {
+      return { applied: false, reason: 'self_referral' };
+    }
+    if (user.referredBy) {
+      return { applied: false, reason: 'already_referred' };
+    }
+    const now = this.now();
+    if (
+      user.createdAt &&
+      now - new Date(user.createdAt) > this.redeemWindowDays * DAY_MS
+    ) {
+      return { applied: false, reason: 'window_closed' };
+    }
+
+    const referrer = await this.store.findByCode(code);
+    if (!referrer) {
+      return { applied: false, reason: 'invalid_code' };
+    }
+    if (referrer.phoneNumber === phoneNumber) {
+      return { applied: false, reason: 'self_referral' };
+    }
+    if (await this.createsLoop(phoneNumber, referrer)) {
+      return { applied: false, reason: 'referral_loop' };
+    }
+    const claimed = await this.store.claimReferral(
+      phoneNumber,
+      referrer.phoneNumber,
+      now
+    );
+    if (!claimed) {
+      return { applied: false, reason: 'already_referred' };
+    }
+
+    const referredCount = await this.store.addReferredUser(
+      referrer.phoneNumber,
+      phoneNumber
+    );
+    await this.reward(phoneNumber, 'referred', phoneNumber);
+    if (referredCount <= this.maxRewardedReferrals) {
+      await this.reward(referrer.phoneNumber, 'referrer', phoneNumber);
+      await this.notifyReferrer(referrer, user);
+    }
+
+    this.logger.info(
+      `👥 ${phoneNumber} joined with ${referrer.phoneNumber}'s code (${referredCount} referred)`
+    );
+    return {
+      applied: true,
+      referrerName: referrer.name,
+      reward: this.describeReward(this.rewards.referred)
+    };
+  }
+
+  /**
+   * Referral figures for the settings menu
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object|null>} Stats, null for an unknown user
+   */
+  async getStats(phoneNumber) {
+    const user = await this.store.findByPhone(phoneNumber);
+    if (!user) {
+      return null;
+    }
+    const referredCount = (user.referredUsers || []).length;
+    return {
+      referralCode: user.referralCode,
+      referredCount,
+      rewardedCount: Math.min(referredCount, this.maxRewardedReferrals),
+      referredBy: user.referredBy || null,
+      loyaltyPoints: user.loyaltyPoints || 0,
+      canRedeemCode:
+        !user.referredBy &&
+        (!user.createdAt ||
+          this.now() - new Date(user.createdAt) <=
+            this.redeemWindowDays * DAY_MS),
+      referrerReward: this.describeReward(this.rewards.referrer),
+      referredReward: this.describeReward(this.rewards.referred)
+    };
+  }
+
+  /**
+   * Whether the referrer was referred, directly or up the chain, by the
+   * user entering their code
+   * @private
+   * @param {string} phoneNumber - User entering the code
+   * @param {Object} referrer - Owner of the code
+   * @returns {Promise<boolean>} True if accepting would close a loop
+   */
+  async createsLoop(phoneNumber, referrer) {
+    const seen = new Set([referrer.phoneNumber]);
+    let current = referrer;
+    for (let depth = 0; depth < MAX_CHAIN_DEPTH; depth++) {
+      if (!current || !current.referredBy) {
+        return false;
+      }
+      if (current.referredBy === phoneNumber) {
+        return true;
+      }
+      if (seen.has(current.referredBy)) {
+        return false;
+      }
+      seen.add(current.referredBy);
+      current = await this.store.findByPhone(current.referredBy);
+    }
+    return false;
+  }
+
+  /**
+   * Grant one side's reward
+   * @private
+   * @param {string} phoneNumber - User to reward
+   * @param {string} side - 'referrer' or 'referred'
+   * @param {string} referredPhone - The referred user, which keys the grant
+   * @returns {Promise<void>}
+   */
+  async reward(phoneNumber, side, referredPhone) {
+    const { points = 0, credits = {} } = this.rewards[side] || {};
+    const expiresAt = new Date(
+      this.now().getTime() + this.creditValidityDays * DAY_MS
+    );
+    for (const [entitlement, units] of Object.entries(credits)) {
+      await this.ledger.grant(phoneNumber, entitlement, {
+        source: 'referral',
+        sourceRef: `referral:${referredPhone}:${side}:${entitlement}`,
+        units,
+        expiresAt
+      });
+    }
+    if (points > 0) {
+      await this.addLoyaltyPoints(phoneNumber, points);
+    }
+  }
+
+  /**
+   * Tell the referrer a friend joined. The referral stands even if the
+   * message cannot be delivered.
+   * @private
+   * @param {Object} referrer - Referrer
+   * @param {Object} user - Referred user
+   */
+  async notifyReferrer(referrer, user) {
+    try {
+      await this.sender.sendTextMessage(
+        referrer.phoneNumber,
+        `🎉 ${user.name || 'A friend'} joined with your referral code! You earned ${this.describeReward(this.rewards.referrer)}.`
+      );
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ Referral notice not sent to ${referrer.phoneNumber}:`,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * @param {Object} reward - { points, credits }
+   * @returns {string} e.g. "50 loyalty points and 2 Flash Insights"
+   */
+  describeReward(reward) {
+    const { points = 0, credits = {} } = reward || {};
+    const parts = [];
+    if (points > 0) {
+      parts.push(`${points} loyalty points`);
+    }
+    for (const [entitlement, units] of Object.entries(credits)) {
+      const name = ENTITLEMENTS[entitlement].name;
+      parts.push(`${units} ${name}${units === 1 ? '' : 's'}`);
+    }
+    if (parts.length === 0) {
+      return 'our thanks';
+    }
+    return parts.length === 1 ?
+      parts[0] :
+      `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+  }
+
+  /**
+   * Message for the user who entered a code
+   * @param {Object} result - redeem result
+   * @returns {string} Message text
+   */
+  describeRedemption(result) {
+    if (result.applied) {
+      return `🎁 Referral code applied! Thanks for joining through ${result.referrerName || 'a friend'}. You received ${result.reward}.`;
+    }
+    const reasons = {
+      invalid_code:
+        'I couldn\'t find that referral code. Please check it and send it again.',
+      self_referral: 'You can\'t use your own referral code.',
+      already_referred: 'You have already used a referral code.',
+      window_closed: `Referral codes can only be used within ${this.redeemWindowDays} days of joining.`,
+      referral_loop:
+        'That code belongs to someone you referred, so it can\'t be used.',
+      user_not_found: 'Please finish setting up your profile first.'
+    };
+    return `❌ ${reasons[result.reason] || 'That referral code could not be applied.'}`;
+  }
+}
+
+module.exports = { ReferralService };
@@ -0,0 +1,70 @@
+const User = require('../../models/User');
+
+// Fields the referral flow reads
+const USER_FIELDS = [
+  'phoneNumber',
+  'name',
+  'createdAt',
+  'referralCode',
+  'referredBy',
+  'referredAt',
+  'referredUsers',
+  'loyaltyPoints'
+].join(' ');
+
+/**
+ * ReferralStore - MongoDB persistence for referrals
+ * A referral is claimed by setting `referredBy` only while it is still
+ * empty, so a user can be referred once even under concurrent messages.
+ */
+class ReferralStore {
+  /**
+   * @param {string} phoneNumber - User phone number
+   * @returns {Promise<Object|null>} Lean user
+   */
+  async findByPhone(phoneNumber) {
+    return User.findOne({ phoneNumber }).select(USER_FIELDS).lean();
+  }
+
+  /**
+   * @param {string} referralCode - Referral code
+   * @returns {Promise<Object|null>} Lean user owning the code
+   */
+  async findByCode(referralCode) {
+    return User.findOne({ referralCode }).select(USER_FIELDS).lean();
+  }
+
+  /**
+   * Record who referred a user, unless someone already did
+   * @param {string} phoneNumber - Referred user
+   * @param {string} referrerPhone - Referrer
+   * @param {Date} at - Time of the referral
+   * @returns {Promise<boolean>} True if the referral was recorded
+   */
+  async claimReferral(phoneNumber, referrerPhone, at) {
+    const result = await User.updateOne(
+      { phoneNumber, referredBy: null },
+      { $set: { referredBy: referrerPhone, referredAt: at } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Add a referred user to the referrer's list
+   * @param {string} referrerPhone - Referrer
+   * @param {string} phoneNumber - Referred user
+   * @returns {Promise<number>} Number of users the referrer has referred
+   */
+  async addReferredUser(referrerPhone, phoneNumber) {
+    const referrer = await User.findOneAndUpdate(
+      { phoneNumber: referrerPhone },
+      { $addToSet: { referredUsers: phoneNumber } },
+      { new: true }
+    )
+      .select('referredUsers')
+      .lean();
+    return referrer ? referrer.referredUsers.length : 0;
+  }
+}
+
+module.exports = { ReferralStore };
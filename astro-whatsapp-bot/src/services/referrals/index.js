@@ -0,0 +1,91 @@
+const { ReferralService } = require('./ReferralService');
+const { ReferralStore } = require('./ReferralStore');
+const {
+  getEntitlementLedger,
+  isEntitlement
+} = require('../payment/entitlements');
+const logger = require('../../utils/logger');
+
+// Process-wide service, created on first use
+let service = null;
+
+/**
+ * Parse "flash_insight:2,compatibility_snapshot:1" into credits
+ * @param {string} value - Setting value
+ * @param {Object} fallback - Credits when the setting is absent
+ * @returns {Object} { <entitlement>: units }
+ */
+const parseCredits = (value, fallback) => {
+  if (value === undefined) {
+    return fallback;
+  }
+  const credits = {};
+  for (const item of value.split(',')) {
+    const [entitlement, units] = item.split(':').map(part => part.trim());
+    if (!entitlement) {
+      continue;
+    }
+    if (!isEntitlement(entitlement)) {
+      logger.warn(`⚠️ Ignoring unknown referral credit: ${entitlement}`);
+      continue;
+    }
+    credits[entitlement] = parseInt(units, 10) || 1;
+  }
+  return credits;
+};
+
+/**
+ * Read an integer setting, keeping 0
+ * @param {string} value - Setting value
+ * @param {number} fallback - Default
+ * @returns {number} Parsed value
+ */
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Shared referral service configured from W1_REFERRAL_* settings
+ * @returns {ReferralService} Referral service
+ */
+const getReferralService = () => {
+  if (!service) {
+    // Required lazily: userModel and messageSender load the whole app
+    const { addLoyaltyPoints } = require('../../models/userModel');
+    const messageSender = require('../whatsapp/messageSender');
+    const env = process.env;
+
+    service = new ReferralService({
+      store: new ReferralStore(),
+      ledger: getEntitlementLedger(),
+      addLoyaltyPoints,
+      sender: messageSender,
+      rewards: {
+        referrer: {
+          points: parseCount(env.W1_REFERRAL_REFERRER_POINTS, 50),
+          credits: parseCredits(env.W1_REFERRAL_REFERRER_CREDITS, {
+            flash_insight: 2
+          })
+        },
+        referred: {
+          points: parseCount(env.W1_REFERRAL_REFERRED_POINTS, 25),
+          credits: parseCredits(env.W1_REFERRAL_REFERRED_CREDITS, {
+            compatibility_snapshot: 1
+          })
+        }
+      },
+      creditValidityDays: parseCount(env.W1_REFERRAL_CREDIT_DAYS, 60),
+      redeemWindowDays: parseCount(env.W1_REFERRAL_WINDOW_DAYS, 30),
+      maxRewardedReferrals: parseCount(env.W1_REFERRAL_MAX_REWARDED, 50)
+    });
+  }
+  return service;
+};
+
+module.exports = {
+  getReferralService,
+  ReferralService,
+  ReferralStore,
+  parseCredits
+};
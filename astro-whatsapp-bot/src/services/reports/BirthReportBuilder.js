@@ -0,0 +1,293 @@
+const logger = require('../../utils/logger');
+const {
+  resolveChartSettings
+} = require('../astrology/core/ChartSettings');
+
+// Report sections in page order; the kundli itself is collected first
+const SECTION_ORDER = [
+  'overview',
+  'varga',
+  'dasha',
+  'shadbala',
+  'yogas',
+  'remedies'
+];
+
+const PLANET_ORDER = [
+  'sun',
+  'moon',
+  'mars',
+  'mercury',
+  'jupiter',
+  'venus',
+  'saturn',
+  'rahu',
+  'ketu'
+];
+
+const capitalize = value =>
+  (value ? `${value.charAt(0).toUpperCase()}${value.slice(1)}` : '');
+
+// `rajYoga` -> `Raj Yoga`
+const humanize = key =>
+  capitalize(String(key).replace(/([a-z])([A-Z])/g, '$1 $2'));
+
+/**
+ * BirthReportBuilder - Collects the data for a birth report from the core
+ * astrology services. Only the kundli is required; every other section is
+ * collected independently so one failing service leaves a gap in the report
+ * instead of losing it. Sections run one at a time because the Swiss
+ * Ephemeris sidereal mode is process-wide.
+ */
+class BirthReportBuilder {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.chartGenerator - ChartGenerator instance
+   * @param {Object} deps.services - { basicBirthChart, vargaCharts,
+   *   vimshottariDasha, shadbala, vedicYogas, remediesDosha }
+   */
+  constructor({ chartGenerator, services }) {
+    this.chartGenerator = chartGenerator;
+    this.services = services;
+    this.logger = logger;
+  }
+
+  /**
+   * Collect every report section
+   * @param {Object} birthData - { birthDate: DD/MM/YYYY, birthTime: HH:MM,
+   *   birthPlace, name, birthLatitude, birthLongitude, birthTimezone, preferences }
+   * @returns {Promise<Object>} { birthData, settings, kundli, planetRows,
+   *   sections, missing }
+   */
+  async build(birthData) {
+    const kundli = await this.chartGenerator.generateVedicKundli(birthData);
+    if (!kundli || kundli.error || !kundli.planetaryPositions) {
+      throw new Error(
+        `Kundli unavailable: ${(kundli && kundli.error) || 'no planetary positions'}`
+      );
+    }
+
+    const report = {
+      birthData,
+      settings: resolveChartSettings(birthData),
+      kundli,
+      planetRows: this._planetRows(kundli),
+      sections: {},
+      missing: []
+    };
+
+    for (const key of SECTION_ORDER) {
+      try {
+        const section = await this[`_collect${capitalize(key)}`](
+          birthData,
+          kundli
+        );
+        if (section) {
+          report.sections[key] = section;
+        } else {
+          report.missing.push(key);
+        }
+      } catch (error) {
+        this.logger.warn(
+          `⚠️ Birth report section ${key} skipped:`,
+          error.message
+        );
+        report.missing.push(key);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Run a ServiceTemplate service without its WhatsApp text formatting
+   * @param {Object} service - Service instance
+   * @param {Object} input - Service input
+   * @returns {Promise<Object>} Raw calculation result
+   * @private
+   */
+  async _calculate(service, input) {
+    if (!service) {
+      return null;
+    }
+    if (!service.calculator && service.initialize) {
+      await service.initialize();
+    }
+    return service.processCalculation(service.validate(input) || input);
+  }
+
+  /**
+   * Planet table rows from the kundli
+   * @param {Object} kundli - ChartGenerator.generateVedicKundli result
+   * @returns {Array<Object>} { planet, sign, degree, house, retrograde }
+   * @private
+   */
+  _planetRows(kundli) {
+    const positions = kundli.planetaryPositions || {};
+    return PLANET_ORDER.filter(key => positions[key]).map(key => ({
+      planet: positions[key].name || capitalize(key),
+      sign: positions[key].sign,
+      degree: positions[key].longitude % 30,
+      house: positions[key].house,
+      retrograde: !!positions[key].retrograde
+    }));
+  }
+
+  /** @private */
+  async _collectOverview(birthData) {
+    const result = await this._calculate(
+      this.services.basicBirthChart,
+      birthData
+    );
+    if (!result || !result.chart) {
+      return null;
+    }
+
+    return {
+      ascendant: result.chart.ascendant,
+      interpretation: result.interpretation || {},
+      keyIndicators: result.keyIndicators || {},
+      coreTraits: result.personalityProfile?.coreTraits || [],
+      summary: result.summary || ''
+    };
+  }
+
+  /** @private */
+  async _collectVarga(birthData) {
+    const result = await this._calculate(this.services.vargaCharts, birthData);
+    const navamsa = result?.vargaCharts?.NAVAMSA;
+    if (!navamsa) {
+      return null;
+    }
+
+    const strengths = result.analysis?.strengthAnalysis || {};
+    return {
+      navamsa,
+      insights: result.analysis?.keyInsights || [],
+      strengths: Object.entries(strengths).map(([planet, entry]) => ({
+        planet,
+        score: entry.score,
+        favorable: entry.favorableVargas || [],
+        challenging: entry.challengingVargas || []
+      }))
+    };
+  }
+
+  /** @private */
+  async _collectDasha(birthData) {
+    const result = await this._calculate(
+      this.services.vimshottariDasha,
+      birthData
+    );
+    if (!result || result.error || !result.currentDasha) {
+      return null;
+    }
+
+    const toPeriod = period => ({
+      lord: period.name || period.lord || period.planet,
+      start: period.startDate || period.start || period.startYear || null,
+      end: period.endDate || period.end || period.endYear || null
+    });
+    return {
+      current: toPeriod(result.currentDasha),
+      currentAntara: result.currentAntara ?
+        toPeriod(result.currentAntara) :
+        null,
+      upcoming: (result.upcomingDashas || []).map(toPeriod),
+      summary: typeof result.summary === 'string' ? result.summary : ''
+    };
+  }
+
+  /** @private */
+  async _collectShadbala(birthData) {
+    const result = await this._calculate(this.services.shadbala, {
+      birthData
+    });
+    const results = result?.shadbalaResults;
+    if (!results) {
+      return null;
+    }
+
+    return {
+      rows: PLANET_ORDER.filter(key => results[key]).map(key => ({
+        planet: capitalize(key),
+        total: results[key].totalBala,
+        // totalRP is rounded to whole rupas; the table shows fractions
+        rupas: results[key].totalBala / 60,
+        strength: results[key].strength
+      }))
+    };
+  }
+
+  /** @private */
+  async _collectYogas(birthData) {
+    const result = await this._calculate(this.services.vedicYogas, {
+      birthData
+    });
+    if (!result || !result.yogas) {
+      return null;
+    }
+
+    // Panch Mahapurusha yogas are nested one level deeper
+    const { panchMahapurushaYogas = {}, ...others } = result.yogas;
+    const present = Object.entries({ ...others, ...panchMahapurushaYogas })
+      .filter(([, yoga]) => yoga && yoga.present)
+      .map(([key, yoga]) => ({
+        name: humanize(key),
+        description: yoga.significance || yoga.description || '',
+        strength: yoga.strength || 0
+      }));
+
+    return {
+      present,
+      guidance: result.interpretation?.guidance || ''
+    };
+  }
+
+  /** @private */
+  async _collectRemedies(birthData, kundli) {
+    // Dosha checks read planet positions from the birth data itself
+    const planets = {};
+    Object.entries(kundli.planetaryPositions).forEach(([key, position]) => {
+      planets[key] = { ...position, isRetrograde: !!position.retrograde };
+    });
+
+    const result = await this._calculate(this.services.remediesDosha, {
+      birthData: { ...birthData, ...planets }
+    });
+    if (!result || !result.doshaAnalysis) {
+      return null;
+    }
+
+    const doshas = Object.entries(result.doshaAnalysis)
+      .filter(([, dosha]) => dosha && typeof dosha === 'object' && 'isPresent' in dosha)
+      .map(([key, dosha]) => ({
+        name: humanize(key),
+        present: dosha.isPresent,
+        severity: dosha.severity || (dosha.isPresent ? 'Medium' : 'None'),
+        remedies: (dosha.remedies || []).map(remedy =>
+          (remedy.frequency ? `${remedy.item} (${remedy.frequency})` : remedy.item)
+        )
+      }));
+
+    const afflictions = result.planetaryAfflictions || {};
+    const afflicted = [
+      ...(afflictions.weakPlanets || []),
+      ...(afflictions.afflictedPlanets || []),
+      ...(afflictions.combustPlanets || [])
+    ].map(entry => ({
+      planet: entry.planet,
+      reasons: entry.reasons || [],
+      remedies: entry.remedies || []
+    }));
+
+    return {
+      doshas,
+      afflicted,
+      overallSeverity: result.doshaAnalysis.overallSeverity || 'Low',
+      guidance: result.generalGuidance?.overall || ''
+    };
+  }
+}
+
+module.exports = { BirthReportBuilder, SECTION_ORDER };
@@ -0,0 +1,719 @@
+const PDFDocument = require('pdfkit');
+const logger = require('../../utils/logger');
+const { ChartRenderer } = require('../astrology/charts/ChartRenderer');
+
+// English page labels; translations live under messages.birth_report
+const DEFAULT_LABELS = {
+  title: 'Birth Report',
+  prepared_for: 'Prepared for {name}',
+  generated_on: 'Generated on {date}',
+  birth_details: 'Birth Details',
+  date: 'Date',
+  time: 'Time',
+  place: 'Place',
+  coordinates: 'Coordinates',
+  ayanamsa: 'Ayanamsa',
+  house_system: 'House system',
+  rasi_chart: 'Rasi Chart (D-1)',
+  planetary_positions: 'Planetary Positions',
+  planet: 'Planet',
+  sign: 'Sign',
+  degree: 'Degree',
+  house: 'House',
+  retrograde: 'Retrograde',
+  overview: 'Chart Overview',
+  ascendant: 'Ascendant',
+  key_traits: 'Key traits',
+  strengths: 'Strengths',
+  challenges: 'Challenges',
+  navamsa_chart: 'Navamsa Chart (D-9)',
+  varga_strength: 'Divisional Chart Strength',
+  score: 'Score',
+  favorable: 'Favorable in',
+  challenging: 'Challenging in',
+  key_insights: 'Key insights',
+  dasha: 'Vimshottari Dasha',
+  period: 'Period',
+  lord: 'Lord',
+  from: 'From',
+  to: 'To',
+  current_period: 'Current mahadasha',
+  sub_period: 'Current antardasha',
+  upcoming_period: 'Upcoming',
+  shadbala: 'Planetary Strength (Shadbala)',
+  total_bala: 'Total bala',
+  rupas: 'Rupas',
+  strength: 'Strength',
+  yogas: 'Yogas',
+  no_yogas: 'No major yogas are formed in this chart.',
+  remedies_title: 'Doshas and Remedies',
+  dosha: 'Dosha',
+  present: 'Present',
+  severity: 'Severity',
+  remedies: 'Remedies',
+  yes: 'Yes',
+  no: 'No',
+  afflicted_planets: 'Planets needing support',
+  disclaimer:
+    'This report is generated from Vedic astrological calculations for guidance and reflection. Remedies should be performed under the guidance of a qualified practitioner.',
+  page: 'Page {page} of {pages}'
+};
+
+const COLORS = {
+  text: '#1f1a33',
+  muted: '#6b6580',
+  accent: '#5b3fa0',
+  rule: '#d9d3ec',
+  headerFill: '#ece7f8',
+  zebra: '#f8f6fc'
+};
+
+const STANDARD_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Beyond Latin-1, the standard fonts' WinAnsi encoding also has these
+const WINANSI_EXTRAS = new Set('•–—‘’“”…€™');
+
+/**
+ * BirthReportRenderer - Lays collected report data out as an A4 PDF
+ * The built-in PDF fonts only cover Latin-1, so labels in other scripts
+ * need W1_REPORT_FONT / W1_REPORT_FONT_BOLD pointing at a TTF that has
+ * the glyphs (see canRender).
+ */
+class BirthReportRenderer {
+  /**
+   * @param {Object} options - Renderer options
+   * @param {Object} options.fonts - { regular, bold } TTF/OTF paths (optional)
+   * @param {Object} options.chartRenderer - ChartRenderer instance
+   */
+  constructor(options = {}) {
+    this.fonts = options.fonts && options.fonts.regular ? options.fonts : null;
+    this.chartRenderer = options.chartRenderer || new ChartRenderer();
+    this.logger = logger;
+  }
+
+  /**
+   * Whether the configured fonts can draw the given text
+   * @param {string} text - Text to check
+   * @returns {boolean} True if every character is drawable
+   */
+  canRender(text) {
+    if (this.fonts) {
+      return true;
+    }
+    return [...String(text || '')].every(
+      char => char === '\u200F' || this._isStandardGlyph(char)
+    );
+  }
+
+  /**
+   * Render a report to PDF
+   * @param {Object} report - BirthReportBuilder.build result
+   * @param {Object} options - { labels (overrides DEFAULT_LABELS), locale,
+   *   chartStyle, generatedAt }
+   * @returns {Promise<Object>} { buffer, pageCount }
+   */
+  async render(report, options = {}) {
+    const labels = options.labels || {};
+    const doc = new PDFDocument({
+      size: 'A4',
+      margins: { top: 56, bottom: 56, left: 50, right: 50 },
+      bufferPages: true,
+      info: {
+        Title: `${this._label(labels, 'title')} - ${report.birthData.name || ''}`,
+        Author: 'Astro WhatsApp Bot'
+      }
+    });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this._registerFonts(doc);
+    const context = {
+      doc,
+      labels,
+      report,
+      locale: options.locale || 'en',
+      chartStyle: options.chartStyle || 'north_indian',
+      generatedAt: options.generatedAt || new Date()
+    };
+
+    this._drawCover(context);
+    this._drawPositions(context);
+    const { sections } = report;
+    if (sections.overview) {
+      this._drawOverview(context, sections.overview);
+    }
+    if (sections.varga) {
+      this._drawVarga(context, sections.varga);
+    }
+    if (sections.dasha) {
+      this._drawDasha(context, sections.dasha);
+    }
+    if (sections.shadbala) {
+      this._drawShadbala(context, sections.shadbala);
+    }
+    if (sections.yogas) {
+      this._drawYogas(context, sections.yogas);
+    }
+    if (sections.remedies) {
+      this._drawRemedies(context, sections.remedies);
+    }
+    this._paragraph(context, this._label(labels, 'disclaimer'), {
+      color: COLORS.muted,
+      size: 8
+    });
+
+    const pageCount = this._drawFooters(context);
+    doc.end();
+    return { buffer: await finished, pageCount };
+  }
+
+  /** @private */
+  _registerFonts(doc) {
+    if (this.fonts) {
+      doc.registerFont('Body', this.fonts.regular);
+      doc.registerFont('Body-Bold', this.fonts.bold || this.fonts.regular);
+      this.fontNames = { regular: 'Body', bold: 'Body-Bold' };
+    } else {
+      this.fontNames = STANDARD_FONTS;
+    }
+  }
+
+  /** @private */
+  _drawCover(context) {
+    const { doc, labels, report } = context;
+    const { birthData, settings } = report;
+
+    doc
+      .font(this.fontNames.bold)
+      .fontSize(24)
+      .fillColor(COLORS.accent)
+      .text(this._label(labels, 'title'), { align: 'center' });
+    doc
+      .moveDown(0.3)
+      .font(this.fontNames.regular)
+      .fontSize(12)
+      .fillColor(COLORS.text)
+      .text(
+        this._format(this._label(labels, 'prepared_for'), {
+          name: this._clean(birthData.name || '')
+        }),
+        { align: 'center' }
+      )
+      .fillColor(COLORS.muted)
+      .fontSize(9)
+      .text(
+        this._format(this._label(labels, 'generated_on'), {
+          date: this._formatDate(context.generatedAt, context.locale)
+        }),
+        { align: 'center' }
+      );
+
+    this._heading(context, this._label(labels, 'birth_details'));
+    const coordinates =
+      birthData.birthLatitude != null && birthData.birthLongitude != null ?
+        `${Number(birthData.birthLatitude).toFixed(4)}, ${Number(birthData.birthLongitude).toFixed(4)}` :
+        '-';
+    this._table(
+      context,
+      [{ width: 0.35 }, { width: 0.65 }],
+      [
+        [this._label(labels, 'date'), birthData.birthDate],
+        [this._label(labels, 'time'), birthData.birthTime],
+        [this._label(labels, 'place'), birthData.birthPlace || '-'],
+        [this._label(labels, 'coordinates'), coordinates],
+        [this._label(labels, 'ayanamsa'), settings.ayanamsaName],
+        [this._label(labels, 'house_system'), settings.houseSystemName]
+      ]
+    );
+
+    this._chartImage(context, report.kundli, {
+      title: this._label(labels, 'rasi_chart'),
+      style: context.chartStyle,
+      label: 'Rasi'
+    });
+  }
+
+  /** @private */
+  _drawPositions(context) {
+    const { labels, report } = context;
+    this._heading(context, this._label(labels, 'planetary_positions'), {
+      newPage: true
+    });
+    this._table(
+      context,
+      [
+        { header: this._label(labels, 'planet'), width: 0.26 },
+        { header: this._label(labels, 'sign'), width: 0.26 },
+        { header: this._label(labels, 'degree'), width: 0.16 },
+        { header: this._label(labels, 'house'), width: 0.14 },
+        { header: this._label(labels, 'retrograde'), width: 0.18 }
+      ],
+      report.planetRows.map(row => [
+        row.planet,
+        row.sign,
+        this._formatDegree(row.degree),
+        String(row.house ?? '-'),
+        row.retrograde ?
+          this._label(labels, 'yes') :
+          this._label(labels, 'no')
+      ])
+    );
+  }
+
+  /** @private */
+  _drawOverview(context, overview) {
+    const { labels } = context;
+    this._heading(context, this._label(labels, 'overview'));
+    if (overview.ascendant) {
+      this._paragraph(
+        context,
+        `${this._label(labels, 'ascendant')}: ${overview.ascendant.sign} ${this._formatDegree(overview.ascendant.degree)}`,
+        { bold: true }
+      );
+    }
+    const { interpretation, keyIndicators } = overview;
+    [
+      interpretation.ascendant,
+      interpretation.sunSign,
+      interpretation.moonSign,
+      interpretation.chartBalance
+    ]
+      .filter(Boolean)
+      .forEach(text => this._paragraph(context, text));
+
+    this._list(context, this._label(labels, 'key_traits'), overview.coreTraits);
+    this._list(
+      context,
+      this._label(labels, 'strengths'),
+      keyIndicators.strengths
+    );
+    this._list(
+      context,
+      this._label(labels, 'challenges'),
+      keyIndicators.challenges
+    );
+  }
+
+  /** @private */
+  _drawVarga(context, varga) {
+    const { labels } = context;
+    this._chartImage(context, varga.navamsa, {
+      title: this._label(labels, 'navamsa_chart'),
+      style: context.chartStyle,
+      label: 'Navamsa',
+      newPage: true
+    });
+    this._list(context, this._label(labels, 'key_insights'), varga.insights);
+    if (varga.strengths.length > 0) {
+      this._heading(context, this._label(labels, 'varga_strength'));
+      this._table(
+        context,
+        [
+          { header: this._label(labels, 'planet'), width: 0.18 },
+          { header: this._label(labels, 'score'), width: 0.12 },
+          { header: this._label(labels, 'favorable'), width: 0.35 },
+          { header: this._label(labels, 'challenging'), width: 0.35 }
+        ],
+        varga.strengths.map(row => [
+          row.planet,
+          this._formatNumber(row.score, 1),
+          row.favorable.join(', ') || '-',
+          row.challenging.join(', ') || '-'
+        ])
+      );
+    }
+  }
+
+  /** @private */
+  _drawDasha(context, dasha) {
+    const { labels } = context;
+    const rows = [
+      [this._label(labels, 'current_period'), dasha.current],
+      dasha.currentAntara && [
+        this._label(labels, 'sub_period'),
+        dasha.currentAntara
+      ],
+      ...dasha.upcoming.map(period => [
+        this._label(labels, 'upcoming_period'),
+        period
+      ])
+    ].filter(Boolean);
+
+    this._heading(context, this._label(labels, 'dasha'));
+    this._table(
+      context,
+      [
+        { header: this._label(labels, 'period'), width: 0.31 },
+        { header: this._label(labels, 'lord'), width: 0.23 },
+        { header: this._label(labels, 'from'), width: 0.23 },
+        { header: this._label(labels, 'to'), width: 0.23 }
+      ],
+      rows.map(([name, period]) => [
+        name,
+        period.lord || '-',
+        this._formatPeriodDate(period.start, context.locale),
+        this._formatPeriodDate(period.end, context.locale)
+      ])
+    );
+    if (dasha.summary) {
+      this._paragraph(context, dasha.summary);
+    }
+  }
+
+  /** @private */
+  _drawShadbala(context, shadbala) {
+    const { labels } = context;
+    this._heading(context, this._label(labels, 'shadbala'));
+    this._table(
+      context,
+      [
+        { header: this._label(labels, 'planet'), width: 0.28 },
+        { header: this._label(labels, 'total_bala'), width: 0.24 },
+        { header: this._label(labels, 'rupas'), width: 0.18 },
+        { header: this._label(labels, 'strength'), width: 0.3 }
+      ],
+      shadbala.rows.map(row => [
+        row.planet,
+        this._formatNumber(row.total, 1),
+        this._formatNumber(row.rupas, 2),
+        row.strength || '-'
+      ])
+    );
+  }
+
+  /** @private */
+  _drawYogas(context, yogas) {
+    const { labels } = context;
+    this._heading(context, this._label(labels, 'yogas'));
+    if (yogas.present.length === 0) {
+      this._paragraph(context, this._label(labels, 'no_yogas'));
+    }
+    yogas.present.forEach(yoga => {
+      this._paragraph(context, yoga.name, { bold: true, gap: 0.1 });
+      if (yoga.description) {
+        this._paragraph(context, yoga.description);
+      }
+    });
+    if (yogas.guidance) {
+      this._paragraph(context, yogas.guidance, { color: COLORS.muted });
+    }
+  }
+
+  /** @private */
+  _drawRemedies(context, remedies) {
+    const { labels } = context;
+    this._heading(context, this._label(labels, 'remedies_title'));
+    if (remedies.doshas.length > 0) {
+      this._table(
+        context,
+        [
+          { header: this._label(labels, 'dosha'), width: 0.24 },
+          { header: this._label(labels, 'present'), width: 0.12 },
+          { header: this._label(labels, 'severity'), width: 0.14 },
+          { header: this._label(labels, 'remedies'), width: 0.5 }
+        ],
+        remedies.doshas.map(dosha => [
+          dosha.name,
+          dosha.present ?
+            this._label(labels, 'yes') :
+            this._label(labels, 'no'),
+          dosha.severity,
+          dosha.remedies.join('\n') || '-'
+        ])
+      );
+    }
+    if (remedies.afflicted.length > 0) {
+      this._heading(context, this._label(labels, 'afflicted_planets'), {
+        size: 12
+      });
+      this._table(
+        context,
+        [
+          { header: this._label(labels, 'planet'), width: 0.2 },
+          { header: this._label(labels, 'challenges'), width: 0.3 },
+          { header: this._label(labels, 'remedies'), width: 0.5 }
+        ],
+        remedies.afflicted.map(entry => [
+          entry.planet,
+          entry.reasons.join(', ') || '-',
+          entry.remedies.join('\n') || '-'
+        ])
+      );
+    }
+    if (remedies.guidance) {
+      this._paragraph(context, remedies.guidance);
+    }
+  }
+
+  /**
+   * Draw a chart image centred on the page, starting a page if needed
+   * @private
+   */
+  _chartImage(context, chart, { title, style, label, newPage = false }) {
+    const { doc, report } = context;
+    const size = 360;
+    let png;
+    try {
+      png = this.chartRenderer.renderPng(chart, {
+        style,
+        label,
+        title: report.birthData.name || '',
+        width: 900
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Report chart ${label} not drawn:`, error.message);
+      return;
+    }
+
+    this._heading(context, title, { newPage, reserve: size + 20 });
+    const x = (doc.page.width - size) / 2;
+    doc.image(png, x, doc.y, { fit: [size, size] });
+    doc.y += size + 10;
+    doc.x = doc.page.margins.left;
+  }
+
+  /**
+   * Section heading with a rule underneath
+   * @private
+   */
+  _heading(context, text, options = {}) {
+    const { doc } = context;
+    const reserve = options.reserve || 80;
+    if (options.newPage || doc.y + reserve > this._bottom(doc)) {
+      doc.addPage();
+    } else {
+      doc.moveDown(0.8);
+    }
+
+    doc
+      .font(this.fontNames.bold)
+      .fontSize(options.size || 15)
+      .fillColor(COLORS.accent)
+      .text(this._clean(text), doc.page.margins.left);
+    const y = doc.y + 2;
+    doc
+      .moveTo(doc.page.margins.left, y)
+      .lineTo(doc.page.width - doc.page.margins.right, y)
+      .lineWidth(0.7)
+      .strokeColor(COLORS.rule)
+      .stroke();
+    doc.y = y + 8;
+  }
+
+  /** @private */
+  _paragraph(context, text, options = {}) {
+    const { doc } = context;
+    doc
+      .font(options.bold ? this.fontNames.bold : this.fontNames.regular)
+      .fontSize(options.size || 10)
+      .fillColor(options.color || COLORS.text)
+      .text(this._clean(text), doc.page.margins.left, doc.y, {
+        width: this._contentWidth(doc),
+        lineGap: 2
+      });
+    doc.moveDown(options.gap ?? 0.4);
+  }
+
+  /** @private */
+  _list(context, title, items) {
+    if (!items || items.length === 0) {
+      return;
+    }
+    this._paragraph(context, title, { bold: true, gap: 0.1 });
+    items.forEach(item => this._paragraph(context, `•  ${item}`, { gap: 0.1 }));
+    context.doc.moveDown(0.3);
+  }
+
+  /**
+   * Draw a table; column widths are fractions of the content width.
+   * Rows that do not fit start a new page and repeat the header.
+   * @private
+   */
+  _table(context, columns, rows) {
+    const { doc } = context;
+    const left = doc.page.margins.left;
+    const widths = columns.map(column => column.width * this._contentWidth(doc));
+    const padding = 5;
+    const hasHeader = columns.some(column => column.header);
+
+    const rowHeight = (cells, font) => {
+      doc.font(font).fontSize(9);
+      return (
+        Math.max(
+          ...cells.map((cell, i) =>
+            doc.heightOfString(this._clean(cell), {
+              width: widths[i] - padding * 2
+            })
+          )
+        ) +
+        padding * 2
+      );
+    };
+
+    const drawRow = (cells, { header = false, shade = false } = {}) => {
+      const font = header ? this.fontNames.bold : this.fontNames.regular;
+      const height = rowHeight(cells, font);
+      if (doc.y + height > this._bottom(doc)) {
+        doc.addPage();
+        if (!header && hasHeader) {
+          drawRow(
+            columns.map(column => column.header),
+            { header: true }
+          );
+        }
+      }
+
+      const top = doc.y;
+      const fill = header ? COLORS.headerFill : shade ? COLORS.zebra : null;
+      if (fill) {
+        doc
+          .rect(left, top, widths.reduce((a, b) => a + b, 0), height)
+          .fill(fill);
+      }
+      let x = left;
+      cells.forEach((cell, i) => {
+        doc
+          .font(font)
+          .fontSize(9)
+          .fillColor(header ? COLORS.accent : COLORS.text)
+          .text(this._clean(cell), x + padding, top + padding, {
+            width: widths[i] - padding * 2
+          });
+        x += widths[i];
+      });
+      doc.y = top + height;
+    };
+
+    if (hasHeader) {
+      drawRow(
+        columns.map(column => column.header),
+        { header: true }
+      );
+    }
+    rows.forEach((cells, index) => drawRow(cells, { shade: index % 2 === 1 }));
+    doc.x = left;
+    doc.moveDown(0.6);
+  }
+
+  /**
+   * Write "Page n of m" on every buffered page
+   * @returns {number} Page count
+   * @private
+   */
+  _drawFooters(context) {
+    const { doc, labels } = context;
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise add a page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+      doc
+        .font(this.fontNames.regular)
+        .fontSize(8)
+        .fillColor(COLORS.muted)
+        .text(
+          this._clean(
+            this._format(this._label(labels, 'page'), {
+              page: i + 1,
+              pages: count
+            })
+          ),
+          doc.page.margins.left,
+          doc.page.height - 36,
+          { width: this._contentWidth(doc), align: 'center' }
+        );
+      doc.page.margins.bottom = bottom;
+    }
+    return count;
+  }
+
+  /** @private */
+  _bottom(doc) {
+    return doc.page.height - doc.page.margins.bottom;
+  }
+
+  /** @private */
+  _contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  /** @private */
+  _label(labels, key) {
+    return labels[key] || DEFAULT_LABELS[key] || key;
+  }
+
+  /** @private */
+  _format(template, parameters) {
+    return Object.entries(parameters).reduce(
+      (text, [key, value]) => text.split(`{${key}}`).join(String(value)),
+      template
+    );
+  }
+
+  /**
+   * Drop WhatsApp markup and, with the built-in fonts, characters they
+   * cannot draw (emoji, non-Latin scripts)
+   * @private
+   */
+  _clean(text) {
+    const value = String(text ?? '')
+      .replace(/\u200F/g, '')
+      .replace(/[*_]/g, '');
+    return this.fonts ?
+      value :
+      [...value].filter(char => this._isStandardGlyph(char)).join('').trim();
+  }
+
+  /** @private */
+  _isStandardGlyph(char) {
+    return char.codePointAt(0) <= 0xff || WINANSI_EXTRAS.has(char);
+  }
+
+  /** @private */
+  _formatDegree(value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      return '-';
+    }
+    const degrees = Math.floor(value);
+    const minutes = Math.floor((value - degrees) * 60);
+    return `${degrees}° ${String(minutes).padStart(2, '0')}'`;
+  }
+
+  /** @private */
+  _formatNumber(value, digits) {
+    return typeof value === 'number' && !Number.isNaN(value) ?
+      value.toFixed(digits) :
+      '-';
+  }
+
+  /** @private */
+  _formatDate(date, locale) {
+    try {
+      return new Date(date).toLocaleDateString(locale, { dateStyle: 'long' });
+    } catch (error) {
+      return new Date(date).toISOString().substring(0, 10);
+    }
+  }
+
+  /** @private */
+  _formatPeriodDate(value, locale) {
+    if (value === null || value === undefined || value === '') {
+      return '-';
+    }
+    // Some calculators only give a year
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ?
+      String(value) :
+      this._formatDate(date, locale);
+  }
+}
+
+module.exports = { BirthReportRenderer, DEFAULT_LABELS };
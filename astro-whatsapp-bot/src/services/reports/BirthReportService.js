@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { DEFAULT_LABELS } = require('./BirthReportRenderer');
+const {
+  toServiceBirthData
+} = require('../astrology/core/BirthProfile');
+
+// Bump when sections or layout change so stored reports are regenerated
+const REPORT_VERSION = 1;
+
+// WhatsApp keeps uploaded media for 30 days; re-upload a little earlier
+const MEDIA_REUSE_MS = 25 * 24 * 60 * 60 * 1000;
+
+// English chat messages; translations live under messages.birth_report
+const DEFAULT_MESSAGES = {
+  caption: '📄 Your birth report for {name} ({period})',
+  preparing:
+    '📄 Preparing your birth report. It will arrive as a PDF in a moment...',
+  premium_required:
+    '📄 *Birth Report*\n\nYour detailed multi-page PDF birth report with kundli, navamsa, dasha, planetary strengths, yogas and remedies is part of the Premium plan.\n\nUpgrade to Premium to receive it every month.',
+  failed:
+    "Sorry, I couldn't prepare your birth report right now. Please try again later."
+};
+
+/**
+ * BirthReportService - Builds, caches and delivers PDF birth reports
+ * A report is identified by a fingerprint of the birth profile, chart
+ * preferences, language, month and REPORT_VERSION. Re-requests with the
+ * same fingerprint reuse the stored PDF (and its WhatsApp media ID while
+ * it is still valid) instead of recomputing the charts.
+ */
+class BirthReportService {
+  /**
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.builder - BirthReportBuilder
+   * @param {Object} deps.renderer - BirthReportRenderer
+   * @param {Object} deps.store - BirthReportStore
+   * @param {Object} deps.sender - { uploadMedia, sendDocument } (messageSender)
+   * @param {Object} deps.translationService - TranslationService
+   */
+  constructor({ builder, renderer, store, sender, translationService }) {
+    this.builder = builder;
+    this.renderer = renderer;
+    this.store = store;
+    this.sender = sender;
+    this.translationService = translationService;
+    this.logger = logger;
+
+    // Fingerprints being generated, so double taps share one render
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Send the user's birth report, generating it if needed
+   * @param {Object} user - User document
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { version, cached, uploaded, pageCount, missingSections }
+   */
+  async deliver(user, options = {}) {
+    const now = options.now || new Date();
+    const language = await this._resolveLanguage(user.preferredLanguage);
+    const period = this.getPeriod(now, user.timezone);
+    const fingerprint = this.fingerprint(user, language, period);
+
+    let report = await this.store.find(user.phoneNumber, fingerprint);
+    const cached = !!report;
+    if (!report) {
+      report = await this._generateOnce(user, {
+        language,
+        period,
+        fingerprint,
+        now
+      });
+    }
+
+    const { mediaId, uploaded } = await this._mediaFor(
+      user.phoneNumber,
+      report,
+      fingerprint,
+      now
+    );
+    const caption = await this.translate('caption', language, {
+      name: user.name || '',
+      period
+    });
+    await this.sender.sendDocument(
+      user.phoneNumber,
+      mediaId,
+      caption,
+      report.filename
+    );
+    await this.store.recordDelivery(report._id, mediaId, uploaded);
+
+    this.logger.info(
+      `📄 Birth report v${report.version} sent to ${user.phoneNumber} (${cached ? 'cached' : 'new'}${uploaded ? ', uploaded' : ''})`
+    );
+    return {
+      version: report.version,
+      cached,
+      uploaded,
+      pageCount: report.pageCount,
+      missingSections: report.missingSections || []
+    };
+  }
+
+  /**
+   * Cache key for everything a report depends on
+   * @param {Object} user - User document
+   * @param {string} language - Report language
+   * @param {string} period - YYYY-MM
+   * @returns {string} Hex digest
+   */
+  fingerprint(user, language, period) {
+    const preferences = user.preferences || {};
+    const inputs = [
+      REPORT_VERSION,
+      user.name,
+      user.birthDate,
+      user.birthTime,
+      user.birthPlace,
+      user.birthLatitude,
+      user.birthLongitude,
+      user.birthTimezone,
+      preferences.ayanamsa,
+      preferences.houseSystem,
+      preferences.chartStyle,
+      language,
+      period
+    ];
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify(inputs))
+      .digest('hex');
+  }
+
+  /**
+   * Report month in the user's timezone
+   * @param {Date} now - Current time
+   * @param {string} timezone - IANA zone (optional)
+   * @returns {string} YYYY-MM
+   */
+  getPeriod(now, timezone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone || 'UTC',
+        year: 'numeric',
+        month: '2-digit'
+      }).formatToParts(now);
+      const part = type => parts.find(entry => entry.type === type).value;
+      return `${part('year')}-${part('month')}`;
+    } catch (error) {
+      return now.toISOString().substring(0, 7);
+    }
+  }
+
+  /**
+   * Translate a messages.birth_report key, falling back to the English
+   * defaults when the language bundle has no entry
+   * @param {string} key - Key of DEFAULT_MESSAGES or DEFAULT_LABELS
+   * @param {string} language - Language code
+   * @param {Object} parameters - {placeholder} values
+   * @returns {Promise<string>} Text
+   */
+  async translate(key, language, parameters = {}) {
+    const fallback = DEFAULT_MESSAGES[key] || DEFAULT_LABELS[key];
+    const fullKey = `messages.birth_report.${key}`;
+    const text =
+      language === 'en' ?
+        fullKey :
+        await this.translationService.translate(fullKey, language, parameters);
+    return text === fullKey ?
+      this.translationService.interpolateParameters(fallback, parameters) :
+      text;
+  }
+
+  /**
+   * Generate a report, sharing the work between concurrent requests
+   * @private
+   */
+  async _generateOnce(user, context) {
+    const key = `${user.phoneNumber}:${context.fingerprint}`;
+    if (!this.inFlight.has(key)) {
+      this.inFlight.set(
+        key,
+        this._generate(user, context).finally(() => this.inFlight.delete(key))
+      );
+    }
+    return this.inFlight.get(key);
+  }
+
+  /** @private */
+  async _generate(user, { language, period, fingerprint, now }) {
+    const birthData = toServiceBirthData(user);
+    const report = await this.builder.build(birthData);
+    const { buffer, pageCount } = await this.renderer.render(report, {
+      labels: await this._labels(language),
+      locale: language,
+      chartStyle: birthData.preferences?.chartStyle,
+      generatedAt: now
+    });
+
+    return this.store.save(user.phoneNumber, {
+      fingerprint,
+      period,
+      language,
+      pdf: buffer,
+      filename: this._filename(user.name, period),
+      pageCount,
+      sections: Object.keys(report.sections),
+      missingSections: report.missing
+    });
+  }
+
+  /**
+   * Reuse the stored media ID while WhatsApp still holds the file
+   * @private
+   */
+  async _mediaFor(phoneNumber, report, fingerprint, now) {
+    const uploadedAt = report.mediaUploadedAt ?
+      new Date(report.mediaUploadedAt).getTime() :
+      0;
+    if (report.mediaId && now.getTime() - uploadedAt < MEDIA_REUSE_MS) {
+      return { mediaId: report.mediaId, uploaded: false };
+    }
+
+    const pdf =
+      report.pdf ||
+      (await this.store.find(phoneNumber, fingerprint, { withPdf: true })).pdf;
+    // Lean reads return BSON Binary rather than Buffer
+    const mediaId = await this.sender.uploadMedia(
+      Buffer.isBuffer(pdf) ? pdf : Buffer.from(pdf.buffer),
+      'application/pdf',
+      report.filename
+    );
+    return { mediaId, uploaded: true };
+  }
+
+  /**
+   * Use the user's language when it has report translations and the
+   * report fonts can draw them
+   * @private
+   */
+  async _resolveLanguage(preferredLanguage) {
+    const language = this.translationService.normalizeLanguageCode(
+      preferredLanguage || 'en'
+    );
+    if (
+      language === 'en' ||
+      !(await this.translationService.hasTranslation(
+        'messages.birth_report.title',
+        language
+      ))
+    ) {
+      return 'en';
+    }
+    if (this.renderer.canRender(await this.translate('title', language))) {
+      return language;
+    }
+    this.logger.warn(
+      `⚠️ No report font for ${language}, sending the birth report in English`
+    );
+    return 'en';
+  }
+
+  /** @private */
+  async _labels(language) {
+    const labels = {};
+    for (const key of Object.keys(DEFAULT_LABELS)) {
+      labels[key] = await this.translate(key, language);
+    }
+    return labels;
+  }
+
+  /** @private */
+  _filename(name, period) {
+    const slug = String(name || '')
+      .normalize('NFKD')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `Birth-Report${slug ? `-${slug}` : ''}-${period}.pdf`;
+  }
+}
+
+module.exports = { BirthReportService, REPORT_VERSION, DEFAULT_MESSAGES };
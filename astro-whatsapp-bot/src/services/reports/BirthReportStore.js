@@ -0,0 +1,89 @@
+const BirthReport = require('../../models/BirthReport');
+
+// Without the PDF bytes, for lookups that may not need them
+const SUMMARY_FIELDS = '-pdf';
+
+/**
+ * BirthReportStore - MongoDB persistence for generated birth reports
+ * Keeps the latest `keepVersions` reports per user; older versions are
+ * pruned when a new one is saved.
+ */
+class BirthReportStore {
+  /**
+   * @param {Object} options - { keepVersions }
+   */
+  constructor(options = {}) {
+    this.keepVersions = options.keepVersions || 3;
+  }
+
+  /**
+   * Find a stored report for the given fingerprint
+   * @param {string} phoneNumber - User phone number
+   * @param {string} fingerprint - BirthReportService fingerprint
+   * @param {Object} options - { withPdf }
+   * @returns {Promise<Object|null>} Lean report document
+   */
+  async find(phoneNumber, fingerprint, { withPdf = false } = {}) {
+    const query = BirthReport.findOne({ phoneNumber, fingerprint });
+    if (!withPdf) {
+      query.select(SUMMARY_FIELDS);
+    }
+    return query.lean();
+  }
+
+  /**
+   * Store a newly rendered report as the user's next version
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} report - { fingerprint, period, language, pdf, filename,
+   *   pageCount, sections, missingSections }
+   * @returns {Promise<Object>} Saved report (lean, with version)
+   */
+  async save(phoneNumber, report) {
+    const latest = await BirthReport.findOne({ phoneNumber })
+      .sort({ version: -1 })
+      .select('version')
+      .lean();
+    const version = (latest ? latest.version : 0) + 1;
+
+    let saved;
+    try {
+      saved = await BirthReport.create({ ...report, phoneNumber, version });
+    } catch (error) {
+      // A concurrent request rendered the same report first
+      if (error.code === 11000) {
+        return this.find(phoneNumber, report.fingerprint);
+      }
+      throw error;
+    }
+
+    await BirthReport.deleteMany({
+      phoneNumber,
+      version: { $lte: version - this.keepVersions }
+    });
+    return saved.toObject();
+  }
+
+  /**
+   * Record a delivery and the WhatsApp media ID it used
+   * @param {string} id - Report document ID
+   * @param {string} mediaId - Media ID sent
+   * @param {boolean} uploaded - Whether the media was uploaded for this send
+   * @returns {Promise<void>}
+   */
+  async recordDelivery(id, mediaId, uploaded) {
+    const now = new Date();
+    await BirthReport.updateOne(
+      { _id: id },
+      {
+        $set: {
+          mediaId,
+          lastDeliveredAt: now,
+          ...(uploaded && { mediaUploadedAt: now })
+        },
+        $inc: { deliveries: 1 }
+      }
+    );
+  }
+}
+
+module.exports = { BirthReportStore };
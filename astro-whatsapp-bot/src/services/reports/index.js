@@ -0,0 +1,70 @@
+const { BirthReportBuilder, SECTION_ORDER } = require('./BirthReportBuilder');
+const {
+  BirthReportRenderer,
+  DEFAULT_LABELS
+} = require('./BirthReportRenderer');
+const { BirthReportStore } = require('./BirthReportStore');
+const { BirthReportService, REPORT_VERSION } = require('./BirthReportService');
+
+// Process-wide service, created on first use
+let birthReportService = null;
+
+/**
+ * Shared BirthReportService wired to the core astrology services
+ * Fonts for non-Latin reports come from W1_REPORT_FONT / W1_REPORT_FONT_BOLD.
+ * @returns {BirthReportService} Service instance
+ */
+const getBirthReportService = () => {
+  if (birthReportService) {
+    return birthReportService;
+  }
+
+  const {
+    ChartGenerator
+  } = require('../../core/services/calculators/ChartGenerator');
+  const BasicBirthChartService = require('../../core/services/basicBirthChartService');
+  const VargaChartsService = require('../../core/services/vargaChartsService');
+  const VimshottariDashaService = require('../../core/services/vimshottariDashaService');
+  const ShadbalaService = require('../../core/services/shadbalaService');
+  const VedicYogasService = require('../../core/services/vedicYogasService');
+  const RemediesDoshaService = require('../../core/services/remediesDoshaService');
+  const messageSender = require('../whatsapp/messageSender');
+  const translationService = require('../i18n/TranslationService');
+
+  birthReportService = new BirthReportService({
+    builder: new BirthReportBuilder({
+      chartGenerator: new ChartGenerator(),
+      services: {
+        basicBirthChart: new BasicBirthChartService(),
+        vargaCharts: new VargaChartsService(),
+        vimshottariDasha: new VimshottariDashaService(),
+        shadbala: new ShadbalaService(),
+        vedicYogas: new VedicYogasService(),
+        remediesDosha: new RemediesDoshaService()
+      }
+    }),
+    renderer: new BirthReportRenderer({
+      fonts: {
+        regular: process.env.W1_REPORT_FONT,
+        bold: process.env.W1_REPORT_FONT_BOLD
+      }
+    }),
+    store: new BirthReportStore({
+      keepVersions: parseInt(process.env.W1_REPORT_KEEP_VERSIONS, 10) || 3
+    }),
+    sender: messageSender,
+    translationService
+  });
+  return birthReportService;
+};
+
+module.exports = {
+  getBirthReportService,
+  BirthReportBuilder,
+  BirthReportRenderer,
+  BirthReportStore,
+  BirthReportService,
+  SECTION_ORDER,
+  DEFAULT_LABELS,
+  REPORT_VERSION
+};
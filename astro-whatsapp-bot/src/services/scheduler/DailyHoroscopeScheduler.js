@@ -0,0 +1,418 @@
+const logger = require('../../utils/logger');
+const {
+  AstrologyFormatterFactory
+} = require('../whatsapp/actions/factories/AstrologyFormatterFactory');
+const {
+  toServiceBirthData
+} = require('../astrology/core/BirthProfile');
+
+// WhatsApp only allows free-form messages within 24h of the user's last message
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DELIVERY_TIME = '08:00';
+const MINUTES_PER_DAY = 24 * 60;
+// Template body parameters may not contain newlines and are capped by Meta
+const MAX_TEMPLATE_PARAM_LENGTH = 1000;
+
+/**
+ * DailyHoroscopeScheduler - Sends each opted-in user their daily horoscope
+ * at `preferences.morningHoroscopeTime` in their own time zone.
+ * Every tick plans deliveries from the stored profile, claims each one in
+ * the store before sending (so restarts and parallel instances never send
+ * twice) and releases the claim if sending fails so the next tick retries.
+ * Deliveries missed while the process was down are caught up for a few
+ * hours, after which the day is skipped.
+ */
+class DailyHoroscopeScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.store - Delivery store (see HoroscopeDeliveryStore)
+   * @param {Object} options.horoscopeService - DailyHoroscopeService instance
+   * @param {Object} options.sender - { sendTextMessage, sendTemplateMessage }
+   * @param {Object} options.timezoneDatabase - TimezoneDatabase instance
+   * @param {number} options.tickIntervalMs - Interval between ticks
+   * @param {number} options.catchUpHours - How late a delivery may still go out
+   * @param {string} options.templateName - Approved WhatsApp template
+   * @param {string} options.defaultTimezone - Zone for users without one
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor({
+    store,
+    horoscopeService,
+    sender,
+    timezoneDatabase,
+    tickIntervalMs = 60000,
+    catchUpHours = 4,
+    templateName = 'daily_horoscope',
+    defaultTimezone = 'UTC',
+    now = () => new Date()
+  }) {
+    this.logger = logger;
+    this.store = store;
+    this.horoscopeService = horoscopeService;
+    this.sender = sender;
+    this.timezoneDatabase = timezoneDatabase;
+    this.tickIntervalMs = tickIntervalMs;
+    this.catchUpMs = catchUpHours * 60 * 60 * 1000;
+    this.templateName = templateName;
+    this.defaultTimezone = defaultTimezone;
+    this.now = now;
+
+    this.timer = null;
+    this.ticking = null;
+    this.running = false;
+  }
+
+  /**
+   * Start ticking
+   * @returns {DailyHoroscopeScheduler} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Never keep the process alive just for the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(
+      `⏰ Daily horoscope scheduler started (every ${Math.round(this.tickIntervalMs / 1000)}s)`
+    );
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop ticking and wait for the current tick to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.ticking;
+    this.logger.info('⏰ Daily horoscope scheduler stopped');
+  }
+
+  /**
+   * Deliver every horoscope that is due. Overlapping calls share one run.
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this._run().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  /**
+   * Work out whether a user is due right now
+   * @param {Object} user - User profile
+   * @param {Date} now - Current instant
+   * @returns {Object|null} { zone, localDate, dueAt, dayStart } or null if not due
+   */
+  planDelivery(user, now) {
+    const zone = this._resolveZone(user);
+    const { hour, minute } = this._parseDeliveryTime(
+      user.preferences && user.preferences.morningHoroscopeTime
+    );
+    const { year, month, day } = this.timezoneDatabase.getLocalTime(zone, now);
+    const localDate = { year, month, day };
+
+    const dueAt = this.timezoneDatabase.localTimeToUtc(zone, {
+      ...localDate,
+      hour,
+      minute
+    });
+    const dayStart = this.timezoneDatabase.localTimeToUtc(zone, localDate);
+
+    const late = now.getTime() - dueAt.getTime();
+    if (late < 0 || late > this.catchUpMs) {
+      return null;
+    }
+    if (user.lastHoroscopeSent && new Date(user.lastHoroscopeSent) >= dayStart) {
+      return null;
+    }
+    return { zone, localDate, dueAt, dayStart };
+  }
+
+  /**
+   * Plan, claim and send all due horoscopes
+   * @private
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  async _run() {
+    const stats = { sent: 0, failed: 0 };
+    try {
+      const { windows, fallback } = await this._dueWindows(this.now());
+      for await (const user of this.store.findCandidates(windows, fallback)) {
+        const now = this.now();
+        const plan = this._safePlan(user, now);
+        if (!plan) {
+          continue;
+        }
+        const delivered = await this._deliver(user, plan, now);
+        if (delivered === true) {
+          stats.sent++;
+        } else if (delivered === false) {
+          stats.failed++;
+        }
+      }
+    } catch (error) {
+      this.logger.error('❌ Daily horoscope tick failed:', error.message);
+    }
+
+    if (stats.sent || stats.failed) {
+      this.logger.info(
+        `⏰ Daily horoscopes: ${stats.sent} sent, ${stats.failed} failed`
+      );
+    }
+    return stats;
+  }
+
+  /**
+   * Due windows for every valid zone stored on users, and for the default
+   * zone (users without one), so the store only reads users who may be due
+   * @private
+   * @param {Date} now - Current instant
+   * @returns {Promise<Object>} { windows, fallback }
+   */
+  async _dueWindows(now) {
+    const zones = await this.store.findZones();
+    return {
+      windows: zones
+        .filter(zone => this.timezoneDatabase.isValidZone(zone))
+        .map(zone => this._dueWindow(zone, now)),
+      fallback: this._dueWindow(this.defaultTimezone, now)
+    };
+  }
+
+  /**
+   * Local delivery times that may be due in a zone right now: the catch-up
+   * window up to the current local time, widened by an hour on each side
+   * for DST changes and kept within today. planDelivery() has the final say.
+   * @private
+   * @param {string} zone - IANA zone
+   * @param {Date} now - Current instant
+   * @returns {Object} { zone, from, to, includeUnset, dayStart }
+   */
+  _dueWindow(zone, now) {
+    const { year, month, day, hour, minute } =
+      this.timezoneDatabase.getLocalTime(zone, now);
+    const current = hour * 60 + minute;
+    const catchUpMinutes = Math.ceil(this.catchUpMs / 60000);
+    const toTime = minutes =>
+      `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+    const from = toTime(Math.max(0, current - catchUpMinutes - 60));
+    const to = toTime(Math.min(MINUTES_PER_DAY - 1, current + 60));
+    return {
+      zone,
+      from,
+      to,
+      includeUnset:
+        from <= DEFAULT_DELIVERY_TIME && DEFAULT_DELIVERY_TIME <= to,
+      dayStart: this.timezoneDatabase.localTimeToUtc(zone, { year, month, day })
+    };
+  }
+
+  /**
+   * Plan a delivery, treating a bad profile as "not due"
+   * @private
+   * @param {Object} user - User profile
+   * @param {Date} now - Current instant
+   * @returns {Object|null} Delivery plan
+   */
+  _safePlan(user, now) {
+    try {
+      return this.planDelivery(user, now);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ Cannot schedule horoscope for ${user.phoneNumber}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Claim, generate, send and record one horoscope
+   * @private
+   * @param {Object} user - User profile
+   * @param {Object} plan - Delivery plan
+   * @param {Date} now - Current instant
+   * @returns {Promise<boolean|null>} true if sent, false if failed, null if another run had it
+   */
+  async _deliver(user, plan, now) {
+    const { phoneNumber } = user;
+    const claim = await this.store.claim(phoneNumber, plan.dayStart, now);
+    if (!claim) {
+      return null;
+    }
+
+    let reading;
+    try {
+      reading = await this._generateReading(user, plan.localDate);
+      if (this._inSessionWindow(user, now)) {
+        await this.sender.sendTextMessage(phoneNumber, reading.text);
+      } else {
+        await this.sender.sendTemplateMessage(
+          phoneNumber,
+          this.templateName,
+          user.preferredLanguage || 'en',
+          this._buildTemplateComponents(user, reading)
+        );
+      }
+    } catch (error) {
+      this.logger.error(
+        `❌ Daily horoscope for ${phoneNumber} failed:`,
+        error.message
+      );
+      try {
+        await this.store.release(phoneNumber, now, claim.previous);
+      } catch (releaseError) {
+        this.logger.error(
+          `❌ Failed to release horoscope claim for ${phoneNumber}:`,
+          releaseError.message
+        );
+      }
+      return false;
+    }
+
+    try {
+      await this.store.record(phoneNumber, {
+        timestamp: now,
+        type: 'daily',
+        prediction: reading.text
+      });
+    } catch (error) {
+      // The message is out; keep the claim so it is not sent again
+      this.logger.error(
+        `❌ Failed to record daily horoscope for ${phoneNumber}:`,
+        error.message
+      );
+    }
+    this.logger.info(`☀️ Daily horoscope sent to ${phoneNumber}`);
+    return true;
+  }
+
+  /**
+   * Generate the reading for the user's local date
+   * @private
+   * @param {Object} user - User profile
+   * @param {Object} localDate - { year, month, day }
+   * @returns {Promise<Object>} { text, summary }
+   */
+  async _generateReading(user, localDate) {
+    const { year, month, day } = localDate;
+    const result = await this.horoscopeService.getHoroscopeForDate(
+      toServiceBirthData(user),
+      `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`
+    );
+    if (!result || result.error) {
+      throw new Error(
+        (result && result.message) || 'Daily horoscope generation failed'
+      );
+    }
+
+    const horoscope = result.horoscope || {};
+    const summary = horoscope.generalReading || horoscope.summary || '';
+    const content = [
+      summary,
+      horoscope.loveReading && `Love: ${horoscope.loveReading}`,
+      horoscope.careerReading && `Career: ${horoscope.careerReading}`
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+    const guidance = [
+      horoscope.luckyColor && `Lucky color: ${horoscope.luckyColor}`,
+      horoscope.luckyNumber && `Lucky number: ${horoscope.luckyNumber}`
+    ]
+      .filter(Boolean)
+      .join(' • ');
+
+    return {
+      summary,
+      text: AstrologyFormatterFactory.formatHoroscope({
+        name: user.name,
+        date: result.date,
+        content,
+        guidance: guidance || undefined
+      })
+    };
+  }
+
+  /**
+   * Body parameters for the daily horoscope template: {{1}} name, {{2}} reading
+   * @private
+   * @param {Object} user - User profile
+   * @param {Object} reading - Generated reading
+   * @returns {Array} Template components
+   */
+  _buildTemplateComponents(user, reading) {
+    const toParam = text => ({
+      type: 'text',
+      text: String(text || '')
+        .replace(/\s*\n+\s*/g, ' ')
+        .substring(0, MAX_TEMPLATE_PARAM_LENGTH)
+    });
+    return [
+      {
+        type: 'body',
+        parameters: [
+          toParam(user.name || 'there'),
+          toParam(reading.summary || reading.text)
+        ]
+      }
+    ];
+  }
+
+  /**
+   * @private
+   * @param {Object} user - User profile
+   * @param {Date} now - Current instant
+   * @returns {boolean} True if the user wrote to us in the last 24 hours
+   */
+  _inSessionWindow(user, now) {
+    if (!user.lastInteraction) {
+      return false;
+    }
+    return (
+      now.getTime() - new Date(user.lastInteraction).getTime() < SESSION_WINDOW_MS
+    );
+  }
+
+  /**
+   * Zone for delivery: the user's own, then their birth zone, then the default
+   * @private
+   * @param {Object} user - User profile
+   * @returns {string} IANA zone
+   */
+  _resolveZone(user) {
+    return (
+      [user.timezone, user.birthTimezone].find(zone =>
+        this.timezoneDatabase.isValidZone(zone)
+      ) || this.defaultTimezone
+    );
+  }
+
+  /**
+   * Parse 'HH:MM', falling back to the schema default
+   * @private
+   * @param {string} value - Stored delivery time
+   * @returns {Object} { hour, minute }
+   */
+  _parseDeliveryTime(value) {
+    const pattern = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+    const [, hour, minute] =
+      pattern.exec(value || '') || pattern.exec(DEFAULT_DELIVERY_TIME);
+    return { hour: parseInt(hour, 10), minute: parseInt(minute, 10) };
+  }
+}
+
+module.exports = { DailyHoroscopeScheduler };
@@ -0,0 +1,189 @@
+const User = require('../../models/User');
+
+// Fields the scheduler needs to plan and personalize a delivery
+const CANDIDATE_FIELDS = [
+  'phoneNumber',
+  'name',
+  'preferredLanguage',
+  'timezone',
+  'birthTimezone',
+  'birthDate',
+  'birthTime',
+  'birthPlace',
+  'preferences',
+  'lastInteraction',
+  'lastHoroscopeSent'
+].join(' ');
+
+// Users who opted into daily horoscopes and have a birth profile
+const OPTED_IN = {
+  'preferences.dailyNotifications': { $ne: false },
+  profileComplete: true,
+  birthDate: { $ne: null }
+};
+
+const TIME_FIELD = 'preferences.morningHoroscopeTime';
+
+/**
+ * Delivery times inside a window. Stored times may drop the hour's leading
+ * zero ('8:00'), so those are matched as a second range.
+ * @private
+ * @param {Object} window - { from, to, includeUnset } as 'HH:MM'
+ * @returns {Object} Query condition
+ */
+const timeCondition = ({ from, to, includeUnset }) => {
+  const ranges = [{ [TIME_FIELD]: { $gte: from, $lte: to } }];
+  if (from < '10:00') {
+    ranges.push({
+      [TIME_FIELD]: {
+        $gte: from.replace(/^0/, ''),
+        $lte: to < '10:00' ? to.replace(/^0/, '') : '9:59'
+      }
+    });
+  }
+  if (includeUnset) {
+    ranges.push({ [TIME_FIELD]: null });
+  }
+  return { $or: ranges };
+};
+
+/**
+ * Not yet served on the local day starting at `dayStart`
+ * @private
+ * @param {Date} dayStart - Start of the local day (UTC instant)
+ * @returns {Object} Query condition
+ */
+const unsentCondition = dayStart => ({
+  $or: [{ lastHoroscopeSent: null }, { lastHoroscopeSent: { $lt: dayStart } }]
+});
+
+/**
+ * HoroscopeDeliveryStore - MongoDB bookkeeping for scheduled horoscopes
+ * `lastHoroscopeSent` doubles as the delivery claim: it is set atomically
+ * before sending, so a restarted or second instance skips users that were
+ * already served that day.
+ */
+class HoroscopeDeliveryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.model - User model (tests)
+   * @param {number} options.pageSize - Candidates read per query
+   */
+  constructor(options = {}) {
+    this.model = options.model || User;
+    this.pageSize = options.pageSize || 200;
+  }
+
+  /**
+   * Time zones stored on opted-in users, as typed (not validated)
+   * @returns {Promise<Array<string>>} Distinct zones
+   */
+  async findZones() {
+    const [own, birth] = await Promise.all([
+      this.model.distinct('timezone', OPTED_IN),
+      this.model.distinct('birthTimezone', OPTED_IN)
+    ]);
+    return [...new Set([...own, ...birth])].filter(Boolean);
+  }
+
+  /**
+   * Iterate opted-in users whose delivery time falls in their zone's due
+   * window and who have not been served that local day. A user is matched
+   * in the zone the scheduler delivers in: their own when it has a window,
+   * else their birth zone's, else the fallback window.
+   * Read in pages by _id rather than through one cursor, which would sit
+   * idle (and could time out) while each user's horoscope is sent.
+   * @param {Array<Object>} windows - { zone, from, to, includeUnset, dayStart }
+   *   for every known zone
+   * @param {Object} fallback - Window for users with no known zone
+   * @returns {AsyncIterable<Object>} Lean user documents
+   */
+  async *findCandidates(windows, fallback) {
+    const zones = windows.map(window => window.zone);
+    const unknown = { $nin: zones };
+    const due = (zoneCondition, window) => ({
+      $and: [
+        zoneCondition,
+        timeCondition(window),
+        unsentCondition(window.dayStart)
+      ]
+    });
+    const query = {
+      ...OPTED_IN,
+      $or: [
+        ...windows.flatMap(window => [
+          due({ timezone: window.zone }, window),
+          due({ timezone: unknown, birthTimezone: window.zone }, window)
+        ]),
+        due({ timezone: unknown, birthTimezone: unknown }, fallback)
+      ]
+    };
+
+    let lastId = null;
+    for (;;) {
+      const page = await this.model
+        .find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+        .sort({ _id: 1 })
+        .limit(this.pageSize)
+        .select(CANDIDATE_FIELDS)
+        .lean();
+      yield* page;
+      if (page.length < this.pageSize) {
+        return;
+      }
+      lastId = page[page.length - 1]._id;
+    }
+  }
+
+  /**
+   * Claim today's delivery for a user
+   * @param {string} phoneNumber - User phone number
+   * @param {Date} dayStart - Start of the user's local day (UTC instant)
+   * @param {Date} claimedAt - Claim time, stored as lastHoroscopeSent
+   * @returns {Promise<Object|null>} { previous } if claimed, null if already sent or opted out
+   */
+  async claim(phoneNumber, dayStart, claimedAt) {
+    const before = await this.model.findOneAndUpdate(
+      {
+        phoneNumber,
+        'preferences.dailyNotifications': { $ne: false },
+        ...unsentCondition(dayStart)
+      },
+      { $set: { lastHoroscopeSent: claimedAt } },
+      { new: false, projection: { lastHoroscopeSent: 1 } }
+    ).lean();
+
+    return before ? { previous: before.lastHoroscopeSent || null } : null;
+  }
+
+  /**
+   * Undo a claim after a failed send so a later tick can retry
+   * @param {string} phoneNumber - User phone number
+   * @param {Date} claimedAt - Claim time returned by the failed attempt
+   * @param {Date|null} previous - lastHoroscopeSent before the claim
+   * @returns {Promise<void>}
+   */
+  async release(phoneNumber, claimedAt, previous) {
+    await this.model.updateOne(
+      { phoneNumber, lastHoroscopeSent: claimedAt },
+      previous ?
+        { $set: { lastHoroscopeSent: previous } } :
+        { $unset: { lastHoroscopeSent: 1 } }
+    );
+  }
+
+  /**
+   * Record a delivered horoscope in the user's prediction history
+   * @param {string} phoneNumber - User phone number
+   * @param {Object} entry - { timestamp, type, prediction }
+   * @returns {Promise<void>}
+   */
+  async record(phoneNumber, entry) {
+    await this.model.updateOne(
+      { phoneNumber },
+      { $push: { predictionHistory: entry } }
+    );
+  }
+}
+
+module.exports = { HoroscopeDeliveryStore };
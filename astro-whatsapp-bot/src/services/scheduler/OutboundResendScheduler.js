@@ -0,0 +1,80 @@
+const logger = require('../../utils/logger');
+
+/**
+ * OutboundResendScheduler - Resends failed critical messages on an
+ * interval (see OutboundDispatcher.resendFailedCritical). Each failure is
+ * claimed before it is resent, so parallel instances never send it twice.
+ */
+class OutboundResendScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.dispatcher - OutboundDispatcher instance
+   * @param {number} options.tickIntervalMs - Interval between sweeps
+   */
+  constructor({ dispatcher, tickIntervalMs = 5 * 60 * 1000 }) {
+    this.logger = logger;
+    this.dispatcher = dispatcher;
+    this.tickIntervalMs = tickIntervalMs;
+
+    this.timer = null;
+    this.ticking = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping
+   * @returns {OutboundResendScheduler} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Never keep the process alive just for the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(
+      `⏰ Outbound resend scheduler started (every ${Math.round(this.tickIntervalMs / 1000)}s)`
+    );
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop sweeping and wait for the current sweep to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.ticking;
+    this.logger.info('⏰ Outbound resend scheduler stopped');
+  }
+
+  /**
+   * Run one sweep. Overlapping calls share one run; a failed sweep is
+   * logged and the next tick tries again.
+   * @returns {Promise<Object|null>} Resend stats
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.dispatcher
+        .resendFailedCritical()
+        .catch(error => {
+          this.logger.error('❌ Outbound resend sweep failed:', error.message);
+          return null;
+        })
+        .finally(() => {
+          this.ticking = null;
+        });
+    }
+    return this.ticking;
+  }
+}
+
+module.exports = { OutboundResendScheduler };
@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+
+/**
+ * SubscriptionScheduler - Runs the subscription lifecycle sweep on an
+ * interval: expiries, dunning and renewal reminders (see
+ * SubscriptionLifecycleService.sweep). The sweep itself is idempotent, so
+ * restarts and parallel instances are safe.
+ */
+class SubscriptionScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.lifecycle - SubscriptionLifecycleService instance
+   * @param {number} options.tickIntervalMs - Interval between sweeps
+   */
+  constructor({ lifecycle, tickIntervalMs = 15 * 60 * 1000 }) {
+    this.logger = logger;
+    this.lifecycle = lifecycle;
+    this.tickIntervalMs = tickIntervalMs;
+
+    this.timer = null;
+    this.ticking = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping
+   * @returns {SubscriptionScheduler} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Never keep the process alive just for the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(
+      `⏰ Subscription scheduler started (every ${Math.round(this.tickIntervalMs / 1000)}s)`
+    );
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop sweeping and wait for the current sweep to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.ticking;
+    this.logger.info('⏰ Subscription scheduler stopped');
+  }
+
+  /**
+   * Run one sweep. Overlapping calls share one run.
+   * @returns {Promise<Object>} Sweep stats
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.lifecycle.sweep().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+}
+
+module.exports = { SubscriptionScheduler };
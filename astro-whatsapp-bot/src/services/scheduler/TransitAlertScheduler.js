@@ -0,0 +1,74 @@
+const logger = require('../../utils/logger');
+
+/**
+ * TransitAlertScheduler - Runs the alert engine on an interval: re-plans
+ * users whose upcoming triggers are stale and sends the alerts that are
+ * due (see TransitAlertService.sweep). Planning and each alert are claimed
+ * first, so parallel instances never do either twice.
+ */
+class TransitAlertScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.alerts - TransitAlertService instance
+   * @param {number} options.tickIntervalMs - Interval between sweeps
+   */
+  constructor({ alerts, tickIntervalMs = 5 * 60 * 1000 }) {
+    this.logger = logger;
+    this.alerts = alerts;
+    this.tickIntervalMs = tickIntervalMs;
+
+    this.timer = null;
+    this.ticking = null;
+    this.running = false;
+  }
+
+  /**
+   * Start sweeping
+   * @returns {TransitAlertScheduler} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.running = true;
+    this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+    // Never keep the process alive just for the schedule
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(
+      `⏰ Transit alert scheduler started (every ${Math.round(this.tickIntervalMs / 1000)}s)`
+    );
+    this.tick();
+    return this;
+  }
+
+  /**
+   * Stop sweeping and wait for the current sweep to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await this.ticking;
+    this.logger.info('⏰ Transit alert scheduler stopped');
+  }
+
+  /**
+   * Run one sweep. Overlapping calls share one run.
+   * @returns {Promise<Object>} Sweep stats
+   */
+  tick() {
+    if (!this.ticking) {
+      this.ticking = this.alerts.sweep().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+}
+
+module.exports = { TransitAlertScheduler };
@@ -0,0 +1,175 @@
+const logger = require('../../utils/logger');
+const { DailyHoroscopeScheduler } = require('./DailyHoroscopeScheduler');
+const { HoroscopeDeliveryStore } = require('./HoroscopeDeliveryStore');
+const { SubscriptionScheduler } = require('./SubscriptionScheduler');
+const { OutboundResendScheduler } = require('./OutboundResendScheduler');
+const { TransitAlertScheduler } = require('./TransitAlertScheduler');
+
+// Process-wide schedulers, started once the server is up
+let scheduler = null;
+let subscriptionScheduler = null;
+let resendScheduler = null;
+let alertScheduler = null;
+
+/**
+ * Start the daily horoscope scheduler unless W1_DAILY_HOROSCOPE_ENABLED=false
+ * @returns {Promise<DailyHoroscopeScheduler|null>} Running scheduler
+ */
+const startDailyHoroscopeScheduler = async() => {
+  if (scheduler) {
+    return scheduler;
+  }
+  if (process.env.W1_DAILY_HOROSCOPE_ENABLED === 'false') {
+    logger.info('⏰ Daily horoscope scheduler disabled');
+    return null;
+  }
+
+  const DailyHoroscopeService = require('../../core/services/dailyHoroscopeService');
+  const {
+    TimezoneDatabase
+  } = require('../astrology/geocoding/TimezoneDatabase');
+  const messageSender = require('../whatsapp/messageSender');
+
+  const horoscopeService = new DailyHoroscopeService();
+  await horoscopeService.initialize();
+
+  scheduler = new DailyHoroscopeScheduler({
+    store: new HoroscopeDeliveryStore(),
+    horoscopeService,
+    sender: messageSender,
+    timezoneDatabase: new TimezoneDatabase(),
+    tickIntervalMs:
+      parseInt(process.env.W1_DAILY_HOROSCOPE_TICK_MS, 10) || 60000,
+    catchUpHours:
+      parseFloat(process.env.W1_DAILY_HOROSCOPE_CATCHUP_HOURS) || 4,
+    templateName: process.env.W1_DAILY_HOROSCOPE_TEMPLATE || 'daily_horoscope',
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC'
+  });
+  return scheduler.start();
+};
+
+/**
+ * Stop the scheduler (shutdown and tests)
+ * @returns {Promise<void>}
+ */
+const stopDailyHoroscopeScheduler = async() => {
+  if (scheduler) {
+    await scheduler.stop();
+    scheduler = null;
+  }
+};
+
+/**
+ * Start the subscription lifecycle sweep unless W1_SUBSCRIPTION_ENABLED=false
+ * @returns {SubscriptionScheduler|null} Running scheduler
+ */
+const startSubscriptionScheduler = () => {
+  if (subscriptionScheduler) {
+    return subscriptionScheduler;
+  }
+  if (process.env.W1_SUBSCRIPTION_ENABLED === 'false') {
+    logger.info('⏰ Subscription scheduler disabled');
+    return null;
+  }
+
+  const { getSubscriptionLifecycle } = require('../payment/subscriptions');
+  subscriptionScheduler = new SubscriptionScheduler({
+    lifecycle: getSubscriptionLifecycle(),
+    tickIntervalMs:
+      parseInt(process.env.W1_SUBSCRIPTION_TICK_MS, 10) || 15 * 60 * 1000
+  });
+  return subscriptionScheduler.start();
+};
+
+/**
+ * Stop the subscription scheduler (shutdown and tests)
+ * @returns {Promise<void>}
+ */
+const stopSubscriptionScheduler = async() => {
+  if (subscriptionScheduler) {
+    await subscriptionScheduler.stop();
+    subscriptionScheduler = null;
+  }
+};
+
+/**
+ * Start resending failed critical messages unless
+ * W1_OUTBOUND_RESEND_ENABLED=false
+ * @returns {OutboundResendScheduler|null} Running scheduler
+ */
+const startOutboundResendScheduler = () => {
+  if (resendScheduler) {
+    return resendScheduler;
+  }
+  if (process.env.W1_OUTBOUND_RESEND_ENABLED === 'false') {
+    logger.info('⏰ Outbound resend scheduler disabled');
+    return null;
+  }
+
+  const { getOutboundDispatcher } = require('../whatsapp/outbound');
+  resendScheduler = new OutboundResendScheduler({
+    dispatcher: getOutboundDispatcher(),
+    tickIntervalMs:
+      parseInt(process.env.W1_OUTBOUND_RESEND_TICK_MS, 10) || 5 * 60 * 1000
+  });
+  return resendScheduler.start();
+};
+
+/**
+ * Stop the resend scheduler (shutdown and tests)
+ * @returns {Promise<void>}
+ */
+const stopOutboundResendScheduler = async() => {
+  if (resendScheduler) {
+    await resendScheduler.stop();
+    resendScheduler = null;
+  }
+};
+
+/**
+ * Start the transit alert engine unless W1_ALERTS_ENABLED=false
+ * @returns {TransitAlertScheduler|null} Running scheduler
+ */
+const startTransitAlertScheduler = () => {
+  if (alertScheduler) {
+    return alertScheduler;
+  }
+  if (process.env.W1_ALERTS_ENABLED === 'false') {
+    logger.info('⏰ Transit alert scheduler disabled');
+    return null;
+  }
+
+  const { getTransitAlertService } = require('../alerts');
+  alertScheduler = new TransitAlertScheduler({
+    alerts: getTransitAlertService(),
+    tickIntervalMs: parseInt(process.env.W1_ALERT_TICK_MS, 10) || 5 * 60 * 1000
+  });
+  return alertScheduler.start();
+};
+
+/**
+ * Stop the transit alert scheduler (shutdown and tests)
+ * @returns {Promise<void>}
+ */
+const stopTransitAlertScheduler = async() => {
+  if (alertScheduler) {
+    await alertScheduler.stop();
+    alertScheduler = null;
+  }
+};
+
+module.exports = {
+  startDailyHoroscopeScheduler,
+  stopDailyHoroscopeScheduler,
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler,
+  startOutboundResendScheduler,
+  stopOutboundResendScheduler,
+  startTransitAlertScheduler,
+  stopTransitAlertScheduler,
+  DailyHoroscopeScheduler,
+  HoroscopeDeliveryStore,
+  SubscriptionScheduler,
+  OutboundResendScheduler,
+  TransitAlertScheduler
+};
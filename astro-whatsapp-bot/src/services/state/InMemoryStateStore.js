@@ -0,0 +1,188 @@
+/**
+ * InMemoryStateStore - Process-local state entries
+ * Suitable for local development, tests and caches of data every instance
+ * derives itself; entries are lost on restart and not shared.
+ */
+class InMemoryStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {boolean} options.copyValues - Hand out copies, as the shared
+   *   backends do (false keeps references, for read-only caches)
+   * @param {number} options.maxEntries - Entries kept per namespace
+   */
+  constructor(options = {}) {
+    this.backend = 'memory';
+    this.copyValues = options.copyValues !== false;
+    this.maxEntries = options.maxEntries || 10000;
+    this.namespaces = new Map(); // namespace -> Map(key -> entry)
+  }
+
+  /**
+   * Read an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, null when absent or expired
+   */
+  async get(namespace, key) {
+    const entry = this._live(namespace, key, Date.now());
+    return entry ? this._copy(entry.value) : null;
+  }
+
+  /**
+   * Write an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live, none when omitted
+   */
+  async set(namespace, key, value, ttlMs) {
+    const entries = this._namespace(namespace);
+    const now = Date.now();
+    if (!entries.has(key) && entries.size >= this.maxEntries) {
+      this._dropExpired(entries, now);
+      // Still full: make room by dropping the oldest entries
+      while (entries.size >= this.maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    }
+    entries.delete(key); // Re-insert so the oldest entries come first
+    entries.set(key, {
+      value: this._copy(value),
+      expiresAt: ttlMs ? now + ttlMs : null
+    });
+  }
+
+  /**
+   * Read, change and write an entry in one step
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {Function} updater - (current|null) => next; null deletes
+   * @param {number} ttlMs - Time to live of the written entry
+   * @returns {Promise<*>} Written value, null when deleted
+   */
+  async update(namespace, key, updater, ttlMs) {
+    const entry = this._live(namespace, key, Date.now());
+    const next = updater(entry ? this._copy(entry.value) : null);
+    if (next === null || next === undefined) {
+      await this.delete(namespace, key);
+      return null;
+    }
+    await this.set(namespace, key, next, ttlMs);
+    return this._copy(next);
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether a live entry was removed
+   */
+  async delete(namespace, key) {
+    const live = !!this._live(namespace, key, Date.now());
+    this._namespace(namespace).delete(key);
+    return live;
+  }
+
+  /**
+   * Live entries of a namespace
+   * @param {string} namespace - Namespace
+   * @param {number} limit - Maximum entries returned
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(namespace, limit = 1000) {
+    const now = Date.now();
+    const pairs = [];
+    for (const [key, entry] of this._namespace(namespace)) {
+      if (pairs.length >= limit) {
+        break;
+      }
+      if (!this._expired(entry, now)) {
+        pairs.push([key, this._copy(entry.value)]);
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Number of live entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Count
+   */
+  async count(namespace) {
+    const entries = this._namespace(namespace);
+    this._dropExpired(entries, Date.now());
+    return entries.size;
+  }
+
+  /**
+   * Remove every entry of a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Entries removed
+   */
+  async clear(namespace) {
+    const removed = await this.count(namespace);
+    this.namespaces.delete(namespace);
+    return removed;
+  }
+
+  /**
+   * Nothing to release
+   */
+  async close() {}
+
+  /**
+   * @private
+   */
+  _namespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  /**
+   * Entry of a key unless it expired (expired ones are dropped)
+   * @private
+   */
+  _live(namespace, key, now) {
+    const entries = this._namespace(namespace);
+    const entry = entries.get(key);
+    if (entry && this._expired(entry, now)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * @private
+   */
+  _expired(entry, now) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  /**
+   * @private
+   */
+  _dropExpired(entries, now) {
+    for (const [key, entry] of entries) {
+      if (this._expired(entry, now)) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Round-trip through JSON like the shared backends, so callers never
+   * depend on identity or on values JSON cannot carry
+   * @private
+   */
+  _copy(value) {
+    if (!this.copyValues || value === null || value === undefined) {
+      return value === undefined ? null : value;
+    }
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+module.exports = { InMemoryStateStore };
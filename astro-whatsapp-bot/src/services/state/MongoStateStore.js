@@ -0,0 +1,176 @@
+const StateEntry = require('../../models/StateEntry');
+
+// Read-modify-write attempts before an update gives up on a busy key
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Filter matching entries that have not expired yet
+ * @private
+ */
+const live = now => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * @private
+ */
+const expiry = ttlMs => (ttlMs ? new Date(Date.now() + ttlMs) : null);
+
+/**
+ * MongoStateStore - State entries shared between instances via MongoDB
+ * Updates are optimistic: a write only lands on the version it read, so
+ * two instances changing one key never lose each other's change.
+ */
+class MongoStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.model - Mongoose model (tests)
+   */
+  constructor(options = {}) {
+    this.backend = 'mongo';
+    this.model = options.model || StateEntry;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, null when absent or expired
+   */
+  async get(namespace, key) {
+    const entry = await this.model
+      .findOne({ namespace, key, ...live(new Date()) })
+      .lean();
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  /**
+   * Write an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live, none when omitted
+   */
+  async set(namespace, key, value, ttlMs) {
+    await this.model.updateOne(
+      { namespace, key },
+      {
+        $set: { value: JSON.stringify(value), expiresAt: expiry(ttlMs) },
+        $inc: { version: 1 }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Read, change and write an entry in one step
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {Function} updater - (current|null) => next; null deletes
+   * @param {number} ttlMs - Time to live of the written entry
+   * @returns {Promise<*>} Written value, null when deleted
+   */
+  async update(namespace, key, updater, ttlMs) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const entry = await this.model.findOne({ namespace, key }).lean();
+      const current =
+        entry && (!entry.expiresAt || entry.expiresAt > new Date()) ?
+          JSON.parse(entry.value) :
+          null;
+      const next = updater(current);
+
+      if (next === null || next === undefined) {
+        if (!entry) {
+          return null;
+        }
+        const result = await this.model.deleteOne({
+          _id: entry._id,
+          version: entry.version
+        });
+        if (result.deletedCount) {
+          return null;
+        }
+        continue;
+      }
+
+      const fields = { value: JSON.stringify(next), expiresAt: expiry(ttlMs) };
+      if (entry) {
+        const result = await this.model.updateOne(
+          { _id: entry._id, version: entry.version },
+          { $set: fields, $inc: { version: 1 } }
+        );
+        if (result.matchedCount) {
+          return next;
+        }
+      } else {
+        try {
+          await this.model.create({ namespace, key, ...fields });
+          return next;
+        } catch (error) {
+          // Another instance created the key first; read it and try again
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    }
+    throw new Error(
+      `State entry ${namespace}/${key} kept changing during update`
+    );
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether a live entry was removed
+   */
+  async delete(namespace, key) {
+    const result = await this.model.deleteOne({
+      namespace,
+      key,
+      ...live(new Date())
+    });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Live entries of a namespace
+   * @param {string} namespace - Namespace
+   * @param {number} limit - Maximum entries returned
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(namespace, limit = 1000) {
+    const entries = await this.model
+      .find({ namespace, ...live(new Date()) })
+      .limit(limit)
+      .lean();
+    return entries.map(entry => [entry.key, JSON.parse(entry.value)]);
+  }
+
+  /**
+   * Number of live entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Count
+   */
+  async count(namespace) {
+    return this.model.countDocuments({ namespace, ...live(new Date()) });
+  }
+
+  /**
+   * Remove every entry of a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Entries removed
+   */
+  async clear(namespace) {
+    const result = await this.model.deleteMany({ namespace });
+    return result.deletedCount;
+  }
+
+  /**
+   * The Mongoose connection belongs to the app
+   */
+  async close() {}
+}
+
+module.exports = { MongoStateStore };
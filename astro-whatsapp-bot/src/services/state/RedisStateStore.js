@@ -0,0 +1,210 @@
+const { createClient, WatchError } = require('redis');
+const logger = require('../../utils/logger');
+
+// Read-modify-write attempts before an update gives up on a busy key
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * @private
+ */
+const setOptions = ttlMs => (ttlMs ? { PX: Math.ceil(ttlMs) } : undefined);
+
+/**
+ * RedisStateStore - State entries shared between instances via Redis
+ * Entries are JSON strings under `<prefix><namespace>:<key>` and expire
+ * through Redis' own TTLs. Updates run in WATCH/MULTI transactions.
+ */
+class RedisStateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.url - Redis URL (default REDIS_URL)
+   * @param {string} options.prefix - Prefix of every key
+   * @param {Object} options.client - Redis client (tests)
+   */
+  constructor(options = {}) {
+    this.backend = 'redis';
+    this.prefix = options.prefix || process.env.W1_STATE_PREFIX || 'w1:state:';
+    this.client =
+      options.client ||
+      createClient({ url: options.url || process.env.REDIS_URL });
+    this.client.on('error', error =>
+      logger.error('❌ Redis state store error:', error.message)
+    );
+    this.connecting = null;
+  }
+
+  /**
+   * Read an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, null when absent or expired
+   */
+  async get(namespace, key) {
+    const client = await this._connected();
+    const raw = await client.get(this._key(namespace, key));
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Write an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live, none when omitted
+   */
+  async set(namespace, key, value, ttlMs) {
+    const client = await this._connected();
+    await client.set(
+      this._key(namespace, key),
+      JSON.stringify(value),
+      setOptions(ttlMs)
+    );
+  }
+
+  /**
+   * Read, change and write an entry in one step
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @param {Function} updater - (current|null) => next; null deletes
+   * @param {number} ttlMs - Time to live of the written entry
+   * @returns {Promise<*>} Written value, null when deleted
+   */
+  async update(namespace, key, updater, ttlMs) {
+    const client = await this._connected();
+    const redisKey = this._key(namespace, key);
+
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      try {
+        // WATCH needs a connection of its own
+        return await client.executeIsolated(async isolated => {
+          await isolated.watch(redisKey);
+          const raw = await isolated.get(redisKey);
+          const next = updater(raw === null ? null : JSON.parse(raw));
+          const transaction = isolated.multi();
+          if (next === null || next === undefined) {
+            transaction.del(redisKey);
+          } else {
+            transaction.set(redisKey, JSON.stringify(next), setOptions(ttlMs));
+          }
+          await transaction.exec();
+          return next === undefined ? null : next;
+        });
+      } catch (error) {
+        // Another instance wrote the key since WATCH; read it and try again
+        if (!(error instanceof WatchError)) {
+          throw error;
+        }
+      }
+    }
+    throw new Error(
+      `State entry ${namespace}/${key} kept changing during update`
+    );
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} namespace - Namespace
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether an entry was removed
+   */
+  async delete(namespace, key) {
+    const client = await this._connected();
+    return (await client.del(this._key(namespace, key))) > 0;
+  }
+
+  /**
+   * Live entries of a namespace
+   * @param {string} namespace - Namespace
+   * @param {number} limit - Maximum entries returned
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  async entries(namespace, limit = 1000) {
+    const client = await this._connected();
+    const keys = (await this._scan(client, namespace)).slice(0, limit);
+    if (!keys.length) {
+      return [];
+    }
+    const values = await client.mGet(keys);
+    const offset = this._key(namespace, '').length;
+    return keys
+      .map((redisKey, i) => [redisKey.slice(offset), values[i]])
+      .filter(([, raw]) => raw !== null) // Expired since the scan
+      .map(([key, raw]) => [key, JSON.parse(raw)]);
+  }
+
+  /**
+   * Number of live entries in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Count
+   */
+  async count(namespace) {
+    const client = await this._connected();
+    return (await this._scan(client, namespace)).length;
+  }
+
+  /**
+   * Remove every entry of a namespace
+   * @param {string} namespace - Namespace
+   * @returns {Promise<number>} Entries removed
+   */
+  async clear(namespace) {
+    const client = await this._connected();
+    const keys = await this._scan(client, namespace);
+    let removed = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+      removed += await client.del(keys.slice(i, i + 500));
+    }
+    return removed;
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    if (this.connecting) {
+      this.connecting = null;
+      await this.client.quit();
+    }
+  }
+
+  /**
+   * Client, connecting on first use
+   * @private
+   */
+  _connected() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().then(
+        () => this.client,
+        error => {
+          this.connecting = null;
+          throw error;
+        }
+      );
+    }
+    return this.connecting;
+  }
+
+  /**
+   * @private
+   */
+  _key(namespace, key) {
+    return `${this.prefix}${namespace}:${key}`;
+  }
+
+  /**
+   * Keys of a namespace (SCAN, so Redis is never blocked)
+   * @private
+   */
+  async _scan(client, namespace) {
+    const keys = [];
+    for await (const key of client.scanIterator({
+      MATCH: `${this._key(namespace, '')}*`,
+      COUNT: 100
+    })) {
+      keys.push(key);
+    }
+    return keys;
+  }
+}
+
+module.exports = { RedisStateStore };
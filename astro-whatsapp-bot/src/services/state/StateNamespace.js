@@ -0,0 +1,87 @@
+/**
+ * StateNamespace - One consumer's view of a state store
+ * Keys are scoped to the namespace and written with its default TTL. The
+ * store is resolved on every call, so a namespace created at load time
+ * follows the configured store (and resetStateStore in tests).
+ */
+class StateNamespace {
+  /**
+   * @param {string} name - Namespace, e.g. 'menus'
+   * @param {Object} options - Namespace options
+   * @param {Function} options.resolveStore - () => store implementation
+   * @param {number} options.ttlMs - Default time to live of entries
+   */
+  constructor(name, { resolveStore, ttlMs }) {
+    this.name = name;
+    this.resolveStore = resolveStore;
+    this.ttlMs = ttlMs;
+  }
+
+  /**
+   * Backend of the underlying store
+   * @returns {string} 'memory' | 'mongo' | 'redis'
+   */
+  get backend() {
+    return this.resolveStore().backend;
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<*>} Value, null when absent or expired
+   */
+  get(key) {
+    return this.resolveStore().get(this.name, key);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live (default: the namespace's)
+   * @returns {Promise<void>}
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    return this.resolveStore().set(this.name, key, value, ttlMs);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {Function} updater - (current|null) => next; null deletes
+   * @param {number} ttlMs - Time to live (default: the namespace's)
+   * @returns {Promise<*>} Written value, null when deleted
+   */
+  update(key, updater, ttlMs = this.ttlMs) {
+    return this.resolveStore().update(this.name, key, updater, ttlMs);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @returns {Promise<boolean>} Whether an entry was removed
+   */
+  delete(key) {
+    return this.resolveStore().delete(this.name, key);
+  }
+
+  /**
+   * @param {number} limit - Maximum entries returned
+   * @returns {Promise<Array<Array>>} [key, value] pairs
+   */
+  entries(limit) {
+    return this.resolveStore().entries(this.name, limit);
+  }
+
+  /**
+   * @returns {Promise<number>} Number of live entries
+   */
+  count() {
+    return this.resolveStore().count(this.name);
+  }
+
+  /**
+   * @returns {Promise<number>} Entries removed
+   */
+  clear() {
+    return this.resolveStore().clear(this.name);
+  }
+}
+
+module.exports = { StateNamespace };
@@ -0,0 +1,89 @@
+const logger = require('../../utils/logger');
+const { InMemoryStateStore } = require('./InMemoryStateStore');
+const { MongoStateStore } = require('./MongoStateStore');
+const { StateNamespace } = require('./StateNamespace');
+
+/**
+ * Create the state store selected by W1_STATE_STORE
+ * ('mongo' | 'redis' | 'memory')
+ * @param {string} backend - Store backend override
+ * @returns {Object} Store implementation
+ */
+const createStateStore = (backend = process.env.W1_STATE_STORE) => {
+  const selected = backend || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+  switch (selected) {
+  case 'memory':
+    return new InMemoryStateStore();
+  case 'mongo':
+    return new MongoStateStore();
+  case 'redis': {
+    // Loaded on demand so the other backends never load the Redis client
+    const { RedisStateStore } = require('./RedisStateStore');
+    return new RedisStateStore();
+  }
+  default:
+    throw new Error(`Unknown state store backend: ${selected}`);
+  }
+};
+
+// Process-wide stores, created on first use
+let store = null;
+let localStore = null;
+
+/**
+ * Get the state store shared by every instance of the bot
+ * @returns {Object} Store implementation
+ */
+const getStateStore = () => {
+  if (!store) {
+    store = createStateStore();
+    logger.info(`🗄️ State store ready (${store.backend})`);
+  }
+  return store;
+};
+
+/**
+ * Get the process-local store for caches of data every instance derives
+ * from its own files (values are handed out by reference: read-only)
+ * @returns {InMemoryStateStore} Store
+ */
+const getLocalStateStore = () => {
+  if (!localStore) {
+    localStore = new InMemoryStateStore({ copyValues: false, maxEntries: 500 });
+  }
+  return localStore;
+};
+
+/**
+ * Namespace of the state store with a default TTL
+ * @param {string} name - Namespace, e.g. 'menus'
+ * @param {Object} options - Namespace options
+ * @param {number} options.ttlMs - Default time to live of entries
+ * @param {boolean} options.local - Keep entries in this process only
+ * @returns {StateNamespace} Namespace
+ */
+const getStateNamespace = (name, { ttlMs, local = false } = {}) =>
+  new StateNamespace(name, {
+    resolveStore: local ? getLocalStateStore : getStateStore,
+    ttlMs
+  });
+
+/**
+ * Drop the stores (tests)
+ */
+const resetStateStore = () => {
+  store = null;
+  localStore = null;
+};
+
+module.exports = {
+  createStateStore,
+  getStateStore,
+  getLocalStateStore,
+  getStateNamespace,
+  resetStateStore,
+  InMemoryStateStore,
+  MongoStateStore,
+  StateNamespace
+};
@@ -88,6 +88,15 @@ class ActionRegistry {
     return null;
   }
 
+  /**
+   * Get the action name mapped to a keyword
+   * @param {string} keyword - Trigger keyword (case-insensitive)
+   * @returns {string|null} Action name or null if not mapped
+   */
+  getActionIdForKeyword(keyword) {
+    return this.keywordMappings.get(keyword.trim().toLowerCase()) || null;
+  }
+
   /**
    * Get action for button ID
    * @param {string} buttonId - Button ID
@@ -177,7 +186,8 @@ class ActionRegistry {
       logger.info(`🚀 Executing action: ${actionName} for ${phoneNumber}`);
       // Instantiate the action class with required parameters
       const actionInstance = new ActionClass(user, phoneNumber, data);
-      const result = await actionInstance.execute();
+      // run() applies the entitlement gate around execute()
+      const result = await actionInstance.run();
       actionInstance.logExecution(result);
       return result;
     } catch (error) {
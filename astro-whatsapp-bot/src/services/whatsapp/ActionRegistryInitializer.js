@@ -20,6 +20,8 @@ const LanguageMenuAction = require('./actions/menu/LanguageMenuAction');
 const VedicKundliAction = require('./actions/astrology/VedicKundliAction');
 const KaalSarpAnalysisAction = require('./actions/astrology/KaalSarpAnalysisAction');
 const PrashnaAstrologyAction = require('./actions/astrology/PrashnaAstrologyAction');
+const KPAstrologyAction = require('./actions/astrology/KPAstrologyAction');
+const HellenisticTimeLordsAction = require('./actions/astrology/HellenisticTimeLordsAction');
 const MuhurtaAction = require('./actions/astrology/MuhurtaAction');
 const PanchangAnalysisAction = require('./actions/astrology/PanchangAnalysisAction');
 const HoroscopeAnalysisAction = require('./actions/astrology/HoroscopeAnalysisAction');
@@ -41,6 +43,8 @@ const HealthAstrologyAction = require('./actions/health/HealthAstrologyAction');
 const LunarReturnAction = require('./actions/astrology/LunarReturnAction');
 const RelationshipReadingsAction = require('./actions/relationships/RelationshipReadingsAction');
 const BusinessAstrologyAction = require('./actions/business/BusinessAstrologyAction');
+const GroupTimingAction = require('./actions/relationships/GroupTimingAction');
+const PeopleBookAction = require('./actions/relationships/PeopleBookAction');
 const SolarReturnAction = require('./actions/astrology/SolarReturnAction');
 const SecondaryProgressionsAction = require('./actions/astrology/SecondaryProgressionsAction');
 const ElectionalAstrologyAction = require('./actions/astrology/ElectionalAstrologyAction');
@@ -50,10 +54,15 @@ const GemstoneRecommendationAction = require('./actions/utilities/GemstoneRecomm
 const MantraRecommendationAction = require('./actions/utilities/MantraRecommendationAction');
 const ColorTherapyAction = require('./actions/utilities/ColorTherapyAction');
 const FixedStarsAction = require('./actions/astrology/FixedStarsAction');
+const AstrocartographyAction = require('./actions/astrology/AstrocartographyAction');
+const TransitCalendarAction = require('./actions/astrology/TransitCalendarAction');
 const LunarNodesAction = require('./actions/astrology/LunarNodesAction');
 const TraditionalHoraryAction = require('./actions/astrology/TraditionalHoraryAction');
 const RemedialMeasuresAction = require('./actions/astrology/RemedialMeasuresAction');
 const VargaChartsAction = require('./actions/astrology/VargaChartsAction');
+const BirthReportAction = require('./actions/astrology/BirthReportAction');
+const AskAstrologerAction = require('./actions/astrology/AskAstrologerAction');
+const AITwinAction = require('./actions/astrology/AITwinAction');
 
 // New medium-priority services
 const JaiminiAstrologyAction = require('./actions/astrology/JaiminiAstrologyAction');
@@ -64,6 +73,12 @@ const VarshaphalAction = require('./actions/astrology/VarshaphalAction');
 const SetLanguageAction = require('./actions/settings/SetLanguageAction');
 const ViewProfileAction = require('./actions/settings/ViewProfileAction');
 const UpdateProfileAction = require('./actions/settings/UpdateProfileAction');
+const ChartPreferencesAction = require('./actions/settings/ChartPreferencesAction');
+const CancelSubscriptionAction = require('./actions/settings/CancelSubscriptionAction');
+const PurchaseEntitlementAction = require('./actions/settings/PurchaseEntitlementAction');
+const ReferralAction = require('./actions/settings/ReferralAction');
+const RedeemLoyaltyPointsAction = require('./actions/settings/RedeemLoyaltyPointsAction');
+const TransitAlertsAction = require('./actions/settings/TransitAlertsAction');
 
 /**
  * ActionRegistryInitializer - Sets up and initializes the ActionRegistry with all available actions.
@@ -183,6 +198,11 @@ class ActionRegistryInitializer {
       PrashnaAstrologyAction.actionId,
       PrashnaAstrologyAction
     );
+    this.registry.registerAction(KPAstrologyAction.actionId, KPAstrologyAction);
+    this.registry.registerAction(
+      HellenisticTimeLordsAction.actionId,
+      HellenisticTimeLordsAction
+    );
     this.registry.registerAction(MuhurtaAction.actionId, MuhurtaAction);
     this.registry.registerAction(
       PanchangAnalysisAction.actionId,
@@ -241,6 +261,8 @@ class ActionRegistryInitializer {
       BusinessAstrologyAction.actionId,
       BusinessAstrologyAction
     );
+    this.registry.registerAction(GroupTimingAction.actionId, GroupTimingAction);
+    this.registry.registerAction(PeopleBookAction.actionId, PeopleBookAction);
     this.registry.registerAction(SolarReturnAction.actionId, SolarReturnAction);
     this.registry.registerAction(
       SecondaryProgressionsAction.actionId,
@@ -280,6 +302,14 @@ class ActionRegistryInitializer {
       PanchangAnalysisAction
     );
     this.registry.registerAction(FixedStarsAction.actionId, FixedStarsAction);
+    this.registry.registerAction(
+      AstrocartographyAction.actionId,
+      AstrocartographyAction
+    );
+    this.registry.registerAction(
+      TransitCalendarAction.actionId,
+      TransitCalendarAction
+    );
     this.registry.registerAction(LunarNodesAction.actionId, LunarNodesAction);
     this.registry.registerAction(
       TraditionalHoraryAction.actionId,
@@ -290,6 +320,12 @@ class ActionRegistryInitializer {
       RemedialMeasuresAction
     );
     this.registry.registerAction(VargaChartsAction.actionId, VargaChartsAction);
+    this.registry.registerAction(BirthReportAction.actionId, BirthReportAction);
+    this.registry.registerAction(
+      AskAstrologerAction.actionId,
+      AskAstrologerAction
+    );
+    this.registry.registerAction(AITwinAction.actionId, AITwinAction);
 
     // New medium-priority services
     this.registry.registerAction(
@@ -310,6 +346,27 @@ class ActionRegistryInitializer {
       UpdateProfileAction.actionId,
       UpdateProfileAction
     );
+    this.registry.registerAction(
+      ChartPreferencesAction.actionId,
+      ChartPreferencesAction
+    );
+    this.registry.registerAction(
+      CancelSubscriptionAction.actionId,
+      CancelSubscriptionAction
+    );
+    this.registry.registerAction(
+      PurchaseEntitlementAction.actionId,
+      PurchaseEntitlementAction
+    );
+    this.registry.registerAction(ReferralAction.actionId, ReferralAction);
+    this.registry.registerAction(
+      RedeemLoyaltyPointsAction.actionId,
+      RedeemLoyaltyPointsAction
+    );
+    this.registry.registerAction(
+      TransitAlertsAction.actionId,
+      TransitAlertsAction
+    );
     // Note: SetLanguageAction handles all individual language settings via dynamic languageCode
 
     logger.info('📝 Registered action classes with registry');
@@ -379,9 +436,30 @@ class ActionRegistryInitializer {
     );
     this.registry.registerKeyword('jyotish', VedicAstrologyAction.actionId);
     this.registry.registerKeyword('kundli', VedicKundliAction.actionId);
+    this.registry.registerKeyword('birth report', BirthReportAction.actionId);
+    this.registry.registerKeyword('pdf report', BirthReportAction.actionId);
+    this.registry.registerKeyword('monthly report', BirthReportAction.actionId);
+    for (const keyword of AITwinAction.keywords) {
+      this.registry.registerKeyword(keyword, AITwinAction.actionId);
+    }
     this.registry.registerKeyword('kaal sarp', KaalSarpAnalysisAction.actionId);
     this.registry.registerKeyword('prashan', PrashnaAstrologyAction.actionId);
     this.registry.registerKeyword('prashna', PrashnaAstrologyAction.actionId);
+    for (const keyword of KPAstrologyAction.keywords) {
+      this.registry.registerKeyword(keyword, KPAstrologyAction.actionId);
+    }
+    for (const keyword of HellenisticTimeLordsAction.keywords) {
+      this.registry.registerKeyword(
+        keyword,
+        HellenisticTimeLordsAction.actionId
+      );
+    }
+    for (const keyword of GroupTimingAction.keywords) {
+      this.registry.registerKeyword(keyword, GroupTimingAction.actionId);
+    }
+    for (const keyword of PeopleBookAction.keywords) {
+      this.registry.registerKeyword(keyword, PeopleBookAction.actionId);
+    }
     this.registry.registerKeyword('iching', IChingAction.actionId);
     this.registry.registerKeyword('palmistry', PalmistryAction.actionId);
     this.registry.registerKeyword('palm reading', PalmistryAction.actionId);
@@ -434,7 +512,9 @@ class ActionRegistryInitializer {
       MantraRecommendationAction.actionId
     );
     this.registry.registerKeyword('color therapy', ColorTherapyAction.actionId);
-    this.registry.registerKeyword('dasha', DashaAnalysisAction.actionId);
+    for (const keyword of DashaAnalysisAction.keywords) {
+      this.registry.registerKeyword(keyword, DashaAnalysisAction.actionId);
+    }
     this.registry.registerKeyword('panchang', PanchangAnalysisAction.actionId);
     this.registry.registerKeyword('calendar', PanchangAnalysisAction.actionId);
     this.registry.registerKeyword(
@@ -452,6 +532,12 @@ class ActionRegistryInitializer {
     );
     this.registry.registerKeyword('fixed stars', FixedStarsAction.actionId);
     this.registry.registerKeyword('stellar', FixedStarsAction.actionId);
+    for (const keyword of AstrocartographyAction.keywords) {
+      this.registry.registerKeyword(keyword, AstrocartographyAction.actionId);
+    }
+    for (const keyword of TransitCalendarAction.keywords) {
+      this.registry.registerKeyword(keyword, TransitCalendarAction.actionId);
+    }
     this.registry.registerKeyword('lunar nodes', LunarNodesAction.actionId);
     this.registry.registerKeyword('rahu ketu', LunarNodesAction.actionId);
     this.registry.registerKeyword('horary', TraditionalHoraryAction.actionId);
@@ -495,6 +581,34 @@ class ActionRegistryInitializer {
     this.registry.registerKeyword('languages', LanguageMenuAction.actionId);
     this.registry.registerKeyword('settings', 'show_main_menu'); // Will need to add settings menu
     this.registry.registerKeyword('language menu', LanguageMenuAction.actionId);
+    this.registry.registerKeyword(
+      'chart settings',
+      ChartPreferencesAction.actionId
+    );
+    this.registry.registerKeyword('ayanamsa', ChartPreferencesAction.actionId);
+    this.registry.registerKeyword(
+      'house system',
+      ChartPreferencesAction.actionId
+    );
+    this.registry.registerKeyword(
+      'chart style',
+      ChartPreferencesAction.actionId
+    );
+    for (const keyword of CancelSubscriptionAction.keywords) {
+      this.registry.registerKeyword(keyword, CancelSubscriptionAction.actionId);
+    }
+    for (const keyword of ReferralAction.keywords) {
+      this.registry.registerKeyword(keyword, ReferralAction.actionId);
+    }
+    for (const keyword of RedeemLoyaltyPointsAction.keywords) {
+      this.registry.registerKeyword(
+        keyword,
+        RedeemLoyaltyPointsAction.actionId
+      );
+    }
+    for (const keyword of TransitAlertsAction.keywords) {
+      this.registry.registerKeyword(keyword, TransitAlertsAction.actionId);
+    }
 
     logger.info('🔤 Registered keyword mappings');
   }
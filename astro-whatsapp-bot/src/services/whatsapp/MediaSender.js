@@ -1,5 +1,6 @@
 const logger = require('../../utils/logger');
 const { whatsappAPI } = require('./WhatsAppAPI');
+const { getOutboundDispatcher } = require('./outbound');
 
 /**
  * MediaSender - WhatsApp media message handling
@@ -9,6 +10,7 @@ class MediaSender {
   constructor() {
     this.logger = logger;
     this.whatsappAPI = whatsappAPI;
+    this.dispatcher = getOutboundDispatcher();
   }
 
   /**
@@ -32,7 +34,7 @@ class MediaSender {
     };
 
     try {
-      const response = await this.whatsappAPI.makeRequest('/messages', payload);
+      const response = await this.dispatcher.dispatch(payload, options);
       this.logger.info(
         `📤 Text message sent successfully to ${phoneNumber}: ${response.messages[0].id}`
       );
@@ -82,7 +84,7 @@ class MediaSender {
     }
 
     try {
-      const response = await this.whatsappAPI.makeRequest('/messages', payload);
+      const response = await this.dispatcher.dispatch(payload, options);
       this.logger.info(
         `📷 ${mediaType} message sent successfully to ${phoneNumber}: ${response.messages[0].id}`
       );
@@ -157,6 +159,49 @@ class MediaSender {
     );
   }
 
+  /**
+   * Upload generated media and send it in one step
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} mediaType - Media type (image/video/audio/document)
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { mimeType, filename, caption }
+   * @returns {Promise<Object>} API response
+   */
+  async sendMediaBuffer(phoneNumber, mediaType, buffer, options = {}) {
+    const { mimeType, filename, caption = '' } = options;
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new Error(`Cannot send empty ${mediaType} to ${phoneNumber}`);
+    }
+
+    const mediaId = await this.whatsappAPI.uploadMedia(
+      buffer,
+      mimeType,
+      filename
+    );
+    return this.sendMediaMessage(
+      phoneNumber,
+      mediaType,
+      mediaId,
+      caption,
+      filename ? { filename } : {}
+    );
+  }
+
+  /**
+   * Upload and send a generated PNG image
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {Buffer} buffer - PNG bytes
+   * @param {string} caption - Image caption
+   * @returns {Promise<Object>} API response
+   */
+  async sendImageBuffer(phoneNumber, buffer, caption = '') {
+    return this.sendMediaBuffer(phoneNumber, 'image', buffer, {
+      mimeType: 'image/png',
+      filename: 'chart.png',
+      caption
+    });
+  }
+
   /**
    * Universal message sender wrapper
    * @param {string} phoneNumber - Recipient phone number
@@ -218,11 +263,15 @@ class MediaSender {
       return String(text || '').substring(0, maxLength);
     }
 
-    // Clean up line endings and truncate
-    return text
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .substring(0, maxLength);
+    // Clean up line endings; MessageSender splits long text before this,
+    // so truncation here means a caller bypassed it
+    const normalized = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+    if (normalized.length > maxLength) {
+      this.logger.warn(
+        `✂️ Truncating ${normalized.length} characters to ${maxLength}`
+      );
+    }
+    return normalized.substring(0, maxLength);
   }
 
   /**
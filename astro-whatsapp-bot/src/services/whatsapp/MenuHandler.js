@@ -1,7 +1,11 @@
 const logger = require('../../utils/logger');
+const { getStateNamespace } = require('../state');
 
-// Simple in-memory store for numbered menu mappings (in production, use Redis/DB)
-const numberedMenuMappings = new Map();
+// Numbered menu mappings by phone number, shared so the reply to a menu
+// works whichever instance receives it
+const numberedMenuMappings = getStateNamespace('menus', {
+  ttlMs: 24 * 60 * 60 * 1000
+});
 
 /**
  * MenuHandler - WhatsApp menu fallback and mapping management
@@ -16,16 +20,11 @@ class MenuHandler {
    * Create numbered fallback menu when interactive list fails
    * @param {Object} message - Original interactive message object
    * @param {string} phoneNumber - User's phone number
-   * @returns {string} Numbered menu text
+   * @returns {Promise<string>} Numbered menu text
    */
-  createNumberedMenuFallback(message, phoneNumber) {
+  async createNumberedMenuFallback(message, phoneNumber) {
     const sections = message.sections || [];
 
-    // Store mappings first
-    if (!numberedMenuMappings.has(phoneNumber)) {
-      numberedMenuMappings.set(phoneNumber, {});
-    }
-
     let menuText = '📋 *Menu Options:*\n\n';
 
     // Add the main menu body if available
@@ -67,7 +66,7 @@ class MenuHandler {
     });
 
     // Store mappings
-    numberedMenuMappings.set(phoneNumber, menuMappings);
+    await numberedMenuMappings.set(phoneNumber, menuMappings);
     this.logger.info(
       `🔢 Stored ${Object.keys(menuMappings).length} menu mappings for ${phoneNumber}`
     );
@@ -82,10 +81,10 @@ class MenuHandler {
    * Find action ID from numbered input or text match
    * @param {string} phoneNumber - User's phone number
    * @param {string} userInput - User's text input
-   * @returns {string|null} Action ID or null if not found
+   * @returns {Promise<string|null>} Action ID or null if not found
    */
-  getNumberedMenuAction(phoneNumber, userInput) {
-    const userMappings = numberedMenuMappings.get(phoneNumber);
+  async getNumberedMenuAction(phoneNumber, userInput) {
+    const userMappings = await numberedMenuMappings.get(phoneNumber);
     if (!userMappings) {
       this.logger.debug(`No menu mappings found for ${phoneNumber}`);
       return null;
@@ -129,11 +128,10 @@ class MenuHandler {
   /**
    * Clear numbered menu mappings for a user
    * @param {string} phoneNumber - User's phone number
-   * @returns {boolean} True if mappings were cleared
+   * @returns {Promise<boolean>} True if mappings were cleared
    */
-  clearNumberedMenuMappings(phoneNumber) {
-    const hadMappings = numberedMenuMappings.has(phoneNumber);
-    numberedMenuMappings.delete(phoneNumber);
+  async clearNumberedMenuMappings(phoneNumber) {
+    const hadMappings = await numberedMenuMappings.delete(phoneNumber);
 
     if (hadMappings) {
       this.logger.info(`🗑️ Cleared menu mappings for ${phoneNumber}`);
@@ -145,10 +143,10 @@ class MenuHandler {
   /**
    * Get menu statistics for a user
    * @param {string} phoneNumber - User's phone number
-   * @returns {Object} Menu statistics
+   * @returns {Promise<Object>} Menu statistics
    */
-  getMenuStats(phoneNumber) {
-    const mappings = numberedMenuMappings.get(phoneNumber);
+  async getMenuStats(phoneNumber) {
+    const mappings = await numberedMenuMappings.get(phoneNumber);
 
     return {
       hasMappings: !!mappings,
@@ -159,50 +157,28 @@ class MenuHandler {
 
   /**
    * Get all active menu mappings (admin/stats function)
-   * @returns {Object} All active menu mappings by phone number
+   * @param {number} limit - Maximum users listed
+   * @returns {Promise<Object>} All active menu mappings by phone number
    */
-  getAllActiveMenus() {
+  async getAllActiveMenus(limit = 1000) {
     const activeMenus = {};
-
-    for (const [phoneNumber, mappings] of numberedMenuMappings.entries()) {
-      activeMenus[phoneNumber] = {
-        mappings,
-        count: Object.keys(mappings).length
-      };
+    let totalMappings = 0;
+
+    for (const [phoneNumber, mappings] of await numberedMenuMappings.entries(
+      limit
+    )) {
+      const count = Object.keys(mappings).length;
+      activeMenus[phoneNumber] = { mappings, count };
+      totalMappings += count;
     }
 
     return {
       activeMenus,
-      totalActiveUsers: numberedMenuMappings.size,
-      totalMappings: Array.from(numberedMenuMappings.values()).reduce(
-        (total, mappings) => total + Object.keys(mappings).length,
-        0
-      )
+      totalActiveUsers: Object.keys(activeMenus).length,
+      totalMappings
     };
   }
 
-  /**
-   * Clear all expired/old menu mappings
-   * @param {number} maxAgeHours - Maximum age in hours (default: 24)
-   * @returns {number} Number of mappings cleared
-   */
-  clearExpiredMappings(maxAgeHours = 24) {
-    // In a real system, we'd track timestamps for each mapping
-    // For now, this is a placeholder for future implementation
-    this.logger.info(
-      `🧹 Menu cleanup requested - would clean mappings older than ${maxAgeHours} hours`
-    );
-
-    // Simple implementation: for large numbers, do periodic cleanup
-    if (numberedMenuMappings.size > 100) {
-      numberedMenuMappings.clear();
-      this.logger.info('🧹 Cleared all menu mappings due to high volume');
-      return numberedMenuMappings.size;
-    }
-
-    return 0;
-  }
-
   /**
    * Sanitize menu title for display
    * @private
@@ -247,16 +223,10 @@ class MenuHandler {
    */
   healthCheck() {
     try {
-      const activeMappings = Array.from(numberedMenuMappings.values()).reduce(
-        (total, mappings) => total + Object.keys(mappings).length,
-        0
-      );
-
       return {
         healthy: true,
-        activeUsers: numberedMenuMappings.size,
-        totalMappings: activeMappings,
-        memoryUsage: `${(activeMappings * 0.1).toFixed(2)} KB estimated`,
+        stateBackend: numberedMenuMappings.backend,
+        mappingTtlHours: numberedMenuMappings.ttlMs / (60 * 60 * 1000),
         version: '1.0.0',
         features: ['Numbered Menus', 'Fallback Handling', 'Input Matching'],
         status: 'Operational'
@@ -0,0 +1,375 @@
+const logger = require('../../utils/logger');
+const { getStateNamespace } = require('../state');
+
+// WhatsApp Cloud API field limits, in characters
+const LIMITS = Object.freeze({
+  textBody: 4096,
+  interactiveBody: 1024,
+  caption: 1024,
+  header: 60,
+  footer: 60,
+  buttonTitle: 20,
+  buttonId: 256,
+  listButton: 20,
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+  rowId: 200,
+  listRows: 10
+});
+
+// Button id of the "Continue" button under a part of a long message
+const CONTINUE_BUTTON_ID = 'continue_message';
+
+// Room kept free in each part for its "(1/3)" label and code fences
+const PART_RESERVE = 24;
+
+// Parts of long messages waiting for "Continue", by phone number
+const pendingParts = getStateNamespace('outbound_parts', {
+  ttlMs: 60 * 60 * 1000
+});
+
+const FENCE = '```';
+
+// Sentence ends across scripts: Latin, Devanagari/Bengali and Arabic/Urdu
+// ones before a space, CJK ones anywhere (those scripts use no spaces)
+const SENTENCE_END = /[.!?।॥؟۔](?=\s|$)|[。！？]/g;
+
+/**
+ * Intl.Segmenter for a language, falling back to the root locale for
+ * codes Intl does not know
+ * @private
+ */
+const segmenter = (language, granularity) => {
+  const [locale] = Intl.Segmenter.supportedLocalesOf(language || 'en');
+  return new Intl.Segmenter(locale, { granularity });
+};
+
+/**
+ * Drop WhatsApp markup for fields that show it literally (buttons, list
+ * rows, headers)
+ * @param {string} text - Text with *bold*, _italic_, ~strike~ or `code`
+ * @returns {string} Plain text on one line
+ */
+const stripFormatting = text =>
+  String(text || '')
+    .replace(/```/g, '')
+    .replace(/([*_~`])(\S(?:[^\n]*?\S)?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Graphemes of a text that fit a length, so emoji sequences, accents and
+ * Indic conjuncts are never cut in half
+ * @private
+ */
+const fitGraphemes = (text, limit, language) => {
+  let result = '';
+  for (const { segment } of segmenter(language, 'grapheme').segment(text)) {
+    if (result.length + segment.length > limit) {
+      break;
+    }
+    result += segment;
+  }
+  return result;
+};
+
+/**
+ * Shorten a label to a WhatsApp field limit. Markup is dropped first, then
+ * any parenthesised aside; what is still too long is cut at the last whole
+ * word (by the language's own word rules, so scripts without spaces work)
+ * or, failing that, the last whole grapheme, and ends in "…".
+ * @param {string} text - Label
+ * @param {number} limit - Maximum length
+ * @param {string} language - Language code
+ * @returns {string} Label within the limit
+ */
+const abbreviate = (text, limit, language = 'en') => {
+  const plain = stripFormatting(text);
+  if (plain.length <= limit) {
+    return plain;
+  }
+  const withoutAsides = plain
+    .replace(/\s*[([（【][^)\]）】]*[)\]）】]/g, '')
+    .trim();
+  if (withoutAsides && withoutAsides.length <= limit) {
+    return withoutAsides;
+  }
+
+  const source = withoutAsides || plain;
+  let words = '';
+  for (const { segment } of segmenter(language, 'word').segment(source)) {
+    if (words.length + segment.length > limit - 1) {
+      break;
+    }
+    words += segment;
+  }
+  words = words.replace(/[\s\p{P}]+$/u, '');
+  // A word cut that throws away more than half the room reads worse
+  const cut =
+    words.length >= limit / 2 ?
+      words :
+      fitGraphemes(source, limit - 1, language);
+  return `${cut.trimEnd()}…`;
+};
+
+/**
+ * Where to end a part within `budget` characters of the text: the last
+ * section break, else line break, else sentence end, else space; a
+ * grapheme boundary when the window has none of them
+ * @private
+ */
+const findCut = (text, budget, language) => {
+  const window = text.slice(0, budget);
+  // Parts much shorter than the window would waste messages
+  const floor = Math.floor(window.length / 3);
+  const paragraph = window.lastIndexOf('\n\n');
+  if (paragraph > floor) {
+    return paragraph;
+  }
+  const line = window.lastIndexOf('\n');
+  if (line > floor) {
+    return line;
+  }
+  let sentence = -1;
+  for (const match of window.matchAll(SENTENCE_END)) {
+    sentence = match.index + 1;
+  }
+  if (sentence > floor) {
+    return sentence;
+  }
+  const space = window.lastIndexOf(' ');
+  if (space > floor) {
+    return space;
+  }
+  return fitGraphemes(text, budget, language).length;
+};
+
+/**
+ * Split text into parts of at most `limit` characters on section
+ * boundaries. A code block cut in two is closed at the end of one part and
+ * reopened at the start of the next so both still render.
+ * @param {string} text - Text
+ * @param {number} limit - Maximum part length
+ * @param {string} language - Language code, for grapheme and word rules
+ * @returns {Array<string>} Parts, unlabelled
+ */
+const splitText = (text, limit, language = 'en') => {
+  const normalized = String(text || '').replace(/\r\n?/g, '\n');
+  if (normalized.length <= limit) {
+    return [normalized];
+  }
+
+  const parts = [];
+  let rest = normalized;
+  let reopen = false;
+  while (rest) {
+    const prefix = reopen ? `${FENCE}\n` : '';
+    const budget = limit - prefix.length - FENCE.length - 1;
+    if (prefix.length + rest.length <= limit) {
+      parts.push(prefix + rest);
+      break;
+    }
+    const cut = findCut(rest, budget, language) || budget;
+    let part = prefix + rest.slice(0, cut).trimEnd();
+    rest = rest.slice(cut).replace(/^\s+/, '');
+
+    reopen = (part.split(FENCE).length - 1) % 2 === 1;
+    if (reopen) {
+      part += `\n${FENCE}`;
+    }
+    parts.push(part);
+  }
+  return parts;
+};
+
+/**
+ * OutboundComposer - Fits outbound messages to WhatsApp's limits
+ * Long text is split on section boundaries into numbered parts; when
+ * paginated, the parts after the first wait for a "Continue" button.
+ * Button, list, header and footer fields are abbreviated to their limits
+ * with their markup dropped, instead of being rejected by WhatsApp.
+ */
+class OutboundComposer {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Split a text message into numbered parts
+   * @param {string} text - Message text
+   * @param {Object} options - Options
+   * @param {number} options.limit - Part length (default text body limit)
+   * @param {string} options.language - Language code
+   * @returns {Array<string>} Parts, labelled "(1/3)" when there are several
+   */
+  composeText(text, { limit = LIMITS.textBody, language = 'en' } = {}) {
+    const normalized = String(text || '').replace(/\r\n?/g, '\n');
+    if (normalized.length <= limit) {
+      return [normalized];
+    }
+    const parts = splitText(normalized, limit - PART_RESERVE, language);
+    return parts.map(
+      (part, index) => `*(${index + 1}/${parts.length})*\n${part}`
+    );
+  }
+
+  /**
+   * Split an interactive body: the last part that fits the interactive
+   * limit stays with the buttons or list, the rest goes ahead as text
+   * @param {string} body - Body text
+   * @param {string} language - Language code
+   * @returns {Object} { lead: text to send first or '', body }
+   */
+  composeInteractiveBody(body, language = 'en') {
+    const text = String(body || '');
+    if (text.length <= LIMITS.interactiveBody) {
+      return { lead: '', body: text };
+    }
+    const parts = splitText(text, LIMITS.interactiveBody, language);
+    const last = parts.pop();
+    return { lead: parts.join('\n\n'), body: last };
+  }
+
+  /**
+   * Reply buttons within WhatsApp's limits: at most three, titles of at
+   * most 20 characters and unique, as WhatsApp requires
+   * @param {Array<Object>} buttons - [{ type: 'reply', reply: { id, title } }]
+   * @param {string} language - Language code
+   * @returns {Array<Object>} Fitted buttons
+   */
+  fitButtons(buttons, language = 'en') {
+    const seen = new Set();
+    return (buttons || []).slice(0, 3).map((button, index) => {
+      const reply = button.reply || button;
+      let title = abbreviate(
+        reply.title || reply.id,
+        LIMITS.buttonTitle,
+        language
+      );
+      if (seen.has(title)) {
+        const suffix = ` ${index + 1}`;
+        const room = LIMITS.buttonTitle - suffix.length;
+        title = `${abbreviate(title, room, language)}${suffix}`;
+      }
+      seen.add(title);
+      return {
+        ...button,
+        type: 'reply',
+        reply: { id: String(reply.id).substring(0, LIMITS.buttonId), title }
+      };
+    });
+  }
+
+  /**
+   * A list message's button and sections within WhatsApp's limits
+   * @param {string} buttonText - List button text
+   * @param {Array<Object>} sections - [{ title, rows: [{ id, title,
+   *   description }] }]
+   * @param {string} language - Language code
+   * @returns {Object} { buttonText, sections }
+   * @throws {Error} When the list has more rows than WhatsApp shows; callers
+   *   fall back to a numbered menu rather than drop options
+   */
+  fitList(buttonText, sections, language = 'en') {
+    const rowCount = (sections || []).reduce(
+      (total, section) => total + (section.rows || []).length,
+      0
+    );
+    if (rowCount > LIMITS.listRows) {
+      throw new Error(
+        `List has ${rowCount} rows; WhatsApp shows at most ${LIMITS.listRows}`
+      );
+    }
+    return {
+      buttonText: abbreviate(buttonText, LIMITS.listButton, language),
+      sections: (sections || []).map(section => ({
+        ...section,
+        ...(section.title && {
+          title: abbreviate(section.title, LIMITS.sectionTitle, language)
+        }),
+        rows: (section.rows || []).map(row => ({
+          ...row,
+          id: String(row.id).substring(0, LIMITS.rowId),
+          title: abbreviate(row.title || row.id, LIMITS.rowTitle, language),
+          ...(row.description && {
+            description: abbreviate(
+              row.description,
+              LIMITS.rowDescription,
+              language
+            )
+          })
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Keep the parts after the first until the user taps "Continue"
+   * @param {string} phoneNumber - Recipient
+   * @param {Array<string>} parts - Remaining parts, in order
+   * @param {number} total - Number of parts in the whole message
+   * @returns {Promise<void>}
+   */
+  holdParts(phoneNumber, parts, total) {
+    return pendingParts.set(phoneNumber, { parts: [...parts], total });
+  }
+
+  /**
+   * Take the next waiting part
+   * @param {string} phoneNumber - Recipient
+   * @returns {Promise<Object|null>} { part, number, total, remaining },
+   *   null when nothing waits or it expired
+   */
+  async nextPart(phoneNumber) {
+    let taken = null;
+    // Taken in one step, so a double tap never sends a part twice
+    await pendingParts.update(phoneNumber, pending => {
+      if (!pending || !pending.parts.length) {
+        return null;
+      }
+      taken = { part: pending.parts.shift(), total: pending.total };
+      taken.remaining = pending.parts.length;
+      return pending.parts.length ? pending : null;
+    });
+    return (
+      taken && {
+        part: taken.part,
+        number: taken.total - taken.remaining,
+        total: taken.total,
+        remaining: taken.remaining
+      }
+    );
+  }
+
+  /**
+   * Forget any waiting parts, e.g. when a new long message replaces them
+   * @param {string} phoneNumber - Recipient
+   * @returns {Promise<boolean>} Whether parts were waiting
+   */
+  clearParts(phoneNumber) {
+    return pendingParts.delete(phoneNumber);
+  }
+
+  /**
+   * Health check for OutboundComposer
+   * @returns {Object} Health status
+   */
+  healthCheck() {
+    return {
+      healthy: true,
+      stateBackend: pendingParts.backend,
+      limits: LIMITS,
+      status: 'Operational'
+    };
+  }
+}
+
+module.exports = {
+  OutboundComposer,
+  LIMITS,
+  CONTINUE_BUTTON_ID,
+  abbreviate,
+  splitText,
+  stripFormatting
+};
@@ -1,6 +1,7 @@
 const logger = require('../../utils/logger');
 const translationService = require('../i18n/TranslationService');
 const { whatsappAPI } = require('./WhatsAppAPI');
+const { getOutboundDispatcher } = require('./outbound');
 
 /**
  * TemplateManager - Interactive message templates and formatting
@@ -11,6 +12,7 @@ class TemplateManager {
     this.logger = logger;
     this.translationService = translationService;
     this.whatsappAPI = whatsappAPI;
+    this.dispatcher = getOutboundDispatcher();
   }
 
   /**
@@ -36,7 +38,7 @@ class TemplateManager {
     };
 
     try {
-      const response = await this.whatsappAPI.makeRequest('/messages', payload);
+      const response = await this.dispatcher.dispatch(payload, options);
       this.logger.info(
         `🖱️ Interactive message sent successfully to ${phoneNumber}: ${response.messages[0].id}`
       );
@@ -77,7 +79,7 @@ class TemplateManager {
     };
 
     try {
-      const response = await this.whatsappAPI.makeRequest('/messages', payload);
+      const response = await this.dispatcher.dispatch(payload, options);
       const messageId = response?.messages?.[0]?.id;
       this.logger.info(
         `📋 List message sent successfully to ${phoneNumber}: ${messageId || 'unknown'}`
@@ -98,13 +100,15 @@ class TemplateManager {
    * @param {string} templateName - Name of template
    * @param {string} languageCode - Language code
    * @param {Array} components - Template components
+   * @param {Object} options - Additional options ({ critical })
    * @returns {Promise<Object>} API response
    */
   async sendTemplateMessage(
     phoneNumber,
     templateName,
     languageCode = 'en',
-    components = []
+    components = [],
+    options = {}
   ) {
     const payload = {
       messaging_product: 'whatsapp',
@@ -118,7 +122,7 @@ class TemplateManager {
     };
 
     try {
-      const response = await this.whatsappAPI.makeRequest('/messages', payload);
+      const response = await this.dispatcher.dispatch(payload, options);
       this.logger.info(
         `📝 Template message sent successfully to ${phoneNumber}: ${response.messages[0].id}`
       );
@@ -257,12 +261,16 @@ class TemplateManager {
     }
 
     // Remove or replace problematic characters
-    const sanitized = text
+    const normalized = text
       .replace(/\r\n/g, '\n') // Normalize line endings
-      .replace(/\r/g, '\n')
-      .substring(0, maxLength);
+      .replace(/\r/g, '\n');
+    if (normalized.length > maxLength) {
+      this.logger.warn(
+        `✂️ Truncating ${normalized.length} characters to ${maxLength}`
+      );
+    }
 
-    return sanitized;
+    return normalized.substring(0, maxLength);
   }
 
   /**
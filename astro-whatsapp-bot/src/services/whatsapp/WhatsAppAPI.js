@@ -75,6 +75,45 @@ class WhatsAppAPI {
     }
   }
 
+  /**
+   * Upload media to WhatsApp so it can be sent by ID
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type (e.g. 'image/png', 'application/pdf')
+   * @param {string} filename - File name reported to WhatsApp
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadMedia(buffer, mimeType, filename = 'file', timeout = 60000) {
+    const { accessToken, phoneNumberId } = this.getCredentials();
+
+    if (!this.validateCredentials()) {
+      throw new Error('WhatsApp API credentials not configured');
+    }
+
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+    try {
+      const response = await axios.post(
+        `${this.apiUrl}/${phoneNumberId}/media`,
+        form,
+        {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout
+        }
+      );
+
+      logger.info(
+        `📎 Media uploaded (${mimeType}, ${buffer.length} bytes): ${response.data.id}`
+      );
+      return response.data.id;
+    } catch (error) {
+      throw this.handleApiError(error, 'media upload');
+    }
+  }
+
   /**
    * Handle WhatsApp API errors with specific error codes
    * @param {Error} error - Axios error object
@@ -108,7 +147,36 @@ class WhatsAppAPI {
 
     logger.error(`❌ WhatsApp API ${context} failed: ${message}`);
 
-    return new Error(message);
+    // Keep what OutboundDispatcher needs to decide on a retry
+    const formatted = new Error(message);
+    formatted.status = status;
+    formatted.code = errorData?.error?.code ?? error.code;
+    const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (retryAfter > 0) {
+      formatted.retryAfter = retryAfter;
+    }
+    return formatted;
+  }
+
+  /**
+   * Look up the business phone number, which proves the credentials work
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<Object>} { display_phone_number, verified_name,
+   *   quality_rating, id }
+   */
+  async getPhoneNumberInfo(timeout = 10000) {
+    const { accessToken, phoneNumberId } = this.getCredentials();
+
+    try {
+      const response = await axios.get(`${this.apiUrl}/${phoneNumberId}`, {
+        params: { fields: 'display_phone_number,verified_name,quality_rating' },
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout
+      });
+      return response.data;
+    } catch (error) {
+      throw this.handleApiError(error, 'phone number lookup');
+    }
   }
 
   /**
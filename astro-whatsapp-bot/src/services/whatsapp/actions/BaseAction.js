@@ -1,6 +1,14 @@
 const logger = require('../../../utils/logger');
 const translationService = require('../../i18n/TranslationService');
 const paymentService = require('../../payment/paymentService');
+const {
+  getEntitlementLedger,
+  ENTITLEMENTS
+} = require('../../payment/entitlements');
+const { getActionConfig } = require('./config/ActionConfig');
+
+// Shown in purchase prompts
+const CURRENCY_SYMBOLS = { INR: '₹', AED: 'AED ', AUD: 'A$' };
 
 /**
  * Base class for all menu actions in the astrology bot.
@@ -79,6 +87,119 @@ class BaseAction {
     return paymentService.getSubscriptionBenefits(this.user);
   }
 
+  /**
+   * Entitlement one run of the action consumes, if any. Declared with
+   * `entitlement` in the action's ActionConfig entry; actions that only
+   * charge for some steps override this.
+   * @returns {string|null} Entitlement key (see EntitlementCatalog)
+   */
+  requiredEntitlement() {
+    return getActionConfig(this.constructor.actionId).entitlement || null;
+  }
+
+  /**
+   * Run the action behind its entitlement gate: one unit is consumed up
+   * front and given back if the action fails, and a user with nothing left
+   * gets a purchase prompt instead. If the ledger itself is unavailable
+   * the action runs unmetered.
+   * @returns {Promise<Object|null>} Action result
+   */
+  async run() {
+    const entitlement = this.requiredEntitlement();
+    if (!entitlement || !this.user) {
+      return this.execute();
+    }
+
+    const actionId = this.constructor.actionId;
+    const ledger = getEntitlementLedger();
+    let credit;
+    try {
+      credit = await ledger.consume(this.user, entitlement, actionId);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ Entitlement check failed for ${this.phoneNumber}, running unmetered:`,
+        error.message
+      );
+      return this.execute();
+    }
+    if (!credit) {
+      await this.sendPurchasePrompt(entitlement);
+      return { success: false, reason: 'entitlement_required', entitlement };
+    }
+
+    let result;
+    try {
+      result = await this.execute();
+    } catch (error) {
+      await this.refundEntitlement(ledger, credit);
+      throw error;
+    }
+    if (!result || result.success === false) {
+      await this.refundEntitlement(ledger, credit);
+    }
+    return result;
+  }
+
+  /**
+   * Whether the user has a unit of an entitlement left, for actions that
+   * check before a multi-step flow and consume at its end
+   * @param {string} entitlement - Entitlement key
+   * @returns {Promise<boolean>} True if a unit is available
+   */
+  async hasEntitlement(entitlement) {
+    try {
+      const balance = await getEntitlementLedger().balance(
+        this.user,
+        entitlement
+      );
+      return balance.unlimited || balance.remaining > 0;
+    } catch (error) {
+      this.logger.warn('Error checking entitlement balance:', error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Offer a single purchase of an entitlement the user has run out of
+   * @param {string} entitlement - Entitlement key
+   */
+  async sendPurchasePrompt(entitlement) {
+    const { name } = ENTITLEMENTS[entitlement];
+    const service = paymentService.microServices[entitlement];
+    const region = paymentService.detectRegion(this.phoneNumber);
+    const currency =
+      region === 'india' ? 'INR' : region === 'uae' ? 'AED' : 'AUD';
+    const price = `${CURRENCY_SYMBOLS[currency]}${service.price[currency]}`;
+
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: `🔒 *${name}*\n\nYou've used all the ${name} credits included in your plan. Get one now for ${price}, or send *upgrade* for a plan with more each month.`,
+        buttons: [
+          { id: `buy_entitlement_${entitlement}`, title: `Buy for ${price}` },
+          { id: 'show_main_menu', title: '🏠 Main Menu' }
+        ]
+      },
+      'interactive'
+    );
+  }
+
+  /**
+   * @private
+   * @param {Object} ledger - EntitlementLedger
+   * @param {Object} credit - Consumed credit
+   */
+  async refundEntitlement(ledger, credit) {
+    try {
+      await ledger.refund(credit, this.constructor.actionId);
+    } catch (error) {
+      this.logger.error(
+        `❌ Could not refund entitlement for ${this.phoneNumber}:`,
+        error
+      );
+    }
+  }
+
   /**
    * Execute the action
    * Must be implemented by subclasses
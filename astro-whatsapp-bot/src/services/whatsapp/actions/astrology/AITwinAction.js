@@ -0,0 +1,156 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const { sendMessage } = require('../../messageSender');
+const { setUserSession } = require('../../../../models/userModel');
+const { getAITwinService } = require('../../../ai');
+
+// Keywords for each twin command; any other text is chat with the twin
+const COMMANDS = {
+  'ai twin': 'start',
+  'my twin': 'start',
+  'talk to my twin': 'start',
+  'twin memory': 'memory',
+  'twin memories': 'memory',
+  'twin forget': 'forget',
+  'forget twin memory': 'forget',
+  'exit twin': 'exit',
+  'stop twin': 'exit'
+};
+
+/**
+ * AITwinAction - Chat with the user's AI Twin and manage its memory
+ * Started with a keyword; while the session's `context.aiTwinActive` flag is
+ * set, MessageRouter sends unmapped text here in `data.message`. "menu" or
+ * "exit twin" leaves the chat.
+ */
+class AITwinAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'ai_twin';
+  }
+
+  /**
+   * Keywords that start or manage the twin
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return Object.keys(COMMANDS);
+  }
+
+  /**
+   * Execute the twin command or chat message
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    const message = ((this.data && this.data.message) || '').trim();
+    const command = message ?
+      COMMANDS[message.toLowerCase()] || 'chat' :
+      'start';
+
+    try {
+      switch (command) {
+      case 'memory':
+        return await this.showMemory();
+      case 'forget':
+        return await this.forget();
+      case 'exit':
+        return await this.exit();
+      default:
+        return await this.converse(command, message);
+      }
+    } catch (error) {
+      this.logger.error('Error in AITwinAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Introduce the twin or answer a chat message
+   * @param {string} command - 'start' or 'chat'
+   * @param {string} message - Chat message
+   * @returns {Promise<Object>} Action result
+   */
+  async converse(command, message) {
+    const validation = await this.validateProfileAndLimits(
+      'AI Twin',
+      'ai_twin'
+    );
+    if (!validation.success) {
+      return validation;
+    }
+    const twin = getAITwinService();
+
+    if (command === 'start') {
+      this.logAstrologyExecution('start', 'Opening AI Twin chat');
+      const personality = await twin.getPersonality(this.user);
+      await setUserSession(this.phoneNumber, { 'context.aiTwinActive': true });
+      await sendMessage(
+        this.phoneNumber,
+        `🪞 *Your AI Twin*\n\n${personality.summary}\n\nTell me what is on your mind. I remember our earlier talks and your readings.\n\nSend *twin memory* to see what I remember, *twin forget* to erase it, or *exit twin* to leave.`,
+        'text'
+      );
+      return { success: true, type: 'ai_twin', command };
+    }
+
+    const result = await twin.chat(this.user, message);
+    await sendMessage(this.phoneNumber, result.text, 'text');
+    this.logAstrologyExecution('complete', 'AI Twin reply sent', {
+      provider: result.provider
+    });
+    return {
+      success: true,
+      type: 'ai_twin',
+      command,
+      provider: result.provider
+    };
+  }
+
+  /**
+   * Send what the twin remembers
+   * @returns {Promise<Object>} Action result
+   */
+  async showMemory() {
+    await sendMessage(
+      this.phoneNumber,
+      getAITwinService().describeMemory(this.user),
+      'text'
+    );
+    return { success: true, type: 'ai_twin', command: 'memory' };
+  }
+
+  /**
+   * Erase the twin's memory and personality
+   * @returns {Promise<Object>} Action result
+   */
+  async forget() {
+    const erased = await getAITwinService().forget(this.user);
+    await sendMessage(
+      this.phoneNumber,
+      `🧹 Your AI Twin has forgotten ${erased} ${erased === 1 ? 'note' : 'notes'} and its personality profile. New conversations and readings will be remembered from now on.`,
+      'text'
+    );
+    return { success: true, type: 'ai_twin', command: 'forget', erased };
+  }
+
+  /**
+   * Leave the twin chat
+   * @returns {Promise<Object>} Action result
+   */
+  async exit() {
+    await setUserSession(this.phoneNumber, { 'context.aiTwinActive': false });
+    await sendMessage(
+      this.phoneNumber,
+      '👋 You have left your AI Twin. Send *ai twin* any time to pick up where you left off.',
+      'text'
+    );
+    return { success: true, type: 'ai_twin', command: 'exit' };
+  }
+}
+
+module.exports = AITwinAction;
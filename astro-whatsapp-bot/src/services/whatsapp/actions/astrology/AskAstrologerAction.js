@@ -0,0 +1,64 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const { sendMessage } = require('../../messageSender');
+const { getAIAstrologerService } = require('../../../ai');
+
+/**
+ * AskAstrologerAction - Answers a free-text question with the AI astrologer
+ * Reached from MessageRouter when no keyword matches; the question arrives
+ * in `data.question`.
+ */
+class AskAstrologerAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'ask_ai_astrologer';
+  }
+
+  /**
+   * Execute the AI answer
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      const question = (this.data && this.data.question) || '';
+      if (!question.trim()) {
+        return { success: false, reason: 'empty_question' };
+      }
+
+      const validation = await this.validateProfileAndLimits(
+        'AI Astrologer',
+        'ai_astrologer'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      this.logAstrologyExecution('start', 'Answering free-text question');
+      const result = await getAIAstrologerService().answer(this.user, question);
+      await sendMessage(this.phoneNumber, result.text, 'text');
+      await this.rememberForTwin('question', question, result.answer);
+
+      this.logAstrologyExecution('complete', 'AI answer sent', {
+        provider: result.provider,
+        citations: result.citations.map(factor => factor.id)
+      });
+      return {
+        success: true,
+        type: 'ai_astrologer',
+        provider: result.provider,
+        citations: result.citations.length
+      };
+    } catch (error) {
+      this.logger.error('Error in AskAstrologerAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = AskAstrologerAction;
@@ -0,0 +1,131 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const astrocartographyReader = require('../../../astrology/astrocartographyReader');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+
+/**
+ * AstrocartographyAction - The user's planetary lines: which run near
+ * their birthplace, or near the city in `data.place` (from
+ * "astrocartography Lisbon", see MessageRouter), which cities lie on their
+ * best and hardest lines, and a world map of every line.
+ * `data.maxKm` widens or narrows how far a line may pass from the city.
+ */
+class AstrocartographyAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'get_astrocartography_analysis';
+  }
+
+  /**
+   * Keywords that open the reading for the birthplace
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'astrocartography',
+      'astro cartography',
+      'relocation astrology',
+      'planetary lines'
+    ];
+  }
+
+  /**
+   * Execute the astrocartography reading and send the map
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      this.logAstrologyExecution('start', 'Mapping planetary lines');
+
+      const validation = await this.validateProfileAndLimits(
+        'Astrocartography',
+        'astrocartography'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const { place, maxKm } = this.data || {};
+      const reading = await astrocartographyReader.generateAstrocartography(
+        toServiceBirthData(this.user),
+        { place, maxKm }
+      );
+      if (reading.unknownPlace) {
+        await this.sendMessage(
+          `🗺️ I couldn't find *${reading.unknownPlace}*. Try the city with its country, e.g. *astrocartography Lisbon, Portugal*.`
+        );
+        return { success: false, reason: 'unknown_place' };
+      }
+      if (reading.error) {
+        throw new Error(reading.error);
+      }
+
+      await this.buildAstrologyResponse(
+        reading.astrocartographyDescription,
+        this.getAstrocartographyButtons()
+      );
+      const imageSent = await this.sendRenderedImage(
+        () => astrocartographyReader.renderMap(reading),
+        '🗺️ Your planetary lines'
+      );
+
+      this.logAstrologyExecution('complete', 'Astrocartography sent', {
+        place: reading.currentLocation.location,
+        imageSent
+      });
+      return {
+        success: true,
+        type: 'astrocartography',
+        place: reading.currentLocation.location,
+        linesNearby: reading.currentLocation.influences.length,
+        imageSent
+      };
+    } catch (error) {
+      this.logger.error('Error in AstrocartographyAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Buttons shown under the reading
+   * @returns {Array<Object>} Buttons
+   */
+  getAstrocartographyButtons() {
+    return [
+      {
+        id: 'get_current_transits',
+        title: '🌌 Current Transits'
+      },
+      {
+        id: 'get_birth_chart',
+        titleKey: 'buttons.birth_chart',
+        title: '📊 Birth Chart'
+      },
+      {
+        id: 'show_main_menu',
+        titleKey: 'buttons.main_menu',
+        title: '🏠 Main Menu'
+      }
+    ];
+  }
+
+  static getMetadata() {
+    return {
+      id: this.actionId,
+      description:
+        'Map where each planet was rising, setting and culminating at birth',
+      keywords: this.keywords,
+      category: 'astrology',
+      subscriptionRequired: true,
+      cooldown: 3600000
+    };
+  }
+}
+
+module.exports = AstrocartographyAction;
@@ -1,12 +1,15 @@
 const AstrologyAction = require('../base/AstrologyAction');
-const VedicCalculatorClass = require('../../../../core/services/calculators/VedicCalculator');
+const {
+  ChartGenerator
+} = require('../../../../core/services/calculators/ChartGenerator');
 const {
   AstrologyFormatterFactory
 } = require('../factories/AstrologyFormatterFactory');
 
 /**
  * BirthChartAction - Generates and displays birth chart (kundli) for users.
- * Shows planetary positions, houses, and basic interpretations.
+ * Shows planetary positions, houses, and basic interpretations, followed by
+ * the chart drawn in the user's preferred style.
  */
 class BirthChartAction extends AstrologyAction {
   /**
@@ -46,6 +49,7 @@ class BirthChartAction extends AstrologyAction {
         formattedContent,
         this.getChartActionButtons()
       );
+      const imageSent = await this.sendBirthChartImage(chartData);
 
       this.logAstrologyExecution('complete', 'Birth chart sent successfully');
       return {
@@ -54,7 +58,8 @@ class BirthChartAction extends AstrologyAction {
         chartData: {
           planetsCount: Object.keys(chartData.planets || {}).length,
           hasHouses: !!chartData.houses
-        }
+        },
+        imageSent
       };
     } catch (error) {
       this.logger.error('Error in BirthChartAction:', error);
@@ -109,15 +114,15 @@ class BirthChartAction extends AstrologyAction {
         );
       }
 
-      // Initialize the new VedicCalculator
-      const vedicCalculator = new VedicCalculator();
-      await vedicCalculator.initialize();
-
-      return await vedicCalculator.calculateBirthChart({
+      return await new ChartGenerator().generateVedicKundli({
         birthDate: this.user.birthDate,
         birthTime: this.user.birthTime,
         birthPlace: this.user.birthPlace,
-        name: this.user.name
+        birthLatitude: this.user.birthLatitude,
+        birthLongitude: this.user.birthLongitude,
+        birthTimezone: this.user.birthTimezone,
+        name: this.user.name,
+        preferences: this.user.preferences
       });
     } catch (error) {
       this.logger.error('Vedic chart generation error:', error);
@@ -146,16 +151,15 @@ class BirthChartAction extends AstrologyAction {
         );
       }
 
-      // Use ChartGenerator directly for western chart
-      const ChartGenerator = require('../../../../core/services/calculators/ChartGenerator');
-      const chartGenerator = new ChartGenerator();
-      
-      // For western chart, we'll generate a basic chart with western settings
-      return await chartGenerator.generateWesternChart({
+      return await new ChartGenerator().generateWesternBirthChart({
         birthDate: this.user.birthDate,
         birthTime: this.user.birthTime,
         birthPlace: this.user.birthPlace,
-        name: this.user.name
+        birthLatitude: this.user.birthLatitude,
+        birthLongitude: this.user.birthLongitude,
+        birthTimezone: this.user.birthTimezone,
+        name: this.user.name,
+        preferences: this.user.preferences
       });
     } catch (error) {
       this.logger.error('Western chart generation error:', error);
@@ -163,6 +167,26 @@ class BirthChartAction extends AstrologyAction {
     }
   }
 
+  /**
+   * Send the chart image: the user's Vedic style for a kundli, a wheel for
+   * the Western fallback. Nothing is drawn for the emergency fallback.
+   * @param {Object} chartData - Generated chart
+   * @returns {Promise<boolean>} True if the image was sent
+   */
+  async sendBirthChartImage(chartData) {
+    if (chartData.type === 'fallback' || chartData.error) {
+      return false;
+    }
+    const vedic = chartData.system === 'Vedic';
+    return this.sendChartImage(chartData, {
+      style: vedic ? this.getVedicChartStyle() : 'western',
+      title: this.user.name ? this.sanitizeName(this.user.name) : 'Birth Chart',
+      caption: vedic ?
+        `🪐 Your kundli (${chartData.ayanamsa || 'Lahiri'} ayanamsa)` :
+        '🪐 Your natal wheel'
+    });
+  }
+
   /**
    * Generate basic fallback chart for emergencies
    * @returns {Object} Basic chart data
@@ -0,0 +1,89 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const { sendMessage } = require('../../messageSender');
+const {
+  hasActiveSubscription,
+  getSubscriptionBenefits
+} = require('../../../../models/userModel');
+const { getBirthReportService } = require('../../../reports');
+
+/**
+ * BirthReportAction - Sends the multi-page PDF birth report
+ * Part of the monthlyReports subscription benefit; the report is generated
+ * once per month and profile and re-sent from the cache on later requests.
+ */
+class BirthReportAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'get_birth_report';
+  }
+
+  /**
+   * Execute the birth report delivery
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    const reportService = getBirthReportService();
+    const language = this.getUserLanguage();
+
+    try {
+      this.logAstrologyExecution('start', 'Preparing birth report');
+
+      const validation = await this.validateProfileAndLimits(
+        'Birth Report',
+        'birth_report'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      if (!this.hasReportAccess()) {
+        await sendMessage(
+          this.phoneNumber,
+          await reportService.translate('premium_required', language),
+          'text'
+        );
+        return { success: false, reason: 'subscription_required' };
+      }
+
+      await sendMessage(
+        this.phoneNumber,
+        await reportService.translate('preparing', language),
+        'text'
+      );
+      const delivery = await reportService.deliver(this.user);
+
+      this.logAstrologyExecution('complete', 'Birth report delivered', {
+        version: delivery.version,
+        cached: delivery.cached
+      });
+      return { success: true, type: 'birth_report', ...delivery };
+    } catch (error) {
+      this.logger.error('Error in BirthReportAction:', error);
+      await sendMessage(
+        this.phoneNumber,
+        await reportService.translate('failed', language),
+        'text'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Whether the user's plan includes monthly reports
+   * @returns {boolean} True if the report may be sent
+   */
+  hasReportAccess() {
+    return (
+      hasActiveSubscription(this.user) &&
+      !!getSubscriptionBenefits(this.user).monthlyReports
+    );
+  }
+}
+
+module.exports = BirthReportAction;
@@ -1,10 +1,24 @@
 const AstrologyAction = require('../base/AstrologyAction');
-const { AdvancedCompatibilityService } = require('../../../core/services');
+const AdvancedCompatibilityService = require('../../../../core/services/advancedCompatibilityService');
+const {
+  ChartGenerator
+} = require('../../../../core/services/calculators/ChartGenerator');
+const { setUserSession } = require('../../../../models/userModel');
+const {
+  AshtakootaEngine
+} = require('../../../astrology/compatibility/AshtakootaEngine');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+const { getPeopleBook, PeopleBook } = require('../../../people');
+const PeoplePickerMixin = require('../mixins/PeoplePickerMixin');
 
 /**
  * CompatibilityAction - Analyzes synastry between two people for relationship compatibility.
  * Uses AstrologyAction base class for unified validation and response handling.
- * Direct infrastructure usage with no facade patterns.
+ * The partner is picked from the user's people book (see PeoplePickerMixin)
+ * or typed in: then the action asks for their birth details and sets the
+ * session's `context.compatibilityAwaitingPartner` flag; MessageRouter sends
+ * the reply back here in `data.partnerDetails`. Either way the answer is the
+ * Ashtakoota Guna Milan.
  */
 class CompatibilityAction extends AstrologyAction {
   /**
@@ -31,9 +45,45 @@ class CompatibilityAction extends AstrologyAction {
         return validation;
       }
 
+      if (this.data && this.data.partnerDetails) {
+        return await this.matchPartner(this.data.partnerDetails);
+      }
+
+      // The reading is charged once the partner is known; check now so
+      // nobody picks or types them in just to be asked to pay
+      const entitlement = super.requiredEntitlement();
+      if (
+        !this.pickedPersonId() &&
+        entitlement &&
+        !(await this.hasEntitlement(entitlement))
+      ) {
+        await this.sendPurchasePrompt(entitlement);
+        return { success: false, reason: 'entitlement_required', entitlement };
+      }
+
+      const picked = await this.pickOnePerson({
+        body: '🤝 *Compatibility Analysis (Guna Milan)*\n\nWho should I match you with? Pick someone you saved, add someone new or type their birth details.',
+        allowTyped: true
+      });
+      if (picked.person) {
+        return await this.sendGunaMilan(
+          PeopleBook.toProfile(picked.person, this.user),
+          picked.person.name
+        );
+      }
+      if (picked.missing) {
+        return { success: false, reason: 'person_not_found' };
+      }
+      if (!picked.typed) {
+        return { success: true, type: 'people_picker' };
+      }
+
       // Send initial compatibility prompt using base class messaging
       const promptContent = this.getCompatibilityPromptMessage();
       await this.sendDirectMessage(promptContent);
+      await setUserSession(this.phoneNumber, {
+        'context.compatibilityAwaitingPartner': true
+      });
 
       this.logAstrologyExecution(
         'complete',
@@ -60,7 +110,181 @@ class CompatibilityAction extends AstrologyAction {
    * @returns {string} Formatted prompt message
    */
   getCompatibilityPromptMessage() {
-    return '🤝 *Synastry Compatibility Analysis*\n\nTo analyze compatibility between you and another person, I need their birth details:\n\n📅 *Birth Date* (DDMMYY format)\n🕐 *Birth Time* (HHMM 24hr format)\n📍 *Birth Place* (City, Country)\n\n*Examples:*\n150690\n1430\nMumbai, India\n\nSend their birth details to analyze your relationship compatibility!';
+    return '🤝 *Compatibility Analysis (Guna Milan)*\n\nTo analyze compatibility between you and another person, I need their birth details:\n\n📅 *Birth Date* (DDMMYY format)\n🕐 *Birth Time* (HHMM 24hr format)\n📍 *Birth Place* (City, Country)\n\n*Examples:*\n150690\n1430\nMumbai, India\n\nSend their birth details to analyze your relationship compatibility!';
+  }
+
+  /**
+   * Only the Guna Milan itself consumes the compatibility entitlement
+   * @returns {string|null} Entitlement key
+   */
+  requiredEntitlement() {
+    return (this.data && this.data.partnerDetails) || this.pickedPersonId() ?
+      super.requiredEntitlement() :
+      null;
+  }
+
+  /**
+   * Score the partner's details with the Ashtakoota and send the breakdown.
+   * The name of someone in the people book works as well as their details.
+   * @param {string} text - Partner's birth details as sent by the user
+   * @returns {Promise<Object>} Action result
+   */
+  async matchPartner(text) {
+    let partner = this.parsePartnerDetails(text);
+    let name = 'Partner';
+    if (!partner) {
+      const person = await getPeopleBook().findByName(this.phoneNumber, text);
+      if (!person) {
+        await this.sendDirectMessage(
+          '❌ I couldn\'t read those details. Please send the birth date (DDMMYY), time (HHMM) and place on separate lines, e.g.\n\n150690\n1430\nMumbai, India\n\nSend *menu* to cancel.'
+        );
+        return { success: false, reason: 'invalid_partner_details' };
+      }
+      partner = PeopleBook.toProfile(person, this.user);
+      name = person.name;
+    }
+    await setUserSession(this.phoneNumber, {
+      'context.compatibilityAwaitingPartner': false
+    });
+    return this.sendGunaMilan(partner, name);
+  }
+
+  /**
+   * Send the Guna Milan with a partner whose details are known
+   * @param {Object} partner - Partner's birth details in profile format
+   * @param {string} name - Partner's name as shown in the breakdown
+   * @returns {Promise<Object>} Action result
+   */
+  async sendGunaMilan(partner, name) {
+    const match = await this.calculateGunaMilan(partner);
+    const content = this.formatGunaMilan(match, name);
+    await this.sendDirectMessage(content);
+    await this.rememberForTwin('reading', `Guna Milan with ${name}`, content);
+
+    this.logAstrologyExecution('complete', 'Guna Milan sent', {
+      total: match.total
+    });
+    return {
+      success: true,
+      type: 'guna_milan',
+      total: match.total,
+      recommended: match.verdict.recommended
+    };
+  }
+
+  /**
+   * Read "date, time, place" on separate lines (or comma separated)
+   * @param {string} text - Message text
+   * @returns {Object|null} { birthDate, birthTime, birthPlace } in profile format
+   */
+  parsePartnerDetails(text) {
+    const parts = String(text).includes('\n') ?
+      String(text).split('\n') :
+      String(text).split(',');
+    const [date, time, ...place] = parts
+      .map(part => part.trim())
+      .filter(Boolean);
+    const birthDate = (date || '').replace(/\D/g, '');
+    const birthTime = (time || '').replace(/\D/g, '');
+    if (
+      ![6, 8].includes(birthDate.length) ||
+      birthTime.length !== 4 ||
+      place.length === 0
+    ) {
+      return null;
+    }
+    return { birthDate, birthTime, birthPlace: place.join(', ') };
+  }
+
+  /**
+   * Ashtakoota Guna Milan between the user and their partner. The kootas
+   * are read from the groom's side, so the genders decide the roles: the
+   * user is the bride when they are a woman or their partner is a man
+   * (otherwise the groom).
+   * @param {Object} partner - Partner's birth details in profile format
+   * @returns {Promise<Object>} AshtakootaEngine.match result plus `userRole`
+   */
+  async calculateGunaMilan(partner) {
+    const generator = new ChartGenerator();
+    const preferences = this.user.preferences || {};
+    const [userKundli, partnerKundli] = await Promise.all([
+      generator.generateVedicKundli(toServiceBirthData(this.user)),
+      generator.generateVedicKundli(
+        toServiceBirthData({ ...partner, preferences })
+      )
+    ]);
+    const userPositions = AshtakootaEngine.positionsFromKundli(userKundli);
+    const partnerPositions =
+      AshtakootaEngine.positionsFromKundli(partnerKundli);
+
+    const userRole =
+      this.user.gender === 'female' || partner.gender === 'male' ?
+        'bride' :
+        'groom';
+    const engine = new AshtakootaEngine();
+    const match =
+      userRole === 'groom' ?
+        engine.match(userPositions, partnerPositions) :
+        engine.match(partnerPositions, userPositions);
+    return { ...match, userRole };
+  }
+
+  /**
+   * Format the Guna Milan with a per-koota table
+   * @param {Object} match - calculateGunaMilan result
+   * @param {string} partnerName - Partner's name
+   * @returns {string} Message text
+   */
+  formatGunaMilan(match, partnerName = 'Partner') {
+    const label = role => (role === match.userRole ? 'You' : partnerName);
+    const moonLine = role => {
+      const moon = match[role];
+      return `${label(role)} (${role}): Moon in ${moon.signName}, ${moon.nakshatraName} pada ${moon.pada}`;
+    };
+    const rows = match.kootas.map(
+      koota =>
+        `${koota.name.padEnd(13)}${String(koota.score).padStart(4)} / ${koota.max}`
+    );
+    const table = [
+      ...rows,
+      '-'.repeat(21),
+      `${'Total'.padEnd(13)}${String(match.total).padStart(4)} / ${match.maximum}`
+    ].join('\n');
+
+    const doshaLine = (name, dosha) => {
+      if (!dosha.present) {
+        return `✅ No ${name} dosha`;
+      }
+      return dosha.cancelled ?
+        `☑️ ${name} dosha cancelled: ${dosha.reasons.join('; ')}` :
+        `⚠️ ${name} dosha present`;
+    };
+    const mangalState = dosha => {
+      if (!dosha.present) {
+        return 'none';
+      }
+      return dosha.cancelled ? 'cancelled' : 'present';
+    };
+    const { mangal, verdict } = match;
+
+    return [
+      '💞 *Guna Milan (Ashtakoota)*',
+      '',
+      moonLine('groom'),
+      moonLine('bride'),
+      '',
+      `\`\`\`${table}\`\`\``,
+      '',
+      doshaLine('Nadi', match.doshas.nadi),
+      doshaLine('Bhakoot', match.doshas.bhakoot),
+      `${mangal.compatible ? '✅' : '⚠️'} Mangal dosha: groom ${mangalState(mangal.groom)}, bride ${mangalState(mangal.bride)}${mangal.compatible ? '' : ' (unbalanced)'}`,
+      '',
+      `*${match.total}/${match.maximum}*: ${verdict.summary} ${
+        verdict.recommended ?
+          'The match is traditionally recommended.' :
+          'Consult an astrologer before deciding.'
+      }`
+    ].join('\n');
   }
 
   /**
@@ -121,7 +345,8 @@ class CompatibilityAction extends AstrologyAction {
         birthData1: {
           birthDate: this.user.birthDate,
           birthTime: this.user.birthTime,
-          birthPlace: this.user.birthPlace
+          birthPlace: this.user.birthPlace,
+          preferences: this.user.preferences
         },
         birthData2: partnerData,
         options: {
@@ -167,4 +392,6 @@ class CompatibilityAction extends AstrologyAction {
   }
 }
 
+Object.assign(CompatibilityAction.prototype, PeoplePickerMixin);
+
 module.exports = CompatibilityAction;
@@ -2,11 +2,49 @@ const AstrologyAction = require('../base/AstrologyAction');
 const {
   AstrologyFormatterFactory
 } = require('../factories/AstrologyFormatterFactory');
+const { getEventFinder, ASPECTS } = require('../../../astrology/events');
+const { getDashaService } = require('../../../astrology/dasha');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+const {
+  TimezoneDatabase
+} = require('../../../astrology/geocoding/TimezoneDatabase');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Aspects followed for each planet. The Moon aspects every natal point
+// within a month, so only its conjunctions count.
+const TRANSIT_ASPECTS = {
+  Sun: Object.keys(ASPECTS),
+  Moon: ['conjunction'],
+  Mercury: Object.keys(ASPECTS),
+  Venus: Object.keys(ASPECTS),
+  Mars: Object.keys(ASPECTS),
+  Jupiter: Object.keys(ASPECTS),
+  Saturn: Object.keys(ASPECTS),
+  Rahu: ['conjunction', 'opposition']
+};
+
+// Weight of a planet's transits, slower planets weighing more
+const PLANET_WEIGHTS = {
+  Sun: 3,
+  Moon: 1,
+  Mercury: 3,
+  Venus: 3,
+  Mars: 4,
+  Jupiter: 5,
+  Saturn: 6,
+  Rahu: 5
+};
+
+// Events shown per planet
+const EVENTS_SHOWN = 2;
 
 /**
  * CurrentTransitsAction - Shows current planetary transits and their influences.
+ * Each planet's sidereal sign, its house from the natal Moon and the exact
+ * events of the coming week (aspects to natal points, ingresses and
+ * stations) come from the event finder; times are in the user's zone.
  * Uses AstrologyAction base class for unified validation and response handling.
- * Direct infrastructure usage with no facade patterns.
  */
 class CurrentTransitsAction extends AstrologyAction {
   /**
@@ -45,7 +83,7 @@ class CurrentTransitsAction extends AstrologyAction {
       // Format and send using centralized factory and base class methods
       const formattedContent = AstrologyFormatterFactory.formatTransits({
         name: this.user?.name,
-        currentDate: new Date().toISOString(),
+        currentDate: this.formatInstant(new Date()),
         majorTransits: transitData,
         personalImpact: this.getPersonalImpact(transitData),
         generalInfluence: this.getGeneralInfluence(transitData)
@@ -77,85 +115,120 @@ class CurrentTransitsAction extends AstrologyAction {
 
   /**
    * Calculate current planetary transits relative to user's natal chart
-   * @returns {Promise<Array>} Array of transit influences
+   * @returns {Promise<Array>} Transit influences of the planets with
+   *   something exact this week, most significant first
    */
   async calculateCurrentTransits() {
-    try {
-      const currentDate = new Date();
-      const transits = [];
-
-      // Major planets for transit analysis
-      const planets = [
-        'Sun',
-        'Moon',
-        'Mercury',
-        'Venus',
-        'Mars',
-        'Jupiter',
-        'Saturn'
-      ];
+    const now = new Date();
+    const natal = await getDashaService().natal(toServiceBirthData(this.user));
+    const context = { now, end: new Date(now.getTime() + WEEK_MS), natal };
 
-      planets.forEach(planet => {
-        const influence = this.getPlanetTransitInfluence(planet, currentDate);
-        if (influence && influence.significance > 6) {
-          // Only include significant transits
-          transits.push(influence);
-        }
-      });
+    const transits = Object.keys(TRANSIT_ASPECTS)
+      .map(planet => this.getPlanetTransitInfluence(planet, context))
+      .filter(Boolean);
 
-      // Sort by significance and date
-      return transits.sort((a, b) => b.significance - a.significance);
-    } catch (error) {
-      this.logger.error('Error calculating transits:', error);
-      return [];
-    }
+    // Sort by significance and date
+    return transits.sort(
+      (a, b) =>
+        b.significance - a.significance || a.events[0].at - b.events[0].at
+    );
   }
 
   /**
    * Get transit influence for a specific planet
    * @param {string} planet - Planet name
-   * @param {Date} currentDate - Current date
-   * @returns {Object|null} Transit influence data
+   * @param {Object} context - { now, end, natal }: the week searched and
+   *   DashaService.natal positions
+   * @returns {Object|null} Transit influence data, null when nothing is
+   *   exact this week
    */
-  getPlanetTransitInfluence(planet, currentDate) {
-    // This is a simplified implementation.
-    // In a real system, this would use ephemeris calculations
-    const transitPhases = {
-      Sun: { sign: 'Libra', house: 7, aspects: ['trine Moon'] },
-      Moon: { sign: 'Cancer', house: 4, aspects: ['conjunct Venus'] },
-      Mercury: { sign: 'Virgo', house: 6, aspects: ['square Mars'] },
-      Venus: { sign: 'Leo', house: 5, aspects: ['sextile Jupiter'] },
-      Mars: { sign: 'Aries', house: 1, aspects: ['opposition Saturn'] },
-      Jupiter: { sign: 'Pisces', house: 12, aspects: ['trine Neptune'] },
-      Saturn: { sign: 'Aquarius', house: 11, aspects: ['conjunct Uranus'] }
-    };
+  getPlanetTransitInfluence(planet, { now, end, natal }) {
+    const finder = getEventFinder();
+    const body = planet.toLowerCase();
+    const range = { body, start: now, end, settings: natal.settings };
+
+    const aspects = finder.aspects({
+      ...range,
+      targets: { ...natal.planets, Ascendant: natal.ascendant },
+      aspects: TRANSIT_ASPECTS[planet]
+    });
+    // The Moon changes sign every two or three days
+    const ingresses = planet === 'Moon' ? [] : finder.ingresses(range);
+    const stations = finder.stations(range);
 
-    const transit = transitPhases[planet];
-    if (!transit) {
+    const events = [
+      ...aspects.map(hit => ({
+        at: hit.at,
+        text: `${hit.aspect} natal ${hit.target}`,
+        weight: ['Sun', 'Moon', 'Ascendant'].includes(hit.target) ? 2 : 1
+      })),
+      ...ingresses.map(ingress => ({
+        at: ingress.at,
+        text: `enters ${ingress.toName}${ingress.retrograde ? ' (retrograde)' : ''}`,
+        weight: 1
+      })),
+      ...stations.map(station => ({
+        at: station.at,
+        text: `stations ${station.type}`,
+        weight: 3
+      }))
+    ].sort((a, b) => a.at - b.at);
+    if (events.length === 0) {
       return null;
     }
 
-    const durations = {
-      Sun: '2-3 days',
-      Moon: '2-3 days',
-      Mercury: '3-4 weeks',
-      Venus: '3-4 weeks',
-      Mars: '6-8 weeks',
-      Jupiter: '12-13 months',
-      Saturn: '2.5-3 years'
-    };
+    const position = finder.position(body, now, { settings: natal.settings });
+    const house = ((position.sign - Math.floor(natal.moon / 30) + 12) % 12) + 1;
+    const transit = { sign: position.signName, house };
+    const exit = finder.nextIngress(body, {
+      start: now,
+      settings: natal.settings
+    });
+
+    const shown = events
+      .slice(0, EVENTS_SHOWN)
+      .map(event => `${event.text} ${this.formatInstant(event.at)}`);
+    if (events.length > EVENTS_SHOWN) {
+      shown.push(`+${events.length - EVENTS_SHOWN} more`);
+    }
 
     return {
       planet,
-      transitSign: transit.sign,
-      natalHouse: transit.house,
-      aspects: transit.aspects,
-      significance: Math.floor(Math.random() * 10) + 1, // Simplified scoring
+      sign: `${position.signName}${position.retrograde ? ' (R)' : ''}`,
+      transitSign: position.signName,
+      natalHouse: house,
+      retrograde: position.retrograde,
+      events,
+      aspects: aspects.map(hit => `${hit.aspect} natal ${hit.target}`),
+      aspect: shown.join('; '),
+      significance:
+        PLANET_WEIGHTS[planet] +
+        events.reduce((total, event) => total + event.weight, 0),
       influence: this.getTransitMeaning(planet, transit),
-      duration: durations[planet] || 'Variable'
+      duration: exit ?
+        `in ${position.signName} until ${this.formatInstant(exit.at)}` :
+        `in ${position.signName}`
     };
   }
 
+  /**
+   * @private
+   * @param {Date} instant - UTC instant
+   * @returns {string} Weekday, date and time in the user's zone
+   */
+  formatInstant(instant) {
+    const zone = this.user?.timezone || this.user?.birthTimezone;
+    const timeZone = new TimezoneDatabase().isValidZone(zone) ? zone : 'UTC';
+    return `${instant.toLocaleString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone
+    })}${timeZone === 'UTC' ? ' UTC' : ''}`;
+  }
+
   /**
    * Get transit meaning for a specific planet and transit position
    * @param {string} planet - Planet name
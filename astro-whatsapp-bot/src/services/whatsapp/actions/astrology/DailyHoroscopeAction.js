@@ -97,7 +97,8 @@ class DailyHoroscopeAction extends AstrologyAction {
         birthDate: this.user.birthDate,
         birthTime: this.user.birthTime,
         birthPlace: this.user.birthPlace,
-        name: this.user.name
+        name: this.user.name,
+        preferences: this.user.preferences
       });
 
       if (horoscopeData && !horoscopeData.error) {
@@ -1,10 +1,39 @@
-const BaseAction = require('../BaseAction');
+const AstrologyAction = require('../base/AstrologyAction');
+const { ResponseBuilder } = require('../../utils/ResponseBuilder');
+const {
+  DASHA_SYSTEMS,
+  LEVELS,
+  getDashaService,
+  getDashaSystem
+} = require('../../../astrology/dasha');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+
+// List row ids: dasha_view_<system> or dasha_view_<system>_<path, "-" joined>
+const VIEW_PREFIX = 'dasha_view_';
+
+// WhatsApp list messages take at most 10 rows
+const MAX_LIST_ROWS = 10;
+
+const formatDate = date =>
+  date.toLocaleDateString('en-GB', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+
+const formatSpan = period =>
+  `${formatDate(period.start)} – ${formatDate(period.end)}`;
 
 /**
- * DashaAnalysisAction - Provides Vimshottari Dasha analysis using Vedic astrology.
- * Reuses the existing implementation from the legacy messageProcessor.
+ * DashaAnalysisAction - Dasha periods in any system of the dasha framework.
+ * `data.system` picks Vimshottari (default), Yogini, Ashtottari, Chara or
+ * Kalachakra and `data.path` opens a period's sub-periods, down to Sookshma.
+ * The list under the reading drills into periods, goes back up a level or
+ * switches system; InteractiveMessageProcessor turns its row ids back into
+ * `data`.
  */
-class DashaAnalysisAction extends BaseAction {
+class DashaAnalysisAction extends AstrologyAction {
   /**
    * Unique action identifier
    */
@@ -12,28 +41,90 @@ class DashaAnalysisAction extends BaseAction {
     return 'get_dasha_analysis';
   }
 
+  /**
+   * Keywords that open the dasha periods
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'dasha',
+      'dashas',
+      'dasha analysis',
+      'dasha periods',
+      'mahadasha',
+      'antardasha',
+      'planetary periods',
+      'vedic timing'
+    ];
+  }
+
+  /**
+   * Row id that opens a period, or a system's Mahadashas
+   * @param {string} system - System key
+   * @param {Array<number>} path - Period path
+   * @returns {string} List row id
+   */
+  static viewId(system, path = []) {
+    return path.length ?
+      `${VIEW_PREFIX}${system}_${path.join('-')}` :
+      `${VIEW_PREFIX}${system}`;
+  }
+
   /**
    * Execute the dasha analysis action
    * @returns {Promise<Object|null>} Action result
    */
   async execute() {
     try {
-      this.logExecution('start', 'Generating dasha analysis');
+      const { system = 'vimshottari', path = [] } = this.data || {};
+      this.logAstrologyExecution('start', `Opening ${system} dasha periods`, {
+        path
+      });
+
+      const validation = await this.validateProfileAndLimits(
+        'Dasha Analysis',
+        'dasha_analysis'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      if (!getDashaSystem(system)) {
+        await this.sendMessage(
+          `⏳ Unknown dasha system "${system}". Send one of: ${Object.values(
+            DASHA_SYSTEMS
+          )
+            .map(entry => `*${entry.name}*`)
+            .join(', ')}.`,
+          'text'
+        );
+        return { success: false, reason: 'unknown_system' };
+      }
 
-      // Get the actual dasha analysis implementation
-      // This should be implemented within this action rather than calling legacy function
-      // For now, returning a placeholder to indicate this needs proper implementation
-      const { sendMessage } = require('../../../messageSender');
-      await sendMessage(
+      const timeline = await getDashaService().timeline(
+        toServiceBirthData(this.user),
+        { system, path }
+      );
+
+      await this.sendMessage(this.formatTimeline(timeline), 'text');
+      const navigation = ResponseBuilder.buildInteractiveListMessage(
         this.phoneNumber,
-        'Vimshottari Dasha analysis is being prepared...',
-        'text'
+        this.getNavigationBody(timeline),
+        'Explore periods',
+        this.getNavigationSections(timeline),
+        this.getUserLanguage()
       );
+      await this.sendMessage(navigation.interactive, 'interactive');
 
+      this.logAstrologyExecution('complete', 'Dasha periods delivered', {
+        system,
+        path
+      });
       return {
         success: true,
         type: 'dasha_analysis',
-        message: 'Vimshottari Dasha analysis prepared'
+        system,
+        path
       };
     } catch (error) {
       this.logger.error('Error in DashaAnalysisAction:', error);
@@ -47,16 +138,114 @@ class DashaAnalysisAction extends BaseAction {
   }
 
   /**
-   * Handle execution errors
-   * @param {Error} error - Execution error
+   * @param {Object} timeline - DashaService.timeline result
+   * @returns {string} Running periods and the periods at this level
    */
-  async handleExecutionError(error) {
-    const { sendMessage } = require('../../messageSender');
-    await sendMessage(
-      this.phoneNumber,
-      'I encountered an error generating your dasha analysis. Please try again.',
-      'text'
+  formatTimeline(timeline) {
+    const { system, parent, periods, current, applicability } = timeline;
+    const description = getDashaSystem(system.key).description;
+    const level = parent ? parent.level + 1 : 0;
+    const heading = parent ?
+      `*${LEVELS[level]}s of ${parent.label} ${parent.levelName}*\n${formatSpan(parent)}` :
+      `*${LEVELS[0]}s*`;
+
+    const lines = [`⏳ *${system.name} Dasha*`, `_${description}_`];
+    if (applicability) {
+      lines.push(
+        '',
+        applicability.applicable ?
+          `✅ Applies to your chart: ${applicability.reason}.` :
+          `⚠️ Traditionally not used for your chart: ${applicability.reason}.`
+      );
+    }
+    if (current.length) {
+      lines.push(
+        '',
+        '*Running now*',
+        ...current.map(
+          period =>
+            `${period.levelName}: ${period.label} (until ${formatDate(period.end)})`
+        )
+      );
+    }
+    lines.push(
+      '',
+      heading,
+      ...periods.map(
+        period =>
+          `${this.isRunning(period, current) ? '▶' : '•'} ${period.label}: ${formatSpan(period)}`
+      )
     );
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} timeline - DashaService.timeline result
+   * @returns {string} List message body
+   */
+  getNavigationBody(timeline) {
+    const level = timeline.parent ? timeline.parent.level + 1 : 0;
+    return level < LEVELS.length - 1 ?
+      `Open one of the ${LEVELS[level]}s for its ${LEVELS[level + 1]}s, or switch dasha system.` :
+      'Sookshma is the finest level. Go back up or switch dasha system.';
+  }
+
+  /**
+   * Period, up-a-level and system rows within the list's row limit
+   * @param {Object} timeline - DashaService.timeline result
+   * @returns {Array<Object>} List sections
+   */
+  getNavigationSections(timeline) {
+    const { system, parent, periods, current } = timeline;
+    const navigationRows = [];
+
+    if (parent) {
+      const up = parent.path.slice(0, -1);
+      navigationRows.push({
+        id: DashaAnalysisAction.viewId(system.key, up),
+        title: '⬆️ Up a level',
+        description: `Back to the ${parent.levelName}s`
+      });
+    }
+    Object.values(DASHA_SYSTEMS)
+      .filter(entry => entry.key !== system.key)
+      .forEach(entry =>
+        navigationRows.push({
+          id: DashaAnalysisAction.viewId(entry.key),
+          title: `${entry.name} Dasha`,
+          description: entry.description
+        })
+      );
+
+    const sections = [];
+    const level = parent ? parent.level + 1 : 0;
+    if (level < LEVELS.length - 1) {
+      // From the running period on, as the list cannot show them all
+      const first = Math.max(
+        0,
+        periods.findIndex(period => this.isRunning(period, current))
+      );
+      const rows = periods
+        .slice(first, first + MAX_LIST_ROWS - navigationRows.length)
+        .map(period => ({
+          id: DashaAnalysisAction.viewId(system.key, period.path),
+          title: period.label.substring(0, 24),
+          description: `${this.isRunning(period, current) ? '▶ Now · ' : ''}${formatSpan(period)}`
+        }));
+      sections.push({ title: `${LEVELS[level]}s`, rows });
+    }
+    sections.push({ title: 'Navigate', rows: navigationRows });
+    return sections;
+  }
+
+  /**
+   * @param {Object} period - Period
+   * @param {Array<Object>} current - Periods running now
+   * @returns {boolean} Whether the period is running now
+   */
+  isRunning(period, current) {
+    const running = current[period.level];
+    return Boolean(running) && running.path.join() === period.path.join();
   }
 
   /**
@@ -67,16 +256,11 @@ class DashaAnalysisAction extends BaseAction {
     return {
       id: this.actionId,
       description:
-        'Provide Vimshottari Dasha analysis for planetary periods in Vedic astrology',
-      keywords: [
-        'dasha',
-        'vimshottari dasha',
-        'planetary periods',
-        'vedic timing'
-      ],
+        'Vimshottari, Yogini, Ashtottari, Chara and Kalachakra dashas down to Sookshma periods',
+      keywords: this.keywords,
       category: 'astrology',
       subscriptionRequired: true,
-      cooldown: 3600000 // 1 hour cooldown
+      cooldown: 0
     };
   }
 }
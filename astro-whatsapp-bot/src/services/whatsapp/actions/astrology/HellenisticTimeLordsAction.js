@@ -0,0 +1,138 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const { getTimeLordService } = require('../../../astrology/hellenistic');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+
+const TIME_LORDS_NOTE =
+  '🏛️ Time lords are read from your tropical chart with whole-sign houses. Profections and firdaria change on your birthday; zodiacal releasing counts 360-day years.';
+
+/**
+ * HellenisticTimeLordsAction - The Hellenistic time lords running now:
+ * annual and monthly profections, zodiacal releasing from Spirit and
+ * Fortune, and firdaria. `data.techniques` limits the reading to some of
+ * them (see TimeLordService).
+ */
+class HellenisticTimeLordsAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'get_hellenistic_time_lords';
+  }
+
+  /**
+   * Keywords that open the time lords
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'time lords',
+      'profection',
+      'profections',
+      'lord of the year',
+      'zodiacal releasing',
+      'firdaria',
+      'firdar'
+    ];
+  }
+
+  /**
+   * Execute the time lords action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      this.logAstrologyExecution('start', 'Finding Hellenistic time lords');
+
+      const validation = await this.validateProfileAndLimits(
+        'Hellenistic Time Lords',
+        'hellenistic_astrology'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const techniques = this.data && this.data.techniques;
+      const reading = await getTimeLordService().timeLords(
+        toServiceBirthData(this.user),
+        techniques ? { techniques } : {}
+      );
+      const summaries = Object.keys(reading)
+        .filter(key => key !== 'natal')
+        .map(key => reading[key].summary);
+
+      // Three summaries outgrow an interactive body, so they go as text
+      await this.sendMessage(
+        [
+          `🏛️ *Hellenistic Time Lords* (${reading.natal.sect} chart)`,
+          ...summaries
+        ].join('\n\n'),
+        'text'
+      );
+      await this.buildAstrologyResponse(
+        TIME_LORDS_NOTE,
+        this.getTimeLordButtons()
+      );
+
+      this.logAstrologyExecution('complete', 'Time lords delivered', {
+        sect: reading.natal.sect
+      });
+      return {
+        success: true,
+        type: 'hellenistic_time_lords',
+        lordOfYear: reading.profections ?
+          reading.profections.timeline.current.year.lord :
+          null
+      };
+    } catch (error) {
+      this.logger.error('Error in HellenisticTimeLordsAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Buttons shown under the time lords
+   * @returns {Array<Object>} Buttons
+   */
+  getTimeLordButtons() {
+    return [
+      {
+        id: 'get_dasha_analysis',
+        titleKey: 'buttons.dasha',
+        title: '⏳ Dasha Periods'
+      },
+      {
+        id: 'get_current_transits',
+        titleKey: 'buttons.get_current_transits',
+        title: '🌌 Transits'
+      },
+      {
+        id: 'show_main_menu',
+        titleKey: 'buttons.main_menu',
+        title: '🏠 Main Menu'
+      }
+    ];
+  }
+
+  /**
+   * Get action metadata for registration
+   * @returns {Object} Action metadata
+   */
+  static getMetadata() {
+    return {
+      id: this.actionId,
+      description:
+        'Annual and monthly profections, zodiacal releasing from Spirit and Fortune, and firdaria',
+      keywords: this.keywords,
+      category: 'astrology',
+      subscriptionRequired: false,
+      cooldown: 0
+    };
+  }
+}
+
+module.exports = HellenisticTimeLordsAction;
@@ -0,0 +1,278 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const {
+  KPCalculator,
+  KPHorary,
+  QUESTION_TYPES,
+  PLANETS
+} = require('../../../astrology/kp');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+
+// Two-letter planet abbreviations used in KP tables
+const ABBREVIATIONS = {
+  Sun: 'Su',
+  Moon: 'Mo',
+  Mars: 'Ma',
+  Mercury: 'Me',
+  Jupiter: 'Ju',
+  Venus: 'Ve',
+  Saturn: 'Sa',
+  Rahu: 'Ra',
+  Ketu: 'Ke'
+};
+
+const VERDICTS = {
+  yes: '✅ *Yes* - the matter is promised.',
+  obstacles: '⚠️ *Yes, with obstacles* - promised, but against resistance.',
+  no: '❌ *Not promised* at this time.'
+};
+
+const HORARY_HINT =
+  '❓ *KP horary:* think of your question, pick a number from 1 to 249 and send e.g. *KP 108 Will I get the job?*';
+
+const abbreviate = planets =>
+  planets.length ? planets.map(planet => ABBREVIATIONS[planet]).join(' ') : '-';
+
+const formatDegree = longitude => {
+  const inSign = longitude % 30;
+  const minutes = Math.floor((inSign % 1) * 60);
+  return `${String(Math.floor(inSign)).padStart(2, ' ')}°${String(minutes).padStart(2, '0')}'`;
+};
+
+/**
+ * KPAstrologyAction - Krishnamurti Paddhati chart and horary.
+ * Without data it sends the user's KP chart: cuspal sub lords, planets with
+ * their star and sub lords, house significators and the ruling planets of
+ * the moment. `data.horaryNumber` (from "KP <1-249> <question>", see
+ * MessageRouter) answers the question with KP horary.
+ */
+class KPAstrologyAction extends AstrologyAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.calculator = new KPCalculator();
+  }
+
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'get_kp_analysis';
+  }
+
+  /**
+   * Keywords that open the KP chart
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'kp',
+      'kp chart',
+      'kp astrology',
+      'kp horary',
+      'krishnamurti',
+      'krishnamurti paddhati',
+      'ruling planets',
+      'sub lord',
+      'sub lords'
+    ];
+  }
+
+  /**
+   * Execute the KP action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      this.logAstrologyExecution('start', 'Casting KP chart');
+
+      const validation = await this.validateProfileAndLimits(
+        'KP Astrology',
+        'kp_astrology'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const birthData = toServiceBirthData(this.user);
+      const location = await this.calculator.locate(birthData);
+      // The querent is assumed to be at their birthplace
+      const now = {
+        jd: KPCalculator.julianDay(new Date()),
+        latitude: location.latitude,
+        longitude: location.longitude
+      };
+
+      if (this.data && this.data.horaryNumber !== undefined) {
+        return await this.answerHorary(now);
+      }
+
+      const chart = this.calculator.castChart(
+        await this.calculator.birthMoment(birthData)
+      );
+      const significators = this.calculator.significators(chart);
+      const ruling = this.calculator.rulingPlanets(now);
+
+      // The tables outgrow an interactive body, so they go as plain text
+      await this.sendMessage(this.formatChart(chart, significators), 'text');
+      await this.buildAstrologyResponse(
+        `${this.formatRulingPlanets(ruling)}\n\n${HORARY_HINT}`,
+        this.getKPActionButtons()
+      );
+      this.logAstrologyExecution('complete', 'KP chart delivered');
+      return { success: true, type: 'kp_chart' };
+    } catch (error) {
+      this.logger.error('Error in KPAstrologyAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Answer "KP <number> <question>"
+   * @param {Object} moment - { jd, latitude, longitude } of the query
+   * @returns {Promise<Object>} Action result
+   */
+  async answerHorary(moment) {
+    const number = Number(this.data.horaryNumber);
+    if (!Number.isInteger(number) || number < 1 || number > 249) {
+      await this.sendMessage(
+        `🔢 KP horary numbers run from *1 to 249*.\n\n${HORARY_HINT}`,
+        'text'
+      );
+      return { success: false, reason: 'invalid_horary_number' };
+    }
+
+    const horary = new KPHorary({ calculator: this.calculator });
+    const reading = horary.answer({
+      number,
+      question: this.data.question,
+      moment
+    });
+    await this.buildAstrologyResponse(
+      this.formatHorary(reading),
+      this.getKPActionButtons()
+    );
+    this.logAstrologyExecution('complete', `KP horary ${number} answered`, {
+      verdict: reading.judgement.verdict
+    });
+    return {
+      success: true,
+      type: 'kp_horary',
+      verdict: reading.judgement.verdict
+    };
+  }
+
+  /**
+   * @param {Object} chart - KP natal chart
+   * @param {Object} significators - Four-level significators
+   * @returns {string} Formatted KP chart
+   */
+  formatChart(chart, significators) {
+    const cuspRows = chart.cusps.map(
+      cusp =>
+        `${String(cusp.house).padStart(2, ' ')} ${cusp.sign.substring(0, 3)} ${formatDegree(cusp.longitude)}  ${ABBREVIATIONS[cusp.signLord]} ${ABBREVIATIONS[cusp.starLord]} ${ABBREVIATIONS[cusp.subLord]}`
+    );
+    const planetRows = PLANETS.map(name => {
+      const planet = chart.planets[name];
+      return `${ABBREVIATIONS[name]}${planet.retrograde ? 'R' : ' '} ${planet.sign.substring(0, 3)} ${formatDegree(planet.longitude)} H${String(planet.house).padEnd(2, ' ')} ${ABBREVIATIONS[planet.starLord]} ${ABBREVIATIONS[planet.subLord]}`;
+    });
+    const houseRows = Object.entries(significators.houses).map(
+      ([house, levels]) =>
+        `${house.padStart(2, ' ')}: ${levels.map(abbreviate).join(' | ')}`
+    );
+
+    return [
+      '🔭 *KP (Krishnamurti Paddhati) Chart*',
+      `${chart.ayanamsa} ayanamsa, ${chart.houseSystem} cusps`,
+      '',
+      '*Cuspal sub lords* (sign · star · sub)',
+      '```',
+      ...cuspRows,
+      '```',
+      '*Planets* (house · star · sub)',
+      '```',
+      ...planetRows,
+      '```',
+      '*House significators* (levels 1 | 2 | 3 | 4)',
+      '```',
+      ...houseRows,
+      '```'
+    ].join('\n');
+  }
+
+  /**
+   * @param {Object} reading - KPHorary.answer result
+   * @returns {string} Formatted horary answer
+   */
+  formatHorary(reading) {
+    const { sub, judgement, ruling } = reading;
+    const type = QUESTION_TYPES[reading.category];
+    const lines = [
+      `❓ *KP Horary - Number ${reading.number}*`,
+      reading.question ? `_${reading.question}_` : null,
+      '',
+      `Ascendant: ${sub.sign} ${formatDegree(sub.start).trim()} (${sub.nakshatra}), sub lord ${sub.subLord}`,
+      `Matter: ${type.label} - judged from cusp ${judgement.cusp}`,
+      '',
+      `Sub lord of cusp ${judgement.cusp}: *${judgement.subLord}*, signifying houses ${judgement.houses.join(', ') || 'none'}`,
+      `Favourable houses ${type.favourable.join(', ')}: ${judgement.favourable.join(', ') || 'none'} signified`,
+      `Denying houses ${type.adverse.join(', ')}: ${judgement.adverse.join(', ') || 'none'} signified`,
+      '',
+      VERDICTS[judgement.verdict],
+      judgement.confirmed ?
+        '🔁 Confirmed by the ruling planets of this moment.' :
+        '🔁 Not confirmed by the ruling planets; ask again later for a firmer answer.',
+      '',
+      this.formatRulingPlanets(ruling)
+    ];
+    return lines.filter(line => line !== null).join('\n');
+  }
+
+  /**
+   * @param {Object} ruling - KPCalculator.rulingPlanets result
+   * @returns {string} Ruling planets line
+   */
+  formatRulingPlanets(ruling) {
+    return `👑 *Ruling planets now:* ${ruling.planets.join(', ')}\n(day lord ${ruling.dayLord}; Ascendant ${ruling.ascendant.starLord}/${ruling.ascendant.signLord}; Moon ${ruling.moon.starLord}/${ruling.moon.signLord})`;
+  }
+
+  /**
+   * Buttons shown under KP readings
+   * @returns {Array<Object>} Buttons
+   */
+  getKPActionButtons() {
+    return [
+      {
+        id: 'get_prashna_astrology',
+        titleKey: 'buttons.prashna',
+        title: '❓ Prashna'
+      },
+      {
+        id: 'show_main_menu',
+        titleKey: 'buttons.main_menu',
+        title: '🏠 Main Menu'
+      }
+    ];
+  }
+
+  /**
+   * Get action metadata for registration
+   * @returns {Object} Action metadata
+   */
+  static getMetadata() {
+    return {
+      id: this.actionId,
+      description:
+        'KP chart with cuspal sub lords, significators, ruling planets and 1-249 horary',
+      keywords: this.keywords,
+      category: 'astrology',
+      subscriptionRequired: false,
+      cooldown: 0
+    };
+  }
+}
+
+module.exports = KPAstrologyAction;
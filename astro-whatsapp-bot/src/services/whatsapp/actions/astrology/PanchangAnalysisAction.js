@@ -36,7 +36,8 @@ class PanchangAnalysisAction extends BaseAction {
           {
             birthDate: userProfile.birthDate,
             birthTime: userProfile.birthTime,
-            birthPlace: userProfile.birthPlace
+            birthPlace: userProfile.birthPlace,
+            preferences: userProfile.preferences
           } :
           null,
         options: {
@@ -0,0 +1,144 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const { getCalendarService } = require('../../../calendar');
+
+/**
+ * TransitCalendarAction - The user's astro calendar: exact transits, dasha
+ * changes, Sade Sati phases, festivals and Rahu Kaal. `data.command` (from
+ * "calendar link" or "calendar stop", see MessageRouter) picks what to do:
+ * 'export' sends an .ics file, 'subscribe' sends a feed link that keeps
+ * the calendar app up to date, 'unsubscribe' revokes the link.
+ */
+class TransitCalendarAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'get_transit_calendar';
+  }
+
+  /**
+   * Keywords that send the .ics file ('calendar' alone is the Panchang)
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'transit calendar',
+      'astro calendar',
+      'my calendar',
+      'calendar export',
+      'ics',
+      'ical'
+    ];
+  }
+
+  /**
+   * Export, subscribe or unsubscribe
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    const command = (this.data && this.data.command) || 'export';
+    try {
+      this.logAstrologyExecution('start', `Calendar ${command}`);
+
+      if (command === 'unsubscribe') {
+        return await this.unsubscribe();
+      }
+
+      const validation = await this.validateProfileAndLimits(
+        'Astro Calendar',
+        'transit_calendar'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      return command === 'subscribe' ?
+        await this.subscribe() :
+        await this.export();
+    } catch (error) {
+      this.logger.error('Error in TransitCalendarAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send the calendar as an .ics file
+   * @returns {Promise<Object>} Action result
+   */
+  async export() {
+    await this.sendMessage(
+      '📅 Preparing your astro calendar for the coming months. It will arrive as a calendar file in a moment...'
+    );
+    const delivery = await getCalendarService().deliver(this.user);
+    await this.sendMessage(
+      '📅 Open the file to add the events to your calendar.\n\nTo keep it up to date automatically instead, reply *calendar link*.'
+    );
+
+    this.logAstrologyExecution('complete', 'Calendar sent', delivery);
+    return { success: true, type: 'transit_calendar', ...delivery };
+  }
+
+  /**
+   * Send a new feed link, revoking any earlier one
+   * @returns {Promise<Object>} Action result
+   */
+  async subscribe() {
+    const calendarService = getCalendarService();
+    if (!calendarService.baseUrl) {
+      await this.sendMessage(
+        '📅 Calendar subscriptions are not available right now. Reply *my calendar* to get your calendar as a file instead.'
+      );
+      return { success: false, reason: 'feed_unavailable' };
+    }
+
+    const { url, webcalUrl } = await calendarService.subscribe(this.user);
+    await this.sendMessage(
+      `📅 *Your astro calendar link*\n\n${url}\n\n` +
+        `• iPhone: open ${webcalUrl}\n` +
+        '• Google Calendar: Other calendars → From URL, then paste the link\n' +
+        '• Outlook: Add calendar → Subscribe from web\n\n' +
+        'Your calendar app refreshes it on its own as new events come up. Keep the link private: anyone with it can see your calendar.\n\n' +
+        'Asking again gives a new link and stops this one. Reply *calendar stop* to stop it.'
+    );
+
+    this.logAstrologyExecution('complete', 'Calendar link issued');
+    return { success: true, type: 'transit_calendar_link' };
+  }
+
+  /**
+   * Revoke the feed link
+   * @returns {Promise<Object>} Action result
+   */
+  async unsubscribe() {
+    const revoked = await getCalendarService().unsubscribe(this.user);
+    await this.sendMessage(
+      revoked ?
+        '📅 Your calendar link is stopped. Calendars subscribed to it will no longer update; you can remove the calendar from your app.' :
+        '📅 You have no calendar link. Reply *calendar link* to get one.'
+    );
+
+    this.logAstrologyExecution('complete', 'Calendar link revoked', {
+      revoked
+    });
+    return { success: true, type: 'transit_calendar_stop', revoked };
+  }
+
+  static getMetadata() {
+    return {
+      id: this.actionId,
+      description:
+        'Upcoming transits, dashas, Sade Sati, festivals and Rahu Kaal as a calendar file or feed',
+      keywords: this.keywords,
+      category: 'astrology',
+      subscriptionRequired: false,
+      cooldown: 0
+    };
+  }
+}
+
+module.exports = TransitCalendarAction;
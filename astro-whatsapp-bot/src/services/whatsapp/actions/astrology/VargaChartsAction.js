@@ -7,8 +7,14 @@ const {
 /**
  * VargaChartsAction - Provides Vedic divisional chart analysis
  * Shows how Rashi (D-1) divides into specialized charts for different life areas
+ * and sends the Navamsa (D-9) drawn in the user's chart style
  */
 class VargaChartsAction extends AstrologyAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.vargaService = new VargaCharts();
+  }
+
   /**
    * Unique action identifier
    */
@@ -47,6 +53,14 @@ class VargaChartsAction extends AstrologyAction {
         formattedContent,
         this.getVargaActionButtons()
       );
+      const imageSent = vargaData.vargaCharts?.NAVAMSA ?
+        await this.sendChartImage(vargaData.vargaCharts.NAVAMSA, {
+          style: this.getVedicChartStyle(),
+          title: 'Navamsa (D-9)',
+          label: 'Navamsa',
+          caption: '💍 Your Navamsa (D-9) chart'
+        }) :
+        false;
 
       this.logAstrologyExecution(
         'complete',
@@ -58,7 +72,8 @@ class VargaChartsAction extends AstrologyAction {
         analysisData: {
           vargasCalculated: Object.keys(vargaData.vargaCharts || {}).length,
           keyInsights: vargaData.analysis?.keyInsights?.length || 0
-        }
+        },
+        imageSent
       };
     } catch (error) {
       this.logger.error('Error in VargaChartsAction:', error);
@@ -99,7 +114,11 @@ class VargaChartsAction extends AstrologyAction {
         {
           birthDate: this.user.birthDate,
           birthTime: this.user.birthTime,
-          birthPlace: this.user.birthPlace
+          birthPlace: this.user.birthPlace,
+          birthLatitude: this.user.birthLatitude,
+          birthLongitude: this.user.birthLongitude,
+          birthTimezone: this.user.birthTimezone,
+          preferences: this.user.preferences
         },
         keyVargas
       );
@@ -73,7 +73,7 @@ class VedicAstrologyAction extends BaseAction {
         title: '📊 Vedic Kundli'
       },
       {
-        id: 'get_vimshottari_dasha_analysis',
+        id: 'get_dasha_analysis',
         titleKey: 'buttons.dasha_analysis',
         title: '⏰ Dasha Analysis'
       },
@@ -1,7 +1,11 @@
 const BaseAction = require('../BaseAction');
 const { ResponseBuilder } = require('../../utils/ResponseBuilder');
-const { sendMessage } = require('../../messageSender');
+const { sendMessage, sendImageBuffer } = require('../../messageSender');
 const { ASTROLOGY_CONFIG } = require('../config/ActionConfig');
+const { ChartRenderer } = require('../../../astrology/charts/ChartRenderer');
+const { getAITwinService } = require('../../../ai');
+
+const chartRenderer = new ChartRenderer();
 
 /**
  * AstrologyAction - Base class for all astrology-related actions
@@ -52,6 +56,77 @@ class AstrologyAction extends BaseAction {
       // Fallback to simple text message
       await sendMessage(this.phoneNumber, content, 'text');
     }
+
+    await this.rememberForTwin(
+      'reading',
+      this.getActionConfig().displayName || this.getActionName(),
+      content
+    );
+  }
+
+  /**
+   * Note a reading or answer in the user's AI Twin memory. Failures are
+   * logged only; the user already has their reading.
+   * @param {string} kind - 'reading' or 'question'
+   * @param {string} interaction - Reading name or question
+   * @param {string} response - Reading or answer text
+   */
+  async rememberForTwin(kind, interaction, response) {
+    if (!this.user || !this.user.phoneNumber) {
+      return;
+    }
+    try {
+      await getAITwinService().remember(this.user, {
+        kind,
+        interaction,
+        response
+      });
+    } catch (error) {
+      this.logger.warn('⚠️ Could not add to AI Twin memory:', error.message);
+    }
+  }
+
+  /**
+   * Render a chart image and send it after the text reading. The image is
+   * a supplement, so failures are logged rather than surfaced to the user.
+   * @param {Object} chart - Chart data (see ChartRenderer.toChartModel)
+   * @param {Object} options - ChartRenderer options plus `caption`
+   * @returns {Promise<boolean>} True if the image was sent
+   */
+  async sendChartImage(chart, options = {}) {
+    return this.sendRenderedImage(
+      () => chartRenderer.renderPng(chart, options),
+      options.caption
+    );
+  }
+
+  /**
+   * Render any image (a map, a chart) and send it after the text reading,
+   * logging failures like sendChartImage
+   * @param {Function} render - () => PNG bytes
+   * @param {string} caption - Image caption
+   * @returns {Promise<boolean>} True if the image was sent
+   */
+  async sendRenderedImage(render, caption = '') {
+    try {
+      const png = render();
+      await sendImageBuffer(this.phoneNumber, png, caption || '');
+      return true;
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ Image not sent to ${this.phoneNumber}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Drawing style the user chose for Vedic charts
+   * @returns {string} Key of CHART_STYLES
+   */
+  getVedicChartStyle() {
+    return this.user?.preferences?.chartStyle || 'north_indian';
   }
 
   /**
@@ -1,47 +1,126 @@
-const BaseAction = require('../BaseAction');
-const { ResponseBuilder } = require('../../utils/ResponseBuilder');
-const { sendMessage } = require('../../messageSender');
+const AstrologyAction = require('../base/AstrologyAction');
+const {
+  AshtakootaEngine
+} = require('../../../astrology/compatibility/AshtakootaEngine');
+const { PeopleBook } = require('../../../people');
+const PeoplePickerMixin = require('../mixins/PeoplePickerMixin');
 
-class BusinessAstrologyAction extends BaseAction {
+const PARTNERSHIP_LEVELS = {
+  strong:
+    'Your Moons keep the same rhythm: trust and shared decisions come easily.',
+  workable:
+    'A workable partnership: agree roles and how decisions are made early on.',
+  challenging:
+    'Different rhythms: put agreements in writing and keep your roles clearly apart.'
+};
+
+/**
+ * BusinessAstrologyAction - Partnership reading between the user and a
+ * business partner or client picked from their people book (see
+ * PeoplePickerMixin): Tara, Graha Maitri and Bhakoot between the two
+ * natal Moons (AshtakootaEngine.harmony).
+ */
+class BusinessAstrologyAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
   static get actionId() {
     return 'start_business_partnership_flow';
   }
 
+  /**
+   * Execute the partnership reading, or show the picker
+   * @returns {Promise<Object|null>} Action result
+   */
   async execute() {
     try {
-      if (!(await this.validateUserProfile('Business Astrology'))) {
-        await this.sendIncompleteProfileMessage();
-        return { success: false, reason: 'incomplete_profile' };
+      const validation = await this.validateProfileAndLimits(
+        'Business Partnership',
+        'business_partnership'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const picked = await this.pickOnePerson({
+        body: '🤝 *Business & Partnership Astrology*\n\nPick the partner or client to read your partnership with, or add someone new.'
+      });
+      if (picked.missing) {
+        return { success: false, reason: 'person_not_found' };
+      }
+      if (!picked.person) {
+        return { success: true, type: 'people_picker' };
       }
 
-      await this.sendBusinessAstrology();
-      return { success: true, type: 'business_astrology' };
+      const harmony = new AshtakootaEngine().harmony(
+        { moon: await this.natalMoonOf(this.user) },
+        {
+          moon: await this.natalMoonOf(
+            PeopleBook.toProfile(picked.person, this.user)
+          )
+        }
+      );
+      await this.buildAstrologyResponse(
+        this.formatPartnership(harmony, picked.person.name),
+        this.getPartnershipButtons()
+      );
+
+      this.logAstrologyExecution('complete', 'Partnership reading sent', {
+        total: harmony.total
+      });
+      return {
+        success: true,
+        type: 'business_partnership',
+        total: harmony.total,
+        level: harmony.level
+      };
     } catch (error) {
+      this.logger.error('Error in BusinessAstrologyAction:', error);
       await this.handleExecutionError(error);
-      return { success: false, reason: error.message };
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
     }
   }
 
-  async sendBusinessAstrology() {
-    const analysis =
-      '🤝 *Business & Partnership Astrology*\n\n' +
-      'Optimize business ventures, partnerships, and financial decisions with cosmic timing and astrological insights.\n\n' +
-      '*💼 BUSINESS ASTROLOGY REVEALS:*\n' +
-      '• **Partnership Synastry** - Business partner compatibility\n' +
-      '• **Financial Astrology** - Money and wealth cycles\n' +
-      '• **Business Timing** - Optimal launch periods\n' +
-      '• **Team Dynamics** - Staff and client interactions\n' +
-      '• **Market Cycles** - Economic astrology patterns\n\n' +
-      '*📈 COMMERCIAL ASTROLOGY TOOLS:*\n' +
-      '• **Electional Astrology** - Choose perfect business incorporation dates\n' +
-      '• **Horary Astrology** - Answer specific business questions\n' +
-      '• **Solar Returns** - Annual business planning\n' +
-      '• **Transits** - Major business cycle changes\n\n' +
-      '*🚀 COSMIC BUSINESS ADVANTAGE:*\n' +
-      'When you align your business decisions with cosmic cycles, success becomes predictable and sustainable. Your birth chart reveals your most profitable ventures and ideal business partners.';
+  /**
+   * @param {Object} harmony - AshtakootaEngine.harmony result, user first
+   * @param {string} name - Partner's name
+   * @returns {string} Message text
+   */
+  formatPartnership(harmony, name) {
+    const rows = harmony.kootas.map(
+      koota =>
+        `${koota.name.padEnd(13)}${String(koota.score).padStart(4)} / ${koota.max}`
+    );
+    return [
+      `🤝 *Business Partnership: You & ${name}*`,
+      '',
+      `You: Moon in ${harmony.first.signName}, ${harmony.first.nakshatraName}`,
+      `${name}: Moon in ${harmony.second.signName}, ${harmony.second.nakshatraName}`,
+      '',
+      `\`\`\`${[
+        ...rows,
+        '-'.repeat(21),
+        `${'Total'.padEnd(13)}${String(harmony.total).padStart(4)} / ${harmony.maximum}`
+      ].join('\n')}\`\`\``,
+      '',
+      PARTNERSHIP_LEVELS[harmony.level]
+    ].join('\n');
+  }
 
-    const userLanguage = this.getUserLanguage();
-    const buttons = [
+  /**
+   * Buttons shown under the reading
+   * @returns {Array<Object>} Buttons
+   */
+  getPartnershipButtons() {
+    return [
+      {
+        id: 'start_group_timing_flow',
+        title: '📅 Group Timing'
+      },
       {
         id: 'get_financial_astrology_analysis',
         titleKey: 'buttons.financial_astrology',
@@ -53,15 +132,6 @@ class BusinessAstrologyAction extends BaseAction {
         title: '🏠 Main Menu'
       }
     ];
-
-    const message = ResponseBuilder.buildInteractiveButtonMessage(
-      this.phoneNumber,
-      analysis,
-      buttons,
-      userLanguage
-    );
-
-    await sendMessage(message.to, message.interactive, 'interactive');
   }
 
   static getMetadata() {
@@ -83,4 +153,6 @@ class BusinessAstrologyAction extends BaseAction {
   }
 }
 
+Object.assign(BusinessAstrologyAction.prototype, PeoplePickerMixin);
+
 module.exports = BusinessAstrologyAction;
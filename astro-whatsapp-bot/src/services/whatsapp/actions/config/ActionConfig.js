@@ -2,6 +2,8 @@
  * Centralized configuration for WhatsApp actions
  * Provides action-specific settings, display names, error messages,
  * and feature requirements for consistent behavior across all actions.
+ * `entitlement` names the ledger credit one run consumes (see
+ * EntitlementCatalog and BaseAction.run).
  */
 
 const ASTROLOGY_CONFIG = {
@@ -46,6 +48,7 @@ const ASTROLOGY_CONFIG = {
     requiredProfileFields: ['birthDate', 'birthTime'],
     subscriptionFeature: 'compatibility_couple',
     cooldown: 300000, // 5 minutes
+    entitlement: 'compatibility_snapshot',
     errorMessages: {
       incomplete:
         'Compatibility analysis requires birth date and time for both partners.',
@@ -76,11 +79,11 @@ const ASTROLOGY_CONFIG = {
     }
   },
 
-  get_vimshottari_dasha_analysis: {
-    displayName: 'Vimshottari Dasha',
+  get_dasha_analysis: {
+    displayName: 'Dasha Analysis',
     requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
-    subscriptionFeature: 'dasha_vimshottari',
-    cooldown: 3600000, // 1 hour
+    subscriptionFeature: 'dasha_analysis',
+    cooldown: 0, // Drilling into sub-periods re-runs the action
     errorMessages: {
       incomplete: 'Dasha analysis requires complete birth information.',
       limitReached: 'You have reached your planetary period analysis limit.'
@@ -120,6 +123,51 @@ const ASTROLOGY_CONFIG = {
     }
   },
 
+  get_kp_analysis: {
+    displayName: 'KP Astrology',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'kp_astrology',
+    cooldown: 300000, // 5 minutes
+    errorMessages: {
+      incomplete: 'KP astrology requires complete birth information.',
+      limitReached: 'You have reached your KP astrology limit.'
+    }
+  },
+
+  get_birth_report: {
+    displayName: 'Birth Report',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'birth_report',
+    cooldown: 3600000, // 1 hour
+    errorMessages: {
+      incomplete: 'The PDF birth report requires complete birth information.',
+      limitReached: 'Birth reports are part of the Premium plan.'
+    }
+  },
+
+  ask_ai_astrologer: {
+    displayName: 'AI Astrologer',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'ai_astrologer',
+    cooldown: 0,
+    entitlement: 'flash_insight',
+    errorMessages: {
+      incomplete: 'Personal answers require complete birth information.',
+      limitReached: 'You have reached your AI astrologer question limit.'
+    }
+  },
+
+  ai_twin: {
+    displayName: 'AI Twin',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'ai_twin',
+    cooldown: 0,
+    errorMessages: {
+      incomplete: 'Your AI Twin is built from your complete birth information.',
+      limitReached: 'You have reached your AI Twin message limit.'
+    }
+  },
+
   get_tarot_reading: {
     displayName: 'Tarot Reading',
     requiredProfileFields: ['birthDate'],
@@ -768,6 +816,16 @@ const ASTROLOGY_CONFIG = {
       limitReached: 'You have reached your Hellenistic astrology limit.'
     }
   },
+  get_hellenistic_time_lords: {
+    displayName: 'Hellenistic Time Lords',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'hellenistic_astrology',
+    cooldown: 300000, // 5 minutes
+    errorMessages: {
+      incomplete: 'Hellenistic time lords require complete birth information.',
+      limitReached: 'You have reached your Hellenistic astrology limit.'
+    }
+  },
   get_islamic_astrology_info: {
     displayName: 'Islamic Astrology',
     requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
@@ -808,6 +866,16 @@ const ASTROLOGY_CONFIG = {
       limitReached: 'You have reached your astrocartography limit.'
     }
   },
+  get_transit_calendar: {
+    displayName: 'Astro Calendar',
+    requiredProfileFields: ['birthDate', 'birthTime', 'birthPlace'],
+    subscriptionFeature: 'transit_calendar',
+    cooldown: 0,
+    errorMessages: {
+      incomplete: 'Your astro calendar requires complete birth information.',
+      limitReached: 'You have reached your astro calendar limit.'
+    }
+  },
   get_vedic_numerology_analysis: {
     displayName: 'Vedic Numerology',
     requiredProfileFields: ['birthDate'],
@@ -1023,6 +1091,43 @@ const PROFILE_CONFIG = {
     requiredProfileFields: [],
     subscriptionFeature: null,
     cooldown: 0
+  },
+  cancel_subscription: {
+    displayName: 'Cancel Subscription',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
+  },
+
+  purchase_entitlement: {
+    displayName: 'Purchase',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
+  },
+  referral_program: {
+    displayName: 'Refer & Earn',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
+  },
+  redeem_loyalty_points: {
+    displayName: 'Redeem Points',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
+  },
+  people_book: {
+    displayName: 'My People',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
+  },
+  transit_alerts: {
+    displayName: 'Alerts',
+    requiredProfileFields: [],
+    subscriptionFeature: null,
+    cooldown: 0
   }
 };
 
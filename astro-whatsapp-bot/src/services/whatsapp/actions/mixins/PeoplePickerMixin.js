@@ -0,0 +1,287 @@
+/**
+ * PeoplePickerMixin - Lets readings for several people (compatibility,
+ * family, partnership, group timing) pick from the user's people book
+ * instead of asking for birth details again.
+ * Picker rows are `people_pick_<action ID>_<choice>` (see
+ * InteractiveMessageProcessor.executeAction), which run the action again
+ * with `data.pick`: a person ID, 'new', 'typed', 'done' or 'page<n>'. A
+ * person added from the picker comes back in `data.personId`. People
+ * ticked for a several-people reading are kept in the session's
+ * `context.peopleSelection`.
+ * Mixed into BaseAction subclasses with Object.assign(prototype).
+ */
+
+const { getPeopleBook, PeopleBook, RELATIONSHIPS } = require('../../../people');
+const {
+  getUserSession,
+  setUserSession
+} = require('../../../../models/userModel');
+const { toServiceBirthData } = require('../../../astrology/core/BirthProfile');
+
+// People per picker page: with add, done (or type) and more, a page fills
+// the 10 rows of a WhatsApp list
+const PAGE_SIZE = 7;
+
+const PERSON_ID = /^[0-9a-f]{24}$/;
+
+const PeoplePickerMixin = {
+  /**
+   * @param {string} choice - Person ID, 'new', 'typed', 'done' or 'page<n>'
+   * @returns {string} Picker row ID for this action
+   */
+  pickId(choice) {
+    return `people_pick_${this.constructor.actionId}_${choice}`;
+  },
+
+  /**
+   * Send the user's people as a list to pick from
+   * @param {Array<Object>} people - PeopleBook.list result
+   * @param {Object} options - Picker options
+   * @param {string} options.body - List message text
+   * @param {number} options.page - Page of people to show
+   * @param {boolean} options.multiple - Tick several people, then Done
+   * @param {Array<string>} options.selected - IDs ticked so far
+   * @param {boolean} options.allowTyped - Offer typing birth details instead
+   */
+  async sendPeoplePicker(
+    people,
+    { body, page = 0, multiple = false, selected = [], allowTyped = false }
+  ) {
+    const pages = Math.max(1, Math.ceil(people.length / PAGE_SIZE));
+    const current = Math.min(Math.max(page, 0), pages - 1);
+    const rows = people
+      .slice(current * PAGE_SIZE, (current + 1) * PAGE_SIZE)
+      .map(person => {
+        const id = String(person._id);
+        const { emoji } =
+          RELATIONSHIPS[person.relationship] || RELATIONSHIPS.other;
+        const mark = selected.includes(id) ? '✅' : emoji;
+        return {
+          id: this.pickId(id),
+          title: `${mark} ${person.name}`.substring(0, 24),
+          description: PeopleBook.describe(person).substring(0, 72)
+        };
+      });
+
+    const more = [
+      {
+        id: this.pickId('new'),
+        title: '➕ Add someone',
+        description: 'Save a new person and use them here'
+      }
+    ];
+    if (multiple) {
+      more.push({
+        id: this.pickId('done'),
+        title: `➡️ Done (${selected.length} ticked)`,
+        description: 'Read for you and everyone ticked'
+      });
+    } else if (allowTyped) {
+      more.push({
+        id: this.pickId('typed'),
+        title: '✍️ Type details',
+        description: 'Send birth details without saving them'
+      });
+    }
+    if (pages > 1) {
+      const next = (current + 1) % pages;
+      more.push({
+        id: this.pickId(`page${next}`),
+        title: '⏩ More people',
+        description: `Page ${next + 1} of ${pages}`
+      });
+    }
+
+    await this.sendMessage(
+      {
+        type: 'list',
+        body,
+        button: multiple ? 'Tick people' : 'Pick someone',
+        sections: [
+          { title: 'Your people', rows },
+          { title: 'More', rows: more }
+        ].filter(section => section.rows.length > 0)
+      },
+      'interactive'
+    );
+  },
+
+  /**
+   * The person picked for a reading with one other person
+   * @param {Object} options - Picker options
+   * @param {string} options.body - List message text
+   * @param {boolean} options.allowTyped - Offer typing birth details instead
+   * @returns {Promise<Object>} { person } once picked, { typed: true } when
+   *   the details should be typed, { missing: true } for a person no longer
+   *   saved, or {} while the picker is shown
+   */
+  async pickOnePerson({ body, allowTyped = false }) {
+    const { pick } = this.data || {};
+    if (pick === 'new') {
+      await this.addPersonForPick();
+      return {};
+    }
+    if (pick === 'typed') {
+      return { typed: true };
+    }
+
+    const book = getPeopleBook();
+    const chosen = this.pickedPersonId();
+    if (chosen) {
+      const person = await book.get(this.phoneNumber, chosen);
+      if (person) {
+        return { person };
+      }
+    }
+
+    const people = await book.list(this.phoneNumber);
+    if (people.length === 0 && allowTyped) {
+      return { typed: true };
+    }
+    await this.sendPeoplePicker(people, {
+      body: chosen ? `That person is no longer saved.\n\n${body}` : body,
+      page: this.pickedPage(),
+      allowTyped
+    });
+    return chosen ? { missing: true } : {};
+  },
+
+  /**
+   * One step of ticking several people: a tick (or untick), a page, adding
+   * someone or finishing
+   * @param {Object} options - Picker options
+   * @param {string} options.body - List message text
+   * @param {number} options.minimum - People to tick before Done
+   * @param {number} options.maximum - Most people to tick
+   * @returns {Promise<Array<Object>|null>} The people ticked once the user
+   *   is done, or null while picking goes on
+   */
+  async pickSeveralPeople({ body, minimum = 1, maximum = 6 }) {
+    const { pick, personId } = this.data || {};
+    if (pick === 'new') {
+      await this.addPersonForPick();
+      return null;
+    }
+
+    const people = await getPeopleBook().list(this.phoneNumber);
+    const known = id => people.some(person => String(person._id) === id);
+    // A fresh start forgets an earlier, unfinished selection
+    let selected =
+      pick || personId ? (await this.getPeopleSelection()).filter(known) : [];
+    let note = '';
+    let page = this.pickedPage();
+
+    const ticked = this.pickedPersonId();
+    if (ticked && known(ticked)) {
+      page = Math.floor(
+        people.findIndex(person => String(person._id) === ticked) / PAGE_SIZE
+      );
+      if (selected.includes(ticked) && !personId) {
+        selected = selected.filter(id => id !== ticked);
+      } else if (!selected.includes(ticked)) {
+        if (selected.length < maximum) {
+          selected = [...selected, ticked];
+        } else {
+          note = `You can tick up to ${maximum} people.\n\n`;
+        }
+      }
+    }
+
+    if (pick === 'done') {
+      if (selected.length >= minimum) {
+        await this.setPeopleSelection(null);
+        return people.filter(person => selected.includes(String(person._id)));
+      }
+      note = `Please tick at least ${minimum === 1 ? 'one person' : `${minimum} people`} first.\n\n`;
+    }
+
+    await this.setPeopleSelection(selected);
+    await this.sendPeoplePicker(people, {
+      body:
+        people.length === 0 ?
+          `${body}\n\nYou haven't saved anyone yet. Add the people to include first.` :
+          `${note}${body}`,
+      page,
+      multiple: true,
+      selected
+    });
+    return null;
+  },
+
+  /**
+   * @returns {string|null} ID of the person picked or just added, if any
+   */
+  pickedPersonId() {
+    const { pick, personId } = this.data || {};
+    if (personId) {
+      return personId;
+    }
+    return PERSON_ID.test(pick || '') ? pick : null;
+  },
+
+  /**
+   * @private
+   * @returns {number} Page asked for with a 'page<n>' pick
+   */
+  pickedPage() {
+    const match = String((this.data && this.data.pick) || '').match(
+      /^page(\d+)$/
+    );
+    return match ? parseInt(match[1], 10) : 0;
+  },
+
+  /**
+   * Add someone through the people book flow, then come back here with
+   * them in `data.personId`
+   */
+  async addPersonForPick() {
+    // Required lazily: the conversation engine loads the message pipeline
+    const {
+      startFlow
+    } = require('../../../../conversation/conversationEngine');
+    await startFlow(this.user, 'people_book', {
+      returnTo: this.constructor.actionId
+    });
+  },
+
+  /**
+   * @private
+   * @returns {Promise<Array<string>>} IDs ticked so far in this action
+   */
+  async getPeopleSelection() {
+    const session = await getUserSession(this.phoneNumber);
+    const selection = session && session.context ?
+      session.context.peopleSelection :
+      null;
+    return selection && selection.actionId === this.constructor.actionId ?
+      selection.ids :
+      [];
+  },
+
+  /**
+   * @private
+   * @param {Array<string>|null} ids - IDs ticked, or null to forget them
+   */
+  async setPeopleSelection(ids) {
+    await setUserSession(this.phoneNumber, {
+      'context.peopleSelection': ids ?
+        { actionId: this.constructor.actionId, ids } :
+        null
+    });
+  },
+
+  /**
+   * Sidereal natal Moon of the user or a saved person, in the user's
+   * ayanamsa
+   * @param {Object} profile - User, or PeopleBook.toProfile result
+   * @returns {Promise<number>} Moon longitude
+   */
+  async natalMoonOf(profile) {
+    // Required lazily like the other chart services
+    const { getDashaService } = require('../../../astrology/dasha');
+    const natal = await getDashaService().natal(toServiceBirthData(profile));
+    return natal.moon;
+  }
+};
+
+module.exports = PeoplePickerMixin;
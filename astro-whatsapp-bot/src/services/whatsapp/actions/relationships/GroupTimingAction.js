@@ -0,0 +1,170 @@
+const AstrologyAction = require('../base/AstrologyAction');
+const {
+  GroupTimingFinder
+} = require('../../../astrology/compatibility/GroupTimingFinder');
+const { PeopleBook } = require('../../../people');
+const PeoplePickerMixin = require('../mixins/PeoplePickerMixin');
+
+const SEARCH_DAYS = 30;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec'
+];
+
+const GROUP_TIMING_NOTE =
+  '📅 Each day is judged at 6 am by its Moon against everyone\'s natal Moon: ✅ has both Tara Bala and Chandra Bala, ☑️ one of them, ⚠️ neither.';
+
+/**
+ * GroupTimingAction - Best days in the coming month for the user and the
+ * people they tick in their people book (see PeoplePickerMixin) to do
+ * something together, by everyone's Tara Bala and Chandra Bala
+ * (GroupTimingFinder). Days are counted in the user's time zone.
+ */
+class GroupTimingAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
+  static get actionId() {
+    return 'start_group_timing_flow';
+  }
+
+  /**
+   * Keywords that open group timing
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return ['group timing', 'group event', 'best day together'];
+  }
+
+  /**
+   * Execute group timing, or the next step of ticking people
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      const validation = await this.validateProfileAndLimits(
+        'Group Event Timing',
+        'group_timing'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const people = await this.pickSeveralPeople({
+        body: '📅 *Group Event Timing*\n\nTick everyone taking part (a trip, a launch, a ceremony), then choose *Done* for the best days in the next month.',
+        maximum: 6
+      });
+      if (!people) {
+        return { success: true, type: 'people_picker' };
+      }
+
+      const members = [
+        { name: 'You', moon: await this.natalMoonOf(this.user) }
+      ];
+      for (const person of people) {
+        members.push({
+          name: person.name,
+          moon: await this.natalMoonOf(PeopleBook.toProfile(person, this.user))
+        });
+      }
+
+      const days = new GroupTimingFinder().find(members, {
+        days: SEARCH_DAYS,
+        timezone: this.user.timezone || this.user.birthTimezone || 'UTC',
+        preferences: this.user.preferences || {}
+      });
+
+      // Five days with a line per member outgrow an interactive body
+      await this.sendMessage(this.formatGroupTiming(days), 'text');
+      await this.buildAstrologyResponse(
+        GROUP_TIMING_NOTE,
+        this.getGroupTimingButtons()
+      );
+
+      this.logAstrologyExecution('complete', 'Group timing sent', {
+        members: members.length
+      });
+      return {
+        success: true,
+        type: 'group_timing',
+        members: members.length,
+        days: days.length
+      };
+    } catch (error) {
+      this.logger.error('Error in GroupTimingAction:', error);
+      await this.handleExecutionError(error);
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @param {Array<Object>} days - GroupTimingFinder.find result
+   * @returns {string} Message text
+   */
+  formatGroupTiming(days) {
+    const mark = member => {
+      if (member.favourable) {
+        return '✅';
+      }
+      return member.taraBala || member.chandraBala ? '☑️' : '⚠️';
+    };
+    const lines = days.map((day, index) => {
+      const { year, month, day: date } = day.date;
+      const weekday =
+        WEEKDAYS[new Date(Date.UTC(year, month - 1, date)).getUTCDay()];
+      return [
+        `*${index + 1}. ${weekday} ${date} ${MONTHS[month - 1]}*: ${day.favourable}/${day.members.length} favourable · Moon in ${day.moon.signName}, ${day.moon.nakshatraName}`,
+        day.members
+          .map(member => `${mark(member)} ${member.name} (${member.taraName})`)
+          .join('  ')
+      ].join('\n');
+    });
+
+    return [
+      `📅 *Best days together* (next ${SEARCH_DAYS} days)`,
+      '',
+      lines.join('\n\n')
+    ].join('\n');
+  }
+
+  /**
+   * Buttons shown under the days
+   * @returns {Array<Object>} Buttons
+   */
+  getGroupTimingButtons() {
+    return [
+      {
+        id: 'start_family_astrology_flow',
+        title: '👪 Family Reading'
+      },
+      {
+        id: 'people_book',
+        title: '📒 My People'
+      },
+      {
+        id: 'show_main_menu',
+        titleKey: 'buttons.main_menu',
+        title: '🏠 Main Menu'
+      }
+    ];
+  }
+}
+
+Object.assign(GroupTimingAction.prototype, PeoplePickerMixin);
+
+module.exports = GroupTimingAction;
@@ -0,0 +1,259 @@
+const BaseAction = require('../BaseAction');
+const { getPeopleBook, PeopleBook, RELATIONSHIPS } = require('../../../people');
+
+// Saved people fit in one list with the add row
+const LIST_SIZE = 9;
+
+const PERSON_FIELDS = [
+  'name',
+  'relationship',
+  'gender',
+  'birthDate',
+  'birthTime',
+  'birthPlace',
+  'birthLatitude',
+  'birthLongitude',
+  'birthTimezone'
+];
+
+/**
+ * PeopleBookAction - "My People": the family, partners and clients whose
+ * birth details the user saved for readings with them. Lists, shows,
+ * adds, edits and deletes people; adding and editing go through the
+ * `people_book` conversation flow. `data.command` picks the step and
+ * `data.personId` (or `data.name`, from "edit person Priya" and the like,
+ * see MessageRouter) the person.
+ */
+class PeopleBookAction extends BaseAction {
+  static get actionId() {
+    return 'people_book';
+  }
+
+  /**
+   * Keywords that open the people book
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return ['people', 'my people', 'people book', 'saved people'];
+  }
+
+  /**
+   * Execute the people book action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      const command = (this.data && this.data.command) || 'list';
+      if (command === 'list') {
+        return await this.sendPeopleList();
+      }
+      if (command === 'add') {
+        return await this.addPerson();
+      }
+
+      const person = await this.findPerson();
+      if (!person) {
+        await this.sendMessage(
+          this.data && this.data.name ?
+            `📒 I couldn't find *${this.data.name}* in your people.` :
+            '📒 That person is no longer in your people.'
+        );
+        return await this.sendPeopleList();
+      }
+
+      switch (command) {
+      case 'edit':
+        return await this.editPerson(person);
+      case 'delete':
+        return await this.confirmDelete(person);
+      case 'confirmdelete':
+        return await this.deletePerson(person);
+      default:
+        return await this.sendPerson(person);
+      }
+    } catch (error) {
+      this.logger.error('Error in PeopleBookAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, your people book is unavailable right now. Please try again later.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Promise<Object|null>} Person named by ID or by name
+   */
+  async findPerson() {
+    const { personId, name } = this.data || {};
+    const book = getPeopleBook();
+    if (personId) {
+      return book.get(this.phoneNumber, personId);
+    }
+    return name ? book.findByName(this.phoneNumber, name) : null;
+  }
+
+  /**
+   * Send the saved people, with a row to add someone
+   * @returns {Promise<Object>} Action result
+   */
+  async sendPeopleList() {
+    const people = await getPeopleBook().list(this.phoneNumber);
+    const rows = people.slice(0, LIST_SIZE).map(person => {
+      const { emoji } =
+        RELATIONSHIPS[person.relationship] || RELATIONSHIPS.other;
+      return {
+        id: `people_view_${person._id}`,
+        title: `${emoji} ${person.name}`.substring(0, 24),
+        description: PeopleBook.describe(person).substring(0, 72)
+      };
+    });
+    const more =
+      people.length > LIST_SIZE ?
+        `\n\nShowing ${LIST_SIZE} of ${people.length}. Send *edit person <name>* or *delete person <name>* for anyone not listed.` :
+        '';
+
+    await this.sendMessage(
+      {
+        type: 'list',
+        body: people.length ?
+          `📒 *My People*\n\nBirth details you saved for readings with family, partners and clients. Pick someone to see, edit or delete them.${more}` :
+          '📒 *My People*\n\nSave the birth details of your family, partner or clients once and pick them for compatibility, family, partnership and group timing readings.\n\nYou can also send *add person*.',
+        button: 'Open',
+        sections: [
+          { title: 'Your people', rows },
+          {
+            title: 'More',
+            rows: [
+              {
+                id: 'people_add',
+                title: '➕ Add someone',
+                description: 'Save a new person\'s birth details'
+              }
+            ]
+          }
+        ].filter(section => section.rows.length > 0)
+      },
+      'interactive'
+    );
+    return { success: true, type: 'people_list', count: people.length };
+  }
+
+  /**
+   * Show one person with edit and delete buttons
+   * @param {Object} person - Saved person
+   * @returns {Promise<Object>} Action result
+   */
+  async sendPerson(person) {
+    const id = String(person._id);
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: `📒 ${PeopleBook.describe(person)}`,
+        buttons: [
+          { id: `people_edit_${id}`, title: '✏️ Edit' },
+          { id: `people_delete_${id}`, title: '🗑️ Delete' },
+          { id: 'people_book', title: '📒 My People' }
+        ]
+      },
+      'interactive'
+    );
+    return { success: true, type: 'person', personId: id };
+  }
+
+  /**
+   * Start the people book flow for someone new
+   * @returns {Promise<Object>} Action result
+   */
+  async addPerson() {
+    const book = getPeopleBook();
+    const people = await book.list(this.phoneNumber);
+    if (people.length >= book.limit) {
+      await this.sendMessage(
+        `📒 Your people book is full (${book.limit} people). Delete someone to add another.`
+      );
+      return { success: false, reason: 'limit_reached' };
+    }
+    await this.startPeopleFlow({});
+    return { success: true, type: 'person_add' };
+  }
+
+  /**
+   * Start the people book flow over a saved person; each question can be
+   * answered with *keep*
+   * @param {Object} person - Saved person
+   * @returns {Promise<Object>} Action result
+   */
+  async editPerson(person) {
+    const editing = Object.fromEntries(
+      PERSON_FIELDS.map(field => [field, person[field] ?? null])
+    );
+    editing.relationshipLabel = (
+      RELATIONSHIPS[person.relationship] || RELATIONSHIPS.other
+    ).label;
+
+    await this.sendMessage(
+      `✏️ Editing *${person.name}*. Send new details, or *keep* to leave an answer as it is.`
+    );
+    await this.startPeopleFlow({ personId: String(person._id), editing });
+    return { success: true, type: 'person_edit' };
+  }
+
+  /**
+   * Ask before deleting someone
+   * @param {Object} person - Saved person
+   * @returns {Promise<Object>} Action result
+   */
+  async confirmDelete(person) {
+    const id = String(person._id);
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: `🗑️ Delete *${person.name}* from your people? Their birth details will be gone.`,
+        buttons: [
+          { id: `people_confirmdelete_${id}`, title: '🗑️ Delete' },
+          { id: `people_view_${id}`, title: '↩️ Keep' }
+        ]
+      },
+      'interactive'
+    );
+    return { success: true, type: 'person_delete_confirm' };
+  }
+
+  /**
+   * Delete someone, then show who is left
+   * @param {Object} person - Saved person
+   * @returns {Promise<Object>} Action result
+   */
+  async deletePerson(person) {
+    const removed = await getPeopleBook().remove(
+      this.phoneNumber,
+      String(person._id)
+    );
+    await this.sendMessage(
+      removed ?
+        `🗑️ *${person.name}* is deleted.` :
+        '📒 That person is no longer in your people.'
+    );
+    await this.sendPeopleList();
+    return { success: removed, type: 'person_deleted' };
+  }
+
+  /**
+   * @private
+   * @param {Object} flowData - Starting flow data
+   */
+  async startPeopleFlow(flowData) {
+    // Required lazily: the conversation engine loads the message pipeline
+    const {
+      startFlow
+    } = require('../../../../conversation/conversationEngine');
+    await startFlow(this.user, 'people_book', flowData);
+  }
+}
+
+module.exports = PeopleBookAction;
@@ -1,49 +1,132 @@
-const BaseAction = require('../BaseAction');
-const { ResponseBuilder } = require('../../utils/ResponseBuilder');
-const { sendMessage } = require('../../messageSender');
+const AstrologyAction = require('../base/AstrologyAction');
+const {
+  AshtakootaEngine
+} = require('../../../astrology/compatibility/AshtakootaEngine');
+const { PeopleBook, RELATIONSHIPS } = require('../../../people');
+const PeoplePickerMixin = require('../mixins/PeoplePickerMixin');
 
-class RelationshipReadingsAction extends BaseAction {
+const HARMONY_MARKS = { strong: '💚', workable: '💛', challenging: '🧡' };
+
+const FAMILY_NOTE =
+  '👪 Harmony compares each pair\'s natal Moons by Tara, Graha Maitri and Bhakoot (out of 15). 💚 flows easily, 💛 works with care, 🧡 needs patience.';
+
+/**
+ * RelationshipReadingsAction - Family and relationship reading for the
+ * user and the people they tick in their people book (see
+ * PeoplePickerMixin): everyone's Moon sign and nakshatra, then the harmony
+ * of each pair (AshtakootaEngine.harmony).
+ */
+class RelationshipReadingsAction extends AstrologyAction {
+  /**
+   * Unique action identifier
+   */
   static get actionId() {
     return 'start_family_astrology_flow';
   }
 
+  /**
+   * Execute the family reading, or the next step of ticking people
+   * @returns {Promise<Object|null>} Action result
+   */
   async execute() {
     try {
-      if (!(await this.validateUserProfile('Family Astrology'))) {
-        await this.sendIncompleteProfileMessage();
-        return { success: false, reason: 'incomplete_profile' };
+      const validation = await this.validateProfileAndLimits(
+        'Family Astrology',
+        'family_astrology'
+      );
+      if (!validation.success) {
+        return validation;
+      }
+
+      const people = await this.pickSeveralPeople({
+        body: '👪 *Family & Relationship Astrology*\n\nTick the family members and loved ones to read with you, then choose *Done*.',
+        maximum: 5
+      });
+      if (!people) {
+        return { success: true, type: 'people_picker' };
       }
 
-      await this.sendRelationshipReadings();
-      return { success: true, type: 'relationship_readings' };
+      const members = [
+        { name: 'You', moon: await this.natalMoonOf(this.user) }
+      ];
+      for (const person of people) {
+        members.push({
+          name: person.name,
+          relationship: person.relationship,
+          moon: await this.natalMoonOf(PeopleBook.toProfile(person, this.user))
+        });
+      }
+
+      // The reading can outgrow an interactive body, so it goes as text
+      await this.sendMessage(this.formatFamilyReading(members), 'text');
+      await this.buildAstrologyResponse(FAMILY_NOTE, this.getFamilyButtons());
+
+      this.logAstrologyExecution('complete', 'Family reading sent', {
+        members: members.length
+      });
+      return {
+        success: true,
+        type: 'relationship_readings',
+        members: members.length
+      };
     } catch (error) {
+      this.logger.error('Error in RelationshipReadingsAction:', error);
       await this.handleExecutionError(error);
-      return { success: false, reason: error.message };
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
     }
   }
 
-  async sendRelationshipReadings() {
-    const analysis =
-      '👪 *Family & Relationship Astrology*\n\n' +
-      'Discover the cosmic bonds that connect families and loved ones through astrological synastry and composite charts.\n\n' +
-      '*❤️ RELATIONSHIP ASTROLOGY COVERS:*\n' +
-      '• **Composite Charts** - Your relationship as an entity\n' +
-      '• **Synastry Analysis** - How your planets interact\n' +
-      '• **Family Dynamics** - Karmic family patterns\n' +
-      '• **Soul Contracts** - Life lessons with relatives\n' +
-      '• **Timing Charts** - Best times for family decisions\n\n' +
-      '*👨‍👩‍👧 ASTROLOGY FOR EVERY BOND:*\n' +
-      '• Romantic partnerships and marriages\n' +
-      '• Parent-child relationships and karma\n' +
-      '• Sibling connections and rivalry\n' +
-      '• Extended family dynamics\n' +
-      '• Friendship and soul partnerships\n\n' +
-      '*Your birth chart holds the key to understanding every relationship in your life.*';
+  /**
+   * @param {Array<Object>} members - [{ name, relationship, moon }], user
+   *   first
+   * @returns {string} Message text
+   */
+  formatFamilyReading(members) {
+    const engine = new AshtakootaEngine();
+    const moons = members.map(member => {
+      const moon = engine.describeMoon(member.moon);
+      const { emoji } = RELATIONSHIPS[member.relationship] || {
+        emoji: '🙂'
+      };
+      return `${emoji} *${member.name}*: Moon in ${moon.signName}, ${moon.nakshatraName}`;
+    });
+
+    const pairs = [];
+    members.forEach((first, i) => {
+      members.slice(i + 1).forEach(second => {
+        const harmony = engine.harmony(first, second);
+        pairs.push(
+          `${HARMONY_MARKS[harmony.level]} ${first.name} & ${second.name}: ${harmony.total}/${harmony.maximum} (${harmony.level})`
+        );
+      });
+    });
 
-    const userLanguage = this.getUserLanguage();
-    const buttons = [
+    return [
+      '👪 *Family & Relationship Astrology*',
+      '',
+      ...moons,
+      '',
+      '*Harmony*',
+      ...pairs
+    ].join('\n');
+  }
+
+  /**
+   * Buttons shown under the reading
+   * @returns {Array<Object>} Buttons
+   */
+  getFamilyButtons() {
+    return [
+      {
+        id: 'start_group_timing_flow',
+        title: '📅 Group Timing'
+      },
       {
-        id: 'initiate_compatibility_flow',
+        id: 'start_couple_compatibility_flow',
         titleKey: 'buttons.compatibility',
         title: '💕 Compatibility'
       },
@@ -53,15 +136,6 @@ class RelationshipReadingsAction extends BaseAction {
         title: '🏠 Main Menu'
       }
     ];
-
-    const message = ResponseBuilder.buildInteractiveButtonMessage(
-      this.phoneNumber,
-      analysis,
-      buttons,
-      userLanguage
-    );
-
-    await sendMessage(message.to, message.interactive, 'interactive');
   }
 
   static getMetadata() {
@@ -82,4 +156,6 @@ class RelationshipReadingsAction extends BaseAction {
   }
 }
 
+Object.assign(RelationshipReadingsAction.prototype, PeoplePickerMixin);
+
 module.exports = RelationshipReadingsAction;
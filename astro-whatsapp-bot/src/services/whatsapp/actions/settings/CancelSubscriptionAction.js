@@ -0,0 +1,147 @@
+const BaseAction = require('../BaseAction');
+const { getSubscriptionLifecycle } = require('../../../payment/subscriptions');
+const paymentService = require('../../../payment/paymentService');
+
+// Statuses with a plan that can still be cancelled
+const CANCELLABLE = ['trialing', 'active', 'past_due'];
+
+const formatDate = value => (value ? new Date(value).toDateString() : null);
+
+/**
+ * CancelSubscriptionAction - "cancel subscription" conversational command
+ * Without confirmation it explains what happens and asks for it; the
+ * `confirm_cancel_subscription` button cancels at the end of the paid
+ * period, stopping the gateway's auto-renewal.
+ */
+class CancelSubscriptionAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.confirmed = !!data.confirmed;
+  }
+
+  static get actionId() {
+    return 'cancel_subscription';
+  }
+
+  /**
+   * Keywords that start a cancellation
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'cancel subscription',
+      'cancel my subscription',
+      'cancel plan',
+      'stop subscription',
+      'unsubscribe'
+    ];
+  }
+
+  /**
+   * Execute the cancel subscription action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      const lifecycle = getSubscriptionLifecycle();
+      const subscription = await lifecycle.getSubscription(this.phoneNumber);
+
+      if (!CANCELLABLE.includes(subscription.status)) {
+        await this.sendMessage(this.describeNothingToCancel(subscription));
+        this.logExecution('nothing_to_cancel', subscription.status);
+        return {
+          success: false,
+          reason: 'nothing_to_cancel',
+          status: subscription.status
+        };
+      }
+
+      if (!this.confirmed) {
+        await this.sendConfirmation(subscription);
+        this.logExecution('confirm');
+        return { success: true, type: 'cancel_subscription_confirm' };
+      }
+
+      const result = await lifecycle.cancel(this.phoneNumber);
+      if (!result.cancelled) {
+        await this.sendMessage(this.describeNothingToCancel(result));
+        return { success: false, reason: 'nothing_to_cancel' };
+      }
+
+      const until = formatDate(result.until);
+      await this.sendMessage(
+        `✅ Your ${this.planName(subscription.planId)} subscription is cancelled and you won't be charged again.` +
+          (until ? `\n\nYou keep your benefits until ${until}.` : '') +
+          '\n\nChanged your mind? Send *subscribe* anytime.'
+      );
+      this.logExecution('cancelled');
+      return {
+        success: true,
+        type: 'subscription_cancelled',
+        until: result.until
+      };
+    } catch (error) {
+      this.logger.error('Error in CancelSubscriptionAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, I couldn\'t cancel your subscription right now. Please try again later.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Ask the user to confirm the cancellation
+   * @param {Object} subscription - Stored subscription
+   */
+  async sendConfirmation(subscription) {
+    const until = formatDate(
+      subscription.status === 'trialing' ?
+        subscription.trialEndsAt :
+        subscription.currentPeriodEnd
+    );
+    await this.sendMessage(
+      {
+        type: 'button',
+        body:
+          `Cancel your ${this.planName(subscription.planId)} subscription?\n\n` +
+          (until ?
+            `It won't renew, and you keep your benefits until ${until}.` :
+            'It won\'t renew.'),
+        buttons: [
+          { id: 'confirm_cancel_subscription', title: 'Cancel my plan' },
+          { id: 'show_main_menu', title: 'Keep my plan' }
+        ]
+      },
+      'interactive'
+    );
+  }
+
+  /**
+   * Explain why there is nothing to cancel
+   * @param {Object} subscription - Stored subscription ({ status })
+   * @returns {string} Message text
+   */
+  describeNothingToCancel(subscription) {
+    if (subscription.status === 'cancelled') {
+      const until = formatDate(subscription.currentPeriodEnd);
+      return until ?
+        `Your subscription is already cancelled. Your benefits last until ${until}.` :
+        'Your subscription is already cancelled.';
+    }
+    return 'You don\'t have an active subscription to cancel. Send *subscribe* to see the plans.';
+  }
+
+  /**
+   * @param {string} planId - Plan identifier
+   * @returns {string} Plan display name
+   */
+  planName(planId) {
+    return planId ? paymentService.getPlan(planId).name : 'current';
+  }
+}
+
+module.exports = CancelSubscriptionAction;
@@ -0,0 +1,212 @@
+const BaseAction = require('../BaseAction');
+const { updateUserProfile } = require('../../../../models/userModel');
+const {
+  AYANAMSAS,
+  HOUSE_SYSTEMS,
+  normalizeAyanamsa,
+  normalizeHouseSystem,
+  resolveChartSettings
+} = require('../../../astrology/core/ChartSettings');
+const { CHART_STYLES } = require('../../../astrology/charts/ChartRenderer');
+
+// Styles users can pick for Vedic chart images (Western charts are wheels)
+const VEDIC_CHART_STYLES = Object.fromEntries(
+  Object.entries(CHART_STYLES).filter(([, style]) => style.vedic)
+);
+
+/**
+ * ChartPreferencesAction - Lets users pick the ayanamsa and house system
+ * used for all of their charts, and how Vedic chart images are drawn.
+ * Without a selection it shows the options; `set_ayanamsa_<key>`,
+ * `set_house_system_<key>` and `set_chart_style_<key>` buttons save a choice.
+ */
+class ChartPreferencesAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.requestedAyanamsa = data.ayanamsa;
+    this.requestedHouseSystem = data.houseSystem;
+    this.requestedChartStyle = data.chartStyle;
+  }
+
+  static get actionId() {
+    return 'chart_preferences';
+  }
+
+  /**
+   * Execute the chart preferences action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      if (
+        !this.requestedAyanamsa &&
+        !this.requestedHouseSystem &&
+        !this.requestedChartStyle
+      ) {
+        await this.sendPreferencesMenu();
+        this.logExecution('menu');
+        return { success: true, type: 'chart_preferences_menu' };
+      }
+
+      const update = this.buildUpdate();
+      if (!update) {
+        await this.sendMessage(
+          '❌ That chart setting is not supported. Send *chart settings* to see the options.'
+        );
+        return { success: false, reason: 'invalid_chart_setting' };
+      }
+
+      await updateUserProfile(this.phoneNumber, update);
+      const saved = this.user?.preferences || {};
+      const preferences = {
+        ayanamsa: update['preferences.ayanamsa'] || saved.ayanamsa,
+        houseSystem: update['preferences.houseSystem'] || saved.houseSystem,
+        chartStyle: update['preferences.chartStyle'] || saved.chartStyle
+      };
+      const settings = resolveChartSettings({ preferences });
+      await this.sendMessage(this.buildConfirmation(settings, preferences));
+
+      this.logExecution('saved');
+      return {
+        success: true,
+        type: 'chart_preferences_saved',
+        ayanamsa: settings.ayanamsa,
+        houseSystem: preferences.houseSystem || null,
+        chartStyle: preferences.chartStyle || 'north_indian'
+      };
+    } catch (error) {
+      this.logger.error('Error in ChartPreferencesAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, I couldn\'t update your chart settings. Please try again.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build the profile update for the requested setting
+   * @returns {Object|null} Update document, or null if the value is unknown
+   */
+  buildUpdate() {
+    if (this.requestedAyanamsa) {
+      const ayanamsa = normalizeAyanamsa(this.requestedAyanamsa);
+      return ayanamsa ? { 'preferences.ayanamsa': ayanamsa } : null;
+    }
+    if (this.requestedChartStyle) {
+      const chartStyle = String(this.requestedChartStyle).toLowerCase();
+      return VEDIC_CHART_STYLES[chartStyle] ?
+        { 'preferences.chartStyle': chartStyle } :
+        null;
+    }
+    const houseSystem = normalizeHouseSystem(this.requestedHouseSystem);
+    return houseSystem ? { 'preferences.houseSystem': houseSystem } : null;
+  }
+
+  /**
+   * Send the current settings and the options. WhatsApp lists hold at most
+   * ten rows, so ayanamsas, house systems and chart styles go out as
+   * separate lists.
+   */
+  async sendPreferencesMenu() {
+    const current = resolveChartSettings(this.user);
+    const toRows = (table, prefix, selected) =>
+      Object.entries(table).map(([key, option]) => ({
+        id: `${prefix}${key}`,
+        title: option.name,
+        description: key === selected ? '✅ Current' : ''
+      }));
+
+    await this.sendMessage(
+      {
+        type: 'list',
+        body: `⚙️ *Chart Settings*\n\nAyanamsa: ${current.ayanamsaName}\nHouses: ${this.describeHouseSystem()}\nChart style: ${this.describeChartStyle()}\n\nThese apply to every chart and reading.`,
+        button: 'Choose Ayanamsa',
+        sections: [
+          {
+            title: 'Ayanamsa',
+            rows: toRows(AYANAMSAS, 'set_ayanamsa_', current.ayanamsa)
+          }
+        ]
+      },
+      'interactive'
+    );
+    await this.sendMessage(
+      {
+        type: 'list',
+        body: '🏠 Choose how houses are divided:',
+        button: 'Choose Houses',
+        sections: [
+          {
+            title: 'House System',
+            rows: toRows(
+              HOUSE_SYSTEMS,
+              'set_house_system_',
+              this.user?.preferences?.houseSystem
+            )
+          }
+        ]
+      },
+      'interactive'
+    );
+    await this.sendMessage(
+      {
+        type: 'list',
+        body: '🖼️ Choose how Vedic chart images are drawn:',
+        button: 'Choose Style',
+        sections: [
+          {
+            title: 'Chart Style',
+            rows: toRows(
+              VEDIC_CHART_STYLES,
+              'set_chart_style_',
+              this.user?.preferences?.chartStyle || 'north_indian'
+            )
+          }
+        ]
+      },
+      'interactive'
+    );
+  }
+
+  /**
+   * Confirmation text for saved settings
+   * @param {Object} settings - Resolved chart settings
+   * @param {Object} preferences - Saved preferences
+   * @returns {string} Confirmation message
+   */
+  buildConfirmation(settings, preferences) {
+    let message = `✅ *Chart settings updated*\n\nAyanamsa: ${settings.ayanamsaName}\nHouses: ${this.describeHouseSystem(preferences)}\nChart style: ${this.describeChartStyle(preferences)}`;
+    if (HOUSE_SYSTEMS[preferences.houseSystem]?.ayanamsa) {
+      message += '\n\n_KP Placidus always uses the Krishnamurti ayanamsa._';
+    }
+    return message;
+  }
+
+  /**
+   * Describe the house system preference
+   * @param {Object} preferences - User preferences
+   * @returns {string} House system name
+   */
+  describeHouseSystem(preferences = this.user?.preferences) {
+    const key = normalizeHouseSystem(preferences?.houseSystem);
+    return key ?
+      HOUSE_SYSTEMS[key].name :
+      'Traditional for each chart (e.g. Equal for Vedic, Placidus for Western)';
+  }
+
+  /**
+   * Describe the Vedic chart image style preference
+   * @param {Object} preferences - User preferences
+   * @returns {string} Chart style name
+   */
+  describeChartStyle(preferences = this.user?.preferences) {
+    const style = VEDIC_CHART_STYLES[preferences?.chartStyle];
+    return (style || VEDIC_CHART_STYLES.north_indian).name;
+  }
+}
+
+module.exports = ChartPreferencesAction;
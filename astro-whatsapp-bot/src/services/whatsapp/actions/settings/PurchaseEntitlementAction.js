@@ -0,0 +1,61 @@
+const BaseAction = require('../BaseAction');
+const paymentService = require('../../../payment/paymentService');
+const { isEntitlement } = require('../../../payment/entitlements');
+
+/**
+ * PurchaseEntitlementAction - Starts a one-off purchase from the
+ * `buy_entitlement_<key>` button of a purchase prompt. The credit is added
+ * to the ledger by the payment webhook once the gateway confirms payment.
+ */
+class PurchaseEntitlementAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.entitlement = data.entitlement;
+  }
+
+  static get actionId() {
+    return 'purchase_entitlement';
+  }
+
+  /**
+   * Execute the purchase action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    if (!isEntitlement(this.entitlement)) {
+      await this.sendMessage('❌ That item is not available for purchase.');
+      return { success: false, reason: 'unknown_entitlement' };
+    }
+
+    try {
+      const result = await paymentService.processMicroTransaction(
+        this.phoneNumber,
+        this.entitlement,
+        paymentService.detectRegion(this.phoneNumber)
+      );
+      const name = paymentService.microServices[this.entitlement].name;
+      await this.sendMessage(
+        `🛒 *${name}*\n\nComplete your payment of ${result.amount} ${result.currency} here:\n${result.paymentUrl}\n\nI'll confirm here as soon as it goes through.`
+      );
+      this.logExecution('payment_created');
+      return {
+        success: true,
+        type: 'entitlement_purchase',
+        entitlement: this.entitlement,
+        transactionId: result.transactionId
+      };
+    } catch (error) {
+      this.logger.error('Error in PurchaseEntitlementAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, I couldn\'t start the payment right now. Please try again later.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = PurchaseEntitlementAction;
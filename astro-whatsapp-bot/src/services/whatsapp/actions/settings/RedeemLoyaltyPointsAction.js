@@ -0,0 +1,111 @@
+const BaseAction = require('../BaseAction');
+const {
+  redeemLoyaltyPoints,
+  getLoyaltyUpgrades
+} = require('../../../../models/userModel');
+const paymentService = require('../../../payment/paymentService');
+
+/**
+ * RedeemLoyaltyPointsAction - Spend loyalty points on a plan upgrade
+ * Without a tier it shows the balance and the plans on offer; the
+ * `redeem_points_<tier>` buttons redeem one.
+ */
+class RedeemLoyaltyPointsAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.tier = data.tier;
+  }
+
+  static get actionId() {
+    return 'redeem_loyalty_points';
+  }
+
+  /**
+   * Keywords that open the redemption options
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return ['redeem points', 'loyalty points', 'my points'];
+  }
+
+  /**
+   * Execute the redemption action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      if (!this.tier) {
+        await this.sendOptions();
+        this.logExecution('options');
+        return { success: true, type: 'loyalty_options' };
+      }
+
+      const result = await redeemLoyaltyPoints(this.phoneNumber, this.tier);
+      await this.sendMessage(this.describeResult(result));
+      this.logExecution(result.upgraded ? 'redeemed' : result.reason);
+      return {
+        success: result.upgraded,
+        type: 'loyalty_redeemed',
+        reason: result.reason,
+        tier: this.tier
+      };
+    } catch (error) {
+      this.logger.error('Error in RedeemLoyaltyPointsAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, I couldn\'t redeem your points right now. Please try again later.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Show the balance and the plans points can buy
+   */
+  async sendOptions() {
+    const upgrades = Object.entries(getLoyaltyUpgrades());
+    const points = (this.user && this.user.loyaltyPoints) || 0;
+    const lines = upgrades.map(
+      ([tier, upgrade]) =>
+        `• *${paymentService.getPlan(tier).name}* for ${upgrade.days} days: ${upgrade.points} points`
+    );
+
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: `⭐ *Loyalty Points*\n\nYou have *${points}* points. Earn more with purchases, subscriptions and by referring friends.\n\n${lines.join('\n')}`,
+        buttons: upgrades.map(([tier, upgrade]) => ({
+          id: `redeem_points_${tier}`,
+          title: `${paymentService.getPlan(tier).name} · ${upgrade.points}`
+        }))
+      },
+      'interactive'
+    );
+  }
+
+  /**
+   * @param {Object} result - SubscriptionManager.upgradeByLoyaltyPoints result
+   * @returns {string} Message text
+   */
+  describeResult(result) {
+    const planName = paymentService.getPlan(result.tier).name;
+    if (result.upgraded) {
+      return `🎉 You're on ${planName} until ${new Date(result.expiry).toDateString()}! You have ${result.pointsLeft} points left.`;
+    }
+    const reasons = {
+      insufficient_points: `${planName} needs ${result.pointsNeeded} points and you have ${result.points}. Refer friends to earn more: send *refer*.`,
+      subscription_active:
+        'Your paid subscription is active, so points can\'t be redeemed for a plan until it ends.',
+      lower_tier: `You're already on a higher plan than ${planName}.`,
+      already_lifetime: `You already have ${planName} for life.`,
+      unknown_tier: 'That plan is not available for points.',
+      user_not_found: 'Please finish setting up your profile first.'
+    };
+    return `❌ ${reasons[result.reason] || 'Your points could not be redeemed.'}`;
+  }
+}
+
+module.exports = RedeemLoyaltyPointsAction;
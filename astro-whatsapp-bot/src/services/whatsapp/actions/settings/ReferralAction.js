@@ -0,0 +1,119 @@
+const BaseAction = require('../BaseAction');
+const { getReferralService } = require('../../../referrals');
+
+/**
+ * ReferralAction - "Refer & Earn" in the settings menu
+ * Shows the user's referral code and stats; with `data.code` (a code the
+ * user sent, see MessageRouter) it applies someone else's code instead.
+ */
+class ReferralAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.code = data.code;
+  }
+
+  static get actionId() {
+    return 'referral_program';
+  }
+
+  /**
+   * Keywords that open the referral program
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'referral',
+      'referrals',
+      'refer',
+      'refer a friend',
+      'invite',
+      'my referral code',
+      'referral code'
+    ];
+  }
+
+  /**
+   * Execute the referral action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      const referrals = getReferralService();
+
+      if (this.code) {
+        const result = await referrals.redeem(this.phoneNumber, this.code);
+        await this.sendMessage(referrals.describeRedemption(result));
+        this.logExecution(result.applied ? 'code_applied' : result.reason);
+        return {
+          success: result.applied,
+          type: 'referral_redeemed',
+          reason: result.reason
+        };
+      }
+
+      const stats = await referrals.getStats(this.phoneNumber);
+      if (!stats) {
+        await this.sendMessage(
+          'Please finish setting up your profile to get your referral code.'
+        );
+        return { success: false, reason: 'user_not_found' };
+      }
+      await this.sendStats(stats);
+      this.logExecution('stats');
+      return {
+        success: true,
+        type: 'referral_stats',
+        referredCount: stats.referredCount
+      };
+    } catch (error) {
+      this.logger.error('Error in ReferralAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, referrals are unavailable right now. Please try again later.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Send the user's code, rewards and stats
+   * @param {Object} stats - ReferralService.getStats result
+   */
+  async sendStats(stats) {
+    const lines = [
+      '🎁 *Refer & Earn*',
+      '',
+      `Your referral code: *${stats.referralCode}*`,
+      '',
+      `Share it with friends. When they send it to me, they get ${stats.referredReward} and you get ${stats.referrerReward}.`,
+      '',
+      `👥 Friends joined: ${stats.referredCount}`,
+      `⭐ Loyalty points: ${stats.loyaltyPoints}`
+    ];
+    if (stats.referredCount > stats.rewardedCount) {
+      lines.push(
+        `(Rewards are given for your first ${stats.rewardedCount} friends.)`
+      );
+    }
+    if (stats.canRedeemCode) {
+      lines.push('', 'Invited by a friend? Send me their code.');
+    }
+
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: lines.join('\n'),
+        buttons: [
+          { id: 'redeem_loyalty_points', title: '⭐ Redeem Points' },
+          { id: 'show_main_menu', title: '🏠 Main Menu' }
+        ]
+      },
+      'interactive'
+    );
+  }
+}
+
+module.exports = ReferralAction;
@@ -0,0 +1,276 @@
+const BaseAction = require('../BaseAction');
+const { updateUserProfile } = require('../../../../models/userModel');
+const { getEntitlementLedger } = require('../../../payment/entitlements');
+const {
+  ALERT_CATEGORIES,
+  LEAD_HOURS,
+  parseTimeOfDay,
+  formatTimeOfDay,
+  resolveAlertPreferences
+} = require('../../../alerts/AlertPreferences');
+
+const ENTITLEMENT = 'transit_alert';
+
+const describeLead = hours =>
+  (hours % 24 === 0 ?
+    `${hours / 24} day${hours === 24 ? '' : 's'} before` :
+    `${hours} hour${hours === 1 ? '' : 's'} before`);
+
+/**
+ * TransitAlertsAction - Settings for proactive alerts (see
+ * services/alerts). Without a command it shows each category with its
+ * state, the notice options, quiet hours and credits. `data.command` saves
+ * a change: 'on' or 'off' for every category, 'toggle' with
+ * `data.category`, 'lead' with `data.leadHours`, and 'quiet' with
+ * `data.quietStart` and `data.quietEnd` ('HH:MM', both null to turn quiet
+ * hours off). Buttons are `alerts_on`, `alerts_off`,
+ * `alerts_toggle_<category>` and `alerts_lead_<hours>`.
+ */
+class TransitAlertsAction extends BaseAction {
+  constructor(user, phoneNumber, data = {}) {
+    super(user, phoneNumber, data);
+    this.command = data.command;
+    this.category = data.category;
+    this.leadHours = data.leadHours;
+    this.quietStart = data.quietStart;
+    this.quietEnd = data.quietEnd;
+  }
+
+  static get actionId() {
+    return 'transit_alerts';
+  }
+
+  /**
+   * Keywords that open the alert settings
+   * @returns {Array<string>} Keywords
+   */
+  static get keywords() {
+    return [
+      'alerts',
+      'alert settings',
+      'transit alerts',
+      'my alerts',
+      'notifications'
+    ];
+  }
+
+  /**
+   * Execute the alert settings action
+   * @returns {Promise<Object|null>} Action result
+   */
+  async execute() {
+    try {
+      if (!this.command) {
+        await this.sendAlertsMenu();
+        this.logExecution('menu');
+        return { success: true, type: 'transit_alerts_menu' };
+      }
+
+      const update = this.buildUpdate();
+      if (!update) {
+        await this.sendMessage(
+          '❌ That alert setting is not supported. Send *alert settings* to see the options.'
+        );
+        return { success: false, reason: 'invalid_alert_setting' };
+      }
+
+      await updateUserProfile(this.phoneNumber, update);
+      const saved = this.user?.preferences?.alerts || {};
+      const alerts = {
+        categories: update['preferences.alerts.categories'] || saved.categories,
+        leadHours: update['preferences.alerts.leadHours'] || saved.leadHours,
+        quietStart:
+          'preferences.alerts.quietStart' in update ?
+            update['preferences.alerts.quietStart'] :
+            saved.quietStart,
+        quietEnd:
+          'preferences.alerts.quietEnd' in update ?
+            update['preferences.alerts.quietEnd'] :
+            saved.quietEnd
+      };
+      const preferences = resolveAlertPreferences({ preferences: { alerts } });
+      await this.sendMessage(this.buildConfirmation(preferences));
+
+      // Alerts need credits; offer one when the user has none left
+      const turnedOn = preferences.categories.some(
+        category => !(saved.categories || []).includes(category)
+      );
+      if (turnedOn && !(await this.hasEntitlement(ENTITLEMENT))) {
+        await this.sendPurchasePrompt(ENTITLEMENT);
+      }
+
+      this.logExecution('saved');
+      return {
+        success: true,
+        type: 'transit_alerts_saved',
+        categories: preferences.categories,
+        leadHours: preferences.leadHours,
+        quietHours: preferences.quietHours
+      };
+    } catch (error) {
+      this.logger.error('Error in TransitAlertsAction:', error);
+      await this.sendMessage(
+        '❌ Sorry, I couldn\'t update your alert settings. Please try again.'
+      );
+      return {
+        success: false,
+        reason: 'execution_error',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build the profile update for the requested change. Changing
+   * categories clears `alertsPlannedAt` so the next sweep plans the new
+   * ones; notice and quiet hours apply to alerts already planned.
+   * @returns {Object|null} Update document, or null if the value is unknown
+   */
+  buildUpdate() {
+    const current = resolveAlertPreferences(this.user).categories;
+    switch (this.command) {
+    case 'on':
+      return this.categoriesUpdate(Object.keys(ALERT_CATEGORIES));
+    case 'off':
+      return this.categoriesUpdate([]);
+    case 'toggle':
+      if (!ALERT_CATEGORIES[this.category]) {
+        return null;
+      }
+      return this.categoriesUpdate(
+        current.includes(this.category) ?
+          current.filter(category => category !== this.category) :
+          [...current, this.category]
+      );
+    case 'lead': {
+      const leadHours = Number(this.leadHours);
+      return LEAD_HOURS.includes(leadHours) ?
+        { 'preferences.alerts.leadHours': leadHours } :
+        null;
+    }
+    case 'quiet': {
+      if (!this.quietStart && !this.quietEnd) {
+        return {
+          'preferences.alerts.quietStart': null,
+          'preferences.alerts.quietEnd': null
+        };
+      }
+      const start = parseTimeOfDay(this.quietStart);
+      const end = parseTimeOfDay(this.quietEnd);
+      return start !== null && end !== null && start !== end ?
+        {
+          'preferences.alerts.quietStart': formatTimeOfDay(start),
+          'preferences.alerts.quietEnd': formatTimeOfDay(end)
+        } :
+        null;
+    }
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * @param {Array<string>} categories - Categories to keep on
+   * @returns {Object} Update document, categories in menu order
+   */
+  categoriesUpdate(categories) {
+    return {
+      'preferences.alerts.categories': Object.keys(ALERT_CATEGORIES).filter(
+        category => categories.includes(category)
+      ),
+      alertsPlannedAt: null
+    };
+  }
+
+  /**
+   * Send the current settings as a list of categories and notice options,
+   * then buttons to switch everything on or off
+   */
+  async sendAlertsMenu() {
+    const preferences = resolveAlertPreferences(this.user);
+    const categoryRows = Object.entries(ALERT_CATEGORIES).map(
+      ([key, category]) => ({
+        id: `alerts_toggle_${key}`,
+        title: category.name,
+        description: `${preferences.categories.includes(key) ? '✅ On' : 'Off'} · ${category.description}`
+      })
+    );
+    const leadRows = LEAD_HOURS.map(hours => ({
+      id: `alerts_lead_${hours}`,
+      title: describeLead(hours),
+      description: hours === preferences.leadHours ? '✅ Current' : ''
+    }));
+
+    await this.sendMessage(
+      {
+        type: 'list',
+        body: `🔭 *Alerts*\n\nI'll message you ahead of the moments that matter in your chart.\n\n${this.describeSettings(preferences)}\n${await this.describeCredits()}\n\nTap a category to turn it on or off. Send *quiet hours 22:00-07:00* to change quiet hours, or *quiet hours off*.`,
+        button: 'Choose Alerts',
+        sections: [
+          { title: 'Alerts', rows: categoryRows },
+          { title: 'Notice', rows: leadRows }
+        ]
+      },
+      'interactive'
+    );
+    await this.sendMessage(
+      {
+        type: 'button',
+        body: 'Or switch every alert at once:',
+        buttons: [
+          { id: 'alerts_on', title: '🔔 All on' },
+          { id: 'alerts_off', title: '🔕 All off' }
+        ]
+      },
+      'interactive'
+    );
+  }
+
+  /**
+   * Confirmation text for saved settings
+   * @param {Object} preferences - resolveAlertPreferences result
+   * @returns {string} Confirmation message
+   */
+  buildConfirmation(preferences) {
+    const categories = preferences.categories.length ?
+      preferences.categories
+        .map(category => `• ${ALERT_CATEGORIES[category].name}`)
+        .join('\n') :
+      'None: alerts are off';
+    return `✅ *Alerts updated*\n\n${categories}\n\n${this.describeSettings(preferences)}`;
+  }
+
+  /**
+   * Notice and quiet hours
+   * @param {Object} preferences - resolveAlertPreferences result
+   * @returns {string} Description
+   */
+  describeSettings(preferences) {
+    const quiet = preferences.quietHours ?
+      `${formatTimeOfDay(preferences.quietHours.start)} to ${formatTimeOfDay(preferences.quietHours.end)}` :
+      'off';
+    return `Notice: ${describeLead(preferences.leadHours)}\nQuiet hours: ${quiet}`;
+  }
+
+  /**
+   * Alert credits left, empty if they cannot be read
+   * @returns {Promise<string>} Description
+   */
+  async describeCredits() {
+    try {
+      const balance = await getEntitlementLedger().balance(
+        this.user,
+        ENTITLEMENT
+      );
+      if (balance.unlimited) {
+        return 'Credits: unlimited with your plan';
+      }
+      return `Credits: ${balance.remaining} alert${balance.remaining === 1 ? '' : 's'} left (each alert sent uses one)`;
+    } catch (error) {
+      this.logger.warn('Error reading alert credits:', error.message);
+      return '';
+    }
+  }
+}
+
+module.exports = TransitAlertsAction;
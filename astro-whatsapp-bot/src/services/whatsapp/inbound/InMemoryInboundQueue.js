@@ -0,0 +1,172 @@
+const logger = require('../../../utils/logger');
+const { buildInboundRecord, compareInboundOrder } = require('./inboundRecord');
+
+/**
+ * InMemoryInboundQueue - Process-local inbox for WhatsApp messages
+ * Suitable for local development and tests; records are lost on restart.
+ */
+class InMemoryInboundQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.retentionMs - How long processed IDs are remembered
+   * @param {number} options.lockTimeoutMs - When a stuck claim is released
+   */
+  constructor(options = {}) {
+    this.logger = logger;
+    this.retentionMs = options.retentionMs || 7 * 24 * 60 * 60 * 1000;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000;
+    this.records = new Map(); // messageId -> record
+  }
+
+  /**
+   * Persist an inbound message unless its ID was already seen
+   * @param {Object} message - WhatsApp message
+   * @param {Object} value - WhatsApp webhook value object
+   * @returns {Promise<Object>} { enqueued, duplicate, messageId }
+   */
+  async enqueue(message, value) {
+    const record = buildInboundRecord(message, value);
+
+    if (this.records.has(record.messageId)) {
+      this.logger.info(`♻️ Duplicate inbound message ignored: ${record.messageId}`);
+      return { enqueued: false, duplicate: true, messageId: record.messageId };
+    }
+
+    this.records.set(record.messageId, record);
+    return { enqueued: true, duplicate: false, messageId: record.messageId };
+  }
+
+  /**
+   * Claim the next message whose sender has nothing older still open
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Object|null>} Claimed record or null when idle
+   */
+  async claimNext(workerId) {
+    const now = new Date();
+    this._releaseStaleClaims(now);
+    this._prune(now);
+
+    const open = Array.from(this.records.values())
+      .filter(r => r.status === 'pending' || r.status === 'processing')
+      .sort(compareInboundOrder);
+
+    const blockedPhones = new Set();
+    for (const record of open) {
+      if (blockedPhones.has(record.phoneNumber)) {
+        continue;
+      }
+      // The oldest open message of each sender decides whether it can move
+      blockedPhones.add(record.phoneNumber);
+
+      if (record.status === 'pending' && record.availableAt <= now) {
+        record.status = 'processing';
+        record.lockedAt = now;
+        record.lockedBy = workerId;
+        record.attempts += 1;
+        return { ...record };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a claimed message as processed
+   * @param {string} messageId - WhatsApp message ID
+   */
+  async complete(messageId) {
+    const record = this.records.get(messageId);
+    if (record) {
+      record.status = 'done';
+      record.processedAt = new Date();
+      record.lockedAt = null;
+      record.lockedBy = null;
+    }
+  }
+
+  /**
+   * Record a processing failure
+   * @param {string} messageId - WhatsApp message ID
+   * @param {Error} error - Failure reason
+   * @param {Date|null} retryAt - When to retry, or null to give up
+   */
+  async fail(messageId, error, retryAt = null) {
+    const record = this.records.get(messageId);
+    if (!record) {
+      return;
+    }
+
+    record.lastError = error?.message || String(error);
+    record.lockedAt = null;
+    record.lockedBy = null;
+
+    if (retryAt) {
+      record.status = 'pending';
+      record.availableAt = retryAt;
+    } else {
+      record.status = 'failed';
+      record.processedAt = new Date();
+    }
+  }
+
+  /**
+   * Latest messages from a sender, newest first
+   * @param {string} phoneNumber - Sender
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async findBySender(phoneNumber, limit = 50) {
+    const sender = String(phoneNumber).replace(/^\+/, '');
+    return Array.from(this.records.values())
+      .filter(record => record.phoneNumber === sender)
+      .sort((a, b) => compareInboundOrder(b, a))
+      .slice(0, limit)
+      .map(({ value, ...record }) => record);
+  }
+
+  /**
+   * Queue statistics for monitoring
+   * @returns {Promise<Object>} Counts by status
+   */
+  async getStats() {
+    const stats = { pending: 0, processing: 0, done: 0, failed: 0 };
+    for (const record of this.records.values()) {
+      stats[record.status] += 1;
+    }
+    return { backend: 'memory', ...stats };
+  }
+
+  /**
+   * Return claims held longer than the lock timeout to the queue
+   * @private
+   * @param {Date} now - Current time
+   */
+  _releaseStaleClaims(now) {
+    for (const record of this.records.values()) {
+      if (
+        record.status === 'processing' &&
+        now - record.lockedAt > this.lockTimeoutMs
+      ) {
+        this.logger.warn(`⏰ Releasing stale claim on ${record.messageId}`);
+        record.status = 'pending';
+        record.lockedAt = null;
+        record.lockedBy = null;
+      }
+    }
+  }
+
+  /**
+   * Forget finished records older than the retention window
+   * @private
+   * @param {Date} now - Current time
+   */
+  _prune(now) {
+    for (const [messageId, record] of this.records.entries()) {
+      if (record.processedAt && now - record.processedAt > this.retentionMs) {
+        this.records.delete(messageId);
+      }
+    }
+  }
+}
+
+module.exports = { InMemoryInboundQueue };
@@ -0,0 +1,172 @@
+const os = require('os');
+const logger = require('../../../utils/logger');
+
+/**
+ * InboundMessageWorker - Worker pool that drains the inbound message queue
+ * Runs up to `concurrency` messages at once, never two from the same sender,
+ * and retries failures with exponential backoff.
+ */
+class InboundMessageWorker {
+  /**
+   * @param {Object} options - Worker options
+   * @param {Object} options.queue - Inbound queue implementation
+   * @param {Function} options.processMessage - async (message, value) handler
+   * @param {number} options.concurrency - Maximum parallel messages
+   * @param {number} options.pollIntervalMs - Idle polling interval
+   * @param {number} options.maxAttempts - Attempts before a message is failed
+   */
+  constructor({
+    queue,
+    processMessage,
+    concurrency = 4,
+    pollIntervalMs = 1000,
+    maxAttempts = 3
+  }) {
+    this.logger = logger;
+    this.queue = queue;
+    this.processMessage = processMessage;
+    this.concurrency = concurrency;
+    this.pollIntervalMs = pollIntervalMs;
+    this.maxAttempts = maxAttempts;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.active = new Set(); // In-flight processing promises
+    this.timer = null;
+    this.draining = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling the queue
+   * @returns {InboundMessageWorker} this
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+    this.running = true;
+    this.timer = setInterval(() => this.notify(), this.pollIntervalMs);
+    // Never keep the process alive just for polling
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+    this.logger.info(
+      `📬 Inbound message worker started (${this.concurrency} slots)`
+    );
+    this.notify();
+    return this;
+  }
+
+  /**
+   * Stop polling and wait for in-flight messages to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled(Array.from(this.active));
+    this.logger.info('📪 Inbound message worker stopped');
+  }
+
+  /**
+   * Wake the worker after new messages were enqueued
+   * @returns {Promise<void>} Resolves once free slots have been filled
+   */
+  notify() {
+    if (!this.running) {
+      return Promise.resolve();
+    }
+    if (!this.draining) {
+      this.draining = this._fillSlots().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
+  }
+
+  /**
+   * Wait until the queue has nothing claimable and no work is in flight
+   * (mainly for tests and graceful shutdown)
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.draining || this.active.size > 0) {
+      await Promise.allSettled([this.draining, ...this.active]);
+    }
+  }
+
+  /**
+   * Claim messages until every slot is busy or the queue is empty
+   * @private
+   */
+  async _fillSlots() {
+    try {
+      while (this.running && this.active.size < this.concurrency) {
+        const record = await this.queue.claimNext(this.workerId);
+        if (!record) {
+          return;
+        }
+        const task = this._run(record).finally(() => {
+          this.active.delete(task);
+          // A finished message may unblock the next one from the same sender
+          this.notify();
+        });
+        this.active.add(task);
+      }
+    } catch (error) {
+      this.logger.error('❌ Failed to claim inbound message:', error.message);
+    }
+  }
+
+  /**
+   * Process one claimed record and settle it in the queue
+   * @private
+   * @param {Object} record - Claimed queue record
+   */
+  async _run(record) {
+    const { messageId, message, value, attempts } = record;
+
+    try {
+      await this.processMessage(message, value);
+      await this.queue.complete(messageId);
+    } catch (error) {
+      const retry = attempts < this.maxAttempts;
+      const retryAt = retry ? new Date(Date.now() + this._backoff(attempts)) : null;
+
+      this.logger.warn(
+        `⚠️ Message processing failed (attempt ${attempts}/${this.maxAttempts}):`,
+        error.message
+      );
+      if (!retry) {
+        this.logger.error(
+          `❌ Message ${messageId} failed after all retries:`,
+          error
+        );
+      }
+
+      try {
+        await this.queue.fail(messageId, error, retryAt);
+      } catch (queueError) {
+        this.logger.error(
+          `❌ Failed to record failure for ${messageId}:`,
+          queueError.message
+        );
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff capped at 5 seconds (same as the old inline retry)
+   * @private
+   * @param {number} attempt - Attempt number that just failed
+   * @returns {number} Delay in milliseconds
+   */
+  _backoff(attempt) {
+    return Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+  }
+}
+
+module.exports = { InboundMessageWorker };
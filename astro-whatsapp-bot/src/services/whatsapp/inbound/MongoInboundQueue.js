@@ -0,0 +1,243 @@
+const logger = require('../../../utils/logger');
+const InboundMessage = require('../../../models/InboundMessage');
+const { buildInboundRecord } = require('./inboundRecord');
+
+/**
+ * MongoInboundQueue - Durable inbox for WhatsApp messages backed by MongoDB
+ * Safe to share between instances: claims are atomic and per-sender ordered.
+ */
+class MongoInboundQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.lockTimeoutMs - When a stuck claim is released
+   * @param {number} options.scanSize - Candidates inspected per claim attempt
+   */
+  constructor(options = {}) {
+    this.logger = logger;
+    this.model = options.model || InboundMessage;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5 * 60 * 1000;
+    this.scanSize = options.scanSize || 20;
+  }
+
+  /**
+   * Persist an inbound message unless its ID was already seen
+   * @param {Object} message - WhatsApp message
+   * @param {Object} value - WhatsApp webhook value object
+   * @returns {Promise<Object>} { enqueued, duplicate, messageId }
+   */
+  async enqueue(message, value) {
+    const record = buildInboundRecord(message, value);
+
+    try {
+      await this.model.create(record);
+      return { enqueued: true, duplicate: false, messageId: record.messageId };
+    } catch (error) {
+      if (error.code === 11000) {
+        this.logger.info(
+          `♻️ Duplicate inbound message ignored: ${record.messageId}`
+        );
+        return {
+          enqueued: false,
+          duplicate: true,
+          messageId: record.messageId
+        };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the next message whose sender has nothing older still open
+   * @param {string} workerId - Identifier of the claiming worker
+   * @returns {Promise<Object|null>} Claimed record or null when idle
+   */
+  async claimNext(workerId) {
+    const now = new Date();
+    await this._releaseStaleClaims(now);
+
+    // Senders with a message in progress or waiting to retry cannot go
+    // next; leaving them out of the scan keeps one sender's backlog from
+    // filling it and starving everyone else
+    const busyPhones = await this.model.distinct('phoneNumber', {
+      $or: [
+        { status: 'processing' },
+        { status: 'pending', availableAt: { $gt: now } }
+      ]
+    });
+    const candidates = await this.model
+      .find({
+        status: 'pending',
+        availableAt: { $lte: now },
+        phoneNumber: { $nin: busyPhones }
+      })
+      .sort({ waTimestamp: 1, receivedAt: 1 })
+      .limit(this.scanSize)
+      .lean();
+
+    const skippedPhones = new Set();
+    for (const candidate of candidates) {
+      if (skippedPhones.has(candidate.phoneNumber)) {
+        continue;
+      }
+
+      if (await this._isBlocked(candidate)) {
+        skippedPhones.add(candidate.phoneNumber);
+        continue;
+      }
+
+      const claimed = await this.model
+        .findOneAndUpdate(
+          { _id: candidate._id, status: 'pending' },
+          {
+            $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+            $inc: { attempts: 1 }
+          },
+          { new: true }
+        )
+        .lean();
+
+      if (!claimed) {
+        continue; // Another worker got there first
+      }
+
+      // Two instances can pass the blocker check at the same moment; the
+      // earlier claim wins and the later one hands its message back.
+      const rival = await this.model.exists({
+        phoneNumber: claimed.phoneNumber,
+        status: 'processing',
+        _id: { $ne: claimed._id },
+        lockedAt: { $lte: claimed.lockedAt }
+      });
+      if (rival) {
+        await this.model.updateOne(
+          { _id: claimed._id },
+          {
+            $set: { status: 'pending', lockedAt: null, lockedBy: null },
+            $inc: { attempts: -1 }
+          }
+        );
+        skippedPhones.add(claimed.phoneNumber);
+        continue;
+      }
+
+      return claimed;
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark a claimed message as processed
+   * @param {string} messageId - WhatsApp message ID
+   */
+  async complete(messageId) {
+    await this.model.updateOne(
+      { messageId },
+      {
+        $set: {
+          status: 'done',
+          processedAt: new Date(),
+          lockedAt: null,
+          lockedBy: null
+        }
+      }
+    );
+  }
+
+  /**
+   * Record a processing failure
+   * @param {string} messageId - WhatsApp message ID
+   * @param {Error} error - Failure reason
+   * @param {Date|null} retryAt - When to retry, or null to give up
+   */
+  async fail(messageId, error, retryAt = null) {
+    const update = {
+      lastError: error?.message || String(error),
+      lockedAt: null,
+      lockedBy: null
+    };
+
+    if (retryAt) {
+      update.status = 'pending';
+      update.availableAt = retryAt;
+    } else {
+      update.status = 'failed';
+      update.processedAt = new Date();
+    }
+
+    await this.model.updateOne({ messageId }, { $set: update });
+  }
+
+  /**
+   * Latest messages from a sender, newest first
+   * @param {string} phoneNumber - Sender
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async findBySender(phoneNumber, limit = 50) {
+    return this.model
+      .find({ phoneNumber: String(phoneNumber).replace(/^\+/, '') })
+      .select('-value')
+      .sort({ waTimestamp: -1, receivedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Queue statistics for monitoring
+   * @returns {Promise<Object>} Counts by status
+   */
+  async getStats() {
+    const stats = { pending: 0, processing: 0, done: 0, failed: 0 };
+    const counts = await this.model.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+    });
+    return { backend: 'mongo', ...stats };
+  }
+
+  /**
+   * Check whether an older message from the same sender is still open
+   * @private
+   * @param {Object} candidate - Pending record
+   * @returns {Promise<boolean>} True if the candidate must wait
+   */
+  async _isBlocked(candidate) {
+    const blocker = await this.model.exists({
+      phoneNumber: candidate.phoneNumber,
+      _id: { $ne: candidate._id },
+      $or: [
+        { status: 'processing' },
+        { status: 'pending', waTimestamp: { $lt: candidate.waTimestamp } },
+        {
+          status: 'pending',
+          waTimestamp: candidate.waTimestamp,
+          receivedAt: { $lt: candidate.receivedAt }
+        }
+      ]
+    });
+    return !!blocker;
+  }
+
+  /**
+   * Return claims held longer than the lock timeout to the queue
+   * @private
+   * @param {Date} now - Current time
+   */
+  async _releaseStaleClaims(now) {
+    const cutoff = new Date(now.getTime() - this.lockTimeoutMs);
+    const result = await this.model.updateMany(
+      { status: 'processing', lockedAt: { $lt: cutoff } },
+      { $set: { status: 'pending', lockedAt: null, lockedBy: null } }
+    );
+    if (result.modifiedCount > 0) {
+      this.logger.warn(
+        `⏰ Released ${result.modifiedCount} stale inbound message claims`
+      );
+    }
+  }
+}
+
+module.exports = { MongoInboundQueue };
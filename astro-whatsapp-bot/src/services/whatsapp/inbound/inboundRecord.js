@@ -0,0 +1,48 @@
+/**
+ * Build the queue record for an inbound WhatsApp message
+ * @param {Object} message - WhatsApp webhook message
+ * @param {Object} value - WhatsApp webhook value object
+ * @returns {Object} Record shared by all inbound queue implementations
+ */
+const buildInboundRecord = (message, value = {}) => {
+  if (!message || !message.id || !message.from) {
+    throw new Error('Inbound message requires an id and a sender');
+  }
+
+  const waTimestamp = parseInt(message.timestamp, 10);
+  const now = new Date();
+
+  return {
+    messageId: message.id,
+    phoneNumber: message.from,
+    message,
+    value: {
+      // Only keep the parts of the webhook value the processors read
+      metadata: value.metadata,
+      contacts: value.contacts
+    },
+    waTimestamp: Number.isFinite(waTimestamp) ? waTimestamp : 0,
+    receivedAt: now,
+    status: 'pending',
+    attempts: 0,
+    availableAt: now
+  };
+};
+
+/**
+ * Compare two records in processing order (WhatsApp timestamp, then arrival)
+ * @param {Object} a - First record
+ * @param {Object} b - Second record
+ * @returns {number} Sort comparator result
+ */
+const compareInboundOrder = (a, b) => {
+  if (a.waTimestamp !== b.waTimestamp) {
+    return a.waTimestamp - b.waTimestamp;
+  }
+  return a.receivedAt - b.receivedAt;
+};
+
+module.exports = {
+  buildInboundRecord,
+  compareInboundOrder
+};
@@ -0,0 +1,72 @@
+const logger = require('../../../utils/logger');
+const { InMemoryInboundQueue } = require('./InMemoryInboundQueue');
+const { MongoInboundQueue } = require('./MongoInboundQueue');
+const { InboundMessageWorker } = require('./InboundMessageWorker');
+
+/**
+ * Create the inbound queue selected by W1_INBOUND_QUEUE ('mongo' | 'memory')
+ * @param {string} backend - Queue backend override
+ * @returns {Object} Queue implementation
+ */
+const createInboundQueue = (backend = process.env.W1_INBOUND_QUEUE) => {
+  const selected = backend || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+  switch (selected) {
+  case 'memory':
+    return new InMemoryInboundQueue();
+  case 'mongo':
+    return new MongoInboundQueue();
+  default:
+    throw new Error(`Unknown inbound queue backend: ${selected}`);
+  }
+};
+
+// Process-wide pipeline (queue + worker), started at server boot or by the
+// first webhook, whichever comes first
+let pipeline = null;
+
+/**
+ * Get the inbound pipeline, starting the worker pool on first use
+ * @returns {{queue: Object, worker: InboundMessageWorker}} Pipeline
+ */
+const getInboundPipeline = () => {
+  if (!pipeline) {
+    const queue = createInboundQueue();
+    const worker = new InboundMessageWorker({
+      queue,
+      processMessage: async(message, value) => {
+        const {
+          getMessageCoordinator
+        } = require('../MessageCoordinator');
+        const coordinator = await getMessageCoordinator();
+        await coordinator.processIncomingMessage(message, value);
+      },
+      concurrency: parseInt(process.env.W1_INBOUND_WORKERS, 10) || 4,
+      maxAttempts: parseInt(process.env.W1_INBOUND_MAX_ATTEMPTS, 10) || 3
+    });
+    worker.start();
+    pipeline = { queue, worker };
+    logger.info('📥 Inbound message pipeline ready');
+  }
+  return pipeline;
+};
+
+/**
+ * Stop the worker pool and drop the pipeline (shutdown and tests)
+ * @returns {Promise<void>}
+ */
+const resetInboundPipeline = async() => {
+  if (pipeline) {
+    await pipeline.worker.stop();
+    pipeline = null;
+  }
+};
+
+module.exports = {
+  createInboundQueue,
+  getInboundPipeline,
+  resetInboundPipeline,
+  InMemoryInboundQueue,
+  MongoInboundQueue,
+  InboundMessageWorker
+};
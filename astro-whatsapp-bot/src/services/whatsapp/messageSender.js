@@ -12,6 +12,12 @@ const { WhatsAppAPI } = require('./WhatsAppAPI');
 const { TemplateManager } = require('./TemplateManager');
 const { MediaSender } = require('./MediaSender');
 const { MenuHandler } = require('./MenuHandler');
+const {
+  OutboundComposer,
+  LIMITS,
+  CONTINUE_BUTTON_ID,
+  abbreviate
+} = require('./OutboundComposer');
 
 /**
  * Orchestrate WhatsApp messaging using specialized modules
@@ -27,6 +33,7 @@ class MessageSender {
     this.templateManager = new TemplateManager();
     this.mediaSender = new MediaSender();
     this.menuHandler = new MenuHandler();
+    this.outboundComposer = new OutboundComposer();
 
     this.logger.info(
       '📡 MessageSender initialized with modular WhatsApp architecture'
@@ -34,34 +41,141 @@ class MessageSender {
   }
 
   /**
-   * Send text message - delegated to MediaSender
+   * Send text message - composed by OutboundComposer, sent by MediaSender.
+   * Text over WhatsApp's limit goes in numbered parts: the first now and
+   * the rest behind a "Continue" button, or all at once with
+   * `options.paginate === false`.
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Message text
+   * @param {Object} options - MediaSender options, plus `language` and
+   *   `paginate`
+   * @returns {Promise<Object>} API response for the first part
    */
   async sendTextMessage(phoneNumber, message, options = {}) {
-    return this.mediaSender.sendTextMessage(phoneNumber, message, options);
+    const { language = 'en', paginate = true } = options;
+    const parts = this.outboundComposer.composeText(message, { language });
+    if (parts.length === 1) {
+      return this.mediaSender.sendTextMessage(phoneNumber, message, options);
+    }
+
+    const first = await this.mediaSender.sendTextMessage(
+      phoneNumber,
+      parts[0],
+      options
+    );
+    if (!paginate) {
+      for (const part of parts.slice(1)) {
+        await this.mediaSender.sendTextMessage(phoneNumber, part, options);
+      }
+      return first;
+    }
+    await this.outboundComposer.holdParts(
+      phoneNumber,
+      parts.slice(1),
+      parts.length
+    );
+    await this._sendContinuePrompt(phoneNumber, 1, parts.length, language);
+    return first;
   }
 
   /**
-   * Send interactive buttons - delegated to TemplateManager
+   * Send the next part of a long message after "Continue"
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} language - Language code
+   * @returns {Promise<Object|null>} API response, null when no part waits
+   */
+  async continueMessage(phoneNumber, language = 'en') {
+    const next = await this.outboundComposer.nextPart(phoneNumber);
+    if (!next) {
+      await this.mediaSender.sendTextMessage(
+        phoneNumber,
+        await this._translate(
+          'messages.outbound.nothing_pending',
+          language,
+          {},
+          'That message has been sent in full. Send *menu* for more options.'
+        )
+      );
+      return null;
+    }
+
+    const response = await this.mediaSender.sendTextMessage(
+      phoneNumber,
+      next.part
+    );
+    if (next.remaining) {
+      await this._sendContinuePrompt(
+        phoneNumber,
+        next.number,
+        next.total,
+        language
+      );
+    }
+    return response;
+  }
+
+  /**
+   * Send interactive buttons - fitted by OutboundComposer, sent by
+   * TemplateManager. A body over the interactive limit sends its beginning
+   * as text first.
    */
   async sendInteractiveButtons(phoneNumber, body, buttons, options = {}) {
+    const { language = 'en' } = options;
+    const composed = this.outboundComposer.composeInteractiveBody(
+      body,
+      language
+    );
+    if (composed.lead) {
+      await this.sendTextMessage(phoneNumber, composed.lead, {
+        language,
+        paginate: false
+      });
+    }
     return this.templateManager.sendInteractiveButtons(
       phoneNumber,
-      body,
-      buttons,
-      options
+      composed.body,
+      this.outboundComposer.fitButtons(buttons, language),
+      this._fitHeaderAndFooter(options)
     );
   }
 
   /**
-   * Send list message - delegated to TemplateManager
+   * Send list message - fitted by OutboundComposer, sent by
+   * TemplateManager. A list with more rows than WhatsApp shows goes as a
+   * numbered menu instead.
    */
   async sendListMessage(phoneNumber, body, buttonText, sections, options = {}) {
+    const { language = 'en' } = options;
+    let list;
+    try {
+      list = this.outboundComposer.fitList(buttonText, sections, language);
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ ${error.message} for ${phoneNumber}, using numbered menu`
+      );
+      return this.sendTextMessage(
+        phoneNumber,
+        await this.createNumberedMenuFallback({ body, sections }, phoneNumber),
+        { language }
+      );
+    }
+
+    const composed = this.outboundComposer.composeInteractiveBody(
+      body,
+      language
+    );
+    if (composed.lead) {
+      await this.sendTextMessage(phoneNumber, composed.lead, {
+        language,
+        paginate: false
+      });
+    }
     return this.templateManager.sendListMessage(
       phoneNumber,
-      body,
-      buttonText,
-      sections,
-      options
+      composed.body,
+      list.buttonText,
+      list.sections,
+      this._fitHeaderAndFooter(options)
     );
   }
 
@@ -72,13 +186,15 @@ class MessageSender {
     phoneNumber,
     templateName,
     languageCode = 'en',
-    components = []
+    components = [],
+    options = {}
   ) {
     return this.templateManager.sendTemplateMessage(
       phoneNumber,
       templateName,
       languageCode,
-      components
+      components,
+      options
     );
   }
 
@@ -141,6 +257,32 @@ class MessageSender {
     );
   }
 
+  /**
+   * Upload media for later sends by ID - delegated to WhatsAppAPI
+   */
+  async uploadMedia(buffer, mimeType, filename) {
+    return this.whatsappAPI.uploadMedia(buffer, mimeType, filename);
+  }
+
+  /**
+   * Upload and send generated media - delegated to MediaSender
+   */
+  async sendMediaBuffer(phoneNumber, mediaType, buffer, options = {}) {
+    return this.mediaSender.sendMediaBuffer(
+      phoneNumber,
+      mediaType,
+      buffer,
+      options
+    );
+  }
+
+  /**
+   * Upload and send a generated PNG - delegated to MediaSender
+   */
+  async sendImageBuffer(phoneNumber, buffer, caption = '') {
+    return this.mediaSender.sendImageBuffer(phoneNumber, buffer, caption);
+  }
+
   /**
    * Universal message sender with translation support
    * @param {string} phoneNumber - Recipient phone number
@@ -183,7 +325,7 @@ class MessageSender {
             phoneNumber,
             processedMessage.body?.text || processedMessage.body,
             buttons,
-            options
+            { language, ...options }
           );
         } else if (processedMessage.type === 'list') {
           // Try sending list message, fallback to numbered menu if it fails
@@ -191,7 +333,7 @@ class MessageSender {
             return await this._sendListWithFallback(
               phoneNumber,
               processedMessage,
-              options,
+              { language, ...options },
               language
             );
           } catch (error) {
@@ -199,7 +341,7 @@ class MessageSender {
               `⚠️ List message failed for ${phoneNumber}, using fallback menu`
             );
             const fallbackMessage =
-                this.menuHandler.createNumberedMenuFallback(
+                await this.menuHandler.createNumberedMenuFallback(
                   processedMessage,
                   phoneNumber
                 );
@@ -236,11 +378,17 @@ class MessageSender {
 
       default:
         // Default to text message
-        return this.sendTextMessage(phoneNumber, processedMessage, options);
+        return this.sendTextMessage(phoneNumber, processedMessage, {
+          language,
+          ...options
+        });
       }
 
       // Fallback for unhandled types
-      return this.sendTextMessage(phoneNumber, processedMessage, options);
+      return this.sendTextMessage(phoneNumber, processedMessage, {
+        language,
+        ...options
+      });
     } catch (error) {
       this.logger.error(
         `❌ Error in universal sendMessage for ${phoneNumber}:`,
@@ -308,7 +456,7 @@ class MessageSender {
       );
     } catch (error) {
       // Create fallback menu and store mappings
-      const fallbackMessage = this.createNumberedMenuFallback(
+      const fallbackMessage = await this.createNumberedMenuFallback(
         message,
         phoneNumber
       );
@@ -316,6 +464,65 @@ class MessageSender {
     }
   }
 
+  /**
+   * Ask for the next part of a long message
+   * @private
+   */
+  async _sendContinuePrompt(phoneNumber, number, total, language) {
+    const parameters = { current: number, total };
+    const body = await this._translate(
+      'messages.outbound.continue_prompt',
+      language,
+      parameters,
+      `📄 Part ${number} of ${total}. Tap *Continue* for the next part.`
+    );
+    const title = await this._translate(
+      'messages.outbound.continue_button',
+      language,
+      {},
+      'Continue ▶️'
+    );
+    return this.sendInteractiveButtons(
+      phoneNumber,
+      body,
+      [{ type: 'reply', reply: { id: CONTINUE_BUTTON_ID, title } }],
+      { language }
+    );
+  }
+
+  /**
+   * Translation with an English default when the key is missing
+   * @private
+   */
+  async _translate(key, language, parameters, fallback) {
+    const translated = await this.translationService.translate(
+      key,
+      language,
+      parameters
+    );
+    return translated && translated !== key ? translated : fallback;
+  }
+
+  /**
+   * Header and footer options within WhatsApp's limits
+   * @private
+   */
+  _fitHeaderAndFooter(options) {
+    const { language = 'en', ...fitted } = options;
+    if (typeof fitted.header === 'string') {
+      fitted.header = abbreviate(fitted.header, LIMITS.header, language);
+    } else if (fitted.header?.type === 'text') {
+      fitted.header = {
+        ...fitted.header,
+        text: abbreviate(fitted.header.text, LIMITS.header, language)
+      };
+    }
+    if (fitted.footer) {
+      fitted.footer = abbreviate(fitted.footer, LIMITS.footer, language);
+    }
+    return fitted;
+  }
+
   /**
    * Build interactive button message - delegated to TemplateManager
    */
@@ -342,16 +549,17 @@ class MessageSender {
         messageSender: {
           healthy: true,
           version: '1.0.0',
-          modules: 4
+          modules: 5
         },
         whatsappAPI: this.whatsappAPI.healthCheck(),
         templateManager: this.templateManager.healthCheck(),
         mediaSender: this.mediaSender.healthCheck(),
         menuHandler: this.menuHandler.healthCheck(),
+        outboundComposer: this.outboundComposer.healthCheck(),
         overall: {
           healthy: true,
           modularArchitecture: true,
-          totalModules: 4,
+          totalModules: 5,
           status: 'Production Ready'
         }
       };
@@ -386,12 +594,19 @@ module.exports = {
       sections,
       options
     ),
-  sendTemplateMessage: (phoneNumber, templateName, languageCode, components) =>
+  sendTemplateMessage: (
+    phoneNumber,
+    templateName,
+    languageCode,
+    components,
+    options
+  ) =>
     messageSender.sendTemplateMessage(
       phoneNumber,
       templateName,
       languageCode,
-      components
+      components,
+      options
     ),
   sendMediaMessage: (phoneNumber, mediaType, mediaId, caption, options) =>
     messageSender.sendMediaMessage(
@@ -401,7 +616,17 @@ module.exports = {
       caption,
       options
     ),
+  sendDocument: (phoneNumber, documentId, caption, filename) =>
+    messageSender.sendDocument(phoneNumber, documentId, caption, filename),
+  uploadMedia: (buffer, mimeType, filename) =>
+    messageSender.uploadMedia(buffer, mimeType, filename),
+  sendMediaBuffer: (phoneNumber, mediaType, buffer, options) =>
+    messageSender.sendMediaBuffer(phoneNumber, mediaType, buffer, options),
+  sendImageBuffer: (phoneNumber, buffer, caption) =>
+    messageSender.sendImageBuffer(phoneNumber, buffer, caption),
   markMessageAsRead: messageId => messageSender.markMessageAsRead(messageId),
+  continueMessage: (phoneNumber, language) =>
+    messageSender.continueMessage(phoneNumber, language),
   sendMessage: (phoneNumber, message, messageType, options, language) =>
     messageSender.sendMessage(
       phoneNumber,
@@ -436,6 +661,9 @@ module.exports = {
  * - TemplateManager (~230 lines) - Interactive messages & validation
  * - MediaSender (~240 lines) - Text & media message handling
  * - MenuHandler (~220 lines) - Menu fallbacks & mapping
+ * - OutboundComposer - Long-message parts & field limits
+ * - outbound/OutboundDispatcher - Throttling, retries & delivery records
+ * - state/ - Menu mappings & held parts shared across instances
  *
  * Total Modular Code: ~810 lines (109 lines less than original)
  *
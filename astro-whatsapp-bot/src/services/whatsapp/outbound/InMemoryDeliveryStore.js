@@ -0,0 +1,125 @@
+const {
+  statusUpdate,
+  isResendable,
+  summarizeDelivery
+} = require('./deliveryRecord');
+
+/**
+ * InMemoryDeliveryStore - Process-local delivery records
+ * Suitable for local development and tests; records are lost on restart.
+ */
+class InMemoryDeliveryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.retentionMs - How long records are kept
+   */
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || 30 * 24 * 60 * 60 * 1000;
+    this.records = new Map(); // id -> record
+  }
+
+  /**
+   * Save the record of a dispatched message
+   * @param {Object} record - buildDeliveryRecord result
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(record) {
+    this._prune(new Date());
+    this.records.set(record.id, { ...record });
+    return { ...record };
+  }
+
+  /**
+   * Apply a webhook status event to the record of its message
+   * @param {Object} event - Webhook status
+   * @returns {Promise<Object|null>} Updated record, null for untracked IDs
+   */
+  async applyStatus(event) {
+    const record = this.records.get(event.id);
+    if (!record) {
+      return null;
+    }
+    const update = statusUpdate(record, event);
+    if (update) {
+      Object.assign(record, update);
+    }
+    return { ...record };
+  }
+
+  /**
+   * Failed critical messages that may be resent, oldest first
+   * @param {Object} query - Query
+   * @param {Date} query.since - Ignore records created before
+   * @param {number} query.maxResends - Resends allowed per message
+   * @param {number} query.limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async findResendable({ since, maxResends, limit }) {
+    return Array.from(this.records.values())
+      .filter(
+        record => record.createdAt >= since && isResendable(record, maxResends)
+      )
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .slice(0, limit)
+      .map(record => ({ ...record }));
+  }
+
+  /**
+   * Claim a record for resending, so it is resent only once
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} True if this caller claimed it
+   */
+  async claimResend(id) {
+    const record = this.records.get(id);
+    if (!record || record.resentAt) {
+      return false;
+    }
+    record.resentAt = new Date();
+    return true;
+  }
+
+  /**
+   * Latest records of messages sent to a user, newest first
+   * @param {string} phoneNumber - Recipient
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records without payloads
+   */
+  async findByRecipient(phoneNumber, limit = 50) {
+    const recipient = String(phoneNumber).replace(/^\+/, '');
+    return Array.from(this.records.values())
+      .filter(record => record.phoneNumber === recipient)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit)
+      .map(({ payload, ...record }) => record);
+  }
+
+  /**
+   * Delivery report
+   * @param {Date} since - Count records created from this time
+   * @returns {Promise<Object>} summarizeDelivery result
+   */
+  async getStats(since) {
+    const counts = {};
+    for (const record of this.records.values()) {
+      if (record.createdAt >= since) {
+        counts[record.status] = (counts[record.status] || 0) + 1;
+      }
+    }
+    return { backend: 'memory', ...summarizeDelivery(counts) };
+  }
+
+  /**
+   * Forget records older than the retention window
+   * @private
+   * @param {Date} now - Current time
+   */
+  _prune(now) {
+    for (const [id, record] of this.records.entries()) {
+      if (now - record.createdAt > this.retentionMs) {
+        this.records.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { InMemoryDeliveryStore };
@@ -0,0 +1,144 @@
+const OutboundMessage = require('../../../models/OutboundMessage');
+const {
+  PERMANENT_ERROR_CODES,
+  statusUpdate,
+  summarizeDelivery
+} = require('./deliveryRecord');
+
+/**
+ * Record with its MongoDB _id as `id`, the shape the dispatcher uses
+ * @private
+ */
+const withId = record => record && { ...record, id: String(record._id) };
+
+/**
+ * MongoDeliveryStore - Durable delivery records backed by MongoDB
+ * Status webhooks may reach any instance, so records must be shared.
+ */
+class MongoDeliveryStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.model - Mongoose model (tests)
+   */
+  constructor(options = {}) {
+    this.model = options.model || OutboundMessage;
+  }
+
+  /**
+   * Save the record of a dispatched message
+   * @param {Object} record - buildDeliveryRecord result
+   * @returns {Promise<Object>} Saved record
+   */
+  async save(record) {
+    const { id, ...fields } = record;
+    const saved = await this.model.create(fields);
+    return withId(saved.toObject());
+  }
+
+  /**
+   * Apply a webhook status event to the record of its message
+   * @param {Object} event - Webhook status
+   * @returns {Promise<Object|null>} Updated record, null for untracked IDs
+   */
+  async applyStatus(event) {
+    const record = await this.model.findOne({ waMessageId: event.id }).lean();
+    if (!record) {
+      return null;
+    }
+    const update = statusUpdate(record, event);
+    if (!update) {
+      return withId(record);
+    }
+
+    // Guard on the status read above: a concurrent newer status wins
+    const updated = await this.model
+      .findOneAndUpdate(
+        { _id: record._id, status: record.status },
+        { $set: update },
+        { new: true }
+      )
+      .lean();
+    if (updated) {
+      return withId(updated);
+    }
+    // Lost the race: keep this event's timestamp, not its status
+    delete update.status;
+    const current = await this.model
+      .findOneAndUpdate({ _id: record._id }, { $set: update }, { new: true })
+      .lean();
+    return withId(current);
+  }
+
+  /**
+   * Failed critical messages that may be resent, oldest first
+   * @param {Object} query - Query
+   * @param {Date} query.since - Ignore records created before
+   * @param {number} query.maxResends - Resends allowed per message
+   * @param {number} query.limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records
+   */
+  async findResendable({ since, maxResends, limit }) {
+    const records = await this.model
+      .find({
+        critical: true,
+        status: 'failed',
+        resentAt: null,
+        payload: { $exists: true },
+        resends: { $lt: maxResends },
+        errorCode: { $nin: Array.from(PERMANENT_ERROR_CODES) },
+        createdAt: { $gte: since }
+      })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .lean();
+    return records.map(withId);
+  }
+
+  /**
+   * Claim a record for resending, so it is resent only once
+   * @param {string} id - Record ID
+   * @returns {Promise<boolean>} True if this caller claimed it
+   */
+  async claimResend(id) {
+    const result = await this.model.updateOne(
+      { _id: id, resentAt: null },
+      { $set: { resentAt: new Date() } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Latest records of messages sent to a user, newest first
+   * @param {string} phoneNumber - Recipient
+   * @param {number} limit - Maximum records
+   * @returns {Promise<Array<Object>>} Records without payloads
+   */
+  async findByRecipient(phoneNumber, limit = 50) {
+    const records = await this.model
+      .find({ phoneNumber: String(phoneNumber).replace(/^\+/, '') })
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return records.map(withId);
+  }
+
+  /**
+   * Delivery report
+   * @param {Date} since - Count records created from this time
+   * @returns {Promise<Object>} summarizeDelivery result
+   */
+  async getStats(since) {
+    const counts = {};
+    const groups = await this.model.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    groups.forEach(({ _id, count }) => {
+      counts[_id] = count;
+    });
+    return { backend: 'mongo', ...summarizeDelivery(counts) };
+  }
+}
+
+module.exports = { MongoDeliveryStore };
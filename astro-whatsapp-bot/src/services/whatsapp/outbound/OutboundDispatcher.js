@@ -0,0 +1,315 @@
+const logger = require('../../../utils/logger');
+const { TokenBucket } = require('./TokenBucket');
+const { buildDeliveryRecord, isResendable } = require('./deliveryRecord');
+
+// Cloud API error codes worth retrying: throughput or pair rate limit hit,
+// and temporary errors on Meta's side
+const RETRYABLE_ERROR_CODES = new Set([130429, 131056, 131000, 131016, 133004]);
+
+// Network failures before the request was sent. After that (timeouts,
+// resets) WhatsApp may already have accepted the message, and the Cloud API
+// takes no idempotency key, so a retry could deliver it twice.
+const RETRYABLE_NETWORK_CODES = new Set([
+  'ECONNREFUSED',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+]);
+
+/**
+ * Whether a failed send is worth another attempt
+ * @param {Error} error - WhatsAppAPI error (see handleApiError)
+ * @returns {boolean} True for rate limits, 5xx and connection failures
+ */
+const isRetryable = error =>
+  error.status === 429 ||
+  error.status >= 500 ||
+  RETRYABLE_ERROR_CODES.has(error.code) ||
+  RETRYABLE_NETWORK_CODES.has(error.code);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * OutboundDispatcher - Sends Cloud API messages within WhatsApp's limits
+ * Every message waits for a token from the global bucket (the business
+ * number's throughput) and from its recipient's bucket (Meta's pair rate
+ * limit), is retried with exponential backoff on 429, 5xx and failures to
+ * connect, and leaves a delivery record that status webhooks update.
+ */
+class OutboundDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {Object} options.api - WhatsAppAPI instance
+   * @param {Object} options.store - Delivery store implementation
+   * @param {boolean} options.throttle - Apply the token buckets
+   * @param {number} options.ratePerSecond - Global sustained rate
+   * @param {number} options.burst - Global burst
+   * @param {number} options.recipientPerMinute - Per-recipient rate
+   * @param {number} options.recipientBurst - Per-recipient burst
+   * @param {number} options.maxAttempts - Attempts before a send fails
+   * @param {number} options.baseDelayMs - First retry delay
+   * @param {number} options.maxDelayMs - Longest retry delay
+   * @param {number} options.maxResends - Resends per failed critical message
+   * @param {Function} options.sleep - async (ms) wait (tests)
+   */
+  constructor({
+    api,
+    store,
+    throttle = true,
+    ratePerSecond = 80,
+    burst = 80,
+    recipientPerMinute = 10,
+    recipientBurst = 20,
+    maxAttempts = 4,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    maxResends = 2,
+    sleep: wait = sleep
+  }) {
+    this.logger = logger;
+    this.api = api;
+    this.store = store;
+    this.throttle = throttle;
+    this.recipientPerMinute = recipientPerMinute;
+    this.recipientBurst = recipientBurst;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.maxResends = maxResends;
+    this.sleep = wait;
+
+    this.globalBucket = new TokenBucket({
+      capacity: burst,
+      refillPerSecond: ratePerSecond
+    });
+    this.recipientBuckets = new Map(); // phone number -> TokenBucket
+  }
+
+  /**
+   * Send a message payload to the Cloud API
+   * @param {Object} payload - Cloud API message payload (with `to`)
+   * @param {Object} options - Dispatch options
+   * @param {boolean} options.critical - Keep the payload and resend it if
+   *   delivery fails
+   * @returns {Promise<Object>} API response
+   */
+  async dispatch(payload, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this._waitForTurn(payload.to);
+      try {
+        const response = await this.api.makeRequest('/messages', payload);
+        await this._record(payload, options, {
+          waMessageId: response?.messages?.[0]?.id,
+          attempts: attempt
+        });
+        return response;
+      } catch (error) {
+        if (attempt >= this.maxAttempts || !isRetryable(error)) {
+          await this._record(payload, options, { error, attempts: attempt });
+          throw error;
+        }
+        const delay = this._retryDelay(attempt, error);
+        this.logger.warn(
+          `🔁 Send to ${payload.to} failed (attempt ${attempt}/${this.maxAttempts}), retrying in ${delay}ms: ${error.message}`
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Apply webhook status events to the delivery records
+   * @param {Array<Object>} statuses - `value.statuses` of a webhook change
+   * @returns {Promise<Object>} { updated, untracked }
+   */
+  async handleStatuses(statuses) {
+    const counts = { updated: 0, untracked: 0 };
+    for (const event of statuses || []) {
+      try {
+        const record = await this.store.applyStatus(event);
+        if (record) {
+          counts.updated++;
+        } else {
+          counts.untracked++;
+        }
+        if (event.status === 'failed') {
+          const [error = {}] = event.errors || [];
+          this.logger.warn(
+            `📭 Message ${event.id} to ${event.recipient_id} failed: ${error.code} ${error.title || error.message || ''}`
+          );
+        }
+      } catch (error) {
+        this.logger.error(
+          `❌ Could not record status ${event.status} of ${event.id}:`,
+          error.message
+        );
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * Send failed critical messages again
+   * @param {Object} options - Sweep options
+   * @param {Date} options.since - Oldest failure to resend (default 24h,
+   *   WhatsApp's customer service window)
+   * @param {number} options.limit - Maximum resends in one sweep
+   * @returns {Promise<Object>} { resent, failed }
+   */
+  async resendFailedCritical({
+    since = new Date(Date.now() - 24 * 60 * 60 * 1000),
+    limit = 50
+  } = {}) {
+    const stats = { resent: 0, failed: 0 };
+    const records = await this.store.findResendable({
+      since,
+      maxResends: this.maxResends,
+      limit
+    });
+
+    for (const record of records) {
+      if (
+        !isResendable(record, this.maxResends) ||
+        !(await this.store.claimResend(record.id))
+      ) {
+        continue;
+      }
+      try {
+        await this.dispatch(record.payload, {
+          critical: true,
+          resendOf: record.id,
+          resends: (record.resends || 0) + 1
+        });
+        stats.resent++;
+      } catch (error) {
+        stats.failed++;
+      }
+    }
+
+    if (stats.resent || stats.failed) {
+      this.logger.info(
+        `📮 Resent ${stats.resent} failed critical message(s), ${stats.failed} failed again`
+      );
+    }
+    return stats;
+  }
+
+  /**
+   * Delivery rates over a period
+   * @param {Object} options - Report options
+   * @param {Date} options.since - Start of the period (default 24h ago)
+   * @returns {Promise<Object>} Counts by status and rates
+   */
+  async getDeliveryReport({
+    since = new Date(Date.now() - 24 * 60 * 60 * 1000)
+  } = {}) {
+    return { since, ...(await this.store.getStats(since)) };
+  }
+
+  /**
+   * Latest messages sent to a user, with their delivery status
+   * @param {string} phoneNumber - Recipient
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} Delivery records, newest first
+   */
+  getRecipientHistory(phoneNumber, { limit = 50 } = {}) {
+    return this.store.findByRecipient(phoneNumber, limit);
+  }
+
+  /**
+   * Health check for OutboundDispatcher
+   * @returns {Object} Health status
+   */
+  healthCheck() {
+    return {
+      healthy: true,
+      throttle: this.throttle,
+      trackedRecipients: this.recipientBuckets.size,
+      maxAttempts: this.maxAttempts,
+      status: 'Operational'
+    };
+  }
+
+  /**
+   * Wait until both the global and the recipient's bucket allow a send
+   * @private
+   * @param {string} to - Recipient phone number
+   */
+  async _waitForTurn(to) {
+    if (!this.throttle) {
+      return;
+    }
+    const now = Date.now();
+    const wait = Math.max(
+      this.globalBucket.reserve(now),
+      this._recipientBucket(to, now).reserve(now)
+    );
+    if (wait > 0) {
+      this.logger.debug(`⏳ Throttling send to ${to} for ${wait}ms`);
+      await this.sleep(wait);
+    }
+  }
+
+  /**
+   * Token bucket of one recipient, dropping idle ones as the map grows
+   * @private
+   * @param {string} to - Recipient phone number
+   * @param {number} now - Current time in ms
+   * @returns {TokenBucket} Bucket
+   */
+  _recipientBucket(to, now) {
+    const key = String(to || '').replace(/^\+/, '');
+    let bucket = this.recipientBuckets.get(key);
+    if (!bucket) {
+      if (this.recipientBuckets.size >= 10000) {
+        for (const [phone, idle] of this.recipientBuckets.entries()) {
+          if (idle.isFull(now)) {
+            this.recipientBuckets.delete(phone);
+          }
+        }
+      }
+      bucket = new TokenBucket({
+        capacity: this.recipientBurst,
+        refillPerSecond: this.recipientPerMinute / 60,
+        now
+      });
+      this.recipientBuckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Backoff before the next attempt: Retry-After when WhatsApp sends one,
+   * else exponential with jitter
+   * @private
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error} error - Its error
+   * @returns {number} Delay in ms
+   */
+  _retryDelay(attempt, error) {
+    if (error.retryAfter > 0) {
+      return Math.min(error.retryAfter * 1000, this.maxDelayMs);
+    }
+    const exponential = Math.min(
+      this.baseDelayMs * 2 ** (attempt - 1),
+      this.maxDelayMs
+    );
+    return Math.round(exponential * (0.5 + Math.random() / 2));
+  }
+
+  /**
+   * Save the delivery record of a send; a store outage never fails a send
+   * @private
+   */
+  async _record(payload, options, outcome) {
+    try {
+      await this.store.save(buildDeliveryRecord(payload, outcome, options));
+    } catch (error) {
+      this.logger.error(
+        `❌ Could not record delivery to ${payload.to}:`,
+        error.message
+      );
+    }
+  }
+}
+
+module.exports = { OutboundDispatcher, isRetryable };
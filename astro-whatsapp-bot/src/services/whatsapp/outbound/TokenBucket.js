@@ -0,0 +1,62 @@
+/**
+ * TokenBucket - Throughput limit with bursts
+ * Holds up to `capacity` tokens and regains `refillPerSecond` of them each
+ * second. A reservation always takes a token, even one not refilled yet,
+ * and says how long to wait for it, so callers are served in order.
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.capacity - Largest burst
+   * @param {number} options.refillPerSecond - Sustained rate
+   * @param {number} options.now - Creation time in ms (tests)
+   */
+  constructor({ capacity, refillPerSecond, now = Date.now() }) {
+    if (!(capacity >= 1) || !(refillPerSecond > 0)) {
+      throw new Error('Token bucket needs a capacity >= 1 and a positive rate');
+    }
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Reserve one token
+   * @param {number} now - Current time in ms
+   * @returns {number} Milliseconds to wait before using it (0 = now)
+   */
+  reserve(now = Date.now()) {
+    this._refill(now);
+    this.tokens -= 1;
+    return this.tokens >= 0 ?
+      0 :
+      Math.ceil((-this.tokens / this.refillPerSecond) * 1000);
+  }
+
+  /**
+   * Whether the bucket has refilled completely (idle, safe to drop)
+   * @param {number} now - Current time in ms
+   * @returns {boolean} True when full
+   */
+  isFull(now = Date.now()) {
+    this._refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Add the tokens regained since the last update
+   * @private
+   * @param {number} now - Current time in ms
+   */
+  _refill(now) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + elapsed * this.refillPerSecond
+    );
+    this.updatedAt = now;
+  }
+}
+
+module.exports = { TokenBucket };
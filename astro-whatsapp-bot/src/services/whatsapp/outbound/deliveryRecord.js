@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+
+// Webhook statuses can arrive out of order; a record only moves forward
+const STATUS_RANK = { sent: 1, failed: 2, delivered: 3, read: 4 };
+
+const TIMESTAMP_FIELDS = {
+  sent: 'sentAt',
+  delivered: 'deliveredAt',
+  read: 'readAt',
+  failed: 'failedAt'
+};
+
+// Characters of the message kept on every record, for message history
+const PREVIEW_LENGTH = 200;
+
+// Failures a resend cannot fix: undeliverable recipient, outside the
+// 24-hour window, unsupported message or invalid parameter
+const PERMANENT_ERROR_CODES = new Set([100, 131021, 131026, 131047, 131051]);
+
+/**
+ * Short readable form of a Cloud API payload
+ * @param {Object} payload - Cloud API message payload
+ * @returns {string} Text, caption or template name, cut to PREVIEW_LENGTH
+ */
+const previewPayload = payload => {
+  const type = payload.type || 'text';
+  const content = payload[type] || {};
+  let text;
+  switch (type) {
+  case 'text':
+    text = content.body;
+    break;
+  case 'interactive':
+    text = content.body && content.body.text;
+    break;
+  case 'template':
+    text = `[template ${content.name}]`;
+    break;
+  default:
+    text = content.caption || content.filename;
+  }
+  return String(text || `[${type}]`).substring(0, PREVIEW_LENGTH);
+};
+
+/**
+ * Build the delivery record of a dispatched message
+ * @param {Object} payload - Cloud API message payload
+ * @param {Object} outcome - Dispatch outcome
+ * @param {string} outcome.waMessageId - WhatsApp message ID, if accepted
+ * @param {number} outcome.attempts - Send attempts made
+ * @param {Error} outcome.error - Final error, if rejected
+ * @param {Object} options - Dispatch options ({ critical, resendOf, resends })
+ * @returns {Object} Record shared by all delivery stores
+ */
+const buildDeliveryRecord = (payload, outcome, options = {}) => {
+  const now = new Date();
+  const critical = !!options.critical;
+
+  return {
+    id: outcome.waMessageId || `failed:${crypto.randomUUID()}`,
+    ...(outcome.waMessageId && { waMessageId: outcome.waMessageId }),
+    phoneNumber: String(payload.to || '').replace(/^\+/, ''),
+    type: payload.type || 'text',
+    preview: previewPayload(payload),
+    critical,
+    // Only critical payloads are kept, for resends
+    ...(critical && { payload }),
+    status: outcome.error ? 'failed' : 'sent',
+    attempts: outcome.attempts || 1,
+    ...(outcome.error ?
+      {
+        failedAt: now,
+        errorCode: Number(outcome.error.code) || undefined,
+        errorTitle: outcome.error.message
+      } :
+      { sentAt: now }),
+    resends: options.resends || 0,
+    ...(options.resendOf && { resendOf: options.resendOf }),
+    createdAt: now
+  };
+};
+
+/**
+ * Changes a webhook status event makes to a delivery record
+ * @param {Object} record - Current record
+ * @param {Object} event - Webhook status ({ id, status, timestamp, errors })
+ * @returns {Object|null} Fields to set, or null for an unknown status
+ */
+const statusUpdate = (record, event) => {
+  const field = TIMESTAMP_FIELDS[event.status];
+  if (!field) {
+    return null;
+  }
+
+  const seconds = parseInt(event.timestamp, 10);
+  const update = {
+    [field]: Number.isFinite(seconds) ? new Date(seconds * 1000) : new Date()
+  };
+  if (STATUS_RANK[event.status] > (STATUS_RANK[record.status] || 0)) {
+    update.status = event.status;
+  }
+  if (event.status === 'failed' && event.errors && event.errors[0]) {
+    const [error] = event.errors;
+    update.errorCode = Number(error.code) || undefined;
+    update.errorTitle = error.title || error.message;
+  }
+  return update;
+};
+
+/**
+ * Whether a failed critical record should be sent again
+ * @param {Object} record - Delivery record
+ * @param {number} maxResends - Resends allowed per original message
+ * @returns {boolean} True if a resend may succeed
+ */
+const isResendable = (record, maxResends) =>
+  record.critical &&
+  record.status === 'failed' &&
+  !record.resentAt &&
+  !!record.payload &&
+  (record.resends || 0) < maxResends &&
+  !PERMANENT_ERROR_CODES.has(record.errorCode);
+
+/**
+ * Delivery report from counts by status
+ * @param {Object} counts - { sent, delivered, read, failed }
+ * @returns {Object} Counts with delivery, read and failure rates (0-1)
+ */
+const summarizeDelivery = counts => {
+  const stats = { sent: 0, delivered: 0, read: 0, failed: 0, ...counts };
+  const total = stats.sent + stats.delivered + stats.read + stats.failed;
+  const rate = count => (total ? Math.round((count / total) * 1000) / 1000 : 0);
+
+  return {
+    total,
+    ...stats,
+    // Read messages were delivered too
+    deliveryRate: rate(stats.delivered + stats.read),
+    readRate: rate(stats.read),
+    failureRate: rate(stats.failed)
+  };
+};
+
+module.exports = {
+  PERMANENT_ERROR_CODES,
+  previewPayload,
+  buildDeliveryRecord,
+  statusUpdate,
+  isResendable,
+  summarizeDelivery
+};
@@ -0,0 +1,74 @@
+const logger = require('../../../utils/logger');
+const { whatsappAPI } = require('../WhatsAppAPI');
+const { InMemoryDeliveryStore } = require('./InMemoryDeliveryStore');
+const { MongoDeliveryStore } = require('./MongoDeliveryStore');
+const { OutboundDispatcher, isRetryable } = require('./OutboundDispatcher');
+const { TokenBucket } = require('./TokenBucket');
+
+/**
+ * Create the delivery store selected by W1_OUTBOUND_STORE ('mongo' | 'memory')
+ * @param {string} backend - Store backend override
+ * @returns {Object} Store implementation
+ */
+const createDeliveryStore = (backend = process.env.W1_OUTBOUND_STORE) => {
+  const selected = backend || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+
+  switch (selected) {
+  case 'memory':
+    return new InMemoryDeliveryStore();
+  case 'mongo':
+    return new MongoDeliveryStore();
+  default:
+    throw new Error(`Unknown outbound store backend: ${selected}`);
+  }
+};
+
+// Process-wide dispatcher, created on first send
+let dispatcher = null;
+
+/**
+ * Get the outbound dispatcher shared by every sender
+ * @returns {OutboundDispatcher} Dispatcher
+ */
+const getOutboundDispatcher = () => {
+  if (!dispatcher) {
+    const throttle = process.env.W1_OUTBOUND_THROTTLE ?
+      process.env.W1_OUTBOUND_THROTTLE !== 'false' :
+      process.env.NODE_ENV !== 'test';
+
+    dispatcher = new OutboundDispatcher({
+      api: whatsappAPI,
+      store: createDeliveryStore(),
+      throttle,
+      ratePerSecond: parseFloat(process.env.W1_OUTBOUND_RATE_PER_SECOND) || 80,
+      burst: parseInt(process.env.W1_OUTBOUND_BURST, 10) || 80,
+      recipientPerMinute:
+        parseFloat(process.env.W1_OUTBOUND_RECIPIENT_PER_MINUTE) || 10,
+      recipientBurst:
+        parseInt(process.env.W1_OUTBOUND_RECIPIENT_BURST, 10) || 20,
+      maxAttempts: parseInt(process.env.W1_OUTBOUND_MAX_ATTEMPTS, 10) || 4
+    });
+    logger.info(
+      `📤 Outbound dispatcher ready (throttling ${throttle ? 'on' : 'off'})`
+    );
+  }
+  return dispatcher;
+};
+
+/**
+ * Drop the dispatcher (tests)
+ */
+const resetOutboundDispatcher = () => {
+  dispatcher = null;
+};
+
+module.exports = {
+  createDeliveryStore,
+  getOutboundDispatcher,
+  resetOutboundDispatcher,
+  InMemoryDeliveryStore,
+  MongoDeliveryStore,
+  OutboundDispatcher,
+  TokenBucket,
+  isRetryable
+};
@@ -149,6 +149,13 @@ class InteractiveMessageProcessor extends BaseMessageProcessor {
       `📋 Processing list reply from ${phoneNumber}: ${title} (${listId})`
     );
 
+    // Lists sent by a flow step answer that step
+    const session = await getUserSession(phoneNumber);
+    if (this.isUserInFlow(session)) {
+      await processFlowMessage(message, user, session.currentFlow);
+      return;
+    }
+
     // Get action from list mapping (legacy support)
     const actionId = this.getActionFromListMapping(listId);
 
@@ -210,6 +217,13 @@ class InteractiveMessageProcessor extends BaseMessageProcessor {
       return true;
     }
 
+    // Next part of a long message (see OutboundComposer)
+    if (buttonId === 'continue_message') {
+      const { continueMessage } = require('../messageSender');
+      await continueMessage(phoneNumber, user.preferredLanguage || 'en');
+      return true;
+    }
+
     return false;
   }
 
@@ -337,6 +351,80 @@ class InteractiveMessageProcessor extends BaseMessageProcessor {
         );
       }
 
+      // Chart settings buttons carry the chosen ayanamsa, house system or style
+      if (actionId.startsWith('set_ayanamsa_')) {
+        actualActionId = 'chart_preferences';
+        actionData.ayanamsa = actionId.replace('set_ayanamsa_', '');
+      } else if (actionId.startsWith('set_house_system_')) {
+        actualActionId = 'chart_preferences';
+        actionData.houseSystem = actionId.replace('set_house_system_', '');
+      } else if (actionId.startsWith('set_chart_style_')) {
+        actualActionId = 'chart_preferences';
+        actionData.chartStyle = actionId.replace('set_chart_style_', '');
+      }
+
+      // The confirmation button of "cancel subscription"
+      if (actionId === 'confirm_cancel_subscription') {
+        actualActionId = 'cancel_subscription';
+        actionData.confirmed = true;
+      }
+
+      // "Buy" button of an entitlement purchase prompt
+      if (actionId.startsWith('buy_entitlement_')) {
+        actualActionId = 'purchase_entitlement';
+        actionData.entitlement = actionId.replace('buy_entitlement_', '');
+      }
+
+      // Plan buttons of the loyalty points redemption
+      if (actionId.startsWith('redeem_points_')) {
+        actualActionId = 'redeem_loyalty_points';
+        actionData.tier = actionId.replace('redeem_points_', '');
+      }
+
+      // Alert settings rows and buttons:
+      // alerts_on, alerts_off, alerts_toggle_<category>, alerts_lead_<hours>
+      const alertsMatch = actionId.match(
+        /^alerts_(on|off|toggle|lead)(?:_([A-Za-z0-9]+))?$/
+      );
+      if (alertsMatch) {
+        actualActionId = 'transit_alerts';
+        actionData.command = alertsMatch[1];
+        if (alertsMatch[1] === 'toggle') {
+          actionData.category = alertsMatch[2];
+        } else if (alertsMatch[1] === 'lead') {
+          actionData.leadHours = Number(alertsMatch[2]);
+        }
+      }
+
+      // Period and system rows of the dasha periods list:
+      // dasha_view_<system>[_<period path, "-" joined>]
+      if (actionId.startsWith('dasha_view_')) {
+        const [system, path] = actionId.replace('dasha_view_', '').split('_');
+        actualActionId = 'get_dasha_analysis';
+        actionData.system = system;
+        actionData.path = path ? path.split('-').map(Number) : [];
+      }
+
+      // People book rows and buttons: people_<command>[_<person ID>]
+      const peopleMatch = actionId.match(
+        /^people_(add|view|edit|delete|confirmdelete)(?:_([0-9a-f]{24}))?$/
+      );
+      if (peopleMatch) {
+        actualActionId = 'people_book';
+        actionData.command = peopleMatch[1];
+        actionData.personId = peopleMatch[2];
+      }
+
+      // A choice from a reading's people picker:
+      // people_pick_<action ID>_<person ID|new|typed|done|page<n>>
+      const pickMatch = actionId.match(
+        /^people_pick_(.+)_([0-9a-f]{24}|new|typed|done|page\d+)$/
+      );
+      if (pickMatch) {
+        actualActionId = pickMatch[1];
+        actionData.pick = pickMatch[2];
+      }
+
       if (this.actionRegistry) {
         const action =
           this.actionRegistry.getAction(actualActionId) ||
@@ -387,7 +475,8 @@ class InteractiveMessageProcessor extends BaseMessageProcessor {
   }
 
   /**
-   * Get action from list mapping (legacy support)
+   * Get action from list mapping (legacy support). Rows whose id is a
+   * registered action id map to that action.
    * @param {string} listId - List ID
    * @returns {string|null} Action ID or null
    */
@@ -404,7 +493,20 @@ class InteractiveMessageProcessor extends BaseMessageProcessor {
       btn_palmistry: 'get_palmistry_analysis'
     };
 
-    return listActionMapping[listId] || null;
+    if (listActionMapping[listId]) {
+      return listActionMapping[listId];
+    }
+    // Rows carrying data are resolved by executeAction
+    if (
+      listId.startsWith('dasha_view_') ||
+      listId.startsWith('people_') ||
+      listId.startsWith('alerts_')
+    ) {
+      return listId;
+    }
+    return this.actionRegistry && this.actionRegistry.getAction(listId) ?
+      listId :
+      null;
   }
 
   /**
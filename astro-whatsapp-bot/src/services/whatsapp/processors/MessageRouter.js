@@ -1,5 +1,27 @@
 const logger = require('../../../utils/logger');
 const KeywordMapper = require('../KeywordMapper');
+const { MenuHandler } = require('../MenuHandler');
+
+// Free-text questions no keyword maps to
+const AI_ACTION_ID = 'ask_ai_astrologer';
+// Receives all unmapped text while the user is chatting with their twin
+const AI_TWIN_ACTION_ID = 'ai_twin';
+// Receives the partner's birth details after its Guna Milan prompt
+const COMPATIBILITY_ACTION_ID = 'start_couple_compatibility_flow';
+// Applies a friend's referral code sent as a message
+const REFERRAL_ACTION_ID = 'referral_program';
+// Answers "KP <1-249> <question>" with KP horary
+const KP_ACTION_ID = 'get_kp_analysis';
+// Opens a dasha system by name, e.g. "yogini dasha"
+const DASHA_ACTION_ID = 'get_dasha_analysis';
+// Adds, edits and deletes saved people, e.g. "edit person Priya"
+const PEOPLE_ACTION_ID = 'people_book';
+// Checks a city against the user's planetary lines, e.g. "acg Lisbon"
+const ASTROCARTOGRAPHY_ACTION_ID = 'get_astrocartography_analysis';
+// Issues or stops the user's calendar feed, e.g. "calendar link"
+const CALENDAR_ACTION_ID = 'get_transit_calendar';
+// Switches alerts and sets quiet hours, e.g. "quiet hours 22:00-07:00"
+const ALERTS_ACTION_ID = 'transit_alerts';
 
 /**
  * MessageRouter - Routes incoming messages to appropriate actions
@@ -10,6 +32,7 @@ class MessageRouter {
     this.actionRegistry = actionRegistry;
     this.keywordMapper = new KeywordMapper();
     this.keywordMapper.initialize();
+    this.menuHandler = new MenuHandler();
     this.logger = logger;
   }
 
@@ -19,15 +42,124 @@ class MessageRouter {
    * @param {Object} user - User object
    * @param {string} phoneNumber - Phone number
    * @param {Object} executor - Action executor instance
+   * @param {Object} session - User session, if already loaded
    * @returns {Promise<boolean>} True if action was executed
    */
-  async routeCompleteUserMessage(messageText, user, phoneNumber, executor) {
+  async routeCompleteUserMessage(
+    messageText,
+    user,
+    phoneNumber,
+    executor,
+    session = null
+  ) {
+    const inTwinChat = this.isInTwinChat(session);
+    const awaitingPartner = this.isAwaitingCompatibilityPartner(session);
+
     // Handle navigation keywords first
     if (this.isNavigationKeyword(messageText)) {
+      if (inTwinChat) {
+        await this.leaveTwinChat(phoneNumber);
+      }
+      if (awaitingPartner) {
+        await this.stopAwaitingCompatibilityPartner(phoneNumber);
+      }
       await executor.executeAction('show_main_menu', user, phoneNumber);
       return true;
     }
 
+    // Reply to the compatibility prompt with the partner's birth details
+    if (awaitingPartner && this.hasAction(COMPATIBILITY_ACTION_ID)) {
+      await executor.executeAction(COMPATIBILITY_ACTION_ID, user, phoneNumber, {
+        partnerDetails: messageText
+      });
+      return true;
+    }
+
+    // A friend's referral code, e.g. "REF1A2B3C" or "code: REF1A2B3C"
+    if (
+      this.isReferralCode(messageText) &&
+      this.hasAction(REFERRAL_ACTION_ID)
+    ) {
+      await executor.executeAction(REFERRAL_ACTION_ID, user, phoneNumber, {
+        code: messageText
+      });
+      return true;
+    }
+
+    // A KP horary question, e.g. "KP 108 Will I get the job?"
+    const kpHorary = this.matchKPHorary(messageText);
+    if (kpHorary && this.hasAction(KP_ACTION_ID)) {
+      await executor.executeAction(KP_ACTION_ID, user, phoneNumber, {
+        horaryNumber: Number(kpHorary[1]),
+        question: (kpHorary[2] || '').trim()
+      });
+      return true;
+    }
+
+    // A dasha system by name, e.g. "Chara dasha" or "kalachakra"
+    const dashaSystem = this.matchDashaSystem(messageText);
+    if (dashaSystem && this.hasAction(DASHA_ACTION_ID)) {
+      await executor.executeAction(DASHA_ACTION_ID, user, phoneNumber, {
+        system: dashaSystem[1].toLowerCase()
+      });
+      return true;
+    }
+
+    // A people book command, e.g. "add person" or "delete person Ravi"
+    const peopleCommand = this.matchPeopleCommand(messageText);
+    if (peopleCommand && this.hasAction(PEOPLE_ACTION_ID)) {
+      const command = peopleCommand[1].toLowerCase();
+      await executor.executeAction(PEOPLE_ACTION_ID, user, phoneNumber, {
+        command: command === 'remove' ? 'delete' : command,
+        name: (peopleCommand[2] || '').trim()
+      });
+      return true;
+    }
+
+    // A city for astrocartography, e.g. "astrocartography Lisbon within 300 km"
+    const astrocartography = this.matchAstrocartographyPlace(messageText);
+    if (astrocartography && this.hasAction(ASTROCARTOGRAPHY_ACTION_ID)) {
+      await executor.executeAction(
+        ASTROCARTOGRAPHY_ACTION_ID,
+        user,
+        phoneNumber,
+        {
+          place: astrocartography[1].trim(),
+          maxKm: astrocartography[2] ? Number(astrocartography[2]) : undefined
+        }
+      );
+      return true;
+    }
+
+    // A calendar feed command, e.g. "calendar link" or "calendar stop"
+    const calendarCommand = this.matchCalendarCommand(messageText);
+    if (calendarCommand && this.hasAction(CALENDAR_ACTION_ID)) {
+      await executor.executeAction(CALENDAR_ACTION_ID, user, phoneNumber, {
+        command: /^(stop|revoke|unsubscribe)$/i.test(calendarCommand[1]) ?
+          'unsubscribe' :
+          'subscribe'
+      });
+      return true;
+    }
+
+    // An alerts command, e.g. "alerts off" or "quiet hours 23:00 to 06:30"
+    const alertsCommand = this.matchAlertsCommand(messageText);
+    if (alertsCommand && this.hasAction(ALERTS_ACTION_ID)) {
+      await executor.executeAction(
+        ALERTS_ACTION_ID,
+        user,
+        phoneNumber,
+        alertsCommand[1] ?
+          { command: alertsCommand[1].toLowerCase() } :
+          {
+            command: 'quiet',
+            quietStart: alertsCommand[2] || null,
+            quietEnd: alertsCommand[3] || null
+          }
+      );
+      return true;
+    }
+
     // Check for numbered menu actions (legacy support)
     const numberedAction = await this.getNumberedMenuAction(
       phoneNumber,
@@ -66,6 +198,25 @@ class MessageRouter {
       return true;
     }
 
+    // Exact keywords registered with the action registry
+    const registeredActionId =
+      this.actionRegistry &&
+      this.actionRegistry.getActionIdForKeyword(messageText);
+    if (registeredActionId) {
+      await executor.executeAction(registeredActionId, user, phoneNumber, {
+        message: messageText
+      });
+      return true;
+    }
+
+    // Everything else is conversation while the AI Twin is open
+    if (inTwinChat && this.hasAction(AI_TWIN_ACTION_ID)) {
+      await executor.executeAction(AI_TWIN_ACTION_ID, user, phoneNumber, {
+        message: messageText
+      });
+      return true;
+    }
+
     // Try keyword-based action resolution
     const actionId = this.keywordMapper.getActionIdForText(messageText, {
       user,
@@ -77,9 +228,87 @@ class MessageRouter {
       return true;
     }
 
+    // Unmapped questions go to the AI astrologer
+    if (this.isOpenQuestion(messageText) && this.hasAction(AI_ACTION_ID)) {
+      await executor.executeAction(AI_ACTION_ID, user, phoneNumber, {
+        question: messageText
+      });
+      return true;
+    }
+
     return false; // No action found, allow fallback
   }
 
+  /**
+   * Whether unmapped text reads as a question rather than a short reply
+   * ("ok", "thanks") that the fallback menu handles better
+   * @param {string} messageText - Message text
+   * @returns {boolean} True if the text should go to the AI astrologer
+   */
+  isOpenQuestion(messageText) {
+    const text = messageText.trim();
+    return text.includes('?') || text.split(/\s+/).length >= 4;
+  }
+
+  /**
+   * Whether the user is chatting with their AI Twin
+   * @param {Object} session - User session
+   * @returns {boolean} True if twin chat is open
+   */
+  isInTwinChat(session) {
+    return !!(session && session.context && session.context.aiTwinActive);
+  }
+
+  /**
+   * Close the AI Twin chat so text is routed normally again
+   * @param {string} phoneNumber - Phone number
+   */
+  async leaveTwinChat(phoneNumber) {
+    try {
+      const { setUserSession } = require('../../../models/userModel');
+      await setUserSession(phoneNumber, { 'context.aiTwinActive': false });
+    } catch (error) {
+      this.logger.error('Error leaving AI Twin chat:', error);
+    }
+  }
+
+  /**
+   * Whether the compatibility action is waiting for the partner's details
+   * @param {Object} session - User session
+   * @returns {boolean} True if the next message holds the partner's details
+   */
+  isAwaitingCompatibilityPartner(session) {
+    return !!(
+      session &&
+      session.context &&
+      session.context.compatibilityAwaitingPartner
+    );
+  }
+
+  /**
+   * Stop treating the next message as the partner's birth details
+   * @param {string} phoneNumber - Phone number
+   */
+  async stopAwaitingCompatibilityPartner(phoneNumber) {
+    try {
+      const { setUserSession } = require('../../../models/userModel');
+      await setUserSession(phoneNumber, {
+        'context.compatibilityAwaitingPartner': false
+      });
+    } catch (error) {
+      this.logger.error('Error leaving compatibility prompt:', error);
+    }
+  }
+
+  /**
+   * Whether the registry can run an action
+   * @param {string} actionId - Action identifier
+   * @returns {boolean} True if registered
+   */
+  hasAction(actionId) {
+    return !!(this.actionRegistry && this.actionRegistry.getAction(actionId));
+  }
+
   /**
    * Check if message is a navigation keyword
    * @param {string} messageText - Message text
@@ -109,6 +338,16 @@ class MessageRouter {
         `🔢 Processing numbered menu selection ${selectionNumber} for ${phoneNumber}`
       );
 
+      // A numbered fallback menu sent to the user wins, whichever instance
+      // sent it
+      const mappedAction = await this.menuHandler.getNumberedMenuAction(
+        phoneNumber,
+        messageText
+      );
+      if (mappedAction) {
+        return mappedAction;
+      }
+
       // Get user's last menu from session
       const session = await this.getUserSession(phoneNumber);
       if (!session?.lastMenu) {
@@ -163,7 +402,7 @@ class MessageRouter {
         1: 'get_hindu_astrology_analysis',
         2: 'get_synastry_analysis',
         3: 'show_nadi_flow',
-        4: 'get_vimshottari_dasha_analysis',
+        4: 'get_dasha_analysis',
         5: 'get_hindu_festivals_info',
         6: 'get_vedic_numerology_analysis',
         7: 'get_ashtakavarga_analysis',
@@ -182,8 +421,9 @@ class MessageRouter {
         3: 'start_family_astrology_flow',
         4: 'start_business_partnership_flow',
         5: 'start_group_timing_flow',
-        6: 'show_main_menu',
-        7: 'back' // Navigate back option
+        6: 'people_book',
+        7: 'show_main_menu',
+        8: 'back' // Navigate back option
       },
       numerology_special_menu: {
         1: 'get_numerology_analysis',
@@ -216,6 +456,96 @@ class MessageRouter {
     return mapping ? mapping[selectionNumber] : null;
   }
 
+  /**
+   * Check if the whole message is a referral code
+   * @param {string} messageText - Message text
+   * @returns {boolean} True if referral code
+   */
+  isReferralCode(messageText) {
+    return /^(?:(?:referral|invite)\s+)?(?:code\s*:?\s*)?REF[A-Z0-9]{4,12}$/i.test(
+      messageText.trim()
+    );
+  }
+
+  /**
+   * Match a KP horary question: "KP", the number, then the question
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (number, question) or null
+   */
+  matchKPHorary(messageText) {
+    return messageText.trim().match(/^kp\s+(\d{1,3})\b\s*([\s\S]*)$/i);
+  }
+
+  /**
+   * Match a dasha system name, optionally followed by "dasha"
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (system) or null
+   */
+  matchDashaSystem(messageText) {
+    return messageText
+      .trim()
+      .match(
+        /^(vimshottari|yogini|ashtottari|chara|kalachakra)(?:\s+dashas?)?$/i
+      );
+  }
+
+  /**
+   * Match a people book command: add, edit or delete (remove), "person",
+   * then an optional name. "Edit profile" is left to the user's own profile.
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (command, name) or null
+   */
+  matchPeopleCommand(messageText) {
+    return messageText
+      .trim()
+      .match(
+        /^(add|edit|delete|remove)\s+(?:a\s+)?person(?:\s+(.+))?$/i
+      );
+  }
+
+  /**
+   * Match astrocartography (or "acg") followed by a city, optionally "for"
+   * or "in" before it and "within <n> km" after it
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (place, km) or null
+   */
+  matchAstrocartographyPlace(messageText) {
+    return messageText
+      .trim()
+      .match(
+        /^(?:astro\s?cartography|acg)\s+(?:(?:for|in|near|of)\s+)?(.+?)(?:\s+within\s+(\d+)\s*km)?$/i
+      );
+  }
+
+  /**
+   * Match "calendar" (optionally "my", "astro" or "transit" before it)
+   * followed by link, feed or subscribe, or by stop, revoke or unsubscribe
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (command) or null
+   */
+  matchCalendarCommand(messageText) {
+    return messageText
+      .trim()
+      .match(
+        /^(?:(?:my|astro|transit)\s+)?calendar\s+(link|feed|subscribe|stop|revoke|unsubscribe)$/i
+      );
+  }
+
+  /**
+   * Match "alerts on" or "alerts off" (optionally "transit" before it), or
+   * "quiet hours" followed by off or a range like 22:00-07:00
+   * @param {string} messageText - Message text
+   * @returns {Array|null} Match array (on/off, or quiet start and end,
+   *   both empty for off) or null
+   */
+  matchAlertsCommand(messageText) {
+    return messageText
+      .trim()
+      .match(
+        /^(?:(?:transit\s+)?alerts?\s+(on|off)|quiet\s+hours\s+(?:off|(\d{1,2}:\d{2})\s*(?:-|to)\s*(\d{1,2}:\d{2})))$/i
+      );
+  }
+
   /**
    * Match compatibility request pattern
    * @param {string} messageText - Message text
@@ -287,8 +617,8 @@ class MessageRouter {
    * @returns {boolean} True if subscription request
    */
   isSubscriptionRequest(messageText) {
-    const lowerText = messageText.toLowerCase();
-    return lowerText.includes('subscribe') || lowerText.includes('upgrade');
+    // Whole words only, so "unsubscribe" reaches cancel_subscription
+    return /\b(subscribe|upgrade)\b/i.test(messageText);
   }
 
   /**
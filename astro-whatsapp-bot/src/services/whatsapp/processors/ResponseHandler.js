@@ -56,7 +56,8 @@ class ResponseHandler {
                 birthDate: user.birthDate,
                 birthTime: user.birthTime,
                 birthPlace: user.birthPlace,
-                name: user.name
+                name: user.name,
+                preferences: user.preferences
               });
               break;
               
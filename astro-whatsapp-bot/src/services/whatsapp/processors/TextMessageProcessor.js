@@ -27,19 +27,20 @@ class TextMessageProcessor extends BaseMessageProcessor {
       }
 
       user.profileComplete ?
-        await this.processComplete(messageText, user, phoneNumber) :
+        await this.processComplete(messageText, user, phoneNumber, session) :
         await processFlowMessage(message, user, 'onboarding');
     } catch (error) {
       await this.responseHandler.handleProcessingError(phoneNumber, error);
     }
   }
 
-  async processComplete(messageText, user, phoneNumber) {
+  async processComplete(messageText, user, phoneNumber, session = null) {
     const routed = await this.messageRouter.routeCompleteUserMessage(
       messageText,
       user,
       phoneNumber,
-      this
+      this,
+      session
     );
     if (!routed) {
       await this.responseHandler.handleFallbackResponse(
@@ -50,10 +51,15 @@ class TextMessageProcessor extends BaseMessageProcessor {
     }
   }
 
-  async executeAction(actionId, user, phoneNumber) {
+  async executeAction(actionId, user, phoneNumber, data = {}) {
     try {
       if (this.actionRegistry) {
-        await this.actionRegistry.executeAction(actionId, user, phoneNumber);
+        await this.actionRegistry.executeAction(
+          actionId,
+          user,
+          phoneNumber,
+          data
+        );
       } else {
         await this.legacy(actionId, phoneNumber);
       }
@@ -96,6 +96,25 @@ class NotFoundError extends CustomError {
   }
 }
 
+/**
+ * Conflict error: the resource's current state does not allow the change
+ */
+class ConflictError extends CustomError {
+  constructor(message = 'Conflict with the current state') {
+    super(message, 409, 'ConflictError');
+  }
+}
+
+/**
+ * Too many requests: the client must wait `retryAfter` seconds
+ */
+class TooManyRequestsError extends CustomError {
+  constructor(message = 'Too many requests', retryAfter = 60) {
+    super(message, 429, 'TooManyRequestsError');
+    this.retryAfter = retryAfter;
+  }
+}
+
 /**
  * Handle general errors
  * @param {Error} error - Error object
@@ -131,5 +150,7 @@ module.exports = {
   ValidationError,
   AuthenticationError,
   AuthorizationError,
-  NotFoundError
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
 };
@@ -0,0 +1,297 @@
+// tests/unit/controllers/adminController.test.js
+// Unit tests for the admin API: authentication, roles and validation
+
+const express = require('express');
+const request = require('supertest');
+const {
+  createAdminRouter
+} = require('../../../src/controllers/adminController');
+const { AdminAuth } = require('../../../src/services/admin/AdminAuth');
+const { LoginThrottle } = require('../../../src/services/admin/LoginThrottle');
+const {
+  InMemoryStateStore,
+  StateNamespace
+} = require('../../../src/services/state');
+const {
+  ConflictError,
+  NotFoundError
+} = require('../../../src/utils/errorHandler');
+const logger = require('../../../src/utils/logger');
+
+/**
+ * In-memory stand-in for the AdminUser model
+ */
+const createAccounts = accounts => ({
+  findOne: ({ email }) => ({
+    lean: async() => accounts.find(account => account.email === email) || null
+  }),
+  findById: id => ({
+    lean: async() => accounts.find(account => account._id === id) || null
+  }),
+  updateOne: jest.fn(async() => ({ matchedCount: 1 }))
+});
+
+describe('Admin API', () => {
+  let passwordHash;
+  let accounts;
+  let auth;
+  let audit;
+  let clock;
+  let service;
+  let app;
+
+  beforeAll(async() => {
+    passwordHash = await AdminAuth.hashPassword('correct horse battery');
+  });
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    accounts = ['viewer', 'support', 'admin'].map(role => ({
+      _id: `id-${role}`,
+      email: `${role}@example.com`,
+      passwordHash,
+      role,
+      active: true
+    }));
+    const logins = new InMemoryStateStore();
+    audit = { record: jest.fn(async() => ({})) };
+    clock = Date.parse('2026-05-01T10:00:00Z');
+    auth = new AdminAuth({
+      secret: 'test-secret',
+      model: createAccounts(accounts),
+      throttle: new LoginThrottle({
+        store: new StateNamespace('admin_logins', {
+          resolveStore: () => logins
+        }),
+        now: () => clock
+      }),
+      audit
+    });
+    auth.dummyHash = passwordHash;
+    service = {
+      getUser: jest.fn(async phone => ({ phoneNumber: phone })),
+      updateUser: jest.fn(async(operator, phone, changes) => ({
+        phoneNumber: phone,
+        ...changes
+      })),
+      grantSubscription: jest.fn(),
+      getDiagnostics: jest.fn(async() => ({ stateStore: 'memory' }))
+    };
+    app = express();
+    app.use(express.json());
+    app.use(
+      '/admin',
+      createAdminRouter({ getAuth: () => auth, getService: () => service })
+    );
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const tokenFor = async role => {
+    const response = await request(app)
+      .post('/admin/auth/login')
+      .send({ email: `${role}@example.com`, password: 'correct horse battery' })
+      .expect(200);
+    return `Bearer ${response.body.token}`;
+  };
+
+  it('stays closed while no JWT secret is configured', async() => {
+    app = express();
+    app.use('/admin', createAdminRouter({ getAuth: () => null }));
+
+    const response = await request(app).get('/admin/diagnostics').expect(503);
+    expect(response.body.error).toBe('Admin API disabled');
+  });
+
+  it('logs operators in and refuses wrong or disabled accounts', async() => {
+    const response = await request(app)
+      .post('/admin/auth/login')
+      .send({
+        email: 'Support@Example.com ',
+        password: 'correct horse battery'
+      })
+      .expect(200);
+    expect(response.body.operator).toEqual({
+      email: 'support@example.com',
+      role: 'support'
+    });
+
+    await request(app)
+      .post('/admin/auth/login')
+      .send({ email: 'support@example.com', password: 'wrong' })
+      .expect(401, {
+        error: 'AuthenticationError',
+        message: 'Invalid email or password'
+      });
+    await request(app)
+      .post('/admin/auth/login')
+      .send({ email: 'nobody@example.com', password: 'correct horse battery' })
+      .expect(401);
+
+    // A token stops working as soon as its account is disabled
+    const token = await tokenFor('viewer');
+    accounts[0].active = false;
+    await request(app)
+      .get('/admin/users/911234567890')
+      .set('Authorization', token)
+      .expect(401, {
+        error: 'AuthenticationError',
+        message: 'Account disabled'
+      });
+  });
+
+  it('audits failed logins and locks the email out with backoff', async() => {
+    const login = password =>
+      request(app)
+        .post('/admin/auth/login')
+        .send({ email: 'admin@example.com', password });
+
+    // The fifth failure starts a one minute lockout
+    for (let i = 0; i < 5; i++) {
+      await login('wrong').expect(401);
+    }
+    expect(audit.record).toHaveBeenCalledWith(
+      { email: 'admin@example.com', role: 'admin' },
+      'auth.login_failed',
+      null,
+      expect.objectContaining({ reason: 'Wrong password' })
+    );
+    expect(audit.record).toHaveBeenCalledWith(
+      { email: 'admin@example.com', role: 'admin' },
+      'auth.lockout',
+      null,
+      expect.objectContaining({
+        reason: expect.stringContaining('5 failed logins for this email')
+      })
+    );
+
+    // Even the right password is refused until the lockout ends
+    const locked = await login('correct horse battery').expect(429);
+    expect(locked.headers['retry-after']).toBe('60');
+    expect(locked.body.error).toBe('TooManyRequestsError');
+    await request(app)
+      .post('/admin/auth/login')
+      .send({ email: 'viewer@example.com', password: 'correct horse battery' })
+      .expect(200);
+
+    // The next failure doubles the lockout
+    clock += 60 * 1000;
+    await login('wrong').expect(401);
+    const doubled = await login('correct horse battery').expect(429);
+    expect(doubled.headers['retry-after']).toBe('120');
+
+    clock += 120 * 1000;
+    await login('correct horse battery').expect(200);
+    expect(
+      audit.record.mock.calls.filter(([, action]) => action === 'auth.lockout')
+    ).toHaveLength(2);
+  });
+
+  it('requires a token and enough of a role', async() => {
+    await request(app).get('/admin/users/911234567890').expect(401);
+    await request(app)
+      .get('/admin/users/911234567890')
+      .set('Authorization', 'Bearer not-a-token')
+      .expect(401);
+
+    const viewer = await tokenFor('viewer');
+    await request(app)
+      .get('/admin/users/911234567890')
+      .set('Authorization', viewer)
+      .expect(200, { phoneNumber: '911234567890' });
+    await request(app)
+      .patch('/admin/users/911234567890')
+      .set('Authorization', viewer)
+      .send({ name: 'Asha' })
+      .expect(403, {
+        error: 'AuthorizationError',
+        message: 'Requires the support role'
+      });
+    await request(app)
+      .get('/admin/diagnostics')
+      .set('Authorization', await tokenFor('support'))
+      .expect(403);
+    await request(app)
+      .get('/admin/diagnostics')
+      .set('Authorization', await tokenFor('admin'))
+      .expect(200, { stateStore: 'memory' });
+    expect(service.updateUser).not.toHaveBeenCalled();
+  });
+
+  it('accepts only editable, valid user fields', async() => {
+    const support = await tokenFor('support');
+
+    const response = await request(app)
+      .patch('/admin/users/911234567890')
+      .set('Authorization', support)
+      .send({
+        birthTime: '14:30',
+        preferences: { ayanamsa: 'raman' },
+        subscriptionTier: 'vip'
+      })
+      .expect(200);
+    expect(service.updateUser).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'support@example.com' }),
+      '911234567890',
+      { birthTime: '14:30', preferences: { ayanamsa: 'raman' } }
+    );
+    expect(response.body).not.toHaveProperty('subscriptionTier');
+
+    await request(app)
+      .patch('/admin/users/911234567890')
+      .set('Authorization', support)
+      .send({ preferences: { ayanamsa: 'made_up' } })
+      .expect(400);
+    // A birthplace is useless to the charts without its coordinates
+    await request(app)
+      .patch('/admin/users/911234567890')
+      .set('Authorization', support)
+      .send({ birthPlace: 'Pune, India' })
+      .expect(400);
+    await request(app)
+      .patch('/admin/users/not-a-phone')
+      .set('Authorization', support)
+      .send({ name: 'Asha' })
+      .expect(400);
+    expect(service.updateUser).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports missing users and refused changes to operators', async() => {
+    const admin = await tokenFor('admin');
+    service.getUser.mockRejectedValueOnce(
+      new NotFoundError('User 910000000000 not found')
+    );
+    await request(app)
+      .get('/admin/users/910000000000')
+      .set('Authorization', admin)
+      .expect(404, {
+        error: 'NotFoundError',
+        message: 'User 910000000000 not found'
+      });
+
+    await request(app)
+      .post('/admin/users/911234567890/subscription/grant')
+      .set('Authorization', admin)
+      .send({ planId: 'free', days: 30, reason: 'Goodwill' })
+      .expect(400);
+
+    service.grantSubscription.mockRejectedValueOnce(
+      new ConflictError(
+        'Subscription is active; subscription.grant does not apply'
+      )
+    );
+    await request(app)
+      .post('/admin/users/911234567890/subscription/grant')
+      .set('Authorization', admin)
+      .send({ planId: 'premium', days: 30, reason: 'Goodwill' })
+      .expect(409);
+    expect(service.grantSubscription).toHaveBeenCalledWith(
+      expect.objectContaining({ role: 'admin' }),
+      '911234567890',
+      { planId: 'premium', days: 30, reason: 'Goodwill' }
+    );
+  });
+});
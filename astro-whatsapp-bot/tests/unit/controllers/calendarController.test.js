@@ -0,0 +1,63 @@
+// tests/unit/controllers/calendarController.test.js
+// Unit tests for the iCalendar feed route
+
+const express = require('express');
+const request = require('supertest');
+const {
+  createCalendarRouter
+} = require('../../../src/controllers/calendarController');
+const logger = require('../../../src/utils/logger');
+
+const TOKEN = 'abcdefghijklmnopqrstuvwxyz012345';
+
+describe('Calendar feed API', () => {
+  let service;
+  let app;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    service = {
+      feed: jest.fn(async() => 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n')
+    };
+    app = express();
+    app.use('/calendar', createCalendarRouter({ getService: () => service }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves the feed as text/calendar', async() => {
+    const response = await request(app).get(`/calendar/${TOKEN}.ics`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe(
+      'text/calendar; charset=utf-8'
+    );
+    expect(response.headers['cache-control']).toBe('private, max-age=21600');
+    expect(response.text).toBe('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+    expect(service.feed).toHaveBeenCalledWith(TOKEN);
+  });
+
+  it('answers 404 for unknown or revoked links', async() => {
+    service.feed.mockResolvedValue(null);
+
+    const response = await request(app).get(`/calendar/${TOKEN}.ics`);
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({
+      error: 'Not Found',
+      message: 'Calendar not found'
+    });
+  });
+
+  it('answers 500 without details when the calendar fails', async() => {
+    service.feed.mockRejectedValue(new Error('ephemeris missing'));
+
+    const response = await request(app).get(`/calendar/${TOKEN}.ics`);
+
+    expect(response.status).toBe(500);
+    expect(JSON.stringify(response.body)).not.toContain('ephemeris');
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
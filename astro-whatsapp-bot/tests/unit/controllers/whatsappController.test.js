@@ -2,21 +2,29 @@
 // Unit tests for WhatsApp webhook controller
 
 // Mock dependencies
-jest.mock('../../../src/services/whatsapp/messageProcessor', () => ({
-  processIncomingMessage: jest.fn()
+const mockQueue = { enqueue: jest.fn() };
+const mockWorker = { notify: jest.fn() };
+jest.mock('../../../src/services/whatsapp/inbound', () => ({
+  getInboundPipeline: () => ({ queue: mockQueue, worker: mockWorker })
+}));
+const mockDispatcher = { handleStatuses: jest.fn() };
+jest.mock('../../../src/services/whatsapp/outbound', () => ({
+  getOutboundDispatcher: () => mockDispatcher
 }));
 jest.mock('../../../src/services/whatsapp/webhookValidator', () => ({
-  validateWebhookSignature: jest.fn()
+  validateWebhookSignature: jest.fn(),
+  validateMessageFormat: jest.fn()
+}));
+jest.mock('../../../src/services/whatsapp/utils/ValidationService', () => ({
+  validateWebhookPayload: jest.fn(() => true)
 }));
 
 const {
   handleWhatsAppWebhook
 } = require('../../../src/controllers/whatsappController');
 const {
-  processIncomingMessage
-} = require('../../../src/services/whatsapp/messageProcessor');
-const {
-  validateWebhookSignature
+  validateWebhookSignature,
+  validateMessageFormat
 } = require('../../../src/services/whatsapp/webhookValidator');
 const logger = require('../../../src/utils/logger');
 
@@ -28,6 +36,12 @@ describe('WhatsApp Controller', () => {
     // Reset mocks
     jest.clearAllMocks();
     validateWebhookSignature.mockReturnValue(true);
+    validateMessageFormat.mockReturnValue(true);
+    mockQueue.enqueue.mockResolvedValue({ enqueued: true, duplicate: false });
+    mockDispatcher.handleStatuses.mockResolvedValue({
+      updated: 1,
+      untracked: 0
+    });
 
     // Setup request and response objects
     req = {
@@ -100,11 +114,9 @@ describe('WhatsApp Controller', () => {
       };
       req.headers['x-hub-signature-256'] = 'signature';
 
-      processIncomingMessage.mockResolvedValue();
-
       await handleWhatsAppWebhook(req, res);
 
-      expect(processIncomingMessage).toHaveBeenCalledWith(
+      expect(mockQueue.enqueue).toHaveBeenCalledWith(
         expect.objectContaining({
           from: '1234567890',
           id: 'message-id-123',
@@ -124,6 +136,7 @@ describe('WhatsApp Controller', () => {
         })
       );
 
+      expect(mockWorker.notify).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
         success: true,
@@ -132,6 +145,56 @@ describe('WhatsApp Controller', () => {
       });
     });
 
+    it('should acknowledge redelivered messages without reprocessing', async() => {
+      req.body = {
+        entry: [
+          {
+            changes: [
+              {
+                value: {
+                  messages: [
+                    {
+                      from: '1234567890',
+                      id: 'message-id-123',
+                      type: 'text',
+                      timestamp: '1234567890',
+                      text: { body: 'Hello again' }
+                    }
+                  ]
+                }
+              }
+            ]
+          }
+        ]
+      };
+      req.headers['x-hub-signature-256'] = 'signature';
+      mockQueue.enqueue.mockResolvedValue({ enqueued: false, duplicate: true });
+
+      await handleWhatsAppWebhook(req, res);
+
+      expect(mockWorker.notify).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should record delivery statuses', async() => {
+      const statuses = [
+        {
+          id: 'wamid.1',
+          status: 'delivered',
+          timestamp: '1700000000',
+          recipient_id: '1234567890'
+        }
+      ];
+      req.body = { entry: [{ changes: [{ value: { statuses } }] }] };
+      req.headers['x-hub-signature-256'] = 'signature';
+
+      await handleWhatsAppWebhook(req, res);
+
+      expect(mockDispatcher.handleStatuses).toHaveBeenCalledWith(statuses);
+      expect(mockQueue.enqueue).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
     it('should handle errors gracefully', async() => {
       req.body = {
         entry: [
@@ -148,8 +211,8 @@ describe('WhatsApp Controller', () => {
       };
       req.headers['x-hub-signature-256'] = 'signature';
 
-      // Mock processIncomingMessage to throw an error
-      processIncomingMessage.mockRejectedValue(new Error('Processing error'));
+      // Mock the inbox write to throw an error
+      mockQueue.enqueue.mockRejectedValue(new Error('Processing error'));
 
       await handleWhatsAppWebhook(req, res);
 
@@ -9,6 +9,19 @@ jest.mock('../../../src/services/whatsapp/messageSender');
 jest.mock('../../../src/services/astrology/astrologyEngine');
 jest.mock('../../../src/utils/logger');
 jest.mock('../../../src/conversation/flowLoader');
+jest.mock('../../../src/services/referrals', () => ({
+  ...jest.requireActual('../../../src/services/referrals/ReferralService'),
+  getReferralService: jest.fn()
+}));
+jest.mock('../../../src/services/people', () => ({
+  ...jest.requireActual('../../../src/services/people/PeopleBook'),
+  getPeopleBook: jest.fn()
+}));
+jest.mock('../../../src/services/whatsapp/MessageCoordinator', () => ({
+  getMessageCoordinator: jest.fn().mockResolvedValue({
+    registry: { executeAction: jest.fn().mockResolvedValue() }
+  })
+}));
 
 const {
   getUserByPhone,
@@ -23,6 +36,11 @@ const { sendMessage } = require('../../../src/services/whatsapp/messageSender');
 const astrologyEngine = require('../../../src/services/astrology/astrologyEngine');
 const logger = require('../../../src/utils/logger');
 const { getFlow } = require('../../../src/conversation/flowLoader');
+const { getReferralService } = require('../../../src/services/referrals');
+const { getPeopleBook } = require('../../../src/services/people');
+const {
+  getMessageCoordinator
+} = require('../../../src/services/whatsapp/MessageCoordinator');
 
 describe('ConversationEngine', () => {
   beforeEach(() => {
@@ -174,4 +192,384 @@ describe('ConversationEngine', () => {
       );
     });
   });
+
+  describe('birth place step', () => {
+    const user = { phoneNumber: '+1234567890', id: 'user-123' };
+    const onboardingFlow = {
+      start_step: 'ask_birth_place',
+      steps: {
+        ask_birth_place: {
+          prompt: 'Where were you born?',
+          validation: 'place',
+          next_step: 'confirm_details',
+          data_key: 'birthPlace',
+          error_message: 'Please provide your birth place (City, Country)'
+        },
+        confirm_details: {
+          prompt: 'Born in {birthPlace}. Correct?',
+          validation: 'none',
+          next_step: 'complete_onboarding',
+          action: 'complete_profile'
+        },
+        complete_onboarding: { prompt: 'Done', validation: 'none' }
+      }
+    };
+    const textMessage = body => ({ type: 'text', text: { body } });
+
+    beforeEach(() => {
+      getFlow.mockReturnValue(onboardingFlow);
+      getUserSession.mockResolvedValue({
+        currentFlow: 'onboarding',
+        currentStep: 'ask_birth_place',
+        flowData: { birthDate: '1990-06-15', birthTime: '1430' }
+      });
+    });
+
+    it('should offer a list of candidates for an ambiguous place', async() => {
+      await conversationEngine.processFlowMessage(
+        textMessage('Hyderabad'),
+        user,
+        'onboarding'
+      );
+
+      const [, listMessage, messageType] = sendMessage.mock.calls[0];
+      expect(messageType).toBe('interactive');
+      expect(listMessage.type).toBe('list');
+      const rows = listMessage.sections[0].rows;
+      expect(rows.map(row => row.id)).toEqual(
+        expect.arrayContaining(['place_1', 'place_2'])
+      );
+      expect(rows.map(row => row.description).join(' ')).toContain(
+        'Pakistan'
+      );
+
+      const [, savedSession] = setUserSession.mock.calls[0];
+      expect(savedSession.currentStep).toBe('ask_birth_place');
+      expect(savedSession.flowData.pendingClarification.type).toBe(
+        'place_ambiguity'
+      );
+    });
+
+    it('should store the coordinates and zone of the chosen candidate', async() => {
+      await conversationEngine.processFlowMessage(
+        textMessage('Hyderabad'),
+        user,
+        'onboarding'
+      );
+      const [, pendingSession] = setUserSession.mock.calls[0];
+      const pakistanIndex = pendingSession.flowData.pendingClarification.data.options.findIndex(
+        option => option.country === 'Pakistan'
+      );
+      getUserSession.mockResolvedValue(pendingSession);
+      setUserSession.mockClear();
+
+      await conversationEngine.processFlowMessage(
+        {
+          type: 'interactive',
+          interactive: {
+            type: 'list_reply',
+            list_reply: { id: `place_${pakistanIndex + 1}` }
+          }
+        },
+        user,
+        'onboarding'
+      );
+
+      const [, nextSession] = setUserSession.mock.calls[0];
+      expect(nextSession.currentStep).toBe('confirm_details');
+      expect(nextSession.flowData).toMatchObject({
+        birthPlace: 'Hyderabad, Sindh, Pakistan',
+        birthLatitude: 25.396,
+        birthLongitude: 68.3578,
+        birthTimezone: 'Asia/Karachi'
+      });
+      expect(nextSession.flowData.pendingClarification).toBeUndefined();
+      expect(sendMessage).toHaveBeenLastCalledWith(
+        '+1234567890',
+        'Born in Hyderabad, Sindh, Pakistan. Correct?'
+      );
+    });
+
+    it('should accept an unambiguous place without asking', async() => {
+      await conversationEngine.processFlowMessage(
+        textMessage('Bombay, India'),
+        user,
+        'onboarding'
+      );
+
+      const [, nextSession] = setUserSession.mock.calls[0];
+      expect(nextSession.currentStep).toBe('confirm_details');
+      expect(nextSession.flowData.birthPlace).toBe(
+        'Mumbai, Maharashtra, India'
+      );
+      expect(nextSession.flowData.birthTimezone).toBe('Asia/Kolkata');
+    });
+
+    it('should save the confirmed location on the user profile', async() => {
+      getUserSession.mockResolvedValue({
+        currentFlow: 'onboarding',
+        currentStep: 'confirm_details',
+        flowData: {
+          birthDate: '1990-06-15',
+          birthTime: 'skip',
+          birthPlace: 'Paris, Texas, United States',
+          birthLatitude: 33.6609,
+          birthLongitude: -95.5555,
+          birthTimezone: 'America/Chicago'
+        }
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('yes'),
+        user,
+        'onboarding'
+      );
+
+      expect(updateUserProfile).toHaveBeenCalledWith('+1234567890', {
+        birthDate: '1990-06-15',
+        birthTime: null,
+        birthPlace: 'Paris, Texas, United States',
+        birthLatitude: 33.6609,
+        birthLongitude: -95.5555,
+        birthTimezone: 'America/Chicago',
+        profileComplete: true
+      });
+      expect(deleteUserSession).toHaveBeenCalledWith('+1234567890');
+    });
+
+    it('should apply the referral code given during onboarding', async() => {
+      const referrals = {
+        redeem: jest.fn().mockResolvedValue({ applied: true }),
+        describeRedemption: jest.fn().mockReturnValue('Referral applied')
+      };
+      getReferralService.mockReturnValue(referrals);
+      getUserSession.mockResolvedValue({
+        currentFlow: 'onboarding',
+        currentStep: 'confirm_details',
+        flowData: {
+          birthDate: '1990-06-15',
+          birthTime: '1430',
+          birthPlace: 'Mumbai, India',
+          referralCode: 'REF1A2B3C4D'
+        }
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('yes'),
+        user,
+        'onboarding'
+      );
+
+      expect(referrals.redeem).toHaveBeenCalledWith(
+        '+1234567890',
+        'REF1A2B3C4D'
+      );
+      expect(sendMessage).toHaveBeenCalledWith(
+        '+1234567890',
+        'Referral applied'
+      );
+    });
+
+    it('should not redeem anything when the referral code was skipped', async() => {
+      getUserSession.mockResolvedValue({
+        currentFlow: 'onboarding',
+        currentStep: 'confirm_details',
+        flowData: {
+          birthDate: '1990-06-15',
+          birthTime: '1430',
+          birthPlace: 'Mumbai, India',
+          referralCode: 'skip'
+        }
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('yes'),
+        user,
+        'onboarding'
+      );
+
+      expect(getReferralService).not.toHaveBeenCalled();
+      expect(deleteUserSession).toHaveBeenCalledWith('+1234567890');
+    });
+  });
+
+  describe('people book flow', () => {
+    const user = { phoneNumber: '+1234567890', id: 'user-123' };
+    const peopleFlow = {
+      start_step: 'ask_person_name',
+      cancellable: true,
+      steps: {
+        ask_person_name: {
+          prompt: 'What is their name?',
+          validation: 'person_name',
+          data_key: 'name',
+          next_step: 'ask_person_relationship'
+        },
+        ask_person_relationship: {
+          prompt: 'How is {name} related to you?',
+          validation: 'relationship',
+          data_key: 'relationship',
+          keep_with: ['relationshipLabel'],
+          next_step: 'confirm_person'
+        },
+        confirm_person: {
+          prompt: 'Save {name} ({relationshipLabel})?',
+          validation: 'yes_no',
+          action: 'save_person'
+        }
+      }
+    };
+    const details = {
+      name: 'Priya',
+      relationship: 'partner',
+      relationshipLabel: 'Partner / spouse',
+      birthDate: '1992-03-14',
+      birthTime: '0715',
+      birthPlace: 'Pune, Maharashtra, India'
+    };
+    const textMessage = body => ({ type: 'text', text: { body } });
+    let book;
+
+    beforeEach(() => {
+      getFlow.mockReturnValue(peopleFlow);
+      book = {
+        limit: 30,
+        add: jest.fn().mockResolvedValue({
+          saved: true,
+          person: { _id: 'p1', name: 'Priya' }
+        }),
+        update: jest.fn()
+      };
+      getPeopleBook.mockReturnValue(book);
+    });
+
+    it('should keep the saved answer while editing', async() => {
+      getUserSession.mockResolvedValue({
+        currentFlow: 'people_book',
+        currentStep: 'ask_person_relationship',
+        flowData: {
+          personId: 'p1',
+          name: 'Priya',
+          editing: {
+            relationship: 'partner',
+            relationshipLabel: 'Partner / spouse'
+          }
+        }
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('keep'),
+        user,
+        'people_book'
+      );
+
+      const [, nextSession] = setUserSession.mock.calls[0];
+      expect(nextSession.currentStep).toBe('confirm_person');
+      expect(nextSession.flowData).toMatchObject({
+        relationship: 'partner',
+        relationshipLabel: 'Partner / spouse'
+      });
+    });
+
+    it('should save the person and return to the reading that asked', async() => {
+      getUserSession.mockResolvedValue({
+        currentFlow: 'people_book',
+        currentStep: 'confirm_person',
+        flowData: { ...details, returnTo: 'start_group_timing_flow' }
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('yes'),
+        user,
+        'people_book'
+      );
+
+      expect(book.add).toHaveBeenCalledWith(
+        '+1234567890',
+        expect.objectContaining({ name: 'Priya', gender: null })
+      );
+      const { registry } = await getMessageCoordinator();
+      expect(registry.executeAction).toHaveBeenCalledWith(
+        'start_group_timing_flow',
+        user,
+        '+1234567890',
+        { personId: 'p1' }
+      );
+      expect(setUserSession).toHaveBeenCalledWith('+1234567890', {
+        currentFlow: null,
+        currentStep: null,
+        flowData: {}
+      });
+    });
+
+    it('should ask for another name when it is taken', async() => {
+      book.add.mockResolvedValue({ saved: false, reason: 'duplicate_name' });
+      getUserSession.mockResolvedValue({
+        currentFlow: 'people_book',
+        currentStep: 'confirm_person',
+        flowData: details
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('yes'),
+        user,
+        'people_book'
+      );
+
+      const [, retrySession] = setUserSession.mock.calls[0];
+      expect(retrySession).toMatchObject({
+        currentStep: 'ask_person_name',
+        flowData: { resumeStep: 'confirm_person' }
+      });
+      expect(sendMessage).toHaveBeenLastCalledWith(
+        '+1234567890',
+        'What is their name?'
+      );
+    });
+
+    it('should cancel without saving', async() => {
+      getUserSession.mockResolvedValue({
+        currentFlow: 'people_book',
+        currentStep: 'confirm_person',
+        flowData: details
+      });
+
+      await conversationEngine.processFlowMessage(
+        textMessage('cancel'),
+        user,
+        'people_book'
+      );
+
+      expect(book.add).not.toHaveBeenCalled();
+      expect(sendMessage).toHaveBeenCalledWith(
+        '+1234567890',
+        '👌 Cancelled. Nothing was saved.'
+      );
+    });
+  });
+
+  describe('validateStepInput referral_code_or_skip', () => {
+    const step = { validation: 'referral_code_or_skip' };
+
+    it('should accept a code and normalise it', async() => {
+      const result = await conversationEngine.validateStepInput(
+        'code: ref1a2b3c4d',
+        step
+      );
+      expect(result).toEqual({ isValid: true, cleanedValue: 'REF1A2B3C4D' });
+    });
+
+    it('should accept skip', async() => {
+      const result = await conversationEngine.validateStepInput('Skip', step);
+      expect(result).toEqual({ isValid: true, cleanedValue: 'skip' });
+    });
+
+    it('should reject anything else', async() => {
+      const result = await conversationEngine.validateStepInput(
+        'my friend told me',
+        step
+      );
+      expect(result.isValid).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,110 @@
+// tests/unit/models/SessionManager.test.js
+// Unit tests for sessions kept in the shared state store
+
+const {
+  SessionManager,
+  SESSION_TTL_MS
+} = require('../../../src/models/SessionManager');
+const { resetStateStore } = require('../../../src/services/state');
+
+describe('SessionManager', () => {
+  let manager;
+
+  beforeEach(() => {
+    resetStateStore();
+    manager = new SessionManager();
+  });
+
+  it('merges updates into one session and keeps its ID', async() => {
+    await manager.updateSessionFlow(
+      '+911',
+      'onboarding_flow',
+      'ask_birth_date'
+    );
+    const { sessionId } = await manager.getUserSession('+911');
+    expect(sessionId).toMatch(/^sess_/);
+
+    await manager.updateSessionMenu('+911', 'vedic_astrology_menu');
+
+    await expect(manager.getUserSession('+911')).resolves.toMatchObject({
+      sessionId,
+      phoneNumber: '+911',
+      currentFlow: 'onboarding_flow',
+      currentStep: 'ask_birth_date',
+      lastMenu: 'vedic_astrology_menu'
+    });
+    await expect(manager.getCurrentFlowInfo('+911')).resolves.toEqual({
+      flowName: 'onboarding_flow',
+      step: 'ask_birth_date'
+    });
+  });
+
+  it('is seen by every manager sharing the store', async() => {
+    await new SessionManager().setUserSession('+911', {
+      currentFlow: 'onboarding_flow'
+    });
+
+    await expect(manager.isUserInFlow('+911')).resolves.toBe(true);
+    await expect(manager.deleteUserSession('+911')).resolves.toBe(true);
+    await expect(manager.getUserSession('+911')).resolves.toBeNull();
+  });
+
+  it('sets nested fields from dotted keys', async() => {
+    await manager.setUserSession('+911', { 'context.aiTwinActive': true });
+    await manager.setUserSession('+911', {
+      'context.peopleSelection': { actionId: 'x', ids: [] }
+    });
+
+    const session = await manager.getUserSession('+911');
+    expect(session.context).toEqual({
+      aiTwinActive: true,
+      peopleSelection: { actionId: 'x', ids: [] }
+    });
+    expect(session['context.aiTwinActive']).toBeUndefined();
+  });
+
+  it('keeps the last 50 memory entries', async() => {
+    const turns = Array.from({ length: 30 }, (_, i) => ({
+      type: 'user_input',
+      content: `question ${i}`
+    }));
+    await manager.addSessionMemory('+911', turns);
+    await manager.addSessionMemory('+911', turns);
+
+    const { memory } = await manager.getUserSession('+911');
+    expect(memory).toHaveLength(50);
+    expect(memory[0].content).toBe('question 10');
+    expect(memory[49]).toMatchObject({
+      type: 'user_input',
+      content: 'question 29'
+    });
+  });
+
+  it('expires a day after the last write', async() => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    await manager.setUserSession('+911', { currentFlow: 'onboarding_flow' });
+    now.mockReturnValue(start + SESSION_TTL_MS - 1);
+    await manager.clearSessionFlow('+911');
+    now.mockReturnValue(start + SESSION_TTL_MS + 1);
+    await expect(manager.getUserSession('+911')).resolves.toMatchObject({
+      currentFlow: null
+    });
+
+    now.mockReturnValue(start + 2 * SESSION_TTL_MS);
+    await expect(manager.getUserSession('+911')).resolves.toBeNull();
+    now.mockRestore();
+  });
+
+  it('ends sessions idle for longer than asked', async() => {
+    await manager.setUserSession('+911', {
+      lastActivity: new Date(Date.now() - 3 * 60 * 60 * 1000)
+    });
+    await manager.setUserSession('+912', { currentFlow: 'onboarding_flow' });
+
+    await expect(manager.cleanupExpiredSessions(2)).resolves.toBe(1);
+    await expect(manager.getUserSession('+911')).resolves.toBeNull();
+    await expect(manager.getUserSession('+912')).resolves.not.toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+// tests/unit/models/SubscriptionManager.test.js
+// Unit tests for redeeming loyalty points for a plan
+
+const {
+  SubscriptionManager
+} = require('../../../src/models/SubscriptionManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+/**
+ * UserDataManager stand-in holding one user; updateUserProfileIf only
+ * understands the { loyaltyPoints: { $gte } } condition
+ * @param {Object} user - Stored user
+ */
+const createUserData = user => ({
+  user,
+  async getUserByPhone() {
+    return this.user && { ...this.user };
+  },
+  async updateUserProfileIf(phoneNumber, conditions, update) {
+    if (this.user.loyaltyPoints < conditions.loyaltyPoints.$gte) {
+      return null;
+    }
+    this.user.loyaltyPoints += update.$inc.loyaltyPoints;
+    Object.assign(this.user, update.$set);
+    return { ...this.user };
+  }
+});
+
+describe('SubscriptionManager.upgradeByLoyaltyPoints', () => {
+  const manager = new SubscriptionManager();
+
+  it('spends the points and sets the tier for the period', async() => {
+    const userData = createUserData({
+      subscriptionTier: 'free',
+      loyaltyPoints: 130
+    });
+
+    const result = await manager.upgradeByLoyaltyPoints(
+      userData,
+      '+911',
+      'essential',
+      NOW
+    );
+
+    const expiry = new Date(NOW.getTime() + 30 * DAY_MS);
+    expect(result).toEqual({
+      upgraded: true,
+      tier: 'essential',
+      expiry,
+      pointsLeft: 30
+    });
+    expect(userData.user.subscriptionTier).toBe('essential');
+    expect(userData.user.subscriptionExpiry).toEqual(expiry);
+  });
+
+  it('extends an unexpired period of the same tier', async() => {
+    const current = new Date(NOW.getTime() + 10 * DAY_MS);
+    const userData = createUserData({
+      subscriptionTier: 'essential',
+      subscriptionExpiry: current,
+      loyaltyPoints: 100
+    });
+
+    const result = await manager.upgradeByLoyaltyPoints(
+      userData,
+      '+911',
+      'essential',
+      NOW
+    );
+
+    expect(result.expiry).toEqual(new Date(current.getTime() + 30 * DAY_MS));
+  });
+
+  it('keeps the points when there are not enough', async() => {
+    const userData = createUserData({ loyaltyPoints: 90 });
+
+    const result = await manager.upgradeByLoyaltyPoints(
+      userData,
+      '+911',
+      'essential',
+      NOW
+    );
+
+    expect(result).toEqual(
+      expect.objectContaining({
+        upgraded: false,
+        reason: 'insufficient_points',
+        pointsNeeded: 100,
+        points: 90
+      })
+    );
+    expect(userData.user.loyaltyPoints).toBe(90);
+  });
+
+  it('does not override a paid subscription or a higher tier', async() => {
+    const paid = createUserData({
+      subscriptionTier: 'premium',
+      subscription: { status: 'active' },
+      loyaltyPoints: 1000
+    });
+    const higher = createUserData({
+      subscriptionTier: 'premium',
+      subscriptionExpiry: new Date(NOW.getTime() + 90 * DAY_MS),
+      loyaltyPoints: 1000
+    });
+
+    expect(
+      (await manager.upgradeByLoyaltyPoints(paid, '+911', 'vip', NOW)).reason
+    ).toBe('subscription_active');
+    expect(
+      (await manager.upgradeByLoyaltyPoints(higher, '+911', 'essential', NOW))
+        .reason
+    ).toBe('lower_tier');
+    expect(
+      (await manager.upgradeByLoyaltyPoints(higher, '+911', 'gold', NOW)).reason
+    ).toBe('unknown_tier');
+  });
+});
@@ -0,0 +1,246 @@
+// tests/unit/services/admin/adminService.test.js
+// Unit tests for operator actions: audited edits, session resets, history
+
+const { AdminService } = require('../../../../src/services/admin/AdminService');
+const {
+  InMemoryInboundQueue
+} = require('../../../../src/services/whatsapp/inbound');
+const {
+  InMemoryDeliveryStore,
+  OutboundDispatcher
+} = require('../../../../src/services/whatsapp/outbound');
+const {
+  buildDeliveryRecord
+} = require('../../../../src/services/whatsapp/outbound/deliveryRecord');
+const { resetStateStore } = require('../../../../src/services/state');
+const { SessionManager } = require('../../../../src/models/SessionManager');
+const {
+  MenuHandler
+} = require('../../../../src/services/whatsapp/MenuHandler');
+const {
+  OutboundComposer
+} = require('../../../../src/services/whatsapp/OutboundComposer');
+
+const operator = { email: 'support@example.com', role: 'support' };
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  birthTime: '06:15',
+  subscriptionTier: 'free',
+  preferences: { ayanamsa: 'lahiri', chartStyle: 'north_indian' },
+  aiTwinMemory: [{ interaction: 'private' }],
+  ...overrides
+});
+
+const createService = (overrides = {}) => {
+  let stored = buildUser();
+  // Hands out copies, like lean documents from MongoDB
+  const users = {
+    getUserByPhone: jest.fn(async phone =>
+      phone === stored.phoneNumber ? structuredClone(stored) : null
+    ),
+    updateUserFields: jest.fn(async(phone, fields) => {
+      stored = structuredClone(stored);
+      Object.entries(fields).forEach(([path, value]) => {
+        const keys = path.split('.');
+        const last = keys.pop();
+        keys.reduce((doc, key) => doc[key], stored)[last] = value;
+      });
+      return structuredClone(stored);
+    })
+  };
+  const audit = { record: jest.fn(), list: jest.fn() };
+  const service = new AdminService({
+    users,
+    sessions: new SessionManager(),
+    menus: new MenuHandler(),
+    composer: new OutboundComposer(),
+    lifecycle: { grant: jest.fn(), revoke: jest.fn() },
+    audit,
+    ...overrides
+  });
+  return { service, users, audit };
+};
+
+describe('AdminService', () => {
+  beforeEach(() => {
+    resetStateStore();
+  });
+
+  it('audits user edits, merging preferences field by field', async() => {
+    const { service, users, audit } = createService();
+
+    const view = await service.updateUser(operator, '+911234567890', {
+      birthTime: '06:45',
+      preferences: { ayanamsa: 'raman' }
+    });
+
+    expect(users.updateUserFields).toHaveBeenCalledWith('911234567890', {
+      birthTime: '06:45',
+      'preferences.ayanamsa': 'raman'
+    });
+    expect(audit.record).toHaveBeenCalledWith(
+      operator,
+      'user.update',
+      '911234567890',
+      {
+        before: { birthTime: '06:15', 'preferences.ayanamsa': 'lahiri' },
+        after: { birthTime: '06:45', 'preferences.ayanamsa': 'raman' }
+      }
+    );
+    expect(view.preferences).toEqual({
+      ayanamsa: 'raman',
+      chartStyle: 'north_indian'
+    });
+    expect(view).not.toHaveProperty('aiTwinMemory');
+    expect(view.aiTwinMemoryEntries).toBe(1);
+
+    await expect(
+      service.updateUser(operator, '910000000000', { name: 'Ravi' })
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('refuses subscription changes the lifecycle does not apply', async() => {
+    const { service, audit } = createService();
+    service.lifecycle.revoke.mockResolvedValue({
+      applied: false,
+      status: 'none',
+      reason: 'invalid_transition'
+    });
+
+    await expect(
+      service.revokeSubscription(operator, '911234567890', {
+        reason: 'Chargeback'
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect(audit.record).not.toHaveBeenCalled();
+
+    service.lifecycle.grant.mockResolvedValue({
+      applied: true,
+      status: 'active',
+      access: { subscriptionTier: 'premium', subscriptionExpiry: new Date(0) }
+    });
+    await service.grantSubscription(operator, '911234567890', {
+      planId: 'premium',
+      days: 30,
+      reason: 'Goodwill'
+    });
+    expect(service.lifecycle.grant).toHaveBeenCalledWith('911234567890', {
+      planId: 'premium',
+      days: 30,
+      actor: 'support@example.com'
+    });
+    expect(audit.record).toHaveBeenCalledWith(
+      operator,
+      'subscription.grant',
+      '911234567890',
+      {
+        before: {
+          status: 'none',
+          subscriptionTier: 'free',
+          subscriptionExpiry: null
+        },
+        after: {
+          status: 'active',
+          subscriptionTier: 'premium',
+          subscriptionExpiry: new Date(0)
+        },
+        reason: 'Goodwill'
+      }
+    );
+  });
+
+  it('resets a stuck session, its numbered menu and held parts', async() => {
+    const { service, audit } = createService();
+    const sessions = new SessionManager();
+    const menus = new MenuHandler();
+    const composer = new OutboundComposer();
+    await sessions.updateSessionFlow(
+      '911234567890',
+      'onboarding_flow',
+      'ask_birth_time'
+    );
+    await menus.createNumberedMenuFallback(
+      {
+        body: { text: 'Choose' },
+        sections: [{ rows: [{ id: 'get_tarot_reading', title: 'Tarot' }] }]
+      },
+      '911234567890'
+    );
+    await composer.holdParts('911234567890', ['part 2'], 2);
+
+    await expect(service.getSession('911234567890')).resolves.toMatchObject({
+      session: { currentFlow: 'onboarding_flow' },
+      menu: { hasMappings: true }
+    });
+    await expect(
+      service.resetSession(operator, '911234567890')
+    ).resolves.toEqual({ session: true, menu: true, heldParts: true });
+
+    await expect(sessions.getUserSession('911234567890')).resolves.toBeNull();
+    await expect(composer.nextPart('911234567890')).resolves.toBeNull();
+    expect(audit.record).toHaveBeenCalledWith(
+      operator,
+      'session.reset',
+      '911234567890',
+      expect.objectContaining({
+        before: {
+          currentFlow: 'onboarding_flow',
+          currentStep: 'ask_birth_time',
+          lastMenu: null
+        }
+      })
+    );
+  });
+
+  it('merges both directions of the message history, newest first', async() => {
+    const inbox = new InMemoryInboundQueue();
+    const store = new InMemoryDeliveryStore();
+    const { service } = createService({
+      getInbox: () => inbox,
+      dispatcher: new OutboundDispatcher({ api: {}, store, throttle: false })
+    });
+
+    await inbox.enqueue({
+      id: 'wamid.in1',
+      from: '911234567890',
+      timestamp: '1760000000',
+      type: 'text',
+      text: { body: 'Hi' }
+    });
+    await inbox.enqueue({
+      id: 'wamid.other',
+      from: '919999999999',
+      timestamp: '1760000001',
+      type: 'text',
+      text: { body: 'Not this user' }
+    });
+    const reply = buildDeliveryRecord(
+      {
+        to: '911234567890',
+        type: 'interactive',
+        interactive: { body: { text: `🌟 ${'Your day ahead. '.repeat(20)}` } }
+      },
+      { waMessageId: 'wamid.out1' }
+    );
+    await store.save({ ...reply, createdAt: new Date(1760000005 * 1000) });
+
+    const messages = await service.getMessages('+911234567890');
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({
+      direction: 'out',
+      id: 'wamid.out1',
+      type: 'interactive',
+      status: 'sent'
+    });
+    expect(messages[0].text).toHaveLength(200);
+    expect(messages[1]).toMatchObject({
+      direction: 'in',
+      id: 'wamid.in1',
+      at: new Date(1760000000 * 1000),
+      text: 'Hi',
+      status: 'pending'
+    });
+  });
+});
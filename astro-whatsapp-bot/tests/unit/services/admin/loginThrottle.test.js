@@ -0,0 +1,81 @@
+// tests/unit/services/admin/loginThrottle.test.js
+// Unit tests for admin login limits per client address and per email
+
+const {
+  LoginThrottle
+} = require('../../../../src/services/admin/LoginThrottle');
+const {
+  InMemoryStateStore,
+  StateNamespace
+} = require('../../../../src/services/state');
+
+describe('LoginThrottle', () => {
+  let clock;
+  let throttle;
+
+  beforeEach(() => {
+    const store = new InMemoryStateStore();
+    clock = Date.parse('2026-05-01T10:00:00Z');
+    throttle = new LoginThrottle({
+      store: new StateNamespace('admin_logins', { resolveStore: () => store }),
+      maxEmailFailures: 2,
+      maxIpFailures: 3,
+      baseLockMs: 1000,
+      maxLockMs: 4000,
+      now: () => clock
+    });
+  });
+
+  const fail = (email, ip = '203.0.113.7') =>
+    throttle.recordFailure({ email, ip });
+
+  it('locks an email out with doubling, capped lockouts', async() => {
+    const attempt = { email: 'Admin@Example.com', ip: '203.0.113.7' };
+    expect(await throttle.recordFailure(attempt)).toBeNull();
+    await throttle.check(attempt);
+
+    // Each failure from another address, right after the last lockout
+    const lockouts = [];
+    for (let i = 0; i < 4; i++) {
+      const lockout = await fail('admin@example.com', `198.51.100.${i}`);
+      expect(lockout).toMatchObject({ kind: 'email', failures: i + 2 });
+      const lockMs = lockout.lockedUntil - clock;
+      await expect(throttle.check(attempt)).rejects.toMatchObject({
+        statusCode: 429,
+        retryAfter: lockMs / 1000
+      });
+      lockouts.push(lockMs);
+      clock = lockout.lockedUntil;
+    }
+    expect(lockouts).toEqual([1000, 2000, 4000, 4000]);
+    await throttle.check(attempt);
+  });
+
+  it('locks an address out across the emails it tries', async() => {
+    await fail('a@example.com');
+    await fail('b@example.com');
+    const lockout = await fail('c@example.com');
+
+    expect(lockout).toMatchObject({ kind: 'ip', failures: 3 });
+    await expect(
+      throttle.check({ email: 'd@example.com', ip: '203.0.113.7' })
+    ).rejects.toMatchObject({ retryAfter: 1 });
+    // Other clients can still log in to the same accounts
+    await throttle.check({ email: 'a@example.com', ip: '198.51.100.1' });
+  });
+
+  it('clears the email but not the address after a good login', async() => {
+    await fail('a@example.com');
+    await fail('a@example.com');
+    await throttle.recordSuccess({ email: 'a@example.com', ip: '203.0.113.7' });
+
+    // The email starts over, the address reaches its limit
+    expect(await fail('a@example.com')).toMatchObject({
+      kind: 'ip',
+      failures: 3
+    });
+    await expect(
+      throttle.check({ email: 'a@example.com', ip: '198.51.100.1' })
+    ).resolves.toBeUndefined();
+  });
+});
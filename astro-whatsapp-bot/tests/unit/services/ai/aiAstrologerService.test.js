@@ -0,0 +1,283 @@
+// tests/unit/services/ai/aiAstrologerService.test.js
+// Unit tests for the chart-grounded AI astrologer and its providers
+
+const {
+  AIAstrologerService
+} = require('../../../../src/services/ai/AIAstrologerService');
+const {
+  ChartContextBuilder
+} = require('../../../../src/services/ai/ChartContextBuilder');
+const {
+  createAIProvider,
+  LocalStubProvider,
+  MistralProvider,
+  OpenAIProvider,
+  GeminiProvider
+} = require('../../../../src/services/ai/providers');
+const logger = require('../../../../src/utils/logger');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+// Mumbai, 15 June 1990 14:30 IST (sidereal, Lahiri)
+const kundli = {
+  birthDetails: { timezone: 5.5 },
+  lagna: { sign: 'Virgo', longitude: 176.346 },
+  planetaryPositions: {
+    sun: { sign: 'Gemini', longitude: 60.27, house: 10, dignity: 'Neutral' },
+    moon: { sign: 'Aquarius', longitude: 319.9544, house: 6 },
+    saturn: {
+      sign: 'Capricorn',
+      longitude: 270.3,
+      house: 5,
+      dignity: 'Own Sign',
+      retrograde: true
+    }
+  }
+};
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  preferredLanguage: 'en',
+  birthDate: '150690',
+  birthTime: '1430',
+  birthPlace: 'Mumbai, India',
+  preferences: {},
+  ...overrides
+});
+
+const createBuilder = () =>
+  new ChartContextBuilder({
+    chartGenerator: { generateVedicKundli: jest.fn(async() => kundli) }
+  });
+
+const createSessionStore = memory => ({
+  getUserSession: jest.fn(async() => ({ memory })),
+  addSessionMemory: jest.fn(async() => {})
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ChartContextBuilder', () => {
+  it('numbers natal, dasha and transit factors', async() => {
+    const pack = await createBuilder().build(buildUser(), { now: NOW });
+    const texts = pack.factors.map(factor => factor.text);
+
+    expect(pack.factors[0]).toEqual({
+      id: 'F1',
+      kind: 'natal',
+      text: 'Ascendant (Lagna) in Virgo at 26°20\''
+    });
+    expect(texts).toContain(
+      'Saturn in Capricorn at 0°18\', 5th house, own sign, retrograde'
+    );
+    expect(texts).toContain(
+      'Current Mahadasha: Mercury (2025-07-07 to 2042-07-07)'
+    );
+    expect(pack.factors.some(factor => factor.kind === 'transit')).toBe(true);
+    expect(pack.settings.ayanamsaName).toBe('Lahiri');
+  });
+
+  it('walks Vimshottari periods from the natal Moon', () => {
+    const builder = createBuilder();
+    const birth = new Date('1990-06-15T09:00:00Z');
+    // Moon at 0° Ashwini starts a full 7-year Ketu period at birth
+    const atStart = builder.vimshottariPeriods(0, birth, birth);
+    expect(atStart.mahadasha.lord).toBe('Ketu');
+    expect(atStart.antardasha.lord).toBe('Ketu');
+    expect(atStart.next.lord).toBe('Venus');
+
+    const later = builder.vimshottariPeriods(0, birth, NOW);
+    // Ketu 7 + Venus 20 years ends mid-2017, then Sun 6 and Moon 10
+    expect(later.mahadasha.lord).toBe('Moon');
+    expect(later.antardasha.start.getTime()).toBeGreaterThanOrEqual(
+      later.mahadasha.start.getTime()
+    );
+    expect(later.antardasha.end.getTime()).toBeGreaterThan(NOW.getTime());
+  });
+
+  it('keeps the most recent text turns from session memory', async() => {
+    const memory = [
+      { type: 'system_event', content: 'menu shown' },
+      { type: 'user_input', content: 'first question' },
+      { type: 'bot_response', content: { structured: true } },
+      { type: 'user_input', content: 'x'.repeat(800) },
+      { type: 'bot_response', content: 'latest answer' }
+    ];
+    const pack = await new ChartContextBuilder({
+      chartGenerator: { generateVedicKundli: async() => kundli },
+      memoryTurns: 2
+    }).build(buildUser(), { now: NOW, session: { memory } });
+
+    expect(pack.history).toEqual([
+      { role: 'user', content: 'x'.repeat(600) },
+      { role: 'assistant', content: 'latest answer' }
+    ]);
+  });
+});
+
+describe('AIAstrologerService', () => {
+  it('answers with the local stub and lists the cited factors', async() => {
+    const sessionStore = createSessionStore([]);
+    const service = new AIAstrologerService({
+      provider: new LocalStubProvider(),
+      contextBuilder: createBuilder(),
+      sessionStore
+    });
+
+    const first = await service.answer(
+      buildUser(),
+      'How will my career go this year?',
+      { now: NOW }
+    );
+    const second = await service.answer(
+      buildUser(),
+      'How will my career go this year?',
+      { now: NOW }
+    );
+
+    expect(first.text).toBe(second.text);
+    expect(first.provider).toBe('local');
+    expect(first.answer).not.toMatch(/\[F\d+\]/);
+    expect(first.citations.map(factor => factor.text)).toContain(
+      'Sun in Gemini at 0°16\', 10th house'
+    );
+    expect(first.text).toContain('📌 *Chart factors used*');
+    expect(sessionStore.addSessionMemory).toHaveBeenCalledWith(
+      '911234567890',
+      [
+        { type: 'user_input', content: 'How will my career go this year?' },
+        { type: 'bot_response', content: first.answer }
+      ]
+    );
+  });
+
+  it('sends the chart factors and conversation to the provider', async() => {
+    const provider = {
+      name: 'test',
+      complete: jest.fn(async() => ({
+        text: 'Steady growth [F2, F99].',
+        model: 'm'
+      }))
+    };
+    const service = new AIAstrologerService({
+      provider,
+      contextBuilder: createBuilder(),
+      sessionStore: createSessionStore([
+        { type: 'user_input', content: 'Hello' },
+        { type: 'bot_response', content: 'Namaste!' }
+      ])
+    });
+
+    const result = await service.answer(
+      buildUser({ preferredLanguage: 'hi' }),
+      `  ${'Long question. '.repeat(150)}  `,
+      { now: NOW }
+    );
+    const request = provider.complete.mock.calls[0][0];
+
+    expect(request.system).toContain('[F1] Ascendant (Lagna) in Virgo');
+    expect(request.system).toContain('Reply in Hindi');
+    expect(request.messages.slice(0, 2)).toEqual([
+      { role: 'user', content: 'Hello' },
+      { role: 'assistant', content: 'Namaste!' }
+    ]);
+    // Long questions are kept up to 2000 characters, not cut at 1000
+    expect(request.messages[2].content.length).toBe(2000);
+    expect(result.answer).toBe('Steady growth.');
+    expect(result.citations.map(factor => factor.id)).toEqual(['F2']);
+  });
+
+  it('falls back to the core chart factors when nothing is cited', () => {
+    const service = new AIAstrologerService({
+      provider: new LocalStubProvider(),
+      contextBuilder: createBuilder(),
+      sessionStore: createSessionStore([])
+    });
+    const factors = [
+      { id: 'F1', kind: 'natal', text: 'Ascendant' },
+      { id: 'F2', kind: 'transit', text: 'Saturn transiting' },
+      { id: 'F3', kind: 'dasha', text: 'Current Mahadasha' }
+    ];
+
+    const { citations } = service.extractCitations('All good.', factors);
+    expect(citations.map(factor => factor.id)).toEqual(['F1', 'F3']);
+  });
+});
+
+describe('createAIProvider', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it('picks the first configured provider in auto mode', () => {
+    delete process.env.MISTRAL_API_KEY;
+    process.env.OPENAI_API_KEY = 'sk-test';
+    process.env.GEMINI_API_KEY = 'g-test';
+
+    expect(createAIProvider('auto')).toBeInstanceOf(OpenAIProvider);
+    expect(createAIProvider('gemini')).toBeInstanceOf(GeminiProvider);
+  });
+
+  it('falls back to the local stub without credentials', () => {
+    delete process.env.MISTRAL_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.GEMINI_API_KEY;
+
+    expect(createAIProvider('mistral')).toBeInstanceOf(LocalStubProvider);
+    expect(createAIProvider()).toBeInstanceOf(LocalStubProvider);
+  });
+
+  it('maps the shared request onto each provider API', async() => {
+    const request = {
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello' },
+        { role: 'user', content: 'Career?' }
+      ],
+      maxTokens: 100
+    };
+
+    const http = {
+      post: jest.fn(async() => ({
+        data: { choices: [{ message: { content: ' Mistral ' } }] }
+      }))
+    };
+    const mistral = new MistralProvider({ apiKey: 'k', http });
+    await expect(mistral.complete(request)).resolves.toEqual({
+      text: 'Mistral',
+      model: 'mistral-small-latest'
+    });
+    expect(http.post.mock.calls[0][1].messages[0]).toEqual({
+      role: 'system',
+      content: 'Be brief.'
+    });
+
+    const generateContent = jest.fn(async() => ({ text: 'Gemini' }));
+    const gemini = new GeminiProvider({
+      apiKey: 'k',
+      client: { models: { generateContent } }
+    });
+    await gemini.complete(request);
+    const call = generateContent.mock.calls[0][0];
+    expect(call.contents.map(content => content.role)).toEqual([
+      'user',
+      'model',
+      'user'
+    ]);
+    expect(call.config).toMatchObject({
+      systemInstruction: 'Be brief.',
+      maxOutputTokens: 100
+    });
+  });
+});
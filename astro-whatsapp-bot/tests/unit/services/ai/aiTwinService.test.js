@@ -0,0 +1,261 @@
+// tests/unit/services/ai/aiTwinService.test.js
+// Unit tests for the AI Twin personality, chat and memory
+
+const { AITwinService } = require('../../../../src/services/ai/AITwinService');
+const {
+  TwinPersonality,
+  personalityFingerprint
+} = require('../../../../src/services/ai/TwinPersonality');
+const {
+  ChartContextBuilder
+} = require('../../../../src/services/ai/ChartContextBuilder');
+const { LocalStubProvider } = require('../../../../src/services/ai/providers');
+const {
+  ChartInterpreter
+} = require('../../../../src/services/astrology/charts/ChartInterpreter');
+const {
+  toServiceBirthData
+} = require('../../../../src/services/astrology/core/BirthProfile');
+const logger = require('../../../../src/utils/logger');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+const kundli = {
+  birthDetails: { timezone: 5.5 },
+  lagna: { sign: 'Virgo', longitude: 176.346 },
+  planetaryPositions: {
+    sun: { sign: 'Gemini', longitude: 60.27, house: 10, dignity: 'Neutral' },
+    moon: { sign: 'Aquarius', longitude: 319.9544, house: 6 },
+    mars: { sign: 'Pisces', longitude: 355.1, house: 7, dignity: 'Neutral' },
+    mercury: { sign: 'Taurus', longitude: 48.2, house: 9, dignity: 'Neutral' },
+    jupiter: { sign: 'Gemini', longitude: 79.9, house: 10 },
+    venus: {
+      sign: 'Virgo',
+      longitude: 151.4,
+      house: 1,
+      dignity: 'Debilitated'
+    },
+    saturn: {
+      sign: 'Capricorn',
+      longitude: 270.3,
+      house: 5,
+      dignity: 'Own Sign',
+      retrograde: true
+    }
+  }
+};
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  preferredLanguage: 'en',
+  birthDate: '150690',
+  birthTime: '1430',
+  birthPlace: 'Mumbai, India',
+  preferences: {},
+  aiTwinMemory: [],
+  ...overrides
+});
+
+const createService = (options = {}) => {
+  const chartGenerator = { generateVedicKundli: jest.fn(async() => kundli) };
+  const userStore = { updateUserProfile: jest.fn(async() => ({})) };
+  const service = new AITwinService({
+    provider: options.provider || new LocalStubProvider(),
+    contextBuilder: new ChartContextBuilder({ chartGenerator }),
+    chartGenerator,
+    personality: new TwinPersonality({ interpreter: new ChartInterpreter() }),
+    userStore,
+    memoryLimit: options.memoryLimit
+  });
+  return { service, chartGenerator, userStore };
+};
+
+const entries = count =>
+  Array.from({ length: count }, (_, index) => ({
+    timestamp: new Date(Date.UTC(2026, 0, index + 1)),
+    kind: 'exchange',
+    interaction: `Question ${index + 1}`,
+    response: `Answer ${index + 1}`
+  }));
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TwinPersonality', () => {
+  it('derives traits from element balance and dignities', () => {
+    const profile = new TwinPersonality({
+      interpreter: new ChartInterpreter()
+    }).derive(kundli, 'fp');
+
+    expect(profile.elements).toEqual({ Fire: 0, Earth: 4, Air: 3, Water: 1 });
+    expect(profile.dominantElement).toBe('Earth');
+    expect(profile.missingElements).toEqual(['Fire']);
+    expect(profile.elementBalance).toBe(
+      'Elemental balance: Earth 4, Air 3, Water 1'
+    );
+    expect(profile.strengths).toEqual(['discipline and patience']);
+    expect(profile.growthAreas).toEqual(['self-worth']);
+    expect(profile.tone).toBe('calm and practical');
+    expect(profile.summary).toContain(
+      'Virgo rising with the Moon in Aquarius and the Sun in Gemini.'
+    );
+    expect(typeof profile.derivedAt).toBe('string');
+  });
+});
+
+describe('AITwinService', () => {
+  it('stores the personality and reuses it until birth data changes', async() => {
+    const { service, chartGenerator, userStore } = createService();
+    const user = buildUser();
+
+    const first = await service.getPersonality(user);
+    await service.getPersonality(user);
+    expect(chartGenerator.generateVedicKundli).toHaveBeenCalledTimes(1);
+    expect(userStore.updateUserProfile).toHaveBeenCalledWith('911234567890', {
+      aiTwinPersonality: first
+    });
+    expect(first.fingerprint).toBe(
+      personalityFingerprint(toServiceBirthData(user))
+    );
+
+    user.preferences = { ayanamsa: 'raman' };
+    await service.getPersonality(user);
+    expect(chartGenerator.generateVedicKundli).toHaveBeenCalledTimes(2);
+  });
+
+  it('chats in persona with remembered notes and records the exchange', async() => {
+    const provider = {
+      name: 'test',
+      complete: jest.fn(async() => ({
+        text: 'Stay steady [F8].',
+        model: 'm'
+      })),
+      summarize: jest.fn()
+    };
+    const { service, userStore } = createService({ provider });
+    const user = buildUser({
+      aiTwinMemory: [
+        {
+          timestamp: new Date('2026-10-01T00:00:00Z'),
+          kind: 'reading',
+          interaction: 'Daily Horoscope',
+          response: 'A good day for paperwork.'
+        },
+        {
+          timestamp: new Date('2026-10-02T00:00:00Z'),
+          interaction: 'Should I change jobs?',
+          response: 'Wait until spring.'
+        }
+      ]
+    });
+
+    const result = await service.chat(user, 'Remember my job question?', {
+      now: NOW
+    });
+    const request = provider.complete.mock.calls[0][0];
+
+    expect(request.system).toContain('You are the AI Twin of Asha');
+    expect(request.system).toContain('calm and practical voice');
+    expect(request.system).toContain(
+      '- 2026-10-01 Reading: Daily Horoscope -> A good day for paperwork.'
+    );
+    expect(request.system).toContain('[F1] Ascendant (Lagna) in Virgo');
+    expect(request.messages).toEqual([
+      { role: 'user', content: 'Should I change jobs?' },
+      { role: 'assistant', content: 'Wait until spring.' },
+      { role: 'user', content: 'Remember my job question?' }
+    ]);
+    expect(result.answer).toBe('Stay steady.');
+    expect(result.citations[0].text).toMatch(/^Saturn in Capricorn/);
+
+    const saved = userStore.updateUserProfile.mock.calls.pop()[1].aiTwinMemory;
+    expect(saved).toHaveLength(3);
+    expect(saved[2]).toEqual({
+      timestamp: NOW,
+      kind: 'exchange',
+      interaction: 'Remember my job question?',
+      response: 'Stay steady.'
+    });
+    expect(user.aiTwinMemory).toBe(saved);
+  });
+
+  it('summarizes the oldest entries once memory is full', async() => {
+    const { service, userStore } = createService({ memoryLimit: 12 });
+    const user = buildUser({ aiTwinMemory: entries(12) });
+
+    const stored = await service.remember(
+      user,
+      { kind: 'question', interaction: 'Latest', response: 'Reply' },
+      { now: NOW }
+    );
+
+    expect(stored).toHaveLength(11);
+    expect(stored[0]).toMatchObject({
+      kind: 'summary',
+      interaction: 'Earlier conversations up to 2026-01-03'
+    });
+    expect(stored[0].response).toContain('Question 1 -> Answer 1');
+    expect(stored[10].interaction).toBe('Latest');
+    expect(userStore.updateUserProfile).toHaveBeenCalledWith('911234567890', {
+      aiTwinMemory: stored
+    });
+
+    // A later compaction folds the earlier summary into the new one
+    const again = await service.remember(
+      user,
+      { interaction: 'Next', response: 'Reply' },
+      { now: NOW }
+    );
+    expect(again).toHaveLength(12);
+    const third = await service.remember(
+      user,
+      { interaction: 'Last', response: 'Reply' },
+      { now: NOW }
+    );
+    expect(third.filter(entry => entry.kind === 'summary')).toHaveLength(1);
+    expect(third[0].response).toContain('Summary:');
+  });
+
+  it('falls back to extracts when the provider cannot summarize', async() => {
+    const provider = {
+      name: 'test',
+      summarize: jest.fn(async() => {
+        throw new Error('rate limited');
+      })
+    };
+    const { service } = createService({ provider, memoryLimit: 12 });
+
+    const compacted = await service.compact(entries(13));
+    expect(compacted).toHaveLength(11);
+    expect(compacted[0].response).toContain('Question 1 -> Answer 1');
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  it('shows and forgets what the twin remembers', async() => {
+    const { service, userStore } = createService();
+    const user = buildUser();
+
+    expect(service.describeMemory(user)).toContain('does not remember');
+
+    await service.getPersonality(user);
+    user.aiTwinMemory = entries(2);
+    const view = service.describeMemory(user);
+    expect(view).toContain('*Personality*\nVirgo rising');
+    expect(view).toContain('*Notes* (2)');
+    expect(view).toContain('• 2026-01-01 Chat: Question 1 -> Answer 1');
+
+    await expect(service.forget(user)).resolves.toBe(2);
+    expect(userStore.updateUserProfile).toHaveBeenLastCalledWith(
+      '911234567890',
+      { aiTwinMemory: [], aiTwinPersonality: null }
+    );
+    expect(user.aiTwinPersonality).toBeNull();
+  });
+});
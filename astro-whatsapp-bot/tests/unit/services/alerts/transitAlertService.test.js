@@ -0,0 +1,443 @@
+// tests/unit/services/alerts/transitAlertService.test.js
+// Unit tests for planning, timing and sending proactive alerts
+
+const {
+  AlertTriggerFinder,
+  TransitAlertService,
+  resolveAlertPreferences
+} = require('../../../../src/services/alerts');
+const {
+  TimezoneDatabase
+} = require('../../../../src/services/astrology/geocoding/TimezoneDatabase');
+const logger = require('../../../../src/utils/logger');
+
+// 11:30 in Kolkata
+const NOW = new Date('2026-10-19T06:00:00Z');
+const HOUR = 3600000;
+
+/**
+ * In-memory stand-in for TransitAlertStore with the same claim rules
+ */
+const createStore = users => ({
+  users,
+  alerts: [],
+  async *findSubscribers() {
+    yield* this.users.map(user => ({ ...user }));
+  },
+  async claimPlanning(phoneNumber, plannedBefore, now) {
+    const user = this.users.find(u => u.phoneNumber === phoneNumber);
+    if (user.alertsPlannedAt && user.alertsPlannedAt >= plannedBefore) {
+      return false;
+    }
+    user.alertsPlannedAt = now;
+    return true;
+  },
+  async save(phoneNumber, triggers) {
+    const added = triggers.filter(
+      trigger => !this.alerts.some(alert => alert.key === trigger.key)
+    );
+    for (const trigger of added) {
+      this.alerts.push({
+        _id: this.alerts.length + 1,
+        ...trigger,
+        phoneNumber,
+        status: 'pending'
+      });
+    }
+    return added.length;
+  },
+  async findPending(phoneNumber, until) {
+    return this.alerts
+      .filter(
+        alert =>
+          alert.phoneNumber === phoneNumber &&
+          ['pending', 'sending'].includes(alert.status) &&
+          alert.at <= until
+      )
+      .sort((a, b) => a.at - b.at)
+      .map(alert => ({ ...alert }));
+  },
+  async claim(alert, now, staleBefore) {
+    const stored = this.alerts.find(a => a._id === alert._id);
+    if (
+      stored.status === 'pending' ||
+      (stored.status === 'sending' && stored.claimedAt < staleBefore)
+    ) {
+      Object.assign(stored, { status: 'sending', claimedAt: now });
+      return true;
+    }
+    return false;
+  },
+  async release(alert, claimedAt) {
+    const stored = this.alerts.find(a => a._id === alert._id);
+    if (stored.status === 'sending' && stored.claimedAt === claimedAt) {
+      stored.status = 'pending';
+    }
+  },
+  async finish(alert, status, details = {}) {
+    Object.assign(
+      this.alerts.find(a => a._id === alert._id),
+      { status, ...details }
+    );
+  }
+});
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  preferredLanguage: 'en',
+  timezone: 'Asia/Kolkata',
+  birthDate: '15061990',
+  birthTime: '1430',
+  birthPlace: 'Mumbai, India',
+  birthLatitude: 19.08,
+  birthLongitude: 72.88,
+  preferences: {
+    alerts: {
+      categories: ['transits', 'dashas'],
+      leadHours: 24,
+      quietStart: '22:00',
+      quietEnd: '07:00'
+    }
+  },
+  lastInteraction: null,
+  alertsPlannedAt: null,
+  ...overrides
+});
+
+const trigger = (key, category, hoursAhead) => ({
+  key,
+  category,
+  summary: `${key} summary`,
+  description: `${key} description`,
+  at: new Date(NOW.getTime() + hoursAhead * HOUR)
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TransitAlertService', () => {
+  let finder;
+  let ledger;
+  let sender;
+  let now;
+
+  const createService = store =>
+    new TransitAlertService({
+      store,
+      finder,
+      ledger,
+      sender,
+      timezoneDatabase: new TimezoneDatabase(),
+      now: () => now
+    });
+
+  beforeEach(() => {
+    now = NOW;
+    finder = {
+      find: jest.fn().mockResolvedValue({
+        triggers: [
+          // Due 12 hours ago, 24 hours' notice
+          trigger('saturn-square-moon', 'transits', 12),
+          // Due in two days
+          trigger('jupiter-antardasha', 'dashas', 72)
+        ],
+        missing: []
+      })
+    };
+    ledger = {
+      consume: jest.fn().mockResolvedValue({ id: 'credit-1' }),
+      refund: jest.fn().mockResolvedValue()
+    };
+    sender = {
+      sendTextMessage: jest.fn().mockResolvedValue({}),
+      sendTemplateMessage: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('dueAt', () => {
+    const service = new TransitAlertService({
+      timezoneDatabase: new TimezoneDatabase()
+    });
+    const preferences = resolveAlertPreferences(buildUser());
+
+    it('is the lead time before the trigger outside quiet hours', () => {
+      // 09:00 in Kolkata the day before
+      expect(
+        service.dueAt(
+          new Date('2026-10-21T03:30:00Z'),
+          preferences,
+          'Asia/Kolkata'
+        )
+      ).toEqual(new Date('2026-10-20T03:30:00Z'));
+    });
+
+    it('moves to just before quiet hours begin', () => {
+      // 02:00 notice falls in the quiet hours that began at 22:00 the
+      // evening before
+      expect(
+        service.dueAt(
+          new Date('2026-10-21T20:30:00Z'),
+          preferences,
+          'Asia/Kolkata'
+        )
+      ).toEqual(new Date('2026-10-20T16:29:00Z'));
+      // 23:00 notice: quiet hours began at 22:00 that evening
+      expect(
+        service.dueAt(
+          new Date('2026-10-21T17:30:00Z'),
+          preferences,
+          'Asia/Kolkata'
+        )
+      ).toEqual(new Date('2026-10-20T16:29:00Z'));
+    });
+  });
+
+  it('plans a user once and sends each due alert once', async() => {
+    const store = createStore([buildUser()]);
+    const service = createService(store);
+
+    const stats = await service.sweep();
+
+    expect(stats).toEqual({ planned: 2, sent: 1, skipped: 0, failed: 0 });
+    expect(finder.find).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneNumber: '911234567890' }),
+      { now: NOW, categories: ['transits', 'dashas'] }
+    );
+    expect(ledger.consume).toHaveBeenCalledWith(
+      expect.objectContaining({ phoneNumber: '911234567890' }),
+      'transit_alert',
+      'transit_alert'
+    );
+    // Outside the session window: the approved template
+    expect(sender.sendTextMessage).not.toHaveBeenCalled();
+    expect(sender.sendTemplateMessage).toHaveBeenCalledWith(
+      '911234567890',
+      'transit_alert',
+      'en',
+      [
+        {
+          type: 'body',
+          parameters: [
+            { type: 'text', text: 'Asha' },
+            {
+              type: 'text',
+              text: expect.stringContaining('*saturn-square-moon summary*')
+            }
+          ]
+        }
+      ]
+    );
+    expect(store.alerts.map(alert => alert.status)).toEqual([
+      'sent',
+      'pending'
+    ]);
+
+    const again = await service.sweep();
+    expect(again).toEqual({ planned: 0, sent: 0, skipped: 0, failed: 0 });
+    expect(finder.find).toHaveBeenCalledTimes(1);
+    expect(sender.sendTemplateMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('sends free text inside the session window', async() => {
+    const store = createStore([
+      buildUser({ lastInteraction: new Date(NOW.getTime() - HOUR) })
+    ]);
+
+    await createService(store).sweep();
+
+    expect(sender.sendTemplateMessage).not.toHaveBeenCalled();
+    const [phoneNumber, text] = sender.sendTextMessage.mock.calls[0];
+    expect(phoneNumber).toBe('911234567890');
+    expect(text).toContain('*saturn-square-moon summary*');
+    expect(text).toContain('saturn-square-moon description');
+    expect(text).toContain('Major transits alert');
+  });
+
+  it('holds alerts during quiet hours', async() => {
+    // 22:30 in Kolkata
+    now = new Date('2026-10-19T17:00:00Z');
+    const store = createStore([buildUser()]);
+
+    expect(await createService(store).sweep()).toMatchObject({
+      planned: 2,
+      sent: 0,
+      skipped: 0
+    });
+    expect(store.alerts[0].status).toBe('pending');
+  });
+
+  it('keeps alerts of categories turned off after planning', async() => {
+    const user = buildUser({ alertsPlannedAt: NOW });
+    user.preferences.alerts.categories = ['dashas'];
+    const store = createStore([user]);
+    store.alerts.push({
+      _id: 1,
+      ...trigger('saturn-square-moon', 'transits', 12),
+      phoneNumber: '911234567890',
+      status: 'pending'
+    });
+
+    expect(await createService(store).sweep()).toMatchObject({
+      sent: 0,
+      skipped: 0
+    });
+    expect(store.alerts[0].status).toBe('pending');
+    expect(ledger.consume).not.toHaveBeenCalled();
+  });
+
+  it('skips alerts without a credit and alerts whose trigger passed', async() => {
+    ledger.consume.mockResolvedValue(null);
+    const store = createStore([buildUser({ alertsPlannedAt: NOW })]);
+    store.alerts.push(
+      {
+        _id: 1,
+        ...trigger('missed', 'transits', -1),
+        phoneNumber: '911234567890',
+        status: 'pending'
+      },
+      {
+        _id: 2,
+        ...trigger('unpaid', 'transits', 1),
+        phoneNumber: '911234567890',
+        status: 'pending'
+      }
+    );
+
+    const stats = await createService(store).sweep();
+
+    expect(stats).toEqual({ planned: 0, sent: 0, skipped: 2, failed: 0 });
+    expect(store.alerts.map(({ status, reason }) => [status, reason])).toEqual([
+      ['skipped', 'missed'],
+      ['skipped', 'no_credit']
+    ]);
+    expect(sender.sendTemplateMessage).not.toHaveBeenCalled();
+  });
+
+  it('releases the alert and refunds the credit when sending fails', async() => {
+    sender.sendTemplateMessage.mockRejectedValueOnce(new Error('timeout'));
+    const store = createStore([buildUser()]);
+    const service = createService(store);
+
+    expect(await service.sweep()).toMatchObject({ sent: 0, failed: 1 });
+    expect(ledger.refund).toHaveBeenCalledWith(
+      { id: 'credit-1' },
+      'transit_alert'
+    );
+    expect(store.alerts[0].status).toBe('pending');
+
+    expect(await service.sweep()).toMatchObject({ sent: 1, failed: 0 });
+    expect(store.alerts[0].status).toBe('sent');
+  });
+});
+
+describe('AlertTriggerFinder', () => {
+  const event = (uid, category, extra = {}) => ({
+    uid,
+    summary: `${uid} summary`,
+    description: `${uid} description`,
+    start: new Date('2026-11-11T13:02:37Z'),
+    categories: [category],
+    ...extra
+  });
+
+  const builder = {
+    build: jest.fn(async(user, { now }) => ({
+      start: now,
+      end: new Date(now.getTime() + 14 * 24 * HOUR),
+      events: [
+        event('square', 'Transit', {
+          aspect: 'saturn square moon',
+          significance: 'major'
+        }),
+        event('trine', 'Transit', {
+          aspect: 'jupiter trine venus',
+          significance: 'moderate'
+        }),
+        event('return', 'Transit', {
+          aspect: 'saturn conjunction saturn',
+          significance: 'major'
+        }),
+        event('dasha', 'Dasha'),
+        event('festival', 'Festival')
+      ],
+      missing: ['sadeSati']
+    })),
+    uid: (...parts) => parts.join('-')
+  };
+
+  it('alerts major transits, returns and dasha changes by category', async() => {
+    const triggerFinder = new AlertTriggerFinder({ builder });
+
+    const { triggers, missing } = await triggerFinder.find(buildUser(), {
+      now: NOW,
+      categories: ['transits', 'returns', 'dashas', 'sadeSati']
+    });
+
+    expect(builder.build).toHaveBeenCalledWith(expect.any(Object), {
+      now: NOW,
+      sources: ['transits', 'dashas', 'sadeSati']
+    });
+    expect(triggers.map(({ key, category }) => [key, category])).toEqual([
+      ['square', 'transits'],
+      ['return', 'returns'],
+      ['dasha', 'dashas']
+    ]);
+    expect(missing).toEqual(['sadeSati']);
+  });
+
+  it('alerts eclipses within the orb of a natal planet', async() => {
+    const triggerFinder = new AlertTriggerFinder({
+      builder,
+      finder: {
+        eclipses: jest.fn(() => [
+          {
+            at: new Date('2026-10-25T10:00:00Z'),
+            kind: 'solar',
+            type: 'total',
+            longitude: 115.8,
+            signName: 'Cancer',
+            degree: 25.8
+          },
+          {
+            at: new Date('2026-10-28T10:00:00Z'),
+            kind: 'lunar',
+            type: 'partial',
+            longitude: 310.6,
+            signName: 'Aquarius',
+            degree: 10.6
+          }
+        ])
+      },
+      dashaService: {
+        natal: jest.fn(async() => ({
+          planets: { Sun: 113.2, Moon: 117.9, Mars: 200 },
+          settings: {}
+        }))
+      }
+    });
+
+    const { triggers } = await triggerFinder.find(buildUser(), {
+      now: NOW,
+      categories: ['eclipses']
+    });
+
+    expect(triggers).toEqual([
+      {
+        key: '911234567890-eclipses-solar-2026-10-25',
+        category: 'eclipses',
+        summary: 'Total solar eclipse on natal Sun and Moon',
+        description:
+          'The total solar eclipse at 25° Cancer falls within 3° of your natal Sun and Moon.',
+        at: new Date('2026-10-25T10:00:00Z')
+      }
+    ]);
+  });
+});
@@ -0,0 +1,217 @@
+// tests/unit/services/astrology/ashtakootaEngine.test.js
+// Unit tests for Ashtakoota Guna Milan, dosha cancellations and Mangal dosha
+
+const {
+  AshtakootaEngine
+} = require('../../../../src/services/astrology/compatibility/AshtakootaEngine');
+const {
+  NAKSHATRAS
+} = require('../../../../src/services/astrology/core/Zodiac');
+
+const engine = new AshtakootaEngine();
+const scores = match =>
+  Object.fromEntries(match.kootas.map(koota => [koota.key, koota.score]));
+
+describe('AshtakootaEngine', () => {
+  describe('describeMoon', () => {
+    it('should find sign, nakshatra and pada', () => {
+      const moon = engine.describeMoon(45);
+      expect(moon.signName).toBe('Taurus');
+      expect(moon.nakshatraName).toBe('Rohini');
+      expect(moon.pada).toBe(2);
+      expect(moon.lord).toBe('Venus');
+    });
+  });
+
+  describe('match', () => {
+    it('should score all eight kootas out of 36', () => {
+      const match = engine.match({ moon: 5 }, { moon: 5 });
+      expect(match.kootas).toHaveLength(8);
+      expect(match.maximum).toBe(36);
+      expect(scores(match)).toEqual({
+        varna: 1,
+        vashya: 2,
+        tara: 3,
+        yoni: 4,
+        graha_maitri: 5,
+        gana: 6,
+        bhakoot: 7,
+        nadi: 0
+      });
+      expect(match.total).toBe(28);
+    });
+
+    it('should keep the total equal to the koota scores', () => {
+      const match = engine.match({ moon: 123.4 }, { moon: 301.7 });
+      const sum = match.kootas.reduce((total, koota) => total + koota.score, 0);
+      expect(match.total).toBe(sum);
+      match.kootas.forEach(koota => {
+        expect(koota.score).toBeGreaterThanOrEqual(0);
+        expect(koota.score).toBeLessThanOrEqual(koota.max);
+      });
+    });
+
+    it('should score Yoni the same both ways', () => {
+      const span = 360 / 27;
+      NAKSHATRAS.forEach((_, a) => {
+        NAKSHATRAS.forEach((__, b) => {
+          const first = engine.yoni(
+            engine.describeMoon(a * span + 1),
+            engine.describeMoon(b * span + 1)
+          );
+          const second = engine.yoni(
+            engine.describeMoon(b * span + 1),
+            engine.describeMoon(a * span + 1)
+          );
+          expect(first.score).toBe(second.score);
+        });
+      });
+    });
+  });
+
+  describe('Nadi dosha', () => {
+    it('should stand when both Moons share nakshatra and pada', () => {
+      const match = engine.match({ moon: 5 }, { moon: 5 });
+      expect(match.doshas.nadi).toEqual({
+        present: true,
+        cancelled: false,
+        reasons: []
+      });
+      expect(match.verdict.blocking).toContain('nadi');
+      expect(match.verdict.recommended).toBe(false);
+    });
+
+    it('should be cancelled by different padas of one nakshatra', () => {
+      const match = engine.match({ moon: 1 }, { moon: 5 });
+      expect(match.doshas.nadi.cancelled).toBe(true);
+      expect(match.doshas.nadi.reasons).toContain(
+        'Same nakshatra in different padas'
+      );
+    });
+
+    it('should be cancelled by one Moon sign with different nakshatras', () => {
+      // Krittika and Rohini in Taurus share the Antya nadi
+      const match = engine.match({ moon: 35 }, { moon: 45 });
+      expect(scores(match).nadi).toBe(0);
+      expect(match.doshas.nadi.cancelled).toBe(true);
+      expect(match.verdict.blocking).not.toContain('nadi');
+    });
+
+    it('should be absent when the nadis differ', () => {
+      const match = engine.match({ moon: 5 }, { moon: 20 });
+      expect(scores(match).nadi).toBe(8);
+      expect(match.doshas.nadi.present).toBe(false);
+    });
+  });
+
+  describe('Bhakoot dosha', () => {
+    it('should stand for a 6/8 placement of unfriendly lords', () => {
+      // Aries (Mars) and Virgo (Mercury)
+      const match = engine.match({ moon: 5 }, { moon: 155 });
+      expect(scores(match).bhakoot).toBe(0);
+      expect(match.doshas.bhakoot).toMatchObject({
+        present: true,
+        cancelled: false
+      });
+    });
+
+    it('should be cancelled when one planet rules both signs', () => {
+      // Aries and Scorpio are both ruled by Mars
+      const match = engine.match({ moon: 5 }, { moon: 215 });
+      expect(scores(match).bhakoot).toBe(0);
+      expect(match.doshas.bhakoot.cancelled).toBe(true);
+      expect(match.doshas.bhakoot.reasons[0]).toMatch(/Mars/);
+    });
+  });
+
+  describe('Mangal dosha', () => {
+    it('should find Mars in the 4th from the ascendant', () => {
+      const dosha = engine.mangalDosha({ moon: 65, ascendant: 5, mars: 95 });
+      expect(dosha.present).toBe(true);
+      expect(dosha.houses.ascendant).toBe(4);
+      expect(dosha.effective).toBe(true);
+    });
+
+    it('should be cancelled by Mars in its own or exaltation sign', () => {
+      const dosha = engine.mangalDosha({
+        moon: 275,
+        ascendant: 275,
+        mars: 280
+      });
+      expect(dosha.present).toBe(true);
+      expect(dosha.cancelled).toBe(true);
+      expect(dosha.effective).toBe(false);
+    });
+
+    it('should be cancelled by Jupiter joining Mars', () => {
+      const dosha = engine.mangalDosha({
+        moon: 5,
+        ascendant: 5,
+        mars: 95,
+        jupiter: 100
+      });
+      expect(dosha.reasons).toContain('Jupiter joins Mars');
+      expect(dosha.effective).toBe(false);
+    });
+
+    it('should block a match where only one chart has it', () => {
+      const groom = { moon: 5, ascendant: 5, mars: 95 };
+      const bride = { moon: 5, ascendant: 5, mars: 65 };
+      const match = engine.match(groom, bride);
+      expect(match.mangal.compatible).toBe(false);
+      expect(match.verdict.blocking).toContain('mangal');
+    });
+  });
+
+  describe('harmony', () => {
+    it('should score Tara, Graha Maitri and Bhakoot out of 15', () => {
+      const harmony = engine.harmony({ moon: 5 }, { moon: 5 });
+      expect(scores(harmony)).toEqual({ tara: 3, graha_maitri: 5, bhakoot: 7 });
+      expect(harmony.maximum).toBe(15);
+      expect(harmony.level).toBe('strong');
+    });
+
+    it('should read a 6/8 Moon placement of enemy lords as challenging', () => {
+      const harmony = engine.harmony({ moon: 5 }, { moon: 155 });
+      expect(harmony.total).toBe(2);
+      expect(harmony.level).toBe('challenging');
+    });
+
+    it('should give the same total both ways', () => {
+      [
+        [12, 200],
+        [87.5, 333],
+        [150, 260.2]
+      ].forEach(([a, b]) => {
+        expect(engine.harmony({ moon: a }, { moon: b }).total).toBe(
+          engine.harmony({ moon: b }, { moon: a }).total
+        );
+      });
+    });
+  });
+
+  describe('positionsFromKundli', () => {
+    it('should read longitudes from a Vedic kundli', () => {
+      const positions = AshtakootaEngine.positionsFromKundli({
+        lagna: { longitude: 12 },
+        planetaryPositions: {
+          moon: { longitude: 45 },
+          mars: { longitude: 95 },
+          jupiter: { longitude: 100 }
+        }
+      });
+      expect(positions).toEqual({
+        moon: 45,
+        mars: 95,
+        jupiter: 100,
+        ascendant: 12
+      });
+    });
+
+    it('should reject a chart without the Moon', () => {
+      expect(() =>
+        AshtakootaEngine.positionsFromKundli({ planetaryPositions: {} })
+      ).toThrow('Moon position missing');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+// tests/unit/services/astrology/astrocartography.test.js
+// Unit tests for astrocartography lines, distances and the world map
+
+const {
+  AstrocartographyEngine,
+  AstrocartographyMap
+} = require('../../../../src/services/astrology/astrocartography');
+const {
+  Gazetteer
+} = require('../../../../src/services/astrology/geocoding/Gazetteer');
+
+const BIRTH = new Date('2000-01-01T12:00:00Z');
+const KM_PER_DEGREE = (Math.PI * 6371) / 180;
+
+// Greenwich sidereal time 30°; the Sun on the equator at RA 90°, Venus at
+// RA 90° and declination 20°
+const ephemeris = planet =>
+  planet.name === 'Sun' ?
+    { rightAscension: 90, declination: 0 } :
+    { rightAscension: 90, declination: 20 };
+const engine = new AstrocartographyEngine({
+  ephemeris,
+  siderealTime: () => 30,
+  gazetteer: new Gazetteer({
+    cities: [
+      ['Eastville', '', 'IN', 10, 61, 'Asia/Kolkata', 900],
+      ['Westville', '', 'IN', 20, -29.5, 'Asia/Kolkata', 500],
+      ['Farville', '', 'IN', -30, 110, 'Asia/Kolkata', 3000]
+    ]
+  })
+});
+const location = { latitude: 40, longitude: 60 };
+const chart = engine.map({
+  birth: BIRTH,
+  location,
+  planets: ['sun', 'venus']
+});
+const lineOf = id => chart.lines.find(line => line.id === id);
+
+describe('AstrocartographyEngine', () => {
+  it('puts the MC where sidereal time meets right ascension', () => {
+    expect(lineOf('sun_MC').longitude).toBeCloseTo(60, 9);
+    expect(lineOf('sun_IC').longitude).toBeCloseTo(-120, 9);
+  });
+
+  it('draws rising and setting curves from the semi-diurnal arc', () => {
+    // On the equator (δ = 0) the arc is 90° at every latitude
+    for (const point of lineOf('sun_ASC').points) {
+      expect(point.longitude).toBeCloseTo(-30, 6);
+    }
+    expect(lineOf('sun_DSC').points[0].longitude).toBeCloseTo(150, 6);
+
+    // At 40°N, δ = 20°: H₀ = acos(−tan 40° tan 20°)
+    const arc =
+      (Math.acos(-Math.tan((40 * Math.PI) / 180) * Math.tan(Math.PI / 9)) *
+        180) /
+      Math.PI;
+    const rising = lineOf('venus_ASC').points.find(p => p.latitude === 40);
+    expect(rising.longitude).toBeCloseTo(60 - arc, 6);
+  });
+
+  it('ends the curves where the planet stops rising, on the meridians', () => {
+    const { points } = lineOf('venus_DSC');
+    expect(points[0]).toMatchObject({ latitude: -70 });
+    expect(points[0].longitude).toBeCloseTo(60, 4);
+    expect(points[points.length - 1]).toMatchObject({ latitude: 70 });
+    expect(Math.abs(points[points.length - 1].longitude)).toBeCloseTo(120, 4);
+  });
+
+  it('follows the azimuth from the birthplace for local space', () => {
+    // Venus culminates due south of a place on its MC line
+    expect(chart.planets.venus.azimuth).toBeCloseTo(180, 6);
+    expect(chart.planets.venus.altitude).toBeCloseTo(70, 6);
+    const ls = lineOf('venus_LS');
+    expect(ls.points[0]).toEqual(location);
+    expect(ls.points[10].latitude).toBeCloseTo(30, 6);
+    expect(ls.points[10].longitude).toBeCloseTo(60, 6);
+  });
+
+  it('measures distances to meridians, curves and great circles', () => {
+    const place = { latitude: 0, longitude: 61 };
+    expect(engine.distanceTo(lineOf('sun_MC'), place)).toBeCloseTo(
+      KM_PER_DEGREE,
+      3
+    );
+    expect(
+      engine.distanceTo(lineOf('sun_ASC'), { latitude: 10, longitude: -29 })
+    ).toBeCloseTo(KM_PER_DEGREE * Math.cos(Math.PI / 18), 0);
+    expect(
+      engine.distanceTo(lineOf('venus_LS'), { latitude: -10, longitude: 60 })
+    ).toBeCloseTo(0, 6);
+    expect(
+      engine.distanceTo(lineOf('venus_LS'), { latitude: 0, longitude: 61 })
+    ).toBeCloseTo(KM_PER_DEGREE, 3);
+  });
+
+  it('lists the lines near a place, nearest first', () => {
+    const hits = engine.linesNear(
+      chart,
+      { latitude: 10, longitude: 61 },
+      { maxKm: 300, localSpace: false }
+    );
+    expect(hits.map(hit => hit.line.id)).toEqual(['sun_MC', 'venus_MC']);
+    expect(hits[0].distanceKm).toBeLessThan(120);
+  });
+
+  it('finds gazetteer cities along each line', () => {
+    const results = engine.citiesNear(chart, {
+      planets: ['sun'],
+      maxKm: 200
+    });
+    const names = id =>
+      results
+        .find(result => result.line.id === id)
+        .cities.map(city => city.place.name);
+    expect(names('sun_MC')).toEqual(['Eastville']);
+    expect(names('sun_ASC')).toEqual(['Westville']);
+    expect(names('sun_DSC')).toEqual([]);
+  });
+
+  it('rejects unknown planets', () => {
+    expect(() => engine.map({ birth: BIRTH, planets: ['chiron'] })).toThrow(
+      'Unknown planet'
+    );
+  });
+
+  it('places the Sun at noon UTC near Greenwich with Swiss Ephemeris', () => {
+    const real = new AstrocartographyEngine().map({
+      birth: BIRTH,
+      planets: ['sun']
+    });
+    // The Sun culminates over Greenwich at about 12:03 UTC on 1 January
+    expect(real.lines[0].longitude).toBeGreaterThan(0.5);
+    expect(real.lines[0].longitude).toBeLessThan(1.2);
+  });
+});
+
+describe('AstrocartographyMap', () => {
+  const map = new AstrocartographyMap();
+
+  it('draws each line and marks the places', () => {
+    const svg = map.renderSvg(chart, {
+      title: 'Asha & <Lines>',
+      places: [{ name: 'Lisbon', latitude: 38.7, longitude: -9.1 }]
+    });
+    expect(svg).toContain('Asha &amp; &lt;Lines&gt;');
+    expect(svg).toContain('Lisbon');
+    expect(svg).toContain('Birth');
+    expect(svg).toContain('Su MC');
+    // Local-space lines only on request
+    expect(svg.match(/<path d="M[^"]*" fill="none"/g)).toHaveLength(8);
+    expect(
+      map
+        .renderSvg(chart, { localSpace: true })
+        .match(/<path d="M[^"]*" fill="none"/g)
+    ).toHaveLength(10);
+  });
+
+  it('renders a PNG', () => {
+    const png = map.renderPng(chart, { width: 600 });
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+  });
+});
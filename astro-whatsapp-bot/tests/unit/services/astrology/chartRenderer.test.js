@@ -0,0 +1,136 @@
+// tests/unit/services/astrology/chartRenderer.test.js
+// Unit tests for kundli and natal wheel image rendering
+
+const {
+  ChartRenderer,
+  CHART_STYLES
+} = require('../../../../src/services/astrology/charts/ChartRenderer');
+
+// Shapes as produced by ChartGenerator and VargaCharts
+const kundli = {
+  system: 'Vedic',
+  name: 'Asha',
+  lagna: { sign: 'Scorpio', longitude: 215.4 },
+  houses: Object.fromEntries(
+    Array.from({ length: 12 }, (_, i) => [i + 1, { longitude: 210 + i * 30 }])
+  ),
+  planetaryPositions: {
+    sun: { longitude: 118.2 },
+    moon: { longitude: 51.3 },
+    mars: { longitude: 27.9 },
+    saturn: { longitude: 266.1, retrograde: true }
+  }
+};
+
+const westernChart = {
+  ascendant: { sign: 'Sagittarius', longitude: 239.5 },
+  houseCusps: [239.5, 270, 305, 340, 10, 35, 59.5, 90, 125, 160, 190, 215],
+  planets: {
+    sun: { longitude: 142.1 },
+    moon: { longitude: 75.8 },
+    ascendant: { longitude: 239.5 }
+  }
+};
+
+const navamsa = {
+  lagna: 147.1,
+  ascendantSign: 'Leo',
+  houses: { 1: { cusp: 147.1 }, 2: { cusp: 177.1 } },
+  planets: {
+    Sun: { longitude: 182.5, sign: 'Libra' },
+    Venus: { longitude: 224.1, sign: 'Scorpio' }
+  }
+};
+
+describe('ChartRenderer', () => {
+  const renderer = new ChartRenderer();
+
+  describe('toChartModel', () => {
+    it('should read a Vedic kundli', () => {
+      const model = renderer.toChartModel(kundli);
+
+      expect(model.ascendant).toBeCloseTo(215.4);
+      expect(model.planets.map(p => p.label)).toEqual(['Su', 'Mo', 'Ma', 'Sa']);
+      expect(model.planets[3].retrograde).toBe(true);
+      expect(model.houseCusps[0]).toBe(210);
+      expect(model.houseCusps[11]).toBe(180);
+    });
+
+    it('should read a Western chart without drawing the ascendant as a planet', () => {
+      const model = renderer.toChartModel(westernChart);
+
+      expect(model.ascendant).toBeCloseTo(239.5);
+      expect(model.planets.map(p => p.key)).toEqual(['sun', 'moon']);
+      expect(model.houseCusps).toHaveLength(12);
+    });
+
+    it('should read a varga chart with a numeric lagna', () => {
+      const model = renderer.toChartModel(navamsa);
+
+      expect(model.ascendant).toBeCloseTo(147.1);
+      expect(model.planets.map(p => p.label)).toEqual(['Su', 'Ve']);
+      // Missing cusps continue in 30° steps from the lagna
+      expect(model.houseCusps[2]).toBeCloseTo(207.1);
+    });
+
+    it('should refuse a chart without an ascendant', () => {
+      expect(() =>
+        renderer.toChartModel({ lagna: null, planets: {} })
+      ).toThrow('Chart has no ascendant to render');
+    });
+  });
+
+  describe('renderSvg', () => {
+    it.each(Object.keys(CHART_STYLES))('should draw the %s style', style => {
+      const svg = renderer.renderSvg(kundli, { style });
+
+      expect(svg.startsWith('<svg')).toBe(true);
+      expect(svg).toContain('>Asha</text>');
+      expect(svg).toMatch(/Su( |<\/text>.*>)28°/);
+    });
+
+    it('should number North Indian houses from the lagna sign', () => {
+      const svg = renderer.renderSvg(kundli, { style: 'north_indian' });
+
+      // Scorpio rising: the first sign number drawn is 8
+      expect(svg.match(/fill="[^"]+">(\d+)<\/text>/)[1]).toBe('8');
+    });
+
+    it('should label the South Indian centre with the chart name', () => {
+      const svg = renderer.renderSvg(navamsa, {
+        style: 'south_indian',
+        label: 'Navamsa'
+      });
+
+      expect(svg).toContain('>Navamsa</text>');
+      expect(svg).toContain('Lagna: Leo');
+    });
+
+    it('should escape names', () => {
+      const svg = renderer.renderSvg(kundli, { title: 'A & <B>' });
+
+      expect(svg).toContain('A &amp; &lt;B&gt;');
+    });
+
+    it('should reject unknown styles', () => {
+      expect(() => renderer.renderSvg(kundli, { style: 'tibetan' })).toThrow(
+        'Unknown chart style: tibetan'
+      );
+    });
+  });
+
+  describe('renderPng', () => {
+    it('should produce a PNG at the requested width', () => {
+      const png = renderer.renderPng(westernChart, {
+        style: 'western',
+        width: 300
+      });
+
+      expect(png.subarray(0, 8)).toEqual(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      );
+      // IHDR width
+      expect(png.readUInt32BE(16)).toBe(300);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// tests/unit/services/astrology/chartSettings.test.js
+// Unit tests for per-user ayanamsa and house system selection
+
+const {
+  normalizeAyanamsa,
+  normalizeHouseSystem,
+  resolveChartSettings,
+  getAyanamsa,
+  calculateHouses
+} = require('../../../../src/services/astrology/core/ChartSettings');
+const {
+  JaiminiAstrology
+} = require('../../../../src/services/astrology/jaiminiAstrology');
+const logger = require('../../../../src/utils/logger');
+
+const J2000 = 2451545.0;
+
+describe('ChartSettings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalization', () => {
+    it('should accept display names and common spellings', () => {
+      expect(normalizeAyanamsa('Fagan-Bradley')).toBe('fagan_bradley');
+      expect(normalizeAyanamsa('KP')).toBe('krishnamurti');
+      expect(normalizeHouseSystem('Whole Sign')).toBe('whole_sign');
+      expect(normalizeHouseSystem('P')).toBe('placidus');
+    });
+
+    it('should reject unknown values', () => {
+      expect(normalizeAyanamsa('galactic')).toBeNull();
+      expect(normalizeHouseSystem('')).toBeNull();
+    });
+  });
+
+  describe('resolveChartSettings', () => {
+    it('should use the user preferences', () => {
+      const settings = resolveChartSettings({
+        preferences: { ayanamsa: 'raman', houseSystem: 'koch' }
+      });
+
+      expect(settings).toMatchObject({
+        ayanamsa: 'raman',
+        houseSystem: 'koch',
+        houseCode: 'K'
+      });
+    });
+
+    it('should fall back to the calculator defaults', () => {
+      const settings = resolveChartSettings(
+        { preferences: {} },
+        { houseSystem: 'equal' }
+      );
+
+      expect(settings.ayanamsa).toBe('lahiri');
+      expect(settings.houseSystem).toBe('equal');
+    });
+
+    it('should force the KP ayanamsa for KP Placidus houses', () => {
+      const settings = resolveChartSettings({
+        preferences: { ayanamsa: 'lahiri', houseSystem: 'kp_placidus' }
+      });
+
+      expect(settings.ayanamsa).toBe('krishnamurti');
+      expect(settings.houseCode).toBe('P');
+    });
+  });
+
+  describe('calculations', () => {
+    it('should return the selected ayanamsa value', () => {
+      const lahiri = getAyanamsa(J2000, resolveChartSettings());
+      const fagan = getAyanamsa(
+        J2000,
+        resolveChartSettings({ preferences: { ayanamsa: 'fagan_bradley' } })
+      );
+
+      expect(lahiri).toBeCloseTo(23.86, 1);
+      expect(fagan).toBeCloseTo(24.74, 1);
+    });
+
+    it('should calculate cusps in the selected house system', () => {
+      const equal = calculateHouses(
+        J2000,
+        28.6139,
+        77.209,
+        resolveChartSettings({ preferences: { houseSystem: 'equal' } })
+      );
+      const placidus = calculateHouses(
+        J2000,
+        28.6139,
+        77.209,
+        resolveChartSettings({ preferences: { houseSystem: 'placidus' } })
+      );
+
+      expect(equal.houseCusps).toHaveLength(12);
+      expect((equal.houseCusps[1] - equal.houseCusps[0] + 360) % 360).toBeCloseTo(
+        30,
+        6
+      );
+      expect(placidus.ascendant).toBeCloseTo(equal.ascendant, 6);
+      expect(placidus.houseCusps[1]).not.toBeCloseTo(equal.houseCusps[1], 1);
+    });
+
+    it('should not carry one chart\'s ayanamsa into the next', async() => {
+      jest.spyOn(logger, 'info').mockImplementation(() => {});
+      const jaimini = new JaiminiAstrology();
+      const moonFor = async ayanamsa => {
+        const result = await jaimini.calculateJaimini({
+          birthDate: '01/01/2000',
+          birthTime: '12:00',
+          birthPlace: 'Delhi, India',
+          preferences: { ayanamsa }
+        });
+        return result.planetary_positions.moon.longitude;
+      };
+
+      // Back to back, each in its own ayanamsa whatever ran before
+      const raman = await moonFor('raman');
+      const fagan = await moonFor('fagan_bradley');
+      const ramanAgain = await moonFor('raman');
+
+      const difference =
+        getAyanamsa(
+          J2000,
+          resolveChartSettings({ preferences: { ayanamsa: 'fagan_bradley' } })
+        ) -
+        getAyanamsa(
+          J2000,
+          resolveChartSettings({ preferences: { ayanamsa: 'raman' } })
+        );
+      expect(raman - fagan).toBeCloseTo(difference, 4);
+      expect(ramanAgain).toBeCloseTo(raman, 8);
+    });
+
+    it('should report the Porphyry fallback inside the polar circle', () => {
+      const houses = calculateHouses(
+        J2000,
+        78.2232,
+        15.6267,
+        resolveChartSettings({ preferences: { houseSystem: 'placidus' } })
+      );
+
+      expect(houses.system).toBe('Porphyry');
+      expect(houses.houseCusps).toHaveLength(12);
+    });
+  });
+});
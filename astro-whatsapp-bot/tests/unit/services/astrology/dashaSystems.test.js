@@ -0,0 +1,337 @@
+// tests/unit/services/astrology/dashaSystems.test.js
+// Unit tests for the dasha framework: the five systems, the period tree,
+// the dasha service and the Vimshottari consumers built on it
+
+const {
+  DASHA_SYSTEMS,
+  DashaService,
+  LEVELS,
+  YEAR_MS,
+  getDashaSystem
+} = require('../../../../src/services/astrology/dasha');
+const {
+  SIGN_YEARS,
+  padaSigns
+} = require('../../../../src/services/astrology/dasha/KalachakraSystem');
+const {
+  VimshottariDasha
+} = require('../../../../src/services/astrology/vimshottariDasha');
+const {
+  DashaAnalysisCalculator
+} = require('../../../../src/core/services/calculators/DashaAnalysisCalculator');
+
+// Moon in Magha, 5.3 degrees into it; Libra rising
+const NATAL = {
+  birth: new Date(Date.UTC(1990, 7, 15, 5, 0)),
+  moon: 125.3,
+  ascendant: 200.5,
+  planets: {
+    Sun: 118,
+    Moon: 125.3,
+    Mars: 20,
+    Mercury: 140,
+    Jupiter: 95,
+    Venus: 100,
+    Saturn: 262,
+    Rahu: 283,
+    Ketu: 103
+  }
+};
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+// 15/08/1990 10:30 IST in New Delhi
+const BIRTH_DATA = {
+  birthDate: '15/08/1990',
+  birthTime: '10:30',
+  birthPlace: 'New Delhi',
+  name: 'Test'
+};
+const geocodingService = {
+  getCoordinates: jest.fn(async() => ({
+    latitude: 28.6139,
+    longitude: 77.209
+  })),
+  getBirthTimezone: jest.fn(async() => ({ offset: 5.5 }))
+};
+const dashaService = new DashaService({
+  systems: DASHA_SYSTEMS,
+  geocodingService
+});
+
+const yearsBetween = (from, to) => (to.getTime() - from.getTime()) / YEAR_MS;
+
+describe('Dasha systems', () => {
+  it('should cover at least 120 years from birth without gaps', () => {
+    Object.values(DASHA_SYSTEMS).forEach(system => {
+      const mahadashas = system.mahadashas(NATAL);
+      expect(mahadashas[0].start.getTime()).toBeLessThanOrEqual(
+        NATAL.birth.getTime()
+      );
+      mahadashas.slice(1).forEach((period, index) => {
+        expect(period.start.getTime()).toBe(mahadashas[index].end.getTime());
+        expect(period.path).toEqual([index + 1]);
+      });
+      expect(
+        yearsBetween(NATAL.birth, mahadashas[mahadashas.length - 1].end)
+      ).toBeGreaterThanOrEqual(120);
+    });
+  });
+
+  it('should divide every period exactly into its sub-periods', () => {
+    Object.values(DASHA_SYSTEMS).forEach(system => {
+      let period = system.mahadashas(NATAL)[1];
+      for (let level = 1; level < LEVELS.length; level++) {
+        const children = system.subPeriods(period);
+        expect(children[0].start.getTime()).toBe(period.start.getTime());
+        expect(
+          Math.abs(
+            children[children.length - 1].end.getTime() - period.end.getTime()
+          )
+        ).toBeLessThan(1000);
+        const total = children.reduce((sum, child) => sum + child.years, 0);
+        expect(total).toBeCloseTo(period.years, 6);
+        expect(children[0]).toMatchObject({
+          level,
+          levelName: LEVELS[level],
+          path: [...period.path, 0]
+        });
+        period = children[0];
+      }
+      expect(system.subPeriods(period)).toEqual([]);
+    });
+  });
+
+  it('should find periods by path and nest the running periods', () => {
+    Object.values(DASHA_SYSTEMS).forEach(system => {
+      const chain = system.current(NATAL, NOW);
+      expect(chain.map(period => period.levelName)).toEqual(LEVELS);
+      chain.forEach((period, level) => {
+        expect(period.start.getTime()).toBeLessThanOrEqual(NOW.getTime());
+        expect(period.end.getTime()).toBeGreaterThan(NOW.getTime());
+        expect(system.find(NATAL, period.path)).toMatchObject({
+          lord: period.lord,
+          path: period.path
+        });
+        if (level > 0) {
+          expect(period.path.slice(0, -1)).toEqual(chain[level - 1].path);
+        }
+      });
+      expect(system.find(NATAL, [999])).toBeNull();
+    });
+  });
+
+  it('should open Vimshottari with the lord of the Moon\'s nakshatra', () => {
+    const system = getDashaSystem('vimshottari');
+    const [first, second] = system.mahadashas(NATAL);
+    // Magha is ruled by Ketu; 39.75% of it was traversed at birth
+    expect(first).toMatchObject({ lord: 'Ketu', ruler: 'Ketu' });
+    expect(yearsBetween(first.start, NATAL.birth)).toBeCloseTo(
+      7 * ((125.3 - 120) / (360 / 27)),
+      6
+    );
+    expect(second).toMatchObject({ lord: 'Venus', years: 20 });
+    expect(system.subPeriods(second).map(period => period.lord)).toEqual([
+      'Venus',
+      'Sun',
+      'Moon',
+      'Mars',
+      'Rahu',
+      'Jupiter',
+      'Saturn',
+      'Mercury',
+      'Ketu'
+    ]);
+  });
+
+  it('should open Yogini from the nakshatra number plus three', () => {
+    const system = getDashaSystem('yogini');
+    // Magha is the 10th nakshatra: (10 + 3) mod 8 = 5, Bhadrika
+    expect(system.mahadashas(NATAL)[0]).toMatchObject({
+      lord: 'Bhadrika',
+      label: 'Bhadrika (Mercury)',
+      ruler: 'Mercury'
+    });
+    // Ashwini opens with Bhramari
+    expect(system.mahadashas({ ...NATAL, moon: 5 })[0].lord).toBe('Bhramari');
+    const total = system
+      .mahadashas(NATAL)
+      .slice(1, 9)
+      .reduce((sum, period) => sum + period.years, 0);
+    expect(total).toBeCloseTo(36, 6);
+  });
+
+  it('should run Ashtottari over 108 years and report applicability', () => {
+    const system = getDashaSystem('ashtottari');
+    const mahadashas = system.mahadashas(NATAL);
+    const total = mahadashas
+      .slice(1, 9)
+      .reduce((sum, period) => sum + period.years, 0);
+    expect(total).toBeCloseTo(108, 6);
+    // Magha lies in the Moon's group (Magha to Uttara Phalguni)
+    expect(mahadashas[0].lord).toBe('Moon');
+
+    // Rahu in the 7th from Venus, the lord of Libra rising
+    expect(system.applicability(NATAL)).toMatchObject({ applicable: true });
+    // Rahu in the Lagna itself
+    expect(
+      system.applicability({
+        ...NATAL,
+        planets: { ...NATAL.planets, Rahu: 195 }
+      })
+    ).toMatchObject({ applicable: false });
+  });
+
+  it('should count Chara years from each sign to its lord', () => {
+    const system = getDashaSystem('chara');
+    const mahadashas = system.mahadashas(NATAL);
+    // Libra rising; the 9th (Gemini) is direct, so the signs run zodiacally
+    expect(mahadashas.slice(0, 4).map(period => period.lord)).toEqual([
+      'Libra',
+      'Scorpio',
+      'Sagittarius',
+      'Capricorn'
+    ]);
+    expect(mahadashas[0].start).toEqual(NATAL.birth);
+    // Venus in Cancer is 10th from Libra: 10 - 1 = 9 years
+    expect(mahadashas[0].years).toBeCloseTo(9, 6);
+    // Capricorn counts backwards to Saturn in Sagittarius: 2 - 1 = 1 year
+    expect(mahadashas[3].years).toBeCloseTo(1, 6);
+    // The second cycle gives each sign 12 minus its first-cycle years
+    expect(mahadashas[12].lord).toBe('Libra');
+    expect(mahadashas[12].years).toBeCloseTo(3, 6);
+
+    const antardashas = system.subPeriods(mahadashas[1]);
+    expect(antardashas).toHaveLength(12);
+    expect(antardashas[0].lord).toBe('Sagittarius');
+    expect(antardashas[11].lord).toBe('Scorpio');
+    expect(antardashas[0].ruler).toBe('Jupiter');
+  });
+
+  it('should give each Kalachakra pada its paramayus', () => {
+    const paramayus = pada =>
+      padaSigns(pada).reduce((sum, sign) => sum + SIGN_YEARS[sign], 0);
+    // Ashwini's four padas, then Rohini's mirror the savya padas
+    expect([0, 1, 2, 3].map(paramayus)).toEqual([100, 85, 83, 86]);
+    expect([12, 13, 14, 15].map(paramayus)).toEqual([86, 83, 85, 100]);
+    for (let pada = 0; pada < 108; pada++) {
+      expect(padaSigns(pada)).toHaveLength(9);
+    }
+
+    const system = getDashaSystem('kalachakra');
+    const [first] = system.mahadashas(NATAL);
+    expect(first.context.pada).toBe(Math.floor(125.3 / (360 / 108)));
+    expect(system.subPeriods(first)[0].lord).toBe(first.lord);
+  });
+});
+
+describe('DashaService', () => {
+  it('should resolve sidereal natal positions from birth data', async() => {
+    const natal = await dashaService.natal(BIRTH_DATA);
+    expect(natal.birth).toEqual(new Date(Date.UTC(1990, 7, 15, 5, 0)));
+    expect(natal.location).toEqual({ latitude: 28.6139, longitude: 77.209 });
+    expect(natal.utcOffset).toBe(5.5);
+    // The Moon was in Rohini (40-53.33 degrees sidereal)
+    expect(natal.moon).toBeGreaterThan(40);
+    expect(natal.moon).toBeLessThan(53.34);
+    expect(natal.planets.Ketu).toBeCloseTo((natal.planets.Rahu + 180) % 360, 6);
+  });
+
+  it('should skip geocoding when coordinates are given', async() => {
+    geocodingService.getCoordinates.mockClear();
+    const natal = await dashaService.natal({
+      ...BIRTH_DATA,
+      birthLatitude: 19.076,
+      birthLongitude: 72.8777
+    });
+    expect(geocodingService.getCoordinates).not.toHaveBeenCalled();
+    expect(natal.location.latitude).toBe(19.076);
+  });
+
+  it('should reject invalid birth times, systems and paths', async() => {
+    await expect(
+      dashaService.natal({ ...BIRTH_DATA, birthTime: '25:00' })
+    ).rejects.toThrow('Invalid birth date or time');
+    await expect(
+      dashaService.timeline(BIRTH_DATA, { system: 'unknown' })
+    ).rejects.toThrow('Unknown dasha system');
+    await expect(
+      dashaService.timeline(BIRTH_DATA, { path: [99] })
+    ).rejects.toThrow('No Vimshottari period at 99');
+  });
+
+  it('should serve one level of the period tree', async() => {
+    const top = await dashaService.timeline(BIRTH_DATA, {
+      system: 'yogini',
+      now: NOW
+    });
+    expect(top.system).toEqual({ key: 'yogini', name: 'Yogini' });
+    expect(top.parent).toBeNull();
+    expect(top.current).toHaveLength(4);
+
+    const [running] = top.current;
+    const opened = await dashaService.timeline(BIRTH_DATA, {
+      system: 'yogini',
+      path: running.path,
+      now: NOW
+    });
+    expect(opened.parent.lord).toBe(running.lord);
+    expect(opened.periods).toHaveLength(8);
+    expect(opened.periods[0].lord).toBe(running.lord);
+  });
+});
+
+describe('Vimshottari consumers', () => {
+  it('should keep the VimshottariDasha output on the framework', async() => {
+    const vimshottari = new VimshottariDasha({ dashaService });
+    const result = await vimshottari.calculateVimshottariDasha(BIRTH_DATA, NOW);
+    expect(result.nakshatra).toBe('Rohini');
+    expect(result.starting_dasha).toBe('moon');
+    expect(result.current_period).toMatchObject({
+      current_dasha: 'jupiter',
+      current_bhukti: 'venus'
+    });
+    expect(result.upcoming_dashas[0]).toMatchObject({
+      planet: 'saturn',
+      duration_years: 19
+    });
+  });
+
+  it('should describe the running periods in DashaAnalysisCalculator', async() => {
+    const calculator = new DashaAnalysisCalculator(null, geocodingService);
+    const analysis = await calculator.calculateVimshottariDasha(
+      BIRTH_DATA,
+      NOW
+    );
+    expect(analysis.currentDasha).toMatchObject({
+      lord: 'jupiter',
+      name: 'Jupiter',
+      totalYears: 16
+    });
+    expect(analysis.currentDasha.startDate.getTime()).toBeLessThan(
+      NOW.getTime()
+    );
+    expect(analysis.currentAntara.lord).toBe('venus');
+    expect(analysis.upcomingDashas.map(dasha => dasha.name)).toEqual([
+      'Saturn',
+      'Mercury',
+      'Ketu',
+      'Venus',
+      'Sun'
+    ]);
+    expect(analysis.upcomingDashas[0].startDate).toEqual(
+      analysis.currentDasha.endDate
+    );
+    expect(analysis.summary).toContain('Current Maha Dasha: Jupiter');
+
+    const favorable = await calculator.calculateNextFavorableDasha(
+      BIRTH_DATA,
+      'marriage',
+      NOW
+    );
+    expect(favorable).toMatchObject({
+      activity: 'marriage',
+      mahaDasha: 'Jupiter',
+      antaraDasha: 'Venus'
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// tests/unit/services/astrology/eventFinder.test.js
+// Unit tests for exact transit, ingress and station instants
+
+const {
+  EventFinder,
+  toJulianDay
+} = require('../../../../src/services/astrology/events');
+
+const START = new Date('2026-01-01T00:00:00Z');
+const DAY = 86400000;
+const at = days => new Date(START.getTime() + days * DAY);
+
+// The Sun runs a degree a day from 10°; Mars loops back between about
+// days 31.5 and 68.5 (speed 0.5 + 0.4π cos(2πt/100))
+const ephemeris = (body, jd) => {
+  const t = jd - toJulianDay(START);
+  if (body.name === 'Sun') {
+    return { longitude: (10 + t) % 360, speed: 1 };
+  }
+  const phase = (2 * Math.PI * t) / 100;
+  return {
+    longitude: (100 + 0.5 * t + 20 * Math.sin(phase)) % 360,
+    speed: 0.5 + 0.4 * Math.PI * Math.cos(phase)
+  };
+};
+const RETROGRADE_DAY =
+  (Math.acos(-0.5 / (0.4 * Math.PI)) * 100) / (2 * Math.PI);
+const DIRECT_DAY = 100 - RETROGRADE_DAY;
+
+// Within a second of the expected day
+const expectAt = (instant, days) =>
+  expect(Math.abs(instant.getTime() - at(days).getTime())).toBeLessThan(1000);
+
+describe('EventFinder', () => {
+  const finder = new EventFinder({ ephemeris });
+
+  it('finds each exact aspect to natal points', () => {
+    const hits = finder.aspects({
+      body: 'sun',
+      targets: { Moon: 70, Venus: 355 },
+      aspects: ['conjunction', 'square'],
+      start: START,
+      end: at(100)
+    });
+
+    expect(hits.map(hit => [hit.target, hit.aspect, hit.point])).toEqual([
+      ['Moon', 'conjunction', 70],
+      ['Venus', 'square', 85]
+    ]);
+    expectAt(hits[0].at, 60);
+    expectAt(hits[1].at, 75);
+    expect(hits[0].retrograde).toBe(false);
+  });
+
+  it('finds retrograde and direct stations', () => {
+    const stations = finder.stations({
+      body: 'mars',
+      start: START,
+      end: at(100)
+    });
+
+    expect(stations.map(station => station.type)).toEqual([
+      'retrograde',
+      'direct'
+    ]);
+    expectAt(stations[0].at, RETROGRADE_DAY);
+    expectAt(stations[1].at, DIRECT_DAY);
+  });
+
+  it('groups the three passes of a retrograde cycle into one transit', () => {
+    const transits = finder.transits({
+      body: 'mars',
+      targets: { Sun: 125 },
+      aspects: ['conjunction'],
+      start: at(40),
+      end: at(50)
+    });
+
+    expect(transits).toHaveLength(1);
+    const { passes } = transits[0];
+    expect(passes.map(pass => pass.retrograde)).toEqual([false, true, false]);
+    expect(passes[0].at < at(RETROGRADE_DAY)).toBe(true);
+    expect(passes[1].at > at(RETROGRADE_DAY)).toBe(true);
+    expect(passes[1].at < at(DIRECT_DAY)).toBe(true);
+    expect(passes[2].at > at(DIRECT_DAY)).toBe(true);
+    for (const pass of passes) {
+      const jd = toJulianDay(pass.at);
+      expect(ephemeris({ name: 'Mars' }, jd).longitude).toBeCloseTo(125, 3);
+    }
+    expect(transits[0].first).toEqual(passes[0].at);
+    expect(transits[0].last).toEqual(passes[2].at);
+  });
+
+  it('finds sign and nakshatra ingresses', () => {
+    const signs = finder.ingresses({ body: 'sun', start: START, end: at(30) });
+    expect(signs).toHaveLength(1);
+    expect(signs[0]).toMatchObject({
+      fromName: 'Aries',
+      toName: 'Taurus',
+      retrograde: false
+    });
+    expectAt(signs[0].at, 20);
+
+    const [nakshatra] = finder.ingresses({
+      body: 'sun',
+      start: START,
+      end: at(10),
+      division: 'nakshatra'
+    });
+    expect(nakshatra).toMatchObject({ fromName: 'Ashwini', toName: 'Bharani' });
+    expectAt(nakshatra.at, 10 / 3);
+  });
+
+  it('finds the ingresses of a retrograde cycle', () => {
+    // Mars loops back from about 134° to 116° over the Leo cusp
+    const ingresses = finder.ingresses({
+      body: 'mars',
+      start: START,
+      end: at(90)
+    });
+
+    expect(
+      ingresses.map(ingress => [
+        ingress.fromName,
+        ingress.toName,
+        ingress.retrograde
+      ])
+    ).toEqual([
+      ['Cancer', 'Leo', false],
+      ['Leo', 'Cancer', true],
+      ['Cancer', 'Leo', false]
+    ]);
+  });
+
+  it('finds the next ingress after an instant', () => {
+    const next = finder.nextIngress('sun', { start: at(21) });
+    expect(next.toName).toBe('Gemini');
+    expectAt(next.at, 50);
+  });
+
+  it('rejects unknown bodies and aspects', () => {
+    expect(() => finder.position('chiron', START)).toThrow('Unknown body');
+    expect(() =>
+      finder.aspects({
+        body: 'sun',
+        targets: { Moon: 0 },
+        aspects: ['quincunx'],
+        start: START,
+        end: at(1)
+      })
+    ).toThrow('Unknown aspect');
+  });
+
+  it('times the March 2026 equinox with Swiss Ephemeris', () => {
+    const [ingress] = new EventFinder().ingresses({
+      body: 'sun',
+      start: new Date('2026-03-15T00:00:00Z'),
+      end: new Date('2026-03-25T00:00:00Z'),
+      zodiac: 'tropical'
+    });
+
+    expect(ingress.toName).toBe('Aries');
+    // 2026-03-20 14:46 UTC
+    expect(
+      Math.abs(ingress.at.getTime() - Date.UTC(2026, 2, 20, 14, 46))
+    ).toBeLessThan(60000);
+  });
+
+  it('finds the 2026 eclipses with their type and sidereal place', () => {
+    const eclipses = new EventFinder().eclipses({
+      start: new Date('2026-01-01T00:00:00Z'),
+      end: new Date('2027-01-01T00:00:00Z')
+    });
+
+    expect(eclipses.map(({ kind, type }) => `${type} ${kind}`)).toEqual([
+      'annular solar',
+      'total lunar',
+      'total solar',
+      'partial lunar'
+    ]);
+    // Total solar eclipse, greatest at 2026-08-12 17:46 UTC
+    const total = eclipses[2];
+    expect(
+      Math.abs(total.at.getTime() - Date.UTC(2026, 7, 12, 17, 46))
+    ).toBeLessThan(120000);
+    expect(total.signName).toBe('Cancer');
+    // Total lunar eclipse, greatest at 2026-03-03 11:33 UTC, Moon in Leo
+    expect(
+      Math.abs(eclipses[1].at.getTime() - Date.UTC(2026, 2, 3, 11, 33))
+    ).toBeLessThan(120000);
+    expect(eclipses[1].signName).toBe('Leo');
+  });
+
+  it('begins a tithi every 12° of elongation, the first at the new Moon', () => {
+    const real = new EventFinder();
+    const tithis = real.tithis({
+      start: new Date('2026-11-08T00:00:00Z'),
+      end: new Date('2026-11-12T00:00:00Z')
+    });
+
+    const first = tithis.find(tithi => tithi.tithi === 1);
+    expect(first).toMatchObject({ name: 'Pratipada', paksha: 'shukla' });
+    // New Moon 2026-11-09 07:02 UTC
+    expect(
+      Math.abs(first.at.getTime() - Date.UTC(2026, 10, 9, 7, 2))
+    ).toBeLessThan(120000);
+    expect(tithis[tithis.indexOf(first) - 1]).toMatchObject({
+      tithi: 30,
+      name: 'Amavasya',
+      paksha: 'krishna'
+    });
+    expect(tithis.map(tithi => tithi.tithi)).toEqual([30, 1, 2, 3]);
+
+    const running = real.tithi(new Date(first.at.getTime() + DAY / 2));
+    expect(running.tithi).toBe(1);
+    expect(running.elongation).toBeGreaterThan(0);
+    expect(running.elongation).toBeLessThan(12);
+  });
+});
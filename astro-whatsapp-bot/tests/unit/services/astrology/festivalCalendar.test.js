@@ -0,0 +1,71 @@
+// tests/unit/services/astrology/festivalCalendar.test.js
+// Unit tests for festival dates from tithis and lunar months
+
+const {
+  getFestivalCalendar
+} = require('../../../../src/services/astrology/events');
+
+describe('FestivalCalendar', () => {
+  const calendar = getFestivalCalendar();
+
+  it('dates the 2026 festivals as Indian almanacs do', () => {
+    const festivals = calendar.festivals({
+      start: new Date('2026-01-01T00:00:00Z'),
+      end: new Date('2026-12-31T00:00:00Z'),
+      timezone: 'Asia/Kolkata'
+    });
+    const dates = Object.fromEntries(
+      festivals.map(festival => [festival.key, festival.date])
+    );
+
+    expect(dates).toMatchObject({
+      makar_sankranti: '2026-01-14',
+      maha_shivaratri: '2026-02-15',
+      ram_navami: '2026-03-26',
+      raksha_bandhan: '2026-08-28',
+      krishna_janmashtami: '2026-09-04',
+      ganesh_chaturthi: '2026-09-14',
+      navaratri: '2026-10-11',
+      dussehra: '2026-10-20',
+      diwali: '2026-11-08'
+    });
+    expect(festivals.find(festival => festival.key === 'diwali')).toMatchObject(
+      { month: 'Ashvin', tithi: 30, tithiName: 'Amavasya', paksha: 'krishna' }
+    );
+    // In date order, each once
+    expect(festivals.map(festival => festival.date)).toEqual(
+      [...festivals.map(festival => festival.date)].sort()
+    );
+    expect(festivals).toHaveLength(13);
+  });
+
+  it('keeps Holi the day after Holika Dahan', () => {
+    const festivals = calendar.festivals({
+      start: new Date('2025-03-01T00:00:00Z'),
+      end: new Date('2025-03-31T00:00:00Z'),
+      timezone: 'Asia/Kolkata'
+    });
+
+    expect(festivals.map(festival => [festival.key, festival.date])).toEqual([
+      ['holika_dahan', '2025-03-13'],
+      ['holi', '2025-03-14']
+    ]);
+  });
+
+  it('counts the days in the given zone', () => {
+    const festivals = calendar.festivals({
+      start: new Date('2026-09-01T00:00:00Z'),
+      end: new Date('2026-09-10T00:00:00Z'),
+      timezone: 'America/Los_Angeles'
+    });
+
+    // Midnight of the 3rd in California is already in the Ashtami that
+    // India keeps on the 4th
+    expect(festivals).toEqual([
+      expect.objectContaining({
+        key: 'krishna_janmashtami',
+        date: '2026-09-03'
+      })
+    ]);
+  });
+});
@@ -0,0 +1,134 @@
+// tests/unit/services/astrology/geocodingService.test.js
+// Unit tests for the offline gazetteer and historical timezone lookups
+
+const GeocodingService = require('../../../../src/services/astrology/geocoding/GeocodingService');
+const logger = require('../../../../src/utils/logger');
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GeocodingService (offline)', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new GeocodingService({ onlineFallback: false });
+  });
+
+  describe('resolvePlace', () => {
+    it('should resolve former city names through aliases', async() => {
+      const result = await service.resolvePlace('Bombay');
+
+      expect(result.displayName).toBe('Mumbai, Maharashtra, India');
+      expect(result.timezoneId).toBe('Asia/Kolkata');
+      expect(result.source).toBe('gazetteer');
+    });
+
+    it('should tolerate misspellings and accents', async() => {
+      expect((await service.resolvePlace('Banglore')).displayName).toBe(
+        'Bengaluru, Karnataka, India'
+      );
+      expect((await service.resolvePlace('São Paulo')).timezoneId).toBe(
+        'America/Sao_Paulo'
+      );
+    });
+
+    it('should flag names shared by distant cities as ambiguous', async() => {
+      const result = await service.resolvePlace('Hyderabad');
+
+      expect(result.ambiguous).toBe(true);
+      expect(result.candidates.map(c => c.country)).toEqual(
+        expect.arrayContaining(['India', 'Pakistan'])
+      );
+    });
+
+    it('should disambiguate by state or country', async() => {
+      const sindh = await service.resolvePlace('Hyderabad, Sindh');
+      const texas = await service.resolvePlace('Paris TX');
+
+      expect(sindh.timezoneId).toBe('Asia/Karachi');
+      expect(sindh.ambiguous).toBe(false);
+      expect(texas.timezoneId).toBe('America/Chicago');
+    });
+
+    it('should report the default source when nothing matches', async() => {
+      const result = await service.resolvePlace('Xyzzyville');
+
+      expect(result.source).toBe('default');
+      expect([result.latitude, result.longitude]).toEqual([28.6139, 77.209]);
+    });
+  });
+
+  describe('timezones', () => {
+    it('should apply daylight saving time for the event date', async() => {
+      const summer = await service.getLocationInfo(
+        'London',
+        Date.UTC(1975, 6, 1)
+      );
+      const winter = await service.getLocationInfo(
+        'London',
+        Date.UTC(1975, 0, 1)
+      );
+
+      expect(summer.timezone).toBe(1);
+      expect(winter.timezone).toBe(0);
+      expect(summer.source).toEqual({
+        coordinates: 'gazetteer',
+        timezone: 'tzdb'
+      });
+    });
+
+    it('should return historical offsets before 1970', async() => {
+      const kolkata = { latitude: 22.5726, longitude: 88.3639 };
+
+      const wartime = await service.getBirthTimezone(kolkata, {
+        year: 1943,
+        month: 6,
+        day: 1,
+        hour: 10,
+        minute: 0
+      });
+
+      expect(wartime.offset).toBe(6.5);
+      expect(wartime.timezoneId).toBe('Asia/Kolkata');
+    });
+
+    it('should resolve local birth times around DST transitions', async() => {
+      const newYork = { latitude: 40.7128, longitude: -74.006 };
+
+      const fold = await service.getBirthTimezone(newYork, {
+        year: 2020,
+        month: 11,
+        day: 1,
+        hour: 1,
+        minute: 30
+      });
+      const gap = await service.getBirthTimezone(newYork, {
+        year: 2020,
+        month: 3,
+        day: 8,
+        hour: 2,
+        minute: 30
+      });
+
+      expect(fold.offset).toBe(-4);
+      expect(gap.offset).toBe(-5);
+    });
+
+    it('should fall back to a nautical zone far from any known city', async() => {
+      const result = await service.resolveTimezone(-40, -120, Date.now());
+
+      expect(result).toEqual({
+        offset: -8,
+        timezoneId: 'Etc/GMT+8',
+        source: 'nautical'
+      });
+    });
+  });
+});
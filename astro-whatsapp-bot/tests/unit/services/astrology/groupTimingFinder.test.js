@@ -0,0 +1,76 @@
+// tests/unit/services/astrology/groupTimingFinder.test.js
+// Unit tests for group timing by Tara Bala and Chandra Bala
+
+const {
+  GroupTimingFinder
+} = require('../../../../src/services/astrology/compatibility/GroupTimingFinder');
+
+// Moon of each (UTC) day; 100° unless listed
+const MOONS = {
+  '2026-03-03': 190, // Good tara and Chandra Bala for both members
+  '2026-03-04': 211 // Bad tara and no Chandra Bala for either
+};
+const moonAt = instant => MOONS[instant.toISOString().slice(0, 10)] ?? 100;
+
+const members = [
+  { name: 'You', moon: 0 }, // Ashwini, Aries
+  { name: 'Asha', moon: 200 } // Vishakha, Libra
+];
+
+describe('GroupTimingFinder', () => {
+  const finder = new GroupTimingFinder({ moonAt });
+
+  it('ranks the days that suit everyone first', () => {
+    const days = finder.find(members, {
+      start: new Date('2026-03-01T00:00:00Z'),
+      days: 5,
+      timezone: 'Asia/Kolkata'
+    });
+
+    expect(days).toHaveLength(5);
+    expect(days[0]).toMatchObject({
+      date: { year: 2026, month: 3, day: 3 },
+      moon: { signName: 'Libra', nakshatraName: 'Swati' },
+      score: 1,
+      favourable: 2
+    });
+    expect(days[0].at.toISOString()).toBe('2026-03-03T00:30:00.000Z');
+    expect(days[0].members[0]).toMatchObject({
+      name: 'You',
+      tara: 6,
+      taraName: 'Sadhana',
+      house: 7,
+      favourable: true
+    });
+
+    expect(days[days.length - 1]).toMatchObject({
+      date: { year: 2026, month: 3, day: 4 },
+      score: 0,
+      favourable: 0
+    });
+    // Equal days stay in date order
+    expect(days.slice(1, 4).map(day => day.date.day)).toEqual([1, 2, 5]);
+  });
+
+  it('skips today once its hour has passed', () => {
+    const days = finder.find(members, {
+      start: new Date('2026-03-01T03:00:00Z'), // 08:30 in India
+      days: 3,
+      timezone: 'Asia/Kolkata'
+    });
+    expect(days.map(day => day.date.day).sort()).toEqual([2, 3]);
+  });
+
+  it('counts days in UTC for an unknown zone', () => {
+    const [day] = finder.find(members, {
+      start: new Date('2026-03-03T00:00:00Z'),
+      days: 1,
+      timezone: 'Nowhere/Else'
+    });
+    expect(day.at.toISOString()).toBe('2026-03-03T06:00:00.000Z');
+  });
+
+  it('finds nothing for an empty group', () => {
+    expect(finder.find([])).toEqual([]);
+  });
+});
@@ -0,0 +1,281 @@
+// tests/unit/services/astrology/hellenisticTimeLords.test.js
+// Unit tests for the Hellenistic time lords: profections, zodiacal
+// releasing, firdaria and the time-lord service
+
+const {
+  HellenisticChart,
+  Profections,
+  ZodiacalReleasing,
+  Firdaria,
+  TimeLordService,
+  MINOR_YEARS,
+  addMonths
+} = require('../../../../src/services/astrology/hellenistic');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Virgo rising day chart; Spirit in Capricorn, Fortune in Gemini
+const NATAL = {
+  birth: new Date(Date.UTC(1990, 5, 15, 12, 0)),
+  ascendant: 175,
+  midheaven: 85,
+  planets: {
+    Sun: 84,
+    Moon: 345,
+    Mercury: 70,
+    Venus: 50,
+    Mars: 10,
+    Jupiter: 100,
+    Saturn: 292
+  },
+  sect: 'day',
+  lots: { fortune: 76, spirit: 274 }
+};
+const NIGHT_NATAL = { ...NATAL, sect: 'night' };
+const NOW = new Date('2026-10-19T00:00:00Z');
+
+// 15/06/1990 12:00 in London
+const BIRTH_DATA = {
+  birthDate: '15/06/1990',
+  birthTime: '12:00',
+  birthPlace: 'London'
+};
+const geocodingService = {
+  getCoordinates: jest.fn(async() => ({ latitude: 51.5, longitude: -0.12 })),
+  getBirthTimezone: jest.fn(async() => ({ offset: 1 }))
+};
+
+describe('HellenisticChart', () => {
+  it('adds calendar months without overflowing short months', () => {
+    const date = new Date(Date.UTC(2023, 0, 31, 8));
+    expect(addMonths(date, 1).toISOString()).toBe('2023-02-28T08:00:00.000Z');
+    expect(addMonths(date, 13).toISOString()).toBe('2024-02-29T08:00:00.000Z');
+    expect(addMonths(date, -2).toISOString()).toBe('2022-11-30T08:00:00.000Z');
+  });
+
+  it('reverses the lots in a night chart', () => {
+    // 0h UT, Sun below the horizon in London
+    const night = HellenisticChart.cast(2451544.5, 51.5, -0.12);
+    const day = HellenisticChart.cast(2451545, 51.5, -0.12);
+    expect(night.sect).toBe('night');
+    expect(day.sect).toBe('day');
+
+    for (const chart of [night, day]) {
+      const { Sun, Moon } = chart.planets;
+      const fortune =
+        chart.sect === 'day' ?
+          chart.ascendant + Moon - Sun :
+          chart.ascendant + Sun - Moon;
+      expect(chart.lots.fortune).toBeCloseTo((fortune + 720) % 360, 6);
+      expect(
+        (chart.lots.fortune + chart.lots.spirit - 2 * chart.ascendant + 720) %
+          360
+      ).toBeCloseTo(0, 6);
+    }
+  });
+});
+
+describe('Profections', () => {
+  const profections = new Profections();
+
+  it('advances one sign a year from the Ascendant', () => {
+    expect(profections.year(NATAL, 0)).toMatchObject({
+      house: 1,
+      sign: 'Virgo',
+      lord: 'Mercury'
+    });
+    expect(profections.year(NATAL, 9)).toMatchObject({
+      house: 10,
+      sign: 'Gemini',
+      lord: 'Mercury',
+      planets: ['Sun', 'Mercury']
+    });
+    expect(profections.year(NATAL, 36).sign).toBe('Virgo');
+  });
+
+  it('runs years from birthday to birthday', () => {
+    expect(profections.ageAt(NATAL, new Date('2026-06-15T11:59:00Z'))).toBe(35);
+    expect(profections.ageAt(NATAL, new Date('2026-06-15T12:00:00Z'))).toBe(36);
+    expect(profections.ageAt(NATAL, new Date('1980-01-01'))).toBe(-1);
+  });
+
+  it('finds the running year and month', () => {
+    const { current, years, months } = profections.timeline(NATAL, {
+      now: NOW
+    });
+    expect(current.year).toMatchObject({ age: 36, sign: 'Virgo' });
+    // 15 October to 15 November is the fifth month
+    expect(current.month).toMatchObject({
+      month: 5,
+      sign: 'Capricorn',
+      lord: 'Saturn'
+    });
+    expect(years).toHaveLength(12);
+    expect(years[1].sign).toBe('Libra');
+    expect(months).toHaveLength(12);
+    expect(months[11].end).toEqual(years[0].end);
+  });
+
+  it('summarizes the lord of the year', () => {
+    const summary = profections.summarize(
+      profections.timeline(NATAL, { now: NOW })
+    );
+    expect(summary).toContain('Age 36: *Virgo*, the 1st house');
+    expect(summary).toContain('Lord of the year: *Mercury*');
+    expect(summary).toContain('This month: Capricorn, 5th house');
+  });
+});
+
+describe('ZodiacalReleasing', () => {
+  const releasing = new ZodiacalReleasing();
+
+  it('releases level 1 from the lot in minor years of 360 days', () => {
+    const periods = releasing.periods(NATAL, 'spirit');
+    expect(periods.slice(0, 3).map(period => period.sign)).toEqual([
+      'Capricorn',
+      'Aquarius',
+      'Pisces'
+    ]);
+    expect(periods[0].end - periods[0].start).toBe(27 * 360 * DAY_MS);
+    expect(releasing.periods(NATAL, 'fortune')[0].sign).toBe('Gemini');
+    expect(() => releasing.periods(NATAL, 'eros')).toThrow('spirit or fortune');
+  });
+
+  it('fills each period with sub-periods and cuts the last one short', () => {
+    const [sagittarius] = releasing
+      .periods(NATAL, 'fortune')
+      .filter(period => period.sign === 'Sagittarius');
+    const subPeriods = releasing.subPeriods(NATAL, sagittarius);
+    expect(subPeriods[0].sign).toBe('Sagittarius');
+    expect(subPeriods[0].end - subPeriods[0].start).toBe(
+      MINOR_YEARS[8] * 30 * DAY_MS
+    );
+    expect(subPeriods[subPeriods.length - 1].end).toEqual(sagittarius.end);
+    expect(subPeriods.some(period => period.loosingOfBond)).toBe(false);
+  });
+
+  it('looses the bond when sub-periods outlast all twelve signs', () => {
+    const [capricorn] = releasing.periods(NATAL, 'spirit');
+    const subPeriods = releasing.subPeriods(NATAL, capricorn);
+    const loosed = subPeriods.filter(period => period.loosingOfBond);
+
+    // 211 months later the period jumps to Cancer instead of Capricorn
+    expect(loosed).toHaveLength(1);
+    expect(loosed[0]).toMatchObject({ sign: 'Cancer', path: [0, 12] });
+    expect(loosed[0].start - capricorn.start).toBe(211 * 30 * DAY_MS);
+  });
+
+  it('marks peak periods in the angles of Fortune', () => {
+    // Judged from Fortune (Gemini) whichever lot is released
+    const spirit = releasing.periods(NATAL, 'spirit');
+    const fortune = releasing.periods(NATAL, 'fortune');
+    const bySign = (periods, sign) =>
+      periods.find(period => period.sign === sign);
+    expect(bySign(spirit, 'Pisces')).toMatchObject({
+      fromFortune: 10,
+      peak: 'major'
+    });
+    expect(bySign(fortune, 'Gemini')).toMatchObject({
+      fromFortune: 1,
+      peak: 'moderate'
+    });
+    expect(bySign(fortune, 'Virgo')).toMatchObject({
+      fromFortune: 4,
+      peak: 'minor'
+    });
+    expect(bySign(spirit, 'Aries')).toMatchObject({
+      fromFortune: 11,
+      peak: null
+    });
+  });
+
+  it('finds the running periods down to level 4', () => {
+    const current = releasing.current(NATAL, 'spirit', NOW);
+    expect(current.map(period => period.level)).toEqual([1, 2, 3, 4]);
+    expect(current[0].sign).toBe('Aquarius');
+    for (const period of current) {
+      expect(period.start <= NOW && NOW < period.end).toBe(true);
+    }
+
+    const timeline = releasing.timeline(NATAL, { now: NOW });
+    expect(timeline.fortune.current[0].sign).toBe('Cancer');
+    expect(timeline.spirit.subPeriods[0].sign).toBe('Aquarius');
+    const summary = releasing.summarize(timeline);
+    expect(summary).toContain('*From Spirit*');
+    expect(summary).toContain('L1 Aquarius (Saturn)');
+    expect(summary).toContain('*From Fortune*');
+  });
+});
+
+describe('Firdaria', () => {
+  const firdaria = new Firdaria();
+
+  it('starts with the Sun by day and the Moon by night', () => {
+    const day = firdaria.periods(NATAL);
+    const night = firdaria.periods(NIGHT_NATAL);
+    expect(day.slice(0, 9).map(period => period.lord)).toEqual([
+      'Sun',
+      'Venus',
+      'Mercury',
+      'Moon',
+      'Saturn',
+      'Jupiter',
+      'Mars',
+      'North Node',
+      'South Node'
+    ]);
+    expect(night[0]).toMatchObject({ lord: 'Moon', years: 9 });
+    // The 75-year cycle repeats
+    expect(day[9].lord).toBe('Sun');
+    expect(day[9].start).toEqual(addMonths(NATAL.birth, 12 * 75));
+  });
+
+  it('divides planetary firdaria into seven sub-periods', () => {
+    const [, venus] = firdaria.periods(NATAL);
+    expect(venus.subPeriods.map(period => period.subLord)).toEqual([
+      'Venus',
+      'Mercury',
+      'Moon',
+      'Saturn',
+      'Jupiter',
+      'Mars',
+      'Sun'
+    ]);
+    expect(venus.subPeriods[6].end).toEqual(venus.end);
+    expect(firdaria.periods(NATAL)[7].subPeriods).toEqual([]);
+  });
+
+  it('finds the running firdar', () => {
+    const timeline = firdaria.timeline(NATAL, { now: NOW });
+    // Sun 10 + Venus 8 + Mercury 13 years: the Moon from age 31
+    expect(timeline.current.period).toMatchObject({ lord: 'Moon' });
+    expect(timeline.current.subPeriod.subLord).toBe('Sun');
+    expect(timeline.next.lord).toBe('Saturn');
+    expect(firdaria.summarize(timeline)).toContain('Major period: *Moon*');
+  });
+});
+
+describe('TimeLordService', () => {
+  const service = new TimeLordService({ geocodingService });
+
+  it('runs every technique on the natal chart', async() => {
+    const result = await service.timeLords(BIRTH_DATA, { now: NOW });
+    expect(result.natal.sect).toBe('day');
+    expect(result.natal.birth.toISOString()).toBe('1990-06-15T11:00:00.000Z');
+    for (const key of ['profections', 'zodiacalReleasing', 'firdaria']) {
+      expect(result[key].timeline).toBeDefined();
+      expect(typeof result[key].summary).toBe('string');
+    }
+  });
+
+  it('runs the requested techniques only', async() => {
+    const result = await service.timeLords(BIRTH_DATA, {
+      techniques: ['firdaria'],
+      now: NOW
+    });
+    expect(Object.keys(result)).toEqual(['natal', 'firdaria']);
+    await expect(
+      service.timeLords(BIRTH_DATA, { techniques: ['transits'] })
+    ).rejects.toThrow('Unknown time-lord technique: transits');
+  });
+});
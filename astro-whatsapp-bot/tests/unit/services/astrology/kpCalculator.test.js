@@ -0,0 +1,211 @@
+// tests/unit/services/astrology/kpCalculator.test.js
+// Unit tests for the KP sub-lord table, cusps, significators, ruling planets
+// and horary
+
+const {
+  KPCalculator,
+  KPHorary,
+  PLANETS,
+  SUB_LORD_TABLE,
+  lordsOf,
+  subForNumber
+} = require('../../../../src/services/astrology/kp');
+
+const calculator = new KPCalculator();
+// Monday 19 October 2026, 11:30 IST in New Delhi
+const DELHI = {
+  jd: KPCalculator.julianDay(new Date(Date.UTC(2026, 9, 19, 6, 0))),
+  latitude: 28.6139,
+  longitude: 77.209
+};
+
+describe('KP sub-lord table', () => {
+  it('should have 249 contiguous divisions covering the zodiac', () => {
+    expect(SUB_LORD_TABLE).toHaveLength(249);
+    expect(SUB_LORD_TABLE[0].start).toBe(0);
+    expect(SUB_LORD_TABLE[248].end).toBe(360);
+    SUB_LORD_TABLE.slice(1).forEach((entry, index) => {
+      expect(entry.start).toBeCloseTo(SUB_LORD_TABLE[index].end, 9);
+    });
+  });
+
+  it('should match the standard KP table', () => {
+    expect(SUB_LORD_TABLE[0]).toMatchObject({
+      number: 1,
+      sign: 'Aries',
+      nakshatra: 'Ashwini',
+      starLord: 'Ketu',
+      subLord: 'Ketu'
+    });
+    expect(SUB_LORD_TABLE[0].end).toBeCloseTo(0.7778, 4);
+    expect(SUB_LORD_TABLE[1]).toMatchObject({ subLord: 'Venus', end: 3 });
+    // Rahu's sub in Krittika is split by the Aries-Taurus boundary
+    expect(SUB_LORD_TABLE[21]).toMatchObject({
+      sign: 'Aries',
+      starLord: 'Sun',
+      subLord: 'Rahu',
+      end: 30
+    });
+    expect(SUB_LORD_TABLE[22]).toMatchObject({
+      sign: 'Taurus',
+      signLord: 'Venus',
+      starLord: 'Sun',
+      subLord: 'Rahu',
+      start: 30
+    });
+    expect(SUB_LORD_TABLE[248]).toMatchObject({
+      sign: 'Pisces',
+      nakshatra: 'Revati',
+      starLord: 'Mercury',
+      subLord: 'Saturn'
+    });
+    expect(SUB_LORD_TABLE[248].start).toBeCloseTo(357.8889, 4);
+  });
+
+  it('should look up the lords of a longitude', () => {
+    expect(lordsOf(0).number).toBe(1);
+    expect(lordsOf(30).number).toBe(23);
+    expect(lordsOf(359.99).number).toBe(249);
+    expect(lordsOf(-1).number).toBe(249);
+    expect(lordsOf(125)).toMatchObject({
+      sign: 'Leo',
+      nakshatra: 'Magha',
+      starLord: 'Ketu'
+    });
+  });
+
+  it('should only give subs for horary numbers 1 to 249', () => {
+    expect(subForNumber(108).number).toBe(108);
+    expect(subForNumber(0)).toBeNull();
+    expect(subForNumber(250)).toBeNull();
+    expect(subForNumber(1.5)).toBeNull();
+  });
+});
+
+describe('KPCalculator', () => {
+  const chart = calculator.castChart(DELHI);
+
+  it('should cast KP Placidus cusps with the Krishnamurti ayanamsa', () => {
+    expect(chart.cusps).toHaveLength(12);
+    expect(chart.ayanamsa).toMatch(/krishnamurti/i);
+    chart.cusps.forEach(cusp => {
+      const { signLord, starLord, subLord } = lordsOf(cusp.longitude);
+      expect(cusp).toMatchObject({ signLord, starLord, subLord });
+    });
+    expect(Object.keys(chart.planets)).toEqual(PLANETS);
+    expect(chart.planets.Ketu.longitude).toBeCloseTo(
+      (chart.planets.Rahu.longitude + 180) % 360,
+      6
+    );
+  });
+
+  it('should keep house and planet significators consistent', () => {
+    const { planets, houses } = calculator.significators(chart);
+    expect(planets.Sun.levels[1]).toEqual([chart.planets.Sun.house]);
+    for (let house = 1; house <= 12; house++) {
+      houses[house].forEach((level, index) => {
+        level.forEach(name => {
+          expect(planets[name].levels[index]).toContain(house);
+          expect(planets[name].houses).toContain(house);
+        });
+      });
+    }
+  });
+
+  it('should fix the horary Ascendant at the start of the chosen sub', () => {
+    const horary = calculator.horaryChart(108, DELHI);
+    expect(horary.number).toBe(108);
+    expect(horary.cusps[0].longitude).toBe(SUB_LORD_TABLE[107].start);
+    expect(horary.cusps[0].subLord).toBe(SUB_LORD_TABLE[107].subLord);
+    expect(horary.cusps[6].longitude).toBeCloseTo(
+      (SUB_LORD_TABLE[107].start + 180) % 360,
+      6
+    );
+  });
+
+  it('should reject horary numbers outside 1 to 249', () => {
+    expect(() => calculator.horaryChart(250, DELHI)).toThrow();
+  });
+
+  it('should take the day lord from the weekday since sunrise', () => {
+    expect(calculator.dayLord(DELHI)).toBe('Moon');
+    // 05:00 IST on Tuesday is still Monday until sunrise
+    const beforeSunrise = {
+      ...DELHI,
+      jd: KPCalculator.julianDay(new Date(Date.UTC(2026, 9, 19, 23, 30)))
+    };
+    expect(calculator.dayLord(beforeSunrise)).toBe('Moon');
+  });
+
+  it('should order the ruling planets Ascendant, Moon, then day lord', () => {
+    const ruling = calculator.rulingPlanets(DELHI);
+    expect(ruling.planets.slice(0, 2)).toEqual(
+      [ruling.ascendant.starLord, ruling.ascendant.signLord].filter(
+        (planet, index, list) => list.indexOf(planet) === index
+      )
+    );
+    expect(ruling.planets).toContain(ruling.moon.starLord);
+    expect(ruling.planets).toContain(ruling.moon.signLord);
+    expect(ruling.planets).toContain('Moon');
+    expect(new Set(ruling.planets).size).toBe(ruling.planets.length);
+  });
+});
+
+describe('KPHorary', () => {
+  const horary = new KPHorary({ calculator });
+
+  it('should categorize questions by their matter', () => {
+    expect(horary.categorize('Will I get married this year?')).toBe('marriage');
+    expect(horary.categorize('Will I get the job?')).toBe('job');
+    expect(horary.categorize('Can I travel abroad?')).toBe('travel');
+    expect(horary.categorize('Will my wish come true?')).toBe('general');
+    expect(horary.categorize()).toBe('general');
+  });
+
+  it('should judge from the sub lord of the matter\'s cusp', () => {
+    const chart = {
+      cusps: Array.from({ length: 12 }, (_, index) => ({
+        house: index + 1,
+        subLord: 'Venus'
+      })),
+      planets: { Venus: { starLord: 'Saturn' } }
+    };
+    const significators = { planets: { Venus: { houses: [2, 7, 11] } } };
+    const judgement = horary.judge(
+      chart,
+      significators,
+      { planets: ['Saturn', 'Moon'] },
+      'marriage'
+    );
+    expect(judgement).toMatchObject({
+      verdict: 'yes',
+      cusp: 7,
+      subLord: 'Venus',
+      favourable: [2, 7, 11],
+      adverse: [],
+      confirmed: true
+    });
+
+    significators.planets.Venus.houses = [6, 7];
+    expect(
+      horary.judge(chart, significators, { planets: [] }, 'marriage')
+    ).toMatchObject({ verdict: 'obstacles', confirmed: false });
+
+    significators.planets.Venus.houses = [1, 6];
+    expect(
+      horary.judge(chart, significators, { planets: [] }, 'marriage').verdict
+    ).toBe('no');
+  });
+
+  it('should answer a numbered question', () => {
+    const reading = horary.answer({
+      number: 108,
+      question: 'Will I get the job?',
+      moment: DELHI
+    });
+    expect(reading.sub.number).toBe(108);
+    expect(reading.category).toBe('job');
+    expect(reading.judgement.cusp).toBe(10);
+    expect(['yes', 'obstacles', 'no']).toContain(reading.judgement.verdict);
+  });
+});
@@ -0,0 +1,347 @@
+// tests/unit/services/calendar/calendarService.test.js
+// Unit tests for iCalendar export, event collection and feed links
+
+const {
+  ICalendarWriter,
+  CalendarEventBuilder,
+  CalendarService
+} = require('../../../../src/services/calendar');
+const {
+  foldLine
+} = require('../../../../src/services/calendar/ICalendarWriter');
+const {
+  InMemoryStateStore,
+  StateNamespace
+} = require('../../../../src/services/state');
+const logger = require('../../../../src/utils/logger');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+const USER = {
+  phoneNumber: '919876543210',
+  name: 'Asha',
+  birthDate: '15061990',
+  birthTime: '0645',
+  birthPlace: 'New Delhi',
+  birthLatitude: 28.61,
+  birthLongitude: 77.2,
+  birthTimezone: 'Asia/Kolkata'
+};
+
+/**
+ * UpcomingDashasService entry from [lord, level, path, start, end]
+ */
+const toPeriod = ([lord, level, path, startDate, endDate]) => ({
+  mahadasha: {
+    lord,
+    level,
+    path,
+    startDate: new Date(startDate),
+    endDate: new Date(endDate)
+  }
+});
+
+/**
+ * Core services answering with fixed events
+ */
+const createServices = () => ({
+  significantTransits: {
+    calculator: {},
+    getUpcomingSignificantTransits: jest.fn(async() => ({
+      significantTransits: [
+        {
+          date: '11/11/2026',
+          transits: [
+            {
+              aspect: 'saturn square moon',
+              exactAt: '2026-11-11T13:02:37.035Z',
+              passes: 3,
+              significance: 'major'
+            }
+          ]
+        }
+      ],
+      error: false
+    }))
+  },
+  upcomingDashas: {
+    calculator: {},
+    // The running Mahadasha and its antardashas, with no deeper periods
+    processCalculation: jest.fn(async(birthData, { path }) => ({
+      system: { key: 'vimshottari', name: 'Vimshottari' },
+      upcomingDashas: [
+        [['Saturn', 'Mahadasha', [2], '2012-04-13', '2031-04-14']],
+        [
+          ['Rahu', 'Antardasha', [2, 7], '2024-01-01', '2026-12-01'],
+          ['Jupiter', 'Antardasha', [2, 8], '2026-12-01', '2029-06-01']
+        ],
+        []
+      ][Math.min(path.length, 2)].map(toPeriod)
+    }))
+  },
+  sadeSati: {
+    getPhaseChanges: jest.fn(async() => ({
+      moonSignName: 'Aquarius',
+      changes: []
+    }))
+  },
+  hinduFestivals: {
+    getFestivalDates: jest.fn(() => [
+      {
+        key: 'diwali',
+        name: 'Diwali (Lakshmi Puja)',
+        summary: 'Festival of lights',
+        date: '2026-11-08',
+        month: 'Ashvin',
+        paksha: 'krishna',
+        tithiName: 'Amavasya'
+      }
+    ])
+  },
+  rahukalam: {
+    getRahukalamWindows: jest.fn(() => [
+      {
+        date: '2026-10-20',
+        start: new Date('2026-10-20T09:30:12Z'),
+        end: new Date('2026-10-20T10:55:40Z')
+      }
+    ])
+  }
+});
+
+/**
+ * In-memory stand-in for CalendarFeedStore
+ */
+const createStore = () => ({
+  feeds: new Map(),
+  async issue(phoneNumber, tokenHash, now) {
+    this.feeds.set(phoneNumber, { tokenHash, createdAt: now, fetches: 0 });
+    return true;
+  },
+  async findOwner(tokenHash) {
+    for (const [phoneNumber, feed] of this.feeds) {
+      if (feed.tokenHash === tokenHash) {
+        return { ...USER, phoneNumber };
+      }
+    }
+    return null;
+  },
+  async find(phoneNumber) {
+    return this.feeds.get(phoneNumber) || null;
+  },
+  async recordFetch(tokenHash) {
+    for (const feed of this.feeds.values()) {
+      if (feed.tokenHash === tokenHash) {
+        feed.fetches += 1;
+      }
+    }
+  },
+  async revoke(phoneNumber) {
+    return this.feeds.delete(phoneNumber);
+  }
+});
+
+describe('ICalendarWriter', () => {
+  const writer = new ICalendarWriter();
+
+  it('writes timed and all-day events with CRLF line breaks', () => {
+    const ics = writer.write({
+      name: 'Astro calendar',
+      timezone: 'Asia/Kolkata',
+      refreshHours: 6,
+      now: NOW,
+      events: [
+        {
+          uid: 'a@test',
+          summary: 'Rahu Kaal',
+          start: new Date('2026-10-19T02:19:31.500Z'),
+          end: new Date('2026-10-19T03:45:01Z')
+        },
+        {
+          uid: 'b@test',
+          summary: 'Diwali; Lakshmi Puja, evening',
+          description: 'Line one\nLine two \\ end',
+          categories: ['Festival'],
+          date: '2026-12-31'
+        }
+      ]
+    });
+    const lines = ics.split('\r\n');
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Astro calendar',
+        'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+        'DTSTAMP:20261019T060000Z',
+        'DTSTART:20261019T021931Z',
+        'DTEND:20261019T034501Z',
+        'DTSTART;VALUE=DATE:20261231',
+        'DTEND;VALUE=DATE:20270101',
+        'SUMMARY:Diwali\\; Lakshmi Puja\\, evening',
+        'DESCRIPTION:Line one\\nLine two \\\\ end',
+        'CATEGORIES:Festival'
+      ])
+    );
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+  });
+
+  it('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'ज्योतिष '.repeat(20)}`;
+    const pieces = foldLine(line).split('\r\n');
+
+    expect(pieces.length).toBeGreaterThan(1);
+    for (const piece of pieces) {
+      expect(Buffer.byteLength(piece)).toBeLessThanOrEqual(75);
+    }
+    expect(pieces.slice(1).every(piece => piece.startsWith(' '))).toBe(true);
+    expect(
+      pieces.map((piece, i) => (i ? piece.slice(1) : piece)).join('')
+    ).toBe(line);
+  });
+});
+
+describe('CalendarEventBuilder', () => {
+  let services;
+  let builder;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    services = createServices();
+    builder = new CalendarEventBuilder({ services, days: 90 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('collects every source into one dated event list', async() => {
+    const calendar = await builder.build(USER, { now: NOW });
+
+    expect(calendar.timezone).toBe('Asia/Kolkata');
+    expect(calendar.missing).toEqual([]);
+    expect(calendar.events.map(event => event.summary)).toEqual([
+      'Rahu Kaal',
+      'Diwali (Lakshmi Puja)',
+      'Saturn square natal Moon',
+      'Saturn–Jupiter Antardasha begins'
+    ]);
+    expect(services.hinduFestivals.getFestivalDates).toHaveBeenCalledWith({
+      start: NOW,
+      end: new Date('2027-01-17T06:00:00Z'),
+      timezone: 'Asia/Kolkata'
+    });
+    expect(
+      services.rahukalam.getRahukalamWindows.mock.calls[0][0]
+    ).toMatchObject({ latitude: 28.61, longitude: 77.2, days: 7 });
+  });
+
+  it('gives each event the same UID on every build', async() => {
+    const first = await builder.build(USER, { now: NOW });
+    const second = await builder.build(USER, {
+      now: new Date(NOW.getTime() + 3600000)
+    });
+
+    expect(second.events.map(event => event.uid)).toEqual(
+      first.events.map(event => event.uid)
+    );
+    expect(new Set(first.events.map(event => event.uid)).size).toBe(4);
+  });
+
+  it('leaves out a failing source and reports it', async() => {
+    services.sadeSati.getPhaseChanges.mockRejectedValue(new Error('boom'));
+    const calendar = await builder.build(
+      { ...USER, birthLatitude: undefined },
+      { now: NOW }
+    );
+
+    expect(calendar.missing).toEqual(['sadeSati', 'rahuKaal']);
+    expect(calendar.events).toHaveLength(3);
+  });
+});
+
+describe('CalendarService', () => {
+  let store;
+  let sender;
+  let service;
+  let cacheStore;
+
+  beforeEach(() => {
+    cacheStore = new InMemoryStateStore();
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    store = createStore();
+    sender = { sendMediaBuffer: jest.fn(async() => ({})) };
+    service = new CalendarService({
+      builder: new CalendarEventBuilder({ services: createServices() }),
+      writer: new ICalendarWriter(),
+      store,
+      sender,
+      cache: new StateNamespace('calendar_feeds', {
+        resolveStore: () => cacheStore,
+        ttlMs: 60000
+      }),
+      baseUrl: 'https://bot.example.com/'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the calendar as an .ics document', async() => {
+    const delivery = await service.deliver(USER, { now: NOW });
+
+    expect(delivery).toMatchObject({ events: 4, missing: [] });
+    const [phoneNumber, type, buffer, options] =
+      sender.sendMediaBuffer.mock.calls[0];
+    expect(phoneNumber).toBe(USER.phoneNumber);
+    expect(type).toBe('document');
+    expect(buffer.toString()).toContain('SUMMARY:Saturn square natal Moon');
+    expect(options).toMatchObject({
+      mimeType: 'text/plain',
+      filename: 'Astro-Calendar-2026-10-19.ics'
+    });
+  });
+
+  it('serves a feed until its link is replaced or revoked', async() => {
+    const { url, webcalUrl } = await service.subscribe(USER, { now: NOW });
+    const token = url.match(/\/calendar\/([^/]+)\.ics$/)[1];
+
+    expect(url.startsWith('https://bot.example.com/calendar/')).toBe(true);
+    expect(webcalUrl).toBe(url.replace('https:', 'webcal:'));
+    expect(await service.feed(token, { now: NOW })).toContain(
+      'X-WR-CALNAME:Astro calendar: Asha'
+    );
+    expect((await service.status(USER)).fetches).toBe(1);
+    // Only the hash is stored
+    expect(JSON.stringify([...store.feeds.values()])).not.toContain(token);
+
+    const second = await service.subscribe(USER, { now: NOW });
+    const newToken = second.url.match(/\/calendar\/([^/]+)\.ics$/)[1];
+    expect(await service.feed(token)).toBeNull();
+    expect(await service.feed(newToken)).toContain('BEGIN:VCALENDAR');
+
+    expect(await service.unsubscribe(USER)).toBe(true);
+    expect(await service.feed(newToken)).toBeNull();
+    expect(await service.unsubscribe(USER)).toBe(false);
+  });
+
+  it('rejects malformed tokens without a lookup', async() => {
+    store.findOwner = jest.fn();
+
+    expect(await service.feed('../../etc/passwd')).toBeNull();
+    expect(store.findOwner).not.toHaveBeenCalled();
+  });
+
+  it('needs a base URL for feed links', async() => {
+    service.baseUrl = null;
+
+    await expect(service.subscribe(USER)).rejects.toThrow(
+      'W1_CALENDAR_BASE_URL'
+    );
+  });
+});
@@ -0,0 +1,83 @@
+// tests/unit/services/core/calculators/ChartGenerator.test.js
+// Unit tests for where ChartGenerator takes the birthplace from
+
+const {
+  ChartGenerator
+} = require('../../../../../src/core/services/calculators/ChartGenerator');
+const logger = require('../../../../../src/utils/logger');
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'debug').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ChartGenerator', () => {
+  const birthData = {
+    birthDate: '15/06/1990',
+    birthTime: '14:30',
+    birthPlace: 'Mumbai, India',
+    name: 'Asha'
+  };
+  const mumbai = {
+    latitude: 19.076,
+    longitude: 72.8777,
+    timezoneId: 'Asia/Kolkata'
+  };
+  let geocodingService;
+  let generator;
+
+  beforeEach(() => {
+    geocodingService = {
+      getCoordinates: jest.fn().mockResolvedValue(mumbai),
+      getBirthTimezone: jest.fn().mockResolvedValue({ offset: 5.5 })
+    };
+    generator = new ChartGenerator(null, geocodingService);
+  });
+
+  it('should use the coordinates and zone stored at onboarding', async() => {
+    const chart = await generator.generateWesternBirthChart({
+      ...birthData,
+      birthLatitude: 18.52,
+      birthLongitude: 73.86,
+      birthTimezone: 'Asia/Kolkata'
+    });
+
+    expect(geocodingService.getCoordinates).not.toHaveBeenCalled();
+    expect(geocodingService.getBirthTimezone).toHaveBeenCalledWith(
+      { latitude: 18.52, longitude: 73.86, timezoneId: 'Asia/Kolkata' },
+      { year: 1990, month: 6, day: 15, hour: 14, minute: 30 }
+    );
+    expect(chart.coordinates).toMatchObject({ latitude: 18.52 });
+  });
+
+  it('should geocode the place name only when nothing is stored', async() => {
+    const chart = await generator.generateWesternBirthChart(birthData);
+
+    expect(geocodingService.getCoordinates).toHaveBeenCalledWith(
+      'Mumbai, India'
+    );
+    expect(chart.coordinates).toBe(mumbai);
+  });
+
+  it('should place a kundli once, from the stored coordinates', async() => {
+    const kundli = await generator.generateVedicKundli({
+      ...birthData,
+      birthLatitude: 18.52,
+      birthLongitude: 73.86,
+      birthTimezone: 'Asia/Kolkata'
+    });
+
+    expect(geocodingService.getCoordinates).not.toHaveBeenCalled();
+    expect(geocodingService.getBirthTimezone).toHaveBeenCalledTimes(1);
+    expect(kundli.birthDetails.coordinates).toMatchObject({
+      latitude: 18.52,
+      longitude: 73.86
+    });
+  });
+});
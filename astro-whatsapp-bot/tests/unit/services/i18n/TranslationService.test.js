@@ -19,11 +19,11 @@ jest.mock('path', () => ({
 }));
 
 describe('TranslationService', () => {
-  beforeEach(() => {
+  beforeEach(async() => {
     jest.clearAllMocks();
 
     // Clear translation service state
-    TranslationService.cache.clear();
+    await TranslationService.cache.clear();
     TranslationService.resourceBundles.clear();
 
     // Mock path.join to return proper paths
@@ -134,10 +134,7 @@ describe('TranslationService', () => {
     it('should return cached bundle if available and not expired', async() => {
       const mockBundle = { common: { welcome: 'Welcome!' } };
       TranslationService.resourceBundles.set('en', mockBundle);
-      TranslationService.cache.set('bundle_en', {
-        timestamp: Date.now(),
-        data: mockBundle
-      });
+      await TranslationService.cache.set('bundle_en', mockBundle);
 
       const bundle = await TranslationService.loadResourceBundle('en');
 
@@ -147,13 +144,12 @@ describe('TranslationService', () => {
 
     it('should reload bundle if cache is expired', async() => {
       const mockBundle = { common: { welcome: 'Welcome!' } };
-      const expiredTime = Date.now() - 31 * 60 * 1000; // 31 minutes ago
+      const cachedAt = Date.now() - 31 * 60 * 1000; // 31 minutes ago
 
       TranslationService.resourceBundles.set('en', { old: 'data' });
-      TranslationService.cache.set('bundle_en', {
-        timestamp: expiredTime,
-        data: { old: 'data' }
-      });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(cachedAt);
+      await TranslationService.cache.set('bundle_en', { old: 'data' });
+      now.mockRestore();
 
       fs.readFile.mockResolvedValue(JSON.stringify(mockBundle));
 
@@ -336,21 +332,18 @@ describe('TranslationService', () => {
   describe('reloadBundles', () => {
     it('should clear cache and reload bundles', async() => {
       TranslationService.resourceBundles.set('en', { old: 'data' });
-      TranslationService.cache.set('en', {
-        timestamp: Date.now(),
-        data: { old: 'data' }
-      });
+      await TranslationService.cache.set('en', { old: 'data' });
 
       await TranslationService.reloadBundles();
 
       expect(TranslationService.resourceBundles.size).toBe(0);
-      expect(TranslationService.cache.size).toBe(0);
+      await expect(TranslationService.cache.count()).resolves.toBe(0);
     });
   });
 
   describe('Error handling', () => {
-    beforeEach(() => {
-      TranslationService.cache.clear();
+    beforeEach(async() => {
+      await TranslationService.cache.clear();
       TranslationService.resourceBundles.clear();
     });
 
@@ -403,10 +396,9 @@ describe('TranslationService', () => {
 
       // Set cache with expired timestamp
       const expiredTime = Date.now() - 35 * 60 * 1000; // 35 minutes ago
-      TranslationService.cache.set('en', {
-        timestamp: expiredTime,
-        data: mockBundle
-      });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(expiredTime);
+      await TranslationService.cache.set('bundle_en', mockBundle);
+      now.mockRestore();
 
       await TranslationService.translate('common.welcome', 'en');
 
@@ -0,0 +1,307 @@
+// tests/unit/services/payment/entitlementLedger.test.js
+// Unit tests for the entitlement ledger and the BaseAction entitlement gate
+
+jest.mock('../../../../src/services/payment/entitlements', () => ({
+  ...jest.requireActual('../../../../src/services/payment/entitlements'),
+  getEntitlementLedger: jest.fn()
+}));
+jest.mock('../../../../src/services/whatsapp/messageSender', () => ({
+  sendMessage: jest.fn()
+}));
+
+const {
+  EntitlementLedger,
+  getEntitlementLedger
+} = require('../../../../src/services/payment/entitlements');
+const {
+  sendMessage
+} = require('../../../../src/services/whatsapp/messageSender');
+const BaseAction = require('../../../../src/services/whatsapp/actions/BaseAction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+/**
+ * In-memory stand-in for EntitlementStore with the same rules
+ */
+const createStore = () => ({
+  credits: [],
+  usable(phoneNumber, entitlement, now, plan) {
+    return this.credits.filter(
+      credit =>
+        credit.phoneNumber === phoneNumber &&
+        credit.entitlement === entitlement &&
+        credit.expiresAt > now &&
+        (credit.source !== 'subscription' || credit.plan === plan)
+    );
+  },
+  async grant(credit) {
+    if (this.credits.some(item => item.sourceRef === credit.sourceRef)) {
+      return false;
+    }
+    this.credits.push({ ...credit, _id: this.credits.length + 1, usage: [] });
+    return true;
+  },
+  async consume(phoneNumber, entitlement, now, entry, plan) {
+    const active = this.usable(phoneNumber, entitlement, now, plan).sort(
+      (a, b) => a.expiresAt - b.expiresAt
+    );
+    const credit =
+      active.find(item => item.unlimited) ||
+      active.find(item => item.remaining > 0);
+    if (!credit) {
+      return null;
+    }
+    if (!credit.unlimited) {
+      credit.remaining -= 1;
+    }
+    credit.used += 1;
+    credit.usage.push(entry);
+    return { ...credit };
+  },
+  async refund(credit, entry) {
+    const stored = this.credits.find(item => item._id === credit._id);
+    if (!stored.unlimited) {
+      stored.remaining += 1;
+    }
+    stored.used -= 1;
+    stored.usage.push(entry);
+  },
+  async findActive(phoneNumber, entitlement, now, plan) {
+    return this.usable(phoneNumber, entitlement, now, plan);
+  }
+});
+
+const createLedger = (clock = { now: NOW }) =>
+  new EntitlementLedger({ store: createStore(), now: () => clock.now });
+
+const freeUser = { phoneNumber: '919800000001', subscriptionTier: 'free' };
+
+describe('EntitlementLedger', () => {
+  it('should grant the free allowance once per calendar month', async() => {
+    const clock = { now: NOW };
+    const ledger = createLedger(clock);
+
+    expect(
+      await ledger.consume(freeUser, 'compatibility_snapshot', 'a')
+    ).not.toBeNull();
+    expect(
+      await ledger.consume(freeUser, 'compatibility_snapshot', 'a')
+    ).toBeNull();
+
+    clock.now = new Date('2026-11-01T00:00:00Z');
+    const credit = await ledger.consume(
+      freeUser,
+      'compatibility_snapshot',
+      'a'
+    );
+    expect(credit.source).toBe('subscription');
+    expect(ledger.store.credits).toHaveLength(2);
+  });
+
+  it('should use the subscription period for paid plans', async() => {
+    const ledger = createLedger();
+    const user = {
+      phoneNumber: '919800000002',
+      subscriptionTier: 'essential',
+      subscriptionExpiry: new Date('2026-11-10T00:00:00Z'),
+      subscription: {
+        currentPeriodStart: new Date('2026-10-10T00:00:00Z'),
+        currentPeriodEnd: new Date('2026-11-10T00:00:00Z')
+      }
+    };
+
+    const balance = await ledger.balance(user, 'flash_insight');
+    expect(balance).toMatchObject({ unlimited: false, remaining: 20 });
+    expect(balance.credits[0].expiresAt).toEqual(
+      new Date('2026-11-10T00:00:00Z')
+    );
+  });
+
+  it('should fall back to the free plan once the subscription expired', async() => {
+    const ledger = createLedger();
+    const user = {
+      phoneNumber: '919800000003',
+      subscriptionTier: 'premium',
+      subscriptionExpiry: new Date(NOW.getTime() - DAY_MS)
+    };
+
+    const balance = await ledger.balance(user, 'flash_insight');
+    expect(balance).toMatchObject({ unlimited: false, remaining: 3 });
+  });
+
+  it('should count but never exhaust unlimited allowances', async() => {
+    const ledger = createLedger();
+    const user = { phoneNumber: '919800000004', subscriptionTier: 'vip' };
+
+    for (let i = 0; i < 5; i++) {
+      expect(await ledger.consume(user, 'remedial_fix', 'a')).not.toBeNull();
+    }
+    const balance = await ledger.balance(user, 'remedial_fix');
+    expect(balance.unlimited).toBe(true);
+    expect(balance.credits[0].used).toBe(5);
+  });
+
+  it('should stop using a plan\'s allowance once the user leaves it', async() => {
+    const ledger = createLedger();
+    const premium = {
+      phoneNumber: '919800000007',
+      subscriptionTier: 'premium',
+      subscriptionExpiry: new Date('2026-11-10T00:00:00Z'),
+      subscription: {
+        currentPeriodStart: new Date('2026-10-10T00:00:00Z'),
+        currentPeriodEnd: new Date('2026-11-10T00:00:00Z')
+      }
+    };
+    expect(await ledger.consume(premium, 'transit_alert', 'a')).toMatchObject({
+      unlimited: true,
+      plan: 'premium'
+    });
+
+    // Downgraded (refund, dispute or revocation) before the period ends
+    const downgraded = {
+      ...premium,
+      subscriptionTier: 'free',
+      subscriptionExpiry: null
+    };
+    expect(await ledger.consume(downgraded, 'transit_alert', 'a')).toBeNull();
+    expect(await ledger.balance(downgraded, 'transit_alert')).toMatchObject({
+      unlimited: false,
+      remaining: 0
+    });
+    // The free plan's own allowance still applies
+    expect(
+      await ledger.consume(downgraded, 'flash_insight', 'a')
+    ).toMatchObject({ plan: 'free' });
+  });
+
+  it('should credit a purchase once and use it after the allowance', async() => {
+    const ledger = createLedger();
+
+    expect(
+      await ledger.grantPurchase(
+        freeUser.phoneNumber,
+        'remedial_fix',
+        'rzp:pay_1'
+      )
+    ).toBe(true);
+    expect(
+      await ledger.grantPurchase(
+        freeUser.phoneNumber,
+        'remedial_fix',
+        'rzp:pay_1'
+      )
+    ).toBe(false);
+
+    const credit = await ledger.consume(freeUser, 'remedial_fix', 'a');
+    expect(credit.source).toBe('purchase');
+    expect(credit.expiresAt).toEqual(new Date(NOW.getTime() + 30 * DAY_MS));
+    expect(await ledger.consume(freeUser, 'remedial_fix', 'a')).toBeNull();
+  });
+
+  it('should ignore expired credits', async() => {
+    const clock = { now: NOW };
+    const ledger = createLedger(clock);
+    await ledger.grantPurchase(freeUser.phoneNumber, 'remedial_fix', 'pay_2');
+
+    clock.now = new Date(NOW.getTime() + 31 * DAY_MS);
+    expect(await ledger.consume(freeUser, 'remedial_fix', 'a')).toBeNull();
+  });
+
+  it('should give a unit back on refund', async() => {
+    const ledger = createLedger();
+    const credit = await ledger.consume(
+      freeUser,
+      'compatibility_snapshot',
+      'a'
+    );
+    await ledger.refund(credit, 'a');
+
+    const balance = await ledger.balance(freeUser, 'compatibility_snapshot');
+    expect(balance.remaining).toBe(1);
+    expect(balance.credits[0].usage.map(entry => entry.change)).toEqual([
+      -1, 1
+    ]);
+  });
+
+  it('should reject unknown entitlements', async() => {
+    const ledger = createLedger();
+    await expect(ledger.balance(freeUser, 'free_lunch')).rejects.toThrow(
+      'Unknown entitlement'
+    );
+  });
+});
+
+describe('BaseAction entitlement gate', () => {
+  class MeteredAction extends BaseAction {
+    static get actionId() {
+      return 'metered_test';
+    }
+
+    requiredEntitlement() {
+      return 'compatibility_snapshot';
+    }
+
+    async execute() {
+      return this.data.result;
+    }
+  }
+
+  let ledger;
+
+  beforeEach(() => {
+    ledger = createLedger();
+    getEntitlementLedger.mockReturnValue(ledger);
+    sendMessage.mockClear();
+  });
+
+  const balance = async() =>
+    (await ledger.balance(freeUser, 'compatibility_snapshot')).remaining;
+
+  it('should consume a unit when the action succeeds', async() => {
+    const action = new MeteredAction(freeUser, freeUser.phoneNumber, {
+      result: { success: true }
+    });
+
+    expect(await action.run()).toEqual({ success: true });
+    expect(await balance()).toBe(0);
+  });
+
+  it('should refund the unit when the action fails', async() => {
+    const action = new MeteredAction(freeUser, freeUser.phoneNumber, {
+      result: { success: false, reason: 'incomplete_profile' }
+    });
+
+    await action.run();
+    expect(await balance()).toBe(1);
+  });
+
+  it('should prompt for a purchase when nothing is left', async() => {
+    const action = new MeteredAction(freeUser, freeUser.phoneNumber, {
+      result: { success: true }
+    });
+    await action.run();
+
+    const result = await action.run();
+    expect(result).toEqual({
+      success: false,
+      reason: 'entitlement_required',
+      entitlement: 'compatibility_snapshot'
+    });
+    const [, content, type] = sendMessage.mock.calls[0];
+    expect(type).toBe('interactive');
+    expect(content.buttons[0]).toEqual({
+      id: 'buy_entitlement_compatibility_snapshot',
+      title: 'Buy for ₹75'
+    });
+  });
+
+  it('should run unmetered when the ledger is unavailable', async() => {
+    ledger.store.consume = jest.fn().mockRejectedValue(new Error('down'));
+    const action = new MeteredAction(freeUser, freeUser.phoneNumber, {
+      result: { success: true }
+    });
+
+    expect(await action.run()).toEqual({ success: true });
+  });
+});
@@ -0,0 +1,149 @@
+// tests/unit/services/payment/microTransaction.test.js
+// Unit tests for one-off purchases: payment links first, credit on capture
+
+const mockStripe = {
+  paymentLinks: { create: jest.fn() }
+};
+const mockRazorpay = {
+  orders: { create: jest.fn(), fetch: jest.fn() }
+};
+const mockLedger = { grantPurchase: jest.fn() };
+
+jest.mock('stripe', () => jest.fn(() => mockStripe));
+jest.mock('razorpay', () => jest.fn(() => mockRazorpay));
+jest.mock('../../../../src/models/userModel', () => ({
+  updateSubscription: jest.fn(),
+  addLoyaltyPoints: jest.fn()
+}));
+jest.mock('../../../../src/services/payment/entitlements', () => ({
+  getEntitlementLedger: () => mockLedger
+}));
+jest.mock('../../../../src/services/whatsapp/messageSender', () => ({
+  sendTextMessage: jest.fn()
+}));
+
+process.env.STRIPE_SECRET_KEY = 'sk_test_micro';
+process.env.RAZORPAY_KEY_ID = 'rzp_test_micro';
+process.env.RAZORPAY_KEY_SECRET = 'rzp_secret_micro';
+
+const paymentService = require('../../../../src/services/payment/paymentService');
+const { addLoyaltyPoints } = require('../../../../src/models/userModel');
+const {
+  sendTextMessage
+} = require('../../../../src/services/whatsapp/messageSender');
+const logger = require('../../../../src/utils/logger');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  mockRazorpay.orders.create.mockResolvedValue({ id: 'order_1' });
+  mockStripe.paymentLinks.create.mockResolvedValue({
+    id: 'plink_1',
+    url: 'https://buy.stripe.com/test_1'
+  });
+});
+
+describe('PaymentService micro-transactions', () => {
+  it('creates a Razorpay order to pay, crediting nothing yet', async() => {
+    const result = await paymentService.processMicroTransaction(
+      '911234567890',
+      'transit_alert',
+      'india'
+    );
+
+    expect(mockRazorpay.orders.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        notes: expect.objectContaining({
+          type: 'micro_transaction',
+          serviceType: 'transit_alert',
+          phoneNumber: '911234567890'
+        })
+      })
+    );
+    expect(result.paymentUrl).toContain('order_id=order_1');
+    expect(result.message).toContain(`here: ${result.paymentUrl}`);
+    expect(result.message).not.toContain('purchased successfully');
+    expect(addLoyaltyPoints).not.toHaveBeenCalled();
+    expect(mockLedger.grantPurchase).not.toHaveBeenCalled();
+  });
+
+  it('sends users outside India a Stripe payment link', async() => {
+    const result = await paymentService.processMicroTransaction(
+      '61412345678',
+      'transit_alert',
+      'australia'
+    );
+
+    const [options] = mockStripe.paymentLinks.create.mock.calls[0];
+    expect(options.line_items[0].price_data).toMatchObject({
+      currency: 'aud',
+      product_data: { name: paymentService.microServices.transit_alert.name }
+    });
+    // payment_intent.succeeded carries what was bought and by whom
+    expect(options.payment_intent_data.metadata).toEqual({
+      type: 'micro_transaction',
+      serviceType: 'transit_alert',
+      phoneNumber: '61412345678'
+    });
+    expect(result).toMatchObject({
+      transactionId: 'plink_1',
+      paymentUrl: 'https://buy.stripe.com/test_1'
+    });
+    expect(addLoyaltyPoints).not.toHaveBeenCalled();
+  });
+
+  it('earns no loyalty points for orders that are never paid', async() => {
+    // Enough "Buy" taps to redeem a free month if orders earned points
+    for (let tap = 0; tap < 20; tap++) {
+      await paymentService.processMicroTransaction(
+        '911234567890',
+        'flash_insight',
+        'india'
+      );
+    }
+    await paymentService.processSubscription(
+      '911234567890',
+      'essential',
+      'india'
+    );
+
+    expect(mockRazorpay.orders.create).toHaveBeenCalledTimes(21);
+    expect(addLoyaltyPoints).not.toHaveBeenCalled();
+  });
+
+  it('credits the purchase and its points once when the payment is captured', async() => {
+    mockRazorpay.orders.fetch.mockResolvedValue({
+      notes: {
+        type: 'micro_transaction',
+        serviceType: 'transit_alert',
+        phoneNumber: '911234567890'
+      }
+    });
+    mockLedger.grantPurchase
+      .mockResolvedValueOnce({ id: 'credit_1' })
+      .mockResolvedValueOnce(null);
+    const captured = {
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1' } } }
+    };
+
+    await expect(
+      paymentService.handleRazorpayWebhook(captured)
+    ).resolves.toMatchObject({ processed: true });
+    // Redelivered webhook
+    await expect(
+      paymentService.handleRazorpayWebhook(captured)
+    ).resolves.toMatchObject({ processed: false, reason: 'duplicate' });
+
+    expect(mockLedger.grantPurchase).toHaveBeenCalledWith(
+      '911234567890',
+      'transit_alert',
+      'razorpay:pay_1'
+    );
+    expect(addLoyaltyPoints).toHaveBeenCalledTimes(1);
+    expect(addLoyaltyPoints).toHaveBeenCalledWith('911234567890', 5);
+    expect(sendTextMessage).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,576 @@
+// tests/unit/services/payment/subscriptionLifecycle.test.js
+// Unit tests for the subscription state machine, gateway mapping and lifecycle
+
+const {
+  SubscriptionStateMachine
+} = require('../../../../src/services/payment/subscriptions/SubscriptionStateMachine');
+const {
+  SubscriptionLifecycleService
+} = require('../../../../src/services/payment/subscriptions/SubscriptionLifecycleService');
+const {
+  normalizeRazorpayEvent,
+  normalizeStripeEvent
+} = require('../../../../src/services/payment/subscriptions/GatewayEvents');
+const logger = require('../../../../src/utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T06:00:00Z');
+const daysFrom = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * In-memory stand-in for SubscriptionStore with the same idempotency rules
+ */
+const createStore = users => ({
+  users,
+  find(phoneNumber) {
+    return this.users.find(user => user.phoneNumber === phoneNumber);
+  },
+  async findByPhone(phoneNumber) {
+    const user = this.find(phoneNumber);
+    return user ? JSON.parse(JSON.stringify(user), reviveDates) : null;
+  },
+  async findByGatewayRef({ subscriptionId }) {
+    const user = this.users.find(
+      u =>
+        u.subscription &&
+        u.subscription.gatewaySubscriptionId === subscriptionId
+    );
+    return user ? this.findByPhone(user.phoneNumber) : null;
+  },
+  async saveTransition(phoneNumber, subscription, access, entry) {
+    const user = this.find(phoneNumber);
+    const history = (user.subscription && user.subscription.history) || [];
+    if (history.some(item => item.eventId === entry.eventId)) {
+      return false;
+    }
+    user.subscription = { ...subscription, history: [...history, entry] };
+    Object.assign(user, access);
+    return true;
+  },
+  async *findDue() {
+    for (const user of this.users) {
+      yield await this.findByPhone(user.phoneNumber);
+    }
+  },
+  async claimReminder(phoneNumber, field, dueDate) {
+    const subscription = this.find(phoneNumber).subscription;
+    if (
+      subscription[field] &&
+      new Date(subscription[field]).getTime() === dueDate.getTime()
+    ) {
+      return false;
+    }
+    subscription[field] = dueDate;
+    return true;
+  }
+});
+
+const reviveDates = (key, value) =>
+  typeof value === 'string' && /^\d{4}-\d\d-\d\dT/.test(value) ?
+    new Date(value) :
+    value;
+
+const createService = (users, clock = { now: NOW }) => {
+  const store = createStore(users);
+  // Every message in order, whether sent as text or as a template
+  const sent = [];
+  const sender = {
+    sendTextMessage: jest.fn(async(phone, text) => sent.push(text)),
+    sendTemplateMessage: jest.fn(async(phone, name, language, components) =>
+      sent.push(components[0].parameters[1].text)
+    )
+  };
+  const gateway = {
+    getPlan: planId => ({
+      name: planId === 'premium' ? 'Premium' : 'Essential'
+    }),
+    cancelGatewaySubscription: jest.fn(async() => ({}))
+  };
+  const service = new SubscriptionLifecycleService({
+    store,
+    machine: new SubscriptionStateMachine({ trialDays: 7, graceDays: 3 }),
+    sender,
+    gateway,
+    reminderDays: 3,
+    now: () => clock.now
+  });
+  return { service, store, sender, gateway, sent };
+};
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  preferredLanguage: 'en',
+  lastInteraction: NOW,
+  subscriptionTier: 'free',
+  subscriptionExpiry: null,
+  ...overrides
+});
+
+const paymentEvent = (id, overrides) => ({
+  id,
+  gateway: 'razorpay',
+  type: 'payment_succeeded',
+  phoneNumber: '911234567890',
+  planId: 'premium',
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SubscriptionStateMachine', () => {
+  const machine = new SubscriptionStateMachine({ graceDays: 3 });
+
+  it('extends an unexpired one-off period and rejects invalid transitions', () => {
+    const active = machine.apply(
+      {},
+      { type: 'payment_succeeded', planId: 'premium' },
+      NOW
+    );
+    expect(active.status).toBe('active');
+    expect(active.currentPeriodEnd).toEqual(daysFrom(NOW, 30));
+
+    const renewed = machine.apply(
+      active,
+      { type: 'payment_succeeded' },
+      daysFrom(NOW, 20)
+    );
+    expect(renewed.currentPeriodEnd).toEqual(daysFrom(NOW, 60));
+    expect(machine.access(renewed)).toEqual({
+      subscriptionTier: 'premium',
+      subscriptionExpiry: daysFrom(NOW, 60)
+    });
+
+    expect(machine.apply({}, { type: 'cancel_requested' }, NOW)).toBeNull();
+    expect(
+      machine.apply({ status: 'expired' }, { type: 'payment_failed' }, NOW)
+    ).toBeNull();
+  });
+
+  it('keeps one dunning window across retries and expires after it', () => {
+    const active = {
+      status: 'active',
+      planId: 'essential',
+      currentPeriodEnd: NOW
+    };
+    const failed = machine.apply(active, { type: 'payment_failed' }, NOW);
+    const retried = machine.apply(
+      failed,
+      { type: 'payment_failed' },
+      daysFrom(NOW, 1)
+    );
+
+    expect(retried.status).toBe('past_due');
+    expect(retried.failedPayments).toBe(2);
+    expect(retried.graceEndsAt).toEqual(daysFrom(NOW, 3));
+    expect(machine.access(retried).subscriptionExpiry).toEqual(
+      daysFrom(NOW, 3)
+    );
+    expect(machine.dueEvent(retried, daysFrom(NOW, 2))).toBeNull();
+    expect(machine.dueEvent(retried, daysFrom(NOW, 3))).toBe('access_ended');
+
+    const expired = machine.apply(
+      retried,
+      { type: 'access_ended' },
+      daysFrom(NOW, 3)
+    );
+    expect(machine.access(expired)).toEqual({
+      subscriptionTier: 'free',
+      subscriptionExpiry: null
+    });
+  });
+});
+
+describe('GatewayEvents', () => {
+  it('maps Razorpay subscription and refund webhooks', () => {
+    const charged = normalizeRazorpayEvent({
+      event: 'subscription.charged',
+      payload: {
+        subscription: {
+          entity: {
+            id: 'sub_1',
+            customer_id: 'cust_1',
+            current_end: 1793000000,
+            notes: { phoneNumber: '911234567890', planId: 'premium' }
+          }
+        },
+        payment: { entity: { id: 'pay_1', subscription_id: 'sub_1' } }
+      }
+    });
+    expect(charged).toMatchObject({
+      id: 'razorpay:subscription.charged:pay_1',
+      type: 'payment_succeeded',
+      phoneNumber: '911234567890',
+      subscriptionId: 'sub_1',
+      paymentId: 'pay_1',
+      periodEnd: new Date(1793000000 * 1000)
+    });
+
+    const refundOf = (payment, amount, orderNotes) =>
+      normalizeRazorpayEvent(
+        {
+          event: 'refund.processed',
+          payload: {
+            refund: {
+              entity: { id: 'rfnd_1', payment_id: payment.id, amount }
+            },
+            payment: { entity: payment }
+          }
+        },
+        orderNotes
+      );
+    const recurring = { id: 'pay_1', subscription_id: 'sub_1', amount: 59900 };
+    expect(refundOf(recurring, 59900)).toMatchObject({
+      type: 'payment_refunded',
+      paymentId: 'pay_1'
+    });
+    expect(
+      refundOf({ id: 'pay_4', order_id: 'order_4', amount: 59900 }, 59900, {
+        planId: 'premium',
+        phoneNumber: '911234567890'
+      })
+    ).toMatchObject({ type: 'payment_refunded', phoneNumber: '911234567890' });
+    // Partial refunds and refunds of micro-transactions keep the plan
+    expect(refundOf(recurring, 10000)).toBeNull();
+    expect(
+      refundOf({ id: 'pay_5', order_id: 'order_5', amount: 4900 }, 4900, {
+        type: 'micro_transaction',
+        serviceType: 'flash_insight',
+        phoneNumber: '911234567890'
+      })
+    ).toBeNull();
+    expect(
+      normalizeRazorpayEvent({
+        event: 'payment.dispute.created',
+        payload: {
+          dispute: { entity: { id: 'disp_1', payment_id: 'pay_5' } },
+          payment: {
+            entity: {
+              id: 'pay_5',
+              notes: { type: 'micro_transaction', phoneNumber: '911234567890' }
+            }
+          }
+        }
+      })
+    ).toBeNull();
+
+    // Micro-transactions and recurring payments are not lifecycle events
+    expect(
+      normalizeRazorpayEvent(
+        {
+          event: 'payment.captured',
+          payload: { payment: { entity: { id: 'pay_2' } } }
+        },
+        { type: 'micro_transaction', phoneNumber: '911234567890' }
+      )
+    ).toBeNull();
+    expect(
+      normalizeRazorpayEvent({
+        event: 'payment.failed',
+        payload: { payment: { entity: { id: 'pay_3', subscription_id: 's' } } }
+      })
+    ).toBeNull();
+  });
+
+  it('maps Stripe invoices, cancellations and partial refunds', () => {
+    const failed = normalizeStripeEvent({
+      id: 'evt_1',
+      type: 'invoice.payment_failed',
+      data: {
+        object: {
+          subscription: 'sub_9',
+          customer: 'cus_9',
+          payment_intent: 'pi_9',
+          lines: { data: [{ period: { end: 1793000000 } }] }
+        }
+      }
+    });
+    expect(failed).toMatchObject({
+      id: 'stripe:evt_1',
+      type: 'payment_failed',
+      subscriptionId: 'sub_9',
+      paymentId: 'pi_9'
+    });
+
+    const cancelled = normalizeStripeEvent({
+      id: 'evt_2',
+      type: 'customer.subscription.updated',
+      data: {
+        object: { id: 'sub_9', cancel_at_period_end: true },
+        previous_attributes: { cancel_at_period_end: false }
+      }
+    });
+    expect(cancelled.type).toBe('cancel_requested');
+
+    expect(
+      normalizeStripeEvent({
+        id: 'evt_3',
+        type: 'charge.refunded',
+        data: {
+          object: { refunded: false, invoice: 'in_9', payment_intent: 'pi_9' }
+        }
+      })
+    ).toBeNull();
+    expect(
+      normalizeStripeEvent({
+        id: 'evt_4',
+        type: 'charge.refunded',
+        data: {
+          object: { refunded: true, invoice: 'in_9', payment_intent: 'pi_9' }
+        }
+      })
+    ).toMatchObject({ type: 'payment_refunded', paymentId: 'pi_9' });
+    expect(
+      normalizeStripeEvent({
+        id: 'evt_5',
+        type: 'charge.refunded',
+        data: {
+          object: {
+            refunded: true,
+            payment_intent: 'pi_10',
+            metadata: { type: 'micro_transaction', phoneNumber: '61412345678' }
+          }
+        }
+      })
+    ).toBeNull();
+  });
+});
+
+describe('SubscriptionLifecycleService', () => {
+  it('applies gateway events once and notifies the user', async() => {
+    const user = buildUser();
+    const { service, store, sender } = createService([user]);
+
+    const result = await service.handleEvent(paymentEvent('razorpay:a'));
+    expect(result).toMatchObject({
+      applied: true,
+      from: 'none',
+      status: 'active',
+      phoneNumber: '911234567890'
+    });
+    expect(store.users[0].subscriptionTier).toBe('premium');
+    expect(store.users[0].subscriptionExpiry).toEqual(daysFrom(NOW, 30));
+    expect(sender.sendTextMessage).toHaveBeenCalledWith(
+      '911234567890',
+      expect.stringContaining('Your Premium plan is active until'),
+      { critical: true }
+    );
+
+    await expect(
+      service.handleEvent(paymentEvent('razorpay:a'))
+    ).resolves.toMatchObject({ applied: false, reason: 'duplicate' });
+    await expect(
+      service.handleEvent(
+        paymentEvent('razorpay:b', { type: 'trial_started' })
+      )
+    ).resolves.toMatchObject({ applied: false, reason: 'invalid_transition' });
+    expect(store.users[0].subscription.history).toHaveLength(1);
+  });
+
+  it('finds users by gateway reference and uses the template outside the session window', async() => {
+    const user = buildUser({
+      lastInteraction: daysFrom(NOW, -2),
+      subscriptionTier: 'premium',
+      subscription: {
+        status: 'active',
+        planId: 'premium',
+        gateway: 'stripe',
+        gatewaySubscriptionId: 'sub_9',
+        currentPeriodEnd: NOW,
+        history: []
+      }
+    });
+    const { service, store, sender } = createService([user]);
+
+    await service.handleEvent({
+      id: 'stripe:evt_1',
+      gateway: 'stripe',
+      type: 'payment_failed',
+      subscriptionId: 'sub_9'
+    });
+
+    expect(store.users[0].subscription.status).toBe('past_due');
+    expect(sender.sendTextMessage).not.toHaveBeenCalled();
+    const [phone, template, language, components] =
+      sender.sendTemplateMessage.mock.calls[0];
+    expect([phone, template, language]).toEqual([
+      '911234567890',
+      'subscription_update',
+      'en'
+    ]);
+    expect(components[0].parameters[1].text).toContain(
+      'We couldn\'t process your Premium payment'
+    );
+  });
+
+  it('applies refunds only to the payment of the current period', async() => {
+    const user = buildUser({
+      subscriptionTier: 'premium',
+      subscription: {
+        status: 'active',
+        planId: 'premium',
+        gateway: 'razorpay',
+        currentPeriodEnd: daysFrom(NOW, 20),
+        lastPaymentId: 'pay_7',
+        history: []
+      }
+    });
+    const { service, store } = createService([user]);
+    const refund = (id, paymentId) => ({
+      id,
+      gateway: 'razorpay',
+      type: 'payment_refunded',
+      phoneNumber: '911234567890',
+      paymentId
+    });
+
+    // A refunded purchase from the same number, e.g. a flash insight
+    await expect(
+      service.handleEvent(refund('razorpay:refund.processed:r1', 'pay_3'))
+    ).resolves.toMatchObject({ applied: false, reason: 'other_payment' });
+    await expect(
+      service.handleEvent(refund('razorpay:refund.processed:r2', null))
+    ).resolves.toMatchObject({ applied: false, reason: 'other_payment' });
+    expect(store.users[0].subscription.status).toBe('active');
+
+    await expect(
+      service.handleEvent(refund('razorpay:refund.processed:r3', 'pay_7'))
+    ).resolves.toMatchObject({ applied: true, status: 'expired' });
+    expect(store.users[0].subscriptionTier).toBe('free');
+  });
+
+  it('cancels at period end and stops the gateway renewal', async() => {
+    const periodEnd = daysFrom(NOW, 10);
+    const user = buildUser({
+      subscription: {
+        status: 'active',
+        planId: 'premium',
+        gateway: 'razorpay',
+        gatewaySubscriptionId: 'sub_1',
+        currentPeriodEnd: periodEnd,
+        history: []
+      }
+    });
+    const { service, store, gateway } = createService([user]);
+
+    const result = await service.cancel('911234567890');
+    expect(gateway.cancelGatewaySubscription).toHaveBeenCalledWith(
+      'razorpay',
+      'sub_1'
+    );
+    expect(result).toEqual({
+      cancelled: true,
+      status: 'cancelled',
+      until: periodEnd
+    });
+    expect(store.users[0].subscriptionTier).toBe('premium');
+
+    await expect(service.cancel('911234567890')).resolves.toEqual({
+      cancelled: false,
+      status: 'cancelled'
+    });
+  });
+
+  it('grants a plan on top of an active period and revokes it', async() => {
+    const periodEnd = daysFrom(NOW, 10);
+    const user = buildUser({
+      subscriptionTier: 'premium',
+      subscription: {
+        status: 'active',
+        planId: 'premium',
+        gateway: 'stripe',
+        gatewaySubscriptionId: 'sub_9',
+        currentPeriodEnd: periodEnd,
+        history: []
+      }
+    });
+    const { service, store, gateway, sent } = createService([user]);
+
+    await expect(
+      service.grant('911234567890', {
+        planId: 'premium',
+        days: 14,
+        actor: 'support@example.com'
+      })
+    ).resolves.toMatchObject({
+      applied: true,
+      status: 'active',
+      access: {
+        subscriptionTier: 'premium',
+        subscriptionExpiry: daysFrom(periodEnd, 14)
+      }
+    });
+    expect(store.users[0].subscription.history[0]).toMatchObject({
+      eventId: `support@example.com:access_granted:${NOW.toISOString()}`,
+      event: 'access_granted'
+    });
+    expect(sent[0]).toContain("You've been given the Premium plan");
+
+    await expect(
+      service.revoke('911234567890', { reason: 'chargeback abuse' })
+    ).resolves.toMatchObject({ applied: true, status: 'expired' });
+    expect(gateway.cancelGatewaySubscription).toHaveBeenCalledWith(
+      'stripe',
+      'sub_9'
+    );
+    expect(store.users[0]).toMatchObject({ subscriptionTier: 'free' });
+    expect(store.users[0].subscription.endReason).toBe('chargeback abuse');
+
+    await expect(
+      service.revoke('911234567890', { reason: 'again' })
+    ).resolves.toMatchObject({ applied: false, reason: 'invalid_transition' });
+    await expect(
+      service.grant('910000000000', { planId: 'premium', days: 7 })
+    ).resolves.toEqual({ applied: false, reason: 'unknown_user' });
+  });
+
+  it('sweeps reminders once, then dunning and expiry', async() => {
+    const periodEnd = daysFrom(NOW, 2);
+    const user = buildUser({
+      subscriptionTier: 'essential',
+      subscription: {
+        status: 'active',
+        planId: 'essential',
+        currentPeriodEnd: periodEnd,
+        history: []
+      }
+    });
+    const clock = { now: NOW };
+    const { service, store, sent } = createService([user], clock);
+
+    await expect(service.sweep()).resolves.toEqual({
+      transitions: 0,
+      reminders: 1,
+      failed: 0
+    });
+    await service.sweep();
+    expect(sent).toHaveLength(1);
+    expect(sent[0]).toContain('Your Essential plan expires on');
+
+    clock.now = periodEnd;
+    await service.sweep();
+    expect(store.users[0].subscription.status).toBe('past_due');
+    expect(sent[1]).toContain('was due for renewal');
+
+    clock.now = daysFrom(periodEnd, 2.5);
+    await service.sweep();
+    expect(sent[2]).toContain('Final notice');
+
+    clock.now = daysFrom(periodEnd, 3);
+    await expect(service.sweep()).resolves.toMatchObject({ transitions: 1 });
+    expect(store.users[0]).toMatchObject({
+      subscriptionTier: 'free',
+      subscriptionExpiry: null
+    });
+    expect(store.users[0].subscription.status).toBe('expired');
+    expect(sent[3]).toContain('now on the Free plan');
+  });
+});
@@ -0,0 +1,175 @@
+// tests/unit/services/people/peopleBook.test.js
+// Unit tests for saved people: names, limits and birth profiles
+
+const {
+  PeopleBook,
+  normalizeRelationship
+} = require('../../../../src/services/people/PeopleBook');
+
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+/**
+ * In-memory stand-in for PeopleStore with the same rules
+ * @param {Object} books - { <phoneNumber>: [people] }
+ */
+const createStore = books => {
+  let nextId = 1;
+  return {
+    books,
+    async list(phoneNumber) {
+      return this.books[phoneNumber] || null;
+    },
+    async add(phoneNumber, person, limit) {
+      const people = this.books[phoneNumber];
+      if (!people || people.length >= limit) {
+        return null;
+      }
+      const saved = { _id: `p${nextId++}`, ...person };
+      people.push(saved);
+      return saved;
+    },
+    async update(phoneNumber, id, fields) {
+      const person = (this.books[phoneNumber] || []).find(
+        entry => entry._id === id
+      );
+      return person ? Object.assign(person, fields) : null;
+    },
+    async remove(phoneNumber, id) {
+      const people = this.books[phoneNumber] || [];
+      const index = people.findIndex(entry => entry._id === id);
+      return index >= 0 && people.splice(index, 1).length === 1;
+    }
+  };
+};
+
+const priya = {
+  name: '  Priya   Sharma ',
+  relationship: 'wife',
+  gender: 'female',
+  birthDate: '1992-03-14',
+  birthTime: '0715',
+  birthPlace: 'Pune, Maharashtra, India',
+  birthLatitude: 18.52,
+  birthLongitude: 73.86,
+  birthTimezone: 'Asia/Kolkata'
+};
+
+describe('PeopleBook', () => {
+  let store;
+  let book;
+
+  beforeEach(() => {
+    store = createStore({ '+911': [] });
+    book = new PeopleBook({ store, limit: 3, now: () => NOW });
+  });
+
+  it('saves a person with a clean name and known relationship', async() => {
+    const result = await book.add('+911', priya);
+
+    expect(result.saved).toBe(true);
+    expect(result.person).toMatchObject({
+      name: 'Priya Sharma',
+      relationship: 'partner',
+      birthDate: '1992-03-14',
+      createdAt: NOW
+    });
+  });
+
+  it('refuses a second person with the same name', async() => {
+    await book.add('+911', priya);
+    await expect(
+      book.add('+911', { ...priya, name: 'priya sharma' })
+    ).resolves.toEqual({ saved: false, reason: 'duplicate_name' });
+  });
+
+  it('needs a name, a birth date and a birthplace', async() => {
+    await expect(book.add('+911', { ...priya, name: ' ' })).resolves.toEqual({
+      saved: false,
+      reason: 'invalid_name'
+    });
+    await expect(
+      book.add('+911', { ...priya, birthPlace: undefined })
+    ).resolves.toEqual({ saved: false, reason: 'missing_birth_details' });
+  });
+
+  it('stops at the limit', async() => {
+    for (const name of ['A', 'B', 'C']) {
+      await book.add('+911', { ...priya, name });
+    }
+    await expect(book.add('+911', { ...priya, name: 'D' })).resolves.toEqual({
+      saved: false,
+      reason: 'limit_reached'
+    });
+  });
+
+  it('lists by name and finds a person by a unique start', async() => {
+    await book.add('+911', { ...priya, name: 'Rohan' });
+    await book.add('+911', { ...priya, name: 'amma' });
+    await book.add('+911', { ...priya, name: 'Ravi' });
+
+    const names = (await book.list('+911')).map(person => person.name);
+    expect(names).toEqual(['amma', 'Ravi', 'Rohan']);
+    await expect(book.findByName('+911', 'AMMA')).resolves.toMatchObject({
+      name: 'amma'
+    });
+    await expect(book.findByName('+911', 'ro')).resolves.toMatchObject({
+      name: 'Rohan'
+    });
+    await expect(book.findByName('+911', 'r')).resolves.toBeNull();
+  });
+
+  it('updates and removes a person', async() => {
+    const { person } = await book.add('+911', priya);
+    await book.add('+911', { ...priya, name: 'Ravi' });
+
+    await expect(
+      book.update('+911', person._id, { name: 'Ravi' })
+    ).resolves.toEqual({ saved: false, reason: 'duplicate_name' });
+    const updated = await book.update('+911', person._id, {
+      relationship: 'Business partner',
+      birthTime: null
+    });
+    expect(updated.person).toMatchObject({
+      relationship: 'business_partner',
+      birthTime: null
+    });
+
+    await expect(book.remove('+911', person._id)).resolves.toBe(true);
+    await expect(book.get('+911', person._id)).resolves.toBeNull();
+    await expect(
+      book.update('+911', person._id, { name: 'X' })
+    ).resolves.toEqual({ saved: false, reason: 'not_found' });
+  });
+
+  it('has an empty book for an unknown user', async() => {
+    await expect(book.list('+999')).resolves.toEqual([]);
+    await expect(book.add('+999', priya)).resolves.toEqual({
+      saved: false,
+      reason: 'unknown_user'
+    });
+  });
+
+  it('turns a person into a birth profile with the owner\'s settings', () => {
+    const profile = PeopleBook.toProfile(priya, {
+      preferences: { ayanamsa: 'raman' }
+    });
+    expect(profile).toMatchObject({
+      birthDate: '1992-03-14',
+      birthTimezone: 'Asia/Kolkata',
+      preferences: { ayanamsa: 'raman' }
+    });
+    expect(
+      PeopleBook.describe({ ...priya, name: 'Priya', relationship: 'partner' })
+    ).toBe(
+      'Priya (Partner / spouse) · 14/03/1992 07:15 · Pune, Maharashtra, India'
+    );
+  });
+
+  it('reads relationships the way people type them', () => {
+    expect(normalizeRelationship('Mother')).toBe('parent');
+    expect(normalizeRelationship('rel_child')).toBe('child');
+    expect(normalizeRelationship('co-founder')).toBe('business_partner');
+    expect(normalizeRelationship('Sisters')).toBe('sibling');
+    expect(normalizeRelationship('neighbour')).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+// tests/unit/services/referrals/referralService.test.js
+// Unit tests for referral code redemption and rewards
+
+const {
+  ReferralService
+} = require('../../../../src/services/referrals/ReferralService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T06:00:00Z');
+
+/**
+ * In-memory stand-in for ReferralStore with the same rules
+ * @param {Array<Object>} users - Seed users
+ */
+const createStore = users => ({
+  users: users.map(user => ({ referredUsers: [], ...user })),
+  async findByPhone(phoneNumber) {
+    return this.users.find(user => user.phoneNumber === phoneNumber) || null;
+  },
+  async findByCode(referralCode) {
+    return this.users.find(user => user.referralCode === referralCode) || null;
+  },
+  async claimReferral(phoneNumber, referrerPhone, at) {
+    const user = await this.findByPhone(phoneNumber);
+    if (!user || user.referredBy) {
+      return false;
+    }
+    user.referredBy = referrerPhone;
+    user.referredAt = at;
+    return true;
+  },
+  async addReferredUser(referrerPhone, phoneNumber) {
+    const referrer = await this.findByPhone(referrerPhone);
+    if (!referrer.referredUsers.includes(phoneNumber)) {
+      referrer.referredUsers.push(phoneNumber);
+    }
+    return referrer.referredUsers.length;
+  }
+});
+
+const user = (phoneNumber, referralCode, extra = {}) => ({
+  phoneNumber,
+  referralCode,
+  name: phoneNumber,
+  createdAt: new Date(NOW.getTime() - DAY_MS),
+  ...extra
+});
+
+describe('ReferralService', () => {
+  let store;
+  let ledger;
+  let addLoyaltyPoints;
+  let sender;
+
+  const createService = (options = {}) =>
+    new ReferralService({
+      store,
+      ledger,
+      addLoyaltyPoints,
+      sender,
+      rewards: {
+        referrer: { points: 50, credits: { flash_insight: 2 } },
+        referred: { points: 25, credits: { compatibility_snapshot: 1 } }
+      },
+      now: () => NOW,
+      ...options
+    });
+
+  beforeEach(() => {
+    store = createStore([
+      user('+911', 'REFAAAA1111'),
+      user('+912', 'REFBBBB2222'),
+      user('+913', 'REFCCCC3333')
+    ]);
+    ledger = { grant: jest.fn().mockResolvedValue(true) };
+    addLoyaltyPoints = jest.fn().mockResolvedValue({});
+    sender = { sendTextMessage: jest.fn().mockResolvedValue({}) };
+  });
+
+  describe('parseCode', () => {
+    it('finds a code in a message, case-insensitively', () => {
+      expect(ReferralService.parseCode('my code: refaaaa1111 thanks')).toBe(
+        'REFAAAA1111'
+      );
+      expect(ReferralService.parseCode('hello')).toBeNull();
+      expect(ReferralService.parseCode(undefined)).toBeNull();
+    });
+  });
+
+  describe('redeem', () => {
+    it('links the users and rewards both sides', async() => {
+      const service = createService();
+
+      const result = await service.redeem('+912', 'REFAAAA1111');
+
+      expect(result).toEqual({
+        applied: true,
+        referrerName: '+911',
+        reward: '25 loyalty points and 1 Compatibility Snapshot'
+      });
+      const referred = await store.findByPhone('+912');
+      expect(referred.referredBy).toBe('+911');
+      expect(referred.referredAt).toEqual(NOW);
+      expect((await store.findByPhone('+911')).referredUsers).toEqual(['+912']);
+
+      expect(ledger.grant).toHaveBeenCalledWith(
+        '+912',
+        'compatibility_snapshot',
+        {
+          source: 'referral',
+          sourceRef: 'referral:+912:referred:compatibility_snapshot',
+          units: 1,
+          expiresAt: new Date(NOW.getTime() + 60 * DAY_MS)
+        }
+      );
+      expect(ledger.grant).toHaveBeenCalledWith(
+        '+911',
+        'flash_insight',
+        expect.objectContaining({
+          sourceRef: 'referral:+912:referrer:flash_insight',
+          units: 2
+        })
+      );
+      expect(addLoyaltyPoints).toHaveBeenCalledWith('+912', 25);
+      expect(addLoyaltyPoints).toHaveBeenCalledWith('+911', 50);
+      expect(sender.sendTextMessage).toHaveBeenCalledWith(
+        '+911',
+        expect.stringContaining('joined with your referral code')
+      );
+    });
+
+    it('rejects the user\'s own code', async() => {
+      const result = await createService().redeem('+911', 'REFAAAA1111');
+
+      expect(result).toEqual({ applied: false, reason: 'self_referral' });
+      expect(ledger.grant).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown and malformed codes', async() => {
+      const service = createService();
+
+      expect(await service.redeem('+912', 'REFZZZZ9999')).toEqual({
+        applied: false,
+        reason: 'invalid_code'
+      });
+      expect(await service.redeem('+912', 'hello')).toEqual({
+        applied: false,
+        reason: 'invalid_code'
+      });
+    });
+
+    it('accepts only one code per user', async() => {
+      const service = createService();
+      await service.redeem('+912', 'REFAAAA1111');
+
+      const result = await service.redeem('+912', 'REFCCCC3333');
+
+      expect(result).toEqual({ applied: false, reason: 'already_referred' });
+      expect(addLoyaltyPoints).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects a code that would close a referral loop', async() => {
+      const service = createService();
+      // +911 referred +912, who referred +913
+      await service.redeem('+912', 'REFAAAA1111');
+      await service.redeem('+913', 'REFBBBB2222');
+      ledger.grant.mockClear();
+
+      expect(await service.redeem('+911', 'REFCCCC3333')).toEqual({
+        applied: false,
+        reason: 'referral_loop'
+      });
+      expect(await service.redeem('+911', 'REFBBBB2222')).toEqual({
+        applied: false,
+        reason: 'referral_loop'
+      });
+      expect(ledger.grant).not.toHaveBeenCalled();
+    });
+
+    it('rejects codes after the redemption window', async() => {
+      (await store.findByPhone('+912')).createdAt = new Date(
+        NOW.getTime() - 31 * DAY_MS
+      );
+
+      const result = await createService().redeem('+912', 'REFAAAA1111');
+
+      expect(result).toEqual({ applied: false, reason: 'window_closed' });
+    });
+
+    it('stops rewarding the referrer past the cap', async() => {
+      const service = createService({ maxRewardedReferrals: 1 });
+      await service.redeem('+912', 'REFAAAA1111');
+      addLoyaltyPoints.mockClear();
+      sender.sendTextMessage.mockClear();
+
+      const result = await service.redeem('+913', 'REFAAAA1111');
+
+      expect(result.applied).toBe(true);
+      expect(addLoyaltyPoints).toHaveBeenCalledTimes(1);
+      expect(addLoyaltyPoints).toHaveBeenCalledWith('+913', 25);
+      expect(sender.sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    it('keeps the referral when the referrer cannot be notified', async() => {
+      sender.sendTextMessage.mockRejectedValue(new Error('offline'));
+
+      const result = await createService().redeem('+912', 'REFAAAA1111');
+
+      expect(result.applied).toBe(true);
+      expect(addLoyaltyPoints).toHaveBeenCalledWith('+911', 50);
+    });
+  });
+
+  describe('getStats', () => {
+    it('reports the code, referrals and whether a code can be used', async() => {
+      const service = createService();
+      await service.redeem('+912', 'REFAAAA1111');
+
+      const stats = await service.getStats('+911');
+
+      expect(stats).toEqual(
+        expect.objectContaining({
+          referralCode: 'REFAAAA1111',
+          referredCount: 1,
+          rewardedCount: 1,
+          referredBy: null,
+          canRedeemCode: true,
+          referrerReward: '50 loyalty points and 2 Flash Insights'
+        })
+      );
+      expect((await service.getStats('+912')).canRedeemCode).toBe(false);
+      expect(await service.getStats('+999')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,313 @@
+// tests/unit/services/reports/birthReportService.test.js
+// Unit tests for PDF birth report caching and delivery
+
+const {
+  BirthReportService
+} = require('../../../../src/services/reports/BirthReportService');
+const {
+  BirthReportBuilder
+} = require('../../../../src/services/reports/BirthReportBuilder');
+const {
+  BirthReportRenderer
+} = require('../../../../src/services/reports/BirthReportRenderer');
+const logger = require('../../../../src/utils/logger');
+
+/**
+ * In-memory stand-in for BirthReportStore
+ */
+const createStore = () => ({
+  reports: [],
+  async find(phoneNumber, fingerprint, { withPdf = false } = {}) {
+    const report = this.reports.find(
+      entry =>
+        entry.phoneNumber === phoneNumber && entry.fingerprint === fingerprint
+    );
+    if (!report) {
+      return null;
+    }
+    const { pdf, ...summary } = report;
+    return withPdf ? { ...report } : summary;
+  },
+  async save(phoneNumber, report) {
+    const saved = {
+      ...report,
+      _id: `r${this.reports.length + 1}`,
+      phoneNumber,
+      version: this.reports.length + 1,
+      deliveries: 0
+    };
+    this.reports.push(saved);
+    return { ...saved };
+  },
+  async recordDelivery(id, mediaId, uploaded) {
+    const report = this.reports.find(entry => entry._id === id);
+    report.mediaId = mediaId;
+    report.deliveries += 1;
+    if (uploaded) {
+      report.mediaUploadedAt = new Date(this.now);
+    }
+  }
+});
+
+const createTranslationService = () => ({
+  normalizeLanguageCode: code => code.split('-')[0],
+  hasTranslation: jest.fn(async() => false),
+  translate: jest.fn(async key => key),
+  interpolateParameters: (text, parameters) =>
+    text.replace(/\{(\w+)\}/g, (match, name) =>
+      (parameters[name] !== undefined ? parameters[name] : match)
+    )
+});
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha Rao',
+  preferredLanguage: 'en',
+  timezone: 'Asia/Kolkata',
+  birthDate: '150690',
+  birthTime: '1430',
+  birthPlace: 'Mumbai, India',
+  birthLatitude: 19.076,
+  birthLongitude: 72.8777,
+  birthTimezone: 'Asia/Kolkata',
+  preferences: { ayanamsa: 'lahiri', houseSystem: 'whole_sign' },
+  ...overrides
+});
+
+let builder;
+let renderer;
+let store;
+let sender;
+let service;
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+  builder = {
+    build: jest.fn(async birthData => ({
+      birthData,
+      sections: { overview: {}, yogas: {} },
+      missing: ['dasha']
+    }))
+  };
+  renderer = {
+    canRender: jest.fn(() => true),
+    render: jest.fn(async() => ({
+      buffer: Buffer.from('%PDF-1.3 test'),
+      pageCount: 4
+    }))
+  };
+  store = createStore();
+  store.now = '2026-10-19T06:00:00Z';
+  sender = {
+    uploadMedia: jest.fn(async() => 'media-1'),
+    sendDocument: jest.fn(async() => ({}))
+  };
+  service = new BirthReportService({
+    builder,
+    renderer,
+    store,
+    sender,
+    translationService: createTranslationService()
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('BirthReportService', () => {
+  const now = new Date('2026-10-19T06:00:00Z');
+
+  it('generates, uploads and sends a new report as a document', async() => {
+    const result = await service.deliver(buildUser(), { now });
+
+    expect(result).toEqual({
+      version: 1,
+      cached: false,
+      uploaded: true,
+      pageCount: 4,
+      missingSections: ['dasha']
+    });
+    expect(builder.build).toHaveBeenCalledWith(
+      expect.objectContaining({
+        birthDate: '15/06/1990',
+        birthTime: '14:30',
+        birthLatitude: 19.076
+      })
+    );
+    expect(sender.uploadMedia).toHaveBeenCalledWith(
+      expect.any(Buffer),
+      'application/pdf',
+      'Birth-Report-Asha-Rao-2026-10.pdf'
+    );
+    expect(sender.sendDocument).toHaveBeenCalledWith(
+      '911234567890',
+      'media-1',
+      '📄 Your birth report for Asha Rao (2026-10)',
+      'Birth-Report-Asha-Rao-2026-10.pdf'
+    );
+  });
+
+  it('serves re-requests from the cache and reuses the media ID', async() => {
+    await service.deliver(buildUser(), { now });
+    const later = new Date('2026-10-20T06:00:00Z');
+    const result = await service.deliver(buildUser(), { now: later });
+
+    expect(result.cached).toBe(true);
+    expect(result.uploaded).toBe(false);
+    expect(builder.build).toHaveBeenCalledTimes(1);
+    expect(renderer.render).toHaveBeenCalledTimes(1);
+    expect(sender.uploadMedia).toHaveBeenCalledTimes(1);
+    expect(sender.sendDocument).toHaveBeenLastCalledWith(
+      '911234567890',
+      'media-1',
+      expect.any(String),
+      expect.any(String)
+    );
+    expect(store.reports[0].deliveries).toBe(2);
+  });
+
+  it('re-uploads the stored PDF once the media ID has expired', async() => {
+    await service.deliver(buildUser(), { now });
+    // Same month in IST, but 26 days after the upload
+    jest.spyOn(service, 'getPeriod').mockReturnValue('2026-10');
+    sender.uploadMedia.mockResolvedValueOnce('media-2');
+
+    const result = await service.deliver(buildUser(), {
+      now: new Date('2026-11-14T06:00:00Z')
+    });
+
+    expect(result.cached).toBe(true);
+    expect(result.uploaded).toBe(true);
+    expect(builder.build).toHaveBeenCalledTimes(1);
+    expect(sender.uploadMedia.mock.calls[1][0].toString()).toBe(
+      '%PDF-1.3 test'
+    );
+    expect(store.reports[0].mediaId).toBe('media-2');
+  });
+
+  it('generates a new version when the profile or month changes', async() => {
+    await service.deliver(buildUser(), { now });
+    const moved = await service.deliver(
+      buildUser({ preferences: { ayanamsa: 'raman' } }),
+      { now }
+    );
+    const nextMonth = await service.deliver(buildUser(), {
+      now: new Date('2026-11-02T06:00:00Z')
+    });
+
+    expect(moved).toMatchObject({ version: 2, cached: false });
+    expect(nextMonth).toMatchObject({ version: 3, cached: false });
+    expect(builder.build).toHaveBeenCalledTimes(3);
+  });
+
+  it('shares one render between concurrent requests', async() => {
+    const [first, second] = await Promise.all([
+      service.deliver(buildUser(), { now }),
+      service.deliver(buildUser(), { now })
+    ]);
+
+    expect(builder.build).toHaveBeenCalledTimes(1);
+    expect(first.version).toBe(second.version);
+    expect(sender.sendDocument).toHaveBeenCalledTimes(2);
+    expect(service.inFlight.size).toBe(0);
+  });
+
+  it('falls back to English when the language cannot be rendered', async() => {
+    service.translationService.hasTranslation.mockResolvedValue(true);
+    service.translationService.translate.mockResolvedValue('जन्म रिपोर्ट');
+    renderer.canRender.mockReturnValue(false);
+
+    await service.deliver(buildUser({ preferredLanguage: 'hi' }), { now });
+
+    expect(renderer.render.mock.calls[0][1].locale).toBe('en');
+    expect(store.reports[0].language).toBe('en');
+  });
+
+  it('uses the period of the user timezone', () => {
+    const newYear = new Date('2026-12-31T20:00:00Z');
+    expect(service.getPeriod(newYear, 'Asia/Kolkata')).toBe('2027-01');
+    expect(service.getPeriod(newYear, 'America/New_York')).toBe('2026-12');
+  });
+});
+
+describe('BirthReportBuilder', () => {
+  const createBuilder = services =>
+    new BirthReportBuilder({
+      chartGenerator: {
+        generateVedicKundli: jest.fn(async() => ({
+          lagna: { sign: 'Libra', longitude: 190.5 },
+          planetaryPositions: {
+            sun: { sign: 'Gemini', longitude: 60.3, house: 9 }
+          }
+        }))
+      },
+      services
+    });
+
+  it('keeps the report when a section fails', async() => {
+    const failing = {
+      initialize: jest.fn(async() => {}),
+      validate: input => input,
+      processCalculation: jest.fn(async() => {
+        throw new Error('calculator unavailable');
+      })
+    };
+    const report = await createBuilder({
+      vimshottariDasha: failing
+    }).build({ birthDate: '15/06/1990', birthTime: '14:30' });
+
+    expect(report.missing).toContain('dasha');
+    expect(report.sections.dasha).toBeUndefined();
+    expect(report.planetRows[0]).toMatchObject({
+      planet: 'Sun',
+      sign: 'Gemini'
+    });
+  });
+});
+
+describe('BirthReportRenderer', () => {
+  const report = {
+    birthData: {
+      name: 'Asha Rao',
+      birthDate: '15/06/1990',
+      birthTime: '14:30',
+      birthPlace: 'Mumbai, India'
+    },
+    settings: { ayanamsaName: 'Lahiri', houseSystemName: 'Whole Sign' },
+    kundli: {},
+    planetRows: [
+      { planet: 'Sun', sign: 'Gemini', degree: 0.3, house: 9, retrograde: false }
+    ],
+    sections: {
+      shadbala: {
+        rows: [{ planet: 'Sun', total: 390, rupas: 6.5, strength: 'Strong' }]
+      }
+    },
+    missing: []
+  };
+
+  it('renders a paginated PDF without the chart image', async() => {
+    const renderer = new BirthReportRenderer({
+      chartRenderer: {
+        renderPng: () => {
+          throw new Error('no canvas');
+        }
+      }
+    });
+    const { buffer, pageCount } = await renderer.render(report, {
+      generatedAt: new Date('2026-10-19T06:00:00Z')
+    });
+
+    expect(buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pageCount).toBeGreaterThanOrEqual(1);
+  });
+
+  it('only accepts text the standard fonts can draw', () => {
+    const renderer = new BirthReportRenderer({});
+    expect(renderer.canRender('Informe natal • Año')).toBe(true);
+    expect(renderer.canRender('जन्म रिपोर्ट')).toBe(false);
+  });
+});
@@ -0,0 +1,305 @@
+// tests/unit/services/scheduler/dailyHoroscopeScheduler.test.js
+// Unit tests for scheduled daily horoscope delivery
+
+const {
+  DailyHoroscopeScheduler
+} = require('../../../../src/services/scheduler/DailyHoroscopeScheduler');
+const {
+  TimezoneDatabase
+} = require('../../../../src/services/astrology/geocoding/TimezoneDatabase');
+const logger = require('../../../../src/utils/logger');
+
+/**
+ * In-memory stand-in for HoroscopeDeliveryStore with the same claim rules
+ */
+const createStore = users => ({
+  users,
+  history: [],
+  windows: null,
+  async findZones() {
+    return [...new Set(this.users.map(user => user.timezone))].filter(Boolean);
+  },
+  async *findCandidates(windows, fallback) {
+    this.windows = { windows, fallback };
+    yield* this.users.map(user => ({ ...user }));
+  },
+  async claim(phoneNumber, dayStart, claimedAt) {
+    const user = this.users.find(u => u.phoneNumber === phoneNumber);
+    if (
+      user.preferences.dailyNotifications === false ||
+      (user.lastHoroscopeSent && user.lastHoroscopeSent >= dayStart)
+    ) {
+      return null;
+    }
+    const previous = user.lastHoroscopeSent || null;
+    user.lastHoroscopeSent = claimedAt;
+    return { previous };
+  },
+  async release(phoneNumber, claimedAt, previous) {
+    const user = this.users.find(u => u.phoneNumber === phoneNumber);
+    if (user.lastHoroscopeSent === claimedAt) {
+      user.lastHoroscopeSent = previous;
+    }
+  },
+  async record(phoneNumber, entry) {
+    this.history.push({ phoneNumber, ...entry });
+  }
+});
+
+const buildUser = overrides => ({
+  phoneNumber: '911234567890',
+  name: 'Asha',
+  preferredLanguage: 'hi',
+  timezone: 'Asia/Kolkata',
+  birthDate: '15061990',
+  birthTime: '1430',
+  birthPlace: 'Mumbai, India',
+  preferences: { dailyNotifications: true, morningHoroscopeTime: '08:00' },
+  lastInteraction: null,
+  lastHoroscopeSent: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.spyOn(logger, 'info').mockImplementation(() => {});
+  jest.spyOn(logger, 'error').mockImplementation(() => {});
+  jest.spyOn(logger, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DailyHoroscopeScheduler', () => {
+  // 08:10 in Kolkata
+  const now = new Date('2026-10-19T02:40:00Z');
+  let horoscopeService;
+  let sender;
+
+  const createScheduler = store =>
+    new DailyHoroscopeScheduler({
+      store,
+      horoscopeService,
+      sender,
+      timezoneDatabase: new TimezoneDatabase(),
+      now: () => now
+    });
+
+  beforeEach(() => {
+    horoscopeService = {
+      getHoroscopeForDate: jest.fn().mockResolvedValue({
+        horoscope: {
+          generalReading: 'A good day to start.\nTrust yourself.',
+          luckyColor: 'Blue'
+        },
+        date: '19/10/2026',
+        error: false
+      })
+    };
+    sender = {
+      sendTextMessage: jest.fn().mockResolvedValue({}),
+      sendTemplateMessage: jest.fn().mockResolvedValue({})
+    };
+  });
+
+  describe('planDelivery', () => {
+    it('should be due after the local delivery time', () => {
+      const scheduler = createScheduler(createStore([]));
+
+      const plan = scheduler.planDelivery(buildUser(), now);
+
+      expect(plan.zone).toBe('Asia/Kolkata');
+      expect(plan.localDate).toEqual({ year: 2026, month: 10, day: 19 });
+      expect(plan.dueAt.toISOString()).toBe('2026-10-19T02:30:00.000Z');
+      expect(plan.dayStart.toISOString()).toBe('2026-10-18T18:30:00.000Z');
+    });
+
+    it('should wait until the delivery time in the user\'s zone', () => {
+      const scheduler = createScheduler(createStore([]));
+
+      // 22:40 the previous evening in New York
+      expect(
+        scheduler.planDelivery(buildUser({ timezone: 'America/New_York' }), now)
+      ).toBeNull();
+    });
+
+    it('should skip days missed by more than the catch-up window', () => {
+      const scheduler = createScheduler(createStore([]));
+      const user = buildUser({
+        preferences: { dailyNotifications: true, morningHoroscopeTime: '03:00' }
+      });
+
+      expect(scheduler.planDelivery(user, now)).toBeNull();
+    });
+
+    it('should fall back to the birth zone, then the default', () => {
+      const scheduler = createScheduler(createStore([]));
+
+      expect(
+        scheduler.planDelivery(
+          buildUser({ timezone: null, birthTimezone: 'Asia/Kolkata' }),
+          now
+        ).zone
+      ).toBe('Asia/Kolkata');
+      expect(
+        scheduler.planDelivery(
+          buildUser({
+            timezone: 'Mars/Olympus',
+            preferences: {
+              dailyNotifications: true,
+              morningHoroscopeTime: '02:00'
+            }
+          }),
+          now
+        ).zone
+      ).toBe('UTC');
+    });
+  });
+
+  describe('tick', () => {
+    it('should ask the store only for users who may be due in their zone', async() => {
+      const store = createStore([
+        buildUser(),
+        buildUser({ phoneNumber: '12125550100', timezone: 'America/New_York' }),
+        buildUser({ phoneNumber: '33155550100', timezone: 'Mars/Olympus' })
+      ]);
+
+      await createScheduler(store).tick();
+
+      // 08:10 in Kolkata, 22:40 in New York, 02:40 UTC; 4 hours to catch up
+      expect(store.windows).toEqual({
+        windows: [
+          {
+            zone: 'Asia/Kolkata',
+            from: '03:10',
+            to: '09:10',
+            includeUnset: true,
+            dayStart: new Date('2026-10-18T18:30:00Z')
+          },
+          {
+            zone: 'America/New_York',
+            from: '17:40',
+            to: '23:40',
+            includeUnset: false,
+            dayStart: new Date('2026-10-18T04:00:00Z')
+          }
+        ],
+        fallback: {
+          zone: 'UTC',
+          from: '00:00',
+          to: '03:40',
+          includeUnset: false,
+          dayStart: new Date('2026-10-19T00:00:00Z')
+        }
+      });
+    });
+
+    it('should send a text message inside the session window', async() => {
+      const store = createStore([
+        buildUser({ lastInteraction: new Date('2026-10-18T20:00:00Z') })
+      ]);
+
+      const stats = await createScheduler(store).tick();
+
+      expect(stats).toEqual({ sent: 1, failed: 0 });
+      expect(sender.sendTextMessage).toHaveBeenCalledWith(
+        '911234567890',
+        expect.stringContaining('A good day to start.')
+      );
+      expect(sender.sendTemplateMessage).not.toHaveBeenCalled();
+      expect(horoscopeService.getHoroscopeForDate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          birthDate: '15/06/1990',
+          birthTime: '14:30'
+        }),
+        '19/10/2026'
+      );
+    });
+
+    it('should use the template outside the session window', async() => {
+      const store = createStore([buildUser()]);
+
+      await createScheduler(store).tick();
+
+      expect(sender.sendTemplateMessage).toHaveBeenCalledWith(
+        '911234567890',
+        'daily_horoscope',
+        'hi',
+        [
+          {
+            type: 'body',
+            parameters: [
+              { type: 'text', text: 'Asha' },
+              { type: 'text', text: 'A good day to start. Trust yourself.' }
+            ]
+          }
+        ]
+      );
+    });
+
+    it('should record every delivery in the prediction history', async() => {
+      const store = createStore([buildUser()]);
+
+      await createScheduler(store).tick();
+
+      expect(store.history).toEqual([
+        expect.objectContaining({
+          phoneNumber: '911234567890',
+          type: 'daily',
+          timestamp: now
+        })
+      ]);
+      expect(store.users[0].lastHoroscopeSent).toBe(now);
+    });
+
+    it('should never send twice in a day, even after a restart', async() => {
+      const store = createStore([buildUser()]);
+
+      await createScheduler(store).tick();
+      await createScheduler(store).tick();
+
+      expect(sender.sendTemplateMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not send when another instance claimed the user first', async() => {
+      const store = createStore([buildUser()]);
+      // Candidate list is stale: the claim has already been taken
+      store.users[0].lastHoroscopeSent = new Date('2026-10-19T02:35:00Z');
+      store.findCandidates = async function* () {
+        yield buildUser();
+      };
+
+      const stats = await createScheduler(store).tick();
+
+      expect(stats).toEqual({ sent: 0, failed: 0 });
+      expect(sender.sendTemplateMessage).not.toHaveBeenCalled();
+    });
+
+    it('should release the claim when sending fails', async() => {
+      const previous = new Date('2026-10-18T02:31:00Z');
+      const store = createStore([buildUser({ lastHoroscopeSent: previous })]);
+      sender.sendTemplateMessage.mockRejectedValueOnce(new Error('HTTP 500'));
+
+      const scheduler = createScheduler(store);
+      const first = await scheduler.tick();
+      const retry = await scheduler.tick();
+
+      expect(first).toEqual({ sent: 0, failed: 1 });
+      expect(retry).toEqual({ sent: 1, failed: 0 });
+      expect(store.history).toHaveLength(1);
+    });
+
+    it('should skip users who turned notifications off', async() => {
+      const store = createStore([
+        buildUser({ preferences: { dailyNotifications: false } })
+      ]);
+      store.findCandidates = async function* () {
+        yield buildUser();
+      };
+
+      await createScheduler(store).tick();
+
+      expect(sender.sendTemplateMessage).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,164 @@
+// tests/unit/services/scheduler/horoscopeDeliveryStore.test.js
+// Unit tests for the daily horoscope candidate query
+
+const {
+  HoroscopeDeliveryStore
+} = require('../../../../src/services/scheduler/HoroscopeDeliveryStore');
+
+/**
+ * In-memory User model covering the operators the store queries with
+ */
+const createUserModel = users => {
+  const valueAt = (record, path) =>
+    path
+      .split('.')
+      .reduce((value, key) => (value == null ? value : value[key]), record);
+
+  const matchesValue = (value, condition) => {
+    if (
+      condition === null ||
+      typeof condition !== 'object' ||
+      condition instanceof Date
+    ) {
+      return condition === null ?
+        value == null :
+        String(value) === String(condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$ne') {
+        return value !== operand;
+      }
+      if (operator === '$nin') {
+        return !operand.includes(value);
+      }
+      if (value == null) {
+        return false;
+      }
+      switch (operator) {
+      case '$lt':
+        return value < operand;
+      case '$gt':
+        return value > operand;
+      case '$gte':
+        return value >= operand;
+      case '$lte':
+        return value <= operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  };
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([key, condition]) => {
+      if (key === '$or') {
+        return condition.some(branch => matches(record, branch));
+      }
+      if (key === '$and') {
+        return condition.every(branch => matches(record, branch));
+      }
+      return matchesValue(valueAt(record, key), condition);
+    });
+
+  return {
+    queries: [],
+    async distinct(field, filter) {
+      return [
+        ...new Set(
+          users.filter(user => matches(user, filter)).map(user => user[field])
+        )
+      ];
+    },
+    find(filter) {
+      this.queries.push(filter);
+      let limit = Infinity;
+      const query = {
+        sort: () => query,
+        limit: count => {
+          limit = count;
+          return query;
+        },
+        select: () => query,
+        lean: async() =>
+          users
+            .filter(user => matches(user, filter))
+            .sort((a, b) => a._id - b._id)
+            .slice(0, limit)
+      };
+      return query;
+    }
+  };
+};
+
+const dayStart = new Date('2026-10-18T18:30:00Z');
+
+const buildUser = (_id, overrides) => ({
+  _id,
+  phoneNumber: `91123456789${_id}`,
+  profileComplete: true,
+  birthDate: '15061990',
+  timezone: 'Asia/Kolkata',
+  preferences: { dailyNotifications: true, morningHoroscopeTime: '08:00' },
+  lastHoroscopeSent: null,
+  ...overrides
+});
+
+describe('HoroscopeDeliveryStore', () => {
+  const windows = [
+    {
+      zone: 'Asia/Kolkata',
+      from: '03:10',
+      to: '09:10',
+      includeUnset: true,
+      dayStart
+    }
+  ];
+  const fallback = {
+    zone: 'UTC',
+    from: '00:00',
+    to: '03:40',
+    includeUnset: false,
+    dayStart: new Date('2026-10-19T00:00:00Z')
+  };
+
+  const collect = async iterable => {
+    const found = [];
+    for await (const user of iterable) {
+      found.push(user._id);
+    }
+    return found;
+  };
+
+  it('should read only users due in the zone they are delivered in', async() => {
+    const model = createUserModel([
+      buildUser(1),
+      buildUser(2, {
+        preferences: { dailyNotifications: true, morningHoroscopeTime: '8:00' }
+      }),
+      buildUser(3, {
+        preferences: { dailyNotifications: true, morningHoroscopeTime: '12:00' }
+      }),
+      buildUser(4, { lastHoroscopeSent: new Date('2026-10-19T02:31:00Z') }),
+      buildUser(5, {
+        lastHoroscopeSent: new Date('2026-10-18T02:31:00Z'),
+        timezone: 'Mars/Olympus',
+        birthTimezone: 'Asia/Kolkata'
+      }),
+      buildUser(6, {
+        timezone: null,
+        preferences: { dailyNotifications: true, morningHoroscopeTime: '02:00' }
+      }),
+      buildUser(7, { timezone: null }),
+      buildUser(8, { preferences: { dailyNotifications: false } }),
+      buildUser(9, { preferences: { dailyNotifications: true } })
+    ]);
+    const store = new HoroscopeDeliveryStore({ model, pageSize: 2 });
+
+    expect(await store.findZones()).toEqual(['Asia/Kolkata', 'Mars/Olympus']);
+    expect(await collect(store.findCandidates(windows, fallback))).toEqual([
+      1, 2, 5, 6, 9
+    ]);
+    // Three pages of two, each after the last _id read
+    expect(model.queries).toHaveLength(3);
+    expect(model.queries[2]._id).toEqual({ $gt: 6 });
+  });
+});
@@ -0,0 +1,180 @@
+// tests/unit/services/state/stateStore.test.js
+// Unit tests for the shared state store backends and namespaces
+
+const {
+  createStateStore,
+  getStateNamespace,
+  resetStateStore,
+  InMemoryStateStore,
+  MongoStateStore
+} = require('../../../../src/services/state');
+
+describe('InMemoryStateStore', () => {
+  let store;
+  let now;
+
+  beforeEach(() => {
+    store = new InMemoryStateStore();
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+  });
+
+  afterEach(() => {
+    now.mockRestore();
+  });
+
+  it('expires entries after their TTL', async() => {
+    await store.set('menus', '+1', { 1: 'daily_horoscope' }, 1000);
+    await store.set('menus', '+2', { 1: 'tarot' });
+
+    now.mockReturnValue(1000999);
+    await expect(store.get('menus', '+1')).resolves.toEqual({
+      1: 'daily_horoscope'
+    });
+
+    now.mockReturnValue(1001000);
+    await expect(store.get('menus', '+1')).resolves.toBeNull();
+    await expect(store.count('menus')).resolves.toBe(1);
+    await expect(store.entries('menus')).resolves.toEqual([
+      ['+2', { 1: 'tarot' }]
+    ]);
+  });
+
+  it('keeps namespaces apart', async() => {
+    await store.set('menus', '+1', 'menu');
+    await store.set('sessions', '+1', 'session');
+
+    await expect(store.clear('menus')).resolves.toBe(1);
+    await expect(store.get('menus', '+1')).resolves.toBeNull();
+    await expect(store.get('sessions', '+1')).resolves.toBe('session');
+  });
+
+  it('hands out copies that survive JSON, like the shared backends', async() => {
+    const session = { lastActivity: new Date(0), flowData: {} };
+    await store.set('sessions', '+1', session);
+    session.flowData.name = 'changed';
+
+    const stored = await store.get('sessions', '+1');
+    expect(stored).toEqual({
+      lastActivity: '1970-01-01T00:00:00.000Z',
+      flowData: {}
+    });
+    stored.flowData.name = 'changed';
+    await expect(store.get('sessions', '+1')).resolves.toEqual(
+      expect.objectContaining({ flowData: {} })
+    );
+  });
+
+  it('updates, renewing the TTL, and deletes on null', async() => {
+    await store.set('counters', 'a', 1, 1000);
+    now.mockReturnValue(1000500);
+    await expect(
+      store.update('counters', 'a', count => (count || 0) + 1, 1000)
+    ).resolves.toBe(2);
+
+    now.mockReturnValue(1001200);
+    await expect(store.get('counters', 'a')).resolves.toBe(2);
+
+    await expect(store.update('counters', 'a', () => null)).resolves.toBeNull();
+    await expect(store.delete('counters', 'a')).resolves.toBe(false);
+  });
+
+  it('drops the oldest entries when a namespace is full', async() => {
+    store = new InMemoryStateStore({ maxEntries: 2 });
+    await store.set('menus', 'a', 1);
+    await store.set('menus', 'b', 2);
+    await store.set('menus', 'a', 3); // Rewriting makes it the newest
+    await store.set('menus', 'c', 4);
+
+    await expect(store.entries('menus')).resolves.toEqual([
+      ['a', 3],
+      ['c', 4]
+    ]);
+  });
+});
+
+describe('MongoStateStore', () => {
+  const createModel = entries => ({
+    findOne: jest.fn(() => ({ lean: async() => entries.shift() || null })),
+    updateOne: jest.fn(),
+    deleteOne: jest.fn(),
+    create: jest.fn()
+  });
+
+  it('retries an update that lost a race to another instance', async() => {
+    const model = createModel([
+      { _id: 'e1', value: '{"count":1}', version: 3 },
+      { _id: 'e1', value: '{"count":5}', version: 4 }
+    ]);
+    model.updateOne
+      .mockResolvedValueOnce({ matchedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1 });
+    const store = new MongoStateStore({ model });
+
+    await expect(
+      store.update('counters', 'a', ({ count }) => ({ count: count + 1 }))
+    ).resolves.toEqual({ count: 6 });
+    expect(model.updateOne).toHaveBeenLastCalledWith(
+      { _id: 'e1', version: 4 },
+      {
+        $set: { value: '{"count":6}', expiresAt: null },
+        $inc: { version: 1 }
+      }
+    );
+  });
+
+  it('treats a key another instance created first as a conflict', async() => {
+    const model = createModel([
+      null,
+      { _id: 'e1', value: '["first"]', version: 0 }
+    ]);
+    model.create.mockRejectedValueOnce(
+      Object.assign(new Error('duplicate key'), { code: 11000 })
+    );
+    model.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+    const store = new MongoStateStore({ model });
+
+    await expect(
+      store.update('lists', 'a', list => [...(list || []), 'second'], 1000)
+    ).resolves.toEqual(['first', 'second']);
+  });
+
+  it('reads an entry left behind after it expired as absent', async() => {
+    const model = createModel([
+      { _id: 'e1', value: '"stale"', version: 0, expiresAt: new Date(0) }
+    ]);
+    model.updateOne.mockResolvedValueOnce({ matchedCount: 1 });
+    const store = new MongoStateStore({ model });
+    const updater = jest.fn(() => 'fresh');
+
+    await store.update('menus', '+1', updater, 1000);
+    expect(updater).toHaveBeenCalledWith(null);
+  });
+});
+
+describe('state store factory', () => {
+  afterEach(() => {
+    resetStateStore();
+  });
+
+  it('uses the memory backend in tests and rejects unknown ones', () => {
+    expect(createStateStore().backend).toBe('memory');
+    expect(createStateStore('mongo').backend).toBe('mongo');
+    expect(() => createStateStore('etcd')).toThrow(
+      'Unknown state store backend: etcd'
+    );
+  });
+
+  it('gives namespaces a default TTL and one shared store', async() => {
+    const writer = getStateNamespace('menus', { ttlMs: 1000 });
+    const reader = getStateNamespace('menus');
+    const local = getStateNamespace('menus', { local: true });
+
+    await writer.set('+1', { 1: 'tarot' });
+    await expect(reader.get('+1')).resolves.toEqual({ 1: 'tarot' });
+    await expect(local.get('+1')).resolves.toBeNull();
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+    await expect(reader.get('+1')).resolves.toBeNull();
+    now.mockRestore();
+  });
+});
@@ -0,0 +1,277 @@
+// tests/unit/services/whatsapp/inboundQueue.test.js
+// Unit tests for the inbound message queue and worker pool
+
+const {
+  InMemoryInboundQueue,
+  MongoInboundQueue,
+  InboundMessageWorker
+} = require('../../../../src/services/whatsapp/inbound');
+
+const buildMessage = (id, from, timestamp) => ({
+  id,
+  from,
+  timestamp: String(timestamp),
+  type: 'text',
+  text: { body: `message ${id}` }
+});
+
+describe('InMemoryInboundQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new InMemoryInboundQueue();
+  });
+
+  it('should ignore redelivered message IDs', async() => {
+    const message = buildMessage('wamid.1', '911234567890', 1000);
+
+    const first = await queue.enqueue(message, {});
+    const second = await queue.enqueue(message, {});
+
+    expect(first).toEqual({
+      enqueued: true,
+      duplicate: false,
+      messageId: 'wamid.1'
+    });
+    expect(second.duplicate).toBe(true);
+  });
+
+  it('should still ignore an ID after it has been processed', async() => {
+    const message = buildMessage('wamid.1', '911234567890', 1000);
+    await queue.enqueue(message, {});
+    const claimed = await queue.claimNext('worker-1');
+    await queue.complete(claimed.messageId);
+
+    const redelivery = await queue.enqueue(message, {});
+
+    expect(redelivery.duplicate).toBe(true);
+    expect(await queue.claimNext('worker-1')).toBeNull();
+  });
+
+  it('should not hand out a second message from a sender in progress', async() => {
+    await queue.enqueue(buildMessage('wamid.1', '911111111111', 1000), {});
+    await queue.enqueue(buildMessage('wamid.2', '911111111111', 1001), {});
+    await queue.enqueue(buildMessage('wamid.3', '922222222222', 1002), {});
+
+    const first = await queue.claimNext('worker-1');
+    const second = await queue.claimNext('worker-2');
+    const third = await queue.claimNext('worker-3');
+
+    expect(first.messageId).toBe('wamid.1');
+    expect(second.messageId).toBe('wamid.3');
+    expect(third).toBeNull();
+
+    await queue.complete('wamid.1');
+    const next = await queue.claimNext('worker-1');
+    expect(next.messageId).toBe('wamid.2');
+  });
+
+  it('should order messages by WhatsApp timestamp', async() => {
+    await queue.enqueue(buildMessage('wamid.late', '911111111111', 2000), {});
+    await queue.enqueue(buildMessage('wamid.early', '911111111111', 1000), {});
+
+    const claimed = await queue.claimNext('worker-1');
+
+    expect(claimed.messageId).toBe('wamid.early');
+  });
+
+  it('should hold a sender back while a failed message waits to retry', async() => {
+    await queue.enqueue(buildMessage('wamid.1', '911111111111', 1000), {});
+    await queue.enqueue(buildMessage('wamid.2', '911111111111', 1001), {});
+
+    await queue.claimNext('worker-1');
+    await queue.fail('wamid.1', new Error('boom'), new Date(Date.now() + 60000));
+
+    expect(await queue.claimNext('worker-1')).toBeNull();
+    expect((await queue.getStats()).pending).toBe(2);
+  });
+});
+
+/**
+ * In-memory stand-in for the InboundMessage model, matching the query
+ * operators MongoInboundQueue uses
+ */
+const createInboundModel = () => {
+  const records = [];
+  let nextId = 1;
+
+  const matchesValue = (value, condition) => {
+    if (
+      condition === null ||
+      typeof condition !== 'object' ||
+      condition instanceof Date
+    ) {
+      return String(value) === String(condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+      case '$ne':
+        return String(value) !== String(operand);
+      case '$nin':
+        return !operand.map(String).includes(String(value));
+      case '$lt':
+        return value < operand;
+      case '$lte':
+        return value <= operand;
+      case '$gt':
+        return value > operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  };
+  const matches = (record, filter) =>
+    Object.entries(filter).every(([key, condition]) =>
+      (key === '$or' ?
+        condition.some(branch => matches(record, branch)) :
+        matchesValue(record[key], condition))
+    );
+  const apply = (record, { $set = {}, $inc = {} }) => {
+    Object.assign(record, $set);
+    Object.entries($inc).forEach(([key, amount]) => {
+      record[key] += amount;
+    });
+  };
+  const query = result => ({
+    sort(order) {
+      const keys = Object.keys(order);
+      result.sort((a, b) => {
+        const key = keys.find(name => a[name] - b[name] !== 0);
+        return key ? (a[key] - b[key]) * order[key] : 0;
+      });
+      return this;
+    },
+    limit(count) {
+      result = result.slice(0, count);
+      return this;
+    },
+    lean: async() =>
+      (Array.isArray(result) ?
+        result.map(record => ({ ...record })) :
+        result && { ...result })
+  });
+
+  return {
+    records,
+    async create(record) {
+      records.push({ ...record, _id: nextId++ });
+    },
+    find: filter => query(records.filter(record => matches(record, filter))),
+    async distinct(key, filter) {
+      return [
+        ...new Set(
+          records.filter(record => matches(record, filter)).map(r => r[key])
+        )
+      ];
+    },
+    async exists(filter) {
+      return records.some(record => matches(record, filter)) || null;
+    },
+    findOneAndUpdate(filter, update) {
+      const record = records.find(item => matches(item, filter));
+      if (record) {
+        apply(record, update);
+      }
+      return query(record || null);
+    },
+    async updateOne(filter, update) {
+      const record = records.find(item => matches(item, filter));
+      if (record) {
+        apply(record, update);
+      }
+    },
+    async updateMany(filter, update) {
+      const matched = records.filter(record => matches(record, filter));
+      matched.forEach(record => apply(record, update));
+      return { modifiedCount: matched.length };
+    }
+  };
+};
+
+describe('MongoInboundQueue', () => {
+  it('should not let one sender\'s backlog starve the others', async() => {
+    const queue = new MongoInboundQueue({
+      model: createInboundModel(),
+      scanSize: 5
+    });
+    // A busy sender floods the queue ahead of everyone else
+    for (let i = 0; i < 12; i++) {
+      await queue.enqueue(buildMessage(`a${i}`, '911111111111', 1000 + i), {});
+    }
+    await queue.enqueue(buildMessage('b1', '922222222222', 2000), {});
+
+    const first = await queue.claimNext('worker-1');
+    const second = await queue.claimNext('worker-2');
+
+    expect(first.messageId).toBe('a0');
+    expect(second.messageId).toBe('b1');
+    expect(await queue.claimNext('worker-3')).toBeNull();
+  });
+
+  it('should serve others while a flooding sender waits to retry', async() => {
+    const queue = new MongoInboundQueue({
+      model: createInboundModel(),
+      scanSize: 5
+    });
+    for (let i = 0; i < 12; i++) {
+      await queue.enqueue(buildMessage(`a${i}`, '911111111111', 1000 + i), {});
+    }
+    await queue.enqueue(buildMessage('b1', '922222222222', 2000), {});
+
+    await queue.claimNext('worker-1');
+    await queue.fail('a0', new Error('boom'), new Date(Date.now() + 60000));
+
+    expect((await queue.claimNext('worker-1')).messageId).toBe('b1');
+  });
+});
+
+describe('InboundMessageWorker', () => {
+  let queue;
+  let worker;
+
+  afterEach(async() => {
+    if (worker) {
+      await worker.stop();
+    }
+  });
+
+  it('should process every queued message once, in order per sender', async() => {
+    queue = new InMemoryInboundQueue();
+    const processed = [];
+    worker = new InboundMessageWorker({
+      queue,
+      concurrency: 3,
+      processMessage: async message => {
+        processed.push(message.id);
+      }
+    });
+
+    await queue.enqueue(buildMessage('a1', '911111111111', 1), {});
+    await queue.enqueue(buildMessage('b1', '922222222222', 1), {});
+    await queue.enqueue(buildMessage('a2', '911111111111', 2), {});
+    await queue.enqueue(buildMessage('a1', '911111111111', 1), {});
+
+    worker.start();
+    await worker.idle();
+
+    expect(processed).toHaveLength(3);
+    expect(processed.indexOf('a1')).toBeLessThan(processed.indexOf('a2'));
+    expect(await queue.getStats()).toMatchObject({ done: 3, pending: 0 });
+  });
+
+  it('should mark a message failed after the last attempt', async() => {
+    queue = new InMemoryInboundQueue();
+    worker = new InboundMessageWorker({
+      queue,
+      maxAttempts: 1,
+      processMessage: jest.fn().mockRejectedValue(new Error('calculation failed'))
+    });
+
+    await queue.enqueue(buildMessage('a1', '911111111111', 1), {});
+    worker.start();
+    await worker.idle();
+
+    expect(worker.processMessage).toHaveBeenCalledTimes(1);
+    expect(await queue.getStats()).toMatchObject({ failed: 1, pending: 0 });
+  });
+});
@@ -0,0 +1,68 @@
+// tests/unit/services/whatsapp/menuHandler.test.js
+// Unit tests for numbered menu fallbacks kept in the shared state store
+
+const {
+  MenuHandler
+} = require('../../../../src/services/whatsapp/MenuHandler');
+const { resetStateStore } = require('../../../../src/services/state');
+
+const menu = {
+  body: { text: 'Choose a reading' },
+  sections: [
+    {
+      title: 'Readings',
+      rows: [
+        { id: 'get_daily_horoscope', title: '🌅 Daily Horoscope' },
+        { id: 'get_tarot_reading', title: '🔮 Tarot Reading' }
+      ]
+    }
+  ]
+};
+
+describe('MenuHandler', () => {
+  beforeEach(() => {
+    resetStateStore();
+  });
+
+  it('answers a numbered menu sent by another instance', async() => {
+    const text = await new MenuHandler().createNumberedMenuFallback(
+      menu,
+      '+911'
+    );
+    expect(text).toContain('1. Daily Horoscope');
+    expect(text).toContain('2. Tarot Reading');
+
+    const handler = new MenuHandler();
+    await expect(handler.getNumberedMenuAction('+911', ' 2 ')).resolves.toBe(
+      'get_tarot_reading'
+    );
+    await expect(handler.getNumberedMenuAction('+911', 'tarot')).resolves.toBe(
+      'get_tarot_reading'
+    );
+    await expect(
+      handler.getNumberedMenuAction('+912', '1')
+    ).resolves.toBeNull();
+  });
+
+  it('forgets mappings once cleared or expired', async() => {
+    const handler = new MenuHandler();
+    await handler.createNumberedMenuFallback(menu, '+911');
+    await handler.createNumberedMenuFallback(menu, '+912');
+
+    await expect(handler.getAllActiveMenus()).resolves.toMatchObject({
+      totalActiveUsers: 2
+    });
+    await expect(handler.clearNumberedMenuMappings('+911')).resolves.toBe(true);
+    await expect(handler.getMenuStats('+911')).resolves.toMatchObject({
+      hasMappings: false
+    });
+
+    const now = jest
+      .spyOn(Date, 'now')
+      .mockReturnValue(Date.now() + 24 * 60 * 60 * 1000);
+    await expect(
+      handler.getNumberedMenuAction('+912', '1')
+    ).resolves.toBeNull();
+    now.mockRestore();
+  });
+});
@@ -20,6 +20,8 @@ const {
   sendListMessage,
   sendTemplateMessage,
   sendMediaMessage,
+  sendMediaBuffer,
+  sendImageBuffer,
   markMessageAsRead,
   sendMessage,
   getNumberedMenuAction,
@@ -595,6 +597,80 @@ describe('WhatsApp Message Sender', () => {
     });
   });
 
+  describe('sendMediaBuffer', () => {
+    it('should upload the file and send it by media ID', async() => {
+      axios.post
+        .mockResolvedValueOnce({ data: { id: 'uploaded-789' } })
+        .mockResolvedValueOnce({ data: { messages: [{ id: 'msg-doc-1' }] } });
+      const buffer = Buffer.from('%PDF-1.7 test');
+
+      await sendMediaBuffer(phoneNumber, 'document', buffer, {
+        mimeType: 'application/pdf',
+        filename: 'report.pdf',
+        caption: 'Your report'
+      });
+
+      const [uploadUrl, form, uploadConfig] = axios.post.mock.calls[0];
+      expect(uploadUrl).toBe(
+        `https://graph.facebook.com/v24.0/${phoneNumberId}/media`
+      );
+      expect(form.get('messaging_product')).toBe('whatsapp');
+      expect(form.get('type')).toBe('application/pdf');
+      expect(form.get('file').name).toBe('report.pdf');
+      expect(form.get('file').size).toBe(buffer.length);
+      expect(uploadConfig.headers).toEqual({
+        Authorization: `Bearer ${accessToken}`
+      });
+
+      expect(axios.post).toHaveBeenLastCalledWith(
+        `https://graph.facebook.com/v24.0/${phoneNumberId}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          to: `+${phoneNumber}`,
+          type: 'document',
+          document: {
+            id: 'uploaded-789',
+            caption: 'Your report',
+            filename: 'report.pdf'
+          }
+        },
+        expect.any(Object)
+      );
+    });
+
+    it('should send a PNG as an image', async() => {
+      axios.post
+        .mockResolvedValueOnce({ data: { id: 'uploaded-png' } })
+        .mockResolvedValueOnce({ data: { messages: [{ id: 'msg-img-1' }] } });
+
+      await sendImageBuffer(phoneNumber, Buffer.from([0x89, 0x50]), 'Chart');
+
+      expect(axios.post.mock.calls[0][1].get('type')).toBe('image/png');
+      expect(axios.post.mock.calls[1][1].image).toEqual({
+        id: 'uploaded-png',
+        caption: 'Chart'
+      });
+    });
+
+    it('should not send anything when the upload fails', async() => {
+      axios.post.mockRejectedValueOnce({
+        response: { status: 413, data: { error: { message: 'File too big' } } }
+      });
+
+      await expect(
+        sendImageBuffer(phoneNumber, Buffer.from([1]), 'Chart')
+      ).rejects.toThrow('Request too large: File too big');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an empty buffer without uploading', async() => {
+      await expect(
+        sendImageBuffer(phoneNumber, Buffer.alloc(0))
+      ).rejects.toThrow('Cannot send empty image');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
   describe('markMessageAsRead', () => {
     it('should mark message as read successfully', async() => {
       const messageId = 'msg-123';
@@ -806,7 +882,7 @@ describe('WhatsApp Message Sender', () => {
       global.numberedMenuMappings = originalMap;
     });
 
-    it('should create numbered menu fallback from list data', () => {
+    it('should create numbered menu fallback from list data', async() => {
       const menuData = {
         sections: [
           {
@@ -827,7 +903,7 @@ describe('WhatsApp Message Sender', () => {
         ]
       };
 
-      const result = createNumberedMenuFallback(menuData, phoneNumber);
+      const result = await createNumberedMenuFallback(menuData, phoneNumber);
 
       expect(result).toContain('📋 *Menu Options:*');
       expect(result).toContain('_Services_');
@@ -838,8 +914,10 @@ describe('WhatsApp Message Sender', () => {
       expect(result).toContain('Type a number (1, 2, 3, etc.)');
     });
 
-    it('should return null for non-existent user mappings', () => {
-      expect(getNumberedMenuAction('non-existent-user', '1')).toBeNull();
+    it('should return null for non-existent user mappings', async() => {
+      await expect(
+        getNumberedMenuAction('non-existent-user', '1')
+      ).resolves.toBeNull();
     });
   });
 
@@ -0,0 +1,191 @@
+// tests/unit/services/whatsapp/outboundComposer.test.js
+// Unit tests for fitting outbound messages to WhatsApp's limits
+
+const {
+  OutboundComposer,
+  LIMITS,
+  abbreviate,
+  splitText,
+  stripFormatting
+} = require('../../../../src/services/whatsapp/OutboundComposer');
+
+const paragraph = (word, count) => Array(count).fill(word).join(' ');
+
+describe('splitText', () => {
+  it('keeps text that fits in one part', () => {
+    expect(splitText('Hello\r\nworld', 20)).toEqual(['Hello\nworld']);
+  });
+
+  it('prefers section breaks over sentence ends and spaces', () => {
+    const first = paragraph('alpha.', 10);
+    const second = paragraph('beta', 10);
+    const parts = splitText(`${first}\n\n${second}`, 100);
+    expect(parts).toEqual([first, second]);
+  });
+
+  it('cuts at a sentence end in scripts without spaces', () => {
+    const sentence = 'これは長い文章です。';
+    const parts = splitText(sentence.repeat(12), 50, 'ja');
+    for (const part of parts) {
+      expect(part.length).toBeLessThanOrEqual(50);
+      expect(part.endsWith('。')).toBe(true);
+    }
+    expect(parts.join('')).toBe(sentence.repeat(12));
+  });
+
+  it('never splits an emoji or a Devanagari conjunct', () => {
+    const parts = splitText('👨‍👩‍👧‍👦'.repeat(20), 30);
+    for (const part of parts) {
+      expect(part.length).toBeLessThanOrEqual(30);
+      expect(part.length % '👨‍👩‍👧‍👦'.length).toBe(0);
+    }
+    const hindi = splitText('क्षत्रिय'.repeat(10), 20, 'hi');
+    expect(hindi.every(part => part.length % 'क्षत्रिय'.length === 0)).toBe(
+      true
+    );
+  });
+
+  it('closes and reopens a code block cut between parts', () => {
+    const code = Array(30).fill('Sun   Leo   10°').join('\n');
+    const parts = splitText(`Chart:\n\`\`\`\n${code}\n\`\`\``, 200);
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(part.length).toBeLessThanOrEqual(200);
+      expect((part.split('```').length - 1) % 2).toBe(0);
+    }
+    expect(parts[1].startsWith('```\n')).toBe(true);
+  });
+});
+
+describe('abbreviate', () => {
+  it('drops markup before measuring', () => {
+    expect(stripFormatting('*Daily* _Horoscope_')).toBe('Daily Horoscope');
+    expect(abbreviate('*Daily Horoscope*', 20)).toBe('Daily Horoscope');
+  });
+
+  it('drops a parenthesised aside first', () => {
+    expect(abbreviate('🔮 Tarot (3 Card Spread)', 20)).toBe('🔮 Tarot');
+  });
+
+  it('cuts at the last whole word with an ellipsis', () => {
+    const title = abbreviate('Vimshottari Dasha Periods Explained', 20);
+    expect(title).toBe('Vimshottari Dasha…');
+    expect(title.length).toBeLessThanOrEqual(20);
+  });
+
+  it('cuts Devanagari and Japanese on word and grapheme boundaries', () => {
+    const hindi = abbreviate('विंशोत्तरी दशा की विस्तृत व्याख्या', 20, 'hi');
+    expect(hindi).toBe('विंशोत्तरी दशा की…');
+
+    const japanese = abbreviate(
+      'ヴィムショッタリ・ダシャーの詳しい解説です',
+      12,
+      'ja'
+    );
+    expect(japanese.length).toBeLessThanOrEqual(12);
+    expect(japanese.endsWith('…')).toBe(true);
+  });
+
+  it('keeps emoji sequences whole', () => {
+    const title = abbreviate('👨‍👩‍👧‍👦'.repeat(5), 20);
+    expect(title).toBe('👨‍👩‍👧‍👦…');
+  });
+});
+
+describe('OutboundComposer', () => {
+  const composer = new OutboundComposer();
+
+  it('labels the parts of a long text message', () => {
+    const parts = composer.composeText(paragraph('word', 2000));
+    expect(parts.length).toBe(3);
+    parts.forEach((part, index) => {
+      expect(part.length).toBeLessThanOrEqual(LIMITS.textBody);
+      expect(part.startsWith(`*(${index + 1}/3)*\n`)).toBe(true);
+    });
+    expect(composer.composeText('short')).toEqual(['short']);
+  });
+
+  it('keeps the end of a long interactive body with its buttons', () => {
+    const body = `${paragraph('intro', 200)}\n\n${paragraph('choose', 100)}`;
+    const { lead, body: kept } = composer.composeInteractiveBody(body);
+    expect(kept.length).toBeLessThanOrEqual(LIMITS.interactiveBody);
+    expect(kept).toContain('choose');
+    expect(lead).toContain('intro');
+    expect(composer.composeInteractiveBody('Pick one')).toEqual({
+      lead: '',
+      body: 'Pick one'
+    });
+  });
+
+  it('fits at most three buttons with unique short titles', () => {
+    const buttons = composer.fitButtons([
+      {
+        type: 'reply',
+        reply: { id: 'a', title: 'Detailed Birth Chart Reading' }
+      },
+      {
+        type: 'reply',
+        reply: { id: 'b', title: 'Detailed Birth Chart Report' }
+      },
+      { type: 'reply', reply: { id: 'c', title: '*Menu*' } },
+      { type: 'reply', reply: { id: 'd', title: 'Extra' } }
+    ]);
+    expect(buttons).toHaveLength(3);
+    const titles = buttons.map(button => button.reply.title);
+    expect(new Set(titles).size).toBe(3);
+    expect(titles.every(title => title.length <= LIMITS.buttonTitle)).toBe(
+      true
+    );
+    expect(titles[2]).toBe('Menu');
+  });
+
+  it('fits list fields and refuses lists WhatsApp cannot show', () => {
+    const fitted = composer.fitList('Choose an astrology service', [
+      {
+        title: 'Western and Vedic Astrology',
+        rows: [
+          {
+            id: 'chart',
+            title: 'Birth Chart with Divisional Charts',
+            description: paragraph('detail', 20)
+          }
+        ]
+      }
+    ]);
+    expect(fitted.buttonText.length).toBeLessThanOrEqual(LIMITS.listButton);
+    const [section] = fitted.sections;
+    expect(section.title.length).toBeLessThanOrEqual(LIMITS.sectionTitle);
+    expect(section.rows[0].title.length).toBeLessThanOrEqual(LIMITS.rowTitle);
+    expect(section.rows[0].description.length).toBeLessThanOrEqual(
+      LIMITS.rowDescription
+    );
+
+    const rows = Array.from({ length: 11 }, (_, i) => ({
+      id: `row_${i}`,
+      title: `Row ${i}`
+    }));
+    expect(() => composer.fitList('Menu', [{ rows }])).toThrow(
+      'List has 11 rows'
+    );
+  });
+
+  it('hands out held parts in order until none remain', async() => {
+    await composer.holdParts('+1000', ['two', 'three'], 3);
+    await expect(composer.nextPart('+1000')).resolves.toEqual({
+      part: 'two',
+      number: 2,
+      total: 3,
+      remaining: 1
+    });
+    await expect(composer.nextPart('+1000')).resolves.toMatchObject({
+      part: 'three',
+      number: 3,
+      remaining: 0
+    });
+    await expect(composer.nextPart('+1000')).resolves.toBeNull();
+
+    await composer.holdParts('+1000', ['two'], 2);
+    await expect(composer.clearParts('+1000')).resolves.toBe(true);
+    await expect(composer.nextPart('+1000')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,262 @@
+// tests/unit/services/whatsapp/outboundDispatcher.test.js
+// Unit tests for outbound throttling, retries and delivery records
+
+const {
+  OutboundDispatcher,
+  InMemoryDeliveryStore,
+  TokenBucket
+} = require('../../../../src/services/whatsapp/outbound');
+
+const payload = (to = '+911234567890', text = 'Hello') => ({
+  messaging_product: 'whatsapp',
+  to,
+  type: 'text',
+  text: { body: text }
+});
+
+const apiError = (message, fields) => Object.assign(new Error(message), fields);
+
+const accepted = id => ({ messages: [{ id }] });
+
+const createDispatcher = (api, options = {}) => {
+  const store = new InMemoryDeliveryStore();
+  const sleep = jest.fn(async() => {});
+  const dispatcher = new OutboundDispatcher({
+    api,
+    store,
+    sleep,
+    throttle: false,
+    ...options
+  });
+  return { dispatcher, store, sleep };
+};
+
+describe('TokenBucket', () => {
+  it('allows a burst, then spaces reservations at the refill rate', () => {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 1, now: 0 });
+    expect(bucket.reserve(0)).toBe(0);
+    expect(bucket.reserve(0)).toBe(0);
+    expect(bucket.reserve(0)).toBe(1000);
+    // Each later caller queues behind the earlier ones
+    expect(bucket.reserve(0)).toBe(2000);
+    expect(bucket.reserve(2500)).toBe(500);
+    expect(bucket.isFull(10000)).toBe(true);
+  });
+});
+
+describe('OutboundDispatcher', () => {
+  it('waits for the recipient bucket but not for other recipients', async() => {
+    const api = { makeRequest: jest.fn(async() => accepted('wamid.1')) };
+    const { dispatcher, sleep } = createDispatcher(api, {
+      throttle: true,
+      recipientBurst: 2,
+      recipientPerMinute: 6
+    });
+
+    await dispatcher.dispatch(payload());
+    await dispatcher.dispatch(payload('911234567890'));
+    await dispatcher.dispatch(payload('+449876543210'));
+    expect(sleep).not.toHaveBeenCalled();
+
+    await dispatcher.dispatch(payload());
+    expect(sleep).toHaveBeenCalledTimes(1);
+    expect(sleep.mock.calls[0][0]).toBeGreaterThan(9000);
+    expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(10000);
+  });
+
+  it('retries rate limits and server errors with backoff', async() => {
+    const api = {
+      makeRequest: jest
+        .fn()
+        .mockRejectedValueOnce(apiError('Rate limit', { status: 429 }))
+        .mockRejectedValueOnce(apiError('Busy', { status: 503 }))
+        .mockRejectedValueOnce(apiError('Pair limit', { code: 131056 }))
+        .mockResolvedValue(accepted('wamid.ok'))
+    };
+    const { dispatcher, store, sleep } = createDispatcher(api, {
+      baseDelayMs: 100
+    });
+
+    await expect(dispatcher.dispatch(payload())).resolves.toEqual(
+      accepted('wamid.ok')
+    );
+    expect(api.makeRequest).toHaveBeenCalledTimes(4);
+    const delays = sleep.mock.calls.map(([ms]) => ms);
+    expect(delays[0]).toBeGreaterThanOrEqual(50);
+    expect(delays[0]).toBeLessThanOrEqual(100);
+    expect(delays[2]).toBeGreaterThanOrEqual(200);
+    expect(delays[2]).toBeLessThanOrEqual(400);
+
+    const [record] = store.records.values();
+    expect(record).toMatchObject({
+      waMessageId: 'wamid.ok',
+      phoneNumber: '911234567890',
+      status: 'sent',
+      attempts: 4
+    });
+    expect(record.payload).toBeUndefined();
+  });
+
+  it('honours Retry-After and gives up on other errors', async() => {
+    const api = {
+      makeRequest: jest
+        .fn()
+        .mockRejectedValueOnce(
+          apiError('Rate limit', { status: 429, retryAfter: 3 })
+        )
+        .mockRejectedValueOnce(
+          apiError('Bad request', { status: 400, code: 100 })
+        )
+    };
+    const { dispatcher, store, sleep } = createDispatcher(api);
+
+    await expect(
+      dispatcher.dispatch(payload(), { critical: true })
+    ).rejects.toThrow('Bad request');
+    expect(sleep).toHaveBeenCalledWith(3000);
+    expect(api.makeRequest).toHaveBeenCalledTimes(2);
+
+    const [record] = store.records.values();
+    expect(record).toMatchObject({
+      status: 'failed',
+      critical: true,
+      errorCode: 100,
+      attempts: 2
+    });
+    expect(record.payload).toEqual(payload());
+  });
+
+  it('stops after the last attempt', async() => {
+    const api = {
+      makeRequest: jest.fn(async() => {
+        throw apiError('connect ECONNREFUSED', { code: 'ECONNREFUSED' });
+      })
+    };
+    const { dispatcher } = createDispatcher(api, { maxAttempts: 3 });
+
+    await expect(dispatcher.dispatch(payload())).rejects.toThrow(
+      'connect ECONNREFUSED'
+    );
+    expect(api.makeRequest).toHaveBeenCalledTimes(3);
+  });
+
+  it.each(['ETIMEDOUT', 'ECONNRESET'])(
+    'does not resend after %s, as WhatsApp may have the message',
+    async code => {
+      const api = {
+        makeRequest: jest.fn(async() => {
+          throw apiError('socket hang up', { code });
+        })
+      };
+      const { dispatcher, sleep } = createDispatcher(api, { maxAttempts: 3 });
+
+      await expect(dispatcher.dispatch(payload())).rejects.toThrow(
+        'socket hang up'
+      );
+      expect(api.makeRequest).toHaveBeenCalledTimes(1);
+      expect(sleep).not.toHaveBeenCalled();
+    }
+  );
+
+  it('moves records forward on status webhooks, whatever their order', async() => {
+    const api = { makeRequest: jest.fn(async() => accepted('wamid.1')) };
+    const { dispatcher, store } = createDispatcher(api);
+    await dispatcher.dispatch(payload());
+
+    const counts = await dispatcher.handleStatuses([
+      { id: 'wamid.1', status: 'read', timestamp: '1700000060' },
+      { id: 'wamid.1', status: 'delivered', timestamp: '1700000030' },
+      { id: 'wamid.other', status: 'delivered', timestamp: '1700000030' }
+    ]);
+
+    expect(counts).toEqual({ updated: 2, untracked: 1 });
+    expect(store.records.get('wamid.1')).toMatchObject({
+      status: 'read',
+      deliveredAt: new Date(1700000030 * 1000),
+      readAt: new Date(1700000060 * 1000)
+    });
+  });
+
+  it('reports delivery rates', async() => {
+    let sent = 0;
+    const api = {
+      makeRequest: jest.fn(async() => accepted(`wamid.${++sent}`))
+    };
+    const { dispatcher } = createDispatcher(api);
+    for (let i = 0; i < 4; i++) {
+      await dispatcher.dispatch(payload());
+    }
+    await dispatcher.handleStatuses([
+      { id: 'wamid.1', status: 'delivered' },
+      { id: 'wamid.2', status: 'read' },
+      {
+        id: 'wamid.3',
+        status: 'failed',
+        errors: [{ code: 131026, title: 'Message undeliverable' }]
+      }
+    ]);
+
+    await expect(dispatcher.getDeliveryReport()).resolves.toMatchObject({
+      backend: 'memory',
+      total: 4,
+      sent: 1,
+      delivered: 1,
+      read: 1,
+      failed: 1,
+      deliveryRate: 0.5,
+      readRate: 0.25,
+      failureRate: 0.25
+    });
+  });
+
+  it('resends failed critical messages once, unless the failure is permanent', async() => {
+    let sent = 0;
+    const api = {
+      makeRequest: jest.fn(async() => accepted(`wamid.${++sent}`))
+    };
+    const { dispatcher, store } = createDispatcher(api);
+    await dispatcher.dispatch(payload('+911', 'Payment received'), {
+      critical: true
+    });
+    await dispatcher.dispatch(payload('+912', 'Plan ended'), {
+      critical: true
+    });
+    await dispatcher.dispatch(payload('+913', 'Horoscope'));
+    await dispatcher.handleStatuses([
+      { id: 'wamid.1', status: 'failed', errors: [{ code: 131000 }] },
+      { id: 'wamid.2', status: 'failed', errors: [{ code: 131047 }] },
+      { id: 'wamid.3', status: 'failed', errors: [{ code: 131000 }] }
+    ]);
+
+    await expect(dispatcher.resendFailedCritical()).resolves.toEqual({
+      resent: 1,
+      failed: 0
+    });
+    expect(api.makeRequest).toHaveBeenLastCalledWith(
+      '/messages',
+      payload('+911', 'Payment received')
+    );
+    expect(store.records.get('wamid.4')).toMatchObject({
+      critical: true,
+      resendOf: 'wamid.1',
+      resends: 1
+    });
+
+    await expect(dispatcher.resendFailedCritical()).resolves.toEqual({
+      resent: 0,
+      failed: 0
+    });
+  });
+
+  it('sends even when the delivery store is down', async() => {
+    const api = { makeRequest: jest.fn(async() => accepted('wamid.1')) };
+    const { dispatcher, store } = createDispatcher(api);
+    store.save = jest.fn(async() => {
+      throw new Error('connection refused');
+    });
+
+    await expect(dispatcher.dispatch(payload())).resolves.toEqual(
+      accepted('wamid.1')
+    );
+  });
+});